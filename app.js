@@ -1,4 +1,158 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { PROVIDERS, createProvider, generateValidatedJson, SchemaValidationError } from './llm/index.js';
+import { loadSettings, saveSettings, resolveModel, buildGenerationConfig } from './settings.js';
+import {
+    estimateTokens,
+    findPrice,
+    computeCost,
+    createUsageRecord,
+    appendUsageRecord,
+    getBudgetStatus,
+    formatCost,
+    loadUsageLog,
+    saveUsageLog,
+} from './usage.js';
+import { EMPTY_SESSION, normalizeSession, createRevision } from './session.js';
+import { createLocalProjectStore, createProject, suggestProjectName, createId } from './storage/projects.js';
+import { createFirestoreProjectStore } from './storage/firestore-sync.js';
+import { createFirestoreShareStore } from './storage/firestore-shares.js';
+import { createLocalShareStore } from './storage/share-store.js';
+import { createWorkspace } from './storage/workspace.js';
+import { createResponseCache, buildCacheKey } from './storage/response-cache.js';
+import { I18nContext, createI18n, resolveLocale, describeLanguageTag, withOutputLanguage } from './i18n/index.js';
+import SettingsPanel from './components/settings-panel.js';
+import StopButton from './components/stop-button.js';
+import Spinner from './components/spinner.js';
+import ProjectSidebar from './components/project-sidebar.js';
+import PromptHistory from './components/prompt-history.js';
+import ExportMenu from './components/export-menu.js';
+import BacklogTable from './components/backlog-table.js';
+import DataModelView from './components/data-model-view.js';
+import MockupViewer from './components/mockup-viewer.js';
+import MarketAnalysisView from './components/market-analysis-view.js';
+import ProjectPlanView from './components/project-plan-view.js';
+import ScaffoldBrowser from './components/scaffold-browser.js';
+import IdeaAnalysisPanel from './components/idea-analysis-panel.js';
+import VariantSetup from './components/variant-setup.js';
+import VariantComparison from './components/variant-comparison.js';
+import RefinementChat from './components/refinement-chat.js';
+import UsageDashboard from './components/usage-dashboard.js';
+import CacheInspector from './components/cache-inspector.js';
+import CacheNotice from './components/cache-notice.js';
+import BatchPanel from './components/batch-panel.js';
+import EvaluationScorecard from './components/evaluation-scorecard.js';
+import EvaluationLeaderboard from './components/evaluation-leaderboard.js';
+import ComplianceReviewView from './components/compliance-review-view.js';
+import SharePanel from './components/share-panel.js';
+import SharedSpecView from './components/shared-spec-view.js';
+import PipelineBuilder from './components/pipeline-builder.js';
+import StepOutput from './components/step-output.js';
+import { exportSpecJson, parseSpecDocument } from './exporters/spec-json.js';
+import { buildMarkdownPrd } from './exporters/markdown.js';
+import { buildHtmlReport, printHtmlReport } from './exporters/html-report.js';
+import { buildBacklogCsv, buildGitHubIssues } from './exporters/backlog.js';
+import { buildPlanCsv, buildPlanICalendar } from './exporters/project-plan.js';
+import { buildBatchCsv, buildBatchJson } from './exporters/batch.js';
+import { buildOpenApiDocument, validateOpenApiDocument, getApiInfo } from './exporters/openapi.js';
+import { buildMermaidErd } from './data-model.js';
+import { SCREEN_SCHEMA, describePreviewForMockup } from './mockup.js';
+import { rankEvaluations } from './evaluation.js';
+import { listComplianceFindings, appendComplianceRequirements, markFindingsInPrompt } from './compliance.js';
+import { MAX_INLINE_URL_LENGTH, createShare, buildShareUrl, parseShareHash } from './share.js';
+import {
+    BUILT_IN_NODES,
+    ADD_ON_STEPS,
+    CUSTOM_STEP,
+    buildNodeRequest,
+    runPipeline,
+    validatePipeline,
+    loadPipeline,
+    savePipeline,
+    exportPipeline,
+    parsePipelineFile,
+    PipelineFileError,
+} from './pipeline.js';
+import {
+    BATCH_RESULT_KEYS,
+    DEFAULT_BATCH_OPTIONS,
+    parseBatchFile,
+    BatchFileError,
+    createBatchRow,
+    buildBatchSession,
+    createBackoff,
+    runQueue,
+} from './batch.js';
+import { schedulePlan } from './project-plan.js';
+import { SCAFFOLD_FILE_SCHEMA, checkScaffoldFile, describeFileTree } from './scaffold.js';
+import { createZip } from './utils/zip.js';
+import {
+    IDEA_DIMENSIONS,
+    IDEA_ANALYSIS_SCHEMA,
+    checkIdeaAnalysis,
+    createIdeaAnalysis,
+    formatClarifications,
+} from './idea-analysis.js';
+import { DEFAULT_VARIANT_SETUP, createVariant, applyFraming } from './variants.js';
+import {
+    REFINEMENT_SCHEMA,
+    checkRefinement,
+    createRefinementMessage,
+    createRefinementReply,
+    buildRefinementRequest,
+} from './refinement.js';
+import { downloadFile, readFileAsText, slugify } from './utils/download.js';
+import {
+    BUILTIN_TEMPLATES,
+    DEFAULT_TEMPLATE_ID,
+    renderEnhancementPrompt,
+    loadUserTemplates,
+    saveUserTemplates,
+    exportTemplates,
+    parseTemplatesFile,
+} from './templates.js';
+import TemplatePicker from './components/template-picker.js';
+import TemplateLibrary from './components/template-library.js';
+
+// Firebase config, app ID and auth token, used by the optional Firestore project sync
+// These are provided globally in the Canvas environment
+const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : '';
+
+// Colors of the add-on step buttons below the app preview (see ADD_ON_STEPS)
+const ADD_ON_BUTTON_COLORS = {
+    names: 'bg-pink-600 hover:bg-pink-700',
+    monetization: 'bg-orange-600 hover:bg-orange-700',
+    techStack: 'bg-blue-600 hover:bg-blue-700',
+    backlog: 'bg-emerald-600 hover:bg-emerald-700',
+    dataModel: 'bg-cyan-600 hover:bg-cyan-700',
+    mockup: 'bg-fuchsia-600 hover:bg-fuchsia-700',
+    market: 'bg-cyan-600 hover:bg-cyan-700',
+    plan: 'bg-teal-600 hover:bg-teal-700',
+    scaffold: 'bg-slate-700 hover:bg-slate-800',
+    evaluate: 'bg-violet-600 hover:bg-violet-700',
+    compliance: 'bg-rose-600 hover:bg-rose-700',
+};
+
+// Delay between the last edit and the autosave of the current project
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Request key of a prompt variant, so variants generate in parallel and can be stopped together.
+ * @param {string} variantId - Variant id.
+ * @returns {string}
+ */
+const variantRequestKey = (variantId) => `enhance-variant-${variantId}`;
+
+/**
+ * Request key of a mockup screen regeneration, so it doesn't cancel or get cancelled by a full mockup generation.
+ * @param {number} screenIndex - Index of the screen in the mockup.
+ * @returns {string}
+ */
+const mockupScreenRequestKey = (screenIndex) => `mockup:${screenIndex}`;
+
+// Leaderboard id of the open idea while it isn't saved as a project
+const UNSAVED_IDEA_ID = 'current';
 
 // Main App Component
 const App = () => {
@@ -12,26 +166,231 @@ const App = () => {
     const [error, setError] = useState(''); // Error messages
     const [isPromptEnhanced, setIsPromptEnhanced] = useState(false); // Flag to track if prompt has been enhanced
 
+    // Idea analysis against the prompt tips, and the interview answers fed into the enhancement
+    const [ideaAnalysis, setIdeaAnalysis] = useState(null); // Scores, missing dimensions and clarifying questions
+    const [clarifyingAnswers, setClarifyingAnswers] = useState({}); // Answers keyed by question id
+    const [isLoadingAnalysis, setIsLoadingAnalysis] = useState(false);
+
+    // Prompt variants compared side by side
+    const [promptVariants, setPromptVariants] = useState([]); // Alternative enhanced prompts
+    const [variantSetup, setVariantSetup] = useState(DEFAULT_VARIANT_SETUP); // Framing and temperature of each variant to generate
+    const [isVariantSetupOpen, setIsVariantSetupOpen] = useState(false);
+    const [loadingVariantIds, setLoadingVariantIds] = useState([]); // Variants still generating
+
+    // Refinement chat over the prompt and preview
+    const [refinementChat, setRefinementChat] = useState([]); // Instructions and replies with proposed edits, oldest first
+    const [isLoadingRefinement, setIsLoadingRefinement] = useState(false);
+
+    // Review links: the current project shared read-only, or a shared spec opened from a link
+    const [shares, setShares] = useState([]); // Links created for this project, newest first
+    const [isShareOpen, setIsShareOpen] = useState(false);
+    const [isSharing, setIsSharing] = useState(false);
+    const [sharedLink, setSharedLink] = useState(() => parseShareHash(window.location.hash)); // Link being reviewed, if any
+
     // New states for additional functionalities
     const [appNamesSlogans, setAppNamesSlogans] = useState(null); // Stores generated names and taglines
     const [monetizationStrategies, setMonetizationStrategies] = useState(null); // Stores suggested monetization models
     const [techStackSuggestions, setTechStackSuggestions] = useState(null); // Stores high-level tech stack recommendations
+    const [backlog, setBacklog] = useState(null); // Epics and user stories for the key features, editable
+    const [dataModel, setDataModel] = useState(null); // Entities with fields and relations, plus the core REST endpoints
+    const [mockup, setMockup] = useState(null); // Clickable HTML/CSS/JS prototype of the main screens
+    const [marketAnalysis, setMarketAnalysis] = useState(null); // Competitors, SWOT, market size and personas
+    const [projectPlan, setProjectPlan] = useState(null); // Milestones and estimated tasks with dependencies, editable
+    const [scaffold, setScaffold] = useState(null); // Starter code file tree for the suggested stack
+    const [evaluation, setEvaluation] = useState(null); // Scores with rationale on whether the app is worth building
+    const [complianceReview, setComplianceReview] = useState(null); // Personal data, regulations, threat model and controls
+    const [customStepResults, setCustomStepResults] = useState(null); // Outputs of the custom pipeline steps, in run order
+
+    // Add-on steps generating, by node type (see ADD_ON_STEPS)
+    const [loadingSteps, setLoadingSteps] = useState({});
+    const [regeneratingScreenId, setRegeneratingScreenId] = useState(null); // Mockup screen being regenerated
+    const [regeneratingFileId, setRegeneratingFileId] = useState(null); // Scaffold file being regenerated
+
+    // Revision history of the customizable prompt
+    const [promptRevisions, setPromptRevisions] = useState([]); // Every AI-generated version and manual save, oldest first
+    const [appPreviewRevisionId, setAppPreviewRevisionId] = useState(null); // Revision the current preview came from
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+
+    // Prompt templates for the enhancement and preview steps
+    const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID); // Selected template
+    const [templateValues, setTemplateValues] = useState({}); // Values of the template's extra fields
+    const [userTemplates, setUserTemplates] = useState(loadUserTemplates); // User-defined templates, persisted in localStorage
+    const [isTemplateLibraryOpen, setIsTemplateLibraryOpen] = useState(false);
+    const allTemplates = useMemo(() => [...BUILTIN_TEMPLATES, ...userTemplates], [userTemplates]);
+    // Fall back to the default if the selected template was deleted
+    const activeTemplate = allTemplates.find((t) => t.id === templateId) || BUILTIN_TEMPLATES[0];
+    const renderedEnhancementPrompt = renderEnhancementPrompt(activeTemplate, {
+        ...templateValues,
+        idea: simpleIdea,
+        clarifications: formatClarifications(ideaAnalysis, clarifyingAnswers),
+    });
+
+    // Provider, API key, models and generation parameters, persisted in localStorage
+    const [settings, setSettings] = useState(loadSettings);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const provider = useMemo(() => createProvider(settings.provider), [settings.provider]);
+
+    // Interface language and text direction; generated content follows settings.language.output instead
+    const i18n = useMemo(() => createI18n(resolveLocale(settings.language.ui)), [settings.language.ui]);
+    const { t } = i18n;
 
-    // New loading states for additional functionalities
-    const [isLoadingNames, setIsLoadingNames] = useState(false);
-    const [isLoadingMonetization, setIsLoadingMonetization] = useState(false);
-    const [isLoadingTechStack, setIsLoadingTechStack] = useState(false);
+    // Tokens and cost of every response, persisted in localStorage
+    const [usageLog, setUsageLog] = useState(loadUsageLog);
+    // The usage log as of the last recorded response, for budget checks in requests started by an
+    // earlier render, such as the ones of a batch
+    const usageLogRef = useRef(usageLog);
+    const [isUsageOpen, setIsUsageOpen] = useState(false);
 
+    // Persistent cache of AI responses, keyed on a hash of the request
+    const cacheTtlMs = settings.cache.ttlHours * 60 * 60 * 1000;
+    const cacheMaxBytes = settings.cache.maxSizeMb * 1024 * 1024;
+    const responseCache = useMemo(
+        () => createResponseCache({ ttlMs: cacheTtlMs, maxBytes: cacheMaxBytes }),
+        [cacheTtlMs, cacheMaxBytes]
+    );
+    const [cachedResults, setCachedResults] = useState({}); // Request keys whose latest result came from the cache
+    const [isCacheOpen, setIsCacheOpen] = useState(false);
+
+    // Batch mode: many ideas from an uploaded file, each run through enhance → preview and the chosen add-ons
+    const [batchRows, setBatchRows] = useState([]); // Ideas with their status and results, in file order
+    const [batchOptions, setBatchOptions] = useState(DEFAULT_BATCH_OPTIONS); // Concurrency and add-on steps
+    const [isBatchOpen, setIsBatchOpen] = useState(false);
+    const [isLeaderboardOpen, setIsLeaderboardOpen] = useState(false);
+    const [isBatchRunning, setIsBatchRunning] = useState(false);
+    // Stops the batch queue and its backoff waits; requests in flight are stopped by their keys
+    const batchControllerRef = useRef(null);
+
+    // Pipeline builder: the generation steps as configurable nodes, run in order
+    const [pipeline, setPipeline] = useState(loadPipeline); // Persisted in localStorage
+    const [isPipelineOpen, setIsPipelineOpen] = useState(false);
+    const [isPipelineRunning, setIsPipelineRunning] = useState(false);
+    const [pipelineStatuses, setPipelineStatuses] = useState({}); // Status of each node in the last run, by node id
+    // Stops the pipeline run; requests in flight are stopped by their keys
+    const pipelineControllerRef = useRef(null);
 
     // Ref for scrolling to the enhanced prompt section
     const enhancedPromptRef = useRef(null);
     // Ref for scrolling to the app preview section
     const appPreviewRef = useRef(null);
+    // AbortControllers for in-flight AI requests, keyed by generation step
+    const abortControllersRef = useRef({});
+
+    // Project workspace: saved idea sessions in IndexedDB, optionally mirrored to Firestore
+    const [currentProject, setCurrentProject] = useState(null); // { id, name, createdAt } of the open project
+    const [projects, setProjects] = useState([]); // Saved projects, most recent first
+    const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+    const [saveStatus, setSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
+    // Serialized session data as last saved, so autosave only runs when something changed
+    const lastSavedDataRef = useRef(JSON.stringify(EMPTY_SESSION));
+    // Project an unsaved session is autosaved as, created on its first autosave and reused until a new session
+    // starts, so autosaves that run before it becomes the current project update it instead of creating duplicates
+    const pendingProjectRef = useRef(null);
+
+    // Firestore connection for project sync and shares: the emulator if set, else the Canvas config if present
+    const firestoreOptions = useMemo(() => {
+        const { emulatorHost, emulatorAuthUrl, emulatorProjectId } = settings.sync;
+        if (emulatorHost) {
+            return {
+                firebaseConfig: firebaseConfig.projectId ? firebaseConfig : { projectId: emulatorProjectId, apiKey: 'emulator' },
+                appId,
+                emulator: { firestoreHost: emulatorHost, authUrl: emulatorAuthUrl },
+            };
+        }
+        return firebaseConfig.projectId ? { firebaseConfig, appId, initialAuthToken } : null;
+    }, [settings.sync]);
+    const localProjectStore = useMemo(() => createLocalProjectStore(), []);
+    const remoteProjectStore = useMemo(() => (
+        settings.sync.enabled && firestoreOptions ? createFirestoreProjectStore(firestoreOptions) : null
+    ), [settings.sync.enabled, firestoreOptions]);
+    const workspace = useMemo(() => createWorkspace({
+        local: localProjectStore,
+        remote: remoteProjectStore,
+        onSyncError: (err) => {
+            console.error('Project sync failed:', err);
+            setSaveStatus('error');
+        },
+    }), [localProjectStore, remoteProjectStore]);
+    // Shares go to Firestore whenever it is configured, since links are meant for other people;
+    // without it they stay in this browser
+    const shareStore = useMemo(() => (
+        firestoreOptions ? createFirestoreShareStore(firestoreOptions) : createLocalShareStore()
+    ), [firestoreOptions]);
+
+    // Input size and cost of the enhancement request, shown before it is sent
+    const enhancementTokens = estimateTokens(renderedEnhancementPrompt);
+    const enhancementPrice = PROVIDERS[settings.provider.type].local
+        ? null
+        : findPrice(settings.prices, resolveModel(settings, 'enhance'));
 
-    // Initialize Firebase config and app ID if needed (though not directly used for Gemini API calls here)
-    // These are provided globally in the Canvas environment
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+    // Spending today and in the current project, against the budget
+    const budgetStatus = useMemo(
+        () => getBudgetStatus(usageLog, settings.budget, currentProject ? currentProject.id : null),
+        [usageLog, settings.budget, currentProject]
+    );
+
+    // The session as saved in a project; key order follows EMPTY_SESSION so snapshots compare equal
+    const sessionData = useMemo(() => ({
+        simpleIdea,
+        enhancedPrompt,
+        customPrompt,
+        isPromptEnhanced,
+        appPreview,
+        appNamesSlogans,
+        monetizationStrategies,
+        techStackSuggestions,
+        backlog,
+        dataModel,
+        mockup,
+        marketAnalysis,
+        projectPlan,
+        scaffold,
+        evaluation,
+        complianceReview,
+        customStepResults,
+        promptRevisions,
+        appPreviewRevisionId,
+        templateId,
+        templateValues,
+        ideaAnalysis,
+        clarifyingAnswers,
+        promptVariants,
+        refinementChat,
+        shares,
+    }), [
+        simpleIdea, enhancedPrompt, customPrompt, isPromptEnhanced, appPreview, appNamesSlogans, monetizationStrategies,
+        techStackSuggestions, backlog, dataModel, mockup, marketAnalysis, projectPlan, scaffold, evaluation, complianceReview,
+        customStepResults, promptRevisions, appPreviewRevisionId, templateId, templateValues, ideaAnalysis, clarifyingAnswers,
+        promptVariants, refinementChat, shares,
+    ]);
+
+    // ER diagram and OpenAPI contract derived from the data model; the contract is validated before it is shown or downloaded
+    const apiDesign = useMemo(() => {
+        if (!dataModel) return null;
+        const openApiDocument = buildOpenApiDocument(dataModel, getApiInfo(appPreview));
+        return {
+            erdSource: buildMermaidErd(dataModel.entities),
+            openApiDocument,
+            openApiIssues: validateOpenApiDocument(openApiDocument),
+        };
+    }, [dataModel, appPreview]);
+
+    // Critical-path schedule of the plan, recomputed as estimates, start date or scenario change
+    const planSchedule = useMemo(() => (projectPlan ? schedulePlan(projectPlan) : null), [projectPlan]);
+
+    // Evaluated ideas ranked by weighted score; the open idea counts with its live evaluation rather than its last save
+    const leaderboard = useMemo(() => {
+        const saved = projects
+            .filter((project) => project.data.evaluation && project.id !== currentProject?.id)
+            .map((project) => ({ id: project.id, name: project.name, evaluation: project.data.evaluation }));
+        const current = evaluation
+            ? [{
+                id: currentProject ? currentProject.id : UNSAVED_IDEA_ID,
+                name: currentProject ? currentProject.name : appPreview?.appName || suggestProjectName(simpleIdea, t('projects.untitled')),
+                evaluation,
+            }]
+            : [];
+        return rankEvaluations([...saved, ...current], settings.evaluationWeights);
+    }, [projects, currentProject, evaluation, appPreview, simpleIdea, settings.evaluationWeights, t]);
 
     // --- Helper Functions ---
 
@@ -42,6 +401,15 @@ const App = () => {
         setError('');
     };
 
+    /**
+     * Replaces the usage log, keeping usageLogRef up to date before the next render.
+     * @param {Array<import('./usage.js').UsageRecord>} records - The new log.
+     */
+    const updateUsageLog = (records) => {
+        usageLogRef.current = records;
+        setUsageLog(records);
+    };
+
     /**
      * Scrolls to a given ref if it exists.
      * @param {React.RefObject<HTMLElement>} ref - The ref to scroll to.
@@ -53,92 +421,459 @@ const App = () => {
     };
 
     /**
-     * Calls the Gemini API to generate content.
-     * @param {string} promptText - The text to send to the Gemini API.
-     * @param {string} modelName - The Gemini model to use (e.g., 'gemini-2.0-flash').
-     * @param {object} responseSchema - Optional, JSON schema for structured response.
-     * @returns {Promise<string|object>} - A promise that resolves with the generated text or parsed JSON object.
+     * Replaces the whole session state, e.g. when a project is opened.
+     * @param {object} data - Session data; missing keys fall back to EMPTY_SESSION.
      */
-    const callGeminiApi = async (promptText, modelName = 'gemini-2.0-flash', responseSchema = null) => {
-        clearError();
-        let chatHistory = [{ role: 'user', parts: [{ text: promptText }] }];
-        const payload = { contents: chatHistory };
+    const applySessionData = (data) => {
+        const session = normalizeSession(data);
+        setCachedResults({});
+        setSimpleIdea(session.simpleIdea);
+        setEnhancedPrompt(session.enhancedPrompt);
+        setCustomPrompt(session.customPrompt);
+        setIsPromptEnhanced(session.isPromptEnhanced);
+        setAppPreview(session.appPreview);
+        setAppNamesSlogans(session.appNamesSlogans);
+        setMonetizationStrategies(session.monetizationStrategies);
+        setTechStackSuggestions(session.techStackSuggestions);
+        setBacklog(session.backlog);
+        setDataModel(session.dataModel);
+        setMockup(session.mockup);
+        setMarketAnalysis(session.marketAnalysis);
+        setProjectPlan(session.projectPlan);
+        setScaffold(session.scaffold);
+        setEvaluation(session.evaluation);
+        setComplianceReview(session.complianceReview);
+        setCustomStepResults(session.customStepResults);
+        setPromptRevisions(session.promptRevisions);
+        setAppPreviewRevisionId(session.appPreviewRevisionId);
+        setTemplateId(session.templateId);
+        setTemplateValues(session.templateValues);
+        setIdeaAnalysis(session.ideaAnalysis);
+        setClarifyingAnswers(session.clarifyingAnswers);
+        setPromptVariants(session.promptVariants);
+        setRefinementChat(session.refinementChat);
+        setShares(session.shares);
+    };
 
-        if (responseSchema) {
-            payload.generationConfig = {
-                responseMimeType: 'application/json',
-                responseSchema: responseSchema,
-            };
+    /**
+     * Clears the results of the steps run after the app preview (see ADD_ON_KEYS), which no longer
+     * match once the prompt or the preview changes.
+     */
+    const clearAddOnResults = () => {
+        setAppNamesSlogans(null);
+        setMonetizationStrategies(null);
+        setTechStackSuggestions(null);
+        setBacklog(null);
+        setDataModel(null);
+        setMockup(null);
+        setMarketAnalysis(null);
+        setProjectPlan(null);
+        setScaffold(null);
+        setEvaluation(null);
+        setComplianceReview(null);
+        setCustomStepResults(null);
+    };
+
+    // Setters of the session keys the built-in add-on steps store their results under (see BUILT_IN_NODES)
+    const builtInResultSetters = {
+        appNamesSlogans: setAppNamesSlogans,
+        monetizationStrategies: setMonetizationStrategies,
+        techStackSuggestions: setTechStackSuggestions,
+        backlog: setBacklog,
+        dataModel: setDataModel,
+        mockup: setMockup,
+        marketAnalysis: setMarketAnalysis,
+        projectPlan: setProjectPlan,
+        scaffold: setScaffold,
+        evaluation: setEvaluation,
+        complianceReview: setComplianceReview,
+    };
+
+    /**
+     * Appends a prompt revision, unless the text is unchanged from the newest one.
+     * @param {string} text - Prompt text to record.
+     * @param {string} source - What produced it (see PromptRevision).
+     * @param {string|null} [restoredFrom] - Id of the restored revision, for 'restore' revisions.
+     */
+    const addRevision = (text, source, restoredFrom = null) => {
+        setPromptRevisions((prev) => (
+            prev.length > 0 && prev[prev.length - 1].text === text
+                ? prev
+                : [...prev, createRevision(text, source, restoredFrom)]
+        ));
+    };
+
+    /**
+     * Cancels every in-flight AI request, so no late response lands in a different session.
+     */
+    const stopAllRequests = () => {
+        Object.values(abortControllersRef.current).forEach((controller) => controller.abort());
+    };
+
+    /**
+     * Reloads the project list shown in the sidebar.
+     */
+    const refreshProjects = useCallback(async () => {
+        try {
+            setProjects(await workspace.list());
+        } catch (err) {
+            console.error('Failed to load projects:', err);
+            setError(t('error.loadProjects', { message: err.message }));
         }
+    }, [workspace, t]);
+
+    /**
+     * Calls the configured AI provider to generate content.
+     * Kept under its original name; the request goes to whichever backend is selected.
+     * Model and generation parameters come from the settings.
+     * Every prompt asks for the output language from the settings (see withOutputLanguage).
+     * Identical requests are answered from the response cache unless it is disabled or bypassed with options.bypassCache.
+     * The tokens each response used are logged with their cost; with the budget set to block, requests that
+     * would exceed it are refused before they are sent.
+     * Each call can be cancelled with handleStopRequest(requestKey); a newer call with the same key cancels the older one.
+     * @param {string} promptText - The text to send to the model.
+     * @param {string} step - The generation step (a key of STEPS), used to pick the model.
+     * @param {object} responseSchema - Optional, Gemini-style JSON schema for structured response. Structured responses are
+     *   validated against it and sent back for repair if invalid, as configured in the settings.
+     * @param {object} [options]
+     * @param {function(string): void} [options.onText] - If given, the response is streamed and each new piece of text is passed here.
+     * @param {function(object): Array<object>} [options.check] - Extra validation of structured responses (see generateValidatedJson).
+     * @param {number|null} [options.temperature] - Overrides the temperature from the settings.
+     * @param {string} [options.requestKey] - Key for stopping the request; defaults to the step. Parallel requests for
+     *   the same step need distinct keys so they don't cancel each other.
+     * @param {Array<{role: string, content: string}>} [options.history] - Earlier messages of a multi-turn conversation,
+     *   sent before promptText.
+     * @param {boolean} [options.bypassCache] - Skip the cache lookup for a fresh response, which then replaces the cached one.
+     * @param {boolean} [options.rethrow] - Throw failures to the caller instead of showing them as the page error,
+     *   for requests that report errors on their own (see runBatch).
+     * @param {string|null} [options.batchId] - Batch run the request is made for; its usage is logged under the
+     *   batch instead of the open project, whose budget then doesn't apply.
+     * @returns {Promise<string|object|null>} - A promise that resolves with the generated text or the validated JSON object,
+     *   or null if the request failed (the error message has already been set, unless rethrow is on) or was stopped.
+     */
+    const callGeminiApi = async (promptText, step, responseSchema = null, { onText, check, temperature = null, requestKey = step, history = [], bypassCache = false, rethrow = false, batchId = null } = {}) => {
+        if (!rethrow) clearError();
+
+        const useCache = settings.cache.enabled && !bypassCache;
+        const messages = [...history, { role: 'user', content: withOutputLanguage(promptText, settings.language.output) }];
+        const model = resolveModel(settings, step);
+        const price = PROVIDERS[settings.provider.type].local ? { input: 0, output: 0 } : findPrice(settings.prices, model);
+        const estimatedPromptTokens = estimateTokens(messages.map((m) => m.content).join('\n'));
+        const projectId = !batchId && currentProject ? currentProject.id : null;
+
+        /**
+         * Logs the tokens a response used, estimating them if the backend reported none.
+         * @param {{promptTokens: number, outputTokens: number}} usage - Reported usage.
+         * @param {string} outputText - The response text, for the estimate.
+         */
+        const recordUsage = (usage, outputText) => {
+            const estimated = usage.promptTokens === 0 && usage.outputTokens === 0;
+            const counted = estimated ? { promptTokens: estimatedPromptTokens, outputTokens: estimateTokens(outputText) } : usage;
+            updateUsageLog(appendUsageRecord(usageLogRef.current, createUsageRecord({
+                projectId,
+                batchId,
+                step,
+                model,
+                usage: counted,
+                cost: computeCost(price, counted),
+                estimated,
+            })));
+        };
 
-        // The API key is automatically provided by the Canvas environment if left empty
-        const apiKey = '';
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`;
+        abortControllersRef.current[requestKey]?.abort();
+        const controller = new AbortController();
+        abortControllersRef.current[requestKey] = controller;
 
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
+            const request = {
+                messages,
+                model,
+                responseSchema,
+                generationConfig: temperature === null
+                    ? buildGenerationConfig(settings)
+                    : { ...buildGenerationConfig(settings), temperature },
+                signal: controller.signal,
+            };
+
+            const cacheKey = settings.cache.enabled
+                ? await buildCacheKey({
+                    provider: settings.provider.type,
+                    baseUrl: settings.provider.baseUrl,
+                    model,
+                    messages,
+                    generationConfig: request.generationConfig,
+                    responseSchema,
+                })
+                : null;
 
-            // Check if response is OK but potentially empty or non-JSON
-            if (!response.ok) {
-                const errorData = await response.json(); // Attempt to parse error details if available
-                throw new Error(`API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+            if (useCache) {
+                const cached = await responseCache.get(cacheKey).catch((err) => {
+                    console.warn('Response cache lookup failed:', err);
+                    return null;
+                });
+                if (controller.signal.aborted) return null;
+                if (cached) {
+                    setCachedResults((prev) => ({ ...prev, [requestKey]: true }));
+                    if (responseSchema) return JSON.parse(cached.response);
+                    onText?.(cached.response);
+                    return cached.response;
+                }
+            }
+
+            // Refuse requests once a budget limit is reached, counting this request's estimated input cost
+            if (settings.budget.action === 'block') {
+                const pendingCost = computeCost(price, { promptTokens: estimatedPromptTokens, outputTokens: 0 }) || 0;
+                const { dayExceeded, projectExceeded } = getBudgetStatus(usageLogRef.current, settings.budget, projectId, pendingCost);
+                if (dayExceeded || projectExceeded) {
+                    const message = t(dayExceeded ? 'error.budget.daily' : 'error.budget.project');
+                    if (rethrow) throw new Error(message);
+                    setError(message);
+                    return null;
+                }
             }
 
-            // Get the raw text of the response first
-            const rawResponseText = await response.text();
+            /**
+             * Marks the result as fresh and stores it for identical requests later on.
+             * @param {string} response - Raw text or JSON text.
+             */
+            const storeInCache = (response) => {
+                setCachedResults((prev) => ({ ...prev, [requestKey]: false }));
+                if (!cacheKey) return;
+                responseCache.set({ key: cacheKey, step, model, prompt: promptText.slice(0, 200), response })
+                    .catch((err) => console.warn('Failed to cache the response:', err));
+            };
+
+            if (responseSchema) {
+                // Usage is recorded per attempt, so invalid responses and failed repairs are still counted
+                const { value } = await generateValidatedJson(provider, request, { ...settings.validation, check, onUsage: recordUsage });
+                storeInCache(JSON.stringify(value));
+                return value;
+            }
 
-            if (!rawResponseText) {
-                throw new Error('Empty response from AI. Please try again.');
+            const { text: textResult, usage } = onText
+                ? await provider.stream(request, onText)
+                : await provider.generate(request);
+            recordUsage(usage, textResult);
+            storeInCache(textResult);
+            return textResult;
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                return null; // Stopped by the user or superseded by a newer request
             }
+            console.error(`Error calling ${PROVIDERS[settings.provider.type].label} API:`, err);
+            if (rethrow) throw err;
+            setError(t(err instanceof SchemaValidationError ? 'error.invalidResponse' : 'error.connection', { message: err.message }));
+            return null;
+        } finally {
+            if (abortControllersRef.current[requestKey] === controller) {
+                delete abortControllersRef.current[requestKey];
+            }
+        }
+    };
+
+
+    /**
+     * Cancels the in-flight AI request for a generation step (or other request key), if any.
+     * @param {string} requestKey - The generation step or request key to stop.
+     */
+    const handleStopRequest = (requestKey) => {
+        abortControllersRef.current[requestKey]?.abort();
+    };
+
+    /**
+     * Applies and persists new settings from the settings panel.
+     * @param {object} newSettings - Settings to use from now on.
+     */
+    const handleSaveSettings = (newSettings) => {
+        setSettings(newSettings);
+        saveSettings(newSettings);
+        setIsSettingsOpen(false);
+        clearError();
+    };
+
+    // --- Effects ---
+
+    // Lay out the page in the interface language's direction
+    useEffect(() => {
+        document.documentElement.lang = i18n.locale;
+        document.documentElement.dir = i18n.dir;
+    }, [i18n]);
 
-            let result;
+    // Open the review view when the page is navigated to a share link
+    useEffect(() => {
+        const handleHashChange = () => setSharedLink(parseShareHash(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    // Persist the usage log as responses are recorded
+    useEffect(() => {
+        saveUsageLog(usageLog);
+    }, [usageLog]);
+
+    // Load the project list, merging in remote projects first when sync is enabled
+    useEffect(() => {
+        workspace.sync().then(refreshProjects);
+    }, [workspace, refreshProjects]);
+
+    // Autosave the current session a moment after the last change
+    useEffect(() => {
+        const serialized = JSON.stringify(sessionData);
+        if (serialized === lastSavedDataRef.current) return undefined;
+        if (!currentProject && !sessionData.simpleIdea.trim()) return undefined; // Nothing worth saving yet
+
+        const timer = setTimeout(async () => {
+            if (!currentProject && !pendingProjectRef.current) {
+                pendingProjectRef.current = createProject(suggestProjectName(sessionData.simpleIdea, t('projects.untitled')), sessionData);
+            }
+            const project = { ...(currentProject || pendingProjectRef.current), updatedAt: Date.now(), data: sessionData };
+            setSaveStatus('saving');
             try {
-                result = JSON.parse(rawResponseText);
-            } catch (jsonParseError) {
-                // If rawResponseText is not valid JSON, it's an unexpected format
-                throw new Error(`AI returned invalid response format: ${rawResponseText.substring(0, 100)}... (Error: ${jsonParseError.message})`);
+                await workspace.save(project);
+                lastSavedDataRef.current = serialized;
+                setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+                setSaveStatus('saved');
+                refreshProjects();
+            } catch (err) {
+                console.error('Autosave failed:', err);
+                setSaveStatus('error');
             }
+        }, AUTOSAVE_DELAY_MS);
 
-            if (
-                result.candidates &&
-                result.candidates.length > 0 &&
-                result.candidates[0].content &&
-                result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0
-            ) {
-                const textResult = result.candidates[0].content.parts[0].text;
-                if (responseSchema) {
-                    try {
-                        return JSON.parse(textResult);
-                    } catch (jsonError) {
-                        console.error("Failed to parse JSON from AI response:", textResult, jsonError);
-                        throw new Error("AI returned invalid JSON within its content. Please try again.");
-                    }
-                }
-                return textResult;
-            } else {
-                throw new Error('Unexpected API response structure or no content generated.');
+        return () => clearTimeout(timer);
+    }, [sessionData, currentProject, workspace, refreshProjects, t]);
+
+    // --- Event Handlers ---
+
+    /**
+     * Opens a saved project, replacing the current session.
+     * @param {string} id - Project id.
+     */
+    const handleOpenProject = async (id) => {
+        try {
+            const project = await workspace.get(id);
+            if (!project) {
+                setError(t('error.projectNotFound'));
+                refreshProjects();
+                return;
             }
+            stopAllRequests();
+            clearError();
+            applySessionData(project.data);
+            lastSavedDataRef.current = JSON.stringify(normalizeSession(project.data));
+            setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+            setIsSidebarOpen(false);
         } catch (err) {
-            console.error('Error calling Gemini API:', err);
-            setError(`Failed to connect to AI: ${err.message}. Please try again.`);
-            return responseSchema ? {} : ''; // Return empty object/string based on expected type
+            console.error('Failed to open project:', err);
+            setError(t('error.openProject', { message: err.message }));
         }
     };
 
-    // --- Event Handlers ---
+    /**
+     * Starts a fresh, unsaved session. It becomes a project once the user types an idea.
+     */
+    const handleNewProject = () => {
+        stopAllRequests();
+        clearError();
+        applySessionData(EMPTY_SESSION);
+        lastSavedDataRef.current = JSON.stringify(EMPTY_SESSION);
+        pendingProjectRef.current = null;
+        setCurrentProject(null);
+        setSaveStatus('idle');
+        setIsSidebarOpen(false);
+    };
+
+    /**
+     * Renames a saved project.
+     * @param {string} id - Project id.
+     * @param {string} name - New name.
+     */
+    const handleRenameProject = async (id, name) => {
+        try {
+            const project = await workspace.get(id);
+            if (!project) return;
+            await workspace.save({ ...project, name, updatedAt: Date.now() });
+            if (currentProject && currentProject.id === id) {
+                setCurrentProject({ ...currentProject, name });
+            }
+            refreshProjects();
+        } catch (err) {
+            console.error('Failed to rename project:', err);
+            setError(t('error.renameProject', { message: err.message }));
+        }
+    };
+
+    /**
+     * Saves a copy of a project under a new id.
+     * @param {string} id - Project id to copy.
+     */
+    const handleDuplicateProject = async (id) => {
+        try {
+            const project = await workspace.get(id);
+            if (!project) return;
+            await workspace.save(createProject(t('projects.copyName', { name: project.name }), project.data));
+            refreshProjects();
+        } catch (err) {
+            console.error('Failed to duplicate project:', err);
+            setError(t('error.duplicateProject', { message: err.message }));
+        }
+    };
+
+    /**
+     * Deletes a saved project. Deleting the open project starts a new session.
+     * @param {string} id - Project id.
+     */
+    const handleDeleteProject = async (id) => {
+        try {
+            await workspace.remove(id);
+            if (currentProject && currentProject.id === id) {
+                handleNewProject();
+            }
+            refreshProjects();
+        } catch (err) {
+            console.error('Failed to delete project:', err);
+            setError(t('error.deleteProject', { message: err.message }));
+        }
+    };
+
+    /**
+     * Scores the simple idea against the prompt tips and collects clarifying questions for
+     * the dimensions it leaves open.
+     */
+    const handleAnalyzeIdea = async () => {
+        if (!simpleIdea.trim()) {
+            setError(t('error.ideaToAnalyze'));
+            return;
+        }
+
+        setIsLoadingAnalysis(true);
+        const analyzedIdea = simpleIdea;
+
+        const analysisPrompt = `Evaluate this app idea as the starting point for a detailed app specification. Score it from 0 to 10 on each of these dimensions, mark a dimension as missing when the idea says nothing about it, and give one sentence of feedback per dimension:
+${IDEA_DIMENSIONS.map(({ key, label, tip }) => `- ${key} (${label}): ${tip}`).join('\n')}
+Then ask up to 6 short, targeted clarifying questions, each tied to the dimension it fills in, covering the missing or weakest dimensions first. Ask about this specific idea, not generic questions.
+App idea: '${analyzedIdea}'`;
+
+        try {
+            const result = await callGeminiApi(analysisPrompt, 'analyze', IDEA_ANALYSIS_SCHEMA, { check: checkIdeaAnalysis });
+            if (result !== null) { // null: failed (error already set) or stopped
+                setIdeaAnalysis(createIdeaAnalysis(analyzedIdea, result));
+                setClarifyingAnswers({}); // Answers belong to the previous questions
+            }
+        } finally {
+            setIsLoadingAnalysis(false);
+        }
+    };
 
     /**
      * Handles the prompt enhancement process.
      * Takes the simple idea and asks Gemini to expand it.
+     * @param {object} [options]
+     * @param {boolean} [options.bypassCache] - Skip the response cache, for a fresh prompt.
      */
-    const handleEnhancePrompt = async () => {
+    const handleEnhancePrompt = async ({ bypassCache = false } = {}) => {
         if (!simpleIdea.trim()) {
-            setError('Please enter a simple idea to enhance.');
+            setError(t('error.ideaToEnhance'));
             return;
         }
 
@@ -146,22 +881,44 @@ const App = () => {
         setAppPreview(null); // Clear previous app preview
         setEnhancedPrompt(''); // Clear previous enhanced prompt
         setCustomPrompt(''); // Clear custom prompt
-        setAppNamesSlogans(null); // Clear previous
-        setMonetizationStrategies(null); // Clear previous
-        setTechStackSuggestions(null); // Clear previous
+        clearAddOnResults();
+        setPromptVariants([]);
+        setRefinementChat([]);
+
+        // Meta-prompt from the selected template, with the idea and extra fields filled in
+        const enhancementPrompt = renderedEnhancementPrompt;
 
-        const enhancementPrompt = `You are an expert AI app developer. A user has a simple idea for an app. Your task is to expand this simple idea into a comprehensive, detailed, and inclusive prompt that can be used to generate a full app specification. Consider aspects like target audience, core features, key functionalities, potential user roles, non-functional requirements (performance, security, scalability), UI/UX considerations, and monetization strategies if applicable.
-        The output should be a well-structured prompt, ready to be fed into another AI model for app generation.
-        User's simple idea: '${simpleIdea}'`;
+        // When streaming, render tokens into the customizable prompt as they arrive
+        let streamedText = '';
+        const handleStreamText = (chunk) => {
+            if (!streamedText) {
+                setIsPromptEnhanced(true);
+                setTimeout(() => scrollToRef(enhancedPromptRef), 100);
+            }
+            streamedText += chunk;
+            setCustomPrompt(streamedText);
+        };
 
         try {
-            const generatedPrompt = await callGeminiApi(enhancementPrompt);
+            const generatedPrompt = await callGeminiApi(enhancementPrompt, 'enhance', null, {
+                onText: settings.streamEnhancement ? handleStreamText : undefined,
+                bypassCache,
+            });
+            if (generatedPrompt === null) {
+                // Stopped or failed: keep whatever was streamed so far so it can still be edited
+                setEnhancedPrompt(streamedText);
+                if (streamedText) addRevision(streamedText, 'ai');
+                return;
+            }
             if (generatedPrompt) {
                 setEnhancedPrompt(generatedPrompt);
+                addRevision(generatedPrompt, 'ai');
                 setCustomPrompt(generatedPrompt); // Initialize customPrompt with the generated prompt
                 setIsPromptEnhanced(true);
                 // Scroll to the enhanced prompt section after generation
-                setTimeout(() => scrollToRef(enhancedPromptRef), 100);
+                if (!streamedText) {
+                    setTimeout(() => scrollToRef(enhancedPromptRef), 100);
+                }
             }
         } finally {
             setIsLoadingEnhance(false);
@@ -169,466 +926,1461 @@ const App = () => {
     };
 
     /**
-     * Handles the app preview generation process.
-     * Uses the (potentially customized) enhanced prompt to get a conceptual app description from Gemini.
+     * Generates one enhanced prompt per row of the variant setup, all in parallel.
+     * Each variant streams into its own column when streaming is enabled.
      */
-    const handleGenerateAppPreview = async () => {
-        const promptToUse = customPrompt.trim(); // Use the customized prompt if available
-
-        if (!promptToUse) {
-            setError('Please enhance a prompt first or provide a custom prompt.');
+    const handleGenerateVariants = async () => {
+        if (!simpleIdea.trim()) {
+            setError(t('error.ideaToEnhance'));
             return;
         }
 
-        setIsLoadingPreview(true);
-        setAppPreview(null); // Clear previous app preview
-        setAppNamesSlogans(null); // Clear previous
-        setMonetizationStrategies(null); // Clear previous
-        setTechStackSuggestions(null); // Clear previous
-
-        // Modified prompt to request JSON output for structured preview
-        const appPreviewGenerationPrompt = `Based on the following detailed app prompt, describe a conceptual overview and key features of the application. Provide the output as a JSON object with the following keys:
-- "appName": (string) A suggested short, descriptive name for the app.
-- "tagline": (string) A short, catchy phrase summarizing the app.
-- "description": (string) A detailed overview of what the app does, who it's for, and its primary functionalities.
-- "keyFeatures": (array of strings) A list of the most important features.
-- "targetAudience": (string) The primary users the app is designed for.
-
-Ensure the output is valid JSON.
-Detailed App Prompt: '${promptToUse}'`;
-
-        // Define schema for app preview
-        const appPreviewSchema = {
-            type: "OBJECT",
-            properties: {
-                appName: { type: "STRING" },
-                tagline: { type: "STRING" },
-                description: { type: "STRING" },
-                keyFeatures: {
-                    type: "ARRAY",
-                    items: { type: "STRING" }
-                },
-                targetAudience: { type: "STRING" }
-            },
-            required: ["appName", "tagline", "description", "keyFeatures", "targetAudience"] // Corrected typo: targetAudient -> targetAudience
+        const variants = variantSetup.map(createVariant);
+        setPromptVariants(variants);
+        setLoadingVariantIds(variants.map((v) => v.id));
+        setIsVariantSetupOpen(false);
+
+        const updateVariantText = (id, update) => {
+            setPromptVariants((prev) => prev.map((v) => (v.id === id ? { ...v, text: update(v.text) } : v)));
         };
 
+        await Promise.all(variants.map(async (variant) => {
+            try {
+                const generatedPrompt = await callGeminiApi(applyFraming(renderedEnhancementPrompt, variant.framingId), 'enhance', null, {
+                    onText: settings.streamEnhancement ? (chunk) => updateVariantText(variant.id, (text) => text + chunk) : undefined,
+                    temperature: variant.temperature,
+                    requestKey: variantRequestKey(variant.id),
+                });
+                if (generatedPrompt !== null) { // null: failed (error already set) or stopped; keep what was streamed
+                    updateVariantText(variant.id, () => generatedPrompt);
+                }
+            } finally {
+                setLoadingVariantIds((prev) => prev.filter((id) => id !== variant.id));
+            }
+        }));
+    };
+
+    /**
+     * Stops every variant that is still generating.
+     */
+    const handleStopVariants = () => {
+        loadingVariantIds.forEach((id) => handleStopRequest(variantRequestKey(id)));
+    };
+
+    /**
+     * Makes a variant, or sections merged from several, the customizable prompt.
+     * @param {string} text - Prompt text to use.
+     * @param {'variant'|'merge'} source - Revision source to record.
+     */
+    const handleChooseVariantText = (text, source) => {
+        setEnhancedPrompt(text);
+        setCustomPrompt(text);
+        addRevision(text, source);
+        setIsPromptEnhanced(true);
+        setTimeout(() => scrollToRef(enhancedPromptRef), 100);
+    };
+
+    /**
+     * Exports the current session.
+     * @param {string} format - 'markdown', 'json', 'html' or 'pdf'.
+     */
+    const handleExport = (format) => {
+        const name = currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled'));
+        const fileStem = slugify(name);
+
+        switch (format) {
+            case 'markdown':
+                downloadFile(`${fileStem}-prd.md`, buildMarkdownPrd(sessionData, name), 'text/markdown');
+                break;
+            case 'json':
+                downloadFile(`${fileStem}.spec.json`, exportSpecJson(sessionData, name), 'application/json');
+                break;
+            case 'html':
+                downloadFile(`${fileStem}-report.html`, buildHtmlReport(sessionData, name), 'text/html');
+                break;
+            case 'pdf':
+                if (!printHtmlReport(buildHtmlReport(sessionData, name))) {
+                    setError(t('error.printWindow'));
+                }
+                break;
+            default:
+                break;
+        }
+    };
+
+    /**
+     * Downloads the backlog.
+     * @param {string} format - 'csv' or 'github' (GitHub issue payloads as JSON).
+     */
+    const handleExportBacklog = (format) => {
+        const fileStem = slugify(currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled')));
+        if (format === 'csv') {
+            downloadFile(`${fileStem}-backlog.csv`, buildBacklogCsv(backlog), 'text/csv');
+        } else {
+            downloadFile(`${fileStem}-github-issues.json`, buildGitHubIssues(backlog), 'application/json');
+        }
+    };
+
+    /**
+     * Downloads the project plan.
+     * @param {string} format - 'csv' or 'ical'.
+     */
+    const handleExportPlan = (format) => {
+        const projectName = currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled'));
+        const fileStem = slugify(projectName);
+        if (format === 'csv') {
+            downloadFile(`${fileStem}-plan.csv`, buildPlanCsv(projectPlan, planSchedule), 'text/csv');
+        } else {
+            downloadFile(`${fileStem}-plan.ics`, buildPlanICalendar(projectPlan, planSchedule, projectName), 'text/calendar');
+        }
+    };
+
+    /**
+     * Downloads the scaffold as a ZIP, with the files in a folder named after the project.
+     */
+    const handleDownloadScaffold = () => {
+        const fileStem = slugify(currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled')));
+        const archive = createZip(scaffold.files.map((file) => ({ path: `${fileStem}/${file.path}`, content: file.content })));
+        downloadFile(`${fileStem}-scaffold.zip`, new Blob([archive], { type: 'application/zip' }));
+    };
+
+    /**
+     * Downloads the ER diagram or the OpenAPI contract.
+     * @param {string} format - 'mermaid' or 'openapi'.
+     */
+    const handleExportDataModel = (format) => {
+        const fileStem = slugify(currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled')));
+        if (format === 'mermaid') {
+            downloadFile(`${fileStem}-erd.mmd`, apiDesign.erdSource, 'text/plain');
+        } else if (apiDesign.openApiIssues.length > 0) {
+            setError(t('error.invalidOpenApi'));
+        } else {
+            downloadFile(`${fileStem}-openapi.json`, JSON.stringify(apiDesign.openApiDocument, null, 2), 'application/json');
+        }
+    };
+
+    /**
+     * Imports a JSON spec as a new project and opens it.
+     * @param {File} file - The selected spec file.
+     */
+    const handleImport = async (file) => {
         try {
-            const parsedPreview = await callGeminiApi(appPreviewGenerationPrompt, 'gemini-2.0-flash', appPreviewSchema);
-            if (parsedPreview && parsedPreview.description) { // Check for a critical field
-                setAppPreview(parsedPreview); // Store the object
-                // Scroll to the app preview section after generation
-                setTimeout(() => scrollToRef(appPreviewRef), 100);
-            } else {
-                setError("Failed to generate a structured app preview. The AI might not have returned complete data or valid JSON.");
-                setAppPreview(null);
+            const { name, session } = parseSpecDocument(await readFileAsText(file), t('projects.imported'));
+            const project = createProject(name, session);
+            await workspace.save(project);
+            stopAllRequests();
+            clearError();
+            applySessionData(session);
+            lastSavedDataRef.current = JSON.stringify(session);
+            setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+            refreshProjects();
+        } catch (err) {
+            console.error('Import failed:', err);
+            setError(t('error.import', { message: err.message }));
+        }
+    };
+
+    /**
+     * Replaces and persists the user-defined templates.
+     * @param {Array<object>} templates - New list of user templates.
+     */
+    const handleUserTemplatesChange = (templates) => {
+        setUserTemplates(templates);
+        saveUserTemplates(templates);
+    };
+
+    /**
+     * Downloads templates as a JSON file.
+     * @param {Array<object>} templates - Templates to export.
+     */
+    const handleExportTemplates = (templates) => {
+        const fileStem = templates.length === 1 ? slugify(templates[0].name) : 'prompt-templates';
+        downloadFile(`${fileStem}.templates.json`, exportTemplates(templates), 'application/json');
+    };
+
+    /**
+     * Adds the templates from an exported JSON file to the user's library.
+     * @param {File} file - The selected file.
+     */
+    const handleImportTemplates = async (file) => {
+        try {
+            const imported = parseTemplatesFile(await readFileAsText(file));
+            handleUserTemplatesChange([...userTemplates, ...imported]);
+            clearError();
+        } catch (err) {
+            console.error('Template import failed:', err);
+            setError(t('error.templateImport', { message: err.message }));
+        }
+    };
+
+    /**
+     * Loads the ideas of a batch from an uploaded CSV or JSON file, replacing the previous batch.
+     * @param {File} file - The selected file.
+     */
+    const handleImportBatch = async (file) => {
+        try {
+            const ideas = parseBatchFile(await readFileAsText(file), file.name);
+            setBatchRows(ideas.map(createBatchRow));
+            clearError();
+        } catch (err) {
+            console.error('Batch import failed:', err);
+            const message = err instanceof BatchFileError ? t(`batch.importError.${err.code}`, err.params) : err.message;
+            setError(t('error.batchImport', { message }));
+        }
+    };
+
+    /**
+     * Updates one row of the batch.
+     * @param {string} id - Row id.
+     * @param {object} changes - Row fields to replace.
+     */
+    const updateBatchRow = (id, changes) => {
+        setBatchRows((prev) => prev.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+    };
+
+    /**
+     * Runs rows of the batch through enhance → preview and the chosen add-ons, a few rows at a time.
+     * Every request goes through one shared backoff, so a rate limit (429) pauses the whole batch before
+     * the request is retried. Failures are recorded on their row instead of the page error, and rows run
+     * again resume from the step that failed. Requests use the selected template and the current settings,
+     * and their usage is logged under the batch run rather than the open project.
+     * @param {Array<import('./batch.js').BatchRow>} rowsToRun - Rows to run, in order.
+     */
+    const runBatch = async (rowsToRun) => {
+        const controller = new AbortController();
+        batchControllerRef.current = controller;
+        setIsBatchRunning(true);
+        const ids = new Set(rowsToRun.map((row) => row.id));
+        setBatchRows((prev) => prev.map((row) => (
+            ids.has(row.id) ? { ...row, status: 'queued', error: '', resumeAt: null } : row
+        )));
+
+        const backoff = createBackoff({ maxRetries: batchOptions.maxRetries });
+        const batchId = createId();
+        const context = { template: activeTemplate, templateValues, markets: settings.language.markets };
+        const steps = ['enhance', 'preview', ...batchOptions.extras];
+
+        /**
+         * Input values of the built-in steps (see BUILT_IN_NODES), from a row and its results so far.
+         * @param {import('./batch.js').BatchRow} row
+         * @param {object} results
+         * @returns {object}
+         */
+        const stepInputs = (row, results) => ({
+            idea: row.idea,
+            prompt: results.enhancedPrompt,
+            appPreview: results.appPreview,
+            techStack: results.techStackSuggestions,
+        });
+
+        /**
+         * Runs the missing steps of one row; never throws.
+         * @param {import('./batch.js').BatchRow} row
+         */
+        const processRow = async (row) => {
+            const results = { ...row.results };
+            try {
+                for (const step of steps) {
+                    const key = BATCH_RESULT_KEYS[step];
+                    if (results[key]) continue; // Done in an earlier run
+                    const { promptText, schema, options, toResult = (response) => response } = BUILT_IN_NODES[step].buildRequest(
+                        stepInputs(row, results),
+                        context
+                    );
+                    const response = await backoff.run(() => {
+                        updateBatchRow(row.id, { status: 'running', step, resumeAt: null });
+                        return callGeminiApi(promptText, step, schema, { ...options, requestKey: `batch-${row.id}-${step}`, rethrow: true, batchId });
+                    }, {
+                        signal: controller.signal,
+                        onWait: (resumeAt) => updateBatchRow(row.id, { status: 'waiting', step, resumeAt }),
+                    });
+                    const value = response === null ? null : toResult(response);
+                    if (value === null) { // Stopped
+                        updateBatchRow(row.id, { status: 'stopped', resumeAt: null });
+                        return;
+                    }
+                    results[key] = value;
+                    updateBatchRow(row.id, { results: { ...results } });
+                }
+                updateBatchRow(row.id, { status: 'done', step: null, resumeAt: null });
+            } catch (err) {
+                const stopped = err.name === 'AbortError'; // Stopped during a backoff wait
+                updateBatchRow(row.id, { status: stopped ? 'stopped' : 'failed', error: stopped ? '' : err.message, resumeAt: null });
             }
-        } catch (e) {
-            // Error already set by callGeminiApi
-            setAppPreview(null); // Clear preview on error
+        };
+
+        try {
+            await runQueue(rowsToRun, processRow, { concurrency: batchOptions.concurrency, signal: controller.signal });
         } finally {
-            setIsLoadingPreview(false);
+            // Rows the queue never started
+            setBatchRows((prev) => prev.map((row) => (
+                ids.has(row.id) && row.status === 'queued' ? { ...row, status: 'stopped' } : row
+            )));
+            batchControllerRef.current = null;
+            setIsBatchRunning(false);
+        }
+    };
+
+    /**
+     * Stops the batch: no new rows start, and the requests and backoff waits in progress are cancelled.
+     */
+    const handleStopBatch = () => {
+        batchControllerRef.current?.abort();
+        Object.entries(abortControllersRef.current)
+            .filter(([requestKey]) => requestKey.startsWith('batch-'))
+            .forEach(([, controller]) => controller.abort());
+    };
+
+    /**
+     * Downloads the results of the batch.
+     * @param {'csv'|'json'} format - One row per idea, or every result in full.
+     */
+    const handleExportBatch = (format) => {
+        if (format === 'csv') {
+            downloadFile('batch-results.csv', buildBatchCsv(batchRows), 'text/csv');
+        } else {
+            downloadFile('batch-results.json', buildBatchJson(batchRows), 'application/json');
+        }
+    };
+
+    /**
+     * Saves a row of the batch as a new project and opens it, to continue with the other steps.
+     * @param {import('./batch.js').BatchRow} row
+     */
+    const handleOpenBatchRow = async (row) => {
+        const session = buildBatchSession(row, { templateId: activeTemplate.id, templateValues });
+        const project = createProject(row.results.appPreview?.appName || suggestProjectName(row.idea, t('projects.untitled')), session);
+        try {
+            await workspace.save(project);
+            stopAllRequests();
+            clearError();
+            applySessionData(session);
+            lastSavedDataRef.current = JSON.stringify(session);
+            setCurrentProject({ id: project.id, name: project.name, createdAt: project.createdAt });
+            setIsBatchOpen(false);
+            refreshProjects();
+        } catch (err) {
+            console.error('Failed to save the batch project:', err);
+            setError(t('error.batchOpen', { message: err.message }));
         }
     };
 
     /**
-     * Generates app names and slogans.
+     * Applies and persists an edited pipeline.
+     * @param {import('./pipeline.js').Pipeline} newPipeline
+     */
+    const handlePipelineChange = (newPipeline) => {
+        setPipeline(newPipeline);
+        savePipeline(newPipeline);
+    };
+
+    /**
+     * Runs the pipeline node by node with the selected template and the current settings.
+     * Each built-in step's result replaces the matching section of the page as soon as it arrives;
+     * custom steps' outputs are shown in the builder and saved with the project. Failures are
+     * recorded on their node rather than as the page error.
      */
-    const handleGenerateNamesSlogans = async () => {
-        if (!appPreview || !appPreview.description) {
-            setError('Please generate an app preview first.');
+    const handleRunPipeline = async () => {
+        if (Object.keys(validatePipeline(pipeline)).length > 0) return;
+        const usesInput = (key) => pipeline.nodes.some((node) => Object.values(node.bindings).includes(`input:${key}`));
+        if (usesInput('idea') && !simpleIdea.trim()) {
+            setError(t('error.ideaToEnhance'));
+            return;
+        }
+        if (usesInput('prompt') && !customPrompt.trim()) {
+            setError(t('error.promptFirst'));
             return;
         }
 
-        setIsLoadingNames(true);
-        setAppNamesSlogans(null); // Clear previous results
+        clearError();
+        const controller = new AbortController();
+        pipelineControllerRef.current = controller;
+        setIsPipelineRunning(true);
+        setPipelineStatuses(Object.fromEntries(pipeline.nodes.map((node) => [node.id, { status: 'queued', error: '' }])));
+        // A new prompt or preview invalidates the add-ons, as when those steps are run on their own
+        const types = pipeline.nodes.map((node) => node.type);
+        if (types.includes('enhance')) setAppPreview(null);
+        if (types.includes('enhance') || types.includes('preview')) clearAddOnResults();
+        setCustomStepResults(null);
 
-        const namesSlogansPrompt = `Generate 5 creative and catchy app names and 5 taglines for an app based on the following description. Provide the output as a JSON object with two keys: "names" (array of strings) and "taglines" (array of strings).
-        App Description: ${appPreview.description}`;
+        const context = {
+            template: activeTemplate,
+            templateValues,
+            markets: settings.language.markets,
+            clarifications: formatClarifications(ideaAnalysis, clarifyingAnswers),
+        };
+        const customResults = [];
 
-        const namesSlogansSchema = {
-            type: "OBJECT",
-            properties: {
-                names: { type: "ARRAY", items: { type: "STRING" } },
-                taglines: { type: "ARRAY", items: { type: "STRING" } }
-            },
-            required: ["names", "taglines"]
+        /**
+         * Shows a node's output where the app normally shows that step's result.
+         * @param {import('./pipeline.js').PipelineNode} node
+         * @param {any} output
+         */
+        const applyOutput = (node, output) => {
+            if (node.type === 'enhance') {
+                setEnhancedPrompt(output);
+                setCustomPrompt(output);
+                setIsPromptEnhanced(true);
+                addRevision(output, 'pipeline');
+            } else if (node.type === 'preview') {
+                setAppPreview(output);
+                setAppPreviewRevisionId(null);
+            } else if (node.type === 'custom') {
+                customResults.push({ nodeId: node.id, name: node.name, output: node.output, value: output });
+                setCustomStepResults([...customResults]);
+            } else {
+                builtInResultSetters[BUILT_IN_NODES[node.type].resultKey](output);
+            }
         };
 
         try {
-            const result = await callGeminiApi(namesSlogansPrompt, 'gemini-2.0-flash', namesSlogansSchema);
-            if (result && result.names && result.taglines) {
-                setAppNamesSlogans(result);
+            await runPipeline(pipeline, {
+                inputs: { idea: simpleIdea, prompt: customPrompt },
+                signal: controller.signal,
+                onStatus: (nodeId, status) => setPipelineStatuses((prev) => ({ ...prev, [nodeId]: status })),
+                runNode: async (node, values) => {
+                    const missing = BUILT_IN_NODES[node.type]?.requires?.(values);
+                    if (missing) throw new Error(t(`error.${missing}`));
+                    const step = node.type === 'custom' ? CUSTOM_STEP : node.type;
+                    const { promptText, schema, options, toResult = (response) => response } = buildNodeRequest(node, values, context);
+                    const response = await callGeminiApi(promptText, step, schema, { ...options, requestKey: `pipeline-${node.id}`, rethrow: true });
+                    if (response === null) return null; // Stopped
+                    const output = toResult(response);
+                    applyOutput(node, output);
+                    return output;
+                },
+            });
+        } finally {
+            pipelineControllerRef.current = null;
+            setIsPipelineRunning(false);
+        }
+    };
+
+    /**
+     * Stops the pipeline run: the request in progress is cancelled and no further node starts.
+     */
+    const handleStopPipeline = () => {
+        pipelineControllerRef.current?.abort();
+        Object.entries(abortControllersRef.current)
+            .filter(([requestKey]) => requestKey.startsWith('pipeline-'))
+            .forEach(([, controller]) => controller.abort());
+    };
+
+    /**
+     * Downloads the pipeline definition as JSON.
+     */
+    const handleExportPipeline = () => {
+        downloadFile(`${slugify(pipeline.name)}.pipeline.json`, exportPipeline(pipeline), 'application/json');
+    };
+
+    /**
+     * Replaces the pipeline with one from an exported JSON file.
+     * @param {File} file - The selected file.
+     */
+    const handleImportPipeline = async (file) => {
+        try {
+            handlePipelineChange(parsePipelineFile(await readFileAsText(file)));
+            setPipelineStatuses({});
+            clearError();
+        } catch (err) {
+            console.error('Pipeline import failed:', err);
+            const message = err instanceof PipelineFileError ? t(`pipeline.importError.${err.code}`, err.params) : err.message;
+            setError(t('error.pipelineImport', { message }));
+        }
+    };
+
+    /**
+     * Saves the current customizable prompt as a manual revision.
+     */
+    const handleSaveRevision = () => {
+        addRevision(customPrompt, 'manual');
+    };
+
+    /**
+     * Restores an older revision into the customizable prompt, recording the restore in the timeline.
+     * @param {object} revision - The revision to restore.
+     */
+    const handleRestoreRevision = (revision) => {
+        setCustomPrompt(revision.text);
+        addRevision(revision.text, 'restore', revision.id);
+    };
+
+    /**
+     * Sends a refinement instruction. The reply's proposed edits wait in the chat for the user to accept or reject.
+     * @param {string} instruction - What should change.
+     */
+    const handleSendRefinement = async (instruction) => {
+        const userMessage = createRefinementMessage('user', instruction);
+        const { history, promptText } = buildRefinementRequest(refinementChat, instruction, customPrompt, appPreview);
+        setRefinementChat((prev) => [...prev, userMessage]);
+        setIsLoadingRefinement(true);
+
+        try {
+            const response = await callGeminiApi(promptText, 'refine', REFINEMENT_SCHEMA, {
+                history,
+                check: checkRefinement(customPrompt),
+            });
+            if (response === null) {
+                // Failed or stopped: drop the unanswered instruction so the conversation keeps alternating
+                setRefinementChat((prev) => prev.filter((message) => message.id !== userMessage.id));
+                return;
+            }
+            setRefinementChat((prev) => [...prev, createRefinementReply(response, customPrompt, appPreview)]);
+        } finally {
+            setIsLoadingRefinement(false);
+        }
+    };
+
+    /**
+     * Accepts or rejects a proposed change from the refinement chat. Accepted prompt edits become a new revision.
+     * @param {string} messageId - Assistant message holding the proposal.
+     * @param {'prompt'|'preview'} part - Which change to decide on.
+     * @param {'accepted'|'rejected'} status - The decision.
+     */
+    const handleDecideRefinement = (messageId, part, status) => {
+        const change = refinementChat.find((message) => message.id === messageId)?.proposal?.[part];
+        if (!change) return;
+
+        if (status === 'accepted') {
+            if (part === 'prompt') {
+                setCustomPrompt(change.after);
+                addRevision(change.after, 'refine');
             } else {
-                setError("Failed to generate names/slogans. AI response was incomplete or malformed.");
-                setAppNamesSlogans(null);
+                setAppPreview(change.after);
             }
+        }
+        setRefinementChat((prev) => prev.map((message) => (
+            message.id === messageId
+                ? { ...message, proposal: { ...message.proposal, [part]: { ...change, status } } }
+                : message
+        )));
+    };
+
+    /**
+     * Handles the app preview generation process.
+     * Uses the (potentially customized) enhanced prompt to get a conceptual app description from Gemini.
+     * @param {object} [options]
+     * @param {boolean} [options.bypassCache] - Skip the response cache, for a fresh preview.
+     */
+    const handleGenerateAppPreview = async ({ bypassCache = false } = {}) => {
+        const promptToUse = customPrompt.trim(); // Use the customized prompt if available
+
+        if (!promptToUse) {
+            setError(t('error.promptFirst'));
+            return;
+        }
+
+        // Record the exact prompt this preview is generated from
+        const latestRevision = promptRevisions[promptRevisions.length - 1];
+        const sourceRevision = latestRevision && latestRevision.text === customPrompt
+            ? latestRevision
+            : createRevision(customPrompt, 'preview');
+        if (sourceRevision !== latestRevision) {
+            setPromptRevisions((prev) => [...prev, sourceRevision]);
+        }
+
+        setIsLoadingPreview(true);
+        setAppPreview(null); // Clear previous app preview
+        setAppPreviewRevisionId(null);
+        clearAddOnResults();
+
+        // Prompt requesting JSON output for structured preview, from the selected template
+        const { promptText, schema } = BUILT_IN_NODES.preview.buildRequest(
+            { prompt: promptToUse },
+            { template: activeTemplate, templateValues }
+        );
+
+        try {
+            // Already validated against the preview schema; null means the error has been set or the user stopped it
+            const parsedPreview = await callGeminiApi(promptText, 'preview', schema, { bypassCache });
+            if (parsedPreview === null) return;
+
+            setAppPreview(parsedPreview); // Store the object
+            setAppPreviewRevisionId(sourceRevision.id);
+            setPromptRevisions((prev) => prev.map((revision) => (
+                revision.id === sourceRevision.id
+                    ? { ...revision, previews: [...revision.previews, { createdAt: Date.now(), appName: parsedPreview.appName }] }
+                    : revision
+            )));
+            // Scroll to the app preview section after generation
+            setTimeout(() => scrollToRef(appPreviewRef), 100);
         } finally {
-            setIsLoadingNames(false);
+            setIsLoadingPreview(false);
         }
     };
 
     /**
-     * Generates monetization strategies.
+     * Runs an add-on step (see ADD_ON_STEPS) on the current results and shows its result.
+     * The step's preconditions, prompt and result come from its node (see BUILT_IN_NODES).
+     * @param {string} type - A key of BUILT_IN_NODES.
+     * @param {object} [options]
+     * @param {boolean} [options.bypassCache] - Skip the response cache, for a fresh result.
      */
-    const handleGenerateMonetizationStrategies = async () => {
-        if (!appPreview || !appPreview.description) {
-            setError('Please generate an app preview first.');
+    const handleGenerateAddOn = async (type, { bypassCache = false } = {}) => {
+        const node = BUILT_IN_NODES[type];
+        const values = { appPreview, prompt: customPrompt, techStack: techStackSuggestions, dataModel };
+        const missing = node.requires?.(values);
+        if (missing) {
+            setError(t(`error.${missing}`));
             return;
         }
 
-        setIsLoadingMonetization(true);
-        setMonetizationStrategies(null); // Clear previous results
-
-        const monetizationPrompt = `Based on the following app description, suggest 3-5 potential monetization strategies. For each strategy, briefly explain how it would work for this app. Provide the output as a JSON object with a single key "strategies" (array of objects, each with "name" and "description" keys).
-        App Description: ${appPreview.description}`;
-
-        const monetizationSchema = {
-            type: "OBJECT",
-            properties: {
-                strategies: {
-                    type: "ARRAY",
-                    items: {
-                        type: "OBJECT",
-                        properties: {
-                            name: { type: "STRING" },
-                            description: { type: "STRING" }
-                        },
-                        required: ["name", "description"]
-                    }
-                }
-            },
-            required: ["strategies"]
-        };
+        const setResult = builtInResultSetters[node.resultKey];
+        setLoadingSteps((prev) => ({ ...prev, [type]: true }));
+        setResult(null); // Clear previous results
 
+        const { promptText, schema, options, toResult = (response) => response } = node.buildRequest(
+            values,
+            { markets: settings.language.markets }
+        );
         try {
-            const result = await callGeminiApi(monetizationPrompt, 'gemini-2.0-flash', monetizationSchema);
-            if (result && result.strategies) {
-                setMonetizationStrategies(result.strategies);
-            } else {
-                setError("Failed to generate monetization strategies. AI response was incomplete or malformed.");
-                setMonetizationStrategies(null);
+            const result = await callGeminiApi(promptText, type, schema, { ...options, bypassCache });
+            if (result !== null) { // null: failed (error already set) or stopped
+                setResult(toResult(result));
             }
         } finally {
-            setIsLoadingMonetization(false);
+            setLoadingSteps((prev) => ({ ...prev, [type]: false }));
         }
     };
 
     /**
-     * Generates high-level tech stack suggestions.
+     * Whether an add-on step can't be started: it is generating, or a part of its result is being regenerated.
+     * @param {string} type - A key of ADD_ON_STEPS.
+     * @returns {boolean}
      */
-    const handleGenerateTechStack = async () => {
-        if (!appPreview || !appPreview.description) {
-            setError('Please generate an app preview first.');
-            return;
+    const isAddOnBusy = (type) => Boolean(loadingSteps[type])
+        || (type === 'mockup' && regeneratingScreenId !== null)
+        || (type === 'scaffold' && regeneratingFileId !== null);
+
+    /**
+     * Applies and persists new evaluation weights; every evaluated idea is re-ranked with them.
+     * @param {Object<string, number>} weights - Weight per criterion key.
+     */
+    const handleEvaluationWeightsChange = (weights) => {
+        const newSettings = { ...settings, evaluationWeights: weights };
+        setSettings(newSettings);
+        saveSettings(newSettings);
+    };
+
+    /**
+     * Appends compliance findings to the custom prompt as requirements and saves the result as a revision.
+     * @param {string[]} ids - Ids of the threats and controls to add.
+     */
+    const handleAddComplianceRequirements = (ids) => {
+        const findings = listComplianceFindings(complianceReview).filter((finding) => ids.includes(finding.id));
+        const newPrompt = appendComplianceRequirements(customPrompt, findings);
+        if (newPrompt !== customPrompt) {
+            setCustomPrompt(newPrompt);
+            addRevision(newPrompt, 'compliance');
         }
+        setComplianceReview(markFindingsInPrompt(complianceReview, ids));
+    };
+
+    /**
+     * Regenerates a single mockup screen, optionally following extra instructions.
+     * The screen keeps its name so links from other screens still work.
+     * @param {string} screenId - Id of the screen to replace.
+     * @param {string} instructions - What to change; may be empty.
+     */
+    const handleRegenerateMockupScreen = async (screenId, instructions) => {
+        const screenIndex = mockup.screens.findIndex((s) => s.id === screenId);
+        if (screenIndex === -1) return;
+        const screen = mockup.screens[screenIndex];
 
-        setIsLoadingTechStack(true);
-        setTechStackSuggestions(null); // Clear previous results
+        setRegeneratingScreenId(screenId);
 
-        const techStackPrompt = `Based on the following app description and its key features, suggest a high-level technology stack (e.g., Frontend, Backend, Database, Mobile). Focus on common, modern technologies suitable for the described app. Provide the output as a JSON object with keys like "frontend", "backend", "database", "mobile" (each a string or array of strings, or null if not applicable). If a category is not directly relevant, you can omit it or set its value to null/empty array.
-        App Description: ${appPreview.description}
-        Key Features: ${appPreview.keyFeatures ? appPreview.keyFeatures.join(', ') : 'Not provided'}`;
+        const otherScreens = mockup.screens.filter((s) => s.id !== screenId).map((s) => `"${s.name}"`).join(', ');
+        const screenPrompt = `Regenerate the "${screen.name}" screen of the clickable UI mockup of the following app. Keep the name "${screen.name}" and keep using the shared CSS below, adding inline styles only where needed. Return its "name", "purpose", "html" (markup inside <body>) and "script" (plain JavaScript or an empty string). Elements that lead to another screen carry data-screen="<exact screen name>"; the other screens are ${otherScreens || 'none'}. Do not load anything external.
+        ${instructions ? `Apply these changes: ${instructions}` : 'Produce an improved alternative design for this screen.'}
+        ${describePreviewForMockup(appPreview)}
+        Shared CSS:
+        ${mockup.styles}
+        Current HTML:
+        ${screen.html}
+        Current script:
+        ${screen.script || '(none)'}`;
 
-        const techStackSchema = {
-            type: "OBJECT",
-            properties: {
-                frontend: { type: "STRING" },
-                backend: { type: "STRING" },
-                database: { type: "STRING" },
-                mobile: { type: "STRING" },
-                // Add more specific categories if desired, e.g., 'cloudPlatform', 'aiIntegration'
+        try {
+            const result = await callGeminiApi(screenPrompt, 'mockup', SCREEN_SCHEMA, { requestKey: mockupScreenRequestKey(screenIndex) });
+            if (result !== null) { // null: failed (error already set) or stopped
+                setMockup((prev) => prev && {
+                    ...prev,
+                    screens: prev.screens.map((s) => (s.id === screenId
+                        ? { ...s, purpose: result.purpose, html: result.html, script: result.script }
+                        : s)),
+                });
             }
-        };
+        } finally {
+            setRegeneratingScreenId(null);
+        }
+    };
+
+
+    /**
+     * Regenerates a single scaffold file, optionally following extra instructions. The file keeps
+     * its path, and the rest of the tree is sent along so imports and names stay consistent.
+     * @param {string} fileId - Id of the file to replace.
+     * @param {string} instructions - What to change; may be empty.
+     */
+    const handleRegenerateScaffoldFile = async (fileId, instructions) => {
+        const file = scaffold.files.find((f) => f.id === fileId);
+        if (!file) return;
+
+        setRegeneratingFileId(fileId);
+
+        const filePrompt = `Regenerate the file "${file.path}" of the starter code scaffold for the following app. Keep it consistent with the other files listed below (imports, names, routes, dependencies and configuration variables) and return its one-line "purpose" and its complete "content".
+        ${instructions ? `Apply these changes: ${instructions}` : 'Produce an improved version of this file.'}
+        App Description: ${appPreview ? appPreview.description : 'Not provided'}
+        Tech Stack: ${scaffold.stack}
+        Files:
+        ${describeFileTree(scaffold)}
+        Current content:
+        ${file.content}`;
 
         try {
-            const result = await callGeminiApi(techStackPrompt, 'gemini-2.0-flash', techStackSchema);
-            if (result) { // Result can be empty object if no tech is suggested
-                setTechStackSuggestions(result);
-            } else {
-                setError("Failed to generate tech stack suggestions. AI response was incomplete or malformed.");
-                setTechStackSuggestions(null);
+            const result = await callGeminiApi(filePrompt, 'scaffold', SCAFFOLD_FILE_SCHEMA, { check: checkScaffoldFile(file.path) });
+            if (result !== null) { // null: failed (error already set) or stopped
+                setScaffold((prev) => prev && {
+                    ...prev,
+                    files: prev.files.map((f) => (f.id === fileId ? { ...f, purpose: result.purpose, content: result.content } : f)),
+                });
             }
         } finally {
-            setIsLoadingTechStack(false);
+            setRegeneratingFileId(null);
         }
     };
 
+    /**
+     * Saves the name comments are posted under.
+     * @param {string} name - Reviewer name.
+     */
+    const handleReviewerNameChange = (name) => {
+        const newSettings = { ...settings, review: { ...settings.review, name } };
+        setSettings(newSettings);
+        saveSettings(newSettings);
+    };
+
+    /**
+     * Creates a read-only review link for the current spec and adds it to the project's links.
+     * @param {'inline'|'stored'} mode - Embed the spec in the link, or save it to the share store.
+     */
+    const handleCreateShare = async (mode) => {
+        clearError();
+        setIsSharing(true);
+        try {
+            const projectName = currentProject ? currentProject.name : suggestProjectName(simpleIdea, t('projects.untitled'));
+            const share = createShare(sessionData, projectName, await shareStore.getUserId());
+            const baseUrl = window.location.href;
+            const url = await buildShareUrl(baseUrl, share, mode);
+            if (mode === 'inline' && url.length > MAX_INLINE_URL_LENGTH) {
+                setError(t('error.shareTooLong'));
+                return;
+            }
+            // Online, links with the spec embedded are recorded too, so their comments have a known author
+            if (mode === 'stored' || shareStore.isRemote) {
+                await shareStore.create(share, { includeDocument: mode === 'stored' });
+            }
+            setShares((prev) => [{ id: share.id, mode, url, createdAt: share.createdAt }, ...prev]);
+        } catch (err) {
+            console.error('Sharing failed:', err);
+            setError(t('error.share', { message: err.message }));
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    /**
+     * Leaves a shared spec for the editor, dropping the link from the address bar.
+     */
+    const handleExitReview = () => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        setSharedLink(null);
+    };
+
+    // A share link opens the read-only review view instead of the editor
+    if (sharedLink) {
+        return (
+            <I18nContext.Provider value={i18n}>
+                <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 font-inter text-gray-800 flex items-center justify-center">
+                    <div className="max-w-4xl w-full bg-white shadow-2xl rounded-xl p-8 sm:p-10 border border-blue-200">
+                        <SharedSpecView
+                            link={sharedLink}
+                            store={shareStore}
+                            reviewerName={settings.review.name}
+                            onReviewerNameChange={handleReviewerNameChange}
+                            onExit={handleExitReview}
+                        />
+                    </div>
+                </div>
+            </I18nContext.Provider>
+        );
+    }
 
     // --- JSX Structure ---
     return (
-        <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 font-inter text-gray-800 flex items-center justify-center">
-            {/* Custom CSS for animations */}
-            <style>
-                {`
-                @keyframes fade-in-down {
-                    from {
-                        opacity: 0;
-                        transform: translateY(-20px);
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4 font-inter text-gray-800 flex items-center justify-center">
+                {/* Custom CSS for animations */}
+                <style>
+                    {`
+                    @keyframes fade-in-down {
+                        from {
+                            opacity: 0;
+                            transform: translateY(-20px);
+                        }
+                        to {
+                            opacity: 1;
+                            transform: translateY(0);
+                        }
                     }
-                    to {
-                        opacity: 1;
-                        transform: translateY(0);
+                    @keyframes fade-in {
+                        from {
+                            opacity: 0;
+                        }
+                        to {
+                            opacity: 1;
+                        }
                     }
-                }
-                @keyframes fade-in {
-                    from {
-                        opacity: 0;
+                   .animate-fade-in-down {
+                        animation: fade-in-down 0.6s ease-out forwards;
                     }
-                    to {
-                        opacity: 1;
+                   .animate-fade-in {
+                        animation: fade-in 0.5s ease-out forwards;
                     }
-                }
-               .animate-fade-in-down {
-                    animation: fade-in-down 0.6s ease-out forwards;
-                }
-               .animate-fade-in {
-                    animation: fade-in 0.5s ease-out forwards;
-                }
-                `}
-            </style>
-            <div className="max-w-4xl w-full bg-white shadow-2xl rounded-xl p-8 sm:p-10 border border-blue-200">
-                {/* Header Section */}
-                <header className="mb-8 text-center">
-                    <h1 className="text-4xl font-extrabold text-indigo-700 mb-3 animate-fade-in-down">
-                        AI App Prompt Enhancer
-                    </h1>
-                    <p className="text-lg text-gray-600">
-                        Turn your simple app idea into a clear, comprehensive prompt and preview!
-                    </p>
-                </header>
-
-                {/* Simple Idea Input Section */}
-                <section className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner border border-blue-100 animate-fade-in">
-                    <h2 className="text-2xl font-semibold text-indigo-600 mb-4">1. Your Simple App Idea</h2>
-                    <textarea
-                        className="w-full p-4 border border-blue-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent transition duration-200 ease-in-out resize-y min-h-[100px]"
-                        placeholder="e.g., 'A to-do list app with reminders' or 'An app to track my daily water intake'"
-                        value={simpleIdea}
-                        onChange={(e) => {
-                            setSimpleIdea(e.target.value);
-                            clearError(); // Clear error when user types
-                            setIsPromptEnhanced(false); // Reset enhanced state on new input
-                            setAppPreview(null); // Clear preview
-                            setEnhancedPrompt(''); // Clear enhanced prompt
-                            setCustomPrompt(''); // Clear custom prompt
-                            setAppNamesSlogans(null);
-                            setMonetizationStrategies(null);
-                            setTechStackSuggestions(null);
-                        }}
-                        rows="4"
-                    ></textarea>
-                    <button
-                        onClick={handleEnhancePrompt}
-                        className="mt-4 w-full bg-indigo-600 text-white py-3 px-6 rounded-lg text-lg font-bold hover:bg-indigo-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md active:shadow-sm flex items-center justify-center"
-                        disabled={isLoadingEnhance}
-                    >
-                        {isLoadingEnhance ? (
-                            <>
-                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                </svg>
-                                Enhancing Prompt...
-                            </>
-                        ) : (
-                            'Enhance Prompt'
-                        )}
-                    </button>
-                </section>
-
-                {/* Error Display */}
-                {error && (
-                    <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-center animate-fade-in" role="alert">
-                        {error}
-                    </div>
-                )}
-
-                {/* Enhanced Prompt Section */}
-                {isPromptEnhanced && (
-                    <section ref={enhancedPromptRef} className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner border border-green-100 animate-fade-in">
-                        <h2 className="text-2xl font-semibold text-green-700 mb-4">2. Enhanced & Customizable Prompt</h2>
-                        <p className="text-gray-700 mb-3">
-                            Here's the detailed prompt generated from your idea. Feel free to customize it to refine your vision!
+                    `}
+                </style>
+                <div className="max-w-4xl w-full bg-white shadow-2xl rounded-xl p-8 sm:p-10 border border-blue-200">
+                    {/* Header Section */}
+                    <header className="mb-8 text-center">
+                        <h1 className="text-4xl font-extrabold text-indigo-700 mb-3 animate-fade-in-down">
+                            {t('app.title')}
+                        </h1>
+                        <p className="text-lg text-gray-600">
+                            {t('app.subtitle')}
                         </p>
+                        <div className="mt-4 flex flex-wrap gap-2 justify-center">
+                            <button
+                                onClick={() => setIsSidebarOpen(true)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                📁 {currentProject ? currentProject.name : t('header.projects')}
+                            </button>
+                            <button
+                                onClick={() => setIsSettingsOpen(!isSettingsOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                ⚙ {t('header.settings', { provider: PROVIDERS[settings.provider.type].label, model: settings.defaultModel })}
+                            </button>
+                            <button
+                                onClick={() => setIsUsageOpen(!isUsageOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                📊 {t('header.usage', { cost: formatCost(budgetStatus.daySpent) })}
+                            </button>
+                            <button
+                                onClick={() => setIsCacheOpen(!isCacheOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                🗄 {t(settings.cache.enabled ? 'header.cache' : 'header.cacheOff')}
+                            </button>
+                            <button
+                                onClick={() => setIsBatchOpen(!isBatchOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                🗂 {t(isBatchRunning ? 'header.batchRunning' : 'header.batch')}
+                            </button>
+                            <button
+                                onClick={() => setIsPipelineOpen(!isPipelineOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                🧩 {t(isPipelineRunning ? 'header.pipelineRunning' : 'header.pipeline')}
+                            </button>
+                            <button
+                                onClick={() => setIsLeaderboardOpen(!isLeaderboardOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                🏆 {t('header.leaderboard')}
+                            </button>
+                            <button
+                                onClick={() => setIsShareOpen(!isShareOpen)}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                            >
+                                🔗 {t('header.share')}
+                            </button>
+                            <ExportMenu
+                                onExport={handleExport}
+                                onImport={handleImport}
+                                canExport={Boolean(simpleIdea.trim() || customPrompt.trim() || appPreview)}
+                            />
+                        </div>
+                    </header>
+
+                    {/* Settings Panel */}
+                    {isSettingsOpen && (
+                        <SettingsPanel
+                            settings={settings}
+                            onSave={handleSaveSettings}
+                            onClose={() => setIsSettingsOpen(false)}
+                            hasFirebaseConfig={Boolean(firebaseConfig.projectId)}
+                        />
+                    )}
+
+                    {/* Review Links */}
+                    {isShareOpen && (
+                        <SharePanel
+                            shares={shares}
+                            canShare={Boolean(customPrompt.trim() || appPreview)}
+                            isSharing={isSharing}
+                            isStoreRemote={shareStore.isRemote}
+                            onCreate={handleCreateShare}
+                            onClose={() => setIsShareOpen(false)}
+                        />
+                    )}
+
+                    {/* Usage Dashboard */}
+                    {isUsageOpen && (
+                        <UsageDashboard
+                            records={usageLog}
+                            projects={projects}
+                            budgetStatus={budgetStatus}
+                            budget={settings.budget}
+                            hasProject={Boolean(currentProject)}
+                            onClear={() => updateUsageLog([])}
+                            onClose={() => setIsUsageOpen(false)}
+                        />
+                    )}
+
+                    {/* Response Cache Inspector */}
+                    {isCacheOpen && (
+                        <CacheInspector
+                            cache={responseCache}
+                            ttlMs={cacheTtlMs}
+                            maxBytes={cacheMaxBytes}
+                            onClose={() => setIsCacheOpen(false)}
+                        />
+                    )}
+
+                    {/* Batch Mode */}
+                    {isBatchOpen && (
+                        <BatchPanel
+                            rows={batchRows}
+                            options={batchOptions}
+                            onOptionsChange={setBatchOptions}
+                            isRunning={isBatchRunning}
+                            onImport={handleImportBatch}
+                            onStart={() => runBatch(batchRows.filter((row) => row.status === 'queued'))}
+                            onStop={handleStopBatch}
+                            onRetry={() => runBatch(batchRows.filter((row) => row.status === 'failed' || row.status === 'stopped'))}
+                            onExport={handleExportBatch}
+                            onOpenRow={handleOpenBatchRow}
+                            onClear={() => setBatchRows([])}
+                            onClose={() => setIsBatchOpen(false)}
+                        />
+                    )}
+
+                    {/* Pipeline Builder */}
+                    {isPipelineOpen && (
+                        <PipelineBuilder
+                            pipeline={pipeline}
+                            onChange={handlePipelineChange}
+                            statuses={pipelineStatuses}
+                            results={customStepResults}
+                            isRunning={isPipelineRunning}
+                            onRun={handleRunPipeline}
+                            onStop={handleStopPipeline}
+                            onExport={handleExportPipeline}
+                            onImport={handleImportPipeline}
+                            onClose={() => setIsPipelineOpen(false)}
+                        />
+                    )}
+
+                    {/* Evaluation Leaderboard */}
+                    {isLeaderboardOpen && (
+                        <EvaluationLeaderboard
+                            entries={leaderboard}
+                            currentId={evaluation ? (currentProject ? currentProject.id : UNSAVED_IDEA_ID) : null}
+                            weights={settings.evaluationWeights}
+                            onWeightsChange={handleEvaluationWeightsChange}
+                            onOpen={handleOpenProject}
+                            onClose={() => setIsLeaderboardOpen(false)}
+                        />
+                    )}
+
+                    {/* Budget Warning */}
+                    {(budgetStatus.dayExceeded || budgetStatus.projectExceeded) && (
+                        <div className="mb-6 p-4 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg text-center animate-fade-in" role="status">
+                            {budgetStatus.dayExceeded
+                                ? t('budget.reachedDaily', { limit: formatCost(settings.budget.dailyLimitUsd) })
+                                : t('budget.reachedProject', { limit: formatCost(settings.budget.projectLimitUsd) })}
+                            {' '}
+                            {t(settings.budget.action === 'block' ? 'budget.blocked' : 'budget.warned')}
+                        </div>
+                    )}
+
+                    {/* Template Library */}
+                    {isTemplateLibraryOpen && (
+                        <TemplateLibrary
+                            builtInTemplates={BUILTIN_TEMPLATES}
+                            userTemplates={userTemplates}
+                            onChange={handleUserTemplatesChange}
+                            onExport={handleExportTemplates}
+                            onImport={handleImportTemplates}
+                            onClose={() => setIsTemplateLibraryOpen(false)}
+                        />
+                    )}
+
+                    {/* Project Sidebar */}
+                    {isSidebarOpen && (
+                        <ProjectSidebar
+                            projects={projects}
+                            currentProjectId={currentProject ? currentProject.id : null}
+                            saveStatus={saveStatus}
+                            isSyncEnabled={workspace.hasRemote}
+                            onOpen={handleOpenProject}
+                            onNew={handleNewProject}
+                            onRename={handleRenameProject}
+                            onDuplicate={handleDuplicateProject}
+                            onDelete={handleDeleteProject}
+                            onClose={() => setIsSidebarOpen(false)}
+                        />
+                    )}
+
+                    {/* Simple Idea Input Section */}
+                    <section className="mb-8 p-6 bg-blue-50 rounded-lg shadow-inner border border-blue-100 animate-fade-in">
+                        <h2 className="text-2xl font-semibold text-indigo-600 mb-4">{t('idea.heading')}</h2>
                         <textarea
-                            className="w-full p-4 border border-green-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-transparent transition duration-200 ease-in-out resize-y min-h-[250px]"
-                            value={customPrompt}
-                            onChange={(e) => setCustomPrompt(e.target.value)}
-                            rows="10"
+                            className="w-full p-4 border border-blue-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent transition duration-200 ease-in-out resize-y min-h-[100px]"
+                            placeholder={t('idea.placeholder')}
+                            dir="auto"
+                            value={simpleIdea}
+                            onChange={(e) => {
+                                // Results are kept until the prompt is enhanced again, so editing a reopened project loses nothing
+                                setSimpleIdea(e.target.value);
+                                clearError(); // Clear error when user types
+                            }}
+                            rows="4"
                         ></textarea>
+                        <TemplatePicker
+                            templates={allTemplates}
+                            template={activeTemplate}
+                            values={templateValues}
+                            renderedPrompt={renderedEnhancementPrompt}
+                            onTemplateChange={setTemplateId}
+                            onValuesChange={setTemplateValues}
+                            onManage={() => setIsTemplateLibraryOpen(true)}
+                        />
+                        <div className="mt-4 flex flex-wrap gap-2">
+                            <button
+                                onClick={handleAnalyzeIdea}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 bg-white hover:bg-indigo-50 transition duration-200 disabled:opacity-50"
+                                disabled={isLoadingAnalysis || !simpleIdea.trim()}
+                            >
+                                {t(isLoadingAnalysis ? 'idea.analyzing' : ideaAnalysis ? 'idea.reanalyze' : 'idea.analyze')}
+                            </button>
+                            {isLoadingAnalysis && <StopButton onClick={() => handleStopRequest('analyze')} />}
+                        </div>
+                        {ideaAnalysis && (
+                            <IdeaAnalysisPanel
+                                analysis={ideaAnalysis}
+                                isStale={ideaAnalysis.idea !== simpleIdea}
+                                answers={clarifyingAnswers}
+                                onAnswersChange={setClarifyingAnswers}
+                                onEnhance={() => handleEnhancePrompt()}
+                                isEnhancing={isLoadingEnhance}
+                            />
+                        )}
                         <button
-                            onClick={handleGenerateAppPreview}
-                            className="mt-4 w-full bg-teal-600 text-white py-3 px-6 rounded-lg text-lg font-bold hover:bg-teal-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md active:shadow-sm flex items-center justify-center"
-                            disabled={isLoadingPreview || !customPrompt.trim()}
+                            onClick={() => handleEnhancePrompt()}
+                            className="mt-4 w-full bg-indigo-600 text-white py-3 px-6 rounded-lg text-lg font-bold hover:bg-indigo-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md active:shadow-sm flex items-center justify-center"
+                            disabled={isLoadingEnhance}
                         >
-                            {isLoadingPreview ? (
+                            {isLoadingEnhance ? (
                                 <>
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Generating Preview...
+                                    <Spinner />
+                                    {t('enhance.loading')}
                                 </>
                             ) : (
-                                'Generate App Preview'
+                                t('enhance.button')
                             )}
                         </button>
+                        {isLoadingEnhance && (
+                            <StopButton onClick={() => handleStopRequest('enhance')} className="mt-2 w-full" />
+                        )}
+                        {simpleIdea.trim() && !isLoadingEnhance && (
+                            <p className="mt-2 text-xs text-center text-gray-500">
+                                {t('enhance.tokens', { tokens: enhancementTokens.toLocaleString(i18n.locale) })}
+                                {enhancementPrice && ` · ${t('enhance.cost', { cost: formatCost(computeCost(enhancementPrice, { promptTokens: enhancementTokens, outputTokens: 0 })) })}`}
+                            </p>
+                        )}
+                        <button
+                            onClick={() => setIsVariantSetupOpen(!isVariantSetupOpen)}
+                            className="mt-2 w-full py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 bg-white hover:bg-indigo-50 transition duration-200"
+                        >
+                            {t(isVariantSetupOpen ? 'variants.close' : 'variants.open')}
+                        </button>
+                        {isVariantSetupOpen && (
+                            <VariantSetup
+                                setup={variantSetup}
+                                onChange={setVariantSetup}
+                                onGenerate={handleGenerateVariants}
+                                onStop={handleStopVariants}
+                                isGenerating={loadingVariantIds.length > 0}
+                                disabled={!simpleIdea.trim()}
+                            />
+                        )}
                     </section>
-                )}
-
-                {/* App Preview Section */}
-                {appPreview && (
-                    <section ref={appPreviewRef} className="mb-8 p-6 bg-purple-50 rounded-lg shadow-inner border border-purple-100 animate-fade-in">
-                        <h2 className="text-2xl font-semibold text-purple-700 mb-4">3. App Preview</h2>
-                        <div className="prose lg:prose-lg max-w-none text-gray-800 bg-white p-5 rounded-lg border border-purple-200">
-                            {appPreview.appName && <h3 className="text-xl font-bold text-purple-600 mb-2">{appPreview.appName}</h3>}
-                            {appPreview.tagline && <p className="text-md italic text-gray-600 mb-3">"{appPreview.tagline}"</p>}
-                            {appPreview.description && <p className="mb-4 whitespace-pre-wrap">{appPreview.description}</p>}
-
-                            {appPreview.keyFeatures && appPreview.keyFeatures.length > 0 && (
-                                <>
-                                    <h4 className="text-lg font-semibold text-purple-600 mb-2">Key Features:</h4>
-                                    <ul className="list-disc list-inside ml-4 mb-4">
-                                        {appPreview.keyFeatures.map((feature, index) => (
-                                            <li key={index}>{feature}</li>
-                                        ))}
-                                    </ul>
-                                </>
-                            )}
 
-                            {appPreview.targetAudience && (
-                                <p><strong>Target Audience:</strong> {appPreview.targetAudience}</p>
-                            )}
+                    {/* Error Display */}
+                    {error && (
+                        <div className="mb-6 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg text-center animate-fade-in" role="alert">
+                            {error}
                         </div>
+                    )}
 
-                        {/* Buttons for new functionalities */}
-                        <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
-                            <button
-                                onClick={handleGenerateNamesSlogans}
-                                className="bg-pink-600 text-white py-3 px-4 rounded-lg text-md font-bold hover:bg-pink-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md flex items-center justify-center"
-                                disabled={isLoadingNames}
-                            >
-                                {isLoadingNames ? (
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                ) : (
-                                    'Suggest App Names & Slogans ✨'
-                                )}
-                            </button>
+                    {/* Prompt Variants Section */}
+                    {promptVariants.length > 0 && (
+                        <section className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner border border-green-100 animate-fade-in">
+                            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                                <h2 className="text-2xl font-semibold text-green-700">{t('variants.heading')}</h2>
+                                {loadingVariantIds.length > 0 && <StopButton label={t('variants.stop')} onClick={handleStopVariants} />}
+                            </div>
+                            <p className="text-gray-700 mb-3">
+                                {t('variants.intro')}
+                            </p>
+                            <VariantComparison
+                                variants={promptVariants}
+                                loadingIds={loadingVariantIds}
+                                onUse={(variant) => handleChooseVariantText(variant.text, 'variant')}
+                                onMerge={(text) => handleChooseVariantText(text, 'merge')}
+                                onDiscard={() => setPromptVariants([])}
+                            />
+                        </section>
+                    )}
 
+                    {/* Enhanced Prompt Section */}
+                    {isPromptEnhanced && (
+                        <section ref={enhancedPromptRef} className="mb-8 p-6 bg-green-50 rounded-lg shadow-inner border border-green-100 animate-fade-in">
+                            <h2 className="text-2xl font-semibold text-green-700 mb-4">{t('prompt.heading')}</h2>
+                            <p className="text-gray-700 mb-3">
+                                {t('prompt.intro')}
+                            </p>
+                            <textarea
+                                className="w-full p-4 border border-green-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-transparent transition duration-200 ease-in-out resize-y min-h-[250px]"
+                                value={customPrompt}
+                                onChange={(e) => setCustomPrompt(e.target.value)}
+                                readOnly={isLoadingEnhance} // Locked while the enhancement is still streaming in
+                                dir="auto"
+                                rows="10"
+                            ></textarea>
+                            {cachedResults.enhance && !isLoadingEnhance && (
+                                <CacheNotice label={t('prompt.cached')} onRegenerate={() => handleEnhancePrompt({ bypassCache: true })} />
+                            )}
+                            <div className="mt-2 flex flex-wrap gap-2 justify-end">
+                                <button
+                                    onClick={handleSaveRevision}
+                                    className="py-2 px-4 rounded-lg text-sm font-semibold text-green-700 border border-green-300 bg-white hover:bg-green-50 transition duration-200 disabled:opacity-50"
+                                    disabled={isLoadingEnhance || !customPrompt.trim() || promptRevisions[promptRevisions.length - 1]?.text === customPrompt}
+                                >
+                                    {t('prompt.saveRevision')}
+                                </button>
+                                <button
+                                    onClick={() => setIsHistoryOpen(!isHistoryOpen)}
+                                    className="py-2 px-4 rounded-lg text-sm font-semibold text-green-700 border border-green-300 bg-white hover:bg-green-50 transition duration-200"
+                                >
+                                    {isHistoryOpen ? t('prompt.hideHistory') : t('prompt.history', { count: promptRevisions.length })}
+                                </button>
+                            </div>
+                            {isHistoryOpen && (
+                                <div className="mt-4 p-4 bg-green-100 bg-opacity-50 rounded-lg border border-green-200">
+                                    <h3 className="text-lg font-semibold text-green-700 mb-3">{t('prompt.historyHeading')}</h3>
+                                    <PromptHistory
+                                        revisions={promptRevisions}
+                                        currentText={customPrompt}
+                                        previewRevisionId={appPreview ? appPreviewRevisionId : null}
+                                        onRestore={handleRestoreRevision}
+                                    />
+                                </div>
+                            )}
                             <button
-                                onClick={handleGenerateMonetizationStrategies}
-                                className="bg-orange-600 text-white py-3 px-4 rounded-lg text-md font-bold hover:bg-orange-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md flex items-center justify-center"
-                                disabled={isLoadingMonetization}
+                                onClick={() => handleGenerateAppPreview()}
+                                className="mt-4 w-full bg-teal-600 text-white py-3 px-6 rounded-lg text-lg font-bold hover:bg-teal-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md active:shadow-sm flex items-center justify-center"
+                                disabled={isLoadingPreview || !customPrompt.trim()}
                             >
-                                {isLoadingMonetization ? (
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
+                                {isLoadingPreview ? (
+                                    <>
+                                        <Spinner />
+                                        {t('preview.loading')}
+                                    </>
                                 ) : (
-                                    'Brainstorm Monetization ✨'
+                                    t('preview.button')
                                 )}
                             </button>
+                            {isLoadingPreview && (
+                                <StopButton onClick={() => handleStopRequest('preview')} className="mt-2 w-full" />
+                            )}
+                        </section>
+                    )}
 
-                            <button
-                                onClick={handleGenerateTechStack}
-                                className="bg-blue-600 text-white py-3 px-4 rounded-lg text-md font-bold hover:bg-blue-700 transition duration-300 ease-in-out transform hover:scale-105 shadow-md flex items-center justify-center"
-                                disabled={isLoadingTechStack}
-                            >
-                                {isLoadingTechStack ? (
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                ) : (
-                                    'Suggest Tech Stack ✨'
-                                )}
-                            </button>
-                        </div>
+                    {/* Refinement Chat Section */}
+                    {isPromptEnhanced && (
+                        <section className="mb-8 p-6 bg-sky-50 rounded-lg shadow-inner border border-sky-100 animate-fade-in">
+                            <h2 className="text-2xl font-semibold text-sky-700 mb-4">{t('refine.heading')}</h2>
+                            <p className="text-gray-700 mb-3">
+                                {t(appPreview ? 'refine.introWithPreview' : 'refine.intro')}
+                            </p>
+                            <RefinementChat
+                                messages={refinementChat}
+                                currentPrompt={customPrompt}
+                                currentPreview={appPreview}
+                                isSending={isLoadingRefinement}
+                                onSend={handleSendRefinement}
+                                onStop={() => handleStopRequest('refine')}
+                                onDecide={handleDecideRefinement}
+                                onClear={() => setRefinementChat([])}
+                            />
+                        </section>
+                    )}
+
+                    {/* App Preview Section */}
+                    {appPreview && (
+                        <section ref={appPreviewRef} className="mb-8 p-6 bg-purple-50 rounded-lg shadow-inner border border-purple-100 animate-fade-in">
+                            <h2 className="text-2xl font-semibold text-purple-700 mb-4">{t('preview.heading')}</h2>
+                            {appPreviewRevisionId && promptRevisions.some((r) => r.id === appPreviewRevisionId) && (
+                                <p className="-mt-2 mb-4 text-sm text-gray-500">
+                                    {t('preview.fromRevision', { number: promptRevisions.findIndex((r) => r.id === appPreviewRevisionId) + 1 })}
+                                </p>
+                            )}
+                            <div className="prose lg:prose-lg max-w-none text-gray-800 bg-white p-5 rounded-lg border border-purple-200">
+                                {appPreview.appName && <h3 className="text-xl font-bold text-purple-600 mb-2">{appPreview.appName}</h3>}
+                                {appPreview.tagline && <p className="text-md italic text-gray-600 mb-3">"{appPreview.tagline}"</p>}
+                                {appPreview.description && <p className="mb-4 whitespace-pre-wrap">{appPreview.description}</p>}
 
-                        {/* Display App Names & Slogans */}
-                        {appNamesSlogans && (
-                            <div className="mt-8 p-5 bg-pink-50 rounded-lg border border-pink-200 animate-fade-in">
-                                <h4 className="text-lg font-semibold text-pink-700 mb-3">Suggested Names & Slogans:</h4>
-                                {appNamesSlogans.names && appNamesSlogans.names.length > 0 && (
+                                {appPreview.keyFeatures && appPreview.keyFeatures.length > 0 && (
                                     <>
-                                        <p className="font-medium text-pink-600">Names:</p>
-                                        <ul className="list-disc list-inside ml-4 mb-2 text-gray-800">
-                                            {appNamesSlogans.names.map((name, index) => <li key={index}>{name}</li>)}
+                                        <h4 className="text-lg font-semibold text-purple-600 mb-2">{t('preview.keyFeatures')}</h4>
+                                        <ul className="list-disc list-inside ms-4 mb-4">
+                                            {appPreview.keyFeatures.map((feature, index) => (
+                                                <li key={index}>{feature}</li>
+                                            ))}
                                         </ul>
                                     </>
                                 )}
-                                {appNamesSlogans.taglines && appNamesSlogans.taglines.length > 0 && (
-                                    <>
-                                        <p className="font-medium text-pink-600 mt-3">Taglines:</p>
-                                        <ul className="list-disc list-inside ml-4 text-gray-800">
-                                            {appNamesSlogans.taglines.map((tagline, index) => <li key={index}>"{tagline}"</li>)}
-                                        </ul>
-                                    </>
+
+                                {appPreview.targetAudience && (
+                                    <p><strong>{t('preview.targetAudience')}</strong> {appPreview.targetAudience}</p>
                                 )}
                             </div>
-                        )}
+                            {cachedResults.preview && (
+                                <CacheNotice
+                                    label={t('preview.cached')}
+                                    onRegenerate={() => handleGenerateAppPreview({ bypassCache: true })}
+                                    disabled={isLoadingPreview}
+                                />
+                            )}
 
-                        {/* Display Monetization Strategies */}
-                        {monetizationStrategies && monetizationStrategies.length > 0 && (
-                            <div className="mt-8 p-5 bg-orange-50 rounded-lg border border-orange-200 animate-fade-in">
-                                <h4 className="text-lg font-semibold text-orange-700 mb-3">Monetization Strategies:</h4>
-                                <ul className="list-disc list-inside ml-4 text-gray-800 space-y-2">
-                                    {monetizationStrategies.map((strategy, index) => (
-                                        <li key={index}>
-                                            <strong className="text-orange-600">{strategy.name}:</strong> {strategy.description}
-                                        </li>
-                                    ))}
-                                </ul>
+                            {/* Buttons for the add-on steps */}
+                            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {ADD_ON_STEPS.map((type) => (
+                                    <button
+                                        key={type}
+                                        onClick={() => handleGenerateAddOn(type)}
+                                        className={`${ADD_ON_BUTTON_COLORS[type]} text-white py-3 px-4 rounded-lg text-md font-bold transition duration-300 ease-in-out transform hover:scale-105 shadow-md flex items-center justify-center`}
+                                        disabled={isAddOnBusy(type)}
+                                    >
+                                        {loadingSteps[type] ? <Spinner /> : t(`addOn.${type}`)}
+                                    </button>
+                                ))}
                             </div>
-                        )}
+                            {ADD_ON_STEPS.some((type) => loadingSteps[type]) && (
+                                <div className="mt-3 flex flex-wrap gap-2 justify-center">
+                                    {ADD_ON_STEPS.filter((type) => loadingSteps[type]).map((type) => (
+                                        <StopButton key={type} label={t('stop.step', { step: t(`step.${type}`) })} onClick={() => handleStopRequest(type)} />
+                                    ))}
+                                </div>
+                            )}
+                            {ADD_ON_STEPS.filter((type) => sessionData[BUILT_IN_NODES[type].resultKey] && cachedResults[type]).map((type) => (
+                                <CacheNotice
+                                    key={type}
+                                    label={t(`step.${type}`)}
+                                    onRegenerate={() => handleGenerateAddOn(type, { bypassCache: true })}
+                                    disabled={isAddOnBusy(type)}
+                                />
+                            ))}
 
-                        {/* Display Tech Stack Suggestions */}
-                        {techStackSuggestions && (
-                            <div className="mt-8 p-5 bg-blue-50 rounded-lg border border-blue-200 animate-fade-in">
-                                <h4 className="text-lg font-semibold text-blue-700 mb-3">High-Level Tech Stack Suggestions:</h4>
-                                <ul className="list-disc list-inside ml-4 text-gray-800 space-y-1">
-                                    {techStackSuggestions.frontend && <li><strong>Frontend:</strong> {techStackSuggestions.frontend}</li>}
-                                    {techStackSuggestions.backend && <li><strong>Backend:</strong> {techStackSuggestions.backend}</li>}
-                                    {techStackSuggestions.database && <li><strong>Database:</strong> {techStackSuggestions.database}</li>}
-                                    {techStackSuggestions.mobile && <li><strong>Mobile Specific:</strong> {techStackSuggestions.mobile}</li>}
-                                    {Object.keys(techStackSuggestions).length === 0 && <p>No specific tech stack suggestions at this time.</p>}
-                                </ul>
-                            </div>
-                        )}
+                            {/* Display App Names & Slogans */}
+                            {appNamesSlogans && (
+                                <div className="mt-8 p-5 bg-pink-50 rounded-lg border border-pink-200 animate-fade-in">
+                                    <h4 className="text-lg font-semibold text-pink-700 mb-3">{t('names.heading')}</h4>
+                                    {appNamesSlogans.names && appNamesSlogans.names.length > 0 && (
+                                        <>
+                                            <p className="font-medium text-pink-600">{t('names.names')}</p>
+                                            <ul className="list-disc list-inside ms-4 mb-2 text-gray-800">
+                                                {appNamesSlogans.names.map((name, index) => <li key={index}>{name}</li>)}
+                                            </ul>
+                                        </>
+                                    )}
+                                    {appNamesSlogans.taglines && appNamesSlogans.taglines.length > 0 && (
+                                        <>
+                                            <p className="font-medium text-pink-600 mt-3">{t('names.taglines')}</p>
+                                            <ul className="list-disc list-inside ms-4 text-gray-800">
+                                                {appNamesSlogans.taglines.map((tagline, index) => <li key={index}>"{tagline}"</li>)}
+                                            </ul>
+                                        </>
+                                    )}
+                                    {appNamesSlogans.localized && appNamesSlogans.localized.length > 0 && (
+                                        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+                                            {appNamesSlogans.localized.map(({ market, names, taglines }) => (
+                                                <div key={market} className="p-3 bg-white rounded-lg border border-pink-200" lang={market} dir="auto">
+                                                    <p className="font-medium text-pink-600 mb-1">
+                                                        {t('names.forMarket', { market: describeLanguageTag(market, i18n.locale) })}
+                                                    </p>
+                                                    <ul className="list-disc list-inside ms-4 text-gray-800">
+                                                        {names.map((name, index) => <li key={index}>{name}</li>)}
+                                                    </ul>
+                                                    <ul className="list-disc list-inside ms-4 mt-2 text-gray-600 italic">
+                                                        {taglines.map((tagline, index) => <li key={index}>"{tagline}"</li>)}
+                                                    </ul>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Display Monetization Strategies */}
+                            {monetizationStrategies && monetizationStrategies.length > 0 && (
+                                <div className="mt-8 p-5 bg-orange-50 rounded-lg border border-orange-200 animate-fade-in">
+                                    <h4 className="text-lg font-semibold text-orange-700 mb-3">{t('monetization.heading')}</h4>
+                                    <ul className="list-disc list-inside ms-4 text-gray-800 space-y-2">
+                                        {monetizationStrategies.map((strategy, index) => (
+                                            <li key={index}>
+                                                <strong className="text-orange-600">{strategy.name}:</strong> {strategy.description}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {/* Display Market Analysis */}
+                            {marketAnalysis && <MarketAnalysisView analysis={marketAnalysis} />}
+
+                            {/* Display Evaluation Scorecard */}
+                            {evaluation && (
+                                <EvaluationScorecard
+                                    evaluation={evaluation}
+                                    weights={settings.evaluationWeights}
+                                    onWeightsChange={handleEvaluationWeightsChange}
+                                />
+                            )}
+
+                            {/* Display Compliance Review */}
+                            {complianceReview && (
+                                <ComplianceReviewView
+                                    key={complianceReview.reviewedAt}
+                                    review={complianceReview}
+                                    onAddToPrompt={handleAddComplianceRequirements}
+                                />
+                            )}
+
+                            {/* Display Custom Pipeline Steps */}
+                            {customStepResults && customStepResults.length > 0 && (
+                                <div className="mt-8 p-5 bg-teal-50 rounded-lg border border-teal-200 animate-fade-in">
+                                    <h4 className="text-lg font-semibold text-teal-700 mb-3">{t('customSteps.heading')}</h4>
+                                    <div className="space-y-4">
+                                        {customStepResults.map((result) => (
+                                            <div key={result.nodeId}>
+                                                <h5 className="font-semibold text-gray-800 mb-1">{result.name || t('pipeline.untitled')}</h5>
+                                                <StepOutput output={result.output} value={result.value} />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Display Tech Stack Suggestions */}
+                            {techStackSuggestions && (
+                                <div className="mt-8 p-5 bg-blue-50 rounded-lg border border-blue-200 animate-fade-in">
+                                    <h4 className="text-lg font-semibold text-blue-700 mb-3">{t('techStack.heading')}</h4>
+                                    <ul className="list-disc list-inside ms-4 text-gray-800 space-y-1">
+                                        {techStackSuggestions.frontend && <li><strong>{t('techStack.frontend')}</strong> {techStackSuggestions.frontend}</li>}
+                                        {techStackSuggestions.backend && <li><strong>{t('techStack.backend')}</strong> {techStackSuggestions.backend}</li>}
+                                        {techStackSuggestions.database && <li><strong>{t('techStack.database')}</strong> {techStackSuggestions.database}</li>}
+                                        {techStackSuggestions.mobile && <li><strong>{t('techStack.mobile')}</strong> {techStackSuggestions.mobile}</li>}
+                                        {Object.keys(techStackSuggestions).length === 0 && <p>{t('techStack.empty')}</p>}
+                                    </ul>
+                                </div>
+                            )}
+
+                            {/* Editable Backlog */}
+                            {backlog && (
+                                <BacklogTable
+                                    backlog={backlog}
+                                    features={appPreview.keyFeatures || []}
+                                    onChange={setBacklog}
+                                    onExport={handleExportBacklog}
+                                />
+                            )}
+
+                            {/* Project Plan and Gantt Timeline */}
+                            {projectPlan && (
+                                <ProjectPlanView
+                                    plan={projectPlan}
+                                    schedule={planSchedule}
+                                    onChange={setProjectPlan}
+                                    onExport={handleExportPlan}
+                                />
+                            )}
+
+                            {/* Data Model, ER Diagram and OpenAPI Contract */}
+                            {apiDesign && (
+                                <DataModelView
+                                    dataModel={dataModel}
+                                    erdSource={apiDesign.erdSource}
+                                    openApiDocument={apiDesign.openApiDocument}
+                                    openApiIssues={apiDesign.openApiIssues}
+                                    onExport={handleExportDataModel}
+                                />
+                            )}
+
+                            {/* Clickable Mockup */}
+                            {mockup && (
+                                <MockupViewer
+                                    mockup={mockup}
+                                    regeneratingScreenId={regeneratingScreenId}
+                                    onRegenerateScreen={handleRegenerateMockupScreen}
+                                    onStopRegenerate={() => handleStopRequest(
+                                        mockupScreenRequestKey(mockup.screens.findIndex((s) => s.id === regeneratingScreenId)),
+                                    )}
+                                />
+                            )}
+
+                            {/* Starter Code Scaffold */}
+                            {scaffold && (
+                                <ScaffoldBrowser
+                                    scaffold={scaffold}
+                                    regeneratingFileId={regeneratingFileId}
+                                    onRegenerateFile={handleRegenerateScaffoldFile}
+                                    onStopRegenerate={() => handleStopRequest('scaffold')}
+                                    onDownload={handleDownloadScaffold}
+                                />
+                            )}
+                        </section>
+                    )}
+
+                    {/* Tips for Better Prompts Section */}
+                    <section className="p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-100 animate-fade-in">
+                        <h2 className="text-2xl font-semibold text-gray-700 mb-4">{t('tips.heading')}</h2>
+                        <ul className="list-disc list-inside text-gray-600 space-y-2">
+                            {IDEA_DIMENSIONS.map(({ key }) => (
+                                <li key={key}>
+                                    <strong>{t(`dimension.${key}.label`)}:</strong> {t(`dimension.${key}.tip`)}
+                                </li>
+                            ))}
+                        </ul>
                     </section>
-                )}
-
-                {/* Tips for Better Prompts Section */}
-                <section className="p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-100 animate-fade-in">
-                    <h2 className="text-2xl font-semibold text-gray-700 mb-4">Tips for Better Prompts</h2>
-                    <ul className="list-disc list-inside text-gray-600 space-y-2">
-                        <li>
-                            **Be Specific:** Instead of "social media app," try "a social media app for sharing short video clips."
-                        </li>
-                        <li>
-                            **Define Your Audience:** Who is this app for? "Students," "small business owners," "fitness enthusiasts"?
-                        </li>
-                        <li>
-                            **List Key Features:** What are the absolute must-have functionalities? "User authentication," "image upload," "real-time chat."
-                        </li>
-                        <li>
-                            **Consider Platform:** Is it mobile-only, web-only, or both? Specify if it should work on iOS/Android.
-                        </li>
-                        <li>
-                            **Think UI/UX:** Mention desired look and feel. "Minimalist design," "intuitive navigation," "dark mode support."
-                        </li>
-                        <li>
-                            **Add Constraints/Goals:** "Must be highly secure," "needs to scale to millions of users," "monetized through subscriptions."
-                        </li>
-                    </ul>
-                </section>
+                </div>
             </div>
-        </div>
+        </I18nContext.Provider>
     );
 };
 
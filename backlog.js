@@ -0,0 +1,161 @@
+/**
+ * Feature backlog generated from the app preview: epics, user stories with Gherkin
+ * acceptance criteria and a MoSCoW priority per story.
+ */
+
+import { createId } from './storage/projects.js';
+
+// MoSCoW priorities, highest first
+export const PRIORITIES = ['Must', 'Should', 'Could', "Won't"];
+
+/**
+ * @typedef {object} BacklogStory
+ * @property {string} id - Unique id.
+ * @property {string} epicId - Id of the epic the story belongs to.
+ * @property {string} feature - The `keyFeatures` entry the story implements.
+ * @property {string} role - "As a ..."
+ * @property {string} goal - "I want ..."
+ * @property {string} benefit - "so that ..."
+ * @property {string} acceptanceCriteria - Gherkin scenarios, editable as plain text.
+ * @property {string} priority - One of PRIORITIES.
+ */
+
+/**
+ * @typedef {object} Backlog
+ * @property {Array<{id: string, title: string, description: string}>} epics
+ * @property {BacklogStory[]} stories
+ */
+
+/**
+ * Builds the response schema for a backlog covering the given features.
+ * @param {string[]} features - The preview's `keyFeatures`; each story must reference one of them.
+ * @returns {object} - Gemini-style schema.
+ */
+export const buildBacklogSchema = (features) => ({
+    type: 'OBJECT',
+    properties: {
+        epics: {
+            type: 'ARRAY',
+            minItems: 1,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    title: { type: 'STRING' },
+                    description: { type: 'STRING' },
+                    stories: {
+                        type: 'ARRAY',
+                        minItems: 1,
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                feature: { type: 'STRING', enum: features },
+                                role: { type: 'STRING' },
+                                goal: { type: 'STRING' },
+                                benefit: { type: 'STRING' },
+                                acceptanceCriteria: {
+                                    type: 'ARRAY',
+                                    minItems: 1,
+                                    items: {
+                                        type: 'OBJECT',
+                                        properties: {
+                                            scenario: { type: 'STRING' },
+                                            given: { type: 'STRING' },
+                                            when: { type: 'STRING' },
+                                            then: { type: 'STRING' },
+                                        },
+                                        required: ['scenario', 'given', 'when', 'then'],
+                                    },
+                                },
+                                priority: { type: 'STRING', enum: PRIORITIES },
+                            },
+                            required: ['feature', 'role', 'goal', 'benefit', 'acceptanceCriteria', 'priority'],
+                        },
+                    },
+                },
+                required: ['title', 'description', 'stories'],
+            },
+        },
+    },
+    required: ['epics'],
+});
+
+/**
+ * Drops a leading keyword the model may have repeated ("Given a user..." inside `given`).
+ * @param {string} keyword - Gherkin keyword.
+ * @param {string} text - Step text.
+ * @returns {string}
+ */
+const stripKeyword = (keyword, text) => text.trim().replace(new RegExp(`^${keyword}\\s+`, 'i'), '');
+
+/**
+ * Formats acceptance criteria as Gherkin scenarios.
+ * @param {Array<{scenario: string, given: string, when: string, then: string}>} criteria
+ * @returns {string}
+ */
+export const formatGherkin = (criteria) => criteria.map(({ scenario, given, when, then }) => [
+    `Scenario: ${stripKeyword('Scenario:?', scenario)}`,
+    `  Given ${stripKeyword('Given', given)}`,
+    `  When ${stripKeyword('When', when)}`,
+    `  Then ${stripKeyword('Then', then)}`,
+].join('\n')).join('\n\n');
+
+/**
+ * Turns a validated backlog response into the editable backlog kept in the session.
+ * @param {object} response - Response matching buildBacklogSchema.
+ * @returns {Backlog}
+ */
+export const createBacklog = (response) => {
+    const epics = [];
+    const stories = [];
+    response.epics.forEach((epic) => {
+        const epicId = createId();
+        epics.push({ id: epicId, title: epic.title, description: epic.description });
+        epic.stories.forEach((story) => {
+            stories.push({
+                id: createId(),
+                epicId,
+                feature: story.feature,
+                role: story.role,
+                goal: story.goal,
+                benefit: story.benefit,
+                acceptanceCriteria: formatGherkin(story.acceptanceCriteria),
+                priority: story.priority,
+            });
+        });
+    });
+    return { epics, stories };
+};
+
+/**
+ * Creates an empty story, e.g. for a row added by hand.
+ * @param {string} epicId - Epic to file it under.
+ * @returns {BacklogStory}
+ */
+export const createStory = (epicId) => ({
+    id: createId(),
+    epicId,
+    feature: '',
+    role: '',
+    goal: '',
+    benefit: '',
+    acceptanceCriteria: 'Scenario: \n  Given \n  When \n  Then ',
+    priority: 'Should',
+});
+
+/**
+ * Renders a story in "As a ... I want ... so that ..." form.
+ * @param {BacklogStory} story
+ * @returns {string}
+ */
+export const formatUserStory = ({ role, goal, benefit }) => `As a ${role}, I want ${goal} so that ${benefit}.`;
+
+/**
+ * Prompt for a backlog covering every key feature of the preview.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const buildBacklogPrompt = (preview) => `Turn the key features of the following app into a product backlog. Group the work into epics. For every key feature write one or more user stories in the form "As a <role>, I want <goal> so that <benefit>", each with 1-3 acceptance criteria as Gherkin scenarios (scenario name plus Given/When/Then steps, without repeating the keywords) and a MoSCoW priority (Must, Should, Could or Won't). Each story's "feature" must be copied exactly from the key features list, and every key feature must be covered by at least one story.
+        App Description: ${preview.description}
+        Target Audience: ${preview.targetAudience}
+        Key Features:
+        ${preview.keyFeatures.map((feature) => `- ${feature}`).join('\n        ')}`;
@@ -0,0 +1,272 @@
+import { createId } from './storage/projects.js';
+import { EMPTY_SESSION, createRevision } from './session.js';
+import { ProviderError } from './llm/index.js';
+import { parseCsv, detectDelimiter } from './utils/csv.js';
+import { sleep } from './utils/sleep.js';
+
+/**
+ * Batch mode: many ideas from a CSV or JSON upload run through the enhance → preview pipeline
+ * (plus optional add-ons) in a queue with limited concurrency. Rate-limited requests (HTTP 429)
+ * pause the whole queue with an exponential backoff, then retry.
+ */
+
+// Add-on steps that can run after the preview, by their key in STEPS
+export const BATCH_EXTRA_STEPS = ['names', 'monetization', 'techStack'];
+
+// Session key each step's result is stored under, in pipeline order
+export const BATCH_RESULT_KEYS = {
+    enhance: 'enhancedPrompt',
+    preview: 'appPreview',
+    names: 'appNamesSlogans',
+    monetization: 'monetizationStrategies',
+    techStack: 'techStackSuggestions',
+};
+
+// Most ideas one batch accepts
+export const MAX_BATCH_IDEAS = 100;
+
+// Most requests in flight at once
+export const MAX_BATCH_CONCURRENCY = 6;
+
+export const DEFAULT_BATCH_OPTIONS = {
+    concurrency: 2, // Ideas processed at the same time
+    extras: [], // Keys of BATCH_EXTRA_STEPS to run for each idea
+    maxRetries: 4, // Retries of a rate-limited request before the idea fails
+};
+
+// CSV headers recognized as the idea and as an optional label, compared in lower case
+const IDEA_HEADERS = ['idea', 'simpleidea', 'app idea', 'description', 'prompt'];
+const LABEL_HEADERS = ['name', 'title', 'team', 'id', 'label'];
+
+/**
+ * Error thrown for an upload that can't be read as a batch. `code` names the problem
+ * (shown as `batch.importError.<code>`) and `params` fills in its message.
+ */
+export class BatchFileError extends Error {
+    /**
+     * @param {'invalidJson'|'notIdeaList'|'noIdeas'|'tooManyIdeas'} code
+     * @param {string} message - English description, for the console.
+     * @param {Object<string, string|number>} [params] - Values for the message.
+     */
+    constructor(code, message, params = {}) {
+        super(message);
+        this.name = 'BatchFileError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * @typedef {object} BatchIdea
+ * @property {string} idea - The simple idea.
+ * @property {string} label - Team, title or row number, to recognize the row.
+ */
+
+/**
+ * Reads the ideas from a CSV file: the column headed "idea" (or a similar name), else the first
+ * column. A "name", "title" or "team" column labels the rows. Without any of these headers, the
+ * first row is an idea too.
+ * @param {string} text - CSV text.
+ * @returns {BatchIdea[]}
+ */
+const parseCsvIdeas = (text) => {
+    const table = parseCsv(text, detectDelimiter(text));
+    const headers = (table[0] || []).map((cell) => cell.trim().toLowerCase());
+    const ideaIndex = Math.max(headers.findIndex((cell) => IDEA_HEADERS.includes(cell)), 0);
+    const labelIndex = headers.findIndex((cell, index) => index !== ideaIndex && LABEL_HEADERS.includes(cell));
+    const hasHeader = headers.some((cell) => IDEA_HEADERS.includes(cell) || LABEL_HEADERS.includes(cell));
+    const rows = hasHeader ? table.slice(1) : table;
+    return rows.map((row, index) => ({
+        idea: (row[ideaIndex] || '').trim(),
+        label: labelIndex === -1 ? `#${index + 1}` : (row[labelIndex] || '').trim() || `#${index + 1}`,
+    }));
+};
+
+/**
+ * Reads the ideas from JSON: an array (or an `ideas` array) of strings, or of objects with
+ * an `idea` (or `simpleIdea`) and an optional `name` or `title`.
+ * @param {string} text - JSON text.
+ * @returns {BatchIdea[]}
+ * @throws {BatchFileError} - If the text is not JSON or holds no list of ideas.
+ */
+const parseJsonIdeas = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new BatchFileError('invalidJson', `The file is not valid JSON (${err.message}).`, { message: err.message });
+    }
+    const items = Array.isArray(data) ? data : data?.ideas;
+    if (!Array.isArray(items)) {
+        throw new BatchFileError('notIdeaList', 'Expected a JSON array of ideas, or an object with an "ideas" array.');
+    }
+    return items.map((item, index) => {
+        const label = `#${index + 1}`;
+        if (typeof item === 'string') return { idea: item.trim(), label };
+        return {
+            idea: String(item?.idea ?? item?.simpleIdea ?? '').trim(),
+            label: String(item?.name ?? item?.title ?? '').trim() || label,
+        };
+    });
+};
+
+/**
+ * Parses an uploaded list of ideas. Empty ideas are skipped.
+ * @param {string} text - File contents.
+ * @param {string} fileName - Used to tell CSV from JSON.
+ * @returns {BatchIdea[]}
+ * @throws {BatchFileError} - If the file can't be parsed, has no ideas or has more than MAX_BATCH_IDEAS.
+ */
+export const parseBatchFile = (text, fileName) => {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const ideas = (isJson ? parseJsonIdeas(text) : parseCsvIdeas(text)).filter(({ idea }) => idea);
+    if (ideas.length === 0) {
+        throw new BatchFileError('noIdeas', 'The file contains no ideas.');
+    }
+    if (ideas.length > MAX_BATCH_IDEAS) {
+        throw new BatchFileError('tooManyIdeas', `The file contains ${ideas.length} ideas; a batch can have at most ${MAX_BATCH_IDEAS}.`, {
+            count: ideas.length,
+            max: MAX_BATCH_IDEAS,
+        });
+    }
+    return ideas;
+};
+
+/**
+ * @typedef {object} BatchRow
+ * @property {string} id - Unique id.
+ * @property {string} label - See BatchIdea.
+ * @property {string} idea - The simple idea.
+ * @property {'queued'|'running'|'waiting'|'done'|'failed'|'stopped'} status - `waiting` while rate limited.
+ * @property {string|null} step - Step being generated while running or waiting; the failed step after a failure.
+ * @property {number|null} resumeAt - When a waiting row retries, in ms since the epoch.
+ * @property {string} error - Why the row failed.
+ * @property {object} results - Session keys generated so far: enhancedPrompt, appPreview, appNamesSlogans,
+ *   monetizationStrategies and techStackSuggestions.
+ */
+
+/**
+ * Creates a queued row for an idea.
+ * @param {BatchIdea} idea
+ * @returns {BatchRow}
+ */
+export const createBatchRow = ({ idea, label }) => ({
+    id: createId(),
+    label,
+    idea,
+    status: 'queued',
+    step: null,
+    resumeAt: null,
+    error: '',
+    results: {},
+});
+
+/**
+ * Turns a row into project session data, so its results can be opened and developed further.
+ * @param {BatchRow} row
+ * @param {object} template
+ * @param {string} template.templateId - Template the batch ran with.
+ * @param {Object<string, string>} template.templateValues - Values of the template's extra fields.
+ * @returns {object} - Session data (see EMPTY_SESSION).
+ */
+export const buildBatchSession = ({ idea, results }, { templateId, templateValues }) => {
+    const { enhancedPrompt = '', appPreview = null } = results;
+    const revision = enhancedPrompt ? createRevision(enhancedPrompt, 'ai') : null;
+    if (revision && appPreview) {
+        revision.previews.push({ createdAt: revision.createdAt, appName: appPreview.appName });
+    }
+    return {
+        ...EMPTY_SESSION,
+        ...results,
+        simpleIdea: idea,
+        customPrompt: enhancedPrompt,
+        isPromptEnhanced: Boolean(enhancedPrompt),
+        promptRevisions: revision ? [revision] : [],
+        appPreviewRevisionId: revision && appPreview ? revision.id : null,
+        templateId,
+        templateValues,
+    };
+};
+
+/**
+ * Whether an error is a rate limit response that is worth retrying later.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isRateLimitError = (err) => err instanceof ProviderError && err.status === 429;
+
+/**
+ * Creates a backoff shared by every request of a batch: when one request is rate limited,
+ * all of them wait until the delay has passed, since the limit applies to the whole API key.
+ * The delay doubles with each retry of the same request, with some jitter.
+ * @param {object} [options]
+ * @param {number} [options.maxRetries] - Retries per request before giving up.
+ * @param {number} [options.baseDelayMs] - Delay after the first rate limit.
+ * @param {number} [options.maxDelayMs] - Longest single delay.
+ * @returns {{run: function(function(): Promise<any>, {signal?: AbortSignal, onWait?: function(number): void}=): Promise<any>}}
+ */
+export const createBackoff = ({ maxRetries = DEFAULT_BATCH_OPTIONS.maxRetries, baseDelayMs = 2000, maxDelayMs = 60000 } = {}) => {
+    let resumeAt = 0;
+
+    /**
+     * Runs a request, waiting out any current backoff first and retrying it when rate limited.
+     * @param {function(): Promise<any>} request - Sends the request.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the wait.
+     * @param {function(number): void} [options.onWait] - Called with the resume time before each wait.
+     * @returns {Promise<any>} - The request's result.
+     */
+    const run = async (request, { signal, onWait } = {}) => {
+        for (let attempt = 0; ; attempt++) {
+            const delay = resumeAt - Date.now();
+            if (delay > 0) {
+                onWait?.(resumeAt);
+                await sleep(delay, signal);
+            }
+            try {
+                return await request();
+            } catch (err) {
+                if (!isRateLimitError(err) || attempt >= maxRetries) throw err;
+                const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs) * (1 + Math.random() * 0.2);
+                resumeAt = Math.max(resumeAt, Date.now() + backoff);
+            }
+        }
+    };
+
+    return { run };
+};
+
+/**
+ * Runs a worker over items with at most `concurrency` of them in progress at once.
+ * No new items start once the signal is aborted.
+ * @param {Array<any>} items - Items in the order to start them.
+ * @param {function(any): Promise<void>} worker - Processes one item; should not throw.
+ * @param {object} options
+ * @param {number} options.concurrency - Items processed at the same time.
+ * @param {AbortSignal} [options.signal] - Stops the queue.
+ * @returns {Promise<void>} - Resolves when every started item has finished.
+ */
+export const runQueue = async (items, worker, { concurrency, signal }) => {
+    let next = 0;
+    const runLane = async () => {
+        while (next < items.length && !signal?.aborted) {
+            const item = items[next];
+            next += 1;
+            await worker(item);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, runLane));
+};
+
+/**
+ * Counts the rows per status, for the progress summary.
+ * @param {BatchRow[]} rows
+ * @returns {{total: number, done: number, failed: number, stopped: number, pending: number}}
+ */
+export const summarizeBatch = (rows) => {
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    const done = count('done');
+    const failed = count('failed');
+    const stopped = count('stopped');
+    return { total: rows.length, done, failed, stopped, pending: rows.length - done - failed - stopped };
+};
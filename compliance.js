@@ -0,0 +1,289 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Compliance review of the generated spec: the personal data the app would handle, which
+ * regulations apply, a STRIDE threat model per key feature and the controls the app needs.
+ * Findings can be appended to the custom prompt as requirements (see appendComplianceRequirements).
+ */
+
+// Regulations the review always rules on, with the scope the model judges applicability by
+export const REGULATIONS = [
+    { key: 'gdpr', label: 'GDPR', scope: 'Personal data of people in the EU/EEA, whatever the app\'s location.' },
+    { key: 'coppa', label: 'COPPA', scope: 'Services directed to children under 13 in the US, or knowingly collecting their data.' },
+    { key: 'hipaa', label: 'HIPAA', scope: 'Protected health information handled by or for US healthcare providers, health plans and their business associates.' },
+    { key: 'pciDss', label: 'PCI-DSS', scope: 'Storing, processing or transmitting payment card data.' },
+];
+
+// STRIDE threat categories, in the order of the acronym
+export const STRIDE_CATEGORIES = [
+    { key: 'spoofing', label: 'Spoofing', description: 'Pretending to be another user or system.' },
+    { key: 'tampering', label: 'Tampering', description: 'Modifying data or code without authorization.' },
+    { key: 'repudiation', label: 'Repudiation', description: 'Denying an action because it cannot be traced.' },
+    { key: 'informationDisclosure', label: 'Information Disclosure', description: 'Exposing data to someone not allowed to see it.' },
+    { key: 'denialOfService', label: 'Denial of Service', description: 'Making the app unavailable or degraded.' },
+    { key: 'elevationOfPrivilege', label: 'Elevation of Privilege', description: 'Gaining permissions one should not have.' },
+];
+
+// Most severe first
+export const SEVERITIES = [
+    { key: 'critical', label: 'Critical' },
+    { key: 'high', label: 'High' },
+    { key: 'medium', label: 'Medium' },
+    { key: 'low', label: 'Low' },
+];
+
+// Findings preselected for the prompt
+export const DEFAULT_SELECTED_SEVERITIES = ['critical', 'high'];
+
+// Heading of the section the findings are appended under in the custom prompt
+export const COMPLIANCE_REQUIREMENTS_HEADING = 'Security & Compliance Requirements:';
+
+const REGULATION_KEYS = REGULATIONS.map(({ key }) => key);
+const STRIDE_KEYS = STRIDE_CATEGORIES.map(({ key }) => key);
+const SEVERITY_KEYS = SEVERITIES.map(({ key }) => key);
+
+/**
+ * Builds the response schema for a review of an app with the given features.
+ * @param {string[]} features - The preview's `keyFeatures`; data and threats refer to them.
+ * @returns {object} - Gemini-style schema.
+ */
+export const buildComplianceSchema = (features) => ({
+    type: 'OBJECT',
+    properties: {
+        personalData: {
+            type: 'ARRAY',
+            maxItems: 15,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    category: { type: 'STRING' },
+                    examples: { type: 'ARRAY', items: { type: 'STRING' } },
+                    sensitive: { type: 'BOOLEAN' },
+                    features: { type: 'ARRAY', items: { type: 'STRING', enum: features } },
+                },
+                required: ['category', 'examples', 'sensitive', 'features'],
+            },
+        },
+        regulations: {
+            type: 'ARRAY',
+            minItems: REGULATIONS.length,
+            maxItems: REGULATIONS.length,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    regulation: { type: 'STRING', enum: REGULATION_KEYS },
+                    applies: { type: 'BOOLEAN' },
+                    reason: { type: 'STRING' },
+                },
+                required: ['regulation', 'applies', 'reason'],
+            },
+        },
+        threats: {
+            type: 'ARRAY',
+            minItems: features.length,
+            maxItems: features.length * STRIDE_CATEGORIES.length,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    feature: { type: 'STRING', enum: features },
+                    category: { type: 'STRING', enum: STRIDE_KEYS },
+                    threat: { type: 'STRING' },
+                    severity: { type: 'STRING', enum: SEVERITY_KEYS },
+                    mitigation: { type: 'STRING' },
+                },
+                required: ['feature', 'category', 'threat', 'severity', 'mitigation'],
+            },
+        },
+        controls: {
+            type: 'ARRAY',
+            minItems: 1,
+            maxItems: 25,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    control: { type: 'STRING' },
+                    description: { type: 'STRING' },
+                    regulations: { type: 'ARRAY', items: { type: 'STRING', enum: REGULATION_KEYS } },
+                    severity: { type: 'STRING', enum: SEVERITY_KEYS },
+                },
+                required: ['control', 'description', 'regulations', 'severity'],
+            },
+        },
+        summary: { type: 'STRING' },
+    },
+    required: ['personalData', 'regulations', 'threats', 'controls', 'summary'],
+});
+
+/**
+ * Builds the check for what the schema can't express: every regulation ruled on exactly once,
+ * every key feature threat-modeled, and at most one threat per feature and STRIDE category.
+ * @param {string[]} features - The preview's `keyFeatures`.
+ * @returns {function(object): Array<{path: string, message: string}>}
+ */
+export const checkCompliance = (features) => ({ regulations, threats }) => {
+    const issues = REGULATION_KEYS
+        .filter((key) => regulations.filter((r) => r.regulation === key).length !== 1)
+        .map((key) => ({ path: '$.regulations', message: `must rule on "${key}" exactly once` }));
+    features.filter((feature) => !threats.some((threat) => threat.feature === feature)).forEach((feature) => {
+        issues.push({ path: '$.threats', message: `no threat covers the key feature "${feature}"` });
+    });
+    const pairs = new Set();
+    threats.forEach(({ feature, category }, index) => {
+        const pair = `${feature}\n${category}`;
+        if (pairs.has(pair)) {
+            issues.push({ path: `$.threats[${index}]`, message: `repeats the "${category}" threat for "${feature}"; merge them` });
+        }
+        pairs.add(pair);
+    });
+    return issues;
+};
+
+/**
+ * @typedef {object} ComplianceReview
+ * @property {Array<{category: string, examples: string[], sensitive: boolean, features: string[]}>} personalData
+ * @property {Array<{regulation: string, applies: boolean, reason: string}>} regulations - One per
+ *   REGULATIONS key, in that order.
+ * @property {Array<{id: string, feature: string, category: string, threat: string, severity: string, mitigation: string, inPrompt: boolean}>} threats -
+ *   Grouped by key feature, STRIDE order within a feature.
+ * @property {Array<{id: string, control: string, description: string, regulations: string[], severity: string, inPrompt: boolean}>} controls -
+ *   Most severe first.
+ * @property {string} summary - Overall assessment.
+ * @property {number} reviewedAt - When the review was generated.
+ */
+
+const severityRank = (severity) => SEVERITY_KEYS.indexOf(severity);
+
+/**
+ * Turns a validated review response into the review kept in the session.
+ * @param {object} response - Response matching buildComplianceSchema.
+ * @param {string[]} features - The preview's `keyFeatures`, for ordering the threats.
+ * @returns {ComplianceReview}
+ */
+export const createComplianceReview = (response, features) => ({
+    personalData: response.personalData,
+    regulations: REGULATION_KEYS.map((key) => response.regulations.find((r) => r.regulation === key)),
+    threats: response.threats
+        .map((threat) => ({ ...threat, id: createId(), inPrompt: false }))
+        .sort((a, b) => features.indexOf(a.feature) - features.indexOf(b.feature)
+            || STRIDE_KEYS.indexOf(a.category) - STRIDE_KEYS.indexOf(b.category)),
+    controls: response.controls
+        .map((control) => ({ ...control, id: createId(), inPrompt: false }))
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity)),
+    summary: response.summary,
+    reviewedAt: Date.now(),
+});
+
+/**
+ * @typedef {object} ComplianceFinding
+ * @property {string} id - Id of the threat or control.
+ * @property {'control'|'threat'} kind
+ * @property {string} severity - A SEVERITIES key.
+ * @property {string} title - The control, or the threat.
+ * @property {string} detail - The control's description, or the threat's mitigation.
+ * @property {string|null} category - STRIDE category key of a threat; null for a control.
+ * @property {string[]} tags - Regulation labels for a control; the key feature for a threat.
+ * @property {string} requirement - The finding phrased as a requirement for the prompt.
+ * @property {boolean} inPrompt - Whether it was already added to the custom prompt.
+ */
+
+/**
+ * Lists the controls and threats of a review as findings, most severe first and controls
+ * before threats of the same severity.
+ * @param {ComplianceReview} review
+ * @returns {ComplianceFinding[]}
+ */
+export const listComplianceFindings = (review) => {
+    const controls = review.controls.map((c) => {
+        const labels = c.regulations.map((key) => REGULATIONS.find((r) => r.key === key).label);
+        return {
+            id: c.id,
+            kind: 'control',
+            severity: c.severity,
+            title: c.control,
+            detail: c.description,
+            category: null,
+            tags: labels,
+            requirement: `${c.control}: ${c.description}${labels.length > 0 ? ` (${labels.join(', ')})` : ''}`,
+            inPrompt: c.inPrompt,
+        };
+    });
+    const threats = review.threats.map((t) => {
+        const category = STRIDE_CATEGORIES.find(({ key }) => key === t.category).label;
+        return {
+            id: t.id,
+            kind: 'threat',
+            severity: t.severity,
+            title: t.threat,
+            detail: t.mitigation,
+            category: t.category,
+            tags: [t.feature],
+            requirement: `${t.feature} (${category}): ${t.mitigation}`,
+            inPrompt: t.inPrompt,
+        };
+    });
+    // Array.prototype.sort is stable, so the review's own order is kept within a severity
+    return [...controls, ...threats].sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+};
+
+/**
+ * Appends findings to the prompt as requirements, under COMPLIANCE_REQUIREMENTS_HEADING. A section
+ * added earlier is extended rather than repeated, and requirements already listed are skipped.
+ * @param {string} promptText - The custom prompt.
+ * @param {ComplianceFinding[]} findings - Findings to add.
+ * @returns {string} - The new prompt; unchanged if there is nothing new to add.
+ */
+export const appendComplianceRequirements = (promptText, findings) => {
+    const lines = promptText.split('\n');
+    const start = lines.findIndex((line) => line.trim() === COMPLIANCE_REQUIREMENTS_HEADING);
+    let end = start + 1;
+    if (start !== -1) {
+        while (end < lines.length && lines[end].startsWith('- ')) end++;
+    }
+    const existing = start === -1 ? [] : lines.slice(start + 1, end);
+    const added = [...new Set(findings.map(({ severity, requirement }) => `- [${severity.toUpperCase()}] ${requirement}`))]
+        .filter((line) => !existing.includes(line));
+    if (added.length === 0) return promptText;
+
+    if (start !== -1) {
+        return [...lines.slice(0, end), ...added, ...lines.slice(end)].join('\n');
+    }
+    const base = promptText.trimEnd();
+    return `${base}${base ? '\n\n' : ''}${COMPLIANCE_REQUIREMENTS_HEADING}\n${added.join('\n')}`;
+};
+
+/**
+ * Marks threats and controls as added to the custom prompt.
+ * @param {ComplianceReview} review
+ * @param {string[]} ids - Ids of the added findings.
+ * @returns {ComplianceReview}
+ */
+export const markFindingsInPrompt = (review, ids) => {
+    const mark = (item) => (ids.includes(item.id) ? { ...item, inPrompt: true } : item);
+    return { ...review, threats: review.threats.map(mark), controls: review.controls.map(mark) };
+};
+
+/**
+ * Prompt for the privacy, security and compliance review.
+ * @param {object} preview - The app preview.
+ * @param {string} stack - The tech stack in one line (see describeTechStack); may be empty.
+ * @param {string} spec - The specification, i.e. the prompt; may be empty.
+ * @returns {string}
+ */
+export const buildCompliancePrompt = (preview, stack, spec) => `Review the following app specification for privacy, security and compliance.
+1. List the personal data the app would collect or process: a category, a few examples, whether it is sensitive (health, biometric, financial, children's, location or other special-category data) and the key features that handle it.
+2. For each regulation below, say whether it applies given the target audience and the features, with a one-sentence reason. Only mark it as applying when the app would actually fall under its scope.
+3. Build a STRIDE threat model: for every key feature, list the threats that matter for it (at most one per STRIDE category), each with its category, a severity (critical, high, medium or low) and a concrete mitigation.
+4. List the controls the app must implement (for example consent, age verification, data minimization, encryption, access control, audit logging, retention and deletion, breach notification), each with a short description, the regulations that require it (empty for general good practice) and a severity.
+Finish with a short summary of the main risks. Features must be copied exactly from the key features list.
+Regulations:
+${REGULATIONS.map(({ key, label, scope }) => `- ${key} (${label}): ${scope}`).join('\n')}
+STRIDE Categories:
+${STRIDE_CATEGORIES.map(({ key, label, description }) => `- ${key} (${label}): ${description}`).join('\n')}
+App Name: ${preview.appName}
+App Description: ${preview.description}
+Target Audience: ${preview.targetAudience || 'Not specified'}
+Key Features:
+${preview.keyFeatures.map((feature) => `- ${feature}`).join('\n')}
+Tech Stack: ${stack || 'Not chosen yet'}
+Specification:
+${spec.trim() || 'Not provided'}`;
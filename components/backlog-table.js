@@ -0,0 +1,204 @@
+import React from 'react';
+import { createId } from '../storage/projects.js';
+import { PRIORITIES, createStory } from '../backlog.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Badge colours for the MoSCoW priorities
+const PRIORITY_CLASSES = {
+    Must: 'bg-red-100 text-red-700 border-red-200',
+    Should: 'bg-amber-100 text-amber-700 border-amber-200',
+    Could: 'bg-sky-100 text-sky-700 border-sky-200',
+    "Won't": 'bg-gray-100 text-gray-600 border-gray-200',
+};
+
+/**
+ * Editable backlog: epics with their user stories in a table, plus CSV and GitHub export.
+ * @param {object} props
+ * @param {import('../backlog.js').Backlog} props.backlog - The backlog to show.
+ * @param {string[]} props.features - The preview's key features, offered for each story.
+ * @param {function(import('../backlog.js').Backlog): void} props.onChange - Called with the edited backlog.
+ * @param {function(string): void} props.onExport - Called with 'csv' or 'github'.
+ */
+const BacklogTable = ({ backlog, features, onChange, onExport }) => {
+    const { t } = useTranslation();
+    const { epics, stories } = backlog;
+
+    const updateEpic = (id, changes) => {
+        onChange({ ...backlog, epics: epics.map((epic) => (epic.id === id ? { ...epic, ...changes } : epic)) });
+    };
+
+    const removeEpic = (epic) => {
+        const storyCount = stories.filter((story) => story.epicId === epic.id).length;
+        if (storyCount > 0 && !window.confirm(t('backlog.deleteEpicConfirm', { title: epic.title, count: storyCount }))) return;
+        onChange({
+            epics: epics.filter((e) => e.id !== epic.id),
+            stories: stories.filter((story) => story.epicId !== epic.id),
+        });
+    };
+
+    const addEpic = () => {
+        onChange({ ...backlog, epics: [...epics, { id: createId(), title: t('backlog.newEpic'), description: '' }] });
+    };
+
+    const updateStory = (id, changes) => {
+        onChange({ ...backlog, stories: stories.map((story) => (story.id === id ? { ...story, ...changes } : story)) });
+    };
+
+    const removeStory = (id) => {
+        onChange({ ...backlog, stories: stories.filter((story) => story.id !== id) });
+    };
+
+    const addStory = (epicId) => {
+        onChange({ ...backlog, stories: [...stories, createStory(epicId)] });
+    };
+
+    const inputClassName = 'w-full p-1 border border-gray-300 rounded focus:ring-2 focus:ring-emerald-400 focus:border-transparent text-sm';
+    const priorityCounts = PRIORITIES.map((priority) => [priority, stories.filter((s) => s.priority === priority).length]);
+
+    return (
+        <div className="mt-8 p-5 bg-emerald-50 rounded-lg border border-emerald-200 animate-fade-in">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h4 className="text-lg font-semibold text-emerald-700">{t('backlog.heading')}</h4>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={() => onExport('csv')}
+                        className="py-1 px-3 rounded-lg text-sm font-semibold text-emerald-700 border border-emerald-300 bg-white hover:bg-emerald-100 transition duration-200"
+                    >
+                        {t('backlog.exportCsv')}
+                    </button>
+                    <button
+                        onClick={() => onExport('github')}
+                        className="py-1 px-3 rounded-lg text-sm font-semibold text-emerald-700 border border-emerald-300 bg-white hover:bg-emerald-100 transition duration-200"
+                    >
+                        {t('backlog.exportGithub')}
+                    </button>
+                </div>
+            </div>
+            <p className="mb-4 flex flex-wrap gap-2 text-xs">
+                {priorityCounts.map(([priority, count]) => (
+                    <span key={priority} className={`px-2 py-0.5 rounded-full border ${PRIORITY_CLASSES[priority]}`}>
+                        {priority}: {count}
+                    </span>
+                ))}
+            </p>
+
+            {epics.map((epic) => {
+                const epicStories = stories.filter((story) => story.epicId === epic.id);
+                return (
+                    <div key={epic.id} className="mb-6 bg-white rounded-lg border border-emerald-200 p-4">
+                        <div className="flex gap-2 items-start mb-2">
+                            <div className="flex-1 space-y-1">
+                                <input
+                                    className={`${inputClassName} font-semibold`}
+                                    value={epic.title}
+                                    onChange={(e) => updateEpic(epic.id, { title: e.target.value })}
+                                    aria-label={t('backlog.epicTitle')}
+                                />
+                                <input
+                                    className={inputClassName}
+                                    value={epic.description}
+                                    placeholder={t('backlog.epicDescription')}
+                                    onChange={(e) => updateEpic(epic.id, { description: e.target.value })}
+                                    aria-label={t('backlog.epicDescription')}
+                                />
+                            </div>
+                            <button onClick={() => removeEpic(epic)} className="text-sm text-red-600 hover:underline">
+                                {t('backlog.deleteEpic')}
+                            </button>
+                        </div>
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm border-collapse">
+                                <thead>
+                                    <tr className="text-start text-emerald-700 border-b border-emerald-200">
+                                        <th className="p-1 w-40">{t('backlog.feature')}</th>
+                                        <th className="p-1">{t('backlog.story')}</th>
+                                        <th className="p-1 w-64">{t('backlog.acceptanceCriteria')}</th>
+                                        <th className="p-1 w-24">{t('backlog.priority')}</th>
+                                        <th className="p-1 w-24">{t('backlog.epic')}</th>
+                                        <th className="p-1"><span className="sr-only">{t('backlog.actions')}</span></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {epicStories.map((story) => (
+                                        <tr key={story.id} className="align-top border-b border-gray-100">
+                                            <td className="p-1">
+                                                <select
+                                                    className={inputClassName}
+                                                    value={story.feature}
+                                                    onChange={(e) => updateStory(story.id, { feature: e.target.value })}
+                                                >
+                                                    <option value="">{t('backlog.noFeature')}</option>
+                                                    {/* Keep a feature that is no longer in the preview selectable */}
+                                                    {(features.includes(story.feature) || !story.feature ? features : [story.feature, ...features]).map((feature) => (
+                                                        <option key={feature} value={feature}>{feature}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td className="p-1 space-y-1">
+                                                <label className="flex items-center gap-1">
+                                                    <span className="w-16 shrink-0 text-gray-500">{t('backlog.asA')}</span>
+                                                    <input className={inputClassName} value={story.role} onChange={(e) => updateStory(story.id, { role: e.target.value })} />
+                                                </label>
+                                                <label className="flex items-center gap-1">
+                                                    <span className="w-16 shrink-0 text-gray-500">{t('backlog.iWant')}</span>
+                                                    <input className={inputClassName} value={story.goal} onChange={(e) => updateStory(story.id, { goal: e.target.value })} />
+                                                </label>
+                                                <label className="flex items-center gap-1">
+                                                    <span className="w-16 shrink-0 text-gray-500">{t('backlog.soThat')}</span>
+                                                    <input className={inputClassName} value={story.benefit} onChange={(e) => updateStory(story.id, { benefit: e.target.value })} />
+                                                </label>
+                                            </td>
+                                            <td className="p-1">
+                                                <textarea
+                                                    className={`${inputClassName} font-mono text-xs resize-y`}
+                                                    value={story.acceptanceCriteria}
+                                                    onChange={(e) => updateStory(story.id, { acceptanceCriteria: e.target.value })}
+                                                    rows="5"
+                                                    aria-label={t('backlog.gherkin')}
+                                                ></textarea>
+                                            </td>
+                                            <td className="p-1">
+                                                <select
+                                                    className={`${inputClassName} ${PRIORITY_CLASSES[story.priority] || ''}`}
+                                                    value={story.priority}
+                                                    onChange={(e) => updateStory(story.id, { priority: e.target.value })}
+                                                >
+                                                    {PRIORITIES.map((priority) => <option key={priority} value={priority}>{priority}</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="p-1">
+                                                <select
+                                                    className={inputClassName}
+                                                    value={story.epicId}
+                                                    onChange={(e) => updateStory(story.id, { epicId: e.target.value })}
+                                                    aria-label={t('backlog.moveToEpic')}
+                                                >
+                                                    {epics.map((e) => <option key={e.id} value={e.id}>{e.title}</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="p-1">
+                                                <button onClick={() => removeStory(story.id)} className="text-red-600 hover:underline" aria-label={t('backlog.deleteStory')}>
+                                                    ×
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <button onClick={() => addStory(epic.id)} className="mt-2 text-sm font-semibold text-emerald-700 hover:underline">
+                            {t('backlog.addStory')}
+                        </button>
+                    </div>
+                );
+            })}
+
+            <button onClick={addEpic} className="text-sm font-semibold text-emerald-700 hover:underline">
+                {t('backlog.addEpic')}
+            </button>
+        </div>
+    );
+};
+
+export default BacklogTable;
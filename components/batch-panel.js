@@ -0,0 +1,194 @@
+import React, { useRef } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import { BATCH_EXTRA_STEPS, MAX_BATCH_CONCURRENCY, MAX_BATCH_IDEAS, summarizeBatch } from '../batch.js';
+import StopButton from './stop-button.js';
+
+// Badge colors per row status
+const STATUS_CLASSES = {
+    queued: 'bg-gray-100 text-gray-600',
+    running: 'bg-indigo-100 text-indigo-700',
+    waiting: 'bg-amber-100 text-amber-800',
+    done: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-700',
+    stopped: 'bg-gray-200 text-gray-700',
+};
+
+/**
+ * Batch mode: upload a CSV or JSON list of ideas, run them all through the enhance → preview
+ * pipeline (plus optional add-ons), follow each row's progress and download the results.
+ * @param {object} props
+ * @param {Array<import('../batch.js').BatchRow>} props.rows - Ideas of the current batch.
+ * @param {{concurrency: number, extras: string[]}} props.options - Batch options (see DEFAULT_BATCH_OPTIONS).
+ * @param {function(object): void} props.onOptionsChange - Called with the new options.
+ * @param {boolean} props.isRunning - Whether the batch is running.
+ * @param {function(File): void} props.onImport - Called with the selected CSV or JSON file.
+ * @param {function(): void} props.onStart - Runs every row that hasn't finished.
+ * @param {function(): void} props.onStop - Stops the batch; rows in progress are marked stopped.
+ * @param {function(): void} props.onRetry - Runs the failed and stopped rows again.
+ * @param {function(string): void} props.onExport - Called with 'csv' or 'json'.
+ * @param {function(object): void} props.onOpenRow - Opens a finished row as a new project.
+ * @param {function(): void} props.onClear - Removes all rows.
+ * @param {function(): void} props.onClose - Hides the panel.
+ */
+const BatchPanel = ({ rows, options, onOptionsChange, isRunning, onImport, onStart, onStop, onRetry, onExport, onOpenRow, onClear, onClose }) => {
+    const { t } = useTranslation();
+    const fileInputRef = useRef(null);
+    const summary = summarizeBatch(rows);
+    const finished = summary.done + summary.failed + summary.stopped;
+    const canStart = !isRunning && rows.some((row) => row.status === 'queued');
+    const canRetry = !isRunning && summary.failed + summary.stopped > 0;
+
+    const handleFileChange = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = ''; // Allow loading the same file twice in a row
+        if (file) onImport(file);
+    };
+
+    const toggleExtra = (step) => {
+        const extras = options.extras.includes(step)
+            ? options.extras.filter((key) => key !== step)
+            : BATCH_EXTRA_STEPS.filter((key) => key === step || options.extras.includes(key));
+        onOptionsChange({ ...options, extras });
+    };
+
+    const buttonClassName = 'py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('batch.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('batch.close')}>✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('batch.intro', { max: MAX_BATCH_IDEAS })}</p>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <button onClick={() => fileInputRef.current.click()} disabled={isRunning} className={buttonClassName}>
+                    {t('batch.upload')}
+                </button>
+                <input ref={fileInputRef} type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFileChange} />
+                <label className="text-sm text-gray-700">
+                    <span className="block mb-1">{t('batch.concurrency')}</span>
+                    <input
+                        type="number"
+                        min={1}
+                        max={MAX_BATCH_CONCURRENCY}
+                        value={options.concurrency}
+                        disabled={isRunning}
+                        onChange={(e) => onOptionsChange({
+                            ...options,
+                            concurrency: Math.min(Math.max(Number(e.target.value) || 1, 1), MAX_BATCH_CONCURRENCY),
+                        })}
+                        className="w-20 p-2 border border-gray-300 rounded-lg"
+                    />
+                </label>
+                <fieldset className="text-sm text-gray-700" disabled={isRunning}>
+                    <legend className="mb-1">{t('batch.extras')}</legend>
+                    <div className="flex flex-wrap gap-3">
+                        {BATCH_EXTRA_STEPS.map((step) => (
+                            <label key={step} className="flex items-center gap-1">
+                                <input type="checkbox" checked={options.extras.includes(step)} onChange={() => toggleExtra(step)} />
+                                {t(`step.${step}`)}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+            </div>
+
+            {rows.length > 0 && (
+                <>
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                        {isRunning ? (
+                            <StopButton onClick={onStop} label={t('batch.stop')} />
+                        ) : (
+                            <button
+                                onClick={onStart}
+                                disabled={!canStart}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {t('batch.start')}
+                            </button>
+                        )}
+                        <button onClick={onRetry} disabled={!canRetry} className={buttonClassName}>
+                            {t('batch.retry', { count: summary.failed + summary.stopped })}
+                        </button>
+                        <button onClick={() => onExport('csv')} disabled={summary.done === 0} className={buttonClassName}>
+                            {t('batch.downloadCsv')}
+                        </button>
+                        <button onClick={() => onExport('json')} disabled={summary.done === 0} className={buttonClassName}>
+                            {t('batch.downloadJson')}
+                        </button>
+                        <button onClick={onClear} disabled={isRunning} className={`${buttonClassName} ms-auto`}>
+                            {t('batch.clear')}
+                        </button>
+                    </div>
+
+                    <div className="mb-1 h-2 w-full bg-gray-200 rounded-full overflow-hidden" role="progressbar" aria-valuemin={0} aria-valuemax={summary.total} aria-valuenow={finished}>
+                        <div className="h-full bg-indigo-500 transition-all duration-300" style={{ width: `${(finished / summary.total) * 100}%` }}></div>
+                    </div>
+                    <p className="text-sm text-gray-600 mb-3" role="status">
+                        {t('batch.summary', { done: summary.done, failed: summary.failed, stopped: summary.stopped, pending: summary.pending, total: summary.total })}
+                    </p>
+
+                    <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+                        <table className="w-full text-sm text-start">
+                            <thead>
+                                <tr className="text-gray-500 border-b border-gray-200">
+                                    <th className="py-1 pe-3 font-medium">{t('batch.column.label')}</th>
+                                    <th className="py-1 pe-3 font-medium">{t('batch.column.idea')}</th>
+                                    <th className="py-1 pe-3 font-medium">{t('batch.column.status')}</th>
+                                    <th className="py-1 pe-3 font-medium">{t('batch.column.result')}</th>
+                                    <th className="py-1 font-medium"><span className="sr-only">{t('batch.column.actions')}</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((row) => (
+                                    <tr key={row.id} className="border-b border-gray-100 align-top">
+                                        <td className="py-2 pe-3 text-gray-800 whitespace-nowrap">{row.label}</td>
+                                        <td className="py-2 pe-3 text-gray-700 max-w-xs" dir="auto">
+                                            <span className="line-clamp-2" title={row.idea}>{row.idea}</span>
+                                        </td>
+                                        <td className="py-2 pe-3 whitespace-nowrap">
+                                            <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_CLASSES[row.status]}`}>
+                                                {t(`batch.status.${row.status}`)}
+                                            </span>
+                                            {row.step && row.status !== 'done' && (
+                                                <span className="block text-xs text-gray-500 mt-1">{t(`step.${row.step}`)}</span>
+                                            )}
+                                            {row.status === 'waiting' && row.resumeAt && (
+                                                <span className="block text-xs text-amber-700">
+                                                    {t('batch.waitingUntil', { time: new Date(row.resumeAt).toLocaleTimeString() })}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className="py-2 pe-3">
+                                            {row.results.appPreview && (
+                                                <>
+                                                    <span className="font-semibold text-gray-800">{row.results.appPreview.appName}</span>
+                                                    <span className="block text-xs text-gray-500">{row.results.appPreview.tagline}</span>
+                                                </>
+                                            )}
+                                            {row.error && <span className="block text-xs text-red-600">{row.error}</span>}
+                                        </td>
+                                        <td className="py-2 text-end">
+                                            {row.results.appPreview && (
+                                                <button
+                                                    onClick={() => onOpenRow(row)}
+                                                    disabled={isRunning}
+                                                    className="text-xs text-indigo-600 hover:underline disabled:opacity-50 disabled:no-underline"
+                                                >
+                                                    {t('batch.open')}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </section>
+    );
+};
+
+export default BatchPanel;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { STEPS } from '../settings.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - Size in bytes.
+ * @returns {string}
+ */
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`);
+
+/**
+ * Lists the cached AI responses with their age, expiry and size, and lets the user
+ * delete single entries or clear the whole cache.
+ * @param {object} props
+ * @param {object} props.cache - Response cache (see storage/response-cache.js).
+ * @param {number} props.ttlMs - Cache TTL, to show when entries expire.
+ * @param {number} props.maxBytes - Cache size limit.
+ * @param {function(): void} props.onClose - Hides the inspector.
+ */
+const CacheInspector = ({ cache, ttlMs, maxBytes, onClose }) => {
+    const { t, locale } = useTranslation();
+    const [entries, setEntries] = useState(null); // null while loading
+    const [expandedKey, setExpandedKey] = useState(null);
+    const [loadError, setLoadError] = useState(''); // Message of the last failed read
+
+    const refresh = useCallback(async () => {
+        try {
+            setEntries(await cache.list());
+            setLoadError('');
+        } catch (err) {
+            console.error('Failed to read the response cache:', err);
+            setLoadError(err.message);
+            setEntries([]);
+        }
+    }, [cache]);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const handleRemove = async (key) => {
+        await cache.remove(key);
+        refresh();
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm(t('cache.clearConfirm'))) return;
+        await cache.clear();
+        refresh();
+    };
+
+    const stepLabel = (key) => (STEPS.includes(key) ? t(`step.${key}`) : key);
+    const totalSize = (entries || []).reduce((sum, entry) => sum + entry.size, 0);
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('cache.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('cache.close')}>✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+                {entries === null
+                    ? t('cache.loading')
+                    : t('cache.summary', { count: entries.length, size: formatSize(totalSize), max: formatSize(maxBytes) })}
+            </p>
+            {loadError && <p className="mb-4 text-sm text-red-600">{t('cache.loadFailed', { message: loadError })}</p>}
+
+            {entries && entries.length > 0 && (
+                <ul className="divide-y divide-gray-200 mb-4 max-h-[28rem] overflow-y-auto">
+                    {entries.map((entry) => (
+                        <li key={entry.key} className="py-2 text-sm">
+                            <div className="flex flex-wrap items-center gap-2">
+                                <button
+                                    onClick={() => setExpandedKey(expandedKey === entry.key ? null : entry.key)}
+                                    className="flex-1 min-w-0 text-start"
+                                    aria-expanded={expandedKey === entry.key}
+                                >
+                                    <span className="font-semibold text-gray-800">{stepLabel(entry.step)}</span>
+                                    <span className="text-gray-500"> · {entry.model} · {formatSize(entry.size)}</span>
+                                    <span className="block truncate text-gray-600">{entry.prompt}</span>
+                                    <span className="block text-xs text-gray-400">
+                                        {t('cache.dates', {
+                                            cached: new Date(entry.createdAt).toLocaleString(locale),
+                                            expires: new Date(entry.createdAt + ttlMs).toLocaleString(locale),
+                                        })}
+                                    </span>
+                                </button>
+                                <button onClick={() => handleRemove(entry.key)} className="text-red-600 hover:underline">
+                                    {t('cache.delete')}
+                                </button>
+                            </div>
+                            {expandedKey === entry.key && (
+                                <pre className="mt-2 p-3 bg-white border border-gray-200 rounded-lg text-xs whitespace-pre-wrap max-h-64 overflow-y-auto">{entry.response}</pre>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex justify-end">
+                <button
+                    onClick={handleClear}
+                    disabled={!entries || entries.length === 0}
+                    className="py-2 px-4 rounded-lg text-sm font-semibold text-red-600 border border-red-200 hover:bg-red-50 transition duration-200 disabled:opacity-50"
+                >
+                    {t('cache.clear')}
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default CacheInspector;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Notice that a result was answered from the response cache, with a way to get a fresh one.
+ * @param {object} props
+ * @param {string} [props.label] - What was cached; defaults to "This result" in the interface language.
+ * @param {function(): void} props.onRegenerate - Repeats the request, bypassing the cache.
+ * @param {boolean} [props.disabled] - Whether regenerating is currently unavailable.
+ */
+const CacheNotice = ({ label, onRegenerate, disabled = false }) => {
+    const { t } = useTranslation();
+    return (
+        <p className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+            <span>{t('cache.loaded', { label: label || t('cache.defaultLabel') })}</span>
+            <button onClick={onRegenerate} disabled={disabled} className="font-semibold text-indigo-600 hover:underline disabled:opacity-50">
+                {t('cache.regenerate')}
+            </button>
+        </p>
+    );
+};
+
+export default CacheNotice;
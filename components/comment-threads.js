@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Text box with a submit button, for new comments and replies.
+ * @param {object} props
+ * @param {string} props.placeholder - Placeholder text.
+ * @param {string} props.submitLabel - Button label.
+ * @param {boolean} props.disabled - Disables submitting, e.g. while saving.
+ * @param {function(string): Promise<boolean>} props.onSubmit - Posts the text; resolves true once saved.
+ * @param {function(): void} [props.onCancel] - Shows a cancel button that calls this.
+ */
+const CommentBox = ({ placeholder, submitLabel, disabled, onSubmit, onCancel }) => {
+    const { t } = useTranslation();
+    const [text, setText] = useState('');
+
+    const handleSubmit = async () => {
+        if (await onSubmit(text)) setText('');
+    };
+
+    return (
+        <div className="mt-2">
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={placeholder}
+                rows="2"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500"
+                dir="auto"
+            />
+            <div className="flex gap-2 mt-1">
+                <button
+                    onClick={handleSubmit}
+                    disabled={disabled || !text.trim()}
+                    className="py-1 px-3 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {submitLabel}
+                </button>
+                {onCancel && (
+                    <button onClick={onCancel} className="py-1 px-3 text-sm text-gray-600 hover:underline">{t('review.cancel')}</button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * One thread: its comments, a reply box, and resolve/reopen for the author.
+ * Resolved threads are collapsed to their first comment.
+ * @param {object} props
+ * @param {import('../share.js').CommentThread} props.thread
+ * @param {boolean} props.canResolve - Whether the viewer is the author of the share.
+ * @param {string} props.ownerId - User id of the author, to label their comments.
+ * @param {boolean} props.disabled - Disables posting, e.g. while saving.
+ * @param {function(string): Promise<boolean>} props.onReply - Posts a reply.
+ * @param {function(boolean): void} props.onResolve - Resolves (true) or reopens (false) the thread.
+ */
+const Thread = ({ thread, canResolve, ownerId, disabled, onReply, onResolve }) => {
+    const { t, locale } = useTranslation();
+    const [isExpanded, setIsExpanded] = useState(!thread.resolved);
+    const comments = isExpanded ? thread.comments : thread.comments.slice(0, 1);
+
+    return (
+        <li className={`p-3 rounded-lg border ${thread.resolved ? 'bg-gray-50 border-gray-200' : 'bg-amber-50 border-amber-200'}`}>
+            <ul className="space-y-2">
+                {comments.map((comment) => (
+                    <li key={comment.id}>
+                        <p className="text-xs text-gray-500">
+                            <span className="font-semibold text-gray-700">{comment.author || t('review.anonymous')}</span>
+                            {comment.authorId === ownerId && <span className="ms-1 text-indigo-600">{t('review.authorBadge')}</span>}
+                            {' · '}
+                            {new Date(comment.createdAt).toLocaleString(locale)}
+                        </p>
+                        <p className="text-sm text-gray-800 whitespace-pre-wrap" dir="auto">{comment.text}</p>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+                {thread.resolved && (
+                    <span className="px-2 py-0.5 rounded text-xs font-semibold bg-green-100 text-green-800">{t('review.resolved')}</span>
+                )}
+                {thread.resolved && thread.comments.length > 1 && (
+                    <button onClick={() => setIsExpanded(!isExpanded)} className="text-indigo-600 hover:underline" aria-expanded={isExpanded}>
+                        {t(isExpanded ? 'review.collapse' : 'review.showReplies', { count: thread.comments.length - 1 })}
+                    </button>
+                )}
+                {canResolve && (
+                    <button onClick={() => onResolve(!thread.resolved)} disabled={disabled} className="text-indigo-600 hover:underline disabled:opacity-50">
+                        {t(thread.resolved ? 'review.reopen' : 'review.resolve')}
+                    </button>
+                )}
+            </div>
+            {isExpanded && (
+                <CommentBox placeholder={t('review.replyPlaceholder')} submitLabel={t('review.reply')} disabled={disabled} onSubmit={onReply} />
+            )}
+        </li>
+    );
+};
+
+/**
+ * Comment threads anchored to one key feature or prompt section, open ones first, and a way to start a new one.
+ * @param {object} props
+ * @param {Array<import('../share.js').CommentThread>} props.threads - Threads on this anchor, oldest first.
+ * @param {boolean} props.canResolve - Whether the viewer is the author of the share.
+ * @param {string} props.ownerId - User id of the author.
+ * @param {boolean} props.disabled - Disables posting, e.g. while saving.
+ * @param {function(string): Promise<boolean>} props.onStart - Starts a thread with this comment.
+ * @param {function(string, string): Promise<boolean>} props.onReply - Replies to the thread with this id.
+ * @param {function(string, boolean): void} props.onResolve - Resolves or reopens the thread with this id.
+ */
+const CommentThreads = ({ threads, canResolve, ownerId, disabled, onStart, onReply, onResolve }) => {
+    const { t } = useTranslation();
+    const [isComposing, setIsComposing] = useState(false);
+    const sorted = [...threads.filter((thread) => !thread.resolved), ...threads.filter((thread) => thread.resolved)];
+
+    const handleStart = async (text) => {
+        const saved = await onStart(text);
+        if (saved) setIsComposing(false);
+        return saved;
+    };
+
+    return (
+        <div className="mt-2">
+            {sorted.length > 0 && (
+                <ul className="space-y-2 mb-2">
+                    {sorted.map((thread) => (
+                        <Thread
+                            key={thread.id}
+                            thread={thread}
+                            canResolve={canResolve}
+                            ownerId={ownerId}
+                            disabled={disabled}
+                            onReply={(text) => onReply(thread.id, text)}
+                            onResolve={(resolved) => onResolve(thread.id, resolved)}
+                        />
+                    ))}
+                </ul>
+            )}
+            {isComposing ? (
+                <CommentBox
+                    placeholder={t('review.commentPlaceholder')}
+                    submitLabel={t('review.post')}
+                    disabled={disabled}
+                    onSubmit={handleStart}
+                    onCancel={() => setIsComposing(false)}
+                />
+            ) : (
+                <button onClick={() => setIsComposing(true)} className="text-sm text-indigo-600 hover:underline">
+                    💬 {t('review.addComment')}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default CommentThreads;
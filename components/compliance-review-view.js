@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import {
+    REGULATIONS, STRIDE_CATEGORIES, SEVERITIES, DEFAULT_SELECTED_SEVERITIES, listComplianceFindings,
+} from '../compliance.js';
+
+// Badge classes per severity
+const SEVERITY_STYLES = {
+    critical: 'bg-red-100 text-red-800',
+    high: 'bg-orange-100 text-orange-800',
+    medium: 'bg-amber-100 text-amber-800',
+    low: 'bg-gray-100 text-gray-700',
+};
+
+/**
+ * Severity badge.
+ * @param {object} props
+ * @param {string} props.severity - A SEVERITIES key.
+ */
+const SeverityBadge = ({ severity }) => {
+    const { t } = useTranslation();
+    return <span className={`px-2 py-0.5 rounded text-xs font-semibold ${SEVERITY_STYLES[severity]}`}>{t(`severity.${severity}`)}</span>;
+};
+
+/**
+ * Ids of the findings to preselect: the severe ones not yet in the prompt.
+ * @param {Array<import('../compliance.js').ComplianceFinding>} findings
+ * @returns {string[]}
+ */
+const defaultSelection = (findings) => findings
+    .filter((finding) => !finding.inPrompt && DEFAULT_SELECTED_SEVERITIES.includes(finding.severity))
+    .map(({ id }) => id);
+
+/**
+ * Compliance review: applicable regulations, personal data, a STRIDE matrix of the key features
+ * and the findings by severity. Selected findings can be added to the custom prompt as requirements.
+ * @param {object} props
+ * @param {import('../compliance.js').ComplianceReview} props.review - The review to show.
+ * @param {function(string[]): void} props.onAddToPrompt - Adds the findings with these ids to the prompt.
+ */
+const ComplianceReviewView = ({ review, onAddToPrompt }) => {
+    const { t } = useTranslation();
+    const findings = listComplianceFindings(review);
+    const [selectedIds, setSelectedIds] = useState(() => defaultSelection(findings)); // Findings to add to the prompt
+
+    const toggle = (id) => setSelectedIds((prev) => (prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]));
+
+    const handleAdd = () => {
+        onAddToPrompt(selectedIds);
+        setSelectedIds([]);
+    };
+
+    // Rows of the threat matrix; the threats are already grouped by feature
+    const rows = [...new Set(review.threats.map(({ feature }) => feature))];
+
+    return (
+        <div className="mt-8 p-5 bg-rose-50 rounded-lg border border-rose-200 animate-fade-in">
+            <h4 className="text-lg font-semibold text-rose-700 mb-2">{t('compliance.heading')}</h4>
+            <p className="text-gray-800 mb-3">{review.summary}</p>
+            <div className="flex flex-wrap gap-2 mb-5">
+                {SEVERITIES.map(({ key: severity }) => (
+                    <span key={severity} className={`px-2 py-1 rounded text-sm ${SEVERITY_STYLES[severity]}`}>
+                        {t(`severity.${severity}`)}: <strong>{findings.filter((finding) => finding.severity === severity).length}</strong>
+                    </span>
+                ))}
+            </div>
+
+            <h5 className="font-semibold text-rose-600 mb-2">{t('compliance.regulations')}</h5>
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-5">
+                {review.regulations.map(({ regulation, applies, reason }) => (
+                    <li key={regulation} className={`p-3 bg-white rounded-lg border ${applies ? 'border-rose-300' : 'border-gray-200'}`}>
+                        <div className="flex items-center gap-2 mb-1">
+                            <span className="font-semibold text-gray-800">{REGULATIONS.find(({ key }) => key === regulation).label}</span>
+                            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${applies ? 'bg-rose-100 text-rose-800' : 'bg-gray-100 text-gray-600'}`}>
+                                {t(applies ? 'compliance.applies' : 'compliance.notApplicable')}
+                            </span>
+                        </div>
+                        <p className="text-sm text-gray-600">{reason}</p>
+                    </li>
+                ))}
+            </ul>
+
+            <h5 className="font-semibold text-rose-600 mb-2">{t('compliance.personalData')}</h5>
+            {review.personalData.length === 0 ? (
+                <p className="text-sm text-gray-600 mb-5">{t('compliance.noPersonalData')}</p>
+            ) : (
+                <ul className="list-disc list-inside ms-4 mb-5 text-gray-800 space-y-1">
+                    {review.personalData.map(({ category, examples, sensitive, features: usedBy }) => (
+                        <li key={category}>
+                            <strong>{category}</strong>
+                            {sensitive && <span className="ms-2 px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800">{t('compliance.sensitive')}</span>}
+                            {examples.length > 0 && <span className="text-gray-600"> — {examples.join(', ')}</span>}
+                            {usedBy.length > 0 && <span className="block ms-5 text-xs text-gray-500">{t('compliance.usedBy', { features: usedBy.join(', ') })}</span>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <h5 className="font-semibold text-rose-600 mb-2">{t('compliance.threatModel')}</h5>
+            <div className="overflow-x-auto mb-5">
+                <table className="w-full text-sm text-start bg-white rounded-lg">
+                    <thead>
+                        <tr className="text-gray-500 border-b border-gray-200">
+                            <th className="py-1 px-2 font-medium">{t('compliance.feature')}</th>
+                            {STRIDE_CATEGORIES.map(({ key }) => (
+                                <th key={key} className="py-1 px-2 font-medium" title={t(`stride.${key}.description`)}>{t(`stride.${key}`)}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((feature) => (
+                            <tr key={feature} className="border-b border-gray-100 align-top">
+                                <td className="py-2 px-2 text-gray-800">{feature}</td>
+                                {STRIDE_CATEGORIES.map(({ key }) => {
+                                    const threat = review.threats.find((th) => th.feature === feature && th.category === key);
+                                    return (
+                                        <td key={key} className="py-2 px-2">
+                                            {threat ? <span title={threat.threat}><SeverityBadge severity={threat.severity} /></span> : <span className="text-gray-300">–</span>}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <h5 className="font-semibold text-rose-600 mb-1">{t('compliance.findings')}</h5>
+            <p className="text-sm text-gray-500 mb-3">{t('compliance.findingsHint')}</p>
+            {SEVERITIES.filter(({ key }) => findings.some((finding) => finding.severity === key)).map(({ key: severity }) => (
+                <div key={severity} className="mb-4">
+                    <p className="mb-2"><SeverityBadge severity={severity} /></p>
+                    <ul className="space-y-2">
+                        {findings.filter((finding) => finding.severity === severity).map((finding) => (
+                            <li key={finding.id} className="p-3 bg-white rounded-lg border border-gray-200">
+                                <label className="flex items-start gap-3 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(finding.id)}
+                                        onChange={() => toggle(finding.id)}
+                                        className="mt-1"
+                                    />
+                                    <span className="flex-1">
+                                        <span className="flex flex-wrap items-center gap-2">
+                                            <span className="text-xs uppercase tracking-wide text-gray-500">
+                                                {finding.category ? t(`stride.${finding.category}`) : t('compliance.control')}
+                                            </span>
+                                            <span className="font-medium text-gray-800">{finding.title}</span>
+                                            {finding.inPrompt && <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">{t('compliance.inPrompt')}</span>}
+                                        </span>
+                                        <span className="block text-sm text-gray-600 mt-1">
+                                            {finding.kind === 'threat' ? t('compliance.mitigation', { mitigation: finding.detail }) : finding.detail}
+                                        </span>
+                                        {finding.tags.length > 0 && (
+                                            <span className="flex flex-wrap gap-1 mt-1">
+                                                {finding.tags.map((tag) => <span key={tag} className="px-2 py-0.5 rounded bg-rose-100 text-rose-700 text-xs">{tag}</span>)}
+                                            </span>
+                                        )}
+                                    </span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+
+            <div className="flex flex-wrap items-center gap-3">
+                <button
+                    onClick={handleAdd}
+                    disabled={selectedIds.length === 0}
+                    className="bg-rose-600 text-white py-2 px-4 rounded-lg text-sm font-semibold hover:bg-rose-700 disabled:opacity-50"
+                >
+                    {t('compliance.addToPrompt', { count: selectedIds.length })}
+                </button>
+                <button onClick={() => setSelectedIds(defaultSelection(findings))} className="text-sm text-indigo-600 hover:underline">
+                    {t('compliance.selectSevere')}
+                </button>
+                <button onClick={() => setSelectedIds(findings.map(({ id }) => id))} className="text-sm text-indigo-600 hover:underline">
+                    {t('compliance.selectAll')}
+                </button>
+                <button onClick={() => setSelectedIds([])} className="text-sm text-indigo-600 hover:underline">
+                    {t('compliance.selectNone')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ComplianceReviewView;
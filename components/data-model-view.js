@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import MermaidDiagram from './mermaid-diagram.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Tabs of the view; each is labelled `dataModel.tab.<key>` in the i18n bundles
+const TABS = ['entities', 'erd', 'openapi'];
+
+/**
+ * Technical design view: the entities, their ER diagram and the OpenAPI contract.
+ * The contract is only shown and offered for download when it passed validation.
+ * @param {object} props
+ * @param {import('../data-model.js').DataModel} props.dataModel - Generated data model.
+ * @param {string} props.erdSource - Mermaid source of the ER diagram.
+ * @param {object} props.openApiDocument - OpenAPI document built from the data model.
+ * @param {Array<{path: string, message: string}>} props.openApiIssues - Validation problems; empty when valid.
+ * @param {function(string): void} props.onExport - Called with 'mermaid' or 'openapi'.
+ */
+const DataModelView = ({ dataModel, erdSource, openApiDocument, openApiIssues, onExport }) => {
+    const { t } = useTranslation();
+    const [tab, setTab] = useState('entities');
+    const isValid = openApiIssues.length === 0;
+    const buttonClassName = 'py-1 px-3 rounded-lg text-sm font-semibold text-cyan-700 border border-cyan-300 bg-white hover:bg-cyan-100 transition duration-200 disabled:opacity-50';
+
+    return (
+        <div className="mt-8 p-5 bg-cyan-50 rounded-lg border border-cyan-200 animate-fade-in">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h4 className="text-lg font-semibold text-cyan-700">{t('dataModel.heading')}</h4>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={() => onExport('mermaid')} className={buttonClassName}>
+                        {t('dataModel.downloadErd')}
+                    </button>
+                    <button onClick={() => onExport('openapi')} className={buttonClassName} disabled={!isValid}>
+                        {t('dataModel.downloadOpenApi')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex gap-1 mb-3 border-b border-cyan-200" role="tablist">
+                {TABS.map((key) => (
+                    <button
+                        key={key}
+                        role="tab"
+                        aria-selected={tab === key}
+                        onClick={() => setTab(key)}
+                        className={`py-1 px-3 text-sm font-semibold rounded-t-lg ${tab === key ? 'bg-white border border-b-0 border-cyan-200 text-cyan-700' : 'text-gray-500 hover:text-cyan-700'}`}
+                    >
+                        {t(`dataModel.tab.${key}`)}
+                    </button>
+                ))}
+            </div>
+
+            {tab === 'entities' && (
+                <div className="space-y-4">
+                    {dataModel.entities.map((entity) => (
+                        <div key={entity.name} className="bg-white rounded-lg border border-cyan-200 p-3">
+                            <p className="font-semibold text-cyan-700">{entity.name}</p>
+                            <p className="text-sm text-gray-600 mb-2">{entity.description}</p>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-start text-gray-500 border-b border-gray-100">
+                                        <th className="p-1">{t('dataModel.field')}</th>
+                                        <th className="p-1">{t('dataModel.type')}</th>
+                                        <th className="p-1">{t('dataModel.key')}</th>
+                                        <th className="p-1">{t('dataModel.required')}</th>
+                                        <th className="p-1">{t('dataModel.description')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {entity.fields.map((field) => (
+                                        <tr key={field.name} className="border-b border-gray-50">
+                                            <td className="p-1 font-mono">{field.name}</td>
+                                            <td className="p-1 font-mono">{field.type}</td>
+                                            <td className="p-1">{field.key !== 'none' ? field.key : ''}</td>
+                                            <td className="p-1">{t(field.required ? 'dataModel.yes' : 'dataModel.no')}</td>
+                                            <td className="p-1 text-gray-600">{field.description}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {entity.relations.length > 0 && (
+                                <p className="mt-2 text-sm text-gray-600">
+                                    <strong>{t('dataModel.relations')}</strong>{' '}
+                                    {entity.relations.map((r) => `${r.label} ${r.target} (${r.type})`).join('; ')}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {tab === 'erd' && (
+                <div className="bg-white rounded-lg border border-cyan-200 p-3">
+                    <MermaidDiagram source={erdSource} />
+                </div>
+            )}
+
+            {tab === 'openapi' && (isValid ? (
+                <div>
+                    <p className="text-sm text-green-700 mb-2">
+                        {t('dataModel.openApiValid', { version: openApiDocument.openapi, count: Object.keys(openApiDocument.paths).length })}
+                    </p>
+                    <pre className="p-3 bg-white border border-cyan-200 rounded text-xs overflow-auto max-h-96" dir="ltr">
+                        {JSON.stringify(openApiDocument, null, 2)}
+                    </pre>
+                </div>
+            ) : (
+                <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                    <p className="font-semibold mb-1">{t('dataModel.openApiInvalid')}</p>
+                    <ul className="list-disc list-inside">
+                        {openApiIssues.map(({ path, message }, index) => <li key={index}><code>{path}</code> {message}</li>)}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default DataModelView;
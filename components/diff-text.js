@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * Renders diff segments inline: removals struck through, additions highlighted.
+ * @param {object} props
+ * @param {Array<{type: string, text: string}>} props.segments - Output of diffWords.
+ * @param {Array<string>} [props.show] - Segment types to render; defaults to all.
+ */
+const DiffText = ({ segments, show = ['equal', 'insert', 'delete'] }) => (
+    <div className="whitespace-pre-wrap text-sm text-gray-800 bg-white p-4 rounded-lg border border-gray-200 max-h-96 overflow-y-auto">
+        {segments.filter(({ type }) => show.includes(type)).map(({ type, text }, index) => {
+            if (type === 'insert') return <ins key={index} className="bg-green-100 text-green-800 no-underline">{text}</ins>;
+            if (type === 'delete') return <del key={index} className="bg-red-100 text-red-700">{text}</del>;
+            return <span key={index}>{text}</span>;
+        })}
+    </div>
+);
+
+export default DiffText;
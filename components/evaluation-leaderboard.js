@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import { EVALUATION_CRITERIA, MAX_CRITERION_SCORE } from '../evaluation.js';
+import EvaluationWeights from './evaluation-weights.js';
+import RadarChart from './radar-chart.js';
+
+/**
+ * Ranks the evaluated ideas by weighted score and compares any two of them on a radar chart.
+ * @param {object} props
+ * @param {Array<import('../evaluation.js').LeaderboardEntry>} props.entries - Ranked ideas, best first.
+ * @param {string|null} props.currentId - Entry of the idea that is open, if it is evaluated.
+ * @param {Object<string, number>} props.weights - Weight per criterion key.
+ * @param {function(Object<string, number>): void} props.onWeightsChange - Called with new weights.
+ * @param {function(string): void} props.onOpen - Opens an idea's project by id.
+ * @param {function(): void} props.onClose - Hides the leaderboard.
+ */
+const EvaluationLeaderboard = ({ entries, currentId, weights, onWeightsChange, onOpen, onClose }) => {
+    const { t } = useTranslation();
+    const [compareIds, setCompareIds] = useState([]); // Ids picked for the radar chart; the top two until changed
+
+    // Picks that no longer exist fall back to the best entries
+    const picked = (slot) => (entries.some(({ id }) => id === compareIds[slot]) ? compareIds[slot] : null);
+    const firstId = picked(0) ?? entries[0]?.id;
+    const secondId = picked(1) ?? entries.find(({ id }) => id !== firstId)?.id;
+    const compared = [...new Set([firstId, secondId])].map((id) => entries.find((entry) => entry.id === id));
+
+    const handlePick = (slot, id) => {
+        const next = [firstId, secondId];
+        next[slot] = id;
+        setCompareIds(next);
+    };
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('leaderboard.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('leaderboard.close')}>✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('leaderboard.intro')}</p>
+
+            {entries.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">{t('leaderboard.empty')}</p>
+            ) : (
+                <div className="overflow-x-auto mb-6">
+                    <table className="w-full text-sm text-start">
+                        <thead>
+                            <tr className="text-gray-500 border-b border-gray-200">
+                                <th className="py-1 pe-3 font-medium">{t('leaderboard.rank')}</th>
+                                <th className="py-1 pe-3 font-medium">{t('leaderboard.idea')}</th>
+                                <th className="py-1 pe-3 font-medium text-end">{t('leaderboard.score')}</th>
+                                {EVALUATION_CRITERIA.map(({ key }) => (
+                                    <th key={key} className="py-1 pe-3 font-medium text-end" title={t(`criterion.${key}`)}>
+                                        {t(`criterion.${key}.short`)}
+                                    </th>
+                                ))}
+                                <th className="py-1 font-medium"><span className="sr-only">{t('leaderboard.actions')}</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map((entry) => (
+                                <tr key={entry.id} className={`border-b border-gray-100 ${entry.id === currentId ? 'bg-indigo-50' : ''}`}>
+                                    <td className="py-2 pe-3 font-semibold text-gray-700">{entry.rank}</td>
+                                    <td className="py-2 pe-3 text-gray-800">
+                                        {entry.name}
+                                        {entry.id === currentId && <span className="ms-2 text-xs text-indigo-600">{t('leaderboard.current')}</span>}
+                                    </td>
+                                    <td className="py-2 pe-3 text-end font-bold text-violet-700">{entry.score === null ? '–' : entry.score}</td>
+                                    {entry.evaluation.criteria.map(({ criterion, score }) => (
+                                        <td key={criterion} className={`py-2 pe-3 text-end ${weights[criterion] === 0 ? 'text-gray-400' : 'text-gray-700'}`}>{score}</td>
+                                    ))}
+                                    <td className="py-2 text-end">
+                                        {entry.id !== currentId && (
+                                            <button onClick={() => onOpen(entry.id)} className="text-xs text-indigo-600 hover:underline">
+                                                {t('leaderboard.open')}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {entries.length >= 2 && (
+                <div className="mb-6">
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('leaderboard.compare')}</h3>
+                    <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                        {[firstId, secondId].map((selectedId, slot) => (
+                            <React.Fragment key={slot}>
+                                {slot === 1 && <span className="text-gray-500">{t('leaderboard.versus')}</span>}
+                                <select
+                                    value={selectedId}
+                                    onChange={(e) => handlePick(slot, e.target.value)}
+                                    className="p-2 border border-gray-300 rounded-lg"
+                                    aria-label={t('leaderboard.compareSlot', { number: slot + 1 })}
+                                >
+                                    {entries.map((entry) => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+                                </select>
+                            </React.Fragment>
+                        ))}
+                    </div>
+                    <RadarChart
+                        axes={EVALUATION_CRITERIA.map(({ key }) => t(`criterion.${key}`))}
+                        series={compared.map((entry) => ({
+                            label: entry.name,
+                            values: entry.evaluation.criteria.map(({ score }) => score),
+                        }))}
+                        max={MAX_CRITERION_SCORE}
+                        title={compared.map((entry) => entry.name).join(` ${t('leaderboard.versus')} `)}
+                    />
+                </div>
+            )}
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('evaluation.weights')}</h3>
+            <EvaluationWeights weights={weights} onChange={onWeightsChange} />
+        </section>
+    );
+};
+
+export default EvaluationLeaderboard;
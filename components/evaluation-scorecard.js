@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import { MAX_CRITERION_SCORE, computeEvaluationScore } from '../evaluation.js';
+import EvaluationWeights from './evaluation-weights.js';
+
+/**
+ * Bar color for a criterion score.
+ * @param {number} score - 1-10.
+ * @returns {string} - Tailwind background class.
+ */
+const scoreColor = (score) => {
+    if (score >= 7) return 'bg-green-500';
+    if (score >= 4) return 'bg-amber-500';
+    return 'bg-red-500';
+};
+
+/**
+ * Evaluation card: the weighted overall score, the summary and each criterion's score with its rationale.
+ * The weights can be adjusted in place; they apply to every evaluated idea.
+ * @param {object} props
+ * @param {import('../evaluation.js').Evaluation} props.evaluation - The evaluation to show.
+ * @param {Object<string, number>} props.weights - Weight per criterion key.
+ * @param {function(Object<string, number>): void} props.onWeightsChange - Called with new weights.
+ */
+const EvaluationScorecard = ({ evaluation, weights, onWeightsChange }) => {
+    const { t } = useTranslation();
+    const [isWeightsOpen, setIsWeightsOpen] = useState(false);
+    const score = computeEvaluationScore(evaluation, weights);
+
+    return (
+        <div className="mt-8 p-5 bg-violet-50 rounded-lg border border-violet-200 animate-fade-in">
+            <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                <h4 className="text-lg font-semibold text-violet-700">{t('evaluation.heading')}</h4>
+                <div className="text-end">
+                    <span className="text-3xl font-extrabold text-violet-700">{score === null ? '–' : score}</span>
+                    <span className="text-sm text-gray-500"> / 100</span>
+                    <p className="text-xs text-gray-500">{t('evaluation.overall')}</p>
+                </div>
+            </div>
+            <p className="text-gray-800 mb-4">{evaluation.summary}</p>
+
+            <ul className="space-y-3 mb-4">
+                {evaluation.criteria.map(({ criterion, score: criterionScore, rationale }) => (
+                    <li key={criterion}>
+                        <div className="flex items-center gap-3">
+                            <span className="w-40 shrink-0 font-medium text-violet-600">{t(`criterion.${criterion}`)}</span>
+                            <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div className={`h-full ${scoreColor(criterionScore)}`} style={{ width: `${(criterionScore / MAX_CRITERION_SCORE) * 100}%` }}></div>
+                            </div>
+                            <span className="w-12 text-end text-sm font-semibold text-gray-700">{criterionScore}/{MAX_CRITERION_SCORE}</span>
+                            {weights[criterion] === 0 && <span className="text-xs text-gray-400">{t('evaluation.ignored')}</span>}
+                        </div>
+                        <p className="text-sm text-gray-600 mt-1">{rationale}</p>
+                    </li>
+                ))}
+            </ul>
+            <p className="text-xs text-gray-500 mb-3">{t('evaluation.higherIsBetter')}</p>
+
+            <button onClick={() => setIsWeightsOpen(!isWeightsOpen)} className="text-sm text-indigo-600 hover:underline mb-2" aria-expanded={isWeightsOpen}>
+                {t(isWeightsOpen ? 'evaluation.hideWeights' : 'evaluation.adjustWeights')}
+            </button>
+            {isWeightsOpen && <EvaluationWeights weights={weights} onChange={onWeightsChange} />}
+        </div>
+    );
+};
+
+export default EvaluationScorecard;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { useTranslation } from '../i18n/index.js';
+import { EVALUATION_CRITERIA, MAX_CRITERION_WEIGHT, DEFAULT_EVALUATION_WEIGHTS } from '../evaluation.js';
+
+/**
+ * Sliders for how much each evaluation criterion counts in the overall score.
+ * @param {object} props
+ * @param {Object<string, number>} props.weights - Weight per criterion key.
+ * @param {function(Object<string, number>): void} props.onChange - Called with the new weights.
+ */
+const EvaluationWeights = ({ weights, onChange }) => {
+    const { t } = useTranslation();
+    return (
+        <div className="p-3 bg-white rounded-lg border border-gray-200">
+            <p className="text-sm text-gray-500 mb-3">{t('evaluation.weightsHint', { max: MAX_CRITERION_WEIGHT })}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+                {EVALUATION_CRITERIA.map(({ key }) => (
+                    <label key={key} className="flex items-center gap-3 text-sm text-gray-700">
+                        <span className="w-40 shrink-0">{t(`criterion.${key}`)}</span>
+                        <input
+                            type="range"
+                            min={0}
+                            max={MAX_CRITERION_WEIGHT}
+                            step={1}
+                            value={weights[key]}
+                            onChange={(e) => onChange({ ...weights, [key]: Number(e.target.value) })}
+                            className="flex-1"
+                        />
+                        <span className="w-4 text-end font-semibold">{weights[key]}</span>
+                    </label>
+                ))}
+            </div>
+            <button onClick={() => onChange(DEFAULT_EVALUATION_WEIGHTS)} className="mt-3 text-sm text-indigo-600 hover:underline">
+                {t('evaluation.resetWeights')}
+            </button>
+        </div>
+    );
+};
+
+export default EvaluationWeights;
@@ -0,0 +1,71 @@
+import React, { useState, useRef } from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Header dropdown with the export formats and the JSON import.
+ * @param {object} props
+ * @param {function(string): void} props.onExport - Called with 'markdown', 'json', 'html' or 'pdf'.
+ * @param {function(File): void} props.onImport - Called with the selected spec file.
+ * @param {boolean} props.canExport - Whether there is anything to export yet.
+ */
+const ExportMenu = ({ onExport, onImport, canExport }) => {
+    const { t } = useTranslation();
+    const [isOpen, setIsOpen] = useState(false);
+    const fileInputRef = useRef(null);
+
+    // Each format is labelled `export.<format>` in the i18n bundles
+    const formats = ['markdown', 'json', 'html', 'pdf'];
+
+    const handleSelect = (format) => {
+        setIsOpen(false);
+        onExport(format);
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = ''; // Allow importing the same file twice in a row
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                {t('export.menu')}
+            </button>
+            {isOpen && (
+                <div className="absolute end-0 z-30 mt-2 w-56 bg-white rounded-lg shadow-xl border border-gray-200 py-1 text-start" role="menu">
+                    {formats.map((format) => (
+                        <button
+                            key={format}
+                            role="menuitem"
+                            onClick={() => handleSelect(format)}
+                            disabled={!canExport}
+                            className="block w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 disabled:text-gray-400 disabled:hover:bg-white text-start"
+                        >
+                            {t(`export.${format}`)}
+                        </button>
+                    ))}
+                    <div className="my-1 border-t border-gray-100"></div>
+                    <button
+                        role="menuitem"
+                        onClick={() => {
+                            setIsOpen(false);
+                            fileInputRef.current.click();
+                        }}
+                        className="block w-full px-4 py-2 text-sm text-gray-700 hover:bg-indigo-50 text-start"
+                    >
+                        {t('export.import')}
+                    </button>
+                </div>
+            )}
+            <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFileChange} />
+        </div>
+    );
+};
+
+export default ExportMenu;
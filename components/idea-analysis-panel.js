@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { MAX_DIMENSION_SCORE } from '../idea-analysis.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Colour for a score, from red (weak) to green (strong).
+ * @param {number} ratio - Score as a fraction of the maximum.
+ * @returns {string} - Tailwind background class.
+ */
+const scoreColor = (ratio) => {
+    if (ratio >= 0.7) return 'bg-green-500';
+    if (ratio >= 0.4) return 'bg-amber-400';
+    return 'bg-red-400';
+};
+
+/**
+ * Idea analysis results: overall and per-dimension scores, the missing dimensions, and
+ * an interview that walks through the clarifying questions one at a time.
+ * @param {object} props
+ * @param {import('../idea-analysis.js').IdeaAnalysis} props.analysis - The analysis to show.
+ * @param {boolean} props.isStale - Whether the idea has been edited since it was analyzed.
+ * @param {Object<string, string>} props.answers - Answers keyed by question id.
+ * @param {function(Object<string, string>): void} props.onAnswersChange - Called with the updated answers.
+ * @param {function(): void} props.onEnhance - Runs the enhancement with the answers included.
+ * @param {boolean} props.isEnhancing - Whether an enhancement is in progress.
+ */
+const IdeaAnalysisPanel = ({ analysis, isStale, answers, onAnswersChange, onEnhance, isEnhancing }) => {
+    const { t } = useTranslation();
+    const [questionIndex, setQuestionIndex] = useState(null); // Interview position, or null when not interviewing
+    const missing = analysis.dimensions.filter((d) => d.missing);
+    const answeredCount = analysis.questions.filter((q) => answers[q.id] && answers[q.id].trim()).length;
+    const labelFor = (key) => t(`dimension.${key}.label`);
+
+    const question = questionIndex !== null ? analysis.questions[questionIndex] : null;
+    const isLastQuestion = questionIndex === analysis.questions.length - 1;
+
+    return (
+        <div className="mt-4 p-4 bg-white rounded-lg border border-blue-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold text-indigo-600">{t('analysis.heading')}</h3>
+                <span className="text-2xl font-bold text-indigo-700">{analysis.score}<span className="text-sm text-gray-500">/100</span></span>
+            </div>
+            {isStale && (
+                <p className="mb-3 text-sm text-amber-700">{t('analysis.stale')}</p>
+            )}
+
+            <ul className="space-y-2">
+                {analysis.dimensions.map((d) => (
+                    <li key={d.dimension} className="text-sm">
+                        <div className="flex items-center gap-2">
+                            <span className="w-44 shrink-0 font-medium text-gray-700">
+                                {labelFor(d.dimension)}
+                                {d.missing && <span className="ms-1 text-xs text-red-600">{t('analysis.missingBadge')}</span>}
+                            </span>
+                            <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                                <div className={`h-full ${scoreColor(d.score / MAX_DIMENSION_SCORE)}`} style={{ width: `${(d.score / MAX_DIMENSION_SCORE) * 100}%` }}></div>
+                            </div>
+                            <span className="w-10 text-end text-gray-500">{d.score}/{MAX_DIMENSION_SCORE}</span>
+                        </div>
+                        <p className="ms-44 ps-2 text-gray-500">{d.feedback}</p>
+                    </li>
+                ))}
+            </ul>
+
+            {missing.length > 0 && (
+                <p className="mt-3 text-sm text-red-700">
+                    <strong>{t('analysis.missing')}</strong> {missing.map((d) => labelFor(d.dimension)).join(', ')}
+                </p>
+            )}
+
+            {analysis.questions.length > 0 && !question && (
+                <div className="mt-4 flex flex-wrap items-center gap-2">
+                    <button
+                        onClick={() => setQuestionIndex(0)}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-indigo-500 hover:bg-indigo-600 transition duration-200"
+                    >
+                        {answeredCount > 0 ? t('analysis.reviewAnswers') : t('analysis.answerQuestions', { count: analysis.questions.length })}
+                    </button>
+                    {answeredCount > 0 && (
+                        <>
+                            <span className="text-sm text-gray-600">{t('analysis.answered', { count: answeredCount })}</span>
+                            <button onClick={() => onAnswersChange({})} className="text-sm text-red-600 hover:underline">
+                                {t('analysis.clearAnswers')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+
+            {question && (
+                <div className="mt-4 p-4 bg-indigo-50 rounded-lg border border-indigo-100">
+                    <p className="text-xs text-indigo-500 mb-1">
+                        {t('analysis.questionOf', { index: questionIndex + 1, count: analysis.questions.length, dimension: labelFor(question.dimension) })}
+                    </p>
+                    <label htmlFor="clarifying-answer" className="block font-medium text-gray-800 mb-2">{question.question}</label>
+                    <textarea
+                        id="clarifying-answer"
+                        className="w-full p-2 border border-indigo-200 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:border-transparent"
+                        rows="3"
+                        value={answers[question.id] || ''}
+                        onChange={(e) => onAnswersChange({ ...answers, [question.id]: e.target.value })}
+                        autoFocus
+                    ></textarea>
+                    <div className="mt-2 flex flex-wrap justify-between gap-2">
+                        <button
+                            onClick={() => setQuestionIndex(questionIndex - 1)}
+                            disabled={questionIndex === 0}
+                            className="py-1 px-3 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 bg-white hover:bg-indigo-50 disabled:opacity-50"
+                        >
+                            {t('analysis.back')}
+                        </button>
+                        <div className="flex gap-2">
+                            <button onClick={() => setQuestionIndex(null)} className="py-1 px-3 text-sm text-gray-600 hover:underline">
+                                {t('analysis.close')}
+                            </button>
+                            {isLastQuestion ? (
+                                <button
+                                    onClick={() => {
+                                        setQuestionIndex(null);
+                                        onEnhance();
+                                    }}
+                                    disabled={isEnhancing}
+                                    className="py-1 px-3 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                                >
+                                    {t('analysis.enhance')}
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => setQuestionIndex(questionIndex + 1)}
+                                    className="py-1 px-3 rounded-lg text-sm font-semibold text-white bg-indigo-500 hover:bg-indigo-600"
+                                >
+                                    {t(answers[question.id] && answers[question.id].trim() ? 'analysis.next' : 'analysis.skip')}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default IdeaAnalysisPanel;
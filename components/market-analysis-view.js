@@ -0,0 +1,82 @@
+import React from 'react';
+import { SWOT_QUADRANTS, MARKET_SIZE_LEVELS } from '../market-analysis.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Background of each SWOT quadrant
+const QUADRANT_STYLES = {
+    strengths: 'bg-green-50 border-green-200',
+    weaknesses: 'bg-red-50 border-red-200',
+    opportunities: 'bg-sky-50 border-sky-200',
+    threats: 'bg-amber-50 border-amber-200',
+};
+
+/**
+ * Market analysis card: comparable products, differentiators, SWOT grid, TAM/SAM/SOM and personas.
+ * @param {object} props
+ * @param {import('../market-analysis.js').MarketAnalysis} props.analysis - The analysis to show.
+ */
+const MarketAnalysisView = ({ analysis }) => {
+    const { t } = useTranslation();
+    return (
+        <div className="mt-8 p-5 bg-cyan-50 rounded-lg border border-cyan-200 animate-fade-in">
+            <h4 className="text-lg font-semibold text-cyan-700 mb-3">{t('market.heading')}</h4>
+
+            <p className="font-medium text-cyan-600">{t('market.comparables')}</p>
+            <ul className="list-disc list-inside ms-4 mb-4 text-gray-800 space-y-2">
+                {analysis.categories.map((category, index) => (
+                    <li key={index}>
+                        <strong className="text-cyan-600">{category.name}:</strong> {category.description}
+                        {category.examples.length > 0 && <span className="text-gray-500"> {t('market.examples', { examples: category.examples.join(', ') })}</span>}
+                    </li>
+                ))}
+            </ul>
+
+            <p className="font-medium text-cyan-600">{t('market.differentiators')}</p>
+            <ul className="list-disc list-inside ms-4 mb-4 text-gray-800">
+                {analysis.differentiators.map((item, index) => <li key={index}>{item}</li>)}
+            </ul>
+
+            <p className="font-medium text-cyan-600 mb-2">{t('market.swot')}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+                {SWOT_QUADRANTS.map(({ key }) => (
+                    <div key={key} className={`p-3 rounded-lg border ${QUADRANT_STYLES[key]}`}>
+                        <p className="font-semibold text-gray-700 mb-1">{t(`market.swot.${key}`)}</p>
+                        <ul className="list-disc list-inside text-sm text-gray-800">
+                            {analysis.swot[key].map((item, index) => <li key={index}>{item}</li>)}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+
+            <p className="font-medium text-cyan-600 mb-2">{t('market.size')}</p>
+            <div className="space-y-2 mb-4">
+                {MARKET_SIZE_LEVELS.map(({ key, label }) => (
+                    <div key={key} className="text-gray-800">
+                        <strong className="text-cyan-600" title={t(`market.size.${key}`)}>{label}: {analysis.marketSize[key].estimate}</strong>
+                        <p className="text-sm text-gray-600">{analysis.marketSize[key].reasoning}</p>
+                    </div>
+                ))}
+            </div>
+
+            <p className="font-medium text-cyan-600 mb-2">{t('market.personas')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {analysis.personas.map((persona, index) => (
+                    <div key={index} className="p-3 bg-white rounded-lg border border-cyan-100">
+                        <p className="font-semibold text-gray-800">{persona.name}</p>
+                        <p className="text-sm text-gray-600 mb-2">{persona.summary}</p>
+                        <p className="text-xs font-semibold text-gray-500">{t('market.goals')}</p>
+                        <ul className="list-disc list-inside text-sm text-gray-800 mb-2">
+                            {persona.goals.map((goal, i) => <li key={i}>{goal}</li>)}
+                        </ul>
+                        <p className="text-xs font-semibold text-gray-500">{t('market.painPoints')}</p>
+                        <ul className="list-disc list-inside text-sm text-gray-800">
+                            {persona.painPoints.map((pain, i) => <li key={i}>{pain}</li>)}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MarketAnalysisView;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useId } from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Renders Mermaid source as an SVG diagram. Mermaid is loaded on first use so it
+ * doesn't weigh on the initial bundle. Falls back to the source if rendering fails.
+ * @param {object} props
+ * @param {string} props.source - Mermaid diagram source.
+ */
+const MermaidDiagram = ({ source }) => {
+    const { t } = useTranslation();
+    const [svg, setSvg] = useState('');
+    const [renderError, setRenderError] = useState('');
+    const diagramId = `mermaid-${useId().replace(/[^A-Za-z0-9_-]/g, '')}`;
+
+    useEffect(() => {
+        let isCurrent = true; // Ignore results for a source that has since changed
+        setRenderError('');
+        import('mermaid')
+            .then(async ({ default: mermaid }) => {
+                mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'neutral' });
+                const result = await mermaid.render(diagramId, source);
+                if (isCurrent) setSvg(result.svg);
+            })
+            .catch((err) => {
+                console.error('Mermaid rendering failed:', err);
+                if (isCurrent) {
+                    setSvg('');
+                    setRenderError(err.message || String(err));
+                }
+            });
+        return () => {
+            isCurrent = false;
+        };
+    }, [source, diagramId]);
+
+    if (renderError) {
+        return (
+            <div>
+                <p className="text-sm text-red-600 mb-2">{t('diagram.renderFailed', { message: renderError })}</p>
+                <pre className="p-3 bg-gray-50 border border-gray-200 rounded text-xs overflow-x-auto" dir="ltr">{source}</pre>
+            </div>
+        );
+    }
+
+    return svg
+        // Mermaid sanitizes labels itself with securityLevel 'strict'
+        ? <div className="overflow-x-auto" dangerouslySetInnerHTML={{ __html: svg }} />
+        : <p className="text-sm text-gray-500">{t('diagram.rendering')}</p>;
+};
+
+export default MermaidDiagram;
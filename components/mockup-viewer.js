@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useRef } from 'react';
+import StopButton from './stop-button.js';
+import { buildScreenDocument, NAVIGATE_MESSAGE } from '../mockup.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Viewport sizes for the device switcher, in CSS pixels; each is labelled `mockup.device.<key>`
+const DEVICES = [
+    { key: 'phone', width: 390, height: 760 },
+    { key: 'tablet', width: 820, height: 1000 },
+    { key: 'desktop', width: 1280, height: 800 },
+];
+
+/**
+ * Clickable mockup: one tab per screen, rendered in a sandboxed iframe at the chosen
+ * device size (scaled down to fit), with per-screen regeneration.
+ * The iframe may run scripts but gets an opaque origin, so it can't reach the app or its storage;
+ * links between screens arrive as postMessage navigation requests.
+ * @param {object} props
+ * @param {import('../mockup.js').Mockup} props.mockup - The mockup to show.
+ * @param {string|null} props.regeneratingScreenId - Screen currently being regenerated, if any.
+ * @param {function(string, string): void} props.onRegenerateScreen - Called with a screen id and extra instructions.
+ * @param {function(): void} props.onStopRegenerate - Cancels the regeneration.
+ */
+const MockupViewer = ({ mockup, regeneratingScreenId, onRegenerateScreen, onStopRegenerate }) => {
+    const { t } = useTranslation();
+    const [activeScreenId, setActiveScreenId] = useState(mockup.screens[0].id);
+    const [deviceKey, setDeviceKey] = useState('phone');
+    const [instructions, setInstructions] = useState('');
+    const [availableWidth, setAvailableWidth] = useState(0);
+    const frameRef = useRef(null);
+    const stageRef = useRef(null);
+
+    // Fall back to the first screen if the active one disappeared (e.g. a new mockup was generated)
+    const activeScreen = mockup.screens.find((s) => s.id === activeScreenId) || mockup.screens[0];
+    const device = DEVICES.find((d) => d.key === deviceKey);
+    const scale = availableWidth > 0 ? Math.min(1, availableWidth / device.width) : 1;
+
+    // Follow [data-screen] links clicked inside the mockup
+    useEffect(() => {
+        const handleMessage = (event) => {
+            if (!frameRef.current || event.source !== frameRef.current.contentWindow) return;
+            if (event.data?.type !== NAVIGATE_MESSAGE) return;
+            const target = mockup.screens.find((s) => s.name.toLowerCase() === String(event.data.screen).trim().toLowerCase());
+            if (target) setActiveScreenId(target.id);
+        };
+        window.addEventListener('message', handleMessage);
+        return () => window.removeEventListener('message', handleMessage);
+    }, [mockup.screens]);
+
+    // Track the stage width so wide devices are scaled down to fit
+    useEffect(() => {
+        const stage = stageRef.current;
+        if (!stage) return undefined;
+        const observer = new ResizeObserver(([entry]) => setAvailableWidth(entry.contentRect.width));
+        observer.observe(stage);
+        return () => observer.disconnect();
+    }, []);
+
+    const handleRegenerate = () => {
+        onRegenerateScreen(activeScreen.id, instructions.trim());
+        setInstructions('');
+    };
+
+    const isRegenerating = regeneratingScreenId !== null;
+
+    return (
+        <div className="mt-8 p-5 bg-fuchsia-50 rounded-lg border border-fuchsia-200 animate-fade-in">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h4 className="text-lg font-semibold text-fuchsia-700">{t('mockup.heading')}</h4>
+                <div className="flex gap-1" role="group" aria-label={t('mockup.deviceSize')}>
+                    {DEVICES.map(({ key }) => (
+                        <button
+                            key={key}
+                            onClick={() => setDeviceKey(key)}
+                            aria-pressed={deviceKey === key}
+                            className={`py-1 px-3 rounded-lg text-sm font-semibold border transition duration-200 ${deviceKey === key ? 'bg-fuchsia-600 text-white border-fuchsia-600' : 'bg-white text-fuchsia-700 border-fuchsia-300 hover:bg-fuchsia-100'}`}
+                        >
+                            {t(`mockup.device.${key}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-1 mb-3 border-b border-fuchsia-200" role="tablist">
+                {mockup.screens.map((screen) => (
+                    <button
+                        key={screen.id}
+                        role="tab"
+                        aria-selected={screen.id === activeScreen.id}
+                        onClick={() => setActiveScreenId(screen.id)}
+                        title={screen.purpose}
+                        className={`py-1 px-3 text-sm font-semibold rounded-t-lg ${screen.id === activeScreen.id ? 'bg-white border border-b-0 border-fuchsia-200 text-fuchsia-700' : 'text-gray-500 hover:text-fuchsia-700'}`}
+                    >
+                        {screen.name}
+                        {screen.id === regeneratingScreenId && ' …'}
+                    </button>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600 mb-3">{activeScreen.purpose}</p>
+
+            <div ref={stageRef} className="w-full">
+                <div
+                    className="mx-auto overflow-hidden rounded-xl border-4 border-gray-800 bg-white shadow-lg"
+                    style={{ width: device.width * scale, height: device.height * scale }}
+                >
+                    <iframe
+                        ref={frameRef}
+                        title={t('mockup.frameTitle', { name: activeScreen.name })}
+                        sandbox="allow-scripts"
+                        srcDoc={buildScreenDocument(mockup, activeScreen)}
+                        style={{
+                            width: device.width,
+                            height: device.height,
+                            transform: `scale(${scale})`,
+                            transformOrigin: 'top left',
+                            border: 0,
+                        }}
+                    ></iframe>
+                </div>
+            </div>
+
+            <div className="mt-4 flex flex-col sm:flex-row gap-2">
+                <input
+                    className="flex-1 p-2 border border-fuchsia-300 rounded-lg focus:ring-2 focus:ring-fuchsia-400 focus:border-transparent text-sm"
+                    placeholder={t('mockup.instructions', { name: activeScreen.name })}
+                    value={instructions}
+                    onChange={(e) => setInstructions(e.target.value)}
+                    disabled={isRegenerating}
+                />
+                {isRegenerating ? (
+                    <StopButton label={t('mockup.stopRegenerating')} onClick={onStopRegenerate} />
+                ) : (
+                    <button
+                        onClick={handleRegenerate}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-fuchsia-600 hover:bg-fuchsia-700 transition duration-200"
+                    >
+                        {t('mockup.regenerate')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MockupViewer;
@@ -0,0 +1,270 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import {
+    BUILT_IN_NODES, CUSTOM_NODE_PRESETS, MAX_PIPELINE_NODES,
+    createBuiltInNode, createCustomNode, createDefaultPipeline, bindNode, getNodeInputs, listBindingSources, validatePipeline,
+    acceptsKind,
+} from '../pipeline.js';
+import StopButton from './stop-button.js';
+import StepOutput from './step-output.js';
+
+// Badge colors per node status
+const STATUS_CLASSES = {
+    queued: 'bg-gray-100 text-gray-600',
+    running: 'bg-indigo-100 text-indigo-700',
+    done: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-700',
+    skipped: 'bg-amber-100 text-amber-800',
+    stopped: 'bg-gray-200 text-gray-700',
+};
+
+const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-400 focus:border-transparent';
+
+/**
+ * One node of the pipeline: its position controls, its prompt (custom steps only), the source
+ * of each input and the problems that keep it from running.
+ * @param {object} props
+ * @param {import('../pipeline.js').Pipeline} props.pipeline
+ * @param {number} props.index - Position of the node.
+ * @param {import('../pipeline.js').PipelineProblem[]} props.problems - Problems found by validatePipeline.
+ * @param {import('../pipeline.js').NodeStatus} [props.status] - Status in the last run.
+ * @param {{output: string, value: any}} [props.result] - Output of the last run, for custom steps.
+ * @param {boolean} props.disabled - Disables editing, e.g. while running.
+ * @param {function(object): void} props.onChange - Called with the node's changed properties.
+ * @param {function(number): void} props.onMove - Moves the node up (-1) or down (1).
+ * @param {function(): void} props.onRemove - Removes the node.
+ * @param {function(import('../pipeline.js').PipelineNode): string} props.nodeLabel - Display name of a node.
+ */
+const PipelineNodeCard = ({ pipeline, index, problems, status, result, disabled, onChange, onMove, onRemove, nodeLabel }) => {
+    const { t } = useTranslation();
+    const node = pipeline.nodes[index];
+    const isCustom = node.type === 'custom';
+    const [fieldsText, setFieldsText] = useState((node.fields || []).join(', ')); // Parsed as it is typed
+    const sources = listBindingSources(pipeline, index);
+
+    const sourceLabel = (source) => (source.input
+        ? t(`pipeline.input.${source.input}`)
+        : `#${pipeline.nodes.indexOf(source.node) + 1} ${nodeLabel(source.node)}${source.field ? ` → ${source.field}` : ''}`);
+
+    const handleFieldsChange = (text) => {
+        setFieldsText(text);
+        onChange({ fields: text.split(',').map((field) => field.trim()).filter(Boolean) });
+    };
+
+    return (
+        <li className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="text-sm font-semibold text-gray-500">#{index + 1}</span>
+                <span className="font-semibold text-gray-800">{nodeLabel(node)}</span>
+                {!isCustom && <span className="px-2 py-0.5 rounded text-xs bg-indigo-50 text-indigo-700">{t('pipeline.builtIn')}</span>}
+                {status && (
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_CLASSES[status.status]}`}>
+                        {t(`pipeline.status.${status.status}`)}
+                    </span>
+                )}
+                <div className="ms-auto flex gap-1">
+                    <button onClick={() => onMove(-1)} disabled={disabled || index === 0} className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label={t('pipeline.moveUp')}>↑</button>
+                    <button onClick={() => onMove(1)} disabled={disabled || index === pipeline.nodes.length - 1} className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label={t('pipeline.moveDown')}>↓</button>
+                    <button onClick={onRemove} disabled={disabled} className="px-2 text-gray-500 hover:text-red-600 disabled:opacity-30" aria-label={t('pipeline.remove')}>✕</button>
+                </div>
+            </div>
+            {status?.error && <p className="mb-2 text-sm text-red-700" role="alert">{status.error}</p>}
+
+            <fieldset disabled={disabled}>
+                {isCustom && (
+                    <div className="space-y-2 mb-3">
+                        <label className="block text-sm text-gray-700">
+                            {t('pipeline.name')}
+                            <input type="text" value={node.name} onChange={(e) => onChange({ name: e.target.value })} placeholder={t('pipeline.namePlaceholder')} className={inputClassName} />
+                        </label>
+                        <label className="block text-sm text-gray-700">
+                            {t('pipeline.template')}
+                            <textarea value={node.template} onChange={(e) => onChange({ template: e.target.value })} rows="5" className={`${inputClassName} font-mono`} dir="auto" />
+                            <span className="block text-xs text-gray-500 mt-1">{t('pipeline.templateHint')}</span>
+                        </label>
+                        <div className="flex flex-wrap items-end gap-3">
+                            <label className="text-sm text-gray-700">
+                                {t('pipeline.output')}
+                                <select value={node.output} onChange={(e) => onChange({ output: e.target.value })} className="block p-2 border border-gray-300 rounded-lg">
+                                    <option value="text">{t('pipeline.output.text')}</option>
+                                    <option value="json">{t('pipeline.output.json')}</option>
+                                </select>
+                            </label>
+                            {node.output === 'json' && (
+                                <label className="flex-1 text-sm text-gray-700">
+                                    {t('pipeline.fields')}
+                                    <input type="text" value={fieldsText} onChange={(e) => handleFieldsChange(e.target.value)} placeholder={t('pipeline.fieldsPlaceholder')} className={inputClassName} dir="ltr" />
+                                </label>
+                            )}
+                        </div>
+                    </div>
+                )}
+
+                <p className="text-sm font-medium text-gray-700 mb-1">{t('pipeline.inputs')}</p>
+                {getNodeInputs(node).length === 0 ? (
+                    <p className="text-sm text-gray-500">{t('pipeline.noInputs')}</p>
+                ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        {getNodeInputs(node).map(({ name, kind, optional }) => (
+                            <label key={name} className="text-sm text-gray-700">
+                                <code className="text-xs text-indigo-700">{isCustom ? `{{${name}}}` : name}</code>
+                                {optional && <span className="ms-1 text-xs text-gray-500">{t('pipeline.optional')}</span>}
+                                <select
+                                    value={node.bindings[name] || ''}
+                                    onChange={(e) => onChange({ bindings: { ...node.bindings, [name]: e.target.value } })}
+                                    className="block w-full p-2 border border-gray-300 rounded-lg"
+                                >
+                                    <option value="">{t('pipeline.notConnected')}</option>
+                                    {sources.filter((source) => acceptsKind(kind, source.kind)).map((source) => (
+                                        <option key={source.value} value={source.value}>{sourceLabel(source)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </fieldset>
+
+            {problems.length > 0 && (
+                <ul className="mt-2 text-sm text-red-700 list-disc list-inside">
+                    {problems.map(({ code, params }) => (
+                        <li key={`${code}-${params.input || ''}`}>
+                            {t(`pipeline.problem.${code}`, { ...params, kind: params.kind && t(`pipeline.kind.${params.kind}`) })}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {result && (
+                <details className="mt-3">
+                    <summary className="text-sm text-indigo-600 cursor-pointer">{t('pipeline.lastOutput')}</summary>
+                    <div className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                        <StepOutput output={result.output} value={result.value} />
+                    </div>
+                </details>
+            )}
+        </li>
+    );
+};
+
+/**
+ * Pipeline builder: add built-in and custom steps, reorder them, connect the outputs of one
+ * step to the inputs of later ones, run the whole pipeline with a status per step, and
+ * import or export the definition as JSON.
+ * @param {object} props
+ * @param {import('../pipeline.js').Pipeline} props.pipeline - The user's pipeline.
+ * @param {function(import('../pipeline.js').Pipeline): void} props.onChange - Called with the edited pipeline.
+ * @param {Object<string, import('../pipeline.js').NodeStatus>} props.statuses - Node statuses of the last run.
+ * @param {Array<{nodeId: string, output: string, value: any}>|null} props.results - Custom steps' outputs of the last run.
+ * @param {boolean} props.isRunning - Whether the pipeline is running.
+ * @param {function(): void} props.onRun - Runs the pipeline.
+ * @param {function(): void} props.onStop - Stops the run.
+ * @param {function(): void} props.onExport - Downloads the definition.
+ * @param {function(File): void} props.onImport - Replaces the pipeline with one from a JSON file.
+ * @param {function(): void} props.onClose - Hides the panel.
+ */
+const PipelineBuilder = ({ pipeline, onChange, statuses, results, isRunning, onRun, onStop, onExport, onImport, onClose }) => {
+    const { t } = useTranslation();
+    const [newStep, setNewStep] = useState('custom'); // Kind of step the add button creates
+    const fileInputRef = useRef(null);
+    const problems = useMemo(() => validatePipeline(pipeline), [pipeline]);
+    const hasProblems = Object.keys(problems).length > 0;
+
+    const nodeLabel = (node) => (node.type === 'custom' ? node.name.trim() || t('pipeline.untitled') : t(`step.${node.type}`));
+
+    const updateNode = (index, changes) => {
+        const nodes = pipeline.nodes.map((node, i) => (i === index ? { ...node, ...changes } : node));
+        // A changed template can add inputs; connect them while keeping the existing bindings
+        nodes[index] = changes.template === undefined ? nodes[index] : bindNode({ ...pipeline, nodes }, index);
+        onChange({ ...pipeline, nodes });
+    };
+
+    const moveNode = (index, offset) => {
+        const nodes = [...pipeline.nodes];
+        [nodes[index], nodes[index + offset]] = [nodes[index + offset], nodes[index]];
+        onChange({ ...pipeline, nodes });
+    };
+
+    const handleAdd = () => {
+        const [kind, key] = newStep.split(':');
+        const preset = kind === 'preset' ? CUSTOM_NODE_PRESETS.find((p) => p.key === key) : null;
+        const node = kind === 'custom' || preset ? createCustomNode(preset || {}) : createBuiltInNode(kind);
+        const nodes = [...pipeline.nodes, node];
+        onChange({ ...pipeline, nodes: [...pipeline.nodes, bindNode({ ...pipeline, nodes }, nodes.length - 1, preset?.hints)] });
+    };
+
+    const handleReset = () => {
+        if (window.confirm(t('pipeline.resetConfirm'))) onChange(createDefaultPipeline());
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = ''; // Allow loading the same file twice in a row
+        if (file) onImport(file);
+    };
+
+    const buttonClassName = 'py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('pipeline.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('pipeline.close')}>✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('pipeline.intro')}</p>
+
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                {isRunning ? (
+                    <StopButton onClick={onStop} label={t('pipeline.stop')} />
+                ) : (
+                    <button
+                        onClick={onRun}
+                        disabled={hasProblems || pipeline.nodes.length === 0}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t('pipeline.run')}
+                    </button>
+                )}
+                <button onClick={onExport} className={buttonClassName}>{t('pipeline.export')}</button>
+                <button onClick={() => fileInputRef.current.click()} disabled={isRunning} className={buttonClassName}>{t('pipeline.import')}</button>
+                <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleFileChange} />
+                <button onClick={handleReset} disabled={isRunning} className={`${buttonClassName} ms-auto`}>{t('pipeline.reset')}</button>
+            </div>
+            {hasProblems && <p className="mb-3 text-sm text-red-700" role="alert">{t('pipeline.invalid')}</p>}
+
+            <ol className="space-y-3 mb-4">
+                {pipeline.nodes.map((node, index) => (
+                    <PipelineNodeCard
+                        key={node.id}
+                        pipeline={pipeline}
+                        index={index}
+                        problems={problems[node.id] || []}
+                        status={statuses[node.id]}
+                        result={results?.find((result) => result.nodeId === node.id)}
+                        disabled={isRunning}
+                        onChange={(changes) => updateNode(index, changes)}
+                        onMove={(offset) => moveNode(index, offset)}
+                        onRemove={() => onChange({ ...pipeline, nodes: pipeline.nodes.filter((n) => n.id !== node.id) })}
+                        nodeLabel={nodeLabel}
+                    />
+                ))}
+            </ol>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <select value={newStep} onChange={(e) => setNewStep(e.target.value)} disabled={isRunning} className="p-2 border border-gray-300 rounded-lg text-sm" aria-label={t('pipeline.stepType')}>
+                    <option value="custom">{t('pipeline.add.custom')}</option>
+                    {CUSTOM_NODE_PRESETS.map(({ key }) => (
+                        <option key={key} value={`preset:${key}`}>{t(`pipeline.preset.${key}`)}</option>
+                    ))}
+                    {Object.keys(BUILT_IN_NODES).map((type) => (
+                        <option key={type} value={type}>{t(`step.${type}`)}</option>
+                    ))}
+                </select>
+                <button onClick={handleAdd} disabled={isRunning || pipeline.nodes.length >= MAX_PIPELINE_NODES} className={buttonClassName}>
+                    {t('pipeline.addStep')}
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default PipelineBuilder;
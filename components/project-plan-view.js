@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { ROLES, SCENARIOS } from '../project-plan.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Width of one working day on the timeline, in pixels
+const DAY_WIDTH = 28;
+
+// Bar colours per role
+const ROLE_CLASSES = {
+    frontend: 'bg-sky-400',
+    backend: 'bg-indigo-400',
+    design: 'bg-pink-400',
+    qa: 'bg-lime-500',
+};
+
+/**
+ * Plan view: summary, a Gantt timeline of the milestones and tasks with the critical path
+ * highlighted, and an editor for the selected task. Clicking a bar selects the task and
+ * highlights what it depends on and what depends on it.
+ * @param {object} props
+ * @param {import('../project-plan.js').ProjectPlan} props.plan - The plan to show.
+ * @param {ReturnType<typeof import('../project-plan.js').schedulePlan>} props.schedule - The plan's schedule.
+ * @param {function(import('../project-plan.js').ProjectPlan): void} props.onChange - Called with the edited plan.
+ * @param {function(string): void} props.onExport - Called with 'csv' or 'ical'.
+ */
+const ProjectPlanView = ({ plan, schedule, onChange, onExport }) => {
+    const { t, locale } = useTranslation();
+    const [selectedId, setSelectedId] = useState(null);
+    const selected = plan.tasks.find((task) => task.id === selectedId) || null;
+
+    const updateTask = (id, changes) => {
+        onChange({ ...plan, tasks: plan.tasks.map((task) => (task.id === id ? { ...task, ...changes } : task)) });
+    };
+
+    const taskName = (id) => plan.tasks.find((task) => task.id === id)?.name || t('plan.unknownTask');
+    const roleLabel = (key) => (ROLES.some((role) => role.key === key) ? t(`plan.role.${key}`) : key);
+    const relationOf = (task) => {
+        if (!selected) return null;
+        if (task.id === selected.id) return 'selected';
+        if (selected.dependsOn.includes(task.id)) return 'predecessor';
+        if (task.dependsOn.includes(selected.id)) return 'successor';
+        return 'other';
+    };
+
+    const workload = ROLES.map((role) => ({
+        ...role,
+        days: plan.tasks.filter((task) => task.role === role.key).reduce((sum, task) => sum + schedule.tasks[task.id].duration, 0),
+    })).filter((role) => role.days > 0);
+
+    const timelineWidth = Math.max(schedule.totalDays, 10) * DAY_WIDTH;
+    const weeks = Array.from({ length: Math.ceil(Math.max(schedule.totalDays, 10) / 5) }, (_, index) => index);
+    const buttonClassName = 'py-1 px-3 rounded-lg text-sm font-semibold text-teal-700 border border-teal-300 bg-white hover:bg-teal-100 transition duration-200';
+    const inputClassName = 'p-1 border border-gray-300 rounded focus:ring-2 focus:ring-teal-400 focus:border-transparent text-sm';
+
+    return (
+        <div className="mt-8 p-5 bg-teal-50 rounded-lg border border-teal-200 animate-fade-in">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h4 className="text-lg font-semibold text-teal-700">{t('plan.heading')}</h4>
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={() => onExport('csv')} className={buttonClassName}>
+                        {t('plan.exportCsv')}
+                    </button>
+                    <button onClick={() => onExport('ical')} className={buttonClassName}>
+                        {t('plan.exportCalendar')}
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+                <label className="flex flex-col gap-1">
+                    <span className="font-medium text-teal-700">{t('plan.startDate')}</span>
+                    <input
+                        type="date"
+                        className={inputClassName}
+                        value={plan.startDate}
+                        onChange={(e) => e.target.value && onChange({ ...plan, startDate: e.target.value })}
+                    />
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="font-medium text-teal-700">{t('plan.estimates')}</span>
+                    <select className={inputClassName} value={plan.scenario} onChange={(e) => onChange({ ...plan, scenario: e.target.value })}>
+                        {SCENARIOS.map(({ key }) => <option key={key} value={key}>{t(`plan.scenario.${key}`)}</option>)}
+                    </select>
+                </label>
+                <p className="text-gray-700">
+                    {t(plan.scenario === 'expected' && schedule.stdDevDays > 0 ? 'plan.durationSpread' : 'plan.duration', {
+                        days: schedule.totalDays,
+                        spread: schedule.stdDevDays.toFixed(1),
+                        end: new Date(`${schedule.endDate}T00:00`).toLocaleDateString(locale),
+                    })}
+                </p>
+            </div>
+
+            <p className="text-sm text-gray-700 mb-1">
+                <strong className="text-red-600">{t('plan.criticalPath')}</strong> {schedule.criticalPath.map(taskName).join(' → ')}
+            </p>
+            <p className="mb-4 flex flex-wrap gap-2 text-xs">
+                {workload.map((role) => (
+                    <span key={role.key} className="flex items-center gap-1 px-2 py-0.5 rounded-full border border-teal-200 bg-white">
+                        <span className={`inline-block w-2 h-2 rounded-full ${ROLE_CLASSES[role.key]}`}></span>
+                        {t('plan.roleDays', { role: roleLabel(role.key), days: role.days })}
+                    </span>
+                ))}
+            </p>
+
+            {/* Gantt timeline; bars are positioned from the left, so it stays left to right in RTL layouts */}
+            <div className="overflow-x-auto bg-white rounded-lg border border-teal-200" dir="ltr">
+                <div className="relative" style={{ width: `calc(14rem + ${timelineWidth}px)` }}>
+                    <div className="flex border-b border-gray-200 text-xs text-gray-500">
+                        <div className="w-56 shrink-0 p-1 font-semibold">{t('plan.task')}</div>
+                        <div className="relative h-6" style={{ width: timelineWidth }}>
+                            {weeks.map((week) => (
+                                <span key={week} className="absolute top-1 ps-1 border-l border-gray-200 h-5" style={{ left: week * 5 * DAY_WIDTH }}>
+                                    {t('plan.week', { week: week + 1 })}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+
+                    {plan.milestones.map((milestone) => (
+                        <div key={milestone.id}>
+                            <div className="flex items-center bg-teal-50 border-b border-gray-100">
+                                <div className="w-56 shrink-0 p-1 text-sm font-semibold text-teal-700 truncate" title={milestone.description}>
+                                    {milestone.name}
+                                </div>
+                                <div className="relative h-6" style={{ width: timelineWidth }}>
+                                    <span
+                                        className="absolute top-1.5 w-3 h-3 bg-teal-700 rotate-45"
+                                        style={{ left: schedule.milestones[milestone.id].finish * DAY_WIDTH - 6 }}
+                                        title={`${milestone.name}: ${schedule.milestones[milestone.id].endDate}`}
+                                    ></span>
+                                </div>
+                            </div>
+                            {plan.tasks.filter((task) => task.milestoneId === milestone.id).map((task) => {
+                                const scheduled = schedule.tasks[task.id];
+                                const relation = relationOf(task);
+                                return (
+                                    <div key={task.id} className={`flex items-center border-b border-gray-100 ${relation === 'other' ? 'opacity-40' : ''}`}>
+                                        <button
+                                            onClick={() => setSelectedId(selectedId === task.id ? null : task.id)}
+                                            className={`w-56 shrink-0 p-1 ps-4 text-start text-sm truncate hover:text-teal-700 ${relation === 'selected' ? 'font-semibold text-teal-700' : 'text-gray-800'}`}
+                                            aria-pressed={relation === 'selected'}
+                                        >
+                                            {task.name}
+                                        </button>
+                                        <div className="relative h-7" style={{ width: timelineWidth }}>
+                                            {weeks.map((week) => (
+                                                <span key={week} className="absolute top-0 h-full border-l border-gray-100" style={{ left: week * 5 * DAY_WIDTH }}></span>
+                                            ))}
+                                            {scheduled.slack > 0 && (
+                                                <span
+                                                    className="absolute top-3 h-1 border-t-2 border-dashed border-gray-300"
+                                                    style={{ left: scheduled.finish * DAY_WIDTH, width: scheduled.slack * DAY_WIDTH }}
+                                                    title={t('plan.slack', { days: scheduled.slack })}
+                                                ></span>
+                                            )}
+                                            <button
+                                                onClick={() => setSelectedId(selectedId === task.id ? null : task.id)}
+                                                className={`absolute top-1 h-5 rounded ${ROLE_CLASSES[task.role] || 'bg-gray-400'} ${scheduled.critical ? 'ring-2 ring-red-500' : ''} ${relation === 'predecessor' || relation === 'successor' ? 'outline outline-2 outline-amber-500' : ''}`}
+                                                style={{ left: scheduled.start * DAY_WIDTH + 1, width: Math.max(scheduled.duration * DAY_WIDTH - 2, 4) }}
+                                                title={t(scheduled.critical ? 'plan.barCritical' : 'plan.bar', {
+                                                    name: task.name,
+                                                    role: roleLabel(task.role),
+                                                    start: scheduled.startDate,
+                                                    end: scheduled.endDate,
+                                                    days: scheduled.duration,
+                                                    slack: scheduled.slack,
+                                                })}
+                                                aria-label={t('plan.select', { name: task.name })}
+                                            ></button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+                {t('plan.legend')}
+            </p>
+
+            {selected && (
+                <div className="mt-4 p-4 bg-white rounded-lg border border-teal-200 text-sm">
+                    <div className="flex items-center justify-between gap-2 mb-1">
+                        <p className="font-semibold text-teal-700">{selected.name}</p>
+                        <button onClick={() => setSelectedId(null)} className="text-gray-500 hover:text-gray-700" aria-label={t('plan.closeDetails')}>✕</button>
+                    </div>
+                    <p className="text-gray-600 mb-3">{selected.description}</p>
+                    <div className="flex flex-wrap items-end gap-3 mb-3">
+                        <label className="flex flex-col gap-1">
+                            <span className="text-gray-500">{t('plan.roleLabel')}</span>
+                            <select className={inputClassName} value={selected.role} onChange={(e) => updateTask(selected.id, { role: e.target.value })}>
+                                {ROLES.map(({ key }) => <option key={key} value={key}>{t(`plan.role.${key}`)}</option>)}
+                            </select>
+                        </label>
+                        {SCENARIOS.filter(({ key }) => key !== 'expected').map(({ key }) => (
+                            <label key={key} className="flex flex-col gap-1">
+                                <span className="text-gray-500">{t('plan.estimateDays', { scenario: t(`plan.scenario.${key}`) })}</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    className={`${inputClassName} w-24`}
+                                    value={selected[key]}
+                                    onChange={(e) => updateTask(selected.id, { [key]: Math.max(1, Math.round(Number(e.target.value)) || 1) })}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    {(selected.optimistic > selected.likely || selected.likely > selected.pessimistic) && (
+                        <p className="mb-2 text-xs text-amber-700">{t('plan.estimateOrder')}</p>
+                    )}
+                    <p className="text-gray-700">
+                        <strong>{t('plan.scheduled')}</strong>{' '}
+                        {t(schedule.tasks[selected.id].critical ? 'plan.scheduledCritical' : 'plan.scheduledSlack', {
+                            start: schedule.tasks[selected.id].startDate,
+                            end: schedule.tasks[selected.id].endDate,
+                            slack: schedule.tasks[selected.id].slack,
+                        })}
+                    </p>
+                    <p className="text-gray-700">
+                        <strong>{t('plan.dependsOn')}</strong> {selected.dependsOn.length > 0 ? selected.dependsOn.map(taskName).join(', ') : t('plan.nothing')}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectPlanView;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Formats a timestamp for the project list.
+ * @param {number} timestamp - Milliseconds since epoch.
+ * @param {string} locale - Locale to format for.
+ * @returns {string}
+ */
+const formatUpdatedAt = (timestamp, locale) => new Date(timestamp).toLocaleString(locale, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+});
+
+/**
+ * Slide-out sidebar listing saved projects.
+ * @param {object} props
+ * @param {Array<object>} props.projects - Saved projects, most recent first.
+ * @param {string|null} props.currentProjectId - Id of the open project.
+ * @param {string} props.saveStatus - 'idle', 'saving', 'saved' or 'error'.
+ * @param {boolean} props.isSyncEnabled - Whether projects are mirrored to Firestore.
+ * @param {function(string): void} props.onOpen - Opens a project by id.
+ * @param {function(): void} props.onNew - Starts a new, empty project.
+ * @param {function(string, string): void} props.onRename - Renames a project (id, new name).
+ * @param {function(string): void} props.onDuplicate - Duplicates a project by id.
+ * @param {function(string): void} props.onDelete - Deletes a project by id.
+ * @param {function(): void} props.onClose - Hides the sidebar.
+ */
+const ProjectSidebar = ({
+    projects,
+    currentProjectId,
+    saveStatus,
+    isSyncEnabled,
+    onOpen,
+    onNew,
+    onRename,
+    onDuplicate,
+    onDelete,
+    onClose,
+}) => {
+    const { t, locale } = useTranslation();
+    const [searchQuery, setSearchQuery] = useState('');
+    const [renamingId, setRenamingId] = useState(null);
+    const [renameValue, setRenameValue] = useState('');
+
+    const query = searchQuery.trim().toLowerCase();
+    const filteredProjects = query
+        ? projects.filter((p) => p.name.toLowerCase().includes(query) || (p.data.simpleIdea || '').toLowerCase().includes(query))
+        : projects;
+
+    const startRename = (project) => {
+        setRenamingId(project.id);
+        setRenameValue(project.name);
+    };
+
+    const commitRename = () => {
+        if (renameValue.trim()) {
+            onRename(renamingId, renameValue.trim());
+        }
+        setRenamingId(null);
+    };
+
+    const handleDelete = (project) => {
+        if (window.confirm(t('projects.deleteConfirm', { name: project.name }))) {
+            onDelete(project.id);
+        }
+    };
+
+    const saveStatusLabel = {
+        saving: t('projects.saving'),
+        saved: t(isSyncEnabled ? 'projects.savedSynced' : 'projects.savedLocally'),
+        error: t('projects.saveFailed'),
+    }[saveStatus];
+
+    return (
+        <div className="fixed inset-0 z-40 flex">
+            <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose} aria-hidden="true"></div>
+            <aside className="relative w-80 max-w-full h-full bg-white shadow-2xl p-5 flex flex-col animate-fade-in">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-xl font-semibold text-indigo-700">{t('projects.heading')}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl leading-none" aria-label={t('projects.close')}>
+                        ×
+                    </button>
+                </div>
+
+                <button
+                    onClick={onNew}
+                    className="mb-3 w-full bg-indigo-600 text-white py-2 px-4 rounded-lg font-bold hover:bg-indigo-700 transition duration-200 shadow-md"
+                >
+                    {t('projects.new')}
+                </button>
+
+                <input
+                    className="mb-3 w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:border-transparent"
+                    placeholder={t('projects.search')}
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                />
+
+                {saveStatusLabel && (
+                    <p className={`mb-3 text-xs ${saveStatus === 'error' ? 'text-red-600' : 'text-gray-500'}`}>{saveStatusLabel}</p>
+                )}
+
+                <ul className="flex-1 overflow-y-auto space-y-2">
+                    {filteredProjects.length === 0 && (
+                        <li className="text-sm text-gray-500">{t(query ? 'projects.noMatches' : 'projects.empty')}</li>
+                    )}
+                    {filteredProjects.map((project) => (
+                        <li
+                            key={project.id}
+                            className={`p-3 rounded-lg border ${project.id === currentProjectId ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                        >
+                            {renamingId === project.id ? (
+                                <input
+                                    autoFocus
+                                    className="w-full p-1 border border-indigo-300 rounded"
+                                    value={renameValue}
+                                    onChange={(e) => setRenameValue(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setRenamingId(null);
+                                    }}
+                                />
+                            ) : (
+                                <button onClick={() => onOpen(project.id)} className="w-full text-start">
+                                    <span className="block font-medium text-gray-800 truncate">{project.name}</span>
+                                    <span className="block text-xs text-gray-500">{formatUpdatedAt(project.updatedAt, locale)}</span>
+                                </button>
+                            )}
+                            <div className="mt-2 flex gap-3 text-xs">
+                                <button onClick={() => startRename(project)} className="text-indigo-600 hover:underline">{t('projects.rename')}</button>
+                                <button onClick={() => onDuplicate(project.id)} className="text-indigo-600 hover:underline">{t('projects.duplicate')}</button>
+                                <button onClick={() => handleDelete(project)} className="text-red-600 hover:underline">{t('projects.delete')}</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </aside>
+        </div>
+    );
+};
+
+export default ProjectSidebar;
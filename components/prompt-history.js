@@ -0,0 +1,138 @@
+import React, { useState, useMemo } from 'react';
+import DiffText from './diff-text.js';
+import { diffWords, summarizeDiff } from '../utils/diff.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Id used in the comparison pickers for the unsaved textarea contents
+const CURRENT_ID = 'current';
+
+/**
+ * Revision timeline for the customizable prompt, with a word-level diff between any two
+ * revisions and a way to restore an older one.
+ * @param {object} props
+ * @param {Array<object>} props.revisions - Prompt revisions, oldest first.
+ * @param {string} props.currentText - Current textarea contents, which may not be saved yet.
+ * @param {string|null} props.previewRevisionId - Revision the current app preview came from.
+ * @param {function(object): void} props.onRestore - Restores a revision into the textarea.
+ */
+const PromptHistory = ({ revisions, currentText, previewRevisionId, onRestore }) => {
+    const { t, locale } = useTranslation();
+    const latest = revisions[revisions.length - 1];
+    const hasUnsavedChanges = !latest || latest.text !== currentText;
+
+    const [fromId, setFromId] = useState('');
+    const [toId, setToId] = useState('');
+    const [mode, setMode] = useState('inline'); // 'inline' | 'split'
+
+    const options = useMemo(() => [
+        ...revisions.map((revision, index) => ({
+            id: revision.id,
+            label: `#${index + 1} · ${t(`history.source.${revision.source}`)} · ${new Date(revision.createdAt).toLocaleTimeString(locale)}`,
+            text: revision.text,
+        })),
+        ...(hasUnsavedChanges ? [{ id: CURRENT_ID, label: t('history.current'), text: currentText }] : []),
+    ], [revisions, hasUnsavedChanges, currentText, t, locale]);
+
+    // Without an explicit pick, compare the newest text against the version before it
+    const findOption = (id) => options.find((option) => option.id === id);
+    const toOption = findOption(toId) || options[options.length - 1];
+    const fromOption = findOption(fromId) || options[Math.max(options.indexOf(toOption) - 1, 0)];
+
+    const segments = useMemo(
+        () => (fromOption && toOption ? diffWords(fromOption.text, toOption.text) : []),
+        [fromOption, toOption]
+    );
+    const { added, removed } = summarizeDiff(segments);
+
+    if (revisions.length === 0) {
+        return <p className="text-sm text-gray-500">{t('history.empty')}</p>;
+    }
+
+    const selectClassName = 'w-full p-2 border border-gray-300 rounded-lg bg-white text-sm';
+
+    return (
+        <div className="space-y-4">
+            <ol className="space-y-2 max-h-64 overflow-y-auto">
+                {[...revisions].reverse().map((revision) => {
+                    const number = revisions.indexOf(revision) + 1;
+                    const restoredNumber = revision.restoredFrom
+                        ? revisions.findIndex((r) => r.id === revision.restoredFrom) + 1
+                        : 0;
+                    return (
+                        <li key={revision.id} className="p-3 bg-white rounded-lg border border-gray-200 flex flex-wrap items-center gap-2 text-sm">
+                            <span className="font-semibold text-gray-700">#{number}</span>
+                            <span className="text-gray-600">
+                                {restoredNumber > 0
+                                    ? t('history.restoredFrom', { source: t(`history.source.${revision.source}`), number: restoredNumber })
+                                    : t(`history.source.${revision.source}`)}
+                            </span>
+                            <span className="text-gray-400">{new Date(revision.createdAt).toLocaleString(locale)}</span>
+                            {revision.id === previewRevisionId && (
+                                <span className="px-2 py-0.5 rounded-full bg-purple-100 text-purple-700 text-xs font-semibold">{t('history.currentPreview')}</span>
+                            )}
+                            {revision.previews.length > 0 && (
+                                <span
+                                    className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs"
+                                    title={revision.previews.map((p) => `${p.appName} (${new Date(p.createdAt).toLocaleString(locale)})`).join('\n')}
+                                >
+                                    {t('history.previews', { count: revision.previews.length })}
+                                </span>
+                            )}
+                            <span className="ms-auto flex gap-3">
+                                <button onClick={() => setToId(revision.id)} className="text-indigo-600 hover:underline">{t('history.compare')}</button>
+                                <button
+                                    onClick={() => onRestore(revision)}
+                                    className="text-green-700 hover:underline disabled:text-gray-400 disabled:no-underline"
+                                    disabled={revision.text === currentText}
+                                >
+                                    {t('history.restore')}
+                                </button>
+                            </span>
+                        </li>
+                    );
+                })}
+            </ol>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                <label className="block">
+                    <span className="block text-xs font-medium text-gray-600 mb-1">{t('history.from')}</span>
+                    <select className={selectClassName} value={fromOption ? fromOption.id : ''} onChange={(e) => setFromId(e.target.value)}>
+                        {options.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-xs font-medium text-gray-600 mb-1">{t('history.to')}</span>
+                    <select className={selectClassName} value={toOption ? toOption.id : ''} onChange={(e) => setToId(e.target.value)}>
+                        {options.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                    {['inline', 'split'].map((value) => (
+                        <button
+                            key={value}
+                            onClick={() => setMode(value)}
+                            className={`flex-1 py-2 ${mode === value ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                        >
+                            {t(`history.mode.${value}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <p className="text-xs text-gray-500">
+                <span className="text-green-700">{t('history.added', { count: added })}</span> · <span className="text-red-600">{t('history.removed', { count: removed })}</span>
+            </p>
+
+            {mode === 'inline' ? (
+                <DiffText segments={segments} />
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <DiffText segments={segments} show={['equal', 'delete']} />
+                    <DiffText segments={segments} show={['equal', 'insert']} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PromptHistory;
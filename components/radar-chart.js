@@ -0,0 +1,92 @@
+import React from 'react';
+
+// Stroke and fill of each series, in order
+const SERIES_COLORS = ['#4f46e5', '#d97706'];
+
+const SIZE = 360;
+const CENTER = SIZE / 2;
+const RADIUS = 120;
+const LABEL_OFFSET = 16;
+// Room beside the chart for the axis labels on the left and right
+const LABEL_MARGIN = 100;
+
+/**
+ * Point on the chart for an axis and a distance from the center.
+ * The first axis points straight up; the others follow clockwise.
+ * @param {number} index - Axis index.
+ * @param {number} count - Number of axes.
+ * @param {number} distance - Distance from the center, in pixels.
+ * @returns {{x: number, y: number}}
+ */
+const pointAt = (index, count, distance) => {
+    const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+    return { x: CENTER + Math.cos(angle) * distance, y: CENTER + Math.sin(angle) * distance };
+};
+
+/**
+ * SVG `points` attribute for one value per axis.
+ * @param {number[]} values - Values between 0 and max.
+ * @param {number} max - Value at the outer ring.
+ * @returns {string}
+ */
+const polygonPoints = (values, max) => values
+    .map((value, index) => pointAt(index, values.length, (value / max) * RADIUS))
+    .map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`)
+    .join(' ');
+
+/**
+ * Radar (spider) chart comparing series of values on the same axes.
+ * @param {object} props
+ * @param {string[]} props.axes - Axis labels, clockwise from the top.
+ * @param {Array<{label: string, values: number[]}>} props.series - Up to two series, one value per axis.
+ * @param {number} props.max - Value at the outer ring.
+ * @param {number} [props.rings] - Number of grid rings.
+ * @param {string} props.title - Accessible description of the chart.
+ */
+const RadarChart = ({ axes, series, max, rings = 5, title }) => (
+    <figure className="flex flex-col items-center">
+        <svg viewBox={`${-LABEL_MARGIN} 0 ${SIZE + LABEL_MARGIN * 2} ${SIZE}`} className="w-full max-w-lg" role="img" aria-label={title} dir="ltr">
+            {Array.from({ length: rings }, (_, ring) => (
+                <polygon
+                    key={ring}
+                    points={polygonPoints(axes.map(() => ((ring + 1) / rings) * max), max)}
+                    fill="none"
+                    stroke="#e5e7eb"
+                />
+            ))}
+            {axes.map((label, index) => {
+                const end = pointAt(index, axes.length, RADIUS);
+                const text = pointAt(index, axes.length, RADIUS + LABEL_OFFSET);
+                const anchor = Math.abs(text.x - CENTER) < 1 ? 'middle' : text.x > CENTER ? 'start' : 'end';
+                return (
+                    <g key={label}>
+                        <line x1={CENTER} y1={CENTER} x2={end.x} y2={end.y} stroke="#e5e7eb" />
+                        <text x={text.x} y={text.y} textAnchor={anchor} dominantBaseline="middle" className="fill-gray-600" fontSize="12">
+                            {label}
+                        </text>
+                    </g>
+                );
+            })}
+            {series.map(({ values }, index) => (
+                <polygon
+                    key={index}
+                    points={polygonPoints(values, max)}
+                    fill={SERIES_COLORS[index]}
+                    fillOpacity="0.2"
+                    stroke={SERIES_COLORS[index]}
+                    strokeWidth="2"
+                />
+            ))}
+        </svg>
+        <figcaption className="mt-2 flex flex-wrap gap-4 justify-center text-sm text-gray-700">
+            {series.map(({ label }, index) => (
+                <span key={index} className="flex items-center gap-1">
+                    <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: SERIES_COLORS[index] }} aria-hidden="true"></span>
+                    {label}
+                </span>
+            ))}
+        </figcaption>
+    </figure>
+);
+
+export default RadarChart;
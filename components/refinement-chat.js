@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import StopButton from './stop-button.js';
+import DiffText from './diff-text.js';
+import { diffWords } from '../utils/diff.js';
+import { PREVIEW_FIELDS } from '../refinement.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Shows how a list changed: removed items struck through, added items highlighted.
+ * @param {object} props
+ * @param {string[]} props.before - Original items.
+ * @param {string[]} props.after - Changed items.
+ */
+const ListDiff = ({ before, after }) => (
+    <ul className="list-disc list-inside text-sm">
+        {before.filter((item) => !after.includes(item)).map((item) => (
+            <li key={`-${item}`}><del className="bg-red-100 text-red-700">{item}</del></li>
+        ))}
+        {after.map((item) => (
+            <li key={`+${item}`}>{before.includes(item) ? item : <ins className="bg-green-100 text-green-800 no-underline">{item}</ins>}</li>
+        ))}
+    </ul>
+);
+
+/**
+ * One proposed change with its diff and accept/reject buttons. Accepting is only possible
+ * while the target still matches what the change was proposed against.
+ * @param {object} props
+ * @param {string} props.title - What is being changed.
+ * @param {import('../refinement.js').ProposedChange} props.change - The proposed change.
+ * @param {boolean} props.isStale - Whether the target has changed since.
+ * @param {React.ReactNode} props.children - The diff.
+ * @param {function('accepted'|'rejected'): void} props.onDecide - Records the decision.
+ */
+const ProposedChange = ({ title, change, isStale, children, onDecide }) => {
+    const { t } = useTranslation();
+    return (
+        <div className="mt-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <span className="text-sm font-semibold text-gray-700">{title}</span>
+                {change.status === 'pending' ? (
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => onDecide('accepted')}
+                            disabled={isStale}
+                            className="py-1 px-3 rounded-lg text-sm font-semibold text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                        >
+                            {t('refine.accept')}
+                        </button>
+                        <button onClick={() => onDecide('rejected')} className="py-1 px-3 rounded-lg text-sm font-semibold text-red-600 border border-red-200 bg-white hover:bg-red-50">
+                            {t('refine.reject')}
+                        </button>
+                    </div>
+                ) : (
+                    <span className={`text-xs font-semibold ${change.status === 'accepted' ? 'text-green-700' : 'text-red-600'}`}>
+                        {t(change.status === 'accepted' ? 'refine.accepted' : 'refine.rejected')}
+                    </span>
+                )}
+            </div>
+            {change.status === 'pending' && isStale && (
+                <p className="mb-2 text-xs text-amber-700">{t('refine.stale')}</p>
+            )}
+            {children}
+        </div>
+    );
+};
+
+/**
+ * Chat for refining the prompt and the app preview with follow-up instructions. The model's
+ * proposed edits are shown as diffs and applied only when accepted.
+ * @param {object} props
+ * @param {Array<import('../refinement.js').RefinementMessage>} props.messages - Conversation, oldest first.
+ * @param {string} props.currentPrompt - The customizable prompt as it is now.
+ * @param {object|null} props.currentPreview - The app preview as it is now.
+ * @param {boolean} props.isSending - Whether a reply is being generated.
+ * @param {function(string): void} props.onSend - Sends an instruction.
+ * @param {function(): void} props.onStop - Stops the reply being generated.
+ * @param {function(string, 'prompt'|'preview', 'accepted'|'rejected'): void} props.onDecide - Accepts or rejects
+ *   the prompt or preview change of a message.
+ * @param {function(): void} props.onClear - Clears the conversation.
+ */
+const RefinementChat = ({ messages, currentPrompt, currentPreview, isSending, onSend, onStop, onDecide, onClear }) => {
+    const { t } = useTranslation();
+    const [instruction, setInstruction] = useState('');
+    const endRef = useRef(null);
+
+    // Keep the newest message in view
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, [messages.length]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!instruction.trim() || isSending) return;
+        onSend(instruction.trim());
+        setInstruction('');
+    };
+
+    return (
+        <div>
+            <div className="max-h-[32rem] overflow-y-auto space-y-3 pe-1">
+                {messages.length === 0 && (
+                    <p className="text-sm text-gray-500">{t('refine.empty')}</p>
+                )}
+                {messages.map((message) => (
+                    <div key={message.id} className={message.role === 'user' ? 'flex justify-end' : ''}>
+                        <div className={`max-w-full sm:max-w-[85%] p-3 rounded-lg text-sm ${message.role === 'user' ? 'bg-sky-600 text-white' : 'bg-white border border-sky-200 text-gray-800'}`}>
+                            <p className="whitespace-pre-wrap">{message.content}</p>
+                            {message.proposal?.prompt && (
+                                <ProposedChange
+                                    title={t('refine.prompt')}
+                                    change={message.proposal.prompt}
+                                    isStale={message.proposal.prompt.before !== currentPrompt}
+                                    onDecide={(status) => onDecide(message.id, 'prompt', status)}
+                                >
+                                    <DiffText segments={diffWords(message.proposal.prompt.before, message.proposal.prompt.after)} />
+                                </ProposedChange>
+                            )}
+                            {message.proposal?.preview && (
+                                <ProposedChange
+                                    title={t('refine.preview')}
+                                    change={message.proposal.preview}
+                                    isStale={JSON.stringify(message.proposal.preview.before) !== JSON.stringify(currentPreview)}
+                                    onDecide={(status) => onDecide(message.id, 'preview', status)}
+                                >
+                                    {PREVIEW_FIELDS
+                                        .filter(({ key }) => JSON.stringify(message.proposal.preview.before[key]) !== JSON.stringify(message.proposal.preview.after[key]))
+                                        .map(({ key }) => (
+                                            <div key={key} className="mb-2">
+                                                <p className="text-xs font-semibold text-gray-500 mb-1">{t(`refine.field.${key}`)}</p>
+                                                {Array.isArray(message.proposal.preview.after[key]) ? (
+                                                    <ListDiff before={message.proposal.preview.before[key] || []} after={message.proposal.preview.after[key]} />
+                                                ) : (
+                                                    <DiffText segments={diffWords(String(message.proposal.preview.before[key] ?? ''), message.proposal.preview.after[key])} />
+                                                )}
+                                            </div>
+                                        ))}
+                                </ProposedChange>
+                            )}
+                        </div>
+                    </div>
+                ))}
+                {isSending && <p className="text-sm text-gray-500">{t('refine.thinking')}</p>}
+                <div ref={endRef}></div>
+            </div>
+
+            <form onSubmit={handleSubmit} className="mt-4 flex flex-col sm:flex-row gap-2">
+                <input
+                    className="flex-1 p-2 border border-sky-300 rounded-lg focus:ring-2 focus:ring-sky-400 focus:border-transparent text-sm"
+                    placeholder={t('refine.placeholder')}
+                    value={instruction}
+                    onChange={(e) => setInstruction(e.target.value)}
+                    aria-label={t('refine.instruction')}
+                />
+                {isSending ? (
+                    <StopButton onClick={onStop} />
+                ) : (
+                    <button
+                        type="submit"
+                        disabled={!instruction.trim()}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-sky-600 hover:bg-sky-700 transition duration-200 disabled:opacity-50"
+                    >
+                        {t('refine.send')}
+                    </button>
+                )}
+                {messages.length > 0 && !isSending && (
+                    <button type="button" onClick={onClear} className="py-2 px-4 text-sm text-red-600 hover:underline">
+                        {t('refine.clear')}
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default RefinementChat;
@@ -0,0 +1,195 @@
+import React, { useState, useMemo } from 'react';
+import StopButton from './stop-button.js';
+import { buildFileTree } from '../scaffold.js';
+import { highlightCode, detectLanguage } from '../utils/highlight.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Token colours for the code preview
+const TOKEN_CLASSES = {
+    plain: '',
+    comment: 'text-gray-400 italic',
+    string: 'text-emerald-700',
+    keyword: 'text-purple-700 font-semibold',
+    number: 'text-amber-700',
+    property: 'text-sky-700',
+};
+
+/**
+ * Read-only code preview with syntax highlighting.
+ * @param {object} props
+ * @param {string} props.path - File path, to pick the language.
+ * @param {string} props.content - File contents.
+ */
+const CodePreview = ({ path, content }) => {
+    const tokens = useMemo(() => highlightCode(content, detectLanguage(path)), [path, content]);
+    return (
+        <pre className="p-3 bg-white border border-slate-200 rounded-lg text-xs overflow-auto max-h-[28rem] whitespace-pre" dir="ltr">
+            <code>
+                {tokens.map((token, index) => (
+                    token.type === 'plain' ? token.text : <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+                ))}
+            </code>
+        </pre>
+    );
+};
+
+/**
+ * One folder of the file tree with its subfolders and files; folders can be collapsed.
+ * @param {object} props
+ * @param {import('../scaffold.js').ScaffoldFolder} props.folder - Folder to show.
+ * @param {number} props.depth - Nesting level, for indentation.
+ * @param {Set<string>} props.collapsed - Paths of collapsed folders.
+ * @param {function(string): void} props.onToggle - Collapses or expands a folder.
+ * @param {string} props.selectedId - Id of the selected file.
+ * @param {function(string): void} props.onSelect - Selects a file.
+ * @param {string|null} props.regeneratingFileId - File being regenerated, if any.
+ */
+const FolderNode = ({ folder, depth, collapsed, onToggle, selectedId, onSelect, regeneratingFileId }) => (
+    <ul>
+        {folder.folders.map((child) => (
+            <li key={child.path}>
+                <button
+                    onClick={() => onToggle(child.path)}
+                    className="w-full text-start py-0.5 text-gray-700 hover:text-slate-900"
+                    style={{ paddingInlineStart: `${depth * 0.75 + 0.25}rem` }}
+                    aria-expanded={!collapsed.has(child.path)}
+                >
+                    {collapsed.has(child.path) ? '▸' : '▾'} 📁 {child.name}
+                </button>
+                {!collapsed.has(child.path) && (
+                    <FolderNode
+                        folder={child}
+                        depth={depth + 1}
+                        collapsed={collapsed}
+                        onToggle={onToggle}
+                        selectedId={selectedId}
+                        onSelect={onSelect}
+                        regeneratingFileId={regeneratingFileId}
+                    />
+                )}
+            </li>
+        ))}
+        {folder.files.map((file) => (
+            <li key={file.id}>
+                <button
+                    onClick={() => onSelect(file.id)}
+                    className={`w-full text-start py-0.5 truncate rounded ${file.id === selectedId ? 'bg-slate-200 text-slate-900 font-semibold' : 'text-gray-700 hover:bg-slate-100'}`}
+                    style={{ paddingInlineStart: `${depth * 0.75 + 1.1}rem` }}
+                    title={file.purpose}
+                >
+                    📄 {file.path.split('/').pop()}
+                    {file.id === regeneratingFileId && ' …'}
+                </button>
+            </li>
+        ))}
+    </ul>
+);
+
+/**
+ * File browser for the generated scaffold: a collapsible file tree, a highlighted preview of the
+ * selected file with per-file regeneration, and a ZIP download of the whole tree.
+ * @param {object} props
+ * @param {import('../scaffold.js').Scaffold} props.scaffold - The scaffold to show.
+ * @param {string|null} props.regeneratingFileId - File currently being regenerated, if any.
+ * @param {function(string, string): void} props.onRegenerateFile - Called with a file id and extra instructions.
+ * @param {function(): void} props.onStopRegenerate - Cancels the regeneration.
+ * @param {function(): void} props.onDownload - Downloads the ZIP.
+ */
+const ScaffoldBrowser = ({ scaffold, regeneratingFileId, onRegenerateFile, onStopRegenerate, onDownload }) => {
+    const { t, locale } = useTranslation();
+    const [selectedId, setSelectedId] = useState(null);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [instructions, setInstructions] = useState('');
+
+    const tree = useMemo(() => buildFileTree(scaffold.files), [scaffold.files]);
+    // Fall back to the README, or the first file, if nothing valid is selected
+    const selected = scaffold.files.find((file) => file.id === selectedId)
+        || scaffold.files.find((file) => file.path === 'README.md')
+        || scaffold.files[0];
+
+    const handleToggle = (path) => {
+        setCollapsed((prev) => {
+            const next = new Set(prev);
+            if (next.has(path)) {
+                next.delete(path);
+            } else {
+                next.add(path);
+            }
+            return next;
+        });
+    };
+
+    const handleRegenerate = () => {
+        onRegenerateFile(selected.id, instructions.trim());
+        setInstructions('');
+    };
+
+    const isRegenerating = regeneratingFileId !== null;
+    const totalLines = scaffold.files.reduce((sum, file) => sum + file.content.split('\n').length, 0);
+
+    return (
+        <div className="mt-8 p-5 bg-slate-50 rounded-lg border border-slate-200 animate-fade-in">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+                <h4 className="text-lg font-semibold text-slate-700">{t('scaffold.heading')}</h4>
+                <button
+                    onClick={onDownload}
+                    className="py-1 px-3 rounded-lg text-sm font-semibold text-slate-700 border border-slate-300 bg-white hover:bg-slate-100 transition duration-200"
+                >
+                    {t('scaffold.download')}
+                </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+                {t('scaffold.summary', { files: scaffold.files.length, lines: totalLines.toLocaleString(locale), stack: scaffold.stack })}
+            </p>
+
+            <div className="flex flex-col md:flex-row gap-4">
+                <nav className="md:w-64 shrink-0 p-2 bg-white rounded-lg border border-slate-200 text-sm max-h-[32rem] overflow-y-auto" aria-label={t('scaffold.files')}>
+                    <FolderNode
+                        folder={tree}
+                        depth={0}
+                        collapsed={collapsed}
+                        onToggle={handleToggle}
+                        selectedId={selected.id}
+                        onSelect={setSelectedId}
+                        regeneratingFileId={regeneratingFileId}
+                    />
+                </nav>
+
+                <div className="flex-1 min-w-0">
+                    <p className="font-mono text-sm text-slate-700" dir="ltr">{selected.path}</p>
+                    <p className="text-sm text-gray-600 mb-1">{selected.purpose}</p>
+                    {selected.features.length > 0 && (
+                        <p className="mb-2 flex flex-wrap gap-1 text-xs">
+                            {selected.features.map((feature) => (
+                                <span key={feature} className="px-2 py-0.5 rounded-full border border-slate-300 bg-white text-slate-600">{feature}</span>
+                            ))}
+                        </p>
+                    )}
+                    <CodePreview path={selected.path} content={selected.content} />
+
+                    <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                        <input
+                            className="flex-1 p-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-slate-400 focus:border-transparent text-sm"
+                            placeholder={t('scaffold.instructions', { name: selected.path.split('/').pop() })}
+                            value={instructions}
+                            onChange={(e) => setInstructions(e.target.value)}
+                            disabled={isRegenerating}
+                        />
+                        {isRegenerating ? (
+                            <StopButton label={t('scaffold.stopRegenerating')} onClick={onStopRegenerate} />
+                        ) : (
+                            <button
+                                onClick={handleRegenerate}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-slate-700 hover:bg-slate-800 transition duration-200"
+                            >
+                                {t('scaffold.regenerate')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ScaffoldBrowser;
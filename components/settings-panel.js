@@ -0,0 +1,442 @@
+import React, { useState } from 'react';
+import { PROVIDERS } from '../llm/index.js';
+import { STEPS, DEFAULT_SETTINGS } from '../settings.js';
+import { LOCALES, OUTPUT_LANGUAGES, useTranslation, describeLanguageTag, parseMarkets } from '../i18n/index.js';
+
+// Generation parameters shown in the form, with their input constraints; labeled `settings.<key>`
+const GENERATION_FIELDS = [
+    { key: 'temperature', min: 0, max: 2, step: 0.1 },
+    { key: 'topP', min: 0, max: 1, step: 0.05 },
+    { key: 'maxOutputTokens', min: 1, max: 65536, step: 1 },
+];
+
+/**
+ * Settings panel for the AI provider, API key, models, generation parameters, cache, prices, budget and languages.
+ * Edits are made on a draft and only applied when the user saves.
+ * @param {object} props
+ * @param {object} props.settings - Current settings.
+ * @param {function(object): void} props.onSave - Called with the new settings.
+ * @param {function(): void} props.onClose - Called when the panel should be hidden.
+ * @param {boolean} props.hasFirebaseConfig - Whether a Firebase config was provided by the environment.
+ */
+const SettingsPanel = ({ settings, onSave, onClose, hasFirebaseConfig }) => {
+    const { t, locale } = useTranslation();
+    const [draft, setDraft] = useState(settings);
+    const [marketsText, setMarketsText] = useState(settings.language.markets.join(', ')); // Parsed when saving
+
+    const updateProvider = (changes) => setDraft({ ...draft, provider: { ...draft.provider, ...changes } });
+
+    /**
+     * Switches backend, seeding its connection settings and default model.
+     * Per-step overrides are cleared since model names rarely carry over between backends.
+     * @param {string} type - Key of PROVIDERS.
+     */
+    const handleProviderTypeChange = (type) => {
+        setDraft({
+            ...draft,
+            provider: { type, ...PROVIDERS[type].defaults },
+            defaultModel: PROVIDERS[type].defaultModel,
+            stepModels: DEFAULT_SETTINGS.stepModels,
+        });
+    };
+
+    const handleGenerationChange = (key, value) => {
+        setDraft({ ...draft, generation: { ...draft.generation, [key]: value === '' ? null : Number(value) } });
+    };
+
+    const handleStepModelChange = (key, value) => {
+        setDraft({ ...draft, stepModels: { ...draft.stepModels, [key]: value } });
+    };
+
+    const handleValidationChange = (key, value) => {
+        setDraft({ ...draft, validation: { ...draft.validation, [key]: Math.max(0, Number(value) || 0) } });
+    };
+
+    const handleCacheChange = (changes) => {
+        setDraft({ ...draft, cache: { ...draft.cache, ...changes } });
+    };
+
+    const handlePriceChange = (index, changes) => {
+        setDraft({ ...draft, prices: draft.prices.map((price, i) => (i === index ? { ...price, ...changes } : price)) });
+    };
+
+    const handleBudgetChange = (changes) => {
+        setDraft({ ...draft, budget: { ...draft.budget, ...changes } });
+    };
+
+    const handleSyncChange = (changes) => {
+        setDraft({ ...draft, sync: { ...draft.sync, ...changes } });
+    };
+
+    const handleLanguageChange = (changes) => {
+        setDraft({ ...draft, language: { ...draft.language, ...changes } });
+    };
+
+    const handleReset = () => {
+        setDraft(DEFAULT_SETTINGS);
+        setMarketsText('');
+    };
+
+    const providerType = draft.provider.type;
+    const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:border-transparent';
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">{t('settings.heading')}</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.provider')}</span>
+                    <select className={inputClassName} value={providerType} onChange={(e) => handleProviderTypeChange(e.target.value)}>
+                        {Object.entries(PROVIDERS).map(([type, { label }]) => (
+                            <option key={type} value={type}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {'apiKey' in PROVIDERS[providerType].defaults && (
+                    <label className="block">
+                        <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.apiKey')}</span>
+                        <input
+                            type="password"
+                            autoComplete="off"
+                            className={inputClassName}
+                            placeholder={t(providerType === 'gemini' ? 'settings.apiKeyCanvas' : 'settings.apiKeyLocal')}
+                            value={draft.provider.apiKey}
+                            onChange={(e) => updateProvider({ apiKey: e.target.value })}
+                        />
+                    </label>
+                )}
+
+                {'baseUrl' in PROVIDERS[providerType].defaults && (
+                    <label className="block">
+                        <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.baseUrl')}</span>
+                        <input
+                            className={inputClassName}
+                            value={draft.provider.baseUrl}
+                            onChange={(e) => updateProvider({ baseUrl: e.target.value })}
+                        />
+                    </label>
+                )}
+
+                {providerType === 'openai' && (
+                    <label className="block">
+                        <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.structuredOutput')}</span>
+                        <select
+                            className={inputClassName}
+                            value={draft.provider.structuredOutput}
+                            onChange={(e) => updateProvider({ structuredOutput: e.target.value })}
+                        >
+                            <option value="json_schema">{t('settings.jsonSchema')}</option>
+                            <option value="json_object">{t('settings.jsonMode')}</option>
+                        </select>
+                    </label>
+                )}
+
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.defaultModel')}</span>
+                    <input
+                        className={inputClassName}
+                        value={draft.defaultModel}
+                        onChange={(e) => setDraft({ ...draft, defaultModel: e.target.value })}
+                    />
+                </label>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.language')}</h3>
+            <p className="text-sm text-gray-500 mb-3">{t('settings.languageHint')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.uiLanguage')}</span>
+                    <select className={inputClassName} value={draft.language.ui} onChange={(e) => handleLanguageChange({ ui: e.target.value })}>
+                        <option value="">{t('settings.uiLanguageAuto')}</option>
+                        {LOCALES.map(({ code, label }) => (
+                            <option key={code} value={code}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.outputLanguage')}</span>
+                    <select className={inputClassName} value={draft.language.output} onChange={(e) => handleLanguageChange({ output: e.target.value })}>
+                        {OUTPUT_LANGUAGES.map(({ code, name }) => (
+                            <option key={code} value={code}>{describeLanguageTag(code, locale, name)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.markets')}</span>
+                    <input
+                        className={inputClassName}
+                        placeholder={t('settings.marketsPlaceholder')}
+                        value={marketsText}
+                        onChange={(e) => setMarketsText(e.target.value)}
+                        dir="ltr"
+                    />
+                    <span className="block text-xs text-gray-500 mt-1">
+                        {t('settings.marketsHint')}
+                        {parseMarkets(marketsText).length > 0 && ` ${parseMarkets(marketsText).map((tag) => describeLanguageTag(tag, locale)).join(', ')}`}
+                    </span>
+                </label>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.generation')}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                {GENERATION_FIELDS.map(({ key, min, max, step }) => (
+                    <label key={key} className="block">
+                        <span className="block text-sm font-medium text-gray-600 mb-1">{t(`settings.${key}`)}</span>
+                        <input
+                            type="number"
+                            className={inputClassName}
+                            placeholder={t('settings.modelDefault')}
+                            min={min}
+                            max={max}
+                            step={step}
+                            value={draft.generation[key] ?? ''}
+                            onChange={(e) => handleGenerationChange(key, e.target.value)}
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.stepModels')}</h3>
+            <p className="text-sm text-gray-500 mb-3">{t('settings.stepModelsHint')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                {STEPS.map((key) => (
+                    <label key={key} className="block">
+                        <span className="block text-sm font-medium text-gray-600 mb-1">{t(`step.${key}`)}</span>
+                        <input
+                            className={inputClassName}
+                            placeholder={draft.defaultModel}
+                            value={draft.stepModels[key]}
+                            onChange={(e) => handleStepModelChange(key, e.target.value)}
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <label className="flex items-center gap-2 mb-6 text-gray-700">
+                <input
+                    type="checkbox"
+                    className="h-4 w-4 text-indigo-600 rounded"
+                    checked={draft.streamEnhancement}
+                    onChange={(e) => setDraft({ ...draft, streamEnhancement: e.target.checked })}
+                />
+                {t('settings.stream')}
+            </label>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.validation')}</h3>
+            <p className="text-sm text-gray-500 mb-3">{t('settings.validationHint')}</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.maxRepairAttempts')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        min={0}
+                        max={5}
+                        step={1}
+                        value={draft.validation.maxRepairAttempts}
+                        onChange={(e) => handleValidationChange('maxRepairAttempts', e.target.value)}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.backoff')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        min={0}
+                        max={10000}
+                        step={100}
+                        value={draft.validation.backoffMs}
+                        onChange={(e) => handleValidationChange('backoffMs', e.target.value)}
+                    />
+                </label>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.cache')}</h3>
+            <p className="text-sm text-gray-500 mb-3">{t('settings.cacheHint', { regenerate: t('cache.regenerate') })}</p>
+            <label className="flex items-center gap-2 mb-3 text-gray-700">
+                <input
+                    type="checkbox"
+                    className="h-4 w-4 text-indigo-600 rounded"
+                    checked={draft.cache.enabled}
+                    onChange={(e) => handleCacheChange({ enabled: e.target.checked })}
+                />
+                {t('settings.cacheEnabled')}
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.cacheTtl')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        min={1}
+                        step={1}
+                        value={draft.cache.ttlHours}
+                        onChange={(e) => handleCacheChange({ ttlHours: Math.max(1, Number(e.target.value) || 1) })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.cacheSize')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        min={1}
+                        step={1}
+                        value={draft.cache.maxSizeMb}
+                        onChange={(e) => handleCacheChange({ maxSizeMb: Math.max(1, Number(e.target.value) || 1) })}
+                    />
+                </label>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.pricing')}</h3>
+            <p className="text-sm text-gray-500 mb-3">
+                {t('settings.pricingHint')}
+                {PROVIDERS[providerType].local && ` ${t('settings.localFree')}`}
+            </p>
+            <div className="space-y-2 mb-3">
+                {draft.prices.map((price, index) => (
+                    <div key={index} className="grid grid-cols-[1fr_7rem_7rem_auto] gap-2 items-center">
+                        <input
+                            className={inputClassName}
+                            placeholder={t('settings.priceModel')}
+                            aria-label={t('settings.priceModel')}
+                            value={price.model}
+                            onChange={(e) => handlePriceChange(index, { model: e.target.value })}
+                        />
+                        <input
+                            type="number"
+                            className={inputClassName}
+                            min={0}
+                            step={0.01}
+                            aria-label={t('settings.inputPrice', { model: price.model || t('settings.unnamedModel') })}
+                            title={t('settings.inputPriceTitle')}
+                            value={price.input}
+                            onChange={(e) => handlePriceChange(index, { input: Math.max(0, Number(e.target.value) || 0) })}
+                        />
+                        <input
+                            type="number"
+                            className={inputClassName}
+                            min={0}
+                            step={0.01}
+                            aria-label={t('settings.outputPrice', { model: price.model || t('settings.unnamedModel') })}
+                            title={t('settings.outputPriceTitle')}
+                            value={price.output}
+                            onChange={(e) => handlePriceChange(index, { output: Math.max(0, Number(e.target.value) || 0) })}
+                        />
+                        <button
+                            onClick={() => setDraft({ ...draft, prices: draft.prices.filter((_, i) => i !== index) })}
+                            className="text-sm text-red-600 hover:underline"
+                        >
+                            {t('settings.removePrice')}
+                        </button>
+                    </div>
+                ))}
+                <button
+                    onClick={() => setDraft({ ...draft, prices: [...draft.prices, { model: '', input: 0, output: 0 }] })}
+                    className="text-sm font-semibold text-indigo-600 hover:underline"
+                >
+                    {t('settings.addPrice')}
+                </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.dailyLimit')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        placeholder={t('settings.noLimit')}
+                        min={0}
+                        step={0.5}
+                        value={draft.budget.dailyLimitUsd ?? ''}
+                        onChange={(e) => handleBudgetChange({ dailyLimitUsd: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.projectLimit')}</span>
+                    <input
+                        type="number"
+                        className={inputClassName}
+                        placeholder={t('settings.noLimit')}
+                        min={0}
+                        step={0.5}
+                        value={draft.budget.projectLimitUsd ?? ''}
+                        onChange={(e) => handleBudgetChange({ projectLimitUsd: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.limitAction')}</span>
+                    <select className={inputClassName} value={draft.budget.action} onChange={(e) => handleBudgetChange({ action: e.target.value })}>
+                        <option value="warn">{t('settings.warnOnly')}</option>
+                        <option value="block">{t('settings.blockRequests')}</option>
+                    </select>
+                </label>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('settings.sync')}</h3>
+            <p className="text-sm text-gray-500 mb-3">
+                {t(hasFirebaseConfig ? 'settings.syncHint' : 'settings.syncEmulatorOnly')}
+            </p>
+            <label className="flex items-center gap-2 mb-3 text-gray-700">
+                <input
+                    type="checkbox"
+                    className="h-4 w-4 text-indigo-600 rounded"
+                    checked={draft.sync.enabled}
+                    onChange={(e) => handleSyncChange({ enabled: e.target.checked })}
+                />
+                {t('settings.syncEnabled')}
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.emulatorHost')}</span>
+                    <input
+                        className={inputClassName}
+                        placeholder={t('settings.emulatorHostPlaceholder')}
+                        value={draft.sync.emulatorHost}
+                        onChange={(e) => handleSyncChange({ emulatorHost: e.target.value })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.emulatorAuthUrl')}</span>
+                    <input
+                        className={inputClassName}
+                        placeholder={t('settings.emulatorAuthUrlPlaceholder')}
+                        value={draft.sync.emulatorAuthUrl}
+                        onChange={(e) => handleSyncChange({ emulatorAuthUrl: e.target.value })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('settings.emulatorProjectId')}</span>
+                    <input
+                        className={inputClassName}
+                        value={draft.sync.emulatorProjectId}
+                        onChange={(e) => handleSyncChange({ emulatorProjectId: e.target.value })}
+                    />
+                </label>
+            </div>
+
+            <div className="flex flex-wrap gap-3 justify-end">
+                <button
+                    onClick={handleReset}
+                    className="py-2 px-4 rounded-lg font-semibold text-gray-600 border border-gray-300 hover:bg-gray-100 transition duration-200"
+                >
+                    {t('settings.reset')}
+                </button>
+                <button
+                    onClick={onClose}
+                    className="py-2 px-4 rounded-lg font-semibold text-gray-600 border border-gray-300 hover:bg-gray-100 transition duration-200"
+                >
+                    {t('settings.cancel')}
+                </button>
+                <button
+                    onClick={() => onSave({ ...draft, language: { ...draft.language, markets: parseMarkets(marketsText) } })}
+                    className="py-2 px-4 rounded-lg font-bold bg-indigo-600 text-white hover:bg-indigo-700 transition duration-200 shadow-md"
+                >
+                    {t('settings.save')}
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default SettingsPanel;
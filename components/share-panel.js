@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Creates review links for the current spec and lists the ones created before.
+ * @param {object} props
+ * @param {Array<{id: string, mode: string, url: string, createdAt: number}>} props.shares - Links
+ *   created for this project, newest first.
+ * @param {boolean} props.canShare - Whether there is anything to share yet.
+ * @param {boolean} props.isSharing - Whether a link is being created.
+ * @param {boolean} props.isStoreRemote - Whether shares and comments are stored in Firestore
+ *   rather than in this browser.
+ * @param {function('inline'|'stored'): void} props.onCreate - Creates a link of the given kind.
+ * @param {function(): void} props.onClose - Hides the panel.
+ */
+const SharePanel = ({ shares, canShare, isSharing, isStoreRemote, onCreate, onClose }) => {
+    const { t, locale } = useTranslation();
+    const [copiedId, setCopiedId] = useState(null); // Link whose URL was just copied
+
+    const handleCopy = async (share) => {
+        try {
+            await navigator.clipboard.writeText(share.url);
+            setCopiedId(share.id);
+        } catch (err) {
+            console.error('Could not copy the link:', err);
+        }
+    };
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('share.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('share.close')}>✕</button>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('share.intro')}</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div className="p-4 bg-white rounded-lg border border-gray-200">
+                    <button
+                        onClick={() => onCreate('inline')}
+                        disabled={!canShare || isSharing}
+                        className="w-full py-2 px-4 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        {t('share.createInline')}
+                    </button>
+                    <p className="text-xs text-gray-500 mt-2">{t('share.inlineHint')}</p>
+                </div>
+                <div className="p-4 bg-white rounded-lg border border-gray-200">
+                    <button
+                        onClick={() => onCreate('stored')}
+                        disabled={!canShare || isSharing}
+                        className="w-full py-2 px-4 rounded-lg text-sm font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        {t('share.createStored')}
+                    </button>
+                    <p className="text-xs text-gray-500 mt-2">{t(isStoreRemote ? 'share.storedHintRemote' : 'share.storedHintLocal')}</p>
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">{t(isStoreRemote ? 'share.commentsRemote' : 'share.commentsLocal')}</p>
+            {!canShare && <p className="text-sm text-gray-500 mb-4">{t('share.nothingToShare')}</p>}
+
+            {shares.length > 0 && (
+                <>
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('share.links')}</h3>
+                    <ul className="space-y-2">
+                        {shares.map((share) => (
+                            <li key={share.id} className="p-3 bg-white rounded-lg border border-gray-200 flex flex-wrap items-center gap-3 text-sm">
+                                <span className="text-gray-500">{new Date(share.createdAt).toLocaleString(locale)}</span>
+                                <span className="px-2 py-0.5 rounded bg-indigo-100 text-indigo-700 text-xs">{t(`share.mode.${share.mode}`)}</span>
+                                <input
+                                    type="text"
+                                    readOnly
+                                    value={share.url}
+                                    onFocus={(e) => e.target.select()}
+                                    className="flex-1 min-w-0 p-1 border border-gray-300 rounded text-xs text-gray-600"
+                                    aria-label={t('share.url')}
+                                    dir="ltr"
+                                />
+                                <button onClick={() => handleCopy(share)} className="text-indigo-600 hover:underline">
+                                    {t(copiedId === share.id ? 'share.copied' : 'share.copy')}
+                                </button>
+                                <a href={share.url} target="_blank" rel="noreferrer" className="text-indigo-600 hover:underline">{t('share.open')}</a>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </section>
+    );
+};
+
+export default SharePanel;
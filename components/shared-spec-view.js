@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from '../i18n/index.js';
+import {
+    loadShare, listShareAnchors, anchorKey, createThread, addReply, setThreadResolved,
+} from '../share.js';
+import { buildHtmlReport } from '../exporters/html-report.js';
+import CommentThreads from './comment-threads.js';
+
+/**
+ * Read-only review of a shared spec. Reviewers leave comment threads on the key features and
+ * the prompt sections; the author (whose store user id created the share) can resolve them.
+ * Links with the spec embedded have no comments when the store is this browser's, since the
+ * author would never see them. The add-on results are shown in the HTML report, in a sandboxed frame.
+ * @param {object} props
+ * @param {import('../share.js').ShareLink} props.link - The link being opened.
+ * @param {object} props.store - Share store (see storage/share-store.js).
+ * @param {string} props.reviewerName - Name comments are posted under.
+ * @param {function(string): void} props.onReviewerNameChange - Saves a new name.
+ * @param {function(): void} props.onExit - Leaves the review for the editor.
+ */
+const SharedSpecView = ({ link, store, reviewerName, onReviewerNameChange, onExit }) => {
+    const { t, locale } = useTranslation();
+    const [loaded, setLoaded] = useState(null); // { share, session } once loaded
+    const [loadError, setLoadError] = useState('');
+    const [userId, setUserId] = useState(''); // This viewer's id in the share store, once known
+    const [threads, setThreads] = useState([]); // Comment threads on the share, oldest first
+    const [threadsError, setThreadsError] = useState(null); // { key, message } of the last failed load or save of comments
+    const [isSaving, setIsSaving] = useState(false);
+
+    const hasComments = link.mode === 'stored' || store.isRemote;
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoaded(null);
+        setLoadError('');
+        loadShare(link, store)
+            .then((result) => {
+                if (cancelled) return;
+                setLoaded(result);
+                if (!hasComments) return;
+                return Promise.all([store.getUserId(), store.listThreads(result.share.id)])
+                    .then(([id, list]) => {
+                        if (cancelled) return;
+                        setUserId(id);
+                        setThreads(list);
+                    })
+                    .catch((err) => !cancelled && setThreadsError({ key: 'review.loadCommentsFailed', message: err.message }));
+            })
+            .catch((err) => !cancelled && setLoadError(err.message));
+        return () => {
+            cancelled = true;
+        };
+    }, [link, store, hasComments]);
+
+    const reportHtml = useMemo(() => (loaded ? buildHtmlReport(loaded.session, loaded.share.name) : ''), [loaded]);
+
+    if (loadError) {
+        return (
+            <div className="text-center">
+                <p className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg" role="alert">
+                    {t('review.loadFailed', { message: loadError })}
+                </p>
+                <button onClick={onExit} className="text-indigo-600 hover:underline">{t('review.exit')}</button>
+            </div>
+        );
+    }
+    if (!loaded) {
+        return <p className="text-center text-gray-500" role="status">{t('review.loading')}</p>;
+    }
+
+    const { share, session } = loaded;
+    const preview = session.appPreview;
+    const isOwner = Boolean(userId) && userId === share.ownerId;
+    const anchors = listShareAnchors(session);
+    const openCount = threads.filter((thread) => !thread.resolved).length;
+
+    /**
+     * Saves a thread and shows it. A change to an existing thread is applied to its stored
+     * version, so replies posted meanwhile by others are kept.
+     * @param {string|null} threadId - Thread to change, or null to save `change(null)` as a new thread.
+     * @param {function(import('../share.js').CommentThread|null): import('../share.js').CommentThread} change
+     * @returns {Promise<boolean>} - Whether it was saved.
+     */
+    const saveThread = async (threadId, change) => {
+        setIsSaving(true);
+        setThreadsError(null);
+        try {
+            let current = null;
+            if (threadId) {
+                const latest = await store.listThreads(share.id);
+                current = latest.find((thread) => thread.id === threadId) || threads.find((thread) => thread.id === threadId);
+            }
+            const next = change(current);
+            await store.saveThread(share.id, next);
+            setThreads((prev) => (prev.some((thread) => thread.id === next.id)
+                ? prev.map((thread) => (thread.id === next.id ? next : thread))
+                : [...prev, next]));
+            return true;
+        } catch (err) {
+            setThreadsError({ key: 'review.saveFailed', message: err.message });
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const reviewer = () => ({ id: userId, name: reviewerName });
+
+    const renderThreads = (anchor) => hasComments && (
+        <CommentThreads
+            threads={threads.filter((thread) => anchorKey(thread.anchor) === anchorKey(anchor))}
+            canResolve={isOwner}
+            ownerId={share.ownerId}
+            disabled={isSaving || !userId}
+            onStart={(text) => saveThread(null, () => createThread(anchor, reviewer(), text))}
+            onReply={(threadId, text) => saveThread(threadId, (thread) => addReply(thread, reviewer(), text))}
+            onResolve={(threadId, resolved) => saveThread(threadId, (thread) => setThreadResolved(thread, resolved))}
+        />
+    );
+
+    return (
+        <div className="animate-fade-in">
+            <div className="flex flex-wrap items-start justify-between gap-3 mb-6">
+                <div>
+                    <span className="px-2 py-0.5 rounded text-xs font-semibold bg-indigo-100 text-indigo-700">{t('review.badge')}</span>
+                    <h1 className="text-3xl font-extrabold text-indigo-700 mt-2">{preview?.appName || share.name}</h1>
+                    {preview?.tagline && <p className="text-lg text-gray-600 italic">{preview.tagline}</p>}
+                    <p className="text-sm text-gray-500 mt-1">{t('review.sharedOn', { date: new Date(share.createdAt).toLocaleString(locale) })}</p>
+                </div>
+                <button onClick={onExit} className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50">
+                    {t('review.exit')}
+                </button>
+            </div>
+
+            {hasComments ? (
+                <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <p className="text-sm text-gray-700 mb-2">
+                        {t(isOwner ? 'review.ownerIntro' : 'review.reviewerIntro')}
+                        {' '}
+                        {t('review.openThreads', { open: openCount, total: threads.length })}
+                    </p>
+                    <label className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                        {t('review.yourName')}
+                        <input
+                            type="text"
+                            value={reviewerName}
+                            onChange={(e) => onReviewerNameChange(e.target.value)}
+                            placeholder={t('review.namePlaceholder')}
+                            className="p-1 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    {threadsError && <p className="mt-2 text-sm text-red-700" role="alert">{t(threadsError.key, { message: threadsError.message })}</p>}
+                </div>
+            ) : (
+                <p className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700">{t('review.commentsOff')}</p>
+            )}
+
+            {preview?.description && <p className="text-gray-800 mb-2">{preview.description}</p>}
+            {preview?.targetAudience && (
+                <p className="text-gray-700 mb-6"><strong>{t('review.targetAudience')}</strong> {preview.targetAudience}</p>
+            )}
+
+            {anchors.some(({ type }) => type === 'feature') && (
+                <section className="mb-8">
+                    <h2 className="text-2xl font-semibold text-gray-700 mb-3">{t('review.keyFeatures')}</h2>
+                    <ul className="space-y-3">
+                        {anchors.filter(({ type }) => type === 'feature').map((anchor) => (
+                            <li key={anchorKey(anchor)} className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
+                                <p className="font-medium text-gray-800">{anchor.text}</p>
+                                {renderThreads(anchor)}
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            {anchors.some(({ type }) => type === 'section') && (
+                <section className="mb-8">
+                    <h2 className="text-2xl font-semibold text-gray-700 mb-3">{t('review.prompt')}</h2>
+                    <ul className="space-y-3">
+                        {anchors.filter(({ type }) => type === 'section').map((anchor) => (
+                            <li key={anchorKey(anchor)} className="p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
+                                <p className="text-xs uppercase tracking-wide text-gray-500 mb-1">{anchor.label}</p>
+                                <p className="text-sm text-gray-800 whitespace-pre-wrap" dir="auto">{anchor.text}</p>
+                                {renderThreads(anchor)}
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            <section>
+                <h2 className="text-2xl font-semibold text-gray-700 mb-1">{t('review.report')}</h2>
+                <p className="text-sm text-gray-500 mb-3">{t('review.reportHint')}</p>
+                {/* An empty sandbox keeps the report from running scripts or reaching this page */}
+                <iframe title={t('review.report')} srcDoc={reportHtml} sandbox="" className="w-full h-[36rem] rounded-lg border border-gray-200 bg-white" />
+            </section>
+        </div>
+    );
+};
+
+export default SharedSpecView;
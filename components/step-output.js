@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * Output of a custom pipeline step: plain text, or the fields of a JSON object.
+ * @param {object} props
+ * @param {'text'|'json'} props.output - Output kind of the step.
+ * @param {string|Object<string, string>} props.value - The output.
+ */
+const StepOutput = ({ output, value }) => (output === 'json' ? (
+    <dl className="space-y-2 text-sm">
+        {Object.entries(value).map(([field, text]) => (
+            <div key={field}>
+                <dt className="font-medium text-gray-600">{field}</dt>
+                <dd className="text-gray-800 whitespace-pre-wrap" dir="auto">{text}</dd>
+            </div>
+        ))}
+    </dl>
+) : (
+    <p className="text-sm text-gray-800 whitespace-pre-wrap" dir="auto">{value}</p>
+));
+
+export default StepOutput;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Small button shown next to an in-flight AI request to cancel it.
+ * @param {object} props
+ * @param {function(): void} props.onClick - Cancels the request.
+ * @param {string} [props.label] - Button text; defaults to "Stop" in the interface language.
+ * @param {string} [props.className] - Extra classes, e.g. spacing.
+ */
+const StopButton = ({ onClick, label, className = '' }) => {
+    const { t } = useTranslation();
+    return (
+        <button
+            onClick={onClick}
+            className={`py-2 px-4 rounded-lg text-sm font-semibold text-red-600 border border-red-300 bg-white hover:bg-red-50 transition duration-200 flex items-center justify-center ${className}`}
+        >
+            <span className="inline-block h-3 w-3 me-2 bg-red-500 rounded-sm" aria-hidden="true"></span>
+            {label || t('stop.default')}
+        </button>
+    );
+};
+
+export default StopButton;
@@ -0,0 +1,188 @@
+import React, { useState, useRef } from 'react';
+import { createId } from '../storage/projects.js';
+import { extractVariables, validateTemplate, RESERVED_VARIABLES, DEFAULT_PREVIEW_TEMPLATE } from '../templates.js';
+import { useTranslation } from '../i18n/index.js';
+
+const EMPTY_DRAFT = { id: '', name: '', description: '', enhancement: "User's simple idea: '{{idea}}'", preview: '' };
+
+/**
+ * Modal for managing user-defined prompt templates: create, edit, delete,
+ * customize a built-in preset, and import/export as JSON.
+ * @param {object} props
+ * @param {Array<object>} props.builtInTemplates - Presets shipped with the app (read-only).
+ * @param {Array<object>} props.userTemplates - User-defined templates.
+ * @param {function(Array<object>): void} props.onChange - Called with the updated user templates.
+ * @param {function(Array<object>): void} props.onExport - Downloads the given templates as JSON.
+ * @param {function(File): void} props.onImport - Imports templates from a JSON file.
+ * @param {function(): void} props.onClose - Closes the modal.
+ */
+const TemplateLibrary = ({ builtInTemplates, userTemplates, onChange, onExport, onImport, onClose }) => {
+    const { t } = useTranslation();
+    const [draft, setDraft] = useState(null); // Template being edited, or null
+    const [problems, setProblems] = useState([]); // Codes from validateTemplate
+    const fileInputRef = useRef(null);
+
+    const startEdit = (template) => {
+        setDraft({ ...EMPTY_DRAFT, ...template });
+        setProblems([]);
+    };
+
+    const startCustomize = (template) => {
+        startEdit({ ...template, id: '', name: t('templates.customName', { name: template.name }), builtIn: undefined });
+    };
+
+    const handleSaveDraft = () => {
+        const found = validateTemplate(draft);
+        if (found.length > 0) {
+            setProblems(found);
+            return;
+        }
+        const template = {
+            id: draft.id || createId(),
+            name: draft.name.trim(),
+            description: draft.description,
+            enhancement: draft.enhancement,
+            preview: draft.preview,
+            fields: draft.fields || {},
+        };
+        onChange(draft.id
+            ? userTemplates.map((existing) => (existing.id === draft.id ? template : existing))
+            : [...userTemplates, template]);
+        setDraft(null);
+    };
+
+    const handleDelete = (template) => {
+        if (window.confirm(t('templates.deleteConfirm', { name: template.name }))) {
+            onChange(userTemplates.filter((existing) => existing.id !== template.id));
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    const inputClassName = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:border-transparent';
+    const draftVariables = draft
+        ? extractVariables(`${draft.enhancement}\n${draft.preview}`).filter((v) => !RESERVED_VARIABLES.includes(v))
+        : [];
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose} aria-hidden="true"></div>
+            <div className="relative w-full max-w-3xl max-h-full overflow-y-auto bg-white rounded-xl shadow-2xl p-6 animate-fade-in">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-semibold text-indigo-700">{t('templates.heading')}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl leading-none" aria-label={t('templates.close')}>
+                        ×
+                    </button>
+                </div>
+
+                {draft ? (
+                    <div className="space-y-3">
+                        <label className="block">
+                            <span className="block text-sm font-medium text-gray-600 mb-1">{t('templates.name')}</span>
+                            <input className={inputClassName} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm font-medium text-gray-600 mb-1">{t('templates.description')}</span>
+                            <input className={inputClassName} value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm font-medium text-gray-600 mb-1">
+                                {t('templates.enhancement')} <span className="text-gray-400">{t('templates.enhancementHint')}</span>
+                            </span>
+                            <textarea
+                                className={`${inputClassName} font-mono text-sm min-h-[180px]`}
+                                value={draft.enhancement}
+                                onChange={(e) => setDraft({ ...draft, enhancement: e.target.value })}
+                            ></textarea>
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm font-medium text-gray-600 mb-1">
+                                {t('templates.preview')} <span className="text-gray-400">{t('templates.previewHint')}</span>
+                            </span>
+                            <textarea
+                                className={`${inputClassName} font-mono text-sm min-h-[120px]`}
+                                placeholder={DEFAULT_PREVIEW_TEMPLATE}
+                                value={draft.preview}
+                                onChange={(e) => setDraft({ ...draft, preview: e.target.value })}
+                            ></textarea>
+                        </label>
+                        <p className="text-sm text-gray-500">
+                            {t('templates.extraFields', { fields: draftVariables.length > 0 ? draftVariables.map((v) => `{{${v}}}`).join(', ') : t('templates.none') })}
+                            {' '}{t('templates.sectionsHint')}
+                        </p>
+                        {problems.length > 0 && (
+                            <ul className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-sm list-disc list-inside" role="alert">
+                                {problems.map((code) => <li key={code}>{t(`templates.problem.${code}`)}</li>)}
+                            </ul>
+                        )}
+                        <div className="flex gap-3 justify-end">
+                            <button onClick={() => setDraft(null)} className="py-2 px-4 rounded-lg font-semibold text-gray-600 border border-gray-300 hover:bg-gray-100">
+                                {t('templates.cancel')}
+                            </button>
+                            <button onClick={handleSaveDraft} className="py-2 px-4 rounded-lg font-bold bg-indigo-600 text-white hover:bg-indigo-700 shadow-md">
+                                {t('templates.save')}
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        <div className="flex flex-wrap gap-2 mb-4">
+                            <button onClick={() => startEdit(EMPTY_DRAFT)} className="py-2 px-4 rounded-lg font-bold bg-indigo-600 text-white hover:bg-indigo-700 shadow-md text-sm">
+                                {t('templates.new')}
+                            </button>
+                            <button
+                                onClick={() => onExport(userTemplates)}
+                                disabled={userTemplates.length === 0}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 disabled:opacity-50"
+                            >
+                                {t('templates.exportMine')}
+                            </button>
+                            <button
+                                onClick={() => fileInputRef.current.click()}
+                                className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50"
+                            >
+                                {t('templates.import')}
+                            </button>
+                            <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleFileChange} />
+                        </div>
+
+                        <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('templates.mine')}</h3>
+                        {userTemplates.length === 0 && <p className="text-sm text-gray-500 mb-4">{t('templates.empty')}</p>}
+                        <ul className="space-y-2 mb-6">
+                            {userTemplates.map((template) => (
+                                <li key={template.id} className="p-3 rounded-lg border border-gray-200 flex flex-wrap items-center gap-3">
+                                    <div className="flex-1 min-w-[200px]">
+                                        <p className="font-medium text-gray-800">{template.name}</p>
+                                        {template.description && <p className="text-sm text-gray-500">{template.description}</p>}
+                                    </div>
+                                    <button onClick={() => startEdit(template)} className="text-sm text-indigo-600 hover:underline">{t('templates.edit')}</button>
+                                    <button onClick={() => onExport([template])} className="text-sm text-indigo-600 hover:underline">{t('templates.export')}</button>
+                                    <button onClick={() => handleDelete(template)} className="text-sm text-red-600 hover:underline">{t('templates.delete')}</button>
+                                </li>
+                            ))}
+                        </ul>
+
+                        <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('templates.builtIn')}</h3>
+                        <ul className="space-y-2">
+                            {builtInTemplates.map((template) => (
+                                <li key={template.id} className="p-3 rounded-lg border border-gray-200 flex flex-wrap items-center gap-3">
+                                    <div className="flex-1 min-w-[200px]">
+                                        <p className="font-medium text-gray-800">{template.name}</p>
+                                        <p className="text-sm text-gray-500">{template.description}</p>
+                                    </div>
+                                    <button onClick={() => startCustomize(template)} className="text-sm text-indigo-600 hover:underline">{t('templates.customize')}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TemplateLibrary;
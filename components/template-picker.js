@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { getTemplateFields } from '../templates.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Template selection for the enhancement step: template dropdown, the template's
+ * extra fields, and a preview of the meta-prompt that will be sent.
+ * @param {object} props
+ * @param {Array<object>} props.templates - Built-in and user templates.
+ * @param {object} props.template - The selected template.
+ * @param {Object<string, string>} props.values - Current values of the extra fields.
+ * @param {string} props.renderedPrompt - The meta-prompt as it will be sent.
+ * @param {function(string): void} props.onTemplateChange - Called with the newly selected template id.
+ * @param {function(Object<string, string>): void} props.onValuesChange - Called with the updated field values.
+ * @param {function(): void} props.onManage - Opens the template library.
+ */
+const TemplatePicker = ({ templates, template, values, renderedPrompt, onTemplateChange, onValuesChange, onManage }) => {
+    const { t } = useTranslation();
+    const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+    const fields = getTemplateFields(template);
+    const builtInTemplates = templates.filter((option) => option.builtIn);
+    const userTemplates = templates.filter((option) => !option.builtIn);
+
+    return (
+        <div className="mt-4 p-4 bg-white rounded-lg border border-blue-200">
+            <div className="flex flex-wrap items-end gap-3">
+                <label className="block flex-1 min-w-[200px]">
+                    <span className="block text-sm font-medium text-gray-600 mb-1">{t('templates.picker')}</span>
+                    <select
+                        className="w-full p-2 border border-blue-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-400"
+                        value={template.id}
+                        onChange={(e) => onTemplateChange(e.target.value)}
+                    >
+                        <optgroup label={t('templates.builtInGroup')}>
+                            {builtInTemplates.map((option) => <option key={option.id} value={option.id}>{option.name}</option>)}
+                        </optgroup>
+                        {userTemplates.length > 0 && (
+                            <optgroup label={t('templates.mineGroup')}>
+                                {userTemplates.map((option) => <option key={option.id} value={option.id}>{option.name}</option>)}
+                            </optgroup>
+                        )}
+                    </select>
+                </label>
+                <button
+                    onClick={onManage}
+                    className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                >
+                    {t('templates.manage')}
+                </button>
+            </div>
+            {template.description && <p className="mt-2 text-sm text-gray-500">{template.description}</p>}
+
+            {fields.length > 0 && (
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {fields.map(({ key, label, placeholder }) => (
+                        <label key={key} className="block">
+                            <span className="block text-sm font-medium text-gray-600 mb-1">{label}</span>
+                            <input
+                                className="w-full p-2 border border-blue-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent"
+                                placeholder={placeholder || t('templates.optional')}
+                                value={values[key] || ''}
+                                onChange={(e) => onValuesChange({ ...values, [key]: e.target.value })}
+                            />
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <button
+                onClick={() => setIsPreviewOpen(!isPreviewOpen)}
+                className="mt-3 text-sm font-semibold text-indigo-600 hover:underline"
+            >
+                {t(isPreviewOpen ? 'templates.hideMetaPrompt' : 'templates.showMetaPrompt')}
+            </button>
+            {isPreviewOpen && (
+                <pre className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+                    {renderedPrompt}
+                </pre>
+            )}
+        </div>
+    );
+};
+
+export default TemplatePicker;
@@ -0,0 +1,165 @@
+import React, { useMemo } from 'react';
+import { summarizeUsage, formatCost, toLocalDay } from '../usage.js';
+import { useTranslation } from '../i18n/index.js';
+
+// Days shown in the per-day table
+const DAYS_SHOWN = 14;
+
+/**
+ * Table of usage totals, one row per group.
+ * @param {object} props
+ * @param {string} props.title - Table heading.
+ * @param {string} props.keyLabel - Heading of the group column.
+ * @param {Array<object>} props.rows - Output of summarizeUsage, with `label` added.
+ */
+const UsageTable = ({ title, keyLabel, rows }) => {
+    const { t, locale } = useTranslation();
+    return (
+        <div className="mb-6">
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">{title}</h3>
+            {rows.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('usage.noRequests')}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-start">
+                        <thead>
+                            <tr className="text-gray-500 border-b border-gray-200">
+                                <th className="py-1 pe-3 font-medium">{keyLabel}</th>
+                                <th className="py-1 pe-3 font-medium text-end">{t('usage.requests')}</th>
+                                <th className="py-1 pe-3 font-medium text-end">{t('usage.inputTokens')}</th>
+                                <th className="py-1 pe-3 font-medium text-end">{t('usage.outputTokens')}</th>
+                                <th className="py-1 font-medium text-end">{t('usage.cost')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row) => (
+                                <tr key={row.key} className="border-b border-gray-100">
+                                    <td className="py-1 pe-3 text-gray-800">{row.label}</td>
+                                    <td className="py-1 pe-3 text-end">{row.requests}</td>
+                                    <td className="py-1 pe-3 text-end">{row.promptTokens.toLocaleString(locale)}</td>
+                                    <td className="py-1 pe-3 text-end">{row.outputTokens.toLocaleString(locale)}</td>
+                                    <td className="py-1 text-end" title={row.unpriced > 0 ? t('usage.unpriced', { count: row.unpriced }) : undefined}>
+                                        {formatCost(row.cost)}{row.unpriced > 0 && '*'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Progress towards one budget limit.
+ * @param {object} props
+ * @param {string} props.label - What the limit applies to.
+ * @param {number} props.spent - USD spent.
+ * @param {number|null} props.limit - USD limit; null for none.
+ */
+const BudgetBar = ({ label, spent, limit }) => {
+    const { t } = useTranslation();
+    if (limit === null) {
+        return <p className="text-sm text-gray-600">{t('usage.spentNoLimit', { label, spent: formatCost(spent) })}</p>;
+    }
+    const ratio = limit > 0 ? Math.min(1, spent / limit) : 1;
+    return (
+        <div className="text-sm">
+            <p className="text-gray-600 mb-1">{t('usage.spentOfLimit', { label, spent: formatCost(spent), limit: formatCost(limit) })}</p>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-full ${ratio >= 1 ? 'bg-red-500' : ratio >= 0.8 ? 'bg-amber-400' : 'bg-green-500'}`} style={{ width: `${ratio * 100}%` }}></div>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Usage dashboard: tokens and estimated cost per day and per project, and progress
+ * against the budget limits.
+ * @param {object} props
+ * @param {Array<import('../usage.js').UsageRecord>} props.records - The usage log.
+ * @param {Array<{id: string, name: string}>} props.projects - Saved projects, for their names.
+ * @param {{daySpent: number, projectSpent: number}} props.budgetStatus - Current spending.
+ * @param {{dailyLimitUsd: number|null, projectLimitUsd: number|null, action: string}} props.budget - Budget settings.
+ * @param {boolean} props.hasProject - Whether a project is open.
+ * @param {function(): void} props.onClear - Clears the usage log.
+ * @param {function(): void} props.onClose - Hides the dashboard.
+ */
+const UsageDashboard = ({ records, projects, budgetStatus, budget, hasProject, onClear, onClose }) => {
+    const { t, locale } = useTranslation();
+    const today = toLocalDay(Date.now());
+
+    const dayRows = useMemo(() => summarizeUsage(records, (record) => record.day)
+        .sort((a, b) => b.key.localeCompare(a.key))
+        .slice(0, DAYS_SHOWN)
+        .map((row) => ({ ...row, label: row.key === today ? t('usage.dayToday', { day: row.key }) : row.key })), [records, today, t]);
+
+    // Batch runs get a row each, labeled with the time of their first request
+    const projectRows = useMemo(() => summarizeUsage(records, (record) => (record.batchId ? `batch:${record.batchId}` : record.projectId || ''))
+        .sort((a, b) => b.cost - a.cost)
+        .map((row) => {
+            if (row.key.startsWith('batch:')) {
+                const { createdAt } = records.find((record) => record.batchId === row.key.slice('batch:'.length));
+                return { ...row, label: t('usage.batchRun', { time: new Date(createdAt).toLocaleString(locale) }) };
+            }
+            return {
+                ...row,
+                label: row.key ? projects.find((p) => p.id === row.key)?.name || t('usage.deletedProject') : t('usage.unsavedSessions'),
+            };
+        }), [records, projects, t, locale]);
+
+    const [total] = summarizeUsage(records, () => 'all');
+    const hasEstimates = records.some((record) => record.estimated);
+
+    return (
+        <section className="mb-8 p-6 bg-gray-50 rounded-lg shadow-inner border border-gray-200 animate-fade-in">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-semibold text-gray-700">{t('usage.heading')}</h2>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label={t('usage.close')}>✕</button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <div className="p-4 bg-white rounded-lg border border-gray-200">
+                    <p className="text-sm text-gray-500">{t('usage.allTime')}</p>
+                    <p className="text-2xl font-bold text-gray-800">{formatCost(total ? total.cost : 0)}</p>
+                    <p className="text-xs text-gray-500">
+                        {total
+                            ? t('usage.totals', { requests: total.requests, tokens: (total.promptTokens + total.outputTokens).toLocaleString(locale) })
+                            : t('usage.noRequests')}
+                    </p>
+                </div>
+                <div className="p-4 bg-white rounded-lg border border-gray-200 md:col-span-2 space-y-3">
+                    <BudgetBar label={t('usage.today')} spent={budgetStatus.daySpent} limit={budget.dailyLimitUsd} />
+                    {hasProject && <BudgetBar label={t('usage.thisProject')} spent={budgetStatus.projectSpent} limit={budget.projectLimitUsd} />}
+                    <p className="text-xs text-gray-500">
+                        {t(budget.action === 'block' ? 'usage.blockHint' : 'usage.warnHint')}
+                        {' '}{t('usage.settingsHint')}
+                    </p>
+                </div>
+            </div>
+
+            <UsageTable title={t('usage.perDay', { days: DAYS_SHOWN })} keyLabel={t('usage.day')} rows={dayRows} />
+            <UsageTable title={t('usage.perProject')} keyLabel={t('usage.project')} rows={projectRows} />
+
+            <p className="text-xs text-gray-500 mb-4">
+                {t('usage.costNote')}
+                {hasEstimates && ` ${t('usage.estimatedNote')}`}
+            </p>
+
+            <div className="flex justify-end">
+                <button
+                    onClick={() => {
+                        if (window.confirm(t('usage.clearConfirm'))) onClear();
+                    }}
+                    disabled={records.length === 0}
+                    className="py-2 px-4 rounded-lg text-sm font-semibold text-red-600 border border-red-200 hover:bg-red-50 transition duration-200 disabled:opacity-50"
+                >
+                    {t('usage.clear')}
+                </button>
+            </div>
+        </section>
+    );
+};
+
+export default UsageDashboard;
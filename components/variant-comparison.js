@@ -0,0 +1,119 @@
+import React, { useState, useMemo } from 'react';
+import { getFraming, splitSections, mergeSections } from '../variants.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Side-by-side columns of prompt variants. A whole variant can be used as the customizable
+ * prompt, or sections can be ticked across variants and merged in the order they were ticked.
+ * @param {object} props
+ * @param {Array<import('../variants.js').PromptVariant>} props.variants - Variants to compare.
+ * @param {string[]} props.loadingIds - Ids of the variants still generating.
+ * @param {function(import('../variants.js').PromptVariant): void} props.onUse - Uses a variant as the prompt.
+ * @param {function(string): void} props.onMerge - Uses the merged text as the prompt.
+ * @param {function(): void} props.onDiscard - Removes all variants.
+ */
+const VariantComparison = ({ variants, loadingIds, onUse, onMerge, onDiscard }) => {
+    const { t } = useTranslation();
+    const [selection, setSelection] = useState([]); // [{ variantId, index }] in the order ticked
+    const isGenerating = loadingIds.length > 0;
+
+    // Sections are only split once a variant is complete, so selections don't shift while text streams in
+    const sectionsById = useMemo(() => Object.fromEntries(variants.map((variant) => [
+        variant.id,
+        loadingIds.includes(variant.id) ? [] : splitSections(variant.text),
+    ])), [variants, loadingIds]);
+
+    const selectedPosition = (variantId, index) => selection.findIndex((s) => s.variantId === variantId && s.index === index);
+
+    const toggleSection = (variantId, index) => {
+        const position = selectedPosition(variantId, index);
+        setSelection(position === -1
+            ? [...selection, { variantId, index }]
+            : selection.filter((_, i) => i !== position));
+    };
+
+    const handleMerge = () => {
+        const sections = selection
+            .map(({ variantId, index }) => sectionsById[variantId]?.[index])
+            .filter(Boolean);
+        onMerge(mergeSections(sections));
+        setSelection([]);
+    };
+
+    return (
+        <div>
+            <div className="overflow-x-auto">
+                <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${variants.length}, minmax(260px, 1fr))` }}>
+                    {variants.map((variant, variantIndex) => (
+                        <div key={variant.id} className="flex flex-col bg-white rounded-lg border border-green-200 p-3">
+                            <div className="mb-2">
+                                <p className="font-semibold text-green-700">
+                                    {String.fromCharCode(65 + variantIndex)}. {t(`variants.framing.${getFraming(variant.framingId).id}`)}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {t('variants.temperature', { temperature: variant.temperature ?? t('variants.defaultTemperature') })}
+                                    {loadingIds.includes(variant.id) && ` · ${t('variants.generating')}`}
+                                </p>
+                            </div>
+
+                            {loadingIds.includes(variant.id) ? (
+                                <p className="flex-1 whitespace-pre-wrap text-sm text-gray-700">{variant.text || '…'}</p>
+                            ) : (
+                                <div className="flex-1 space-y-2">
+                                    {sectionsById[variant.id].length === 0 && <p className="text-sm text-gray-500">{t('variants.noText')}</p>}
+                                    {sectionsById[variant.id].map((section, index) => {
+                                        const position = selectedPosition(variant.id, index);
+                                        return (
+                                            <label
+                                                key={index}
+                                                className={`block p-2 rounded border text-sm cursor-pointer ${position !== -1 ? 'border-green-500 bg-green-50' : 'border-gray-100 hover:border-green-300'}`}
+                                            >
+                                                <span className="flex items-center gap-2 font-medium text-gray-800">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={position !== -1}
+                                                        onChange={() => toggleSection(variant.id, index)}
+                                                    />
+                                                    {section.title}
+                                                    {position !== -1 && (
+                                                        <span className="ms-auto text-xs font-bold text-white bg-green-600 rounded-full w-5 h-5 flex items-center justify-center">
+                                                            {position + 1}
+                                                        </span>
+                                                    )}
+                                                </span>
+                                                <span className="block mt-1 whitespace-pre-wrap text-gray-600 max-h-40 overflow-y-auto">{section.text}</span>
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+                            )}
+
+                            <button
+                                onClick={() => onUse(variant)}
+                                disabled={loadingIds.includes(variant.id) || !variant.text.trim()}
+                                className="mt-3 py-2 px-4 rounded-lg text-sm font-semibold text-white bg-green-600 hover:bg-green-700 transition duration-200 disabled:opacity-50"
+                            >
+                                {t('variants.use')}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div className="mt-3 flex flex-wrap items-center justify-end gap-2">
+                <button
+                    onClick={handleMerge}
+                    disabled={selection.length === 0 || isGenerating}
+                    className="py-2 px-4 rounded-lg text-sm font-semibold text-green-700 border border-green-300 bg-white hover:bg-green-50 transition duration-200 disabled:opacity-50"
+                >
+                    {t('variants.merge', { count: selection.length })}
+                </button>
+                <button onClick={onDiscard} disabled={isGenerating} className="py-2 px-4 text-sm text-red-600 hover:underline disabled:opacity-50">
+                    {t('variants.discard')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default VariantComparison;
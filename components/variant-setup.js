@@ -0,0 +1,83 @@
+import React from 'react';
+import StopButton from './stop-button.js';
+import { VARIANT_FRAMINGS, MAX_VARIANTS } from '../variants.js';
+import { useTranslation } from '../i18n/index.js';
+
+/**
+ * Configures and starts a multi-variant enhancement: one row per variant with its framing
+ * and an optional temperature override.
+ * @param {object} props
+ * @param {Array<{framingId: string, temperature: number|null}>} props.setup - Variant rows.
+ * @param {function(Array<{framingId: string, temperature: number|null}>): void} props.onChange - Called with the edited rows.
+ * @param {function(): void} props.onGenerate - Generates all variants in parallel.
+ * @param {function(): void} props.onStop - Stops the variants still generating.
+ * @param {boolean} props.isGenerating - Whether variants are being generated.
+ * @param {boolean} props.disabled - Whether generation is unavailable (e.g. no idea yet).
+ */
+const VariantSetup = ({ setup, onChange, onGenerate, onStop, isGenerating, disabled }) => {
+    const { t } = useTranslation();
+    const updateRow = (index, changes) => onChange(setup.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+    const inputClassName = 'p-2 border border-blue-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent text-sm';
+
+    return (
+        <div className="mt-4 p-4 bg-white rounded-lg border border-blue-200">
+            <p className="text-sm text-gray-600 mb-3">
+                {t('variants.setupIntro')}
+            </p>
+            <div className="space-y-2">
+                {setup.map((row, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm font-semibold text-gray-500 w-6">{String.fromCharCode(65 + index)}</span>
+                        <select
+                            className={inputClassName}
+                            value={row.framingId}
+                            onChange={(e) => updateRow(index, { framingId: e.target.value })}
+                            aria-label={t('variants.framingOf', { number: index + 1 })}
+                        >
+                            {VARIANT_FRAMINGS.map((f) => <option key={f.id} value={f.id}>{t(`variants.framing.${f.id}`)}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            max="2"
+                            step="0.1"
+                            placeholder={t('variants.temperatureLabel')}
+                            className={`${inputClassName} w-32`}
+                            value={row.temperature ?? ''}
+                            onChange={(e) => updateRow(index, { temperature: e.target.value === '' ? null : Number(e.target.value) })}
+                            aria-label={t('variants.temperatureOf', { number: index + 1 })}
+                        />
+                        {setup.length > 2 && (
+                            <button onClick={() => onChange(setup.filter((_, i) => i !== index))} className="text-sm text-red-600 hover:underline">
+                                {t('variants.remove')}
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            <div className="mt-3 flex flex-wrap gap-2">
+                {setup.length < MAX_VARIANTS && (
+                    <button
+                        onClick={() => onChange([...setup, { framingId: 'balanced', temperature: null }])}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-indigo-600 border border-indigo-200 hover:bg-indigo-50 transition duration-200"
+                    >
+                        {t('variants.add')}
+                    </button>
+                )}
+                {isGenerating ? (
+                    <StopButton label={t('variants.stop')} onClick={onStop} />
+                ) : (
+                    <button
+                        onClick={onGenerate}
+                        disabled={disabled}
+                        className="py-2 px-4 rounded-lg text-sm font-semibold text-white bg-indigo-500 hover:bg-indigo-600 transition duration-200 disabled:opacity-50"
+                    >
+                        {t('variants.generate', { count: setup.length })}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VariantSetup;
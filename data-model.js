@@ -0,0 +1,175 @@
+/**
+ * Technical design step: entities with typed fields and relations, plus the core REST
+ * endpoints over them. Rendered as a Mermaid ER diagram and an OpenAPI document
+ * (see exporters/openapi.js).
+ */
+
+// Field types the model may use; each maps to an OpenAPI type/format
+export const FIELD_TYPES = ['string', 'text', 'integer', 'number', 'boolean', 'date', 'datetime', 'uuid', 'email', 'url', 'json'];
+export const FIELD_KEYS = ['PK', 'FK', 'UK', 'none'];
+export const RELATION_TYPES = ['one-to-one', 'one-to-many', 'many-to-many'];
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+// What an endpoint does with its entity; decides the request body and response shape
+export const OPERATIONS = ['list', 'get', 'create', 'update', 'delete', 'action'];
+
+/**
+ * @typedef {object} DataModel
+ * @property {Array<{name: string, description: string,
+ *   fields: Array<{name: string, type: string, key: string, required: boolean, description: string}>,
+ *   relations: Array<{target: string, type: string, label: string}>}>} entities
+ * @property {Array<{method: string, path: string, summary: string, entity: string, operation: string}>} endpoints
+ */
+
+/**
+ * Response schema for the data model step.
+ */
+export const DATA_MODEL_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        entities: {
+            type: 'ARRAY',
+            minItems: 1,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    description: { type: 'STRING' },
+                    fields: {
+                        type: 'ARRAY',
+                        minItems: 1,
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                name: { type: 'STRING' },
+                                type: { type: 'STRING', enum: FIELD_TYPES },
+                                key: { type: 'STRING', enum: FIELD_KEYS },
+                                required: { type: 'BOOLEAN' },
+                                description: { type: 'STRING' },
+                            },
+                            required: ['name', 'type', 'key', 'required', 'description'],
+                        },
+                    },
+                    relations: {
+                        type: 'ARRAY',
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                target: { type: 'STRING' },
+                                type: { type: 'STRING', enum: RELATION_TYPES },
+                                label: { type: 'STRING' },
+                            },
+                            required: ['target', 'type', 'label'],
+                        },
+                    },
+                },
+                required: ['name', 'description', 'fields', 'relations'],
+            },
+        },
+        endpoints: {
+            type: 'ARRAY',
+            minItems: 1,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    method: { type: 'STRING', enum: HTTP_METHODS },
+                    path: { type: 'STRING' },
+                    summary: { type: 'STRING' },
+                    entity: { type: 'STRING' },
+                    operation: { type: 'STRING', enum: OPERATIONS },
+                },
+                required: ['method', 'path', 'summary', 'entity', 'operation'],
+            },
+        },
+    },
+    required: ['entities', 'endpoints'],
+};
+
+/**
+ * Checks the references a schema can't express: entity names are unique identifiers,
+ * relations and endpoints point at entities that exist, and no endpoint is listed twice.
+ * @param {DataModel} model - Schema-valid data model.
+ * @returns {Array<{path: string, message: string}>} - Problems found; empty when consistent.
+ */
+export const checkDataModel = ({ entities, endpoints }) => {
+    const issues = [];
+    const names = new Set();
+    entities.forEach((entity, index) => {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(entity.name)) {
+            issues.push({ path: `$.entities[${index}].name`, message: 'must be an identifier (letters, digits and underscores, starting with a letter)' });
+        }
+        if (names.has(entity.name)) {
+            issues.push({ path: `$.entities[${index}].name`, message: `duplicates the entity "${entity.name}"` });
+        }
+        names.add(entity.name);
+    });
+    entities.forEach((entity, index) => {
+        entity.relations.forEach((relation, relationIndex) => {
+            if (!names.has(relation.target)) {
+                issues.push({ path: `$.entities[${index}].relations[${relationIndex}].target`, message: `refers to an unknown entity "${relation.target}"` });
+            }
+        });
+    });
+    const routes = new Set();
+    endpoints.forEach((endpoint, index) => {
+        if (!names.has(endpoint.entity)) {
+            issues.push({ path: `$.endpoints[${index}].entity`, message: `refers to an unknown entity "${endpoint.entity}"` });
+        }
+        const route = `${endpoint.method} ${endpoint.path}`;
+        if (routes.has(route)) {
+            issues.push({ path: `$.endpoints[${index}]`, message: `duplicates the endpoint ${route}` });
+        }
+        routes.add(route);
+    });
+    return issues;
+};
+
+// Mermaid erDiagram cardinality notation for each relation type (left side is the owning entity)
+const MERMAID_CARDINALITY = {
+    'one-to-one': '||--||',
+    'one-to-many': '||--o{',
+    'many-to-many': '}o--o{',
+};
+
+/**
+ * Mermaid only accepts plain identifiers for entity, attribute and type names.
+ * @param {string} name - Any name.
+ * @returns {string}
+ */
+const toMermaidName = (name) => name.replace(/[^A-Za-z0-9_-]/g, '_') || '_';
+
+/**
+ * Builds a Mermaid `erDiagram` from the entities.
+ * @param {DataModel['entities']} entities
+ * @returns {string} - Mermaid source.
+ */
+export const buildMermaidErd = (entities) => {
+    const lines = ['erDiagram'];
+    entities.forEach((entity) => {
+        lines.push(`    ${toMermaidName(entity.name)} {`);
+        entity.fields.forEach((field) => {
+            const key = field.key !== 'none' ? ` ${field.key}` : '';
+            const comment = field.description ? ` "${field.description.replace(/"/g, "'")}"` : '';
+            lines.push(`        ${toMermaidName(field.type)} ${toMermaidName(field.name)}${key}${comment}`);
+        });
+        lines.push('    }');
+    });
+    entities.forEach((entity) => {
+        entity.relations.forEach((relation) => {
+            const label = relation.label.replace(/"/g, "'") || 'has';
+            lines.push(`    ${toMermaidName(entity.name)} ${MERMAID_CARDINALITY[relation.type]} ${toMermaidName(relation.target)} : "${label}"`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Prompt for the data model and core endpoints.
+ * @param {object} preview - The app preview.
+ * @param {string} spec - The detailed requirements, i.e. the prompt.
+ * @returns {string}
+ */
+export const buildDataModelPrompt = (preview, spec) => `Design the data model and the core REST API for the following app. List the entities (PascalCase names) with their fields: name (camelCase), type, key (PK, FK, UK or none), whether it is required and a short description. Give every entity an id primary key and add a foreign key field for each relation it owns. Describe relations from the owning side, naming the target entity exactly and using a short verb as the label. Then list the core endpoints: HTTP method, path (starting with "/", path parameters written as {param}), a one-line summary, the entity it serves and the operation (list, get, create, update, delete or action).
+        App Description: ${preview.description}
+        Key Features: ${preview.keyFeatures ? preview.keyFeatures.join(', ') : 'Not provided'}
+        Detailed Requirements:
+        ${spec}`;
@@ -0,0 +1,134 @@
+/**
+ * Idea evaluation: a scorecard rating whether the previewed app is worth building, with a
+ * rationale per criterion. The overall score weighs the criteria with the user's weights
+ * from the settings, so it is computed when shown rather than stored.
+ */
+
+// Criteria in scorecard order. Every score is "higher is better", even for complexity and risk.
+export const EVALUATION_CRITERIA = [
+    { key: 'feasibility', label: 'Feasibility', scale: 'Can a small team build it with today\'s technology? 10 = clearly doable, 1 = barely possible.' },
+    { key: 'marketDemand', label: 'Market Demand', scale: 'How many people need it, and how badly? 10 = strong, proven demand, 1 = no evident demand.' },
+    { key: 'technicalComplexity', label: 'Technical Complexity', scale: 'How hard is it to build and operate? 10 = simple, 1 = very complex.' },
+    { key: 'timeToMvp', label: 'Time to MVP', scale: 'How soon could a first usable version ship? 10 = within weeks, 1 = well over a year.' },
+    { key: 'monetization', label: 'Monetization Strength', scale: 'How clearly will users or businesses pay for it? 10 = obvious willingness to pay, 1 = no revenue path.' },
+    { key: 'risk', label: 'Risk', scale: 'Legal, security, market and execution risk. 10 = low risk, 1 = very high risk.' },
+];
+
+const CRITERION_KEYS = EVALUATION_CRITERIA.map(({ key }) => key);
+
+// Score range of each criterion
+export const MIN_CRITERION_SCORE = 1;
+export const MAX_CRITERION_SCORE = 10;
+
+// Highest weight a criterion can get; 0 leaves it out of the overall score
+export const MAX_CRITERION_WEIGHT = 5;
+
+// Every criterion counts the same until the user changes the weights
+export const DEFAULT_EVALUATION_WEIGHTS = Object.fromEntries(CRITERION_KEYS.map((key) => [key, 1]));
+
+/**
+ * Response schema for the evaluation.
+ */
+export const EVALUATION_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        criteria: {
+            type: 'ARRAY',
+            minItems: EVALUATION_CRITERIA.length,
+            maxItems: EVALUATION_CRITERIA.length,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    criterion: { type: 'STRING', enum: CRITERION_KEYS },
+                    score: { type: 'INTEGER', minimum: MIN_CRITERION_SCORE, maximum: MAX_CRITERION_SCORE },
+                    rationale: { type: 'STRING' },
+                },
+                required: ['criterion', 'score', 'rationale'],
+            },
+        },
+        summary: { type: 'STRING' },
+    },
+    required: ['criteria', 'summary'],
+};
+
+/**
+ * Checks that every criterion is scored exactly once.
+ * @param {object} response - Schema-valid evaluation response.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export const checkEvaluation = ({ criteria }) => CRITERION_KEYS
+    .filter((key) => criteria.filter((c) => c.criterion === key).length !== 1)
+    .map((key) => ({ path: '$.criteria', message: `must score "${key}" exactly once` }));
+
+/**
+ * @typedef {object} Evaluation
+ * @property {Array<{criterion: string, score: number, rationale: string}>} criteria - One entry per
+ *   EVALUATION_CRITERIA key, in that order.
+ * @property {string} summary - Overall verdict.
+ * @property {number} evaluatedAt - When the evaluation was generated.
+ */
+
+/**
+ * Turns a validated evaluation response into the evaluation kept in the session.
+ * @param {object} response - Response matching EVALUATION_SCHEMA.
+ * @returns {Evaluation}
+ */
+export const createEvaluation = (response) => ({
+    criteria: CRITERION_KEYS.map((key) => response.criteria.find((c) => c.criterion === key)),
+    summary: response.summary,
+    evaluatedAt: Date.now(),
+});
+
+/**
+ * Weighted overall score of an evaluation.
+ * @param {Evaluation} evaluation
+ * @param {Object<string, number>} weights - Weight per criterion key (see DEFAULT_EVALUATION_WEIGHTS).
+ * @returns {number|null} - 0-100, or null if every weight is 0.
+ */
+export const computeEvaluationScore = (evaluation, weights) => {
+    let weighted = 0;
+    let totalWeight = 0;
+    evaluation.criteria.forEach(({ criterion, score }) => {
+        const weight = weights[criterion] ?? 0;
+        weighted += weight * (score - MIN_CRITERION_SCORE);
+        totalWeight += weight;
+    });
+    if (totalWeight === 0) return null;
+    return Math.round((weighted / (totalWeight * (MAX_CRITERION_SCORE - MIN_CRITERION_SCORE))) * 100);
+};
+
+/**
+ * @typedef {object} LeaderboardEntry
+ * @property {string} id - Project id.
+ * @property {string} name - Project name.
+ * @property {Evaluation} evaluation
+ * @property {number|null} score - Weighted score (see computeEvaluationScore).
+ * @property {number} rank - 1 for the best; ideas with the same score share a rank.
+ */
+
+/**
+ * Ranks evaluated ideas by their weighted score, best first.
+ * @param {Array<{id: string, name: string, evaluation: Evaluation}>} ideas - Evaluated ideas.
+ * @param {Object<string, number>} weights - Weight per criterion key.
+ * @returns {LeaderboardEntry[]}
+ */
+export const rankEvaluations = (ideas, weights) => {
+    const scored = ideas
+        .map((idea) => ({ ...idea, score: computeEvaluationScore(idea.evaluation, weights) }))
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.name.localeCompare(b.name));
+    return scored.map((entry) => ({ ...entry, rank: scored.findIndex((other) => other.score === entry.score) + 1 }));
+};
+
+/**
+ * Prompt for the evaluation of whether the app is worth building.
+ * @param {object} preview - The app preview.
+ * @param {string} stack - The tech stack in one line (see describeTechStack); may be empty.
+ * @returns {string}
+ */
+export const buildEvaluationPrompt = (preview, stack) => `Assess whether the following app is worth building. Score it from 1 to 10 on each of these criteria, where 10 is always the most favorable for building it, and give a rationale of one or two sentences per score that refers to this specific app. Be critical and use the whole scale rather than rating everything highly. Finish with a short summary verdict.
+${EVALUATION_CRITERIA.map(({ key, label, scale }) => `- ${key} (${label}): ${scale}`).join('\n')}
+App Name: ${preview.appName}
+App Description: ${preview.description}
+Key Features: ${preview.keyFeatures ? preview.keyFeatures.join(', ') : 'Not provided'}
+Target Audience: ${preview.targetAudience || 'Not specified'}
+Tech Stack: ${stack || 'Not chosen yet'}`;
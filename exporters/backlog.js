@@ -0,0 +1,98 @@
+import { formatUserStory } from '../backlog.js';
+
+/**
+ * Backlog exports: CSV for spreadsheets and issue trackers, and a JSON array of
+ * GitHub issue payloads (`{ title, body, labels }`, as accepted by the REST API's
+ * "create an issue" endpoint).
+ */
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ * @param {string} value - Field value.
+ * @returns {string}
+ */
+export const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV file with one row per story.
+ * @param {import('../backlog.js').Backlog} backlog
+ * @returns {string}
+ */
+export const buildBacklogCsv = ({ epics, stories }) => {
+    const epicTitles = Object.fromEntries(epics.map((epic) => [epic.id, epic.title]));
+    const header = ['Epic', 'Feature', 'Priority', 'As a', 'I want', 'So that', 'User Story', 'Acceptance Criteria'];
+    const rows = stories.map((story) => [
+        epicTitles[story.epicId] || '',
+        story.feature,
+        story.priority,
+        story.role,
+        story.goal,
+        story.benefit,
+        formatUserStory(story),
+        story.acceptanceCriteria,
+    ]);
+    return `${[header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Issue title for a story: its goal, capitalized.
+ * @param {import('../backlog.js').BacklogStory} story
+ * @returns {string}
+ */
+const storyTitle = (story) => {
+    const goal = story.goal.trim() || 'Untitled story';
+    return goal.charAt(0).toUpperCase() + goal.slice(1);
+};
+
+/**
+ * Builds GitHub issue payloads: one per epic (labelled `epic`, with a task list of its stories)
+ * followed by one per story (labelled with its priority and epic).
+ * @param {import('../backlog.js').Backlog} backlog
+ * @returns {string} - JSON array.
+ */
+export const buildGitHubIssues = ({ epics, stories }) => {
+    const epicIssues = epics.map((epic) => {
+        const epicStories = stories.filter((story) => story.epicId === epic.id);
+        return {
+            title: `Epic: ${epic.title}`,
+            body: [
+                epic.description,
+                '',
+                '### Stories',
+                '',
+                ...epicStories.map((story) => `- [ ] ${storyTitle(story)}`),
+            ].join('\n'),
+            labels: ['epic'],
+        };
+    });
+
+    const storyIssues = stories.map((story) => {
+        const epic = epics.find((e) => e.id === story.epicId);
+        return {
+            title: storyTitle(story),
+            body: [
+                `**${formatUserStory(story)}**`,
+                '',
+                ...(epic ? [`**Epic:** ${epic.title}`] : []),
+                ...(story.feature ? [`**Feature:** ${story.feature}`] : []),
+                `**Priority:** ${story.priority}`,
+                '',
+                '### Acceptance Criteria',
+                '',
+                '```gherkin',
+                story.acceptanceCriteria,
+                '```',
+            ].join('\n'),
+            labels: [
+                'user story',
+                `priority: ${story.priority.toLowerCase()}`,
+                ...(epic ? [`epic: ${epic.title}`.slice(0, 50)] : []), // GitHub caps label names at 50 characters
+            ],
+        };
+    });
+
+    return JSON.stringify([...epicIssues, ...storyIssues], null, 2);
+};
@@ -0,0 +1,50 @@
+import { csvField } from './backlog.js';
+import { formatTechValue, TECH_STACK_LABELS } from './markdown.js';
+
+/**
+ * Batch results: a CSV with one row per idea for spreadsheets, and JSON with every
+ * generated result for further processing.
+ */
+
+/**
+ * Builds a CSV file with one row per idea of a batch.
+ * @param {import('../batch.js').BatchRow[]} rows
+ * @returns {string}
+ */
+export const buildBatchCsv = (rows) => {
+    const header = [
+        'Label', 'Idea', 'Status', 'Error', 'App Name', 'Tagline', 'Description', 'Key Features', 'Target Audience',
+        'Suggested Names', 'Suggested Taglines', 'Monetization', ...Object.values(TECH_STACK_LABELS), 'Enhanced Prompt',
+    ];
+    const lines = rows.map(({ label, idea, status, error, results }) => {
+        const preview = results.appPreview || {};
+        const stack = results.techStackSuggestions || {};
+        return [
+            label,
+            idea,
+            status,
+            error,
+            preview.appName,
+            preview.tagline,
+            preview.description,
+            (preview.keyFeatures || []).join('\n'),
+            preview.targetAudience,
+            (results.appNamesSlogans?.names || []).join('\n'),
+            (results.appNamesSlogans?.taglines || []).join('\n'),
+            (results.monetizationStrategies || []).map((strategy) => `${strategy.name}: ${strategy.description}`).join('\n'),
+            ...Object.keys(TECH_STACK_LABELS).map((key) => (stack[key] ? formatTechValue(stack[key]) : '')),
+            results.enhancedPrompt,
+        ];
+    });
+    return `${[header, ...lines].map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Builds a JSON document with every idea of a batch and its results.
+ * @param {import('../batch.js').BatchRow[]} rows
+ * @returns {string}
+ */
+export const buildBatchJson = (rows) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    ideas: rows.map(({ label, idea, status, error, results }) => ({ label, idea, status, error, ...results })),
+}, null, 2);
@@ -0,0 +1,221 @@
+import { TECH_STACK_LABELS, formatTechValue } from './markdown.js';
+import { formatUserStory } from '../backlog.js';
+import { SWOT_QUADRANTS, MARKET_SIZE_LEVELS } from '../market-analysis.js';
+import { ROLES, SCENARIOS, schedulePlan } from '../project-plan.js';
+import { EVALUATION_CRITERIA, MAX_CRITERION_SCORE } from '../evaluation.js';
+import { REGULATIONS, STRIDE_CATEGORIES, SEVERITIES } from '../compliance.js';
+import { describeLanguageTag } from '../i18n/index.js';
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {string} text - Untrusted text (model output or user input).
+ * @returns {string}
+ */
+export const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const list = (items) => `<ul>${items.map((item) => `<li>${item}</li>`).join('')}</ul>`;
+
+// Print-oriented styles: A4 pages, no page breaks inside sections
+const REPORT_STYLES = `
+    @page { size: A4; margin: 20mm; }
+    body { font-family: 'Inter', -apple-system, 'Segoe UI', sans-serif; color: #1f2937; line-height: 1.55; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { color: #4338ca; margin-bottom: 0.25rem; }
+    h2 { color: #4338ca; border-bottom: 2px solid #e0e7ff; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .tagline { font-style: italic; color: #4b5563; margin-top: 0; }
+    .meta { color: #6b7280; font-size: 0.85rem; }
+    .prompt { white-space: pre-wrap; background: #f9fafb; border: 1px solid #e5e7eb; border-radius: 6px; padding: 1rem; font-size: 0.9rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #eef2ff; }
+    section { page-break-inside: avoid; }
+    @media print { body { margin: 0; max-width: none; } }
+`;
+
+/**
+ * Builds a standalone, print-ready HTML report of a session.
+ * Opened in a browser it can be printed or saved as PDF.
+ * @param {object} session - Session data (see EMPTY_SESSION).
+ * @param {string} name - Project name, used when there is no app name yet.
+ * @returns {string} - Complete HTML document.
+ */
+export const buildHtmlReport = (session, name) => {
+    const preview = session.appPreview || {};
+    const title = escapeHtml(preview.appName || name);
+    const sections = [];
+
+    if (preview.description) {
+        sections.push(`<section><h2>Overview</h2><p>${escapeHtml(preview.description)}</p></section>`);
+    }
+    if (preview.targetAudience) {
+        sections.push(`<section><h2>Target Audience</h2><p>${escapeHtml(preview.targetAudience)}</p></section>`);
+    }
+    if (preview.keyFeatures && preview.keyFeatures.length > 0) {
+        sections.push(`<section><h2>Key Features</h2>${list(preview.keyFeatures.map(escapeHtml))}</section>`);
+    }
+    if (session.simpleIdea) {
+        sections.push(`<section><h2>Original Idea</h2><p>${escapeHtml(session.simpleIdea)}</p></section>`);
+    }
+    if (session.customPrompt) {
+        sections.push(`<section><h2>Detailed Requirements</h2><div class="prompt">${escapeHtml(session.customPrompt)}</div></section>`);
+    }
+
+    const names = session.appNamesSlogans;
+    if (names) {
+        const parts = [];
+        if (names.names && names.names.length > 0) parts.push(`<h3>Name Options</h3>${list(names.names.map(escapeHtml))}`);
+        if (names.taglines && names.taglines.length > 0) parts.push(`<h3>Tagline Options</h3>${list(names.taglines.map((t) => `&ldquo;${escapeHtml(t)}&rdquo;`))}`);
+        (names.localized || []).forEach(({ market, names: localNames, taglines }) => {
+            const items = [...localNames.map(escapeHtml), ...taglines.map((t) => `&ldquo;${escapeHtml(t)}&rdquo;`)];
+            parts.push(`<h3>${escapeHtml(describeLanguageTag(market, 'en'))} (${escapeHtml(market)})</h3><div lang="${escapeHtml(market)}" dir="auto">${list(items)}</div>`);
+        });
+        sections.push(`<section><h2>Naming &amp; Branding</h2>${parts.join('')}</section>`);
+    }
+
+    if (session.monetizationStrategies && session.monetizationStrategies.length > 0) {
+        const items = session.monetizationStrategies.map((s) => `<strong>${escapeHtml(s.name)}:</strong> ${escapeHtml(s.description)}`);
+        sections.push(`<section><h2>Monetization</h2>${list(items)}</section>`);
+    }
+
+    const market = session.marketAnalysis;
+    if (market) {
+        const categories = market.categories.map((c) => `<strong>${escapeHtml(c.name)}:</strong> ${escapeHtml(c.description)}${c.examples.length > 0 ? ` (e.g. ${escapeHtml(c.examples.join(', '))})` : ''}`);
+        const swotCell = ({ key, label }) => `<td><strong>${label}</strong>${list(market.swot[key].map(escapeHtml))}</td>`;
+        const swot = `<table><tr>${SWOT_QUADRANTS.slice(0, 2).map(swotCell).join('')}</tr><tr>${SWOT_QUADRANTS.slice(2).map(swotCell).join('')}</tr></table>`;
+        const sizes = MARKET_SIZE_LEVELS.map(({ key, label }) => `<tr><th>${label}</th><td>${escapeHtml(market.marketSize[key].estimate)}</td><td>${escapeHtml(market.marketSize[key].reasoning)}</td></tr>`);
+        const personas = market.personas.map((p) => `<h4>${escapeHtml(p.name)}</h4><p>${escapeHtml(p.summary)}</p><p><strong>Goals:</strong></p>${list(p.goals.map(escapeHtml))}<p><strong>Pain points:</strong></p>${list(p.painPoints.map(escapeHtml))}`);
+        sections.push(`<section><h2>Market Analysis</h2><h3>Comparable Products</h3>${list(categories)}<h3>Differentiators</h3>${list(market.differentiators.map(escapeHtml))}<h3>SWOT</h3>${swot}<h3>Market Size</h3><table>${sizes.join('')}</table><h3>Personas</h3>${personas.join('')}</section>`);
+    }
+
+    const evaluation = session.evaluation;
+    if (evaluation) {
+        const rows = EVALUATION_CRITERIA.map(({ key, label }) => {
+            const { score, rationale } = evaluation.criteria.find((c) => c.criterion === key);
+            return `<tr><th>${label}</th><td>${score}/${MAX_CRITERION_SCORE}</td><td>${escapeHtml(rationale)}</td></tr>`;
+        });
+        sections.push(`<section><h2>Evaluation</h2><p>${escapeHtml(evaluation.summary)}</p><table>${rows.join('')}</table></section>`);
+    }
+
+    const compliance = session.complianceReview;
+    if (compliance) {
+        const label = (items, key) => items.find((item) => item.key === key).label;
+        const regulations = compliance.regulations.map(({ regulation, applies, reason }) => `<tr><th>${label(REGULATIONS, regulation)}</th><td>${applies ? 'Applies' : 'Does not apply'}</td><td>${escapeHtml(reason)}</td></tr>`);
+        const personalData = compliance.personalData.map(({ category, examples, sensitive, features }) => (
+            `<strong>${escapeHtml(category)}</strong>${sensitive ? ' (sensitive)' : ''}: ${escapeHtml(examples.join(', '))}${features.length > 0 ? ` <em>(${escapeHtml(features.join(', '))})</em>` : ''}`
+        ));
+        const threats = compliance.threats.map((t) => `<tr><td>${escapeHtml(t.feature)}</td><td>${label(STRIDE_CATEGORIES, t.category)}</td><td>${label(SEVERITIES, t.severity)}</td><td>${escapeHtml(t.threat)}</td><td>${escapeHtml(t.mitigation)}</td></tr>`);
+        const controls = compliance.controls.map((c) => {
+            const tags = [label(SEVERITIES, c.severity), ...c.regulations.map((key) => label(REGULATIONS, key))];
+            return `&#9744; <strong>${escapeHtml(c.control)}</strong> (${tags.join(', ')}): ${escapeHtml(c.description)}`;
+        });
+        const personalDataHtml = personalData.length > 0 ? list(personalData) : '<p>None identified.</p>';
+        sections.push(`<section><h2>Compliance Review</h2><p>${escapeHtml(compliance.summary)}</p><h3>Regulations</h3><table>${regulations.join('')}</table><h3>Personal Data</h3>${personalDataHtml}<h3>Threat Model (STRIDE)</h3><table><tr><th>Feature</th><th>Category</th><th>Severity</th><th>Threat</th><th>Mitigation</th></tr>${threats.join('')}</table><h3>Required Controls</h3>${list(controls)}</section>`);
+    }
+
+    const customSteps = session.customStepResults;
+    if (customSteps && customSteps.length > 0) {
+        const steps = customSteps.map(({ name, output, value }) => {
+            const body = output === 'json'
+                ? `<table>${Object.entries(value).map(([field, text]) => `<tr><th>${escapeHtml(field)}</th><td>${escapeHtml(text)}</td></tr>`).join('')}</table>`
+                : `<div class="prompt">${escapeHtml(value)}</div>`;
+            return `<h3>${escapeHtml(name)}</h3>${body}`;
+        });
+        sections.push(`<section><h2>Custom Steps</h2>${steps.join('')}</section>`);
+    }
+
+    const techStack = session.techStackSuggestions;
+    if (techStack) {
+        const rows = Object.entries(TECH_STACK_LABELS)
+            .filter(([key]) => techStack[key])
+            .map(([key, label]) => `<tr><th>${label}</th><td>${escapeHtml(formatTechValue(techStack[key]))}</td></tr>`);
+        if (rows.length > 0) {
+            sections.push(`<section><h2>Technical Stack</h2><table>${rows.join('')}</table></section>`);
+        }
+    }
+
+    const backlog = session.backlog;
+    if (backlog && backlog.stories.length > 0) {
+        const epics = backlog.epics.map((epic) => {
+            const rows = backlog.stories
+                .filter((story) => story.epicId === epic.id)
+                .map((story) => `<tr><td>${escapeHtml(story.priority)}</td><td>${escapeHtml(formatUserStory(story))}</td><td><div class="prompt">${escapeHtml(story.acceptanceCriteria)}</div></td></tr>`);
+            const description = epic.description ? `<p>${escapeHtml(epic.description)}</p>` : '';
+            return `<h3>${escapeHtml(epic.title)}</h3>${description}<table><tr><th>Priority</th><th>User Story</th><th>Acceptance Criteria</th></tr>${rows.join('')}</table>`;
+        });
+        sections.push(`<section><h2>Backlog</h2>${epics.join('')}</section>`);
+    }
+
+    const dataModel = session.dataModel;
+    if (dataModel) {
+        const entities = dataModel.entities.map((entity) => {
+            const fields = entity.fields.map((f) => `<tr><td><code>${escapeHtml(f.name)}</code></td><td>${escapeHtml(f.type)}</td><td>${f.key !== 'none' ? escapeHtml(f.key) : ''}</td><td>${escapeHtml(f.description)}</td></tr>`);
+            return `<h3>${escapeHtml(entity.name)}</h3><p>${escapeHtml(entity.description)}</p><table><tr><th>Field</th><th>Type</th><th>Key</th><th>Description</th></tr>${fields.join('')}</table>`;
+        });
+        const endpoints = dataModel.endpoints.map((e) => `<tr><td>${escapeHtml(e.method)}</td><td><code>${escapeHtml(e.path)}</code></td><td>${escapeHtml(e.summary)}</td></tr>`);
+        sections.push(`<section><h2>Data Model &amp; API</h2>${entities.join('')}<h3>Endpoints</h3><table><tr><th>Method</th><th>Path</th><th>Summary</th></tr>${endpoints.join('')}</table></section>`);
+    }
+
+    const plan = session.projectPlan;
+    if (plan && plan.tasks.length > 0) {
+        const schedule = schedulePlan(plan);
+        const taskNames = Object.fromEntries(plan.tasks.map((task) => [task.id, task.name]));
+        const scenario = SCENARIOS.find((s) => s.key === plan.scenario)?.label || plan.scenario;
+        const milestones = plan.milestones.map((milestone) => {
+            const rows = plan.tasks
+                .filter((task) => task.milestoneId === milestone.id)
+                .map((task) => {
+                    const scheduled = schedule.tasks[task.id];
+                    const role = ROLES.find((r) => r.key === task.role)?.label || task.role;
+                    const taskName = scheduled.critical ? `<strong>${escapeHtml(task.name)}</strong>` : escapeHtml(task.name);
+                    return `<tr><td>${taskName}</td><td>${escapeHtml(role)}</td><td>${task.optimistic} / ${task.likely} / ${task.pessimistic}</td><td>${scheduled.startDate}</td><td>${scheduled.endDate}</td></tr>`;
+                });
+            return `<h3>${escapeHtml(milestone.name)} (by ${schedule.milestones[milestone.id].endDate})</h3><p>${escapeHtml(milestone.description)}</p><table><tr><th>Task</th><th>Role</th><th>Days (opt. / likely / pess.)</th><th>Start</th><th>End</th></tr>${rows.join('')}</table>`;
+        });
+        const summary = `<p><strong>${schedule.totalDays} working days</strong> from ${plan.startDate} to ${schedule.endDate} (estimates: ${escapeHtml(scenario)}).</p>`;
+        const criticalPath = `<p><strong>Critical path:</strong> ${schedule.criticalPath.map((id) => escapeHtml(taskNames[id])).join(' &rarr; ')}</p>`;
+        sections.push(`<section><h2>Project Plan</h2>${summary}${criticalPath}${milestones.join('')}</section>`);
+    }
+
+    const scaffold = session.scaffold;
+    if (scaffold) {
+        const files = scaffold.files.map((file) => `<code>${escapeHtml(file.path)}</code> — ${escapeHtml(file.purpose)}`);
+        sections.push(`<section><h2>Code Scaffold</h2><p>Starter code for ${escapeHtml(scaffold.stack)}:</p>${list(files)}</section>`);
+    }
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title} — App Specification</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+${preview.tagline ? `<p class="tagline">&ldquo;${escapeHtml(preview.tagline)}&rdquo;</p>` : ''}
+<p class="meta">App specification generated ${escapeHtml(new Date().toLocaleDateString())} with AI App Prompt Enhancer.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+};
+
+/**
+ * Opens the report in a new window and shows the print dialog, from which it can be saved as PDF.
+ * @param {string} html - Output of buildHtmlReport.
+ * @returns {boolean} - False if the window could not be opened (e.g. blocked as a popup).
+ */
+export const printHtmlReport = (html) => {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) return false;
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.focus();
+    // Give the new window a moment to lay out (and load fonts) before printing
+    setTimeout(() => reportWindow.print(), 500);
+    return true;
+};
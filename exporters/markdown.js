@@ -0,0 +1,238 @@
+/**
+ * Markdown PRD (product requirements document) export.
+ */
+
+import { formatUserStory } from '../backlog.js';
+import { buildMermaidErd } from '../data-model.js';
+import { SWOT_QUADRANTS, MARKET_SIZE_LEVELS } from '../market-analysis.js';
+import { ROLES, SCENARIOS, schedulePlan } from '../project-plan.js';
+import { EVALUATION_CRITERIA, MAX_CRITERION_SCORE } from '../evaluation.js';
+import { REGULATIONS, STRIDE_CATEGORIES, SEVERITIES } from '../compliance.js';
+import { describeLanguageTag } from '../i18n/index.js';
+
+/**
+ * Renders a list of strings as Markdown bullets.
+ * @param {string[]} items - List items.
+ * @returns {string}
+ */
+const bulletList = (items) => items.map((item) => `- ${item}`).join('\n');
+
+/**
+ * Tech stack values may be a string or an array of strings.
+ * @param {string|string[]} value - Suggested technologies.
+ * @returns {string}
+ */
+export const formatTechValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Labels for the tech stack keys, in display order
+export const TECH_STACK_LABELS = {
+    frontend: 'Frontend',
+    backend: 'Backend',
+    database: 'Database',
+    mobile: 'Mobile Specific',
+};
+
+/**
+ * Describes a tech stack suggestion in one line, e.g. for prompts.
+ * @param {object|null} techStack - Tech stack suggestions.
+ * @returns {string} - e.g. "Frontend: React; Backend: Node.js", or '' without suggestions.
+ */
+export const describeTechStack = (techStack) => (techStack
+    ? Object.entries(TECH_STACK_LABELS)
+        .filter(([key]) => techStack[key])
+        .map(([key, label]) => `${label}: ${formatTechValue(techStack[key])}`)
+        .join('; ')
+    : '');
+
+/**
+ * Renders a backlog story as a bullet with its acceptance criteria in a nested Gherkin block.
+ * @param {import('../backlog.js').BacklogStory} story
+ * @returns {string}
+ */
+const backlogStory = (story) => {
+    const feature = story.feature ? ` _(${story.feature})_` : '';
+    const criteria = story.acceptanceCriteria.replace(/^/gm, '  ');
+    return `- **[${story.priority}]** ${formatUserStory(story)}${feature}\n\n  \`\`\`gherkin\n${criteria}\n  \`\`\``;
+};
+
+/**
+ * Builds a structured Markdown PRD from a session.
+ * Sections without data are left out and the remaining ones are numbered in order.
+ * @param {object} session - Session data (see EMPTY_SESSION).
+ * @param {string} name - Project name, used when there is no app name yet.
+ * @returns {string}
+ */
+export const buildMarkdownPrd = (session, name) => {
+    const preview = session.appPreview || {};
+    const sections = []; // { title, body }
+
+    if (preview.description) {
+        sections.push({ title: 'Overview', body: preview.description });
+    }
+    if (preview.targetAudience) {
+        sections.push({ title: 'Target Audience', body: preview.targetAudience });
+    }
+    if (preview.keyFeatures && preview.keyFeatures.length > 0) {
+        sections.push({ title: 'Key Features', body: bulletList(preview.keyFeatures) });
+    }
+    if (session.simpleIdea) {
+        sections.push({ title: 'Original Idea', body: session.simpleIdea });
+    }
+    if (session.customPrompt) {
+        sections.push({ title: 'Detailed Requirements', body: session.customPrompt });
+    }
+
+    const names = session.appNamesSlogans;
+    if (names) {
+        const parts = [];
+        if (names.names && names.names.length > 0) parts.push(`### Name Options\n\n${bulletList(names.names)}`);
+        if (names.taglines && names.taglines.length > 0) parts.push(`### Tagline Options\n\n${bulletList(names.taglines.map((t) => `"${t}"`))}`);
+        (names.localized || []).forEach(({ market, names: localNames, taglines }) => {
+            parts.push(`### ${describeLanguageTag(market, 'en')} (${market})\n\n${bulletList([...localNames, ...taglines.map((t) => `"${t}"`)])}`);
+        });
+        if (parts.length > 0) sections.push({ title: 'Naming & Branding', body: parts.join('\n\n') });
+    }
+
+    if (session.monetizationStrategies && session.monetizationStrategies.length > 0) {
+        sections.push({
+            title: 'Monetization',
+            body: bulletList(session.monetizationStrategies.map((s) => `**${s.name}:** ${s.description}`)),
+        });
+    }
+
+    const market = session.marketAnalysis;
+    if (market) {
+        const categories = market.categories.map((c) => `**${c.name}:** ${c.description}${c.examples.length > 0 ? ` (e.g. ${c.examples.join(', ')})` : ''}`);
+        const swot = SWOT_QUADRANTS.map(({ key, label }) => `**${label}**\n\n${bulletList(market.swot[key])}`);
+        const sizes = MARKET_SIZE_LEVELS.map(({ key, label }) => `**${label}: ${market.marketSize[key].estimate}** — ${market.marketSize[key].reasoning}`);
+        const personas = market.personas.map((p) => `#### ${p.name}\n\n${p.summary}\n\n**Goals:**\n\n${bulletList(p.goals)}\n\n**Pain points:**\n\n${bulletList(p.painPoints)}`);
+        sections.push({
+            title: 'Market Analysis',
+            body: [
+                `### Comparable Products\n\n${bulletList(categories)}`,
+                `### Differentiators\n\n${bulletList(market.differentiators)}`,
+                `### SWOT\n\n${swot.join('\n\n')}`,
+                `### Market Size\n\n${bulletList(sizes)}`,
+                `### Personas\n\n${personas.join('\n\n')}`,
+            ].join('\n\n'),
+        });
+    }
+
+    const evaluation = session.evaluation;
+    if (evaluation) {
+        const rows = EVALUATION_CRITERIA.map(({ key, label }) => {
+            const { score, rationale } = evaluation.criteria.find((c) => c.criterion === key);
+            return `| ${label} | ${score}/${MAX_CRITERION_SCORE} | ${rationale.replace(/\|/g, '\\|')} |`;
+        });
+        sections.push({
+            title: 'Evaluation',
+            body: `${evaluation.summary}\n\n| Criterion | Score | Rationale |\n| --- | --- | --- |\n${rows.join('\n')}`,
+        });
+    }
+
+    const compliance = session.complianceReview;
+    if (compliance) {
+        const label = (items, key) => items.find((item) => item.key === key).label;
+        const cell = (text) => text.replace(/\|/g, '\\|');
+        const regulations = compliance.regulations.map(({ regulation, applies, reason }) => `**${label(REGULATIONS, regulation)}:** ${applies ? 'Applies' : 'Does not apply'} — ${reason}`);
+        const personalData = compliance.personalData.map(({ category, examples, sensitive, features }) => (
+            `**${category}**${sensitive ? ' (sensitive)' : ''}: ${examples.join(', ')}${features.length > 0 ? ` _(${features.join(', ')})_` : ''}`
+        ));
+        const threats = compliance.threats.map((t) => `| ${cell(t.feature)} | ${label(STRIDE_CATEGORIES, t.category)} | ${label(SEVERITIES, t.severity)} | ${cell(t.threat)} | ${cell(t.mitigation)} |`);
+        const controls = compliance.controls.map((c) => {
+            const tags = [label(SEVERITIES, c.severity), ...c.regulations.map((key) => label(REGULATIONS, key))];
+            return `- [ ] **${c.control}** (${tags.join(', ')}): ${c.description}`;
+        });
+        sections.push({
+            title: 'Compliance Review',
+            body: [
+                compliance.summary,
+                `### Regulations\n\n${bulletList(regulations)}`,
+                `### Personal Data\n\n${personalData.length > 0 ? bulletList(personalData) : 'None identified.'}`,
+                `### Threat Model (STRIDE)\n\n| Feature | Category | Severity | Threat | Mitigation |\n| --- | --- | --- | --- | --- |\n${threats.join('\n')}`,
+                `### Required Controls\n\n${controls.join('\n')}`,
+            ].join('\n\n'),
+        });
+    }
+
+    const customSteps = session.customStepResults;
+    if (customSteps && customSteps.length > 0) {
+        const steps = customSteps.map(({ name, output, value }) => (
+            `### ${name}\n\n${output === 'json' ? bulletList(Object.entries(value).map(([field, text]) => `**${field}:** ${text}`)) : value}`
+        ));
+        sections.push({ title: 'Custom Steps', body: steps.join('\n\n') });
+    }
+
+    const techStack = session.techStackSuggestions;
+    if (techStack) {
+        const rows = Object.entries(TECH_STACK_LABELS)
+            .filter(([key]) => techStack[key])
+            .map(([key, label]) => `| ${label} | ${formatTechValue(techStack[key]).replace(/\|/g, '\\|')} |`);
+        if (rows.length > 0) {
+            sections.push({ title: 'Technical Stack', body: `| Layer | Technologies |\n| --- | --- |\n${rows.join('\n')}` });
+        }
+    }
+
+    const backlog = session.backlog;
+    if (backlog && backlog.stories.length > 0) {
+        const epics = backlog.epics.map((epic) => {
+            const stories = backlog.stories
+                .filter((story) => story.epicId === epic.id)
+                .map(backlogStory);
+            return [`### ${epic.title}`, ...(epic.description ? [epic.description] : []), ...stories].join('\n\n');
+        });
+        sections.push({ title: 'Backlog', body: epics.join('\n\n') });
+    }
+
+    const dataModel = session.dataModel;
+    if (dataModel) {
+        const endpoints = dataModel.endpoints
+            .map((e) => `| ${e.method} | \`${e.path}\` | ${e.summary.replace(/\|/g, '\\|')} |`);
+        sections.push({
+            title: 'Data Model & API',
+            body: `\`\`\`mermaid\n${buildMermaidErd(dataModel.entities)}\`\`\`\n\n### Endpoints\n\n| Method | Path | Summary |\n| --- | --- | --- |\n${endpoints.join('\n')}`,
+        });
+    }
+
+    const plan = session.projectPlan;
+    if (plan && plan.tasks.length > 0) {
+        const schedule = schedulePlan(plan);
+        const taskNames = Object.fromEntries(plan.tasks.map((task) => [task.id, task.name]));
+        const scenario = SCENARIOS.find((s) => s.key === plan.scenario)?.label || plan.scenario;
+        const milestones = plan.milestones.map((milestone) => {
+            const rows = plan.tasks
+                .filter((task) => task.milestoneId === milestone.id)
+                .map((task) => {
+                    const scheduled = schedule.tasks[task.id];
+                    const role = ROLES.find((r) => r.key === task.role)?.label || task.role;
+                    return `| ${scheduled.critical ? '**' : ''}${task.name.replace(/\|/g, '\\|')}${scheduled.critical ? '**' : ''} | ${role} | ${task.optimistic} / ${task.likely} / ${task.pessimistic} | ${scheduled.startDate} | ${scheduled.endDate} |`;
+                });
+            return `### ${milestone.name} (by ${schedule.milestones[milestone.id].endDate})\n\n${milestone.description}\n\n| Task | Role | Days (opt. / likely / pess.) | Start | End |\n| --- | --- | --- | --- | --- |\n${rows.join('\n')}`;
+        });
+        sections.push({
+            title: 'Project Plan',
+            body: [
+                `**${schedule.totalDays} working days** from ${plan.startDate} to ${schedule.endDate} (estimates: ${scenario}).`,
+                `**Critical path:** ${schedule.criticalPath.map((id) => taskNames[id]).join(' → ')}`,
+                ...milestones,
+            ].join('\n\n'),
+        });
+    }
+
+    const scaffold = session.scaffold;
+    if (scaffold) {
+        sections.push({
+            title: 'Code Scaffold',
+            body: `Starter code for ${scaffold.stack}:\n\n${bulletList(scaffold.files.map((file) => `\`${file.path}\` — ${file.purpose}`))}`,
+        });
+    }
+
+    const header = [
+        `# ${preview.appName || name} — Product Requirements Document`,
+        ...(preview.tagline ? [`> ${preview.tagline}`] : []),
+        `_Generated ${new Date().toLocaleDateString()} with AI App Prompt Enhancer._`,
+    ];
+    const body = sections.map(({ title, body: sectionBody }, index) => `## ${index + 1}. ${title}\n\n${sectionBody}`);
+
+    return `${[...header, ...body].join('\n\n')}\n`;
+};
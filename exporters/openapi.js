@@ -0,0 +1,234 @@
+/**
+ * OpenAPI 3.1 contract for the data model's endpoints, and a local validator for it.
+ * The document is only shown or downloaded once validateOpenApiDocument finds no problems.
+ */
+
+export const OPENAPI_VERSION = '3.1.0';
+
+// OpenAPI schema for each data model field type
+const FIELD_SCHEMAS = {
+    string: { type: 'string' },
+    text: { type: 'string' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    datetime: { type: 'string', format: 'date-time' },
+    uuid: { type: 'string', format: 'uuid' },
+    email: { type: 'string', format: 'email' },
+    url: { type: 'string', format: 'uri' },
+    json: {}, // Any JSON value
+};
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+// Path item keys that are not operations
+const PATH_ITEM_FIELDS = ['$ref', 'summary', 'description', 'servers', 'parameters'];
+const PARAMETER_LOCATIONS = ['query', 'header', 'path', 'cookie'];
+
+/**
+ * Names of the `{templated}` segments of a path.
+ * @param {string} path - Path template, e.g. '/projects/{projectId}/tasks'.
+ * @returns {string[]}
+ */
+const templateNames = (path) => [...path.matchAll(/\{([^}]*)\}/g)].map((match) => match[1]);
+
+/**
+ * Builds the responses of an operation from what it does.
+ * @param {string} operation - One of OPERATIONS (see data-model.js).
+ * @param {object} ref - `$ref` to the entity schema.
+ * @param {boolean} hasPathParams - Whether the path addresses a single resource.
+ * @returns {object}
+ */
+const buildResponses = (operation, ref, hasPathParams) => {
+    const json = (schema) => ({ 'application/json': { schema } });
+    const notFound = hasPathParams ? { 404: { description: 'Not found' } } : {};
+    switch (operation) {
+        case 'list':
+            return { 200: { description: 'OK', content: json({ type: 'array', items: ref }) }, ...notFound };
+        case 'get':
+            return { 200: { description: 'OK', content: json(ref) }, ...notFound };
+        case 'create':
+            return { 201: { description: 'Created', content: json(ref) }, 400: { description: 'Invalid input' }, ...notFound };
+        case 'update':
+            return { 200: { description: 'Updated', content: json(ref) }, 400: { description: 'Invalid input' }, ...notFound };
+        case 'delete':
+            return { 204: { description: 'Deleted' }, ...notFound };
+        default:
+            return { 200: { description: 'OK' }, ...notFound };
+    }
+};
+
+/**
+ * OpenAPI `info` for the app described by a preview.
+ * @param {object|null} preview - The app preview.
+ * @returns {{title: string, description: string}}
+ */
+export const getApiInfo = (preview) => ({ title: preview?.appName || 'App API', description: preview?.description || '' });
+
+/**
+ * Builds an OpenAPI 3.1 document from a data model.
+ * @param {import('../data-model.js').DataModel} model - Data model (already checked with checkDataModel).
+ * @param {object} info
+ * @param {string} info.title - API title, e.g. the app name.
+ * @param {string} [info.description] - API description.
+ * @returns {object} - OpenAPI document.
+ */
+export const buildOpenApiDocument = ({ entities, endpoints }, { title, description = '' }) => {
+    const schemas = Object.fromEntries(entities.map((entity) => [entity.name, {
+        type: 'object',
+        description: entity.description,
+        properties: Object.fromEntries(entity.fields.map((field) => [
+            field.name,
+            { ...FIELD_SCHEMAS[field.type], ...(field.description ? { description: field.description } : {}) },
+        ])),
+        required: entity.fields.filter((field) => field.required).map((field) => field.name),
+    }]));
+
+    const paths = {};
+    const operationIds = new Set();
+    endpoints.forEach((endpoint) => {
+        const method = endpoint.method.toLowerCase();
+        const ref = { $ref: `#/components/schemas/${endpoint.entity}` };
+        const params = templateNames(endpoint.path);
+
+        // e.g. listTask, getTask; numbered if the model listed two endpoints with the same purpose
+        const baseId = `${endpoint.operation}${endpoint.entity.charAt(0).toUpperCase()}${endpoint.entity.slice(1)}`;
+        let operationId = baseId;
+        for (let n = 2; operationIds.has(operationId); n++) operationId = `${baseId}${n}`;
+        operationIds.add(operationId);
+
+        paths[endpoint.path] = {
+            ...paths[endpoint.path],
+            [method]: {
+                operationId,
+                summary: endpoint.summary,
+                tags: [endpoint.entity],
+                ...(params.length > 0 ? {
+                    parameters: params.map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+                } : {}),
+                ...(endpoint.operation === 'create' || endpoint.operation === 'update' ? {
+                    requestBody: { required: true, content: { 'application/json': { schema: ref } } },
+                } : {}),
+                responses: buildResponses(endpoint.operation, ref, params.length > 0),
+            },
+        };
+    });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: { title, version: '0.1.0', ...(description ? { description } : {}) },
+        paths,
+        components: { schemas },
+    };
+};
+
+/**
+ * Resolves a local `$ref` ('#/components/schemas/Task') within the document.
+ * @param {object} doc - OpenAPI document.
+ * @param {string} ref - Reference string.
+ * @returns {boolean} - Whether the target exists.
+ */
+const resolvesLocally = (doc, ref) => ref.slice(2).split('/')
+    .map((part) => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' && part in node ? node[part] : undefined), doc) !== undefined;
+
+/**
+ * Validates the structure of an OpenAPI 3.1 document: required top-level fields, path
+ * templates and their parameters, operations and responses, unique operationIds and
+ * local `$ref`s. Covers what buildOpenApiDocument can get wrong from model input; it is
+ * not a complete implementation of the specification.
+ * @param {object} doc - OpenAPI document.
+ * @returns {Array<{path: string, message: string}>} - Problems found; empty when valid.
+ */
+export const validateOpenApiDocument = (doc) => {
+    const issues = [];
+    const add = (path, message) => issues.push({ path, message });
+
+    if (!/^3\.1\.\d+$/.test(String(doc.openapi))) add('$.openapi', `must be a 3.1.x version, got ${JSON.stringify(doc.openapi)}`);
+    if (!doc.info || typeof doc.info.title !== 'string' || !doc.info.title) add('$.info.title', 'is required');
+    if (!doc.info || typeof doc.info.version !== 'string' || !doc.info.version) add('$.info.version', 'is required');
+    if (!doc.paths || typeof doc.paths !== 'object') {
+        add('$.paths', 'is required');
+        return issues;
+    }
+
+    const seenTemplates = new Map(); // Path with parameter names blanked -> first path using it
+    const operationIds = new Set();
+    Object.entries(doc.paths).forEach(([path, pathItem]) => {
+        const at = `$.paths['${path}']`;
+        if (!path.startsWith('/')) add(at, 'must start with "/"');
+        if (path.includes('?')) add(at, 'must not contain a query string; use query parameters');
+        if (/\/:[^/]+/.test(path)) add(at, 'uses ":param" segments; path parameters are written as {param}');
+
+        const names = templateNames(path);
+        if (names.some((name) => !name)) add(at, 'has an empty {} path parameter');
+        if (new Set(names).size !== names.length) add(at, 'repeats a path parameter name');
+        const normalized = path.replace(/\{[^}]*\}/g, '{}');
+        if (seenTemplates.has(normalized)) add(at, `is the same template as '${seenTemplates.get(normalized)}'`);
+        else seenTemplates.set(normalized, path);
+
+        Object.keys(pathItem).forEach((key) => {
+            if (!OPERATION_METHODS.includes(key) && !PATH_ITEM_FIELDS.includes(key)) add(`${at}.${key}`, 'is not an HTTP method or path item field');
+        });
+
+        const pathLevelParams = pathItem.parameters || [];
+        OPERATION_METHODS.filter((method) => pathItem[method]).forEach((method) => {
+            const operation = pathItem[method];
+            const opAt = `${at}.${method}`;
+
+            if (operation.operationId) {
+                if (operationIds.has(operation.operationId)) add(`${opAt}.operationId`, `duplicates "${operation.operationId}"`);
+                operationIds.add(operation.operationId);
+            }
+
+            const params = [...pathLevelParams, ...(operation.parameters || [])];
+            params.forEach((param, index) => {
+                const paramAt = `${opAt}.parameters[${index}]`;
+                if (!param.name) add(paramAt, 'needs a name');
+                if (!PARAMETER_LOCATIONS.includes(param.in)) add(`${paramAt}.in`, `must be one of ${PARAMETER_LOCATIONS.join(', ')}`);
+                if (!param.schema && !param.content) add(paramAt, 'needs a schema or content');
+                if (param.in === 'path') {
+                    if (param.required !== true) add(`${paramAt}.required`, 'must be true for path parameters');
+                    if (!names.includes(param.name)) add(paramAt, `"${param.name}" does not appear in the path`);
+                }
+            });
+            names.filter((name) => name && !params.some((p) => p.in === 'path' && p.name === name)).forEach((name) => {
+                add(opAt, `is missing the path parameter "${name}"`);
+            });
+
+            if (operation.requestBody && !operation.requestBody.$ref
+                && Object.keys(operation.requestBody.content || {}).length === 0) {
+                add(`${opAt}.requestBody.content`, 'must list at least one media type');
+            }
+
+            const responses = Object.entries(operation.responses || {});
+            if (responses.length === 0) add(`${opAt}.responses`, 'must contain at least one response');
+            responses.forEach(([code, response]) => {
+                if (code !== 'default' && !/^[1-5](\d\d|XX)$/.test(code)) add(`${opAt}.responses.${code}`, 'is not a valid status code');
+                if (!response.$ref && typeof response.description !== 'string') add(`${opAt}.responses.${code}.description`, 'is required');
+            });
+        });
+    });
+
+    Object.keys(doc.components?.schemas || {}).forEach((name) => {
+        if (!/^[a-zA-Z0-9._-]+$/.test(name)) add(`$.components.schemas.${name}`, 'name may only contain letters, digits, ".", "-" and "_"');
+    });
+
+    // Every local $ref must point at something in the document
+    const visit = (node, at) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, index) => visit(child, `${at}[${index}]`));
+        } else if (node && typeof node === 'object') {
+            Object.entries(node).forEach(([key, value]) => {
+                if (key === '$ref' && typeof value === 'string' && value.startsWith('#/') && !resolvesLocally(doc, value)) {
+                    add(at, `$ref "${value}" does not resolve`);
+                } else {
+                    visit(value, `${at}.${key}`);
+                }
+            });
+        }
+    };
+    visit(doc, '$');
+
+    return issues;
+};
@@ -0,0 +1,147 @@
+import { csvField } from './backlog.js';
+import { ROLES, getTaskDuration } from '../project-plan.js';
+
+/**
+ * Project plan exports: CSV for spreadsheets and project tools, and an iCalendar file with
+ * an all-day event per task and per milestone (RFC 5545).
+ */
+
+/**
+ * Builds a CSV file with one row per task, in schedule order.
+ * @param {import('../project-plan.js').ProjectPlan} plan
+ * @param {ReturnType<typeof import('../project-plan.js').schedulePlan>} schedule - The plan's schedule.
+ * @returns {string}
+ */
+export const buildPlanCsv = (plan, schedule) => {
+    const milestoneNames = Object.fromEntries(plan.milestones.map((milestone) => [milestone.id, milestone.name]));
+    const taskNames = Object.fromEntries(plan.tasks.map((task) => [task.id, task.name]));
+    const header = ['Milestone', 'Task', 'Description', 'Role', 'Depends On', 'Optimistic (days)', 'Likely (days)',
+        'Pessimistic (days)', 'Expected (days)', 'Start', 'End', 'Slack (days)', 'Critical'];
+    const rows = [...plan.tasks]
+        .sort((a, b) => schedule.tasks[a.id].start - schedule.tasks[b.id].start)
+        .map((task) => {
+            const scheduled = schedule.tasks[task.id];
+            return [
+                milestoneNames[task.milestoneId] || '',
+                task.name,
+                task.description,
+                ROLES.find((role) => role.key === task.role)?.label || task.role,
+                task.dependsOn.map((id) => taskNames[id]).filter(Boolean).join('; '),
+                task.optimistic,
+                task.likely,
+                task.pessimistic,
+                getTaskDuration(task, 'expected'),
+                scheduled.startDate,
+                scheduled.endDate,
+                scheduled.slack,
+                scheduled.critical ? 'yes' : 'no',
+            ];
+        });
+    return `${[header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Escapes a TEXT property value.
+ * @param {string} text
+ * @returns {string}
+ */
+const icsText = (text) => String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line at 75 characters, continuing with a leading space. Counting characters
+ * rather than octets keeps multi-byte characters whole at the cost of the odd longer line.
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    for (let i = 0; i < line.length;) {
+        // Continuation lines lose one character to the leading space
+        const part = line.slice(i, i + (i === 0 ? 75 : 74));
+        parts.push(part);
+        i += part.length;
+    }
+    return parts.join('\r\n ');
+};
+
+/**
+ * Formats a YYYY-MM-DD date as an iCalendar DATE, optionally a number of calendar days later.
+ * @param {string} date
+ * @param {number} [days]
+ * @returns {string} - YYYYMMDD.
+ */
+const icsDate = (date, days = 0) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const result = new Date(Date.UTC(year, month - 1, day + days));
+    return result.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Builds an all-day event.
+ * @param {object} event
+ * @param {string} event.uid - Stable unique id.
+ * @param {string} event.stamp - Creation timestamp, UTC.
+ * @param {string} event.startDate - First day, YYYY-MM-DD.
+ * @param {string} event.endDate - Last day (inclusive), YYYY-MM-DD.
+ * @param {string} event.summary - Title.
+ * @param {string} event.description - Details.
+ * @param {string[]} event.categories - Category names.
+ * @returns {string[]} - Content lines.
+ */
+const buildEvent = ({ uid, stamp, startDate, endDate, summary, description, categories }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(startDate)}`,
+    `DTEND;VALUE=DATE:${icsDate(endDate, 1)}`, // DTEND is exclusive
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `CATEGORIES:${categories.map(icsText).join(',')}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+];
+
+/**
+ * Builds an iCalendar file with an event spanning each task and a one-day event on the
+ * last day of each milestone.
+ * @param {import('../project-plan.js').ProjectPlan} plan
+ * @param {ReturnType<typeof import('../project-plan.js').schedulePlan>} schedule - The plan's schedule.
+ * @param {string} projectName - Shown as the calendar name and in event titles.
+ * @returns {string}
+ */
+export const buildPlanICalendar = (plan, schedule, projectName) => {
+    const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+    const taskEvents = plan.tasks.map((task) => {
+        const scheduled = schedule.tasks[task.id];
+        const role = ROLES.find((r) => r.key === task.role)?.label || task.role;
+        return buildEvent({
+            uid: `${task.id}@ai-app-prompt-enhancer`,
+            stamp,
+            startDate: scheduled.startDate,
+            endDate: scheduled.endDate,
+            summary: `${scheduled.critical ? '★ ' : ''}${task.name}`,
+            description: `${task.description}\n\nRole: ${role}\nDuration: ${scheduled.duration} working days\nSlack: ${scheduled.slack} days${scheduled.critical ? '\nOn the critical path' : ''}`,
+            categories: [projectName, role],
+        });
+    });
+    const milestoneEvents = plan.milestones.map((milestone) => buildEvent({
+        uid: `${milestone.id}@ai-app-prompt-enhancer`,
+        stamp,
+        startDate: schedule.milestones[milestone.id].endDate,
+        endDate: schedule.milestones[milestone.id].endDate,
+        summary: `Milestone: ${milestone.name}`,
+        description: milestone.description,
+        categories: [projectName, 'Milestone'],
+    }));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AI App Prompt Enhancer//Project Plan//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${icsText(`${projectName} plan`)}`,
+        ...taskEvents.flat(),
+        ...milestoneEvents.flat(),
+        'END:VCALENDAR',
+    ];
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,82 @@
+import { ADD_ON_KEYS, normalizeSession } from '../session.js';
+
+// Identifies files written by this app, so unrelated JSON is rejected on import
+export const SPEC_FORMAT = 'ai-app-prompt-enhancer/spec';
+// Bump when the document layout changes, and teach parseSpecDocument to read the old layout
+export const SPEC_VERSION = 1;
+
+/**
+ * Builds the versioned JSON spec document for a session.
+ * @param {object} session - Session data (see EMPTY_SESSION).
+ * @param {string} name - Project name.
+ * @returns {object} - The document, ready for JSON.stringify.
+ */
+export const buildSpecDocument = (session, name) => ({
+    format: SPEC_FORMAT,
+    version: SPEC_VERSION,
+    exportedAt: new Date().toISOString(),
+    name,
+    idea: session.simpleIdea,
+    ideaAnalysis: session.ideaAnalysis,
+    clarifyingAnswers: session.clarifyingAnswers,
+    enhancedPrompt: session.enhancedPrompt,
+    customPrompt: session.customPrompt,
+    promptRevisions: session.promptRevisions,
+    appPreview: session.appPreview,
+    appPreviewRevisionId: session.appPreviewRevisionId,
+    addOns: Object.fromEntries(ADD_ON_KEYS.map((key) => [key, session[key]])),
+});
+
+/**
+ * Serializes a session as a pretty-printed spec document.
+ * @param {object} session - Session data.
+ * @param {string} name - Project name.
+ * @returns {string}
+ */
+export const exportSpecJson = (session, name) => JSON.stringify(buildSpecDocument(session, name), null, 2);
+
+/**
+ * Parses a spec document back into session data.
+ * @param {string} text - File contents.
+ * @param {string} [defaultName] - Project name for a document without one, in the interface language.
+ * @returns {{name: string, session: object}} - Project name and complete session data.
+ * @throws {Error} - If the text is not a spec document this version can read.
+ */
+export const parseSpecDocument = (text, defaultName = '') => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`The file is not valid JSON (${err.message}).`);
+    }
+
+    if (!doc || doc.format !== SPEC_FORMAT) {
+        throw new Error('The file is not an exported app spec.');
+    }
+    if (typeof doc.version !== 'number' || doc.version > SPEC_VERSION) {
+        throw new Error(`The spec was exported by a newer version of the app (format version ${doc.version}).`);
+    }
+    if (doc.appPreview !== null && doc.appPreview !== undefined && typeof doc.appPreview !== 'object') {
+        throw new Error('The spec has an invalid "appPreview" entry.');
+    }
+    ['idea', 'enhancedPrompt', 'customPrompt'].forEach((key) => {
+        if (doc[key] !== undefined && typeof doc[key] !== 'string') {
+            throw new Error(`The spec has an invalid "${key}" entry.`);
+        }
+    });
+
+    const session = normalizeSession({
+        simpleIdea: doc.idea,
+        ideaAnalysis: doc.ideaAnalysis && typeof doc.ideaAnalysis === 'object' ? doc.ideaAnalysis : null,
+        clarifyingAnswers: doc.clarifyingAnswers && typeof doc.clarifyingAnswers === 'object' ? doc.clarifyingAnswers : {},
+        enhancedPrompt: doc.enhancedPrompt,
+        customPrompt: doc.customPrompt,
+        isPromptEnhanced: Boolean(doc.customPrompt || doc.enhancedPrompt),
+        promptRevisions: Array.isArray(doc.promptRevisions) ? doc.promptRevisions : [],
+        appPreview: doc.appPreview,
+        appPreviewRevisionId: doc.appPreviewRevisionId,
+        ...Object.fromEntries(ADD_ON_KEYS.map((key) => [key, doc.addOns?.[key]])),
+    });
+
+    return { name: typeof doc.name === 'string' && doc.name ? doc.name : defaultName, session };
+};
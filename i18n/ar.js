@@ -0,0 +1,717 @@
+/**
+ * Arabic UI strings, shown right to left.
+ */
+const ar = {
+    'app.title': 'محسّن أوصاف التطبيقات بالذكاء الاصطناعي',
+    'app.subtitle': 'حوّل فكرة تطبيقك البسيطة إلى وصف واضح وشامل مع معاينة!',
+
+    'header.projects': 'المشاريع',
+    'header.settings': 'الإعدادات ({provider} · {model})',
+    'header.usage': 'الاستخدام ({cost} اليوم)',
+    'header.cache': 'الذاكرة المؤقتة',
+    'header.cacheOff': 'الذاكرة المؤقتة (متوقفة)',
+    'header.batch': 'الدفعة',
+    'header.batchRunning': 'الدفعة (قيد التشغيل…)',
+    'header.pipeline': 'خط المعالجة',
+    'header.pipelineRunning': 'خط المعالجة (قيد التشغيل…)',
+    'header.leaderboard': 'الترتيب',
+    'header.share': 'مشاركة للمراجعة',
+
+    'budget.reachedDaily': 'لقد بلغت ميزانيتك اليومية ({limit}).',
+    'budget.reachedProject': 'لقد بلغت ميزانية المشروع ({limit}).',
+    'budget.blocked': 'الطلبات الجديدة إلى الذكاء الاصطناعي محظورة حتى ترفع الحد.',
+    'budget.warned': 'ستضيف الطلبات التالية إلى التكلفة.',
+
+    'idea.heading': '1. فكرة تطبيقك',
+    'idea.placeholder': 'مثلاً: «تطبيق قائمة مهام مع تذكيرات» أو «تطبيق لمتابعة كمية الماء التي أشربها يومياً»',
+    'idea.analyze': 'تحليل جودة الفكرة',
+    'idea.reanalyze': 'إعادة تحليل الفكرة',
+    'idea.analyzing': 'جارٍ تحليل الفكرة...',
+
+    'enhance.button': 'تحسين الوصف',
+    'enhance.loading': 'جارٍ تحسين الوصف...',
+    'enhance.tokens': 'حوالي {tokens} رمز إدخال',
+    'enhance.cost': '{cost} قبل المخرجات',
+
+    'variants.open': 'مقارنة البدائل...',
+    'variants.close': 'إخفاء خيارات البدائل',
+    'variants.heading': 'بدائل الوصف',
+    'variants.stop': 'إيقاف البدائل',
+    'variants.intro': 'استخدم بديلاً كاملاً، أو حدّد أقساماً من عدة بدائل وادمجها بالترتيب الذي حددتها به.',
+
+    'prompt.heading': '2. الوصف المحسّن القابل للتعديل',
+    'prompt.intro': 'هذا هو الوصف المفصّل الذي أُنشئ من فكرتك. عدّله كما تشاء لتوضيح رؤيتك!',
+    'prompt.cached': 'هذا الوصف',
+    'prompt.saveRevision': 'حفظ النسخة',
+    'prompt.history': 'السجل ({count})',
+    'prompt.hideHistory': 'إخفاء السجل',
+    'prompt.historyHeading': 'سجل النسخ',
+
+    'refine.heading': 'التحسين عبر المحادثة',
+    'refine.intro': 'أعطِ تعليمات إضافية. تُعرض التغييرات المقترحة على الوصف كفروقات، ولا يتغير شيء حتى تقبلها.',
+    'refine.introWithPreview': 'أعطِ تعليمات إضافية. تُعرض التغييرات المقترحة على الوصف ومعاينة التطبيق كفروقات، ولا يتغير شيء حتى تقبلها.',
+
+    'preview.button': 'إنشاء معاينة التطبيق',
+    'preview.loading': 'جارٍ إنشاء المعاينة...',
+    'preview.heading': '3. معاينة التطبيق',
+    'preview.fromRevision': 'أُنشئت من نسخة الوصف رقم {number}',
+    'preview.keyFeatures': 'الميزات الرئيسية:',
+    'preview.targetAudience': 'الجمهور المستهدف:',
+    'preview.cached': 'هذه المعاينة',
+
+    'addOn.names': 'اقتراح أسماء وشعارات ✨',
+    'addOn.monetization': 'أفكار لتحقيق الدخل ✨',
+    'addOn.techStack': 'اقتراح التقنيات ✨',
+    'addOn.backlog': 'إنشاء قائمة المهام ✨',
+    'addOn.dataModel': 'تصميم نموذج البيانات والواجهة البرمجية ✨',
+    'addOn.mockup': 'إنشاء نموذج أولي ✨',
+    'addOn.market': 'تحليل السوق ✨',
+    'addOn.plan': 'تخطيط المشروع ✨',
+    'addOn.scaffold': 'إنشاء هيكل الشيفرة ✨',
+    'addOn.evaluate': 'تقييم الفكرة ✨',
+    'addOn.compliance': 'مراجعة الامتثال ✨',
+
+    'step.analyze': 'تحليل الفكرة',
+    'step.enhance': 'تحسين الوصف',
+    'step.preview': 'معاينة التطبيق',
+    'step.refine': 'التحسين عبر المحادثة',
+    'step.names': 'الأسماء والشعارات',
+    'step.monetization': 'تحقيق الدخل',
+    'step.techStack': 'التقنيات',
+    'step.backlog': 'قائمة المهام',
+    'step.dataModel': 'نموذج البيانات والواجهة البرمجية',
+    'step.mockup': 'النموذج الأولي للواجهة',
+    'step.market': 'تحليل السوق',
+    'step.plan': 'خطة المشروع',
+    'step.scaffold': 'هيكل الشيفرة',
+    'step.evaluate': 'التقييم',
+    'step.compliance': 'مراجعة الامتثال',
+    'step.custom': 'خطوات مخصّصة في خط المعالجة',
+
+    'names.heading': 'الأسماء والشعارات المقترحة:',
+    'names.names': 'الأسماء:',
+    'names.taglines': 'الشعارات:',
+    'names.forMarket': 'لسوق {market}',
+
+    'monetization.heading': 'استراتيجيات تحقيق الدخل:',
+
+    'techStack.heading': 'اقتراحات عامة للتقنيات:',
+    'techStack.frontend': 'الواجهة الأمامية:',
+    'techStack.backend': 'الخادم:',
+    'techStack.database': 'قاعدة البيانات:',
+    'techStack.mobile': 'خاص بالجوال:',
+    'techStack.empty': 'لا توجد اقتراحات محددة للتقنيات حالياً.',
+
+    'customSteps.heading': 'خطوات خط المعالجة المخصّصة:',
+
+    'evaluation.heading': 'تقييم الفكرة:',
+    'evaluation.overall': 'الدرجة الموزونة',
+    'evaluation.higherIsBetter': 'الدرجات من 10 والأعلى أفضل دائماً: 10 تعني سهولة البناء وسرعة الإطلاق وانخفاض المخاطر.',
+    'evaluation.ignored': 'بلا وزن',
+    'evaluation.adjustWeights': 'ضبط الأوزان',
+    'evaluation.hideWeights': 'إخفاء الأوزان',
+    'evaluation.weights': 'الأوزان',
+    'evaluation.weightsHint': 'مدى تأثير كل معيار في الدرجة الموزونة، من 0 (مُهمل) إلى {max}. تنطبق الأوزان على جميع الأفكار المُقيّمة.',
+    'evaluation.resetWeights': 'إعادة الأوزان المتساوية',
+    'criterion.feasibility': 'قابلية التنفيذ',
+    'criterion.feasibility.short': 'التنفيذ',
+    'criterion.marketDemand': 'الطلب في السوق',
+    'criterion.marketDemand.short': 'الطلب',
+    'criterion.technicalComplexity': 'التعقيد التقني',
+    'criterion.technicalComplexity.short': 'التعقيد',
+    'criterion.timeToMvp': 'الوقت حتى النسخة الأولى',
+    'criterion.timeToMvp.short': 'الوقت',
+    'criterion.monetization': 'قوة تحقيق الدخل',
+    'criterion.monetization.short': 'الدخل',
+    'criterion.risk': 'المخاطر',
+    'criterion.risk.short': 'المخاطر',
+    'leaderboard.heading': 'ترتيب الأفكار',
+    'leaderboard.close': 'إغلاق الترتيب',
+    'leaderboard.intro': 'أفكارك المُقيّمة مرتبة حسب الدرجة الموزونة. تُدرج المشاريع المحفوظة بآخر تقييم محفوظ لها.',
+    'leaderboard.empty': 'لا توجد أفكار مُقيّمة بعد. قيّم بعض الأفكار لترتيبها هنا.',
+    'leaderboard.rank': '#',
+    'leaderboard.idea': 'الفكرة',
+    'leaderboard.score': 'الدرجة',
+    'leaderboard.actions': 'الإجراءات',
+    'leaderboard.open': 'فتح',
+    'leaderboard.current': '(مفتوحة)',
+    'leaderboard.compare': 'مقارنة فكرتين',
+    'leaderboard.versus': 'مقابل',
+    'leaderboard.compareSlot': 'الفكرة {number} للمقارنة',
+    'compliance.heading': 'مراجعة الامتثال:',
+    'compliance.regulations': 'اللوائح',
+    'compliance.applies': 'تنطبق',
+    'compliance.notApplicable': 'لا تنطبق',
+    'compliance.personalData': 'البيانات الشخصية المعالجة',
+    'compliance.noPersonalData': 'لا يبدو أن التطبيق يعالج بيانات شخصية.',
+    'compliance.sensitive': 'حساسة',
+    'compliance.usedBy': 'تستخدمها: {features}',
+    'compliance.threatModel': 'نموذج التهديدات (STRIDE)',
+    'compliance.feature': 'الميزة الرئيسية',
+    'compliance.findings': 'النتائج والضوابط المطلوبة',
+    'compliance.findingsHint': 'اختر النتائج التي تريد إضافتها إلى الموجّه كمتطلبات. النتائج الحرجة والعالية غير الموجودة في الموجّه محددة مسبقًا.',
+    'compliance.control': 'ضابط',
+    'compliance.mitigation': 'التخفيف: {mitigation}',
+    'compliance.inPrompt': 'في الموجّه',
+    'compliance.addToPrompt': 'إضافة {count} إلى الموجّه كمتطلبات',
+    'compliance.selectSevere': 'تحديد الحرجة والعالية',
+    'compliance.selectAll': 'تحديد الكل',
+    'compliance.selectNone': 'إلغاء التحديد',
+    'severity.critical': 'حرجة',
+    'severity.high': 'عالية',
+    'severity.medium': 'متوسطة',
+    'severity.low': 'منخفضة',
+    'stride.spoofing': 'الانتحال',
+    'stride.spoofing.description': 'التظاهر بأنك مستخدم أو نظام آخر.',
+    'stride.tampering': 'العبث',
+    'stride.tampering.description': 'تعديل البيانات أو الشيفرة دون إذن.',
+    'stride.repudiation': 'الإنكار',
+    'stride.repudiation.description': 'إنكار إجراء لأنه لا يمكن تتبعه.',
+    'stride.informationDisclosure': 'كشف المعلومات',
+    'stride.informationDisclosure.description': 'كشف البيانات لمن لا يحق له رؤيتها.',
+    'stride.denialOfService': 'حجب الخدمة',
+    'stride.denialOfService.description': 'جعل التطبيق غير متاح أو متدهورًا.',
+    'stride.elevationOfPrivilege': 'رفع الصلاحيات',
+    'stride.elevationOfPrivilege.description': 'الحصول على صلاحيات لا ينبغي امتلاكها.',
+
+    'tips.heading': 'نصائح لأوصاف أفضل',
+    'dimension.specificity.label': 'كن محدداً',
+    'dimension.specificity.tip': 'بدلاً من «تطبيق تواصل اجتماعي» جرّب «تطبيق تواصل اجتماعي لمشاركة مقاطع الفيديو القصيرة».',
+    'dimension.audience.label': 'حدّد جمهورك',
+    'dimension.audience.tip': 'لمن هذا التطبيق؟ «الطلاب»، «أصحاب الأعمال الصغيرة»، «محبو اللياقة البدنية»؟',
+    'dimension.features.label': 'اذكر الميزات الرئيسية',
+    'dimension.features.tip': 'ما الوظائف التي لا غنى عنها؟ «تسجيل دخول المستخدمين»، «رفع الصور»، «محادثة فورية».',
+    'dimension.platform.label': 'فكّر في المنصة',
+    'dimension.platform.tip': 'هل هو للجوال فقط أم للويب فقط أم لكليهما؟ حدّد إن كان يجب أن يعمل على iOS/Android.',
+    'dimension.uiux.label': 'فكّر في تجربة المستخدم',
+    'dimension.uiux.tip': 'صف المظهر المطلوب. «تصميم بسيط»، «تنقل سهل»، «دعم الوضع الداكن».',
+    'dimension.constraints.label': 'أضف القيود والأهداف',
+    'dimension.constraints.tip': '«يجب أن يكون آمناً جداً»، «يجب أن يتسع لملايين المستخدمين»، «يحقق الدخل عبر الاشتراكات».',
+
+    'stop.default': 'إيقاف',
+    'stop.step': 'إيقاف: {step}',
+
+    'cache.loaded': '⚡ حُمّل «{label}» من الذاكرة المؤقتة.',
+    'cache.defaultLabel': 'هذه النتيجة',
+    'cache.regenerate': 'إعادة الإنشاء (دون الذاكرة المؤقتة)',
+
+    'batch.heading': 'وضع الدفعات',
+    'batch.close': 'إغلاق وضع الدفعات',
+    'batch.intro': 'ارفع قائمة CSV أو JSON تضم حتى {max} فكرة. تُحسَّن كل فكرة وتُعاين بالقالب المحدد، إضافة إلى الخطوات الإضافية التي تختارها. في ملفات CSV يُستخدم العمود الذي عنوانه «idea»، وإلا فالعمود الأول.',
+    'batch.upload': 'رفع ملف CSV أو JSON…',
+    'batch.concurrency': 'عدد الأفكار في آن واحد',
+    'batch.extras': 'إنشاء أيضاً',
+    'batch.start': 'بدء الدفعة',
+    'batch.stop': 'إيقاف الدفعة',
+    'batch.retry': 'إعادة محاولة الفاشلة ({count})',
+    'batch.downloadCsv': 'تنزيل CSV',
+    'batch.downloadJson': 'تنزيل JSON',
+    'batch.clear': 'مسح',
+    'batch.summary': '{done} مكتملة · {failed} فاشلة · {stopped} متوقفة · {pending} قيد الانتظار، من أصل {total}',
+    'batch.column.label': 'التسمية',
+    'batch.column.idea': 'الفكرة',
+    'batch.column.status': 'الحالة',
+    'batch.column.result': 'النتيجة',
+    'batch.column.actions': 'الإجراءات',
+    'batch.status.queued': 'في الانتظار',
+    'batch.status.running': 'قيد التشغيل',
+    'batch.status.waiting': 'حد الطلبات',
+    'batch.status.done': 'مكتملة',
+    'batch.status.failed': 'فاشلة',
+    'batch.status.stopped': 'متوقفة',
+    'batch.waitingUntil': 'إعادة المحاولة في {time}',
+    'batch.open': 'فتح كمشروع',
+    'batch.importError.invalidJson': 'الملف ليس JSON صالحًا ({message}).',
+    'batch.importError.notIdeaList': 'كان المتوقع مصفوفة JSON من الأفكار، أو كائنًا يحتوي على مصفوفة "ideas".',
+    'batch.importError.noIdeas': 'لا يحتوي الملف على أي أفكار.',
+    'batch.importError.tooManyIdeas': 'يحتوي الملف على {count} فكرة؛ ويمكن أن تضم الدفعة {max} فكرة على الأكثر.',
+
+    'share.heading': 'مشاركة للمراجعة',
+    'share.close': 'إغلاق المشاركة',
+    'share.intro': 'يرى المراجعون نسخة للقراءة فقط من المواصفات بحالتها الحالية، ويمكنهم التعليق على كل ميزة رئيسية وكل قسم من الموجّه. لا تُشارك التعديلات اللاحقة؛ أنشئ رابطًا جديدًا لها.',
+    'share.createInline': 'إنشاء رابط يتضمن المواصفات',
+    'share.inlineHint': 'تنتقل المواصفات داخل الرابط نفسه، لذا يعمل دون حساب. قد لا تتسع المواصفات الكبيرة جدًا.',
+    'share.createStored': 'إنشاء رابط محفوظ',
+    'share.storedHintRemote': 'تُحفظ المواصفات على الإنترنت ويكون الرابط قصيرًا.',
+    'share.storedHintLocal': 'لم يُضبط تخزين على الإنترنت، لذا تُحفظ المواصفات في هذا المتصفح ولا يُفتح الرابط إلا هنا.',
+    'share.commentsRemote': 'تُحفظ التعليقات على الإنترنت، فيراها كل من لديه الرابط.',
+    'share.commentsLocal': 'بدون تخزين عبر الإنترنت، تُحفظ التعليقات في هذا المتصفح، لذا لا تتضمن الروابط التي تحتوي على المواصفات تعليقات. اضبط Firebase لجمع تعليقات الآخرين.',
+    'share.nothingToShare': 'حسّن موجّهًا أو أنشئ معاينة للتطبيق لمشاركتها.',
+    'share.links': 'الروابط',
+    'share.mode.inline': 'مضمّن',
+    'share.mode.stored': 'محفوظ',
+    'share.url': 'رابط المراجعة',
+    'share.copied': 'تم النسخ',
+    'share.copy': 'نسخ',
+    'share.open': 'فتح',
+
+    'review.badge': 'مراجعة',
+    'review.loading': 'جارٍ تحميل المواصفات المشتركة…',
+    'review.loadFailed': 'تعذّر فتح المواصفات المشتركة: {message}',
+    'review.loadCommentsFailed': 'تعذّر تحميل التعليقات: {message}',
+    'review.saveFailed': 'تعذّر حفظ التعليق: {message}',
+    'review.exit': 'العودة إلى المحرر',
+    'review.sharedOn': 'شوركت في {date}',
+    'review.ownerIntro': 'أنت من شارك هذه المواصفات. علّم التعليقات كمحلولة بعد معالجتها.',
+    'review.reviewerIntro': 'اترك تعليقات على الميزات الرئيسية وأقسام الموجّه.',
+    'review.commentsOff': 'التعليقات معطّلة لهذا الرابط: بدون تخزين عبر الإنترنت ستُحفظ في متصفحك فقط، حيث لا يمكن للمؤلف رؤيتها.',
+    'review.openThreads': '{open} من {total} سلاسل مفتوحة.',
+    'review.yourName': 'اسمك',
+    'review.namePlaceholder': 'يظهر مع تعليقاتك',
+    'review.targetAudience': 'الجمهور المستهدف:',
+    'review.keyFeatures': 'الميزات الرئيسية',
+    'review.prompt': 'الموجّه',
+    'review.report': 'التقرير الكامل',
+    'review.reportHint': 'كل ما أُنشئ للمواصفات، بما في ذلك الإضافات.',
+    'review.addComment': 'إضافة تعليق',
+    'review.commentPlaceholder': 'ما الذي يجب تغييره، أو ما غير الواضح؟',
+    'review.post': 'نشر',
+    'review.replyPlaceholder': 'ردّ…',
+    'review.reply': 'ردّ',
+    'review.cancel': 'إلغاء',
+    'review.authorBadge': '(الكاتب)',
+    'review.anonymous': 'مراجع مجهول',
+    'review.resolved': 'محلول',
+    'review.resolve': 'حلّ',
+    'review.reopen': 'إعادة فتح',
+    'review.showReplies': 'عرض الردود ({count})',
+    'review.collapse': 'إخفاء الردود',
+
+    'pipeline.heading': 'خط معالجة التوليد',
+    'pipeline.close': 'إغلاق محرّر خط المعالجة',
+    'pipeline.intro': 'الخطوات من الفكرة إلى الإضافات، تُنفَّذ من الأعلى إلى الأسفل. أضف خطواتك الخاصة بقالب موجّه، وأعد ترتيبها، واختر أيّ ناتج سابق يملأ كل مُدخل.',
+    'pipeline.run': 'تشغيل خط المعالجة',
+    'pipeline.stop': 'إيقاف خط المعالجة',
+    'pipeline.export': 'تصدير JSON',
+    'pipeline.import': 'استيراد JSON',
+    'pipeline.reset': 'استعادة الافتراضي',
+    'pipeline.resetConfirm': 'هل تريد استبدال خط المعالجة هذا بالخطوات الافتراضية؟ ستُحذف الخطوات المخصّصة.',
+    'pipeline.invalid': 'أصلح المشكلات أدناه قبل تشغيل خط المعالجة.',
+    'pipeline.stepType': 'نوع الخطوة المراد إضافتها',
+    'pipeline.add.custom': 'خطوة مخصّصة فارغة',
+    'pipeline.preset.accessibilityAudit': 'تدقيق إمكانية الوصول',
+    'pipeline.preset.launchTweet': 'تغريدة الإطلاق',
+    'pipeline.addStep': 'إضافة خطوة',
+    'pipeline.builtIn': 'مدمجة',
+    'pipeline.status.queued': 'في الانتظار',
+    'pipeline.status.running': 'قيد التشغيل…',
+    'pipeline.status.done': 'تمّت',
+    'pipeline.status.failed': 'فشلت',
+    'pipeline.status.skipped': 'تم تخطّيها',
+    'pipeline.status.stopped': 'متوقفة',
+    'pipeline.moveUp': 'نقل الخطوة لأعلى',
+    'pipeline.moveDown': 'نقل الخطوة لأسفل',
+    'pipeline.remove': 'حذف الخطوة',
+    'pipeline.name': 'اسم الخطوة',
+    'pipeline.namePlaceholder': 'مثلًا: تدقيق إمكانية الوصول',
+    'pipeline.template': 'قالب الموجّه',
+    'pipeline.templateHint': 'اكتب {{name}} مكان كل قيمة؛ يصبح كل اسم مُدخلًا أدناه.',
+    'pipeline.output': 'الناتج',
+    'pipeline.output.text': 'نص',
+    'pipeline.output.json': 'حقول JSON',
+    'pipeline.fields': 'الحقول (مفصولة بفواصل)',
+    'pipeline.fieldsPlaceholder': 'مثلًا: tweet, linkedInPost',
+    'pipeline.inputs': 'المُدخلات',
+    'pipeline.noInputs': 'لا توجد مُدخلات لهذه الخطوة.',
+    'pipeline.notConnected': '— غير متصل —',
+    'pipeline.input.idea': 'الفكرة البسيطة',
+    'pipeline.input.prompt': 'الموجّه الحالي',
+    'pipeline.lastOutput': 'ناتج آخر تشغيل',
+    'pipeline.untitled': 'خطوة بلا اسم',
+    'pipeline.optional': '(اختياري)',
+    'pipeline.problem.nameRequired': 'الاسم مطلوب.',
+    'pipeline.problem.templateRequired': 'قالب الموجّه مطلوب.',
+    'pipeline.problem.fieldsRequired': 'يحتاج إخراج JSON إلى حقل واحد على الأقل.',
+    'pipeline.problem.invalidField': 'يمكن أن تحتوي أسماء الحقول على الأحرف والأرقام والشرطات السفلية فقط.',
+    'pipeline.problem.duplicateField': 'يجب أن تكون أسماء الحقول فريدة.',
+    'pipeline.problem.unknownType': 'نوع خطوة غير معروف "{type}".',
+    'pipeline.problem.notConnected': 'المُدخل "{input}" غير متصل.',
+    'pipeline.problem.laterStep': 'المُدخل "{input}" متصل بخطوة لاحقة؛ انقل تلك الخطوة فوق هذه الخطوة.',
+    'pipeline.problem.missingSource': 'المُدخل "{input}" متصل بخطوة لم تعد موجودة.',
+    'pipeline.problem.wrongKind': 'المُدخل "{input}" يحتاج إلى {kind}.',
+    'pipeline.kind.text': 'نص',
+    'pipeline.kind.json': 'حقول JSON',
+    'pipeline.kind.appPreview': 'معاينة للتطبيق',
+    'pipeline.kind.techStack': 'مجموعة تقنيات',
+    'pipeline.kind.dataModel': 'نموذج بيانات',
+    'pipeline.importError.invalidJson': 'الملف ليس JSON صالحًا ({message}).',
+    'pipeline.importError.notPipeline': 'الملف ليس تصديرًا لمسار إنشاء.',
+    'pipeline.importError.newerVersion': 'تم تصدير المسار بواسطة إصدار أحدث من التطبيق (إصدار التنسيق {version}).',
+    'pipeline.importError.noNodes': 'كان من المتوقع مسار يحتوي على مصفوفة "nodes".',
+    'pipeline.importError.tooManyNodes': 'يمكن أن يحتوي المسار على {max} خطوة كحد أقصى.',
+    'pipeline.importError.invalidId': 'تحتاج الخطوة {step} إلى معرّف فريد بدون نقاط أو نقطتين أو مسافات.',
+    'pipeline.importError.unknownType': 'الخطوة {step} من نوع غير معروف "{type}".',
+
+    'settings.heading': 'الإعدادات',
+    'settings.reset': 'استعادة الإعدادات الافتراضية',
+    'settings.cancel': 'إلغاء',
+    'settings.save': 'حفظ الإعدادات',
+    'settings.language': 'اللغة',
+    'settings.languageHint': 'لغة الواجهة تغيّر التطبيق نفسه فقط. يُكتب المحتوى المُنشأ بلغة المخرجات أياً كانت لغة الواجهة.',
+    'settings.uiLanguage': 'لغة الواجهة',
+    'settings.uiLanguageAuto': 'لغة المتصفح',
+    'settings.outputLanguage': 'لغة المخرجات',
+    'settings.markets': 'الأسواق المستهدفة',
+    'settings.marketsPlaceholder': 'مثلاً es-MX, de-DE, ja-JP',
+    'settings.marketsHint': 'رموز لغات مفصولة بفواصل. تُقترح أسماء وشعارات لكل سوق أيضاً.',
+    'settings.provider': 'مزود الذكاء الاصطناعي',
+    'settings.apiKey': 'مفتاح API',
+    'settings.apiKeyCanvas': 'اتركه فارغًا داخل Canvas',
+    'settings.apiKeyLocal': 'اختياري لمعظم الخوادم المحلية',
+    'settings.baseUrl': 'عنوان URL الأساسي',
+    'settings.structuredOutput': 'المخرجات المنظمة',
+    'settings.jsonSchema': 'مخطط JSON',
+    'settings.jsonMode': 'وضع JSON (المخطط داخل الموجّه)',
+    'settings.defaultModel': 'النموذج الافتراضي',
+    'settings.generation': 'معلمات التوليد',
+    'settings.temperature': 'درجة الحرارة',
+    'settings.topP': 'Top P',
+    'settings.maxOutputTokens': 'الحد الأقصى لرموز المخرجات',
+    'settings.modelDefault': 'افتراضي النموذج',
+    'settings.stepModels': 'نماذج لكل خطوة',
+    'settings.stepModelsHint': 'اترك الخطوة فارغة لاستخدام النموذج الافتراضي.',
+    'settings.stream': 'عرض الموجّه المحسّن أثناء توليده',
+    'settings.validation': 'التحقق من الاستجابات',
+    'settings.validationHint': 'تُفحص الاستجابات المنظمة وفق مخططها، وتُعاد غير الصالحة إلى النموذج مع الأخطاء لإصلاحها.',
+    'settings.maxRepairAttempts': 'الحد الأقصى لمحاولات الإصلاح',
+    'settings.backoff': 'مهلة الانتظار الأولية (مللي ثانية)',
+    'settings.cache': 'ذاكرة التخزين المؤقت للاستجابات',
+    'settings.cacheHint': 'تُجاب الطلبات المتطابقة (نفس الموجّه والنموذج والمعلمات والمخطط) من ذاكرة تخزين مؤقت في هذا المتصفح بدل استدعاء الذكاء الاصطناعي مجددًا. استخدم «{regenerate}» على نتيجة مخزنة للحصول على نتيجة جديدة.',
+    'settings.cacheEnabled': 'تخزين استجابات الذكاء الاصطناعي مؤقتًا',
+    'settings.cacheTtl': 'الاحتفاظ بالاستجابات لمدة (ساعات)',
+    'settings.cacheSize': 'الحجم الأقصى (ميغابايت)',
+    'settings.pricing': 'الأسعار والميزانية',
+    'settings.pricingHint': 'الأسعار بالدولار الأمريكي لكل مليون رمز، وتُستخدم لتقدير التكاليف في لوحة الاستخدام. النموذج الذي ليس له إدخال مطابق يستخدم أطول إدخال يبدأ به اسمه.',
+    'settings.localFree': 'الطلبات إلى هذه الخدمة المحلية مجانية.',
+    'settings.priceModel': 'النموذج',
+    'settings.unnamedModel': 'هذا النموذج',
+    'settings.inputPrice': 'سعر الإدخال لـ {model}',
+    'settings.outputPrice': 'سعر الإخراج لـ {model}',
+    'settings.inputPriceTitle': 'الإدخال، لكل مليون رمز',
+    'settings.outputPriceTitle': 'الإخراج، لكل مليون رمز',
+    'settings.removePrice': 'إزالة',
+    'settings.addPrice': '+ إضافة سعر',
+    'settings.dailyLimit': 'الحد اليومي (دولار أمريكي)',
+    'settings.projectLimit': 'الحد لكل مشروع (دولار أمريكي)',
+    'settings.noLimit': 'بلا حد',
+    'settings.limitAction': 'عند بلوغ الحد',
+    'settings.warnOnly': 'التنبيه فقط',
+    'settings.blockRequests': 'حظر الطلبات الإضافية',
+    'settings.sync': 'المزامنة السحابية',
+    'settings.syncHint': 'تُحفظ المشاريع دائمًا في هذا المتصفح. فعّل المزامنة لنسخها إلى Firestore.',
+    'settings.syncEmulatorOnly': 'لم يُقدَّم إعداد Firebase، لذا تعمل المزامنة مع محاكي Firestore محلي فقط.',
+    'settings.syncEnabled': 'مزامنة المشاريع مع Firestore',
+    'settings.emulatorHost': 'مضيف المحاكي',
+    'settings.emulatorHostPlaceholder': 'مثال: localhost:8080',
+    'settings.emulatorAuthUrl': 'عنوان URL لمحاكي المصادقة',
+    'settings.emulatorAuthUrlPlaceholder': 'اختياري، مثال: http://localhost:9099',
+    'settings.emulatorProjectId': 'معرّف مشروع المحاكي',
+
+    'cache.heading': 'ذاكرة الاستجابات المؤقتة',
+    'cache.close': 'إغلاق ذاكرة الاستجابات المؤقتة',
+    'cache.loading': 'جارٍ التحميل…',
+    'cache.summary': 'الاستجابات المخزنة: {count} · {size} من {max}',
+    'cache.loadFailed': 'تعذّرت قراءة الذاكرة المؤقتة: {message}',
+    'cache.dates': 'خُزّنت {cached} · تنتهي {expires}',
+    'cache.delete': 'حذف',
+    'cache.clear': 'مسح الذاكرة المؤقتة',
+    'cache.clearConfirm': 'هل تريد حذف جميع الاستجابات المخزنة؟',
+    'usage.heading': 'الاستخدام',
+    'usage.close': 'إغلاق لوحة الاستخدام',
+    'usage.noRequests': 'لا توجد طلبات بعد.',
+    'usage.requests': 'الطلبات',
+    'usage.inputTokens': 'رموز الإدخال',
+    'usage.outputTokens': 'رموز الإخراج',
+    'usage.cost': 'التكلفة',
+    'usage.unpriced': 'طلبات إلى نموذج بلا سعر: {count}',
+    'usage.spentNoLimit': '{label}: {spent} (بلا حد)',
+    'usage.spentOfLimit': '{label}: {spent} من {limit}',
+    'usage.dayToday': '{day} (اليوم)',
+    'usage.deletedProject': 'مشروع محذوف',
+    'usage.unsavedSessions': 'جلسات غير محفوظة',
+    'usage.batchRun': 'تشغيل دفعة بتاريخ {time}',
+    'usage.allTime': 'منذ البداية',
+    'usage.totals': 'الطلبات: {requests} · الرموز: {tokens}',
+    'usage.today': 'اليوم',
+    'usage.thisProject': 'هذا المشروع',
+    'usage.blockHint': 'تُرفض الطلبات عند بلوغ أحد الحدود.',
+    'usage.warnHint': 'يصلك تنبيه عند بلوغ أحد الحدود.',
+    'usage.settingsHint': 'تُضبط الحدود والأسعار في الإعدادات.',
+    'usage.perDay': 'حسب اليوم (آخر {days})',
+    'usage.day': 'اليوم',
+    'usage.perProject': 'حسب المشروع',
+    'usage.project': 'المشروع',
+    'usage.costNote': 'التكاليف تقديرية وفق جدول الأسعار. * يشمل طلبات إلى نماذج بلا سعر، محسوبة مجانية.',
+    'usage.estimatedNote': 'بعض أعداد الرموز تقديرية لأن الخادم لم يُبلغ عنها.',
+    'usage.clearConfirm': 'هل تريد مسح سجل الاستخدام بالكامل؟ ستبدأ مجاميع الميزانية من الصفر.',
+    'usage.clear': 'مسح السجل',
+
+    'projects.heading': 'المشاريع',
+    'projects.close': 'إغلاق المشاريع',
+    'projects.new': '+ مشروع جديد',
+    'projects.search': 'ابحث في المشاريع...',
+    'projects.empty': 'لا توجد مشاريع محفوظة بعد.',
+    'projects.noMatches': 'لا توجد مشاريع مطابقة.',
+    'projects.saving': 'جارٍ الحفظ…',
+    'projects.savedSynced': 'حُفظ وزُامن',
+    'projects.savedLocally': 'حُفظ محليًا',
+    'projects.saveFailed': 'فشل الحفظ',
+    'projects.rename': 'إعادة التسمية',
+    'projects.duplicate': 'تكرار',
+    'projects.delete': 'حذف',
+    'projects.deleteConfirm': 'هل تريد حذف "{name}"؟ لا يمكن التراجع عن ذلك.',
+    'projects.untitled': 'مشروع بلا عنوان',
+    'projects.copyName': '{name} (نسخة)',
+    'projects.imported': 'مشروع مستورد',
+    'backlog.heading': 'قائمة الميزات:',
+    'backlog.exportCsv': 'تصدير CSV',
+    'backlog.exportGithub': 'تصدير مشكلات GitHub (JSON)',
+    'backlog.newEpic': 'ملحمة جديدة',
+    'backlog.epicTitle': 'عنوان الملحمة',
+    'backlog.epicDescription': 'وصف الملحمة',
+    'backlog.deleteEpic': 'حذف الملحمة',
+    'backlog.deleteEpicConfirm': 'هل تريد حذف الملحمة "{title}" وقصصها ({count})؟',
+    'backlog.feature': 'الميزة',
+    'backlog.story': 'قصة المستخدم',
+    'backlog.acceptanceCriteria': 'معايير القبول',
+    'backlog.priority': 'الأولوية',
+    'backlog.epic': 'الملحمة',
+    'backlog.actions': 'الإجراءات',
+    'backlog.noFeature': '(لا شيء)',
+    'backlog.asA': 'بصفتي',
+    'backlog.iWant': 'أريد',
+    'backlog.soThat': 'حتى',
+    'backlog.gherkin': 'معايير القبول (Gherkin)',
+    'backlog.moveToEpic': 'نقل إلى ملحمة',
+    'backlog.deleteStory': 'حذف القصة',
+    'backlog.addStory': '+ إضافة قصة',
+    'backlog.addEpic': '+ إضافة ملحمة',
+    'dataModel.heading': 'نموذج البيانات وعقد الواجهة البرمجية:',
+    'dataModel.downloadErd': 'تنزيل مخطط ERD (.mmd)',
+    'dataModel.downloadOpenApi': 'تنزيل OpenAPI (.json)',
+    'dataModel.tab.entities': 'الكيانات',
+    'dataModel.tab.erd': 'مخطط الكيانات والعلاقات',
+    'dataModel.tab.openapi': 'OpenAPI 3.1',
+    'dataModel.field': 'الحقل',
+    'dataModel.type': 'النوع',
+    'dataModel.key': 'المفتاح',
+    'dataModel.required': 'مطلوب',
+    'dataModel.description': 'الوصف',
+    'dataModel.yes': 'نعم',
+    'dataModel.no': 'لا',
+    'dataModel.relations': 'العلاقات:',
+    'dataModel.openApiValid': '✓ مستند OpenAPI {version} صالح. المسارات: {count}.',
+    'dataModel.openApiInvalid': 'عقد الواجهة البرمجية المُولَّد ليس OpenAPI 3.1 صالحًا، لذا لا يُعرض:',
+    'export.menu': '⇅ تصدير / استيراد',
+    'export.markdown': 'مستند PRD بصيغة Markdown (.md)',
+    'export.json': 'مواصفة JSON (.json)',
+    'export.html': 'تقرير HTML (.html)',
+    'export.pdf': 'طباعة / حفظ كملف PDF',
+    'export.import': 'استيراد مواصفة JSON…',
+    'analysis.heading': 'جودة الفكرة',
+    'analysis.stale': 'تغيّرت فكرتك منذ هذا التحليل. حلّلها مجددًا للحصول على درجات محدّثة.',
+    'analysis.missingBadge': '(ناقص)',
+    'analysis.missing': 'ناقص:',
+    'analysis.reviewAnswers': 'مراجعة الإجابات',
+    'analysis.answerQuestions': 'الإجابة عن الأسئلة التوضيحية ({count})',
+    'analysis.answered': 'تمت الإجابة: {count}. ستُضمَّن عند التحسين.',
+    'analysis.clearAnswers': 'مسح الإجابات',
+    'analysis.questionOf': 'السؤال {index} من {count} · {dimension}',
+    'analysis.back': 'رجوع',
+    'analysis.close': 'إغلاق',
+    'analysis.enhance': 'التحسين بالإجابات',
+    'analysis.next': 'التالي',
+    'analysis.skip': 'تخطٍّ',
+    'market.heading': 'تحليل السوق:',
+    'market.comparables': 'منتجات مشابهة:',
+    'market.examples': '(مثل {examples})',
+    'market.differentiators': 'عوامل التميّز:',
+    'market.swot': 'تحليل SWOT:',
+    'market.swot.strengths': 'نقاط القوة',
+    'market.swot.weaknesses': 'نقاط الضعف',
+    'market.swot.opportunities': 'الفرص',
+    'market.swot.threats': 'التهديدات',
+    'market.size': 'حجم السوق (تقريبي):',
+    'market.size.tam': 'إجمالي السوق المتاح',
+    'market.size.sam': 'السوق القابل للخدمة',
+    'market.size.som': 'السوق القابل للحصول عليه',
+    'market.personas': 'الشخصيات:',
+    'market.goals': 'الأهداف',
+    'market.painPoints': 'نقاط الألم',
+    'diagram.renderFailed': 'تعذّر عرض المخطط ({message}). مصدر Mermaid:',
+    'diagram.rendering': 'جارٍ عرض المخطط...',
+
+    'mockup.heading': 'نموذج تفاعلي:',
+    'mockup.deviceSize': 'حجم الجهاز',
+    'mockup.device.phone': '📱 هاتف',
+    'mockup.device.tablet': 'جهاز لوحي',
+    'mockup.device.desktop': '🖥 حاسوب مكتبي',
+    'mockup.frameTitle': 'النموذج: {name}',
+    'mockup.instructions': 'تعليمات اختيارية لـ "{name}"، مثل "أضف شريط بحث" أو "استخدم سمة داكنة"',
+    'mockup.stopRegenerating': 'إيقاف إعادة التوليد',
+    'mockup.regenerate': 'إعادة توليد هذه الشاشة',
+    'plan.heading': 'خطة المشروع:',
+    'plan.exportCsv': 'تصدير CSV',
+    'plan.exportCalendar': 'تصدير التقويم (.ics)',
+    'plan.startDate': 'تاريخ البدء',
+    'plan.estimates': 'التقديرات',
+    'plan.scenario.optimistic': 'متفائل',
+    'plan.scenario.likely': 'الأرجح',
+    'plan.scenario.pessimistic': 'متشائم',
+    'plan.scenario.expected': 'المتوقع (PERT)',
+    'plan.duration': 'أيام العمل: {days}، تنتهي في {end}',
+    'plan.durationSpread': 'أيام العمل: {days} (± {spread})، تنتهي في {end}',
+    'plan.criticalPath': 'المسار الحرج:',
+    'plan.role.frontend': 'الواجهة الأمامية',
+    'plan.role.backend': 'الواجهة الخلفية',
+    'plan.role.design': 'التصميم',
+    'plan.role.qa': 'ضمان الجودة',
+    'plan.roleDays': '{role}: {days} أيام',
+    'plan.task': 'المهمة',
+    'plan.week': 'الأسبوع {week}',
+    'plan.slack': 'الفائض: {days} أيام',
+    'plan.bar': '{name} · {role} · {start} – {end} ({days} أيام، فائض {slack} أيام)',
+    'plan.barCritical': '{name} · {role} · {start} – {end} ({days} أيام، حرجة)',
+    'plan.select': 'تحديد {name}',
+    'plan.legend': 'تُلوَّن الأشرطة حسب الدور؛ تشير الحدود الحمراء إلى المسار الحرج والخطوط المتقطعة إلى الفائض. تُستثنى عطلات نهاية الأسبوع.',
+    'plan.closeDetails': 'إغلاق تفاصيل المهمة',
+    'plan.roleLabel': 'الدور',
+    'plan.estimateDays': '{scenario} (أيام)',
+    'plan.estimateOrder': 'عادةً ما تكون التقديرات: المتفائل ≤ الأرجح ≤ المتشائم.',
+    'plan.scheduled': 'مجدولة:',
+    'plan.scheduledSlack': '{start} – {end} (فائض {slack} أيام)',
+    'plan.scheduledCritical': '{start} – {end} (المسار الحرج)',
+    'plan.dependsOn': 'تعتمد على:',
+    'plan.nothing': 'لا شيء',
+    'plan.unknownTask': 'مهمة غير معروفة',
+    'history.source.ai': 'تحسين بالذكاء الاصطناعي',
+    'history.source.manual': 'حفظ يدوي',
+    'history.source.restore': 'مُستعادة',
+    'history.source.preview': 'محفوظة للمعاينة',
+    'history.source.variant': 'متغير',
+    'history.source.merge': 'متغيرات مدمجة',
+    'history.source.refine': 'تحسين عبر المحادثة',
+    'history.source.compliance': 'متطلبات الامتثال',
+    'history.source.pipeline': 'تشغيل خط المعالجة',
+    'history.current': 'الحالي (غير محفوظ)',
+    'history.empty': 'لا توجد مراجعات بعد. احفظ الموجّه لبدء السجل.',
+    'history.restoredFrom': '{source} من #{number}',
+    'history.currentPreview': 'المعاينة الحالية',
+    'history.previews': 'المعاينات: {count}',
+    'history.compare': 'مقارنة',
+    'history.restore': 'استعادة',
+    'history.from': 'من',
+    'history.to': 'إلى',
+    'history.mode.inline': 'مضمّن',
+    'history.mode.split': 'جنبًا إلى جنب',
+    'history.added': '+{count} كلمات',
+    'history.removed': '−{count} كلمات',
+
+    'refine.accept': 'قبول',
+    'refine.reject': 'رفض',
+    'refine.accepted': 'مقبول',
+    'refine.rejected': 'مرفوض',
+    'refine.stale': 'تغيّر هذا منذ اقتراح التعديل، لذا لم يعد بالإمكان تطبيقه.',
+    'refine.empty': 'اطلب التغييرات بكلماتك، مثل "احذف الميزات الاجتماعية، وأضف وضع عدم الاتصال".',
+    'refine.prompt': 'الموجّه',
+    'refine.preview': 'معاينة التطبيق',
+    'refine.field.appName': 'اسم التطبيق',
+    'refine.field.tagline': 'الشعار',
+    'refine.field.description': 'الوصف',
+    'refine.field.keyFeatures': 'الميزات الرئيسية',
+    'refine.field.targetAudience': 'الجمهور المستهدف',
+    'refine.thinking': 'جارٍ التفكير…',
+    'refine.placeholder': 'ما الذي يجب تغييره؟',
+    'refine.instruction': 'تعليمات التحسين',
+    'refine.send': 'إرسال',
+    'refine.clear': 'مسح المحادثة',
+    'scaffold.heading': 'هيكل الشيفرة المبدئي:',
+    'scaffold.download': 'تنزيل ZIP',
+    'scaffold.summary': 'الملفات: {files} · الأسطر: {lines} · {stack}',
+    'scaffold.files': 'ملفات الهيكل',
+    'scaffold.instructions': 'تعليمات اختيارية لـ {name}، مثل "أضف التحقق من المدخلات"',
+    'scaffold.stopRegenerating': 'إيقاف إعادة التوليد',
+    'scaffold.regenerate': 'إعادة توليد هذا الملف',
+    'templates.heading': 'مكتبة القوالب',
+    'templates.close': 'إغلاق مكتبة القوالب',
+    'templates.customName': '{name} (مخصص)',
+    'templates.deleteConfirm': 'هل تريد حذف القالب "{name}"؟',
+    'templates.name': 'الاسم',
+    'templates.description': 'الوصف',
+    'templates.enhancement': 'الموجّه الوصفي للتحسين',
+    'templates.enhancementHint': '(استخدم {{idea}} لفكرة المستخدم)',
+    'templates.preview': 'موجّه المعاينة',
+    'templates.previewHint': '(اختياري؛ استخدم {{prompt}} للموجّه المخصص)',
+    'templates.extraFields': 'حقول إضافية: {fields}.',
+    'templates.none': 'لا شيء',
+    'templates.sectionsHint': 'ضع النص الاختياري بين {{#name}}...{{/name}} ليُحذف عندما يكون الحقل فارغًا.',
+    'templates.problem.notObject': 'يجب أن يكون القالب كائنًا.',
+    'templates.problem.nameRequired': 'الاسم مطلوب.',
+    'templates.problem.ideaMissing': 'يجب أن يتضمن قالب التحسين {{idea}}.',
+    'templates.problem.promptMissing': 'يجب أن يتضمن قالب المعاينة {{prompt}}.',
+    'templates.cancel': 'إلغاء',
+    'templates.save': 'حفظ القالب',
+    'templates.new': '+ قالب جديد',
+    'templates.exportMine': 'تصدير قوالبي',
+    'templates.import': 'استيراد قوالب…',
+    'templates.mine': 'قوالبي',
+    'templates.empty': 'لا توجد قوالب مخصصة بعد.',
+    'templates.edit': 'تعديل',
+    'templates.export': 'تصدير',
+    'templates.delete': 'حذف',
+    'templates.builtIn': 'القوالب المضمّنة',
+    'templates.customize': 'تخصيص',
+    'templates.picker': 'قالب الموجّه',
+    'templates.builtInGroup': 'مضمّنة',
+    'templates.mineGroup': 'قوالبي',
+    'templates.manage': 'إدارة القوالب',
+    'templates.optional': 'اختياري',
+    'templates.hideMetaPrompt': 'إخفاء الموجّه الوصفي',
+    'templates.showMetaPrompt': 'معاينة الموجّه الوصفي',
+    'variants.framing.balanced': 'متوازن',
+    'variants.framing.mvp': 'مركّز على MVP',
+    'variants.framing.enterprise': 'على نطاق المؤسسات',
+    'variants.framing.consumer-viral': 'استهلاكي / انتشاري',
+    'variants.temperature': 'درجة الحرارة: {temperature}',
+    'variants.defaultTemperature': 'افتراضية',
+    'variants.generating': 'جارٍ التوليد…',
+    'variants.noText': 'لم يُولَّد أي نص.',
+    'variants.use': 'استخدام هذا المتغير',
+    'variants.merge': 'دمج الأقسام المحددة ({count})',
+    'variants.discard': 'تجاهل المتغيرات',
+    'variants.setupIntro': 'ولّد عدة نسخ من الموجّه المحسّن بالتوازي، ثم قارن بينها جنبًا إلى جنب. اترك درجة الحرارة فارغة لاستخدام القيمة من الإعدادات.',
+    'variants.framingOf': 'أسلوب المتغير {number}',
+    'variants.temperatureLabel': 'درجة الحرارة',
+    'variants.temperatureOf': 'درجة حرارة المتغير {number}',
+    'variants.remove': 'إزالة',
+    'variants.add': '+ إضافة متغير',
+    'variants.generate': 'توليد المتغيرات ({count})',
+
+    'error.loadProjects': 'تعذّر تحميل المشاريع المحفوظة: {message}',
+    'error.openProject': 'تعذّر فتح المشروع: {message}',
+    'error.renameProject': 'تعذّرت إعادة تسمية المشروع: {message}',
+    'error.duplicateProject': 'تعذّر تكرار المشروع: {message}',
+    'error.deleteProject': 'تعذّر حذف المشروع: {message}',
+    'error.budget.daily': 'سيتجاوز هذا الطلب ميزانيتك اليومية. ارفع الحد في الإعدادات للمتابعة.',
+    'error.budget.project': 'سيتجاوز هذا الطلب ميزانية المشروع. ارفع الحد في الإعدادات للمتابعة.',
+    'error.invalidResponse': '{message}. يُرجى المحاولة مرة أخرى.',
+    'error.connection': 'تعذّر الاتصال بالذكاء الاصطناعي: {message}. يُرجى المحاولة مرة أخرى.',
+    'error.projectNotFound': 'تعذّر العثور على هذا المشروع. ربما حُذف.',
+    'error.ideaToAnalyze': 'يُرجى إدخال فكرة لتحليلها.',
+    'error.ideaToEnhance': 'يُرجى إدخال فكرة لتحسينها.',
+    'error.printWindow': 'تعذّر فتح نافذة الطباعة. يُرجى السماح بالنوافذ المنبثقة لهذه الصفحة والمحاولة مرة أخرى.',
+    'error.invalidOpenApi': 'مستند OpenAPI غير صالح ولذلك لا يمكن تنزيله. يُرجى إعادة إنشاء نموذج البيانات.',
+    'error.import': 'فشل الاستيراد: {message}',
+    'error.templateImport': 'فشل استيراد القوالب: {message}',
+    'error.promptFirst': 'يُرجى تحسين وصف أولاً أو كتابة وصف مخصص.',
+    'error.previewFirst': 'يُرجى إنشاء معاينة للتطبيق أولاً.',
+    'error.featuresFirst': 'يُرجى إنشاء معاينة للتطبيق تتضمن الميزات الرئيسية أولاً.',
+    'error.techStackFirst': 'يُرجى إنشاء معاينة للتطبيق تتضمن الميزات الرئيسية واقتراحات التقنيات أولاً.',
+    'error.batchImport': 'فشل استيراد الدفعة: {message}',
+    'error.batchOpen': 'تعذّر حفظ الفكرة كمشروع: {message}',
+    'error.share': 'تعذّر إنشاء رابط المراجعة: {message}',
+    'error.shareTooLong': 'المواصفات أكبر من أن يتسع لها رابط. أنشئ رابطًا محفوظًا بدلًا من ذلك.',
+    'error.pipelineImport': 'تعذّر استيراد خط المعالجة: {message}',
+};
+
+export default ar;
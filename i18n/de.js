@@ -0,0 +1,717 @@
+/**
+ * German UI strings.
+ */
+const de = {
+    'app.title': 'KI-Prompt-Verbesserer für Apps',
+    'app.subtitle': 'Mach aus deiner einfachen App-Idee einen klaren, umfassenden Prompt mit Vorschau!',
+
+    'header.projects': 'Projekte',
+    'header.settings': 'Einstellungen ({provider} · {model})',
+    'header.usage': 'Nutzung ({cost} heute)',
+    'header.cache': 'Cache',
+    'header.cacheOff': 'Cache (aus)',
+    'header.batch': 'Stapel',
+    'header.batchRunning': 'Stapel (läuft…)',
+    'header.pipeline': 'Pipeline',
+    'header.pipelineRunning': 'Pipeline (läuft…)',
+    'header.leaderboard': 'Rangliste',
+    'header.share': 'Zur Durchsicht teilen',
+
+    'budget.reachedDaily': 'Du hast dein Tagesbudget erreicht ({limit}).',
+    'budget.reachedProject': 'Du hast das Projektbudget erreicht ({limit}).',
+    'budget.blocked': 'Neue KI-Anfragen sind gesperrt, bis du das Limit erhöhst.',
+    'budget.warned': 'Weitere Anfragen erhöhen die Kosten.',
+
+    'idea.heading': '1. Deine App-Idee',
+    'idea.placeholder': 'z. B. „Eine To-do-App mit Erinnerungen“ oder „Eine App, die meine tägliche Wassermenge erfasst“',
+    'idea.analyze': 'Qualität der Idee prüfen',
+    'idea.reanalyze': 'Idee erneut prüfen',
+    'idea.analyzing': 'Idee wird geprüft...',
+
+    'enhance.button': 'Prompt verbessern',
+    'enhance.loading': 'Prompt wird verbessert...',
+    'enhance.tokens': 'Etwa {tokens} Eingabe-Tokens',
+    'enhance.cost': '{cost} ohne Ausgabe',
+
+    'variants.open': 'Varianten vergleichen...',
+    'variants.close': 'Variantenoptionen ausblenden',
+    'variants.heading': 'Prompt-Varianten',
+    'variants.stop': 'Varianten stoppen',
+    'variants.intro': 'Übernimm eine ganze Variante oder wähle Abschnitte aus mehreren Varianten und füge sie in der gewählten Reihenfolge zusammen.',
+
+    'prompt.heading': '2. Verbesserter, anpassbarer Prompt',
+    'prompt.intro': 'Hier ist der ausführliche Prompt, der aus deiner Idee erstellt wurde. Passe ihn gern an, um deine Vision zu schärfen!',
+    'prompt.cached': 'Dieser Prompt',
+    'prompt.saveRevision': 'Version speichern',
+    'prompt.history': 'Verlauf ({count})',
+    'prompt.hideHistory': 'Verlauf ausblenden',
+    'prompt.historyHeading': 'Versionsverlauf',
+
+    'refine.heading': 'Per Chat verfeinern',
+    'refine.intro': 'Gib weitere Anweisungen. Vorgeschlagene Änderungen am Prompt werden als Diff angezeigt; nichts ändert sich, bevor du sie annimmst.',
+    'refine.introWithPreview': 'Gib weitere Anweisungen. Vorgeschlagene Änderungen am Prompt und an der App-Vorschau werden als Diff angezeigt; nichts ändert sich, bevor du sie annimmst.',
+
+    'preview.button': 'App-Vorschau erstellen',
+    'preview.loading': 'Vorschau wird erstellt...',
+    'preview.heading': '3. App-Vorschau',
+    'preview.fromRevision': 'Erstellt aus Prompt-Version Nr. {number}',
+    'preview.keyFeatures': 'Kernfunktionen:',
+    'preview.targetAudience': 'Zielgruppe:',
+    'preview.cached': 'Diese Vorschau',
+
+    'addOn.names': 'Namen & Slogans vorschlagen ✨',
+    'addOn.monetization': 'Monetarisierung ausarbeiten ✨',
+    'addOn.techStack': 'Tech-Stack vorschlagen ✨',
+    'addOn.backlog': 'Backlog erstellen ✨',
+    'addOn.dataModel': 'Datenmodell & API entwerfen ✨',
+    'addOn.mockup': 'Mockup erstellen ✨',
+    'addOn.market': 'Markt analysieren ✨',
+    'addOn.plan': 'Projekt planen ✨',
+    'addOn.scaffold': 'Code-Gerüst erstellen ✨',
+    'addOn.evaluate': 'Idee bewerten ✨',
+    'addOn.compliance': 'Compliance prüfen ✨',
+
+    'step.analyze': 'Ideenanalyse',
+    'step.enhance': 'Prompt-Verbesserung',
+    'step.preview': 'App-Vorschau',
+    'step.refine': 'Chat-Verfeinerung',
+    'step.names': 'Namen & Slogans',
+    'step.monetization': 'Monetarisierung',
+    'step.techStack': 'Tech-Stack',
+    'step.backlog': 'Backlog',
+    'step.dataModel': 'Datenmodell & API',
+    'step.mockup': 'UI-Mockup',
+    'step.market': 'Marktanalyse',
+    'step.plan': 'Projektplan',
+    'step.scaffold': 'Code-Gerüst',
+    'step.evaluate': 'Bewertung',
+    'step.compliance': 'Compliance-Prüfung',
+    'step.custom': 'Eigene Pipeline-Schritte',
+
+    'names.heading': 'Vorgeschlagene Namen & Slogans:',
+    'names.names': 'Namen:',
+    'names.taglines': 'Slogans:',
+    'names.forMarket': 'Für {market}',
+
+    'monetization.heading': 'Monetarisierungsstrategien:',
+
+    'techStack.heading': 'Vorschläge für den Tech-Stack:',
+    'techStack.frontend': 'Frontend:',
+    'techStack.backend': 'Backend:',
+    'techStack.database': 'Datenbank:',
+    'techStack.mobile': 'Mobil:',
+    'techStack.empty': 'Derzeit keine konkreten Vorschläge für den Tech-Stack.',
+
+    'customSteps.heading': 'Eigene Pipeline-Schritte:',
+
+    'evaluation.heading': 'Bewertung der Idee:',
+    'evaluation.overall': 'Gewichtete Punktzahl',
+    'evaluation.higherIsBetter': 'Bewertet wird auf einer Skala bis 10, höher ist immer besser: 10 bedeutet einfach umzusetzen, schnell marktreif und risikoarm.',
+    'evaluation.ignored': 'nicht gewichtet',
+    'evaluation.adjustWeights': 'Gewichte anpassen',
+    'evaluation.hideWeights': 'Gewichte ausblenden',
+    'evaluation.weights': 'Gewichte',
+    'evaluation.weightsHint': 'Wie stark jedes Kriterium in die gewichtete Punktzahl eingeht, von 0 (ignoriert) bis {max}. Die Gewichte gelten für alle bewerteten Ideen.',
+    'evaluation.resetWeights': 'Auf gleiche Gewichte zurücksetzen',
+    'criterion.feasibility': 'Machbarkeit',
+    'criterion.feasibility.short': 'Machb.',
+    'criterion.marketDemand': 'Marktnachfrage',
+    'criterion.marketDemand.short': 'Nachfr.',
+    'criterion.technicalComplexity': 'Technische Komplexität',
+    'criterion.technicalComplexity.short': 'Kompl.',
+    'criterion.timeToMvp': 'Zeit bis zum MVP',
+    'criterion.timeToMvp.short': 'MVP',
+    'criterion.monetization': 'Monetarisierungspotenzial',
+    'criterion.monetization.short': 'Umsatz',
+    'criterion.risk': 'Risiko',
+    'criterion.risk.short': 'Risiko',
+    'leaderboard.heading': 'Ideen-Rangliste',
+    'leaderboard.close': 'Rangliste schließen',
+    'leaderboard.intro': 'Deine bewerteten Ideen, sortiert nach gewichteter Punktzahl. Gespeicherte Projekte erscheinen mit ihrer zuletzt gespeicherten Bewertung.',
+    'leaderboard.empty': 'Noch keine bewerteten Ideen. Bewerte ein paar Ideen, um sie hier zu vergleichen.',
+    'leaderboard.rank': '#',
+    'leaderboard.idea': 'Idee',
+    'leaderboard.score': 'Punkte',
+    'leaderboard.actions': 'Aktionen',
+    'leaderboard.open': 'Öffnen',
+    'leaderboard.current': '(geöffnet)',
+    'leaderboard.compare': 'Zwei Ideen vergleichen',
+    'leaderboard.versus': 'gegen',
+    'leaderboard.compareSlot': 'Idee {number} zum Vergleich',
+    'compliance.heading': 'Compliance-Prüfung:',
+    'compliance.regulations': 'Vorschriften',
+    'compliance.applies': 'Gilt',
+    'compliance.notApplicable': 'Gilt nicht',
+    'compliance.personalData': 'Verarbeitete personenbezogene Daten',
+    'compliance.noPersonalData': 'Die App scheint keine personenbezogenen Daten zu verarbeiten.',
+    'compliance.sensitive': 'Sensibel',
+    'compliance.usedBy': 'Verwendet von: {features}',
+    'compliance.threatModel': 'Bedrohungsmodell (STRIDE)',
+    'compliance.feature': 'Kernfunktion',
+    'compliance.findings': 'Befunde und erforderliche Maßnahmen',
+    'compliance.findingsHint': 'Wähle die Befunde aus, die als Anforderungen in deinen Prompt übernommen werden sollen. Kritische und hohe Befunde, die noch nicht im Prompt stehen, sind vorausgewählt.',
+    'compliance.control': 'Maßnahme',
+    'compliance.mitigation': 'Gegenmaßnahme: {mitigation}',
+    'compliance.inPrompt': 'Im Prompt',
+    'compliance.addToPrompt': '{count} als Anforderungen in den Prompt übernehmen',
+    'compliance.selectSevere': 'Kritische und hohe auswählen',
+    'compliance.selectAll': 'Alle auswählen',
+    'compliance.selectNone': 'Keine auswählen',
+    'severity.critical': 'Kritisch',
+    'severity.high': 'Hoch',
+    'severity.medium': 'Mittel',
+    'severity.low': 'Niedrig',
+    'stride.spoofing': 'Spoofing',
+    'stride.spoofing.description': 'Sich als anderer Benutzer oder anderes System ausgeben.',
+    'stride.tampering': 'Manipulation',
+    'stride.tampering.description': 'Daten oder Code ohne Berechtigung verändern.',
+    'stride.repudiation': 'Abstreitbarkeit',
+    'stride.repudiation.description': 'Eine Aktion abstreiten, weil sie nicht nachvollziehbar ist.',
+    'stride.informationDisclosure': 'Offenlegung von Informationen',
+    'stride.informationDisclosure.description': 'Daten für Unbefugte zugänglich machen.',
+    'stride.denialOfService': 'Dienstverweigerung',
+    'stride.denialOfService.description': 'Die App unerreichbar machen oder beeinträchtigen.',
+    'stride.elevationOfPrivilege': 'Rechteausweitung',
+    'stride.elevationOfPrivilege.description': 'Berechtigungen erlangen, die einem nicht zustehen.',
+
+    'tips.heading': 'Tipps für bessere Prompts',
+    'dimension.specificity.label': 'Sei konkret',
+    'dimension.specificity.tip': 'Statt „Social-Media-App“ lieber „eine Social-Media-App zum Teilen kurzer Videoclips“.',
+    'dimension.audience.label': 'Definiere deine Zielgruppe',
+    'dimension.audience.tip': 'Für wen ist die App? „Studierende“, „Kleinunternehmer“, „Fitnessbegeisterte“?',
+    'dimension.features.label': 'Nenne die Kernfunktionen',
+    'dimension.features.tip': 'Welche Funktionen sind unverzichtbar? „Benutzeranmeldung“, „Bild-Upload“, „Echtzeit-Chat“.',
+    'dimension.platform.label': 'Denk an die Plattform',
+    'dimension.platform.tip': 'Nur mobil, nur Web oder beides? Gib an, ob sie auf iOS/Android laufen soll.',
+    'dimension.uiux.label': 'Denk an UI/UX',
+    'dimension.uiux.tip': 'Beschreibe das gewünschte Erscheinungsbild. „Minimalistisches Design“, „intuitive Navigation“, „Dark Mode“.',
+    'dimension.constraints.label': 'Nenne Vorgaben und Ziele',
+    'dimension.constraints.tip': '„Muss hochsicher sein“, „muss auf Millionen Nutzer skalieren“, „Monetarisierung über Abos“.',
+
+    'stop.default': 'Stoppen',
+    'stop.step': '{step} stoppen',
+
+    'cache.loaded': '⚡ {label} wurde aus dem Cache geladen.',
+    'cache.defaultLabel': 'Dieses Ergebnis',
+    'cache.regenerate': 'Neu erstellen (ohne Cache)',
+
+    'batch.heading': 'Stapelmodus',
+    'batch.close': 'Stapelmodus schließen',
+    'batch.intro': 'Lade eine CSV- oder JSON-Liste mit bis zu {max} Ideen hoch. Jede Idee wird mit der gewählten Vorlage verbessert und in der Vorschau gezeigt, dazu die ausgewählten Zusatzschritte. In CSV-Dateien wird die Spalte mit der Überschrift „idea“ verwendet, sonst die erste.',
+    'batch.upload': 'CSV oder JSON hochladen…',
+    'batch.concurrency': 'Ideen gleichzeitig',
+    'batch.extras': 'Zusätzlich erzeugen',
+    'batch.start': 'Stapel starten',
+    'batch.stop': 'Stapel stoppen',
+    'batch.retry': 'Fehlgeschlagene wiederholen ({count})',
+    'batch.downloadCsv': 'CSV herunterladen',
+    'batch.downloadJson': 'JSON herunterladen',
+    'batch.clear': 'Leeren',
+    'batch.summary': '{done} fertig · {failed} fehlgeschlagen · {stopped} gestoppt · {pending} ausstehend, von {total}',
+    'batch.column.label': 'Bezeichnung',
+    'batch.column.idea': 'Idee',
+    'batch.column.status': 'Status',
+    'batch.column.result': 'Ergebnis',
+    'batch.column.actions': 'Aktionen',
+    'batch.status.queued': 'Wartet',
+    'batch.status.running': 'Läuft',
+    'batch.status.waiting': 'Ratenlimit',
+    'batch.status.done': 'Fertig',
+    'batch.status.failed': 'Fehlgeschlagen',
+    'batch.status.stopped': 'Gestoppt',
+    'batch.waitingUntil': 'Neuer Versuch um {time}',
+    'batch.open': 'Als Projekt öffnen',
+    'batch.importError.invalidJson': 'Die Datei ist kein gültiges JSON ({message}).',
+    'batch.importError.notIdeaList': 'Erwartet wurde ein JSON-Array von Ideen oder ein Objekt mit einem Array "ideas".',
+    'batch.importError.noIdeas': 'Die Datei enthält keine Ideen.',
+    'batch.importError.tooManyIdeas': 'Die Datei enthält {count} Ideen; ein Stapel kann höchstens {max} haben.',
+
+    'share.heading': 'Zur Durchsicht teilen',
+    'share.close': 'Teilen schließen',
+    'share.intro': 'Reviewer sehen eine schreibgeschützte Kopie der Spezifikation im aktuellen Stand und können jede Kernfunktion und jeden Prompt-Abschnitt kommentieren. Spätere Änderungen werden nicht geteilt; erstelle dafür einen neuen Link.',
+    'share.createInline': 'Link mit eingebetteter Spezifikation erstellen',
+    'share.inlineHint': 'Die Spezifikation steckt im Link selbst und funktioniert daher ohne Konto. Sehr große Spezifikationen passen eventuell nicht hinein.',
+    'share.createStored': 'Gespeicherten Link erstellen',
+    'share.storedHintRemote': 'Die Spezifikation wird online gespeichert und der Link ist kurz.',
+    'share.storedHintLocal': 'Es ist kein Online-Speicher eingerichtet, daher wird die Spezifikation in diesem Browser gespeichert und der Link öffnet sich nur hier.',
+    'share.commentsRemote': 'Kommentare werden online gespeichert, alle mit dem Link sehen sie.',
+    'share.commentsLocal': 'Ohne Online-Speicher werden Kommentare in diesem Browser gespeichert, daher haben Links mit eingebetteter Spezifikation keine. Richte Firebase ein, um Kommentare anderer Personen zu sammeln.',
+    'share.nothingToShare': 'Verbessere einen Prompt oder erstelle eine App-Vorschau, um sie zu teilen.',
+    'share.links': 'Links',
+    'share.mode.inline': 'Eingebettet',
+    'share.mode.stored': 'Gespeichert',
+    'share.url': 'Review-Link',
+    'share.copied': 'Kopiert',
+    'share.copy': 'Kopieren',
+    'share.open': 'Öffnen',
+
+    'review.badge': 'Review',
+    'review.loading': 'Geteilte Spezifikation wird geladen…',
+    'review.loadFailed': 'Die geteilte Spezifikation konnte nicht geöffnet werden: {message}',
+    'review.loadCommentsFailed': 'Die Kommentare konnten nicht geladen werden: {message}',
+    'review.saveFailed': 'Der Kommentar konnte nicht gespeichert werden: {message}',
+    'review.exit': 'Zurück zum Editor',
+    'review.sharedOn': 'Geteilt am {date}',
+    'review.ownerIntro': 'Du hast diese Spezifikation geteilt. Löse Kommentare, sobald du sie umgesetzt hast.',
+    'review.reviewerIntro': 'Kommentiere die Kernfunktionen und die Prompt-Abschnitte.',
+    'review.commentsOff': 'Kommentare sind für diesen Link deaktiviert: Ohne Online-Speicher würden sie nur in deinem Browser gespeichert, wo der Autor sie nicht sieht.',
+    'review.openThreads': '{open} von {total} Threads offen.',
+    'review.yourName': 'Dein Name',
+    'review.namePlaceholder': 'Wird bei deinen Kommentaren angezeigt',
+    'review.targetAudience': 'Zielgruppe:',
+    'review.keyFeatures': 'Kernfunktionen',
+    'review.prompt': 'Prompt',
+    'review.report': 'Vollständiger Bericht',
+    'review.reportHint': 'Alles, was für die Spezifikation erstellt wurde, einschließlich der Add-ons.',
+    'review.addComment': 'Kommentar hinzufügen',
+    'review.commentPlaceholder': 'Was sollte sich ändern oder was ist unklar?',
+    'review.post': 'Senden',
+    'review.replyPlaceholder': 'Antworten…',
+    'review.reply': 'Antworten',
+    'review.cancel': 'Abbrechen',
+    'review.authorBadge': '(Autor)',
+    'review.anonymous': 'Anonyme Person',
+    'review.resolved': 'Gelöst',
+    'review.resolve': 'Lösen',
+    'review.reopen': 'Wieder öffnen',
+    'review.showReplies': 'Antworten anzeigen ({count})',
+    'review.collapse': 'Antworten ausblenden',
+
+    'pipeline.heading': 'Generierungs-Pipeline',
+    'pipeline.close': 'Pipeline-Editor schließen',
+    'pipeline.intro': 'Die Schritte von der Idee bis zu den Zusatzfunktionen, von oben nach unten ausgeführt. Fügen Sie eigene Schritte mit einer Prompt-Vorlage hinzu, ordnen Sie sie um und wählen Sie, welches frühere Ergebnis jede Eingabe füllt.',
+    'pipeline.run': 'Pipeline ausführen',
+    'pipeline.stop': 'Pipeline stoppen',
+    'pipeline.export': 'Als JSON exportieren',
+    'pipeline.import': 'JSON importieren',
+    'pipeline.reset': 'Auf Standard zurücksetzen',
+    'pipeline.resetConfirm': 'Diese Pipeline durch die Standardschritte ersetzen? Eigene Schritte werden entfernt.',
+    'pipeline.invalid': 'Beheben Sie die folgenden Probleme, bevor Sie die Pipeline ausführen.',
+    'pipeline.stepType': 'Art des neuen Schritts',
+    'pipeline.add.custom': 'Leerer eigener Schritt',
+    'pipeline.preset.accessibilityAudit': 'Barrierefreiheitsprüfung',
+    'pipeline.preset.launchTweet': 'Launch-Tweet',
+    'pipeline.addStep': 'Schritt hinzufügen',
+    'pipeline.builtIn': 'Integriert',
+    'pipeline.status.queued': 'Wartend',
+    'pipeline.status.running': 'Läuft…',
+    'pipeline.status.done': 'Fertig',
+    'pipeline.status.failed': 'Fehlgeschlagen',
+    'pipeline.status.skipped': 'Übersprungen',
+    'pipeline.status.stopped': 'Gestoppt',
+    'pipeline.moveUp': 'Schritt nach oben',
+    'pipeline.moveDown': 'Schritt nach unten',
+    'pipeline.remove': 'Schritt entfernen',
+    'pipeline.name': 'Name des Schritts',
+    'pipeline.namePlaceholder': 'z. B. Barrierefreiheitsprüfung',
+    'pipeline.template': 'Prompt-Vorlage',
+    'pipeline.templateHint': 'Schreiben Sie {{name}} an die Stelle eines Werts; jeder Name wird unten zu einer Eingabe.',
+    'pipeline.output': 'Ausgabe',
+    'pipeline.output.text': 'Text',
+    'pipeline.output.json': 'JSON-Felder',
+    'pipeline.fields': 'Felder (durch Kommas getrennt)',
+    'pipeline.fieldsPlaceholder': 'z. B. tweet, linkedInPost',
+    'pipeline.inputs': 'Eingaben',
+    'pipeline.noInputs': 'Dieser Schritt hat keine Eingaben.',
+    'pipeline.notConnected': '— Nicht verbunden —',
+    'pipeline.input.idea': 'Einfache Idee',
+    'pipeline.input.prompt': 'Aktueller Prompt',
+    'pipeline.lastOutput': 'Ergebnis des letzten Laufs',
+    'pipeline.untitled': 'Unbenannter Schritt',
+    'pipeline.optional': '(optional)',
+    'pipeline.problem.nameRequired': 'Ein Name ist erforderlich.',
+    'pipeline.problem.templateRequired': 'Eine Prompt-Vorlage ist erforderlich.',
+    'pipeline.problem.fieldsRequired': 'Eine JSON-Ausgabe braucht mindestens ein Feld.',
+    'pipeline.problem.invalidField': 'Feldnamen dürfen nur Buchstaben, Ziffern und Unterstriche enthalten.',
+    'pipeline.problem.duplicateField': 'Feldnamen müssen eindeutig sein.',
+    'pipeline.problem.unknownType': 'Unbekannter Schritttyp „{type}“.',
+    'pipeline.problem.notConnected': 'Eingabe „{input}“ ist nicht verbunden.',
+    'pipeline.problem.laterStep': 'Eingabe „{input}“ ist mit einem späteren Schritt verbunden; verschiebe diesen Schritt über diesen.',
+    'pipeline.problem.missingSource': 'Eingabe „{input}“ ist mit einem Schritt verbunden, den es nicht mehr gibt.',
+    'pipeline.problem.wrongKind': 'Eingabe „{input}“ braucht {kind}.',
+    'pipeline.kind.text': 'Text',
+    'pipeline.kind.json': 'JSON-Felder',
+    'pipeline.kind.appPreview': 'eine App-Vorschau',
+    'pipeline.kind.techStack': 'einen Tech-Stack',
+    'pipeline.kind.dataModel': 'ein Datenmodell',
+    'pipeline.importError.invalidJson': 'Die Datei ist kein gültiges JSON ({message}).',
+    'pipeline.importError.notPipeline': 'Die Datei ist kein Pipeline-Export.',
+    'pipeline.importError.newerVersion': 'Die Pipeline wurde mit einer neueren Version der App exportiert (Formatversion {version}).',
+    'pipeline.importError.noNodes': 'Erwartet wurde eine Pipeline mit einem „nodes“-Array.',
+    'pipeline.importError.tooManyNodes': 'Eine Pipeline kann höchstens {max} Schritte haben.',
+    'pipeline.importError.invalidId': 'Schritt {step} braucht eine eindeutige ID ohne Punkte, Doppelpunkte oder Leerzeichen.',
+    'pipeline.importError.unknownType': 'Schritt {step} hat einen unbekannten Typ „{type}“.',
+
+    'settings.heading': 'Einstellungen',
+    'settings.reset': 'Auf Standard zurücksetzen',
+    'settings.cancel': 'Abbrechen',
+    'settings.save': 'Einstellungen speichern',
+    'settings.language': 'Sprache',
+    'settings.languageHint': 'Die Oberflächensprache ändert nur die App selbst. Generierte Inhalte werden unabhängig davon in der Ausgabesprache geschrieben.',
+    'settings.uiLanguage': 'Oberflächensprache',
+    'settings.uiLanguageAuto': 'Wie im Browser',
+    'settings.outputLanguage': 'Ausgabesprache',
+    'settings.markets': 'Zielmärkte',
+    'settings.marketsPlaceholder': 'z. B. es-MX, de-DE, ja-JP',
+    'settings.marketsHint': 'Durch Kommas getrennte Sprach-Tags. Für jeden Markt werden zusätzlich Namen und Slogans vorgeschlagen.',
+    'settings.provider': 'KI-Anbieter',
+    'settings.apiKey': 'API-Schlüssel',
+    'settings.apiKeyCanvas': 'In Canvas leer lassen',
+    'settings.apiKeyLocal': 'Für die meisten lokalen Server optional',
+    'settings.baseUrl': 'Basis-URL',
+    'settings.structuredOutput': 'Strukturierte Ausgabe',
+    'settings.jsonSchema': 'JSON-Schema',
+    'settings.jsonMode': 'JSON-Modus (Schema im Prompt)',
+    'settings.defaultModel': 'Standardmodell',
+    'settings.generation': 'Generierungsparameter',
+    'settings.temperature': 'Temperatur',
+    'settings.topP': 'Top P',
+    'settings.maxOutputTokens': 'Max. Ausgabetokens',
+    'settings.modelDefault': 'Modellstandard',
+    'settings.stepModels': 'Modelle pro Schritt',
+    'settings.stepModelsHint': 'Lass einen Schritt leer, um das Standardmodell zu verwenden.',
+    'settings.stream': 'Den verbesserten Prompt schon während der Generierung anzeigen',
+    'settings.validation': 'Antwortprüfung',
+    'settings.validationHint': 'Strukturierte Antworten werden gegen ihr Schema geprüft. Ungültige werden mit den Fehlern zur Korrektur an das Modell zurückgeschickt.',
+    'settings.maxRepairAttempts': 'Max. Reparaturversuche',
+    'settings.backoff': 'Anfängliche Wartezeit (ms)',
+    'settings.cache': 'Antwort-Cache',
+    'settings.cacheHint': 'Identische Anfragen (gleicher Prompt, gleiches Modell, gleiche Parameter und gleiches Schema) werden aus einem Cache in diesem Browser beantwortet, statt die KI erneut aufzurufen. Mit „{regenerate}“ bei einem zwischengespeicherten Ergebnis erhältst du ein neues.',
+    'settings.cacheEnabled': 'KI-Antworten zwischenspeichern',
+    'settings.cacheTtl': 'Antworten aufbewahren für (Stunden)',
+    'settings.cacheSize': 'Maximale Größe (MB)',
+    'settings.pricing': 'Preise & Budget',
+    'settings.pricingHint': 'Preise in USD pro Million Tokens, zur Kostenschätzung im Nutzungs-Dashboard. Ein Modell ohne exakten Eintrag verwendet den längsten Eintrag, mit dem sein Name beginnt.',
+    'settings.localFree': 'Anfragen an dieses lokale Backend sind kostenlos.',
+    'settings.priceModel': 'Modell',
+    'settings.unnamedModel': 'dieses Modell',
+    'settings.inputPrice': 'Eingabepreis von {model}',
+    'settings.outputPrice': 'Ausgabepreis von {model}',
+    'settings.inputPriceTitle': 'Eingabe, pro Million Tokens',
+    'settings.outputPriceTitle': 'Ausgabe, pro Million Tokens',
+    'settings.removePrice': 'Entfernen',
+    'settings.addPrice': '+ Preis hinzufügen',
+    'settings.dailyLimit': 'Tageslimit (USD)',
+    'settings.projectLimit': 'Limit pro Projekt (USD)',
+    'settings.noLimit': 'Kein Limit',
+    'settings.limitAction': 'Wenn ein Limit erreicht ist',
+    'settings.warnOnly': 'Nur warnen',
+    'settings.blockRequests': 'Weitere Anfragen blockieren',
+    'settings.sync': 'Cloud-Synchronisierung',
+    'settings.syncHint': 'Projekte werden immer in diesem Browser gespeichert. Aktiviere die Synchronisierung, um sie in Firestore zu spiegeln.',
+    'settings.syncEmulatorOnly': 'Es wurde keine Firebase-Konfiguration angegeben, daher funktioniert die Synchronisierung nur mit einem lokalen Firestore-Emulator.',
+    'settings.syncEnabled': 'Projekte mit Firestore synchronisieren',
+    'settings.emulatorHost': 'Emulator-Host',
+    'settings.emulatorHostPlaceholder': 'z. B. localhost:8080',
+    'settings.emulatorAuthUrl': 'URL des Auth-Emulators',
+    'settings.emulatorAuthUrlPlaceholder': 'Optional, z. B. http://localhost:9099',
+    'settings.emulatorProjectId': 'Projekt-ID des Emulators',
+
+    'cache.heading': 'Antwort-Cache',
+    'cache.close': 'Antwort-Cache schließen',
+    'cache.loading': 'Wird geladen…',
+    'cache.summary': 'Zwischengespeicherte Antworten: {count} · {size} von {max}',
+    'cache.loadFailed': 'Der Cache konnte nicht gelesen werden: {message}',
+    'cache.dates': 'Gespeichert {cached} · läuft ab {expires}',
+    'cache.delete': 'Löschen',
+    'cache.clear': 'Cache leeren',
+    'cache.clearConfirm': 'Alle zwischengespeicherten Antworten löschen?',
+    'usage.heading': 'Nutzung',
+    'usage.close': 'Nutzungsübersicht schließen',
+    'usage.noRequests': 'Noch keine Anfragen.',
+    'usage.requests': 'Anfragen',
+    'usage.inputTokens': 'Eingabe-Tokens',
+    'usage.outputTokens': 'Ausgabe-Tokens',
+    'usage.cost': 'Kosten',
+    'usage.unpriced': 'Anfragen an ein Modell ohne Preis: {count}',
+    'usage.spentNoLimit': '{label}: {spent} (kein Limit)',
+    'usage.spentOfLimit': '{label}: {spent} von {limit}',
+    'usage.dayToday': '{day} (heute)',
+    'usage.deletedProject': 'Gelöschtes Projekt',
+    'usage.unsavedSessions': 'Nicht gespeicherte Sitzungen',
+    'usage.batchRun': 'Stapellauf vom {time}',
+    'usage.allTime': 'Gesamt',
+    'usage.totals': 'Anfragen: {requests} · Tokens: {tokens}',
+    'usage.today': 'Heute',
+    'usage.thisProject': 'Dieses Projekt',
+    'usage.blockHint': 'Anfragen werden abgelehnt, sobald ein Limit erreicht ist.',
+    'usage.warnHint': 'Sie werden gewarnt, sobald ein Limit erreicht ist.',
+    'usage.settingsHint': 'Limits und Preise werden in den Einstellungen festgelegt.',
+    'usage.perDay': 'Pro Tag (letzte {days})',
+    'usage.day': 'Tag',
+    'usage.perProject': 'Pro Projekt',
+    'usage.project': 'Projekt',
+    'usage.costNote': 'Die Kosten sind Schätzungen anhand der Preistabelle. * Enthält Anfragen an Modelle ohne Preis, als kostenlos gezählt.',
+    'usage.estimatedNote': 'Einige Token-Zahlen sind geschätzt, weil das Backend sie nicht gemeldet hat.',
+    'usage.clearConfirm': 'Den gesamten Nutzungsverlauf löschen? Die Budgetsummen beginnen wieder bei null.',
+    'usage.clear': 'Verlauf löschen',
+
+    'projects.heading': 'Projekte',
+    'projects.close': 'Projekte schließen',
+    'projects.new': '+ Neues Projekt',
+    'projects.search': 'Projekte durchsuchen...',
+    'projects.empty': 'Noch keine gespeicherten Projekte.',
+    'projects.noMatches': 'Keine passenden Projekte.',
+    'projects.saving': 'Wird gespeichert…',
+    'projects.savedSynced': 'Gespeichert & synchronisiert',
+    'projects.savedLocally': 'Lokal gespeichert',
+    'projects.saveFailed': 'Speichern fehlgeschlagen',
+    'projects.rename': 'Umbenennen',
+    'projects.duplicate': 'Duplizieren',
+    'projects.delete': 'Löschen',
+    'projects.deleteConfirm': '„{name}“ löschen? Dies kann nicht rückgängig gemacht werden.',
+    'projects.untitled': 'Unbenanntes Projekt',
+    'projects.copyName': '{name} (Kopie)',
+    'projects.imported': 'Importiertes Projekt',
+    'backlog.heading': 'Feature-Backlog:',
+    'backlog.exportCsv': 'CSV exportieren',
+    'backlog.exportGithub': 'GitHub-Issues exportieren (JSON)',
+    'backlog.newEpic': 'Neues Epic',
+    'backlog.epicTitle': 'Epic-Titel',
+    'backlog.epicDescription': 'Epic-Beschreibung',
+    'backlog.deleteEpic': 'Epic löschen',
+    'backlog.deleteEpicConfirm': 'Das Epic „{title}“ und seine Stories ({count}) löschen?',
+    'backlog.feature': 'Feature',
+    'backlog.story': 'User Story',
+    'backlog.acceptanceCriteria': 'Akzeptanzkriterien',
+    'backlog.priority': 'Priorität',
+    'backlog.epic': 'Epic',
+    'backlog.actions': 'Aktionen',
+    'backlog.noFeature': '(keins)',
+    'backlog.asA': 'Als',
+    'backlog.iWant': 'möchte ich',
+    'backlog.soThat': 'damit',
+    'backlog.gherkin': 'Akzeptanzkriterien (Gherkin)',
+    'backlog.moveToEpic': 'In Epic verschieben',
+    'backlog.deleteStory': 'Story löschen',
+    'backlog.addStory': '+ Story hinzufügen',
+    'backlog.addEpic': '+ Epic hinzufügen',
+    'dataModel.heading': 'Datenmodell & API-Vertrag:',
+    'dataModel.downloadErd': 'ERD herunterladen (.mmd)',
+    'dataModel.downloadOpenApi': 'OpenAPI herunterladen (.json)',
+    'dataModel.tab.entities': 'Entitäten',
+    'dataModel.tab.erd': 'ER-Diagramm',
+    'dataModel.tab.openapi': 'OpenAPI 3.1',
+    'dataModel.field': 'Feld',
+    'dataModel.type': 'Typ',
+    'dataModel.key': 'Schlüssel',
+    'dataModel.required': 'Pflicht',
+    'dataModel.description': 'Beschreibung',
+    'dataModel.yes': 'Ja',
+    'dataModel.no': 'Nein',
+    'dataModel.relations': 'Beziehungen:',
+    'dataModel.openApiValid': '✓ Gültiges OpenAPI-{version}-Dokument. Pfade: {count}.',
+    'dataModel.openApiInvalid': 'Der erzeugte API-Vertrag ist kein gültiges OpenAPI 3.1 und wird daher nicht angezeigt:',
+    'export.menu': '⇅ Export / Import',
+    'export.markdown': 'Markdown-PRD (.md)',
+    'export.json': 'JSON-Spezifikation (.json)',
+    'export.html': 'HTML-Bericht (.html)',
+    'export.pdf': 'Drucken / Als PDF speichern',
+    'export.import': 'JSON-Spezifikation importieren…',
+    'analysis.heading': 'Ideenqualität',
+    'analysis.stale': 'Ihre Idee hat sich seit dieser Analyse geändert. Analysieren Sie sie erneut für aktuelle Bewertungen.',
+    'analysis.missingBadge': '(fehlt)',
+    'analysis.missing': 'Fehlt:',
+    'analysis.reviewAnswers': 'Antworten ansehen',
+    'analysis.answerQuestions': 'Rückfragen beantworten ({count})',
+    'analysis.answered': 'Beantwortet: {count}. Sie werden beim Verbessern einbezogen.',
+    'analysis.clearAnswers': 'Antworten löschen',
+    'analysis.questionOf': 'Frage {index} von {count} · {dimension}',
+    'analysis.back': 'Zurück',
+    'analysis.close': 'Schließen',
+    'analysis.enhance': 'Mit Antworten verbessern',
+    'analysis.next': 'Weiter',
+    'analysis.skip': 'Überspringen',
+    'market.heading': 'Marktanalyse:',
+    'market.comparables': 'Vergleichbare Produkte:',
+    'market.examples': '(z. B. {examples})',
+    'market.differentiators': 'Alleinstellungsmerkmale:',
+    'market.swot': 'SWOT:',
+    'market.swot.strengths': 'Stärken',
+    'market.swot.weaknesses': 'Schwächen',
+    'market.swot.opportunities': 'Chancen',
+    'market.swot.threats': 'Risiken',
+    'market.size': 'Marktgröße (grob):',
+    'market.size.tam': 'Gesamtmarkt',
+    'market.size.sam': 'Bedienbarer Markt',
+    'market.size.som': 'Erreichbarer Markt',
+    'market.personas': 'Personas:',
+    'market.goals': 'Ziele',
+    'market.painPoints': 'Schmerzpunkte',
+    'diagram.renderFailed': 'Das Diagramm konnte nicht dargestellt werden ({message}). Mermaid-Quelltext:',
+    'diagram.rendering': 'Diagramm wird dargestellt...',
+
+    'mockup.heading': 'Klickbares Mockup:',
+    'mockup.deviceSize': 'Gerätegröße',
+    'mockup.device.phone': '📱 Telefon',
+    'mockup.device.tablet': 'Tablet',
+    'mockup.device.desktop': '🖥 Desktop',
+    'mockup.frameTitle': 'Mockup: {name}',
+    'mockup.instructions': 'Optionale Anweisungen für „{name}“, z. B. „eine Suchleiste hinzufügen“ oder „ein dunkles Design verwenden“',
+    'mockup.stopRegenerating': 'Neugenerierung stoppen',
+    'mockup.regenerate': 'Diesen Bildschirm neu generieren',
+    'plan.heading': 'Projektplan:',
+    'plan.exportCsv': 'CSV exportieren',
+    'plan.exportCalendar': 'Kalender exportieren (.ics)',
+    'plan.startDate': 'Startdatum',
+    'plan.estimates': 'Schätzungen',
+    'plan.scenario.optimistic': 'Optimistisch',
+    'plan.scenario.likely': 'Am wahrscheinlichsten',
+    'plan.scenario.pessimistic': 'Pessimistisch',
+    'plan.scenario.expected': 'Erwartet (PERT)',
+    'plan.duration': 'Arbeitstage: {days}, Ende am {end}',
+    'plan.durationSpread': 'Arbeitstage: {days} (± {spread}), Ende am {end}',
+    'plan.criticalPath': 'Kritischer Pfad:',
+    'plan.role.frontend': 'Frontend',
+    'plan.role.backend': 'Backend',
+    'plan.role.design': 'Design',
+    'plan.role.qa': 'QA',
+    'plan.roleDays': '{role}: {days} Tage',
+    'plan.task': 'Aufgabe',
+    'plan.week': 'Woche {week}',
+    'plan.slack': 'Puffer: {days} Tage',
+    'plan.bar': '{name} · {role} · {start} – {end} ({days} Tage, {slack} Tage Puffer)',
+    'plan.barCritical': '{name} · {role} · {start} – {end} ({days} Tage, kritisch)',
+    'plan.select': '{name} auswählen',
+    'plan.legend': 'Balken sind nach Rolle gefärbt; rote Umrandungen markieren den kritischen Pfad, gestrichelte Linien den Puffer. Wochenenden werden übersprungen.',
+    'plan.closeDetails': 'Aufgabendetails schließen',
+    'plan.roleLabel': 'Rolle',
+    'plan.estimateDays': '{scenario} (Tage)',
+    'plan.estimateOrder': 'Schätzungen sind üblicherweise optimistisch ≤ am wahrscheinlichsten ≤ pessimistisch.',
+    'plan.scheduled': 'Geplant:',
+    'plan.scheduledSlack': '{start} – {end} ({slack} Tage Puffer)',
+    'plan.scheduledCritical': '{start} – {end} (kritischer Pfad)',
+    'plan.dependsOn': 'Hängt ab von:',
+    'plan.nothing': 'nichts',
+    'plan.unknownTask': 'Unbekannte Aufgabe',
+    'history.source.ai': 'KI-Verbesserung',
+    'history.source.manual': 'Manuell gespeichert',
+    'history.source.restore': 'Wiederhergestellt',
+    'history.source.preview': 'Für die Vorschau gespeichert',
+    'history.source.variant': 'Variante',
+    'history.source.merge': 'Zusammengeführte Varianten',
+    'history.source.refine': 'Chat-Verfeinerung',
+    'history.source.compliance': 'Compliance-Anforderungen',
+    'history.source.pipeline': 'Pipeline-Lauf',
+    'history.current': 'Aktuell (nicht gespeichert)',
+    'history.empty': 'Noch keine Revisionen. Speichern Sie den Prompt, um einen Verlauf zu beginnen.',
+    'history.restoredFrom': '{source} aus #{number}',
+    'history.currentPreview': 'Aktuelle Vorschau',
+    'history.previews': 'Vorschauen: {count}',
+    'history.compare': 'Vergleichen',
+    'history.restore': 'Wiederherstellen',
+    'history.from': 'Von',
+    'history.to': 'Bis',
+    'history.mode.inline': 'Inline',
+    'history.mode.split': 'Nebeneinander',
+    'history.added': '+{count} Wörter',
+    'history.removed': '−{count} Wörter',
+
+    'refine.accept': 'Übernehmen',
+    'refine.reject': 'Ablehnen',
+    'refine.accepted': 'Übernommen',
+    'refine.rejected': 'Abgelehnt',
+    'refine.stale': 'Dies hat sich geändert, seit die Änderung vorgeschlagen wurde, daher kann sie nicht mehr angewendet werden.',
+    'refine.empty': 'Beschreiben Sie Änderungen in eigenen Worten, z. B. „Social-Funktionen streichen, Offline-Modus hinzufügen“.',
+    'refine.prompt': 'Prompt',
+    'refine.preview': 'App-Vorschau',
+    'refine.field.appName': 'App-Name',
+    'refine.field.tagline': 'Slogan',
+    'refine.field.description': 'Beschreibung',
+    'refine.field.keyFeatures': 'Hauptfunktionen',
+    'refine.field.targetAudience': 'Zielgruppe',
+    'refine.thinking': 'Denke nach…',
+    'refine.placeholder': 'Was soll sich ändern?',
+    'refine.instruction': 'Verfeinerungsanweisung',
+    'refine.send': 'Senden',
+    'refine.clear': 'Chat leeren',
+    'scaffold.heading': 'Starter-Code-Gerüst:',
+    'scaffold.download': 'ZIP herunterladen',
+    'scaffold.summary': 'Dateien: {files} · Zeilen: {lines} · {stack}',
+    'scaffold.files': 'Dateien des Gerüsts',
+    'scaffold.instructions': 'Optionale Anweisungen für {name}, z. B. „Eingabevalidierung hinzufügen“',
+    'scaffold.stopRegenerating': 'Neugenerierung stoppen',
+    'scaffold.regenerate': 'Diese Datei neu generieren',
+    'templates.heading': 'Vorlagenbibliothek',
+    'templates.close': 'Vorlagenbibliothek schließen',
+    'templates.customName': '{name} (angepasst)',
+    'templates.deleteConfirm': 'Die Vorlage „{name}“ löschen?',
+    'templates.name': 'Name',
+    'templates.description': 'Beschreibung',
+    'templates.enhancement': 'Verbesserungs-Meta-Prompt',
+    'templates.enhancementHint': '({{idea}} steht für die Idee des Nutzers)',
+    'templates.preview': 'Vorschau-Prompt',
+    'templates.previewHint': '(optional; {{prompt}} steht für den angepassten Prompt)',
+    'templates.extraFields': 'Zusatzfelder: {fields}.',
+    'templates.none': 'keine',
+    'templates.sectionsHint': 'Setzen Sie optionalen Text in {{#name}}...{{/name}}, damit er bei leerem Feld entfällt.',
+    'templates.problem.notObject': 'Die Vorlage muss ein Objekt sein.',
+    'templates.problem.nameRequired': 'Ein Name ist erforderlich.',
+    'templates.problem.ideaMissing': 'Die Verbesserungsvorlage muss {{idea}} enthalten.',
+    'templates.problem.promptMissing': 'Die Vorschauvorlage muss {{prompt}} enthalten.',
+    'templates.cancel': 'Abbrechen',
+    'templates.save': 'Vorlage speichern',
+    'templates.new': '+ Neue Vorlage',
+    'templates.exportMine': 'Meine Vorlagen exportieren',
+    'templates.import': 'Vorlagen importieren…',
+    'templates.mine': 'Meine Vorlagen',
+    'templates.empty': 'Noch keine eigenen Vorlagen.',
+    'templates.edit': 'Bearbeiten',
+    'templates.export': 'Exportieren',
+    'templates.delete': 'Löschen',
+    'templates.builtIn': 'Integrierte Vorlagen',
+    'templates.customize': 'Anpassen',
+    'templates.picker': 'Prompt-Vorlage',
+    'templates.builtInGroup': 'Integriert',
+    'templates.mineGroup': 'Meine Vorlagen',
+    'templates.manage': 'Vorlagen verwalten',
+    'templates.optional': 'Optional',
+    'templates.hideMetaPrompt': 'Meta-Prompt ausblenden',
+    'templates.showMetaPrompt': 'Meta-Prompt anzeigen',
+    'variants.framing.balanced': 'Ausgewogen',
+    'variants.framing.mvp': 'MVP-fokussiert',
+    'variants.framing.enterprise': 'Enterprise-Maßstab',
+    'variants.framing.consumer-viral': 'Verbraucher / viral',
+    'variants.temperature': 'Temperatur: {temperature}',
+    'variants.defaultTemperature': 'Standard',
+    'variants.generating': 'wird generiert…',
+    'variants.noText': 'Es wurde kein Text generiert.',
+    'variants.use': 'Diese Variante verwenden',
+    'variants.merge': 'Ausgewählte Abschnitte zusammenführen ({count})',
+    'variants.discard': 'Varianten verwerfen',
+    'variants.setupIntro': 'Erzeugen Sie mehrere Versionen des verbesserten Prompts parallel und vergleichen Sie sie nebeneinander. Lassen Sie die Temperatur leer, um die aus den Einstellungen zu verwenden.',
+    'variants.framingOf': 'Ausrichtung von Variante {number}',
+    'variants.temperatureLabel': 'Temperatur',
+    'variants.temperatureOf': 'Temperatur von Variante {number}',
+    'variants.remove': 'Entfernen',
+    'variants.add': '+ Variante hinzufügen',
+    'variants.generate': 'Varianten generieren ({count})',
+
+    'error.loadProjects': 'Gespeicherte Projekte konnten nicht geladen werden: {message}',
+    'error.openProject': 'Das Projekt konnte nicht geöffnet werden: {message}',
+    'error.renameProject': 'Das Projekt konnte nicht umbenannt werden: {message}',
+    'error.duplicateProject': 'Das Projekt konnte nicht dupliziert werden: {message}',
+    'error.deleteProject': 'Das Projekt konnte nicht gelöscht werden: {message}',
+    'error.budget.daily': 'Diese Anfrage würde dein Tagesbudget überschreiten. Erhöhe das Limit in den Einstellungen, um fortzufahren.',
+    'error.budget.project': 'Diese Anfrage würde das Projektbudget überschreiten. Erhöhe das Limit in den Einstellungen, um fortzufahren.',
+    'error.invalidResponse': '{message}. Bitte versuche es erneut.',
+    'error.connection': 'Verbindung zur KI fehlgeschlagen: {message}. Bitte versuche es erneut.',
+    'error.projectNotFound': 'Das Projekt wurde nicht gefunden. Vielleicht wurde es gelöscht.',
+    'error.ideaToAnalyze': 'Bitte gib eine Idee ein, die geprüft werden soll.',
+    'error.ideaToEnhance': 'Bitte gib eine Idee ein, die verbessert werden soll.',
+    'error.printWindow': 'Das Druckfenster konnte nicht geöffnet werden. Bitte erlaube Pop-ups für diese Seite und versuche es erneut.',
+    'error.invalidOpenApi': 'Das OpenAPI-Dokument ist ungültig und kann daher nicht heruntergeladen werden. Bitte erstelle das Datenmodell neu.',
+    'error.import': 'Import fehlgeschlagen: {message}',
+    'error.templateImport': 'Vorlagen-Import fehlgeschlagen: {message}',
+    'error.promptFirst': 'Bitte verbessere zuerst einen Prompt oder gib einen eigenen ein.',
+    'error.previewFirst': 'Bitte erstelle zuerst eine App-Vorschau.',
+    'error.featuresFirst': 'Bitte erstelle zuerst eine App-Vorschau mit Kernfunktionen.',
+    'error.techStackFirst': 'Bitte erstelle zuerst eine App-Vorschau mit Kernfunktionen und Vorschlägen für den Tech-Stack.',
+    'error.batchImport': 'Stapelimport fehlgeschlagen: {message}',
+    'error.batchOpen': 'Die Idee konnte nicht als Projekt gespeichert werden: {message}',
+    'error.share': 'Der Review-Link konnte nicht erstellt werden: {message}',
+    'error.shareTooLong': 'Die Spezifikation ist zu groß für einen Link. Erstelle stattdessen einen gespeicherten Link.',
+    'error.pipelineImport': 'Die Pipeline konnte nicht importiert werden: {message}',
+};
+
+export default de;
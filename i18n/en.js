@@ -0,0 +1,718 @@
+/**
+ * English UI strings. The reference bundle: every key exists here, and the other
+ * bundles fall back to it for keys they don't have.
+ */
+const en = {
+    'app.title': 'AI App Prompt Enhancer',
+    'app.subtitle': 'Turn your simple app idea into a clear, comprehensive prompt and preview!',
+
+    'header.projects': 'Projects',
+    'header.settings': 'Settings ({provider} · {model})',
+    'header.usage': 'Usage ({cost} today)',
+    'header.cache': 'Cache',
+    'header.cacheOff': 'Cache (off)',
+    'header.batch': 'Batch',
+    'header.batchRunning': 'Batch (running…)',
+    'header.pipeline': 'Pipeline',
+    'header.pipelineRunning': 'Pipeline (running…)',
+    'header.leaderboard': 'Leaderboard',
+    'header.share': 'Share for review',
+
+    'budget.reachedDaily': 'You have reached your daily budget ({limit}).',
+    'budget.reachedProject': 'You have reached your project budget ({limit}).',
+    'budget.blocked': 'New AI requests are blocked until you raise the limit.',
+    'budget.warned': 'Further requests will add to the cost.',
+
+    'idea.heading': '1. Your Simple App Idea',
+    'idea.placeholder': 'e.g., \'A to-do list app with reminders\' or \'An app to track my daily water intake\'',
+    'idea.analyze': 'Analyze Idea Quality',
+    'idea.reanalyze': 'Re-analyze Idea',
+    'idea.analyzing': 'Analyzing Idea...',
+
+    'enhance.button': 'Enhance Prompt',
+    'enhance.loading': 'Enhancing Prompt...',
+    'enhance.tokens': 'About {tokens} input tokens',
+    'enhance.cost': '{cost} before output',
+
+    'variants.open': 'Compare Variants...',
+    'variants.close': 'Hide Variant Options',
+    'variants.heading': 'Prompt Variants',
+    'variants.stop': 'Stop Variants',
+    'variants.intro': 'Use a whole variant, or tick sections from several variants and merge them in the order you ticked them.',
+
+    'prompt.heading': '2. Enhanced & Customizable Prompt',
+    'prompt.intro': 'Here\'s the detailed prompt generated from your idea. Feel free to customize it to refine your vision!',
+    'prompt.cached': 'This prompt',
+    'prompt.saveRevision': 'Save Revision',
+    'prompt.history': 'History ({count})',
+    'prompt.hideHistory': 'Hide History',
+    'prompt.historyHeading': 'Revision History',
+
+    'refine.heading': 'Refine with Chat',
+    'refine.intro': 'Give follow-up instructions. Proposed changes to the prompt are shown as diffs; nothing changes until you accept them.',
+    'refine.introWithPreview': 'Give follow-up instructions. Proposed changes to the prompt and the app preview are shown as diffs; nothing changes until you accept them.',
+
+    'preview.button': 'Generate App Preview',
+    'preview.loading': 'Generating Preview...',
+    'preview.heading': '3. App Preview',
+    'preview.fromRevision': 'Generated from prompt revision #{number}',
+    'preview.keyFeatures': 'Key Features:',
+    'preview.targetAudience': 'Target Audience:',
+    'preview.cached': 'This preview',
+
+    'addOn.names': 'Suggest App Names & Slogans ✨',
+    'addOn.monetization': 'Brainstorm Monetization ✨',
+    'addOn.techStack': 'Suggest Tech Stack ✨',
+    'addOn.backlog': 'Generate Backlog ✨',
+    'addOn.dataModel': 'Design Data Model & API ✨',
+    'addOn.mockup': 'Generate Mockup ✨',
+    'addOn.market': 'Analyze Market ✨',
+    'addOn.plan': 'Plan Project ✨',
+    'addOn.scaffold': 'Generate Scaffold ✨',
+    'addOn.evaluate': 'Evaluate Idea ✨',
+    'addOn.compliance': 'Review Compliance ✨',
+
+    'step.analyze': 'Idea analysis',
+    'step.enhance': 'Prompt enhancement',
+    'step.preview': 'App preview',
+    'step.refine': 'Chat refinement',
+    'step.names': 'Names & slogans',
+    'step.monetization': 'Monetization',
+    'step.techStack': 'Tech stack',
+    'step.backlog': 'Backlog',
+    'step.dataModel': 'Data model & API',
+    'step.mockup': 'UI mockup',
+    'step.market': 'Market analysis',
+    'step.plan': 'Project plan',
+    'step.scaffold': 'Code scaffold',
+    'step.evaluate': 'Evaluation',
+    'step.compliance': 'Compliance review',
+    'step.custom': 'Custom pipeline steps',
+
+    'names.heading': 'Suggested Names & Slogans:',
+    'names.names': 'Names:',
+    'names.taglines': 'Taglines:',
+    'names.forMarket': 'For {market}',
+
+    'monetization.heading': 'Monetization Strategies:',
+
+    'techStack.heading': 'High-Level Tech Stack Suggestions:',
+    'techStack.frontend': 'Frontend:',
+    'techStack.backend': 'Backend:',
+    'techStack.database': 'Database:',
+    'techStack.mobile': 'Mobile Specific:',
+    'techStack.empty': 'No specific tech stack suggestions at this time.',
+
+    'customSteps.heading': 'Custom Pipeline Steps:',
+
+    'evaluation.heading': 'Idea Evaluation:',
+    'evaluation.overall': 'Weighted score',
+    'evaluation.higherIsBetter': 'Scores are out of 10 and higher is always better: 10 means simple to build, quick to ship and low risk.',
+    'evaluation.ignored': 'not weighted',
+    'evaluation.adjustWeights': 'Adjust weights',
+    'evaluation.hideWeights': 'Hide weights',
+    'evaluation.weights': 'Weights',
+    'evaluation.weightsHint': 'How much each criterion counts in the weighted score, from 0 (ignored) to {max}. The weights apply to every evaluated idea.',
+    'evaluation.resetWeights': 'Reset to equal weights',
+    'criterion.feasibility': 'Feasibility',
+    'criterion.feasibility.short': 'Feas.',
+    'criterion.marketDemand': 'Market demand',
+    'criterion.marketDemand.short': 'Demand',
+    'criterion.technicalComplexity': 'Technical complexity',
+    'criterion.technicalComplexity.short': 'Compl.',
+    'criterion.timeToMvp': 'Time to MVP',
+    'criterion.timeToMvp.short': 'MVP',
+    'criterion.monetization': 'Monetization strength',
+    'criterion.monetization.short': 'Money',
+    'criterion.risk': 'Risk',
+    'criterion.risk.short': 'Risk',
+    'leaderboard.heading': 'Idea Leaderboard',
+    'leaderboard.close': 'Close leaderboard',
+    'leaderboard.intro': 'Your evaluated ideas, ranked by weighted score. Saved projects are included with their last saved evaluation.',
+    'leaderboard.empty': 'No evaluated ideas yet. Evaluate a few ideas to rank them here.',
+    'leaderboard.rank': '#',
+    'leaderboard.idea': 'Idea',
+    'leaderboard.score': 'Score',
+    'leaderboard.actions': 'Actions',
+    'leaderboard.open': 'Open',
+    'leaderboard.current': '(open)',
+    'leaderboard.compare': 'Compare two ideas',
+    'leaderboard.versus': 'vs',
+    'leaderboard.compareSlot': 'Idea {number} to compare',
+    'compliance.heading': 'Compliance Review:',
+    'compliance.regulations': 'Regulations',
+    'compliance.applies': 'Applies',
+    'compliance.notApplicable': 'Does not apply',
+    'compliance.personalData': 'Personal data handled',
+    'compliance.noPersonalData': 'The app does not appear to handle personal data.',
+    'compliance.sensitive': 'Sensitive',
+    'compliance.usedBy': 'Used by: {features}',
+    'compliance.threatModel': 'Threat model (STRIDE)',
+    'compliance.feature': 'Key feature',
+    'compliance.findings': 'Findings and required controls',
+    'compliance.findingsHint': 'Select the findings to add to your prompt as requirements. Critical and high findings not yet in the prompt are preselected.',
+    'compliance.control': 'Control',
+    'compliance.mitigation': 'Mitigation: {mitigation}',
+    'compliance.inPrompt': 'In prompt',
+    'compliance.addToPrompt': 'Add {count} to prompt as requirements',
+    'compliance.selectSevere': 'Select critical & high',
+    'compliance.selectAll': 'Select all',
+    'compliance.selectNone': 'Select none',
+    'severity.critical': 'Critical',
+    'severity.high': 'High',
+    'severity.medium': 'Medium',
+    'severity.low': 'Low',
+    'stride.spoofing': 'Spoofing',
+    'stride.spoofing.description': 'Pretending to be another user or system.',
+    'stride.tampering': 'Tampering',
+    'stride.tampering.description': 'Modifying data or code without authorization.',
+    'stride.repudiation': 'Repudiation',
+    'stride.repudiation.description': 'Denying an action because it cannot be traced.',
+    'stride.informationDisclosure': 'Information disclosure',
+    'stride.informationDisclosure.description': 'Exposing data to someone not allowed to see it.',
+    'stride.denialOfService': 'Denial of service',
+    'stride.denialOfService.description': 'Making the app unavailable or degraded.',
+    'stride.elevationOfPrivilege': 'Elevation of privilege',
+    'stride.elevationOfPrivilege.description': 'Gaining permissions one should not have.',
+
+    'tips.heading': 'Tips for Better Prompts',
+    'dimension.specificity.label': 'Be Specific',
+    'dimension.specificity.tip': 'Instead of "social media app," try "a social media app for sharing short video clips."',
+    'dimension.audience.label': 'Define Your Audience',
+    'dimension.audience.tip': 'Who is this app for? "Students," "small business owners," "fitness enthusiasts"?',
+    'dimension.features.label': 'List Key Features',
+    'dimension.features.tip': 'What are the absolute must-have functionalities? "User authentication," "image upload," "real-time chat."',
+    'dimension.platform.label': 'Consider Platform',
+    'dimension.platform.tip': 'Is it mobile-only, web-only, or both? Specify if it should work on iOS/Android.',
+    'dimension.uiux.label': 'Think UI/UX',
+    'dimension.uiux.tip': 'Mention desired look and feel. "Minimalist design," "intuitive navigation," "dark mode support."',
+    'dimension.constraints.label': 'Add Constraints/Goals',
+    'dimension.constraints.tip': '"Must be highly secure," "needs to scale to millions of users," "monetized through subscriptions."',
+
+    'stop.default': 'Stop',
+    'stop.step': 'Stop {step}',
+
+    'cache.loaded': '⚡ {label} was loaded from the cache.',
+    'cache.defaultLabel': 'This result',
+    'cache.regenerate': 'Regenerate (bypass cache)',
+
+    'batch.heading': 'Batch Mode',
+    'batch.close': 'Close batch mode',
+    'batch.intro': 'Upload a CSV or JSON list of up to {max} ideas. Each idea is enhanced and previewed with the selected template, plus the add-ons you choose. In CSV files, the column headed "idea" is used, or else the first one.',
+    'batch.upload': 'Upload CSV or JSON…',
+    'batch.concurrency': 'Ideas at a time',
+    'batch.extras': 'Also generate',
+    'batch.start': 'Start batch',
+    'batch.stop': 'Stop batch',
+    'batch.retry': 'Retry failed ({count})',
+    'batch.downloadCsv': 'Download CSV',
+    'batch.downloadJson': 'Download JSON',
+    'batch.clear': 'Clear',
+    'batch.summary': '{done} done · {failed} failed · {stopped} stopped · {pending} pending, of {total}',
+    'batch.column.label': 'Label',
+    'batch.column.idea': 'Idea',
+    'batch.column.status': 'Status',
+    'batch.column.result': 'Result',
+    'batch.column.actions': 'Actions',
+    'batch.status.queued': 'Queued',
+    'batch.status.running': 'Running',
+    'batch.status.waiting': 'Rate limited',
+    'batch.status.done': 'Done',
+    'batch.status.failed': 'Failed',
+    'batch.status.stopped': 'Stopped',
+    'batch.waitingUntil': 'Retrying at {time}',
+    'batch.open': 'Open as project',
+    'batch.importError.invalidJson': 'The file is not valid JSON ({message}).',
+    'batch.importError.notIdeaList': 'Expected a JSON array of ideas, or an object with an "ideas" array.',
+    'batch.importError.noIdeas': 'The file contains no ideas.',
+    'batch.importError.tooManyIdeas': 'The file contains {count} ideas; a batch can have at most {max}.',
+
+    'share.heading': 'Share for Review',
+    'share.close': 'Close sharing',
+    'share.intro': 'Reviewers see a read-only copy of the spec as it is now and can comment on each key feature and prompt section. Later edits are not shared; create a new link for them.',
+    'share.createInline': 'Create link with spec embedded',
+    'share.inlineHint': 'The spec travels in the link itself, so it works without an account. Very large specs may not fit.',
+    'share.createStored': 'Create saved link',
+    'share.storedHintRemote': 'The spec is saved online and the link is short.',
+    'share.storedHintLocal': 'No online storage is configured, so the spec is saved in this browser and the link only opens here.',
+    'share.commentsRemote': 'Comments are saved online, so everyone with the link sees them.',
+    'share.commentsLocal': 'Without online storage, comments are saved in this browser, so links with the spec embedded have none. Configure Firebase to collect comments from other people.',
+    'share.nothingToShare': 'Enhance a prompt or generate an app preview to share it.',
+    'share.links': 'Links',
+    'share.mode.inline': 'Embedded',
+    'share.mode.stored': 'Saved',
+    'share.url': 'Review link',
+    'share.copied': 'Copied',
+    'share.copy': 'Copy',
+    'share.open': 'Open',
+
+    'review.badge': 'Review',
+    'review.loading': 'Loading the shared spec…',
+    'review.loadFailed': 'Could not open the shared spec: {message}',
+    'review.loadCommentsFailed': 'Could not load the comments: {message}',
+    'review.saveFailed': 'Could not save the comment: {message}',
+    'review.exit': 'Back to the editor',
+    'review.sharedOn': 'Shared on {date}',
+    'review.ownerIntro': 'You shared this spec. Resolve comments once you have addressed them.',
+    'review.reviewerIntro': 'Leave comments on the key features and the prompt sections.',
+    'review.commentsOff': 'Comments are off for this link: without online storage they would only be saved in your browser, where the author can\'t see them.',
+    'review.openThreads': '{open} of {total} threads open.',
+    'review.yourName': 'Your name',
+    'review.namePlaceholder': 'Shown with your comments',
+    'review.targetAudience': 'Target audience:',
+    'review.keyFeatures': 'Key Features',
+    'review.prompt': 'Prompt',
+    'review.report': 'Full Report',
+    'review.reportHint': 'Everything generated for the spec, including the add-ons.',
+    'review.addComment': 'Add comment',
+    'review.commentPlaceholder': 'What should change, or what is unclear?',
+    'review.post': 'Post',
+    'review.replyPlaceholder': 'Reply…',
+    'review.reply': 'Reply',
+    'review.cancel': 'Cancel',
+    'review.authorBadge': '(author)',
+    'review.anonymous': 'Anonymous reviewer',
+    'review.resolved': 'Resolved',
+    'review.resolve': 'Resolve',
+    'review.reopen': 'Reopen',
+    'review.showReplies': 'Show replies ({count})',
+    'review.collapse': 'Hide replies',
+
+    'pipeline.heading': 'Generation Pipeline',
+    'pipeline.close': 'Close pipeline builder',
+    'pipeline.intro': 'The steps from idea to add-ons, run top to bottom. Add your own steps with a prompt template, reorder them, and choose which earlier output fills each input.',
+    'pipeline.run': 'Run pipeline',
+    'pipeline.stop': 'Stop pipeline',
+    'pipeline.export': 'Export JSON',
+    'pipeline.import': 'Import JSON',
+    'pipeline.reset': 'Reset to default',
+    'pipeline.resetConfirm': 'Replace this pipeline with the default steps? Custom steps will be removed.',
+    'pipeline.invalid': 'Fix the problems below before running the pipeline.',
+    'pipeline.stepType': 'Kind of step to add',
+    'pipeline.add.custom': 'Blank custom step',
+    'pipeline.preset.accessibilityAudit': 'Accessibility audit',
+    'pipeline.preset.launchTweet': 'Launch tweet',
+    'pipeline.addStep': 'Add step',
+    'pipeline.builtIn': 'Built-in',
+    'pipeline.status.queued': 'Queued',
+    'pipeline.status.running': 'Running…',
+    'pipeline.status.done': 'Done',
+    'pipeline.status.failed': 'Failed',
+    'pipeline.status.skipped': 'Skipped',
+    'pipeline.status.stopped': 'Stopped',
+    'pipeline.moveUp': 'Move step up',
+    'pipeline.moveDown': 'Move step down',
+    'pipeline.remove': 'Remove step',
+    'pipeline.name': 'Step name',
+    'pipeline.namePlaceholder': 'e.g. Accessibility audit',
+    'pipeline.template': 'Prompt template',
+    'pipeline.templateHint': 'Write {{name}} where a value goes; each name becomes an input below.',
+    'pipeline.output': 'Output',
+    'pipeline.output.text': 'Text',
+    'pipeline.output.json': 'JSON fields',
+    'pipeline.fields': 'Fields (comma-separated)',
+    'pipeline.fieldsPlaceholder': 'e.g. tweet, linkedInPost',
+    'pipeline.inputs': 'Inputs',
+    'pipeline.noInputs': 'This step has no inputs.',
+    'pipeline.notConnected': '— Not connected —',
+    'pipeline.input.idea': 'Simple idea',
+    'pipeline.input.prompt': 'Current prompt',
+    'pipeline.lastOutput': 'Output of the last run',
+    'pipeline.untitled': 'Untitled step',
+    'pipeline.optional': '(optional)',
+    'pipeline.problem.nameRequired': 'Name is required.',
+    'pipeline.problem.templateRequired': 'Prompt template is required.',
+    'pipeline.problem.fieldsRequired': 'A JSON output needs at least one field.',
+    'pipeline.problem.invalidField': 'Field names may only contain letters, digits and underscores.',
+    'pipeline.problem.duplicateField': 'Field names must be unique.',
+    'pipeline.problem.unknownType': 'Unknown step type "{type}".',
+    'pipeline.problem.notConnected': 'Input "{input}" is not connected.',
+    'pipeline.problem.laterStep': 'Input "{input}" is connected to a later step; move that step above this one.',
+    'pipeline.problem.missingSource': 'Input "{input}" is connected to a step that no longer exists.',
+    'pipeline.problem.wrongKind': 'Input "{input}" needs {kind}.',
+    'pipeline.kind.text': 'text',
+    'pipeline.kind.json': 'JSON fields',
+    'pipeline.kind.appPreview': 'an app preview',
+    'pipeline.kind.techStack': 'a tech stack',
+    'pipeline.kind.dataModel': 'a data model',
+    'pipeline.importError.invalidJson': 'The file is not valid JSON ({message}).',
+    'pipeline.importError.notPipeline': 'The file is not a pipeline export.',
+    'pipeline.importError.newerVersion': 'The pipeline was exported by a newer version of the app (format version {version}).',
+    'pipeline.importError.noNodes': 'Expected a pipeline with a "nodes" array.',
+    'pipeline.importError.tooManyNodes': 'A pipeline can have at most {max} steps.',
+    'pipeline.importError.invalidId': 'Step {step} needs a unique id without dots, colons or spaces.',
+    'pipeline.importError.unknownType': 'Step {step} has an unknown type "{type}".',
+
+    'settings.heading': 'Settings',
+    'settings.reset': 'Reset to Defaults',
+    'settings.cancel': 'Cancel',
+    'settings.save': 'Save Settings',
+    'settings.language': 'Language',
+    'settings.languageHint': 'The interface language only changes the app itself. Generated content is written in the output language, whatever the interface language.',
+    'settings.uiLanguage': 'Interface language',
+    'settings.uiLanguageAuto': 'Browser default',
+    'settings.outputLanguage': 'Output language',
+    'settings.markets': 'Target markets',
+    'settings.marketsPlaceholder': 'e.g. es-MX, de-DE, ja-JP',
+    'settings.marketsHint': 'Comma-separated language tags. Names and taglines are also suggested for each market.',
+    'settings.provider': 'AI Provider',
+    'settings.apiKey': 'API Key',
+    'settings.apiKeyCanvas': 'Leave empty inside Canvas',
+    'settings.apiKeyLocal': 'Optional for most local servers',
+    'settings.baseUrl': 'Base URL',
+    'settings.structuredOutput': 'Structured output',
+    'settings.jsonSchema': 'JSON schema',
+    'settings.jsonMode': 'JSON mode (schema in prompt)',
+    'settings.defaultModel': 'Default Model',
+    'settings.generation': 'Generation Parameters',
+    'settings.temperature': 'Temperature',
+    'settings.topP': 'Top P',
+    'settings.maxOutputTokens': 'Max output tokens',
+    'settings.modelDefault': 'Model default',
+    'settings.stepModels': 'Per-Step Models',
+    'settings.stepModelsHint': 'Leave a step empty to use the default model.',
+    'settings.stream': 'Stream the enhanced prompt as it is generated',
+    'settings.validation': 'Response Validation',
+    'settings.validationHint': 'Structured responses are checked against their schema. Invalid ones are sent back to the model with the errors to repair.',
+    'settings.maxRepairAttempts': 'Max repair attempts',
+    'settings.backoff': 'Initial backoff (ms)',
+    'settings.cache': 'Response Cache',
+    'settings.cacheHint': 'Identical requests (same prompt, model, parameters and schema) are answered from a cache in this browser instead of calling the AI again. Use "{regenerate}" on a cached result to get a fresh one.',
+    'settings.cacheEnabled': 'Cache AI responses',
+    'settings.cacheTtl': 'Keep responses for (hours)',
+    'settings.cacheSize': 'Maximum size (MB)',
+    'settings.pricing': 'Pricing & Budget',
+    'settings.pricingHint': 'Prices in USD per million tokens, used to estimate costs in the usage dashboard. A model without an exact entry uses the longest entry its name starts with.',
+    'settings.localFree': 'Requests to this local backend are free.',
+    'settings.priceModel': 'Model',
+    'settings.unnamedModel': 'this model',
+    'settings.inputPrice': 'Input price of {model}',
+    'settings.outputPrice': 'Output price of {model}',
+    'settings.inputPriceTitle': 'Input, per million tokens',
+    'settings.outputPriceTitle': 'Output, per million tokens',
+    'settings.removePrice': 'Remove',
+    'settings.addPrice': '+ Add Price',
+    'settings.dailyLimit': 'Daily limit (USD)',
+    'settings.projectLimit': 'Per-project limit (USD)',
+    'settings.noLimit': 'No limit',
+    'settings.limitAction': 'When a limit is reached',
+    'settings.warnOnly': 'Warn only',
+    'settings.blockRequests': 'Block further requests',
+    'settings.sync': 'Cloud Sync',
+    'settings.syncHint': 'Projects are always saved in this browser. Enable sync to mirror them to Firestore.',
+    'settings.syncEmulatorOnly': 'No Firebase config was provided, so sync only works against a local Firestore emulator.',
+    'settings.syncEnabled': 'Sync projects with Firestore',
+    'settings.emulatorHost': 'Emulator host',
+    'settings.emulatorHostPlaceholder': 'e.g. localhost:8080',
+    'settings.emulatorAuthUrl': 'Auth emulator URL',
+    'settings.emulatorAuthUrlPlaceholder': 'Optional, e.g. http://localhost:9099',
+    'settings.emulatorProjectId': 'Emulator project id',
+
+    'cache.heading': 'Response Cache',
+    'cache.close': 'Close response cache',
+    'cache.loading': 'Loading…',
+    'cache.summary': 'Cached responses: {count} · {size} of {max}',
+    'cache.loadFailed': 'Failed to read the cache: {message}',
+    'cache.dates': 'Cached {cached} · expires {expires}',
+    'cache.delete': 'Delete',
+    'cache.clear': 'Clear Cache',
+    'cache.clearConfirm': 'Delete all cached responses?',
+    'usage.heading': 'Usage',
+    'usage.close': 'Close usage dashboard',
+    'usage.noRequests': 'No requests yet.',
+    'usage.requests': 'Requests',
+    'usage.inputTokens': 'Input tokens',
+    'usage.outputTokens': 'Output tokens',
+    'usage.cost': 'Cost',
+    'usage.unpriced': 'Requests to a model without a price: {count}',
+    'usage.spentNoLimit': '{label}: {spent} (no limit)',
+    'usage.spentOfLimit': '{label}: {spent} of {limit}',
+    'usage.dayToday': '{day} (today)',
+    'usage.deletedProject': 'Deleted project',
+    'usage.unsavedSessions': 'Unsaved sessions',
+    'usage.batchRun': 'Batch run of {time}',
+    'usage.allTime': 'All time',
+    'usage.totals': 'Requests: {requests} · Tokens: {tokens}',
+    'usage.today': 'Today',
+    'usage.thisProject': 'This project',
+    'usage.blockHint': 'Requests are refused once a limit is reached.',
+    'usage.warnHint': 'You are warned once a limit is reached.',
+    'usage.settingsHint': 'Limits and prices are set in the settings.',
+    'usage.perDay': 'Per Day (last {days})',
+    'usage.day': 'Day',
+    'usage.perProject': 'Per Project',
+    'usage.project': 'Project',
+    'usage.costNote': 'Costs are estimates from the price table. * Includes requests to models without a price, counted as free.',
+    'usage.estimatedNote': 'Some token counts are estimated because the backend did not report them.',
+    'usage.clearConfirm': 'Clear the whole usage history? Budget totals will start from zero.',
+    'usage.clear': 'Clear History',
+
+    'projects.heading': 'Projects',
+    'projects.close': 'Close projects',
+    'projects.new': '+ New Project',
+    'projects.search': 'Search projects...',
+    'projects.empty': 'No saved projects yet.',
+    'projects.noMatches': 'No matching projects.',
+    'projects.saving': 'Saving…',
+    'projects.savedSynced': 'Saved & synced',
+    'projects.savedLocally': 'Saved locally',
+    'projects.saveFailed': 'Save failed',
+    'projects.rename': 'Rename',
+    'projects.duplicate': 'Duplicate',
+    'projects.delete': 'Delete',
+    'projects.deleteConfirm': 'Delete "{name}"? This cannot be undone.',
+    'projects.untitled': 'Untitled project',
+    'projects.copyName': '{name} (copy)',
+    'projects.imported': 'Imported project',
+    'backlog.heading': 'Feature Backlog:',
+    'backlog.exportCsv': 'Export CSV',
+    'backlog.exportGithub': 'Export GitHub Issues (JSON)',
+    'backlog.newEpic': 'New epic',
+    'backlog.epicTitle': 'Epic title',
+    'backlog.epicDescription': 'Epic description',
+    'backlog.deleteEpic': 'Delete epic',
+    'backlog.deleteEpicConfirm': 'Delete the epic "{title}" and its stories ({count})?',
+    'backlog.feature': 'Feature',
+    'backlog.story': 'User Story',
+    'backlog.acceptanceCriteria': 'Acceptance Criteria',
+    'backlog.priority': 'Priority',
+    'backlog.epic': 'Epic',
+    'backlog.actions': 'Actions',
+    'backlog.noFeature': '(none)',
+    'backlog.asA': 'As a',
+    'backlog.iWant': 'I want',
+    'backlog.soThat': 'so that',
+    'backlog.gherkin': 'Acceptance criteria (Gherkin)',
+    'backlog.moveToEpic': 'Move to epic',
+    'backlog.deleteStory': 'Delete story',
+    'backlog.addStory': '+ Add story',
+    'backlog.addEpic': '+ Add epic',
+    'dataModel.heading': 'Data Model & API Contract:',
+    'dataModel.downloadErd': 'Download ERD (.mmd)',
+    'dataModel.downloadOpenApi': 'Download OpenAPI (.json)',
+    'dataModel.tab.entities': 'Entities',
+    'dataModel.tab.erd': 'ER Diagram',
+    'dataModel.tab.openapi': 'OpenAPI 3.1',
+    'dataModel.field': 'Field',
+    'dataModel.type': 'Type',
+    'dataModel.key': 'Key',
+    'dataModel.required': 'Required',
+    'dataModel.description': 'Description',
+    'dataModel.yes': 'Yes',
+    'dataModel.no': 'No',
+    'dataModel.relations': 'Relations:',
+    'dataModel.openApiValid': '✓ Valid OpenAPI {version} document. Paths: {count}.',
+    'dataModel.openApiInvalid': 'The generated API contract is not valid OpenAPI 3.1, so it is not shown:',
+    'export.menu': '⇅ Export / Import',
+    'export.markdown': 'Markdown PRD (.md)',
+    'export.json': 'JSON spec (.json)',
+    'export.html': 'HTML report (.html)',
+    'export.pdf': 'Print / Save as PDF',
+    'export.import': 'Import JSON spec…',
+    'analysis.heading': 'Idea Quality',
+    'analysis.stale': 'Your idea has changed since this analysis. Analyze it again for up-to-date scores.',
+    'analysis.missingBadge': '(missing)',
+    'analysis.missing': 'Missing:',
+    'analysis.reviewAnswers': 'Review Answers',
+    'analysis.answerQuestions': 'Answer Clarifying Questions ({count})',
+    'analysis.answered': 'Answered: {count}. They will be included when you enhance.',
+    'analysis.clearAnswers': 'Clear answers',
+    'analysis.questionOf': 'Question {index} of {count} · {dimension}',
+    'analysis.back': 'Back',
+    'analysis.close': 'Close',
+    'analysis.enhance': 'Enhance with Answers',
+    'analysis.next': 'Next',
+    'analysis.skip': 'Skip',
+    'market.heading': 'Market Analysis:',
+    'market.comparables': 'Comparable Products:',
+    'market.examples': '(e.g. {examples})',
+    'market.differentiators': 'Differentiators:',
+    'market.swot': 'SWOT:',
+    'market.swot.strengths': 'Strengths',
+    'market.swot.weaknesses': 'Weaknesses',
+    'market.swot.opportunities': 'Opportunities',
+    'market.swot.threats': 'Threats',
+    'market.size': 'Market Size (rough):',
+    'market.size.tam': 'Total addressable market',
+    'market.size.sam': 'Serviceable addressable market',
+    'market.size.som': 'Serviceable obtainable market',
+    'market.personas': 'Personas:',
+    'market.goals': 'Goals',
+    'market.painPoints': 'Pain points',
+    'diagram.renderFailed': 'The diagram could not be rendered ({message}). Mermaid source:',
+    'diagram.rendering': 'Rendering diagram...',
+
+    'mockup.heading': 'Clickable Mockup:',
+    'mockup.deviceSize': 'Device size',
+    'mockup.device.phone': '📱 Phone',
+    'mockup.device.tablet': 'Tablet',
+    'mockup.device.desktop': '🖥 Desktop',
+    'mockup.frameTitle': 'Mockup: {name}',
+    'mockup.instructions': 'Optional instructions for "{name}", e.g. "add a search bar" or "use a dark theme"',
+    'mockup.stopRegenerating': 'Stop Regenerating',
+    'mockup.regenerate': 'Regenerate This Screen',
+    'plan.heading': 'Project Plan:',
+    'plan.exportCsv': 'Export CSV',
+    'plan.exportCalendar': 'Export Calendar (.ics)',
+    'plan.startDate': 'Start date',
+    'plan.estimates': 'Estimates',
+    'plan.scenario.optimistic': 'Optimistic',
+    'plan.scenario.likely': 'Most likely',
+    'plan.scenario.pessimistic': 'Pessimistic',
+    'plan.scenario.expected': 'Expected (PERT)',
+    'plan.duration': 'Working days: {days}, ending {end}',
+    'plan.durationSpread': 'Working days: {days} (± {spread}), ending {end}',
+    'plan.criticalPath': 'Critical path:',
+    'plan.role.frontend': 'Frontend',
+    'plan.role.backend': 'Backend',
+    'plan.role.design': 'Design',
+    'plan.role.qa': 'QA',
+    'plan.roleDays': '{role}: {days} days',
+    'plan.task': 'Task',
+    'plan.week': 'Week {week}',
+    'plan.slack': 'Slack: {days} days',
+    'plan.bar': '{name} · {role} · {start} – {end} ({days} days, {slack} days slack)',
+    'plan.barCritical': '{name} · {role} · {start} – {end} ({days} days, critical)',
+    'plan.select': 'Select {name}',
+    'plan.legend': 'Bars are coloured by role; red outlines mark the critical path and dashed lines show slack. Weekends are skipped.',
+    'plan.closeDetails': 'Close task details',
+    'plan.roleLabel': 'Role',
+    'plan.estimateDays': '{scenario} (days)',
+    'plan.estimateOrder': 'Estimates are usually optimistic ≤ most likely ≤ pessimistic.',
+    'plan.scheduled': 'Scheduled:',
+    'plan.scheduledSlack': '{start} – {end} ({slack} days slack)',
+    'plan.scheduledCritical': '{start} – {end} (critical path)',
+    'plan.dependsOn': 'Depends on:',
+    'plan.nothing': 'nothing',
+    'plan.unknownTask': 'Unknown task',
+    'history.source.ai': 'AI enhancement',
+    'history.source.manual': 'Manual save',
+    'history.source.restore': 'Restored',
+    'history.source.preview': 'Saved for preview',
+    'history.source.variant': 'Variant',
+    'history.source.merge': 'Merged variants',
+    'history.source.refine': 'Chat refinement',
+    'history.source.compliance': 'Compliance requirements',
+    'history.source.pipeline': 'Pipeline run',
+    'history.current': 'Current (unsaved)',
+    'history.empty': 'No revisions yet. Save the prompt to start a history.',
+    'history.restoredFrom': '{source} from #{number}',
+    'history.currentPreview': 'Current preview',
+    'history.previews': 'Previews: {count}',
+    'history.compare': 'Compare',
+    'history.restore': 'Restore',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.mode.inline': 'Inline',
+    'history.mode.split': 'Side by side',
+    'history.added': '+{count} words',
+    'history.removed': '−{count} words',
+
+    'refine.accept': 'Accept',
+    'refine.reject': 'Reject',
+    'refine.accepted': 'Accepted',
+    'refine.rejected': 'Rejected',
+    'refine.stale': 'This has changed since the edit was proposed, so it can no longer be applied.',
+    'refine.empty': 'Ask for changes in plain words, e.g. "drop social features, add offline mode".',
+    'refine.prompt': 'Prompt',
+    'refine.preview': 'App preview',
+    'refine.field.appName': 'App name',
+    'refine.field.tagline': 'Tagline',
+    'refine.field.description': 'Description',
+    'refine.field.keyFeatures': 'Key features',
+    'refine.field.targetAudience': 'Target audience',
+    'refine.thinking': 'Thinking…',
+    'refine.placeholder': 'What should change?',
+    'refine.instruction': 'Refinement instruction',
+    'refine.send': 'Send',
+    'refine.clear': 'Clear Chat',
+    'scaffold.heading': 'Starter Code Scaffold:',
+    'scaffold.download': 'Download ZIP',
+    'scaffold.summary': 'Files: {files} · Lines: {lines} · {stack}',
+    'scaffold.files': 'Scaffold files',
+    'scaffold.instructions': 'Optional instructions for {name}, e.g. "add input validation"',
+    'scaffold.stopRegenerating': 'Stop Regenerating',
+    'scaffold.regenerate': 'Regenerate This File',
+    'templates.heading': 'Template Library',
+    'templates.close': 'Close template library',
+    'templates.customName': '{name} (custom)',
+    'templates.deleteConfirm': 'Delete the template "{name}"?',
+    'templates.name': 'Name',
+    'templates.description': 'Description',
+    'templates.enhancement': 'Enhancement meta-prompt',
+    'templates.enhancementHint': '(use {{idea}} for the user\'s idea)',
+    'templates.preview': 'Preview prompt',
+    'templates.previewHint': '(optional; use {{prompt}} for the customized prompt)',
+    'templates.extraFields': 'Extra fields: {fields}.',
+    'templates.none': 'none',
+    'templates.sectionsHint': 'Wrap optional text in {{#name}}...{{/name}} to drop it when the field is empty.',
+    'templates.problem.notObject': 'Template must be an object.',
+    'templates.problem.nameRequired': 'Name is required.',
+    'templates.problem.ideaMissing': 'Enhancement template must include {{idea}}.',
+    'templates.problem.promptMissing': 'Preview template must include {{prompt}}.',
+    'templates.cancel': 'Cancel',
+    'templates.save': 'Save Template',
+    'templates.new': '+ New Template',
+    'templates.exportMine': 'Export My Templates',
+    'templates.import': 'Import Templates…',
+    'templates.mine': 'My Templates',
+    'templates.empty': 'No custom templates yet.',
+    'templates.edit': 'Edit',
+    'templates.export': 'Export',
+    'templates.delete': 'Delete',
+    'templates.builtIn': 'Built-in Presets',
+    'templates.customize': 'Customize',
+    'templates.picker': 'Prompt Template',
+    'templates.builtInGroup': 'Built-in',
+    'templates.mineGroup': 'My templates',
+    'templates.manage': 'Manage Templates',
+    'templates.optional': 'Optional',
+    'templates.hideMetaPrompt': 'Hide meta-prompt',
+    'templates.showMetaPrompt': 'Preview meta-prompt',
+    'variants.framing.balanced': 'Balanced',
+    'variants.framing.mvp': 'MVP-focused',
+    'variants.framing.enterprise': 'Enterprise-scale',
+    'variants.framing.consumer-viral': 'Consumer / viral',
+    'variants.temperature': 'Temperature: {temperature}',
+    'variants.defaultTemperature': 'default',
+    'variants.generating': 'generating…',
+    'variants.noText': 'No text was generated.',
+    'variants.use': 'Use This Variant',
+    'variants.merge': 'Merge Selected Sections ({count})',
+    'variants.discard': 'Discard Variants',
+    'variants.setupIntro': 'Generate several versions of the enhanced prompt in parallel, then compare them side by side. Leave the temperature empty to use the one from the settings.',
+    'variants.framingOf': 'Framing of variant {number}',
+    'variants.temperatureLabel': 'Temperature',
+    'variants.temperatureOf': 'Temperature of variant {number}',
+    'variants.remove': 'Remove',
+    'variants.add': '+ Add Variant',
+    'variants.generate': 'Generate Variants ({count})',
+
+    'error.loadProjects': 'Failed to load saved projects: {message}',
+    'error.openProject': 'Failed to open the project: {message}',
+    'error.renameProject': 'Failed to rename the project: {message}',
+    'error.duplicateProject': 'Failed to duplicate the project: {message}',
+    'error.deleteProject': 'Failed to delete the project: {message}',
+    'error.budget.daily': 'This request would exceed your daily budget. Raise the limit in the settings to continue.',
+    'error.budget.project': 'This request would exceed your project budget. Raise the limit in the settings to continue.',
+    'error.invalidResponse': '{message}. Please try again.',
+    'error.connection': 'Failed to connect to AI: {message}. Please try again.',
+    'error.projectNotFound': 'That project could not be found. It may have been deleted.',
+    'error.ideaToAnalyze': 'Please enter a simple idea to analyze.',
+    'error.ideaToEnhance': 'Please enter a simple idea to enhance.',
+    'error.printWindow': 'Could not open the print window. Please allow pop-ups for this page and try again.',
+    'error.invalidOpenApi': 'The OpenAPI document is not valid, so it cannot be downloaded. Please regenerate the data model.',
+    'error.import': 'Import failed: {message}',
+    'error.templateImport': 'Template import failed: {message}',
+    'error.promptFirst': 'Please enhance a prompt first or provide a custom prompt.',
+    'error.previewFirst': 'Please generate an app preview first.',
+    'error.featuresFirst': 'Please generate an app preview with key features first.',
+    'error.techStackFirst': 'Please generate an app preview with key features and tech stack suggestions first.',
+    'error.batchImport': 'Batch import failed: {message}',
+    'error.batchOpen': 'Could not save the idea as a project: {message}',
+    'error.share': 'Could not create the review link: {message}',
+    'error.shareTooLong': 'The spec is too large to fit in a link. Create a saved link instead.',
+    'error.pipelineImport': 'Could not import the pipeline: {message}',
+};
+
+export default en;
@@ -0,0 +1,717 @@
+/**
+ * Spanish UI strings.
+ */
+const es = {
+    'app.title': 'Potenciador de Prompts para Apps con IA',
+    'app.subtitle': '¡Convierte tu idea de app en un prompt claro y completo, con vista previa!',
+
+    'header.projects': 'Proyectos',
+    'header.settings': 'Ajustes ({provider} · {model})',
+    'header.usage': 'Uso ({cost} hoy)',
+    'header.cache': 'Caché',
+    'header.cacheOff': 'Caché (desactivada)',
+    'header.batch': 'Lote',
+    'header.batchRunning': 'Lote (en curso…)',
+    'header.pipeline': 'Pipeline',
+    'header.pipelineRunning': 'Pipeline (en curso…)',
+    'header.leaderboard': 'Clasificación',
+    'header.share': 'Compartir para revisión',
+
+    'budget.reachedDaily': 'Has alcanzado tu presupuesto diario ({limit}).',
+    'budget.reachedProject': 'Has alcanzado el presupuesto del proyecto ({limit}).',
+    'budget.blocked': 'Las nuevas solicitudes a la IA están bloqueadas hasta que subas el límite.',
+    'budget.warned': 'Las siguientes solicitudes aumentarán el coste.',
+
+    'idea.heading': '1. Tu idea de app',
+    'idea.placeholder': 'p. ej., \'Una app de tareas con recordatorios\' o \'Una app para controlar cuánta agua bebo al día\'',
+    'idea.analyze': 'Analizar la calidad de la idea',
+    'idea.reanalyze': 'Volver a analizar la idea',
+    'idea.analyzing': 'Analizando la idea...',
+
+    'enhance.button': 'Mejorar prompt',
+    'enhance.loading': 'Mejorando el prompt...',
+    'enhance.tokens': 'Unos {tokens} tokens de entrada',
+    'enhance.cost': '{cost} sin contar la salida',
+
+    'variants.open': 'Comparar variantes...',
+    'variants.close': 'Ocultar opciones de variantes',
+    'variants.heading': 'Variantes del prompt',
+    'variants.stop': 'Detener variantes',
+    'variants.intro': 'Usa una variante completa, o marca secciones de varias variantes y combínalas en el orden en que las marcaste.',
+
+    'prompt.heading': '2. Prompt mejorado y personalizable',
+    'prompt.intro': 'Este es el prompt detallado generado a partir de tu idea. ¡Personalízalo para afinar tu visión!',
+    'prompt.cached': 'Este prompt',
+    'prompt.saveRevision': 'Guardar revisión',
+    'prompt.history': 'Historial ({count})',
+    'prompt.hideHistory': 'Ocultar historial',
+    'prompt.historyHeading': 'Historial de revisiones',
+
+    'refine.heading': 'Refinar por chat',
+    'refine.intro': 'Da instrucciones adicionales. Los cambios propuestos al prompt se muestran como diferencias; nada cambia hasta que los aceptes.',
+    'refine.introWithPreview': 'Da instrucciones adicionales. Los cambios propuestos al prompt y a la vista previa se muestran como diferencias; nada cambia hasta que los aceptes.',
+
+    'preview.button': 'Generar vista previa de la app',
+    'preview.loading': 'Generando la vista previa...',
+    'preview.heading': '3. Vista previa de la app',
+    'preview.fromRevision': 'Generada a partir de la revisión n.º {number} del prompt',
+    'preview.keyFeatures': 'Funciones clave:',
+    'preview.targetAudience': 'Público objetivo:',
+    'preview.cached': 'Esta vista previa',
+
+    'addOn.names': 'Sugerir nombres y eslóganes ✨',
+    'addOn.monetization': 'Ideas de monetización ✨',
+    'addOn.techStack': 'Sugerir stack tecnológico ✨',
+    'addOn.backlog': 'Generar backlog ✨',
+    'addOn.dataModel': 'Diseñar modelo de datos y API ✨',
+    'addOn.mockup': 'Generar maqueta ✨',
+    'addOn.market': 'Analizar el mercado ✨',
+    'addOn.plan': 'Planificar el proyecto ✨',
+    'addOn.scaffold': 'Generar esqueleto de código ✨',
+    'addOn.evaluate': 'Evaluar la idea ✨',
+    'addOn.compliance': 'Revisar cumplimiento ✨',
+
+    'step.analyze': 'Análisis de la idea',
+    'step.enhance': 'Mejora del prompt',
+    'step.preview': 'Vista previa',
+    'step.refine': 'Refinamiento por chat',
+    'step.names': 'Nombres y eslóganes',
+    'step.monetization': 'Monetización',
+    'step.techStack': 'Stack tecnológico',
+    'step.backlog': 'Backlog',
+    'step.dataModel': 'Modelo de datos y API',
+    'step.mockup': 'Maqueta de la interfaz',
+    'step.market': 'Análisis de mercado',
+    'step.plan': 'Plan del proyecto',
+    'step.scaffold': 'Esqueleto de código',
+    'step.evaluate': 'Evaluación',
+    'step.compliance': 'Revisión de cumplimiento',
+    'step.custom': 'Pasos personalizados del pipeline',
+
+    'names.heading': 'Nombres y eslóganes sugeridos:',
+    'names.names': 'Nombres:',
+    'names.taglines': 'Eslóganes:',
+    'names.forMarket': 'Para {market}',
+
+    'monetization.heading': 'Estrategias de monetización:',
+
+    'techStack.heading': 'Sugerencias generales de stack tecnológico:',
+    'techStack.frontend': 'Frontend:',
+    'techStack.backend': 'Backend:',
+    'techStack.database': 'Base de datos:',
+    'techStack.mobile': 'Específico para móvil:',
+    'techStack.empty': 'Por ahora no hay sugerencias concretas de stack tecnológico.',
+
+    'customSteps.heading': 'Pasos personalizados del pipeline:',
+
+    'evaluation.heading': 'Evaluación de la idea:',
+    'evaluation.overall': 'Puntuación ponderada',
+    'evaluation.higherIsBetter': 'Las puntuaciones son sobre 10 y cuanto más alta, mejor: 10 significa fácil de construir, rápido de lanzar y de bajo riesgo.',
+    'evaluation.ignored': 'sin peso',
+    'evaluation.adjustWeights': 'Ajustar pesos',
+    'evaluation.hideWeights': 'Ocultar pesos',
+    'evaluation.weights': 'Pesos',
+    'evaluation.weightsHint': 'Cuánto cuenta cada criterio en la puntuación ponderada, de 0 (ignorado) a {max}. Los pesos se aplican a todas las ideas evaluadas.',
+    'evaluation.resetWeights': 'Restablecer pesos iguales',
+    'criterion.feasibility': 'Viabilidad',
+    'criterion.feasibility.short': 'Viab.',
+    'criterion.marketDemand': 'Demanda del mercado',
+    'criterion.marketDemand.short': 'Dem.',
+    'criterion.technicalComplexity': 'Complejidad técnica',
+    'criterion.technicalComplexity.short': 'Compl.',
+    'criterion.timeToMvp': 'Tiempo hasta el MVP',
+    'criterion.timeToMvp.short': 'MVP',
+    'criterion.monetization': 'Potencial de ingresos',
+    'criterion.monetization.short': 'Ingr.',
+    'criterion.risk': 'Riesgo',
+    'criterion.risk.short': 'Riesgo',
+    'leaderboard.heading': 'Clasificación de ideas',
+    'leaderboard.close': 'Cerrar la clasificación',
+    'leaderboard.intro': 'Tus ideas evaluadas, ordenadas por puntuación ponderada. Los proyectos guardados se incluyen con su última evaluación guardada.',
+    'leaderboard.empty': 'Aún no hay ideas evaluadas. Evalúa algunas ideas para clasificarlas aquí.',
+    'leaderboard.rank': '#',
+    'leaderboard.idea': 'Idea',
+    'leaderboard.score': 'Puntuación',
+    'leaderboard.actions': 'Acciones',
+    'leaderboard.open': 'Abrir',
+    'leaderboard.current': '(abierta)',
+    'leaderboard.compare': 'Comparar dos ideas',
+    'leaderboard.versus': 'frente a',
+    'leaderboard.compareSlot': 'Idea {number} para comparar',
+    'compliance.heading': 'Revisión de cumplimiento:',
+    'compliance.regulations': 'Normativas',
+    'compliance.applies': 'Aplica',
+    'compliance.notApplicable': 'No aplica',
+    'compliance.personalData': 'Datos personales tratados',
+    'compliance.noPersonalData': 'La aplicación no parece tratar datos personales.',
+    'compliance.sensitive': 'Sensible',
+    'compliance.usedBy': 'Usado por: {features}',
+    'compliance.threatModel': 'Modelo de amenazas (STRIDE)',
+    'compliance.feature': 'Funcionalidad clave',
+    'compliance.findings': 'Hallazgos y controles requeridos',
+    'compliance.findingsHint': 'Selecciona los hallazgos que quieres añadir a tu prompt como requisitos. Los críticos y altos que aún no están en el prompt vienen preseleccionados.',
+    'compliance.control': 'Control',
+    'compliance.mitigation': 'Mitigación: {mitigation}',
+    'compliance.inPrompt': 'En el prompt',
+    'compliance.addToPrompt': 'Añadir {count} al prompt como requisitos',
+    'compliance.selectSevere': 'Seleccionar críticos y altos',
+    'compliance.selectAll': 'Seleccionar todos',
+    'compliance.selectNone': 'No seleccionar ninguno',
+    'severity.critical': 'Crítica',
+    'severity.high': 'Alta',
+    'severity.medium': 'Media',
+    'severity.low': 'Baja',
+    'stride.spoofing': 'Suplantación',
+    'stride.spoofing.description': 'Hacerse pasar por otro usuario o sistema.',
+    'stride.tampering': 'Manipulación',
+    'stride.tampering.description': 'Modificar datos o código sin autorización.',
+    'stride.repudiation': 'Repudio',
+    'stride.repudiation.description': 'Negar una acción porque no se puede rastrear.',
+    'stride.informationDisclosure': 'Divulgación de información',
+    'stride.informationDisclosure.description': 'Exponer datos a quien no debe verlos.',
+    'stride.denialOfService': 'Denegación de servicio',
+    'stride.denialOfService.description': 'Dejar la aplicación inaccesible o degradada.',
+    'stride.elevationOfPrivilege': 'Elevación de privilegios',
+    'stride.elevationOfPrivilege.description': 'Obtener permisos que no se deberían tener.',
+
+    'tips.heading': 'Consejos para mejores prompts',
+    'dimension.specificity.label': 'Sé específico',
+    'dimension.specificity.tip': 'En lugar de "app de redes sociales", prueba con "una app de redes sociales para compartir vídeos cortos".',
+    'dimension.audience.label': 'Define tu público',
+    'dimension.audience.tip': '¿Para quién es esta app? ¿"Estudiantes", "pequeños empresarios", "aficionados al fitness"?',
+    'dimension.features.label': 'Enumera las funciones clave',
+    'dimension.features.tip': '¿Qué funciones son imprescindibles? "Autenticación de usuarios", "subida de imágenes", "chat en tiempo real".',
+    'dimension.platform.label': 'Piensa en la plataforma',
+    'dimension.platform.tip': '¿Solo móvil, solo web o ambas? Indica si debe funcionar en iOS/Android.',
+    'dimension.uiux.label': 'Piensa en la UI/UX',
+    'dimension.uiux.tip': 'Describe el aspecto deseado. "Diseño minimalista", "navegación intuitiva", "modo oscuro".',
+    'dimension.constraints.label': 'Añade restricciones y objetivos',
+    'dimension.constraints.tip': '"Debe ser muy segura", "tiene que escalar a millones de usuarios", "se monetiza con suscripciones".',
+
+    'stop.default': 'Detener',
+    'stop.step': 'Detener {step}',
+
+    'cache.loaded': '⚡ {label} se cargó desde la caché.',
+    'cache.defaultLabel': 'Este resultado',
+    'cache.regenerate': 'Regenerar (sin caché)',
+
+    'batch.heading': 'Modo por lotes',
+    'batch.close': 'Cerrar el modo por lotes',
+    'batch.intro': 'Sube una lista CSV o JSON de hasta {max} ideas. Cada idea se mejora y se previsualiza con la plantilla seleccionada, además de los complementos que elijas. En los archivos CSV se usa la columna con el encabezado "idea" o, si no existe, la primera.',
+    'batch.upload': 'Subir CSV o JSON…',
+    'batch.concurrency': 'Ideas a la vez',
+    'batch.extras': 'Generar también',
+    'batch.start': 'Iniciar lote',
+    'batch.stop': 'Detener lote',
+    'batch.retry': 'Reintentar fallidas ({count})',
+    'batch.downloadCsv': 'Descargar CSV',
+    'batch.downloadJson': 'Descargar JSON',
+    'batch.clear': 'Vaciar',
+    'batch.summary': '{done} completadas · {failed} fallidas · {stopped} detenidas · {pending} pendientes, de {total}',
+    'batch.column.label': 'Etiqueta',
+    'batch.column.idea': 'Idea',
+    'batch.column.status': 'Estado',
+    'batch.column.result': 'Resultado',
+    'batch.column.actions': 'Acciones',
+    'batch.status.queued': 'En cola',
+    'batch.status.running': 'En curso',
+    'batch.status.waiting': 'Límite de solicitudes',
+    'batch.status.done': 'Completada',
+    'batch.status.failed': 'Fallida',
+    'batch.status.stopped': 'Detenida',
+    'batch.waitingUntil': 'Se reintentará a las {time}',
+    'batch.open': 'Abrir como proyecto',
+    'batch.importError.invalidJson': 'El archivo no es un JSON válido ({message}).',
+    'batch.importError.notIdeaList': 'Se esperaba un array JSON de ideas, o un objeto con un array "ideas".',
+    'batch.importError.noIdeas': 'El archivo no contiene ideas.',
+    'batch.importError.tooManyIdeas': 'El archivo contiene {count} ideas; un lote puede tener como máximo {max}.',
+
+    'share.heading': 'Compartir para revisión',
+    'share.close': 'Cerrar compartir',
+    'share.intro': 'Los revisores ven una copia de solo lectura de la especificación tal como está ahora y pueden comentar cada función clave y sección del prompt. Los cambios posteriores no se comparten; crea un enlace nuevo para ellos.',
+    'share.createInline': 'Crear enlace con la especificación incluida',
+    'share.inlineHint': 'La especificación viaja en el propio enlace, así que funciona sin cuenta. Las muy grandes pueden no caber.',
+    'share.createStored': 'Crear enlace guardado',
+    'share.storedHintRemote': 'La especificación se guarda en línea y el enlace es corto.',
+    'share.storedHintLocal': 'No hay almacenamiento en línea configurado, así que la especificación se guarda en este navegador y el enlace solo se abre aquí.',
+    'share.commentsRemote': 'Los comentarios se guardan en línea, así que todos los que tengan el enlace los ven.',
+    'share.commentsLocal': 'Sin almacenamiento en línea, los comentarios se guardan en este navegador, así que los enlaces con la especificación incluida no tienen comentarios. Configura Firebase para recibir comentarios de otras personas.',
+    'share.nothingToShare': 'Mejora un prompt o genera una vista previa de la app para compartirla.',
+    'share.links': 'Enlaces',
+    'share.mode.inline': 'Incluida',
+    'share.mode.stored': 'Guardada',
+    'share.url': 'Enlace de revisión',
+    'share.copied': 'Copiado',
+    'share.copy': 'Copiar',
+    'share.open': 'Abrir',
+
+    'review.badge': 'Revisión',
+    'review.loading': 'Cargando la especificación compartida…',
+    'review.loadFailed': 'No se pudo abrir la especificación compartida: {message}',
+    'review.loadCommentsFailed': 'No se pudieron cargar los comentarios: {message}',
+    'review.saveFailed': 'No se pudo guardar el comentario: {message}',
+    'review.exit': 'Volver al editor',
+    'review.sharedOn': 'Compartida el {date}',
+    'review.ownerIntro': 'Compartiste esta especificación. Resuelve los comentarios cuando los hayas atendido.',
+    'review.reviewerIntro': 'Deja comentarios sobre las funciones clave y las secciones del prompt.',
+    'review.commentsOff': 'Los comentarios están desactivados en este enlace: sin almacenamiento en línea solo se guardarían en tu navegador, donde el autor no puede verlos.',
+    'review.openThreads': '{open} de {total} hilos abiertos.',
+    'review.yourName': 'Tu nombre',
+    'review.namePlaceholder': 'Se muestra con tus comentarios',
+    'review.targetAudience': 'Público objetivo:',
+    'review.keyFeatures': 'Funciones clave',
+    'review.prompt': 'Prompt',
+    'review.report': 'Informe completo',
+    'review.reportHint': 'Todo lo generado para la especificación, incluidos los complementos.',
+    'review.addComment': 'Añadir comentario',
+    'review.commentPlaceholder': '¿Qué debería cambiar o qué no está claro?',
+    'review.post': 'Publicar',
+    'review.replyPlaceholder': 'Responder…',
+    'review.reply': 'Responder',
+    'review.cancel': 'Cancelar',
+    'review.authorBadge': '(autor)',
+    'review.anonymous': 'Revisor anónimo',
+    'review.resolved': 'Resuelto',
+    'review.resolve': 'Resolver',
+    'review.reopen': 'Reabrir',
+    'review.showReplies': 'Mostrar respuestas ({count})',
+    'review.collapse': 'Ocultar respuestas',
+
+    'pipeline.heading': 'Pipeline de generación',
+    'pipeline.close': 'Cerrar el editor del pipeline',
+    'pipeline.intro': 'Los pasos de la idea a los complementos, ejecutados de arriba abajo. Añade tus propios pasos con una plantilla de prompt, reordénalos y elige qué resultado anterior alimenta cada entrada.',
+    'pipeline.run': 'Ejecutar pipeline',
+    'pipeline.stop': 'Detener pipeline',
+    'pipeline.export': 'Exportar JSON',
+    'pipeline.import': 'Importar JSON',
+    'pipeline.reset': 'Restablecer',
+    'pipeline.resetConfirm': '¿Sustituir este pipeline por los pasos predeterminados? Se eliminarán los pasos personalizados.',
+    'pipeline.invalid': 'Corrige los problemas siguientes antes de ejecutar el pipeline.',
+    'pipeline.stepType': 'Tipo de paso que añadir',
+    'pipeline.add.custom': 'Paso personalizado en blanco',
+    'pipeline.preset.accessibilityAudit': 'Auditoría de accesibilidad',
+    'pipeline.preset.launchTweet': 'Tuit de lanzamiento',
+    'pipeline.addStep': 'Añadir paso',
+    'pipeline.builtIn': 'Integrado',
+    'pipeline.status.queued': 'En cola',
+    'pipeline.status.running': 'En curso…',
+    'pipeline.status.done': 'Hecho',
+    'pipeline.status.failed': 'Error',
+    'pipeline.status.skipped': 'Omitido',
+    'pipeline.status.stopped': 'Detenido',
+    'pipeline.moveUp': 'Subir paso',
+    'pipeline.moveDown': 'Bajar paso',
+    'pipeline.remove': 'Eliminar paso',
+    'pipeline.name': 'Nombre del paso',
+    'pipeline.namePlaceholder': 'p. ej. Auditoría de accesibilidad',
+    'pipeline.template': 'Plantilla de prompt',
+    'pipeline.templateHint': 'Escribe {{nombre}} donde va un valor; cada nombre se convierte en una entrada abajo.',
+    'pipeline.output': 'Salida',
+    'pipeline.output.text': 'Texto',
+    'pipeline.output.json': 'Campos JSON',
+    'pipeline.fields': 'Campos (separados por comas)',
+    'pipeline.fieldsPlaceholder': 'p. ej. tweet, linkedInPost',
+    'pipeline.inputs': 'Entradas',
+    'pipeline.noInputs': 'Este paso no tiene entradas.',
+    'pipeline.notConnected': '— Sin conectar —',
+    'pipeline.input.idea': 'Idea simple',
+    'pipeline.input.prompt': 'Prompt actual',
+    'pipeline.lastOutput': 'Resultado de la última ejecución',
+    'pipeline.untitled': 'Paso sin nombre',
+    'pipeline.optional': '(opcional)',
+    'pipeline.problem.nameRequired': 'El nombre es obligatorio.',
+    'pipeline.problem.templateRequired': 'La plantilla de prompt es obligatoria.',
+    'pipeline.problem.fieldsRequired': 'Una salida JSON necesita al menos un campo.',
+    'pipeline.problem.invalidField': 'Los nombres de campo solo pueden contener letras, dígitos y guiones bajos.',
+    'pipeline.problem.duplicateField': 'Los nombres de campo deben ser únicos.',
+    'pipeline.problem.unknownType': 'Tipo de paso desconocido "{type}".',
+    'pipeline.problem.notConnected': 'La entrada "{input}" no está conectada.',
+    'pipeline.problem.laterStep': 'La entrada "{input}" está conectada a un paso posterior; mueve ese paso por encima de este.',
+    'pipeline.problem.missingSource': 'La entrada "{input}" está conectada a un paso que ya no existe.',
+    'pipeline.problem.wrongKind': 'La entrada "{input}" necesita {kind}.',
+    'pipeline.kind.text': 'texto',
+    'pipeline.kind.json': 'campos JSON',
+    'pipeline.kind.appPreview': 'una vista previa de la app',
+    'pipeline.kind.techStack': 'un stack tecnológico',
+    'pipeline.kind.dataModel': 'un modelo de datos',
+    'pipeline.importError.invalidJson': 'El archivo no es un JSON válido ({message}).',
+    'pipeline.importError.notPipeline': 'El archivo no es una exportación de pipeline.',
+    'pipeline.importError.newerVersion': 'El pipeline se exportó con una versión más reciente de la app (versión de formato {version}).',
+    'pipeline.importError.noNodes': 'Se esperaba un pipeline con un array "nodes".',
+    'pipeline.importError.tooManyNodes': 'Un pipeline puede tener como máximo {max} pasos.',
+    'pipeline.importError.invalidId': 'El paso {step} necesita un id único sin puntos, dos puntos ni espacios.',
+    'pipeline.importError.unknownType': 'El paso {step} tiene un tipo desconocido "{type}".',
+
+    'settings.heading': 'Ajustes',
+    'settings.reset': 'Restablecer valores predeterminados',
+    'settings.cancel': 'Cancelar',
+    'settings.save': 'Guardar ajustes',
+    'settings.language': 'Idioma',
+    'settings.languageHint': 'El idioma de la interfaz solo cambia la propia app. El contenido generado se escribe en el idioma de salida, sea cual sea el idioma de la interfaz.',
+    'settings.uiLanguage': 'Idioma de la interfaz',
+    'settings.uiLanguageAuto': 'El del navegador',
+    'settings.outputLanguage': 'Idioma de salida',
+    'settings.markets': 'Mercados objetivo',
+    'settings.marketsPlaceholder': 'p. ej. es-MX, de-DE, ja-JP',
+    'settings.marketsHint': 'Etiquetas de idioma separadas por comas. También se sugieren nombres y eslóganes para cada mercado.',
+    'settings.provider': 'Proveedor de IA',
+    'settings.apiKey': 'Clave de API',
+    'settings.apiKeyCanvas': 'Déjala vacía dentro de Canvas',
+    'settings.apiKeyLocal': 'Opcional para la mayoría de servidores locales',
+    'settings.baseUrl': 'URL base',
+    'settings.structuredOutput': 'Salida estructurada',
+    'settings.jsonSchema': 'Esquema JSON',
+    'settings.jsonMode': 'Modo JSON (esquema en el prompt)',
+    'settings.defaultModel': 'Modelo predeterminado',
+    'settings.generation': 'Parámetros de generación',
+    'settings.temperature': 'Temperatura',
+    'settings.topP': 'Top P',
+    'settings.maxOutputTokens': 'Máximo de tokens de salida',
+    'settings.modelDefault': 'Valor del modelo',
+    'settings.stepModels': 'Modelos por paso',
+    'settings.stepModelsHint': 'Deja un paso vacío para usar el modelo predeterminado.',
+    'settings.stream': 'Mostrar el prompt mejorado a medida que se genera',
+    'settings.validation': 'Validación de respuestas',
+    'settings.validationHint': 'Las respuestas estructuradas se comprueban con su esquema. Las no válidas se devuelven al modelo con los errores para que las corrija.',
+    'settings.maxRepairAttempts': 'Máximo de intentos de reparación',
+    'settings.backoff': 'Espera inicial (ms)',
+    'settings.cache': 'Caché de respuestas',
+    'settings.cacheHint': 'Las solicitudes idénticas (mismo prompt, modelo, parámetros y esquema) se responden desde una caché de este navegador en lugar de volver a llamar a la IA. Usa «{regenerate}» en un resultado en caché para obtener uno nuevo.',
+    'settings.cacheEnabled': 'Guardar en caché las respuestas de la IA',
+    'settings.cacheTtl': 'Conservar las respuestas durante (horas)',
+    'settings.cacheSize': 'Tamaño máximo (MB)',
+    'settings.pricing': 'Precios y presupuesto',
+    'settings.pricingHint': 'Precios en USD por millón de tokens, usados para estimar los costes en el panel de uso. Un modelo sin entrada exacta usa la entrada más larga con la que empieza su nombre.',
+    'settings.localFree': 'Las solicitudes a este backend local son gratuitas.',
+    'settings.priceModel': 'Modelo',
+    'settings.unnamedModel': 'este modelo',
+    'settings.inputPrice': 'Precio de entrada de {model}',
+    'settings.outputPrice': 'Precio de salida de {model}',
+    'settings.inputPriceTitle': 'Entrada, por millón de tokens',
+    'settings.outputPriceTitle': 'Salida, por millón de tokens',
+    'settings.removePrice': 'Quitar',
+    'settings.addPrice': '+ Añadir precio',
+    'settings.dailyLimit': 'Límite diario (USD)',
+    'settings.projectLimit': 'Límite por proyecto (USD)',
+    'settings.noLimit': 'Sin límite',
+    'settings.limitAction': 'Al alcanzar un límite',
+    'settings.warnOnly': 'Solo avisar',
+    'settings.blockRequests': 'Bloquear más solicitudes',
+    'settings.sync': 'Sincronización en la nube',
+    'settings.syncHint': 'Los proyectos siempre se guardan en este navegador. Activa la sincronización para replicarlos en Firestore.',
+    'settings.syncEmulatorOnly': 'No se proporcionó una configuración de Firebase, así que la sincronización solo funciona con un emulador local de Firestore.',
+    'settings.syncEnabled': 'Sincronizar proyectos con Firestore',
+    'settings.emulatorHost': 'Host del emulador',
+    'settings.emulatorHostPlaceholder': 'p. ej. localhost:8080',
+    'settings.emulatorAuthUrl': 'URL del emulador de Auth',
+    'settings.emulatorAuthUrlPlaceholder': 'Opcional, p. ej. http://localhost:9099',
+    'settings.emulatorProjectId': 'ID de proyecto del emulador',
+
+    'cache.heading': 'Caché de respuestas',
+    'cache.close': 'Cerrar la caché de respuestas',
+    'cache.loading': 'Cargando…',
+    'cache.summary': 'Respuestas en caché: {count} · {size} de {max}',
+    'cache.loadFailed': 'No se pudo leer la caché: {message}',
+    'cache.dates': 'Guardada {cached} · caduca {expires}',
+    'cache.delete': 'Eliminar',
+    'cache.clear': 'Vaciar caché',
+    'cache.clearConfirm': '¿Eliminar todas las respuestas en caché?',
+    'usage.heading': 'Uso',
+    'usage.close': 'Cerrar el panel de uso',
+    'usage.noRequests': 'Aún no hay solicitudes.',
+    'usage.requests': 'Solicitudes',
+    'usage.inputTokens': 'Tokens de entrada',
+    'usage.outputTokens': 'Tokens de salida',
+    'usage.cost': 'Coste',
+    'usage.unpriced': 'Solicitudes a un modelo sin precio: {count}',
+    'usage.spentNoLimit': '{label}: {spent} (sin límite)',
+    'usage.spentOfLimit': '{label}: {spent} de {limit}',
+    'usage.dayToday': '{day} (hoy)',
+    'usage.deletedProject': 'Proyecto eliminado',
+    'usage.unsavedSessions': 'Sesiones sin guardar',
+    'usage.batchRun': 'Lote del {time}',
+    'usage.allTime': 'Total histórico',
+    'usage.totals': 'Solicitudes: {requests} · Tokens: {tokens}',
+    'usage.today': 'Hoy',
+    'usage.thisProject': 'Este proyecto',
+    'usage.blockHint': 'Las solicitudes se rechazan al alcanzar un límite.',
+    'usage.warnHint': 'Se te avisa al alcanzar un límite.',
+    'usage.settingsHint': 'Los límites y precios se configuran en los ajustes.',
+    'usage.perDay': 'Por día (últimos {days})',
+    'usage.day': 'Día',
+    'usage.perProject': 'Por proyecto',
+    'usage.project': 'Proyecto',
+    'usage.costNote': 'Los costes son estimaciones según la tabla de precios. * Incluye solicitudes a modelos sin precio, contadas como gratuitas.',
+    'usage.estimatedNote': 'Algunos recuentos de tokens son estimados porque el backend no los informó.',
+    'usage.clearConfirm': '¿Borrar todo el historial de uso? Los totales del presupuesto empezarán desde cero.',
+    'usage.clear': 'Borrar historial',
+
+    'projects.heading': 'Proyectos',
+    'projects.close': 'Cerrar proyectos',
+    'projects.new': '+ Nuevo proyecto',
+    'projects.search': 'Buscar proyectos...',
+    'projects.empty': 'Aún no hay proyectos guardados.',
+    'projects.noMatches': 'Ningún proyecto coincide.',
+    'projects.saving': 'Guardando…',
+    'projects.savedSynced': 'Guardado y sincronizado',
+    'projects.savedLocally': 'Guardado localmente',
+    'projects.saveFailed': 'Error al guardar',
+    'projects.rename': 'Renombrar',
+    'projects.duplicate': 'Duplicar',
+    'projects.delete': 'Eliminar',
+    'projects.deleteConfirm': '¿Eliminar "{name}"? No se puede deshacer.',
+    'projects.untitled': 'Proyecto sin título',
+    'projects.copyName': '{name} (copia)',
+    'projects.imported': 'Proyecto importado',
+    'backlog.heading': 'Backlog de funcionalidades:',
+    'backlog.exportCsv': 'Exportar CSV',
+    'backlog.exportGithub': 'Exportar issues de GitHub (JSON)',
+    'backlog.newEpic': 'Nueva épica',
+    'backlog.epicTitle': 'Título de la épica',
+    'backlog.epicDescription': 'Descripción de la épica',
+    'backlog.deleteEpic': 'Eliminar épica',
+    'backlog.deleteEpicConfirm': '¿Eliminar la épica "{title}" y sus historias ({count})?',
+    'backlog.feature': 'Funcionalidad',
+    'backlog.story': 'Historia de usuario',
+    'backlog.acceptanceCriteria': 'Criterios de aceptación',
+    'backlog.priority': 'Prioridad',
+    'backlog.epic': 'Épica',
+    'backlog.actions': 'Acciones',
+    'backlog.noFeature': '(ninguna)',
+    'backlog.asA': 'Como',
+    'backlog.iWant': 'quiero',
+    'backlog.soThat': 'para',
+    'backlog.gherkin': 'Criterios de aceptación (Gherkin)',
+    'backlog.moveToEpic': 'Mover a la épica',
+    'backlog.deleteStory': 'Eliminar historia',
+    'backlog.addStory': '+ Añadir historia',
+    'backlog.addEpic': '+ Añadir épica',
+    'dataModel.heading': 'Modelo de datos y contrato de API:',
+    'dataModel.downloadErd': 'Descargar ERD (.mmd)',
+    'dataModel.downloadOpenApi': 'Descargar OpenAPI (.json)',
+    'dataModel.tab.entities': 'Entidades',
+    'dataModel.tab.erd': 'Diagrama ER',
+    'dataModel.tab.openapi': 'OpenAPI 3.1',
+    'dataModel.field': 'Campo',
+    'dataModel.type': 'Tipo',
+    'dataModel.key': 'Clave',
+    'dataModel.required': 'Obligatorio',
+    'dataModel.description': 'Descripción',
+    'dataModel.yes': 'Sí',
+    'dataModel.no': 'No',
+    'dataModel.relations': 'Relaciones:',
+    'dataModel.openApiValid': '✓ Documento OpenAPI {version} válido. Rutas: {count}.',
+    'dataModel.openApiInvalid': 'El contrato de API generado no es OpenAPI 3.1 válido, así que no se muestra:',
+    'export.menu': '⇅ Exportar / Importar',
+    'export.markdown': 'PRD en Markdown (.md)',
+    'export.json': 'Especificación JSON (.json)',
+    'export.html': 'Informe HTML (.html)',
+    'export.pdf': 'Imprimir / Guardar como PDF',
+    'export.import': 'Importar especificación JSON…',
+    'analysis.heading': 'Calidad de la idea',
+    'analysis.stale': 'Tu idea ha cambiado desde este análisis. Analízala de nuevo para obtener puntuaciones actualizadas.',
+    'analysis.missingBadge': '(falta)',
+    'analysis.missing': 'Falta:',
+    'analysis.reviewAnswers': 'Revisar respuestas',
+    'analysis.answerQuestions': 'Responder preguntas aclaratorias ({count})',
+    'analysis.answered': 'Respondidas: {count}. Se incluirán al mejorar.',
+    'analysis.clearAnswers': 'Borrar respuestas',
+    'analysis.questionOf': 'Pregunta {index} de {count} · {dimension}',
+    'analysis.back': 'Atrás',
+    'analysis.close': 'Cerrar',
+    'analysis.enhance': 'Mejorar con las respuestas',
+    'analysis.next': 'Siguiente',
+    'analysis.skip': 'Omitir',
+    'market.heading': 'Análisis de mercado:',
+    'market.comparables': 'Productos comparables:',
+    'market.examples': '(p. ej. {examples})',
+    'market.differentiators': 'Diferenciadores:',
+    'market.swot': 'DAFO:',
+    'market.swot.strengths': 'Fortalezas',
+    'market.swot.weaknesses': 'Debilidades',
+    'market.swot.opportunities': 'Oportunidades',
+    'market.swot.threats': 'Amenazas',
+    'market.size': 'Tamaño del mercado (aprox.):',
+    'market.size.tam': 'Mercado total direccionable',
+    'market.size.sam': 'Mercado direccionable atendible',
+    'market.size.som': 'Mercado obtenible atendible',
+    'market.personas': 'Personas:',
+    'market.goals': 'Objetivos',
+    'market.painPoints': 'Puntos de dolor',
+    'diagram.renderFailed': 'No se pudo representar el diagrama ({message}). Código Mermaid:',
+    'diagram.rendering': 'Representando el diagrama...',
+
+    'mockup.heading': 'Maqueta interactiva:',
+    'mockup.deviceSize': 'Tamaño del dispositivo',
+    'mockup.device.phone': '📱 Teléfono',
+    'mockup.device.tablet': 'Tableta',
+    'mockup.device.desktop': '🖥 Escritorio',
+    'mockup.frameTitle': 'Maqueta: {name}',
+    'mockup.instructions': 'Instrucciones opcionales para "{name}", p. ej. "añade una barra de búsqueda" o "usa un tema oscuro"',
+    'mockup.stopRegenerating': 'Detener regeneración',
+    'mockup.regenerate': 'Regenerar esta pantalla',
+    'plan.heading': 'Plan del proyecto:',
+    'plan.exportCsv': 'Exportar CSV',
+    'plan.exportCalendar': 'Exportar calendario (.ics)',
+    'plan.startDate': 'Fecha de inicio',
+    'plan.estimates': 'Estimaciones',
+    'plan.scenario.optimistic': 'Optimista',
+    'plan.scenario.likely': 'Más probable',
+    'plan.scenario.pessimistic': 'Pesimista',
+    'plan.scenario.expected': 'Esperada (PERT)',
+    'plan.duration': 'Días laborables: {days}, termina el {end}',
+    'plan.durationSpread': 'Días laborables: {days} (± {spread}), termina el {end}',
+    'plan.criticalPath': 'Ruta crítica:',
+    'plan.role.frontend': 'Frontend',
+    'plan.role.backend': 'Backend',
+    'plan.role.design': 'Diseño',
+    'plan.role.qa': 'QA',
+    'plan.roleDays': '{role}: {days} días',
+    'plan.task': 'Tarea',
+    'plan.week': 'Semana {week}',
+    'plan.slack': 'Holgura: {days} días',
+    'plan.bar': '{name} · {role} · {start} – {end} ({days} días, {slack} días de holgura)',
+    'plan.barCritical': '{name} · {role} · {start} – {end} ({days} días, crítica)',
+    'plan.select': 'Seleccionar {name}',
+    'plan.legend': 'Las barras se colorean por rol; los contornos rojos marcan la ruta crítica y las líneas discontinuas la holgura. Se omiten los fines de semana.',
+    'plan.closeDetails': 'Cerrar detalles de la tarea',
+    'plan.roleLabel': 'Rol',
+    'plan.estimateDays': '{scenario} (días)',
+    'plan.estimateOrder': 'Las estimaciones suelen ser optimista ≤ más probable ≤ pesimista.',
+    'plan.scheduled': 'Programada:',
+    'plan.scheduledSlack': '{start} – {end} ({slack} días de holgura)',
+    'plan.scheduledCritical': '{start} – {end} (ruta crítica)',
+    'plan.dependsOn': 'Depende de:',
+    'plan.nothing': 'nada',
+    'plan.unknownTask': 'Tarea desconocida',
+    'history.source.ai': 'Mejora con IA',
+    'history.source.manual': 'Guardado manual',
+    'history.source.restore': 'Restaurada',
+    'history.source.preview': 'Guardada para la vista previa',
+    'history.source.variant': 'Variante',
+    'history.source.merge': 'Variantes combinadas',
+    'history.source.refine': 'Refinamiento por chat',
+    'history.source.compliance': 'Requisitos de cumplimiento',
+    'history.source.pipeline': 'Ejecución del pipeline',
+    'history.current': 'Actual (sin guardar)',
+    'history.empty': 'Aún no hay revisiones. Guarda el prompt para empezar un historial.',
+    'history.restoredFrom': '{source} desde #{number}',
+    'history.currentPreview': 'Vista previa actual',
+    'history.previews': 'Vistas previas: {count}',
+    'history.compare': 'Comparar',
+    'history.restore': 'Restaurar',
+    'history.from': 'Desde',
+    'history.to': 'Hasta',
+    'history.mode.inline': 'En línea',
+    'history.mode.split': 'Lado a lado',
+    'history.added': '+{count} palabras',
+    'history.removed': '−{count} palabras',
+
+    'refine.accept': 'Aceptar',
+    'refine.reject': 'Rechazar',
+    'refine.accepted': 'Aceptado',
+    'refine.rejected': 'Rechazado',
+    'refine.stale': 'Esto ha cambiado desde que se propuso la edición, así que ya no se puede aplicar.',
+    'refine.empty': 'Pide cambios con tus palabras, p. ej. "quita las funciones sociales, añade modo sin conexión".',
+    'refine.prompt': 'Prompt',
+    'refine.preview': 'Vista previa de la app',
+    'refine.field.appName': 'Nombre de la app',
+    'refine.field.tagline': 'Eslogan',
+    'refine.field.description': 'Descripción',
+    'refine.field.keyFeatures': 'Funcionalidades clave',
+    'refine.field.targetAudience': 'Público objetivo',
+    'refine.thinking': 'Pensando…',
+    'refine.placeholder': '¿Qué debería cambiar?',
+    'refine.instruction': 'Instrucción de refinamiento',
+    'refine.send': 'Enviar',
+    'refine.clear': 'Borrar chat',
+    'scaffold.heading': 'Esqueleto de código inicial:',
+    'scaffold.download': 'Descargar ZIP',
+    'scaffold.summary': 'Archivos: {files} · Líneas: {lines} · {stack}',
+    'scaffold.files': 'Archivos del esqueleto',
+    'scaffold.instructions': 'Instrucciones opcionales para {name}, p. ej. "añade validación de entradas"',
+    'scaffold.stopRegenerating': 'Detener regeneración',
+    'scaffold.regenerate': 'Regenerar este archivo',
+    'templates.heading': 'Biblioteca de plantillas',
+    'templates.close': 'Cerrar la biblioteca de plantillas',
+    'templates.customName': '{name} (personalizada)',
+    'templates.deleteConfirm': '¿Eliminar la plantilla "{name}"?',
+    'templates.name': 'Nombre',
+    'templates.description': 'Descripción',
+    'templates.enhancement': 'Meta-prompt de mejora',
+    'templates.enhancementHint': '(usa {{idea}} para la idea del usuario)',
+    'templates.preview': 'Prompt de vista previa',
+    'templates.previewHint': '(opcional; usa {{prompt}} para el prompt personalizado)',
+    'templates.extraFields': 'Campos adicionales: {fields}.',
+    'templates.none': 'ninguno',
+    'templates.sectionsHint': 'Envuelve el texto opcional en {{#name}}...{{/name}} para omitirlo cuando el campo esté vacío.',
+    'templates.problem.notObject': 'La plantilla debe ser un objeto.',
+    'templates.problem.nameRequired': 'El nombre es obligatorio.',
+    'templates.problem.ideaMissing': 'La plantilla de mejora debe incluir {{idea}}.',
+    'templates.problem.promptMissing': 'La plantilla de vista previa debe incluir {{prompt}}.',
+    'templates.cancel': 'Cancelar',
+    'templates.save': 'Guardar plantilla',
+    'templates.new': '+ Nueva plantilla',
+    'templates.exportMine': 'Exportar mis plantillas',
+    'templates.import': 'Importar plantillas…',
+    'templates.mine': 'Mis plantillas',
+    'templates.empty': 'Aún no hay plantillas personalizadas.',
+    'templates.edit': 'Editar',
+    'templates.export': 'Exportar',
+    'templates.delete': 'Eliminar',
+    'templates.builtIn': 'Plantillas predefinidas',
+    'templates.customize': 'Personalizar',
+    'templates.picker': 'Plantilla de prompt',
+    'templates.builtInGroup': 'Predefinidas',
+    'templates.mineGroup': 'Mis plantillas',
+    'templates.manage': 'Gestionar plantillas',
+    'templates.optional': 'Opcional',
+    'templates.hideMetaPrompt': 'Ocultar meta-prompt',
+    'templates.showMetaPrompt': 'Ver meta-prompt',
+    'variants.framing.balanced': 'Equilibrada',
+    'variants.framing.mvp': 'Enfocada en MVP',
+    'variants.framing.enterprise': 'Escala empresarial',
+    'variants.framing.consumer-viral': 'Consumo / viral',
+    'variants.temperature': 'Temperatura: {temperature}',
+    'variants.defaultTemperature': 'predeterminada',
+    'variants.generating': 'generando…',
+    'variants.noText': 'No se generó texto.',
+    'variants.use': 'Usar esta variante',
+    'variants.merge': 'Combinar secciones seleccionadas ({count})',
+    'variants.discard': 'Descartar variantes',
+    'variants.setupIntro': 'Genera varias versiones del prompt mejorado en paralelo y compáralas lado a lado. Deja la temperatura vacía para usar la de los ajustes.',
+    'variants.framingOf': 'Enfoque de la variante {number}',
+    'variants.temperatureLabel': 'Temperatura',
+    'variants.temperatureOf': 'Temperatura de la variante {number}',
+    'variants.remove': 'Quitar',
+    'variants.add': '+ Añadir variante',
+    'variants.generate': 'Generar variantes ({count})',
+
+    'error.loadProjects': 'No se pudieron cargar los proyectos guardados: {message}',
+    'error.openProject': 'No se pudo abrir el proyecto: {message}',
+    'error.renameProject': 'No se pudo renombrar el proyecto: {message}',
+    'error.duplicateProject': 'No se pudo duplicar el proyecto: {message}',
+    'error.deleteProject': 'No se pudo eliminar el proyecto: {message}',
+    'error.budget.daily': 'Esta solicitud superaría tu presupuesto diario. Sube el límite en los ajustes para continuar.',
+    'error.budget.project': 'Esta solicitud superaría el presupuesto del proyecto. Sube el límite en los ajustes para continuar.',
+    'error.invalidResponse': '{message}. Inténtalo de nuevo.',
+    'error.connection': 'No se pudo conectar con la IA: {message}. Inténtalo de nuevo.',
+    'error.projectNotFound': 'No se encontró ese proyecto. Puede que se haya eliminado.',
+    'error.ideaToAnalyze': 'Escribe una idea para analizarla.',
+    'error.ideaToEnhance': 'Escribe una idea para mejorarla.',
+    'error.printWindow': 'No se pudo abrir la ventana de impresión. Permite las ventanas emergentes en esta página e inténtalo de nuevo.',
+    'error.invalidOpenApi': 'El documento OpenAPI no es válido, así que no se puede descargar. Vuelve a generar el modelo de datos.',
+    'error.import': 'Error al importar: {message}',
+    'error.templateImport': 'Error al importar las plantillas: {message}',
+    'error.promptFirst': 'Primero mejora un prompt o escribe uno personalizado.',
+    'error.previewFirst': 'Primero genera una vista previa de la app.',
+    'error.featuresFirst': 'Primero genera una vista previa de la app con funciones clave.',
+    'error.techStackFirst': 'Primero genera una vista previa de la app con funciones clave y sugerencias de stack tecnológico.',
+    'error.batchImport': 'Error al importar el lote: {message}',
+    'error.batchOpen': 'No se pudo guardar la idea como proyecto: {message}',
+    'error.share': 'No se pudo crear el enlace de revisión: {message}',
+    'error.shareTooLong': 'La especificación es demasiado grande para caber en un enlace. Crea un enlace guardado.',
+    'error.pipelineImport': 'No se pudo importar el pipeline: {message}',
+};
+
+export default es;
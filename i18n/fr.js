@@ -0,0 +1,717 @@
+/**
+ * French UI strings.
+ */
+const fr = {
+    'app.title': 'Amplificateur de prompts d\'apps par IA',
+    'app.subtitle': 'Transformez votre idée d\'app en un prompt clair et complet, avec un aperçu !',
+
+    'header.projects': 'Projets',
+    'header.settings': 'Paramètres ({provider} · {model})',
+    'header.usage': 'Utilisation ({cost} aujourd\'hui)',
+    'header.cache': 'Cache',
+    'header.cacheOff': 'Cache (désactivé)',
+    'header.batch': 'Lot',
+    'header.batchRunning': 'Lot (en cours…)',
+    'header.pipeline': 'Pipeline',
+    'header.pipelineRunning': 'Pipeline (en cours…)',
+    'header.leaderboard': 'Classement',
+    'header.share': 'Partager pour relecture',
+
+    'budget.reachedDaily': 'Vous avez atteint votre budget quotidien ({limit}).',
+    'budget.reachedProject': 'Vous avez atteint le budget du projet ({limit}).',
+    'budget.blocked': 'Les nouvelles requêtes à l\'IA sont bloquées jusqu\'à ce que vous releviez la limite.',
+    'budget.warned': 'Les requêtes suivantes s\'ajouteront au coût.',
+
+    'idea.heading': '1. Votre idée d\'app',
+    'idea.placeholder': 'p. ex. « Une app de tâches avec des rappels » ou « Une app pour suivre ma consommation d\'eau quotidienne »',
+    'idea.analyze': 'Analyser la qualité de l\'idée',
+    'idea.reanalyze': 'Analyser à nouveau l\'idée',
+    'idea.analyzing': 'Analyse de l\'idée...',
+
+    'enhance.button': 'Améliorer le prompt',
+    'enhance.loading': 'Amélioration du prompt...',
+    'enhance.tokens': 'Environ {tokens} tokens en entrée',
+    'enhance.cost': '{cost} hors sortie',
+
+    'variants.open': 'Comparer des variantes...',
+    'variants.close': 'Masquer les options de variantes',
+    'variants.heading': 'Variantes du prompt',
+    'variants.stop': 'Arrêter les variantes',
+    'variants.intro': 'Utilisez une variante entière, ou cochez des sections de plusieurs variantes et fusionnez-les dans l\'ordre où vous les avez cochées.',
+
+    'prompt.heading': '2. Prompt amélioré et personnalisable',
+    'prompt.intro': 'Voici le prompt détaillé généré à partir de votre idée. N\'hésitez pas à le personnaliser pour affiner votre vision !',
+    'prompt.cached': 'Ce prompt',
+    'prompt.saveRevision': 'Enregistrer la révision',
+    'prompt.history': 'Historique ({count})',
+    'prompt.hideHistory': 'Masquer l\'historique',
+    'prompt.historyHeading': 'Historique des révisions',
+
+    'refine.heading': 'Affiner par chat',
+    'refine.intro': 'Donnez des instructions complémentaires. Les modifications proposées au prompt s\'affichent sous forme de différences ; rien ne change tant que vous ne les acceptez pas.',
+    'refine.introWithPreview': 'Donnez des instructions complémentaires. Les modifications proposées au prompt et à l\'aperçu s\'affichent sous forme de différences ; rien ne change tant que vous ne les acceptez pas.',
+
+    'preview.button': 'Générer l\'aperçu de l\'app',
+    'preview.loading': 'Génération de l\'aperçu...',
+    'preview.heading': '3. Aperçu de l\'app',
+    'preview.fromRevision': 'Généré à partir de la révision n° {number} du prompt',
+    'preview.keyFeatures': 'Fonctionnalités clés :',
+    'preview.targetAudience': 'Public cible :',
+    'preview.cached': 'Cet aperçu',
+
+    'addOn.names': 'Suggérer des noms et slogans ✨',
+    'addOn.monetization': 'Idées de monétisation ✨',
+    'addOn.techStack': 'Suggérer une stack technique ✨',
+    'addOn.backlog': 'Générer le backlog ✨',
+    'addOn.dataModel': 'Concevoir le modèle de données et l\'API ✨',
+    'addOn.mockup': 'Générer une maquette ✨',
+    'addOn.market': 'Analyser le marché ✨',
+    'addOn.plan': 'Planifier le projet ✨',
+    'addOn.scaffold': 'Générer le squelette de code ✨',
+    'addOn.evaluate': 'Évaluer l\'idée ✨',
+    'addOn.compliance': 'Vérifier la conformité ✨',
+
+    'step.analyze': 'Analyse de l\'idée',
+    'step.enhance': 'Amélioration du prompt',
+    'step.preview': 'Aperçu de l\'app',
+    'step.refine': 'Affinage par chat',
+    'step.names': 'Noms et slogans',
+    'step.monetization': 'Monétisation',
+    'step.techStack': 'Stack technique',
+    'step.backlog': 'Backlog',
+    'step.dataModel': 'Modèle de données et API',
+    'step.mockup': 'Maquette de l\'interface',
+    'step.market': 'Analyse de marché',
+    'step.plan': 'Plan de projet',
+    'step.scaffold': 'Squelette de code',
+    'step.evaluate': 'Évaluation',
+    'step.compliance': 'Revue de conformité',
+    'step.custom': 'Étapes personnalisées du pipeline',
+
+    'names.heading': 'Noms et slogans suggérés :',
+    'names.names': 'Noms :',
+    'names.taglines': 'Slogans :',
+    'names.forMarket': 'Pour {market}',
+
+    'monetization.heading': 'Stratégies de monétisation :',
+
+    'techStack.heading': 'Suggestions générales de stack technique :',
+    'techStack.frontend': 'Frontend :',
+    'techStack.backend': 'Backend :',
+    'techStack.database': 'Base de données :',
+    'techStack.mobile': 'Spécifique au mobile :',
+    'techStack.empty': 'Aucune suggestion de stack technique pour le moment.',
+
+    'customSteps.heading': 'Étapes personnalisées du pipeline :',
+
+    'evaluation.heading': 'Évaluation de l\'idée :',
+    'evaluation.overall': 'Score pondéré',
+    'evaluation.higherIsBetter': 'Les notes sont sur 10 et plus elles sont élevées, mieux c\'est : 10 signifie simple à construire, rapide à lancer et peu risqué.',
+    'evaluation.ignored': 'non pondéré',
+    'evaluation.adjustWeights': 'Ajuster les pondérations',
+    'evaluation.hideWeights': 'Masquer les pondérations',
+    'evaluation.weights': 'Pondérations',
+    'evaluation.weightsHint': 'Poids de chaque critère dans le score pondéré, de 0 (ignoré) à {max}. Les pondérations s\'appliquent à toutes les idées évaluées.',
+    'evaluation.resetWeights': 'Revenir à des poids égaux',
+    'criterion.feasibility': 'Faisabilité',
+    'criterion.feasibility.short': 'Fais.',
+    'criterion.marketDemand': 'Demande du marché',
+    'criterion.marketDemand.short': 'Dem.',
+    'criterion.technicalComplexity': 'Complexité technique',
+    'criterion.technicalComplexity.short': 'Compl.',
+    'criterion.timeToMvp': 'Délai jusqu\'au MVP',
+    'criterion.timeToMvp.short': 'MVP',
+    'criterion.monetization': 'Potentiel de revenus',
+    'criterion.monetization.short': 'Rev.',
+    'criterion.risk': 'Risque',
+    'criterion.risk.short': 'Risque',
+    'leaderboard.heading': 'Classement des idées',
+    'leaderboard.close': 'Fermer le classement',
+    'leaderboard.intro': 'Vos idées évaluées, classées par score pondéré. Les projets enregistrés figurent avec leur dernière évaluation enregistrée.',
+    'leaderboard.empty': 'Aucune idée évaluée pour l\'instant. Évaluez quelques idées pour les classer ici.',
+    'leaderboard.rank': '#',
+    'leaderboard.idea': 'Idée',
+    'leaderboard.score': 'Score',
+    'leaderboard.actions': 'Actions',
+    'leaderboard.open': 'Ouvrir',
+    'leaderboard.current': '(ouverte)',
+    'leaderboard.compare': 'Comparer deux idées',
+    'leaderboard.versus': 'contre',
+    'leaderboard.compareSlot': 'Idée {number} à comparer',
+    'compliance.heading': 'Revue de conformité :',
+    'compliance.regulations': 'Réglementations',
+    'compliance.applies': 'S\'applique',
+    'compliance.notApplicable': 'Ne s\'applique pas',
+    'compliance.personalData': 'Données personnelles traitées',
+    'compliance.noPersonalData': 'L\'application ne semble pas traiter de données personnelles.',
+    'compliance.sensitive': 'Sensible',
+    'compliance.usedBy': 'Utilisé par : {features}',
+    'compliance.threatModel': 'Modèle de menaces (STRIDE)',
+    'compliance.feature': 'Fonctionnalité clé',
+    'compliance.findings': 'Constats et contrôles requis',
+    'compliance.findingsHint': 'Sélectionnez les constats à ajouter à votre prompt comme exigences. Les constats critiques et élevés pas encore dans le prompt sont présélectionnés.',
+    'compliance.control': 'Contrôle',
+    'compliance.mitigation': 'Atténuation : {mitigation}',
+    'compliance.inPrompt': 'Dans le prompt',
+    'compliance.addToPrompt': 'Ajouter {count} au prompt comme exigences',
+    'compliance.selectSevere': 'Sélectionner critiques et élevés',
+    'compliance.selectAll': 'Tout sélectionner',
+    'compliance.selectNone': 'Ne rien sélectionner',
+    'severity.critical': 'Critique',
+    'severity.high': 'Élevée',
+    'severity.medium': 'Moyenne',
+    'severity.low': 'Faible',
+    'stride.spoofing': 'Usurpation',
+    'stride.spoofing.description': 'Se faire passer pour un autre utilisateur ou système.',
+    'stride.tampering': 'Falsification',
+    'stride.tampering.description': 'Modifier des données ou du code sans autorisation.',
+    'stride.repudiation': 'Répudiation',
+    'stride.repudiation.description': 'Nier une action faute de traçabilité.',
+    'stride.informationDisclosure': 'Divulgation d\'informations',
+    'stride.informationDisclosure.description': 'Exposer des données à quelqu\'un qui ne doit pas les voir.',
+    'stride.denialOfService': 'Déni de service',
+    'stride.denialOfService.description': 'Rendre l\'application indisponible ou dégradée.',
+    'stride.elevationOfPrivilege': 'Élévation de privilèges',
+    'stride.elevationOfPrivilege.description': 'Obtenir des droits qu\'on ne devrait pas avoir.',
+
+    'tips.heading': 'Conseils pour de meilleurs prompts',
+    'dimension.specificity.label': 'Soyez précis',
+    'dimension.specificity.tip': 'Au lieu de « app de réseau social », essayez « une app de réseau social pour partager de courtes vidéos ».',
+    'dimension.audience.label': 'Définissez votre public',
+    'dimension.audience.tip': 'À qui s\'adresse cette app ? « Étudiants », « petites entreprises », « passionnés de fitness » ?',
+    'dimension.features.label': 'Listez les fonctionnalités clés',
+    'dimension.features.tip': 'Quelles fonctionnalités sont indispensables ? « Authentification », « envoi d\'images », « chat en temps réel ».',
+    'dimension.platform.label': 'Pensez à la plateforme',
+    'dimension.platform.tip': 'Mobile uniquement, web uniquement, ou les deux ? Précisez si elle doit fonctionner sur iOS/Android.',
+    'dimension.uiux.label': 'Pensez UI/UX',
+    'dimension.uiux.tip': 'Décrivez l\'apparence souhaitée. « Design minimaliste », « navigation intuitive », « mode sombre ».',
+    'dimension.constraints.label': 'Ajoutez contraintes et objectifs',
+    'dimension.constraints.tip': '« Doit être très sécurisée », « doit tenir des millions d\'utilisateurs », « monétisée par abonnements ».',
+
+    'stop.default': 'Arrêter',
+    'stop.step': 'Arrêter : {step}',
+
+    'cache.loaded': '⚡ {label} a été chargé depuis le cache.',
+    'cache.defaultLabel': 'Ce résultat',
+    'cache.regenerate': 'Régénérer (sans cache)',
+
+    'batch.heading': 'Mode lot',
+    'batch.close': 'Fermer le mode lot',
+    'batch.intro': 'Importez une liste CSV ou JSON de {max} idées au maximum. Chaque idée est améliorée et prévisualisée avec le modèle sélectionné, ainsi que les compléments choisis. Dans les fichiers CSV, la colonne intitulée « idea » est utilisée, sinon la première.',
+    'batch.upload': 'Importer un CSV ou JSON…',
+    'batch.concurrency': 'Idées en parallèle',
+    'batch.extras': 'Générer aussi',
+    'batch.start': 'Lancer le lot',
+    'batch.stop': 'Arrêter le lot',
+    'batch.retry': 'Relancer les échecs ({count})',
+    'batch.downloadCsv': 'Télécharger le CSV',
+    'batch.downloadJson': 'Télécharger le JSON',
+    'batch.clear': 'Vider',
+    'batch.summary': '{done} terminées · {failed} en échec · {stopped} arrêtées · {pending} en attente, sur {total}',
+    'batch.column.label': 'Libellé',
+    'batch.column.idea': 'Idée',
+    'batch.column.status': 'Statut',
+    'batch.column.result': 'Résultat',
+    'batch.column.actions': 'Actions',
+    'batch.status.queued': 'En file',
+    'batch.status.running': 'En cours',
+    'batch.status.waiting': 'Limite de débit',
+    'batch.status.done': 'Terminée',
+    'batch.status.failed': 'Échec',
+    'batch.status.stopped': 'Arrêtée',
+    'batch.waitingUntil': 'Nouvel essai à {time}',
+    'batch.open': 'Ouvrir comme projet',
+    'batch.importError.invalidJson': 'Le fichier n\'est pas un JSON valide ({message}).',
+    'batch.importError.notIdeaList': 'Un tableau JSON d\'idées, ou un objet avec un tableau "ideas", était attendu.',
+    'batch.importError.noIdeas': 'Le fichier ne contient aucune idée.',
+    'batch.importError.tooManyIdeas': 'Le fichier contient {count} idées ; un lot peut en avoir au plus {max}.',
+
+    'share.heading': 'Partager pour relecture',
+    'share.close': 'Fermer le partage',
+    'share.intro': 'Les relecteurs voient une copie en lecture seule de la spécification dans son état actuel et peuvent commenter chaque fonctionnalité clé et section du prompt. Les modifications ultérieures ne sont pas partagées ; créez un nouveau lien pour elles.',
+    'share.createInline': 'Créer un lien contenant la spécification',
+    'share.inlineHint': 'La spécification voyage dans le lien lui-même, il fonctionne donc sans compte. Les très grandes spécifications peuvent ne pas tenir.',
+    'share.createStored': 'Créer un lien enregistré',
+    'share.storedHintRemote': 'La spécification est enregistrée en ligne et le lien est court.',
+    'share.storedHintLocal': 'Aucun stockage en ligne n\'est configuré : la spécification est enregistrée dans ce navigateur et le lien ne s\'ouvre qu\'ici.',
+    'share.commentsRemote': 'Les commentaires sont enregistrés en ligne, toute personne disposant du lien les voit.',
+    'share.commentsLocal': 'Sans stockage en ligne, les commentaires sont enregistrés dans ce navigateur, donc les liens contenant la spécification n\'en ont pas. Configurez Firebase pour recueillir les commentaires d\'autres personnes.',
+    'share.nothingToShare': 'Améliorez un prompt ou générez un aperçu de l\'application pour le partager.',
+    'share.links': 'Liens',
+    'share.mode.inline': 'Intégré',
+    'share.mode.stored': 'Enregistré',
+    'share.url': 'Lien de relecture',
+    'share.copied': 'Copié',
+    'share.copy': 'Copier',
+    'share.open': 'Ouvrir',
+
+    'review.badge': 'Relecture',
+    'review.loading': 'Chargement de la spécification partagée…',
+    'review.loadFailed': 'Impossible d\'ouvrir la spécification partagée : {message}',
+    'review.loadCommentsFailed': 'Impossible de charger les commentaires : {message}',
+    'review.saveFailed': 'Impossible d\'enregistrer le commentaire : {message}',
+    'review.exit': 'Retour à l\'éditeur',
+    'review.sharedOn': 'Partagée le {date}',
+    'review.ownerIntro': 'Vous avez partagé cette spécification. Résolvez les commentaires une fois traités.',
+    'review.reviewerIntro': 'Commentez les fonctionnalités clés et les sections du prompt.',
+    'review.commentsOff': 'Les commentaires sont désactivés pour ce lien : sans stockage en ligne, ils ne seraient enregistrés que dans votre navigateur, où l\'auteur ne peut pas les voir.',
+    'review.openThreads': '{open} fil(s) ouvert(s) sur {total}.',
+    'review.yourName': 'Votre nom',
+    'review.namePlaceholder': 'Affiché avec vos commentaires',
+    'review.targetAudience': 'Public cible :',
+    'review.keyFeatures': 'Fonctionnalités clés',
+    'review.prompt': 'Prompt',
+    'review.report': 'Rapport complet',
+    'review.reportHint': 'Tout ce qui a été généré pour la spécification, y compris les modules complémentaires.',
+    'review.addComment': 'Ajouter un commentaire',
+    'review.commentPlaceholder': 'Que faudrait-il changer, ou qu\'est-ce qui n\'est pas clair ?',
+    'review.post': 'Publier',
+    'review.replyPlaceholder': 'Répondre…',
+    'review.reply': 'Répondre',
+    'review.cancel': 'Annuler',
+    'review.authorBadge': '(auteur)',
+    'review.anonymous': 'Relecteur anonyme',
+    'review.resolved': 'Résolu',
+    'review.resolve': 'Résoudre',
+    'review.reopen': 'Rouvrir',
+    'review.showReplies': 'Afficher les réponses ({count})',
+    'review.collapse': 'Masquer les réponses',
+
+    'pipeline.heading': 'Pipeline de génération',
+    'pipeline.close': 'Fermer l’éditeur de pipeline',
+    'pipeline.intro': 'Les étapes de l’idée aux compléments, exécutées de haut en bas. Ajoutez vos propres étapes avec un modèle de prompt, réordonnez-les et choisissez quel résultat précédent alimente chaque entrée.',
+    'pipeline.run': 'Exécuter le pipeline',
+    'pipeline.stop': 'Arrêter le pipeline',
+    'pipeline.export': 'Exporter en JSON',
+    'pipeline.import': 'Importer un JSON',
+    'pipeline.reset': 'Rétablir par défaut',
+    'pipeline.resetConfirm': 'Remplacer ce pipeline par les étapes par défaut ? Les étapes personnalisées seront supprimées.',
+    'pipeline.invalid': 'Corrigez les problèmes ci-dessous avant d’exécuter le pipeline.',
+    'pipeline.stepType': 'Type d’étape à ajouter',
+    'pipeline.add.custom': 'Étape personnalisée vide',
+    'pipeline.preset.accessibilityAudit': 'Audit d’accessibilité',
+    'pipeline.preset.launchTweet': 'Tweet de lancement',
+    'pipeline.addStep': 'Ajouter l’étape',
+    'pipeline.builtIn': 'Intégrée',
+    'pipeline.status.queued': 'En attente',
+    'pipeline.status.running': 'En cours…',
+    'pipeline.status.done': 'Terminée',
+    'pipeline.status.failed': 'Échec',
+    'pipeline.status.skipped': 'Ignorée',
+    'pipeline.status.stopped': 'Arrêtée',
+    'pipeline.moveUp': 'Monter l’étape',
+    'pipeline.moveDown': 'Descendre l’étape',
+    'pipeline.remove': 'Supprimer l’étape',
+    'pipeline.name': 'Nom de l’étape',
+    'pipeline.namePlaceholder': 'p. ex. Audit d’accessibilité',
+    'pipeline.template': 'Modèle de prompt',
+    'pipeline.templateHint': 'Écrivez {{nom}} à la place d’une valeur ; chaque nom devient une entrée ci-dessous.',
+    'pipeline.output': 'Sortie',
+    'pipeline.output.text': 'Texte',
+    'pipeline.output.json': 'Champs JSON',
+    'pipeline.fields': 'Champs (séparés par des virgules)',
+    'pipeline.fieldsPlaceholder': 'p. ex. tweet, linkedInPost',
+    'pipeline.inputs': 'Entrées',
+    'pipeline.noInputs': 'Cette étape n’a pas d’entrée.',
+    'pipeline.notConnected': '— Non connectée —',
+    'pipeline.input.idea': 'Idée simple',
+    'pipeline.input.prompt': 'Prompt actuel',
+    'pipeline.lastOutput': 'Résultat de la dernière exécution',
+    'pipeline.untitled': 'Étape sans nom',
+    'pipeline.optional': '(facultatif)',
+    'pipeline.problem.nameRequired': 'Le nom est obligatoire.',
+    'pipeline.problem.templateRequired': 'Le modèle de prompt est obligatoire.',
+    'pipeline.problem.fieldsRequired': 'Une sortie JSON nécessite au moins un champ.',
+    'pipeline.problem.invalidField': 'Les noms de champ ne peuvent contenir que des lettres, des chiffres et des tirets bas.',
+    'pipeline.problem.duplicateField': 'Les noms de champ doivent être uniques.',
+    'pipeline.problem.unknownType': 'Type d’étape inconnu « {type} ».',
+    'pipeline.problem.notConnected': 'L’entrée « {input} » n’est pas connectée.',
+    'pipeline.problem.laterStep': 'L’entrée « {input} » est connectée à une étape ultérieure ; placez cette étape au-dessus de celle-ci.',
+    'pipeline.problem.missingSource': 'L’entrée « {input} » est connectée à une étape qui n’existe plus.',
+    'pipeline.problem.wrongKind': 'L’entrée « {input} » nécessite {kind}.',
+    'pipeline.kind.text': 'du texte',
+    'pipeline.kind.json': 'des champs JSON',
+    'pipeline.kind.appPreview': 'un aperçu de l’app',
+    'pipeline.kind.techStack': 'une stack technique',
+    'pipeline.kind.dataModel': 'un modèle de données',
+    'pipeline.importError.invalidJson': 'Le fichier n’est pas un JSON valide ({message}).',
+    'pipeline.importError.notPipeline': 'Le fichier n’est pas un export de pipeline.',
+    'pipeline.importError.newerVersion': 'Le pipeline a été exporté par une version plus récente de l’app (version de format {version}).',
+    'pipeline.importError.noNodes': 'Un pipeline avec un tableau « nodes » était attendu.',
+    'pipeline.importError.tooManyNodes': 'Un pipeline peut avoir au plus {max} étapes.',
+    'pipeline.importError.invalidId': 'L’étape {step} doit avoir un id unique sans points, deux-points ni espaces.',
+    'pipeline.importError.unknownType': 'L’étape {step} a un type inconnu « {type} ».',
+
+    'settings.heading': 'Paramètres',
+    'settings.reset': 'Rétablir les valeurs par défaut',
+    'settings.cancel': 'Annuler',
+    'settings.save': 'Enregistrer les paramètres',
+    'settings.language': 'Langue',
+    'settings.languageHint': 'La langue de l\'interface ne change que l\'app elle-même. Le contenu généré est rédigé dans la langue de sortie, quelle que soit la langue de l\'interface.',
+    'settings.uiLanguage': 'Langue de l\'interface',
+    'settings.uiLanguageAuto': 'Celle du navigateur',
+    'settings.outputLanguage': 'Langue de sortie',
+    'settings.markets': 'Marchés cibles',
+    'settings.marketsPlaceholder': 'p. ex. es-MX, de-DE, ja-JP',
+    'settings.marketsHint': 'Codes de langue séparés par des virgules. Des noms et slogans sont aussi proposés pour chaque marché.',
+    'settings.provider': 'Fournisseur d\'IA',
+    'settings.apiKey': 'Clé API',
+    'settings.apiKeyCanvas': 'Laisser vide dans Canvas',
+    'settings.apiKeyLocal': 'Facultative pour la plupart des serveurs locaux',
+    'settings.baseUrl': 'URL de base',
+    'settings.structuredOutput': 'Sortie structurée',
+    'settings.jsonSchema': 'Schéma JSON',
+    'settings.jsonMode': 'Mode JSON (schéma dans le prompt)',
+    'settings.defaultModel': 'Modèle par défaut',
+    'settings.generation': 'Paramètres de génération',
+    'settings.temperature': 'Température',
+    'settings.topP': 'Top P',
+    'settings.maxOutputTokens': 'Jetons de sortie max.',
+    'settings.modelDefault': 'Valeur du modèle',
+    'settings.stepModels': 'Modèles par étape',
+    'settings.stepModelsHint': 'Laissez une étape vide pour utiliser le modèle par défaut.',
+    'settings.stream': 'Afficher le prompt amélioré au fur et à mesure de sa génération',
+    'settings.validation': 'Validation des réponses',
+    'settings.validationHint': 'Les réponses structurées sont vérifiées par rapport à leur schéma. Les réponses invalides sont renvoyées au modèle avec les erreurs à corriger.',
+    'settings.maxRepairAttempts': 'Tentatives de réparation max.',
+    'settings.backoff': 'Délai initial (ms)',
+    'settings.cache': 'Cache des réponses',
+    'settings.cacheHint': 'Les requêtes identiques (même prompt, modèle, paramètres et schéma) sont servies depuis un cache de ce navigateur au lieu de rappeler l\'IA. Utilisez « {regenerate} » sur un résultat en cache pour en obtenir un nouveau.',
+    'settings.cacheEnabled': 'Mettre en cache les réponses de l\'IA',
+    'settings.cacheTtl': 'Conserver les réponses pendant (heures)',
+    'settings.cacheSize': 'Taille maximale (Mo)',
+    'settings.pricing': 'Tarifs et budget',
+    'settings.pricingHint': 'Prix en USD par million de jetons, utilisés pour estimer les coûts dans le tableau de bord d\'utilisation. Un modèle sans entrée exacte utilise l\'entrée la plus longue par laquelle commence son nom.',
+    'settings.localFree': 'Les requêtes vers ce backend local sont gratuites.',
+    'settings.priceModel': 'Modèle',
+    'settings.unnamedModel': 'ce modèle',
+    'settings.inputPrice': 'Prix d\'entrée de {model}',
+    'settings.outputPrice': 'Prix de sortie de {model}',
+    'settings.inputPriceTitle': 'Entrée, par million de jetons',
+    'settings.outputPriceTitle': 'Sortie, par million de jetons',
+    'settings.removePrice': 'Retirer',
+    'settings.addPrice': '+ Ajouter un prix',
+    'settings.dailyLimit': 'Limite quotidienne (USD)',
+    'settings.projectLimit': 'Limite par projet (USD)',
+    'settings.noLimit': 'Aucune limite',
+    'settings.limitAction': 'Quand une limite est atteinte',
+    'settings.warnOnly': 'Avertir seulement',
+    'settings.blockRequests': 'Bloquer les requêtes suivantes',
+    'settings.sync': 'Synchronisation cloud',
+    'settings.syncHint': 'Les projets sont toujours enregistrés dans ce navigateur. Activez la synchronisation pour les copier dans Firestore.',
+    'settings.syncEmulatorOnly': 'Aucune configuration Firebase n\'a été fournie : la synchronisation ne fonctionne qu\'avec un émulateur Firestore local.',
+    'settings.syncEnabled': 'Synchroniser les projets avec Firestore',
+    'settings.emulatorHost': 'Hôte de l\'émulateur',
+    'settings.emulatorHostPlaceholder': 'ex. localhost:8080',
+    'settings.emulatorAuthUrl': 'URL de l\'émulateur Auth',
+    'settings.emulatorAuthUrlPlaceholder': 'Facultatif, ex. http://localhost:9099',
+    'settings.emulatorProjectId': 'ID de projet de l\'émulateur',
+
+    'cache.heading': 'Cache des réponses',
+    'cache.close': 'Fermer le cache des réponses',
+    'cache.loading': 'Chargement…',
+    'cache.summary': 'Réponses en cache : {count} · {size} sur {max}',
+    'cache.loadFailed': 'Impossible de lire le cache : {message}',
+    'cache.dates': 'Mise en cache {cached} · expire {expires}',
+    'cache.delete': 'Supprimer',
+    'cache.clear': 'Vider le cache',
+    'cache.clearConfirm': 'Supprimer toutes les réponses en cache ?',
+    'usage.heading': 'Utilisation',
+    'usage.close': 'Fermer le tableau d’utilisation',
+    'usage.noRequests': 'Aucune requête pour l’instant.',
+    'usage.requests': 'Requêtes',
+    'usage.inputTokens': 'Jetons d’entrée',
+    'usage.outputTokens': 'Jetons de sortie',
+    'usage.cost': 'Coût',
+    'usage.unpriced': 'Requêtes vers un modèle sans prix : {count}',
+    'usage.spentNoLimit': '{label} : {spent} (sans limite)',
+    'usage.spentOfLimit': '{label} : {spent} sur {limit}',
+    'usage.dayToday': '{day} (aujourd’hui)',
+    'usage.deletedProject': 'Projet supprimé',
+    'usage.unsavedSessions': 'Sessions non enregistrées',
+    'usage.batchRun': 'Lot du {time}',
+    'usage.allTime': 'Depuis le début',
+    'usage.totals': 'Requêtes : {requests} · Jetons : {tokens}',
+    'usage.today': 'Aujourd’hui',
+    'usage.thisProject': 'Ce projet',
+    'usage.blockHint': 'Les requêtes sont refusées une fois une limite atteinte.',
+    'usage.warnHint': 'Vous êtes averti une fois une limite atteinte.',
+    'usage.settingsHint': 'Les limites et les prix se règlent dans les paramètres.',
+    'usage.perDay': 'Par jour ({days} derniers)',
+    'usage.day': 'Jour',
+    'usage.perProject': 'Par projet',
+    'usage.project': 'Projet',
+    'usage.costNote': 'Les coûts sont estimés d’après la table des prix. * Inclut des requêtes vers des modèles sans prix, comptées comme gratuites.',
+    'usage.estimatedNote': 'Certains nombres de jetons sont estimés car le backend ne les a pas fournis.',
+    'usage.clearConfirm': 'Effacer tout l’historique d’utilisation ? Les totaux du budget repartiront de zéro.',
+    'usage.clear': 'Effacer l’historique',
+
+    'projects.heading': 'Projets',
+    'projects.close': 'Fermer les projets',
+    'projects.new': '+ Nouveau projet',
+    'projects.search': 'Rechercher des projets...',
+    'projects.empty': 'Aucun projet enregistré pour l’instant.',
+    'projects.noMatches': 'Aucun projet correspondant.',
+    'projects.saving': 'Enregistrement…',
+    'projects.savedSynced': 'Enregistré et synchronisé',
+    'projects.savedLocally': 'Enregistré localement',
+    'projects.saveFailed': 'Échec de l’enregistrement',
+    'projects.rename': 'Renommer',
+    'projects.duplicate': 'Dupliquer',
+    'projects.delete': 'Supprimer',
+    'projects.deleteConfirm': 'Supprimer « {name} » ? Cette action est irréversible.',
+    'projects.untitled': 'Projet sans titre',
+    'projects.copyName': '{name} (copie)',
+    'projects.imported': 'Projet importé',
+    'backlog.heading': 'Backlog des fonctionnalités :',
+    'backlog.exportCsv': 'Exporter en CSV',
+    'backlog.exportGithub': 'Exporter les issues GitHub (JSON)',
+    'backlog.newEpic': 'Nouvel epic',
+    'backlog.epicTitle': 'Titre de l’epic',
+    'backlog.epicDescription': 'Description de l’epic',
+    'backlog.deleteEpic': 'Supprimer l’epic',
+    'backlog.deleteEpicConfirm': 'Supprimer l’epic « {title} » et ses stories ({count}) ?',
+    'backlog.feature': 'Fonctionnalité',
+    'backlog.story': 'User story',
+    'backlog.acceptanceCriteria': 'Critères d’acceptation',
+    'backlog.priority': 'Priorité',
+    'backlog.epic': 'Epic',
+    'backlog.actions': 'Actions',
+    'backlog.noFeature': '(aucune)',
+    'backlog.asA': 'En tant que',
+    'backlog.iWant': 'je veux',
+    'backlog.soThat': 'afin de',
+    'backlog.gherkin': 'Critères d’acceptation (Gherkin)',
+    'backlog.moveToEpic': 'Déplacer vers l’epic',
+    'backlog.deleteStory': 'Supprimer la story',
+    'backlog.addStory': '+ Ajouter une story',
+    'backlog.addEpic': '+ Ajouter un epic',
+    'dataModel.heading': 'Modèle de données et contrat d’API :',
+    'dataModel.downloadErd': 'Télécharger l’ERD (.mmd)',
+    'dataModel.downloadOpenApi': 'Télécharger OpenAPI (.json)',
+    'dataModel.tab.entities': 'Entités',
+    'dataModel.tab.erd': 'Diagramme ER',
+    'dataModel.tab.openapi': 'OpenAPI 3.1',
+    'dataModel.field': 'Champ',
+    'dataModel.type': 'Type',
+    'dataModel.key': 'Clé',
+    'dataModel.required': 'Obligatoire',
+    'dataModel.description': 'Description',
+    'dataModel.yes': 'Oui',
+    'dataModel.no': 'Non',
+    'dataModel.relations': 'Relations :',
+    'dataModel.openApiValid': '✓ Document OpenAPI {version} valide. Chemins : {count}.',
+    'dataModel.openApiInvalid': 'Le contrat d’API généré n’est pas un OpenAPI 3.1 valide, il n’est donc pas affiché :',
+    'export.menu': '⇅ Exporter / Importer',
+    'export.markdown': 'PRD Markdown (.md)',
+    'export.json': 'Spécification JSON (.json)',
+    'export.html': 'Rapport HTML (.html)',
+    'export.pdf': 'Imprimer / Enregistrer en PDF',
+    'export.import': 'Importer une spécification JSON…',
+    'analysis.heading': 'Qualité de l’idée',
+    'analysis.stale': 'Votre idée a changé depuis cette analyse. Analysez-la à nouveau pour des scores à jour.',
+    'analysis.missingBadge': '(manquant)',
+    'analysis.missing': 'Manquant :',
+    'analysis.reviewAnswers': 'Revoir les réponses',
+    'analysis.answerQuestions': 'Répondre aux questions de clarification ({count})',
+    'analysis.answered': 'Réponses : {count}. Elles seront incluses lors de l’amélioration.',
+    'analysis.clearAnswers': 'Effacer les réponses',
+    'analysis.questionOf': 'Question {index} sur {count} · {dimension}',
+    'analysis.back': 'Retour',
+    'analysis.close': 'Fermer',
+    'analysis.enhance': 'Améliorer avec les réponses',
+    'analysis.next': 'Suivant',
+    'analysis.skip': 'Passer',
+    'market.heading': 'Analyse de marché :',
+    'market.comparables': 'Produits comparables :',
+    'market.examples': '(p. ex. {examples})',
+    'market.differentiators': 'Éléments différenciants :',
+    'market.swot': 'SWOT :',
+    'market.swot.strengths': 'Forces',
+    'market.swot.weaknesses': 'Faiblesses',
+    'market.swot.opportunities': 'Opportunités',
+    'market.swot.threats': 'Menaces',
+    'market.size': 'Taille du marché (approx.) :',
+    'market.size.tam': 'Marché total adressable',
+    'market.size.sam': 'Marché adressable réel',
+    'market.size.som': 'Marché obtenable',
+    'market.personas': 'Personas :',
+    'market.goals': 'Objectifs',
+    'market.painPoints': 'Points de friction',
+    'diagram.renderFailed': 'Le diagramme n’a pas pu être affiché ({message}). Source Mermaid :',
+    'diagram.rendering': 'Affichage du diagramme...',
+
+    'mockup.heading': 'Maquette cliquable :',
+    'mockup.deviceSize': 'Taille de l’appareil',
+    'mockup.device.phone': '📱 Téléphone',
+    'mockup.device.tablet': 'Tablette',
+    'mockup.device.desktop': '🖥 Ordinateur',
+    'mockup.frameTitle': 'Maquette : {name}',
+    'mockup.instructions': 'Instructions facultatives pour « {name} », p. ex. « ajouter une barre de recherche » ou « utiliser un thème sombre »',
+    'mockup.stopRegenerating': 'Arrêter la régénération',
+    'mockup.regenerate': 'Régénérer cet écran',
+    'plan.heading': 'Plan du projet :',
+    'plan.exportCsv': 'Exporter en CSV',
+    'plan.exportCalendar': 'Exporter le calendrier (.ics)',
+    'plan.startDate': 'Date de début',
+    'plan.estimates': 'Estimations',
+    'plan.scenario.optimistic': 'Optimiste',
+    'plan.scenario.likely': 'Plus probable',
+    'plan.scenario.pessimistic': 'Pessimiste',
+    'plan.scenario.expected': 'Attendue (PERT)',
+    'plan.duration': 'Jours ouvrés : {days}, fin le {end}',
+    'plan.durationSpread': 'Jours ouvrés : {days} (± {spread}), fin le {end}',
+    'plan.criticalPath': 'Chemin critique :',
+    'plan.role.frontend': 'Frontend',
+    'plan.role.backend': 'Backend',
+    'plan.role.design': 'Design',
+    'plan.role.qa': 'QA',
+    'plan.roleDays': '{role} : {days} jours',
+    'plan.task': 'Tâche',
+    'plan.week': 'Semaine {week}',
+    'plan.slack': 'Marge : {days} jours',
+    'plan.bar': '{name} · {role} · {start} – {end} ({days} jours, {slack} jours de marge)',
+    'plan.barCritical': '{name} · {role} · {start} – {end} ({days} jours, critique)',
+    'plan.select': 'Sélectionner {name}',
+    'plan.legend': 'Les barres sont colorées par rôle ; les contours rouges marquent le chemin critique et les pointillés la marge. Les week-ends sont ignorés.',
+    'plan.closeDetails': 'Fermer les détails de la tâche',
+    'plan.roleLabel': 'Rôle',
+    'plan.estimateDays': '{scenario} (jours)',
+    'plan.estimateOrder': 'Les estimations suivent en général optimiste ≤ plus probable ≤ pessimiste.',
+    'plan.scheduled': 'Planifiée :',
+    'plan.scheduledSlack': '{start} – {end} ({slack} jours de marge)',
+    'plan.scheduledCritical': '{start} – {end} (chemin critique)',
+    'plan.dependsOn': 'Dépend de :',
+    'plan.nothing': 'rien',
+    'plan.unknownTask': 'Tâche inconnue',
+    'history.source.ai': 'Amélioration par IA',
+    'history.source.manual': 'Enregistrement manuel',
+    'history.source.restore': 'Restaurée',
+    'history.source.preview': 'Enregistrée pour l’aperçu',
+    'history.source.variant': 'Variante',
+    'history.source.merge': 'Variantes fusionnées',
+    'history.source.refine': 'Affinage par chat',
+    'history.source.compliance': 'Exigences de conformité',
+    'history.source.pipeline': 'Exécution du pipeline',
+    'history.current': 'Actuel (non enregistré)',
+    'history.empty': 'Aucune révision pour l’instant. Enregistrez le prompt pour démarrer un historique.',
+    'history.restoredFrom': '{source} depuis #{number}',
+    'history.currentPreview': 'Aperçu actuel',
+    'history.previews': 'Aperçus : {count}',
+    'history.compare': 'Comparer',
+    'history.restore': 'Restaurer',
+    'history.from': 'De',
+    'history.to': 'À',
+    'history.mode.inline': 'En ligne',
+    'history.mode.split': 'Côte à côte',
+    'history.added': '+{count} mots',
+    'history.removed': '−{count} mots',
+
+    'refine.accept': 'Accepter',
+    'refine.reject': 'Refuser',
+    'refine.accepted': 'Acceptée',
+    'refine.rejected': 'Refusée',
+    'refine.stale': 'Ceci a changé depuis que la modification a été proposée, elle ne peut donc plus être appliquée.',
+    'refine.empty': 'Demandez des changements avec vos mots, p. ex. « retirer les fonctions sociales, ajouter un mode hors ligne ».',
+    'refine.prompt': 'Prompt',
+    'refine.preview': 'Aperçu de l’app',
+    'refine.field.appName': 'Nom de l’app',
+    'refine.field.tagline': 'Slogan',
+    'refine.field.description': 'Description',
+    'refine.field.keyFeatures': 'Fonctionnalités clés',
+    'refine.field.targetAudience': 'Public cible',
+    'refine.thinking': 'Réflexion…',
+    'refine.placeholder': 'Que faut-il changer ?',
+    'refine.instruction': 'Instruction d’affinage',
+    'refine.send': 'Envoyer',
+    'refine.clear': 'Effacer la discussion',
+    'scaffold.heading': 'Squelette de code de départ :',
+    'scaffold.download': 'Télécharger le ZIP',
+    'scaffold.summary': 'Fichiers : {files} · Lignes : {lines} · {stack}',
+    'scaffold.files': 'Fichiers du squelette',
+    'scaffold.instructions': 'Instructions facultatives pour {name}, p. ex. « ajouter la validation des entrées »',
+    'scaffold.stopRegenerating': 'Arrêter la régénération',
+    'scaffold.regenerate': 'Régénérer ce fichier',
+    'templates.heading': 'Bibliothèque de modèles',
+    'templates.close': 'Fermer la bibliothèque de modèles',
+    'templates.customName': '{name} (personnalisé)',
+    'templates.deleteConfirm': 'Supprimer le modèle « {name} » ?',
+    'templates.name': 'Nom',
+    'templates.description': 'Description',
+    'templates.enhancement': 'Méta-prompt d’amélioration',
+    'templates.enhancementHint': '(utilisez {{idea}} pour l’idée de l’utilisateur)',
+    'templates.preview': 'Prompt d’aperçu',
+    'templates.previewHint': '(facultatif ; utilisez {{prompt}} pour le prompt personnalisé)',
+    'templates.extraFields': 'Champs supplémentaires : {fields}.',
+    'templates.none': 'aucun',
+    'templates.sectionsHint': 'Entourez le texte facultatif de {{#name}}...{{/name}} pour le retirer quand le champ est vide.',
+    'templates.problem.notObject': 'Le modèle doit être un objet.',
+    'templates.problem.nameRequired': 'Le nom est obligatoire.',
+    'templates.problem.ideaMissing': 'Le modèle d’amélioration doit contenir {{idea}}.',
+    'templates.problem.promptMissing': 'Le modèle d’aperçu doit contenir {{prompt}}.',
+    'templates.cancel': 'Annuler',
+    'templates.save': 'Enregistrer le modèle',
+    'templates.new': '+ Nouveau modèle',
+    'templates.exportMine': 'Exporter mes modèles',
+    'templates.import': 'Importer des modèles…',
+    'templates.mine': 'Mes modèles',
+    'templates.empty': 'Aucun modèle personnalisé pour l’instant.',
+    'templates.edit': 'Modifier',
+    'templates.export': 'Exporter',
+    'templates.delete': 'Supprimer',
+    'templates.builtIn': 'Modèles intégrés',
+    'templates.customize': 'Personnaliser',
+    'templates.picker': 'Modèle de prompt',
+    'templates.builtInGroup': 'Intégrés',
+    'templates.mineGroup': 'Mes modèles',
+    'templates.manage': 'Gérer les modèles',
+    'templates.optional': 'Facultatif',
+    'templates.hideMetaPrompt': 'Masquer le méta-prompt',
+    'templates.showMetaPrompt': 'Voir le méta-prompt',
+    'variants.framing.balanced': 'Équilibrée',
+    'variants.framing.mvp': 'Axée MVP',
+    'variants.framing.enterprise': 'Échelle entreprise',
+    'variants.framing.consumer-viral': 'Grand public / viral',
+    'variants.temperature': 'Température : {temperature}',
+    'variants.defaultTemperature': 'par défaut',
+    'variants.generating': 'génération…',
+    'variants.noText': 'Aucun texte n’a été généré.',
+    'variants.use': 'Utiliser cette variante',
+    'variants.merge': 'Fusionner les sections sélectionnées ({count})',
+    'variants.discard': 'Abandonner les variantes',
+    'variants.setupIntro': 'Générez plusieurs versions du prompt amélioré en parallèle, puis comparez-les côte à côte. Laissez la température vide pour utiliser celle des paramètres.',
+    'variants.framingOf': 'Cadrage de la variante {number}',
+    'variants.temperatureLabel': 'Température',
+    'variants.temperatureOf': 'Température de la variante {number}',
+    'variants.remove': 'Retirer',
+    'variants.add': '+ Ajouter une variante',
+    'variants.generate': 'Générer les variantes ({count})',
+
+    'error.loadProjects': 'Impossible de charger les projets enregistrés : {message}',
+    'error.openProject': 'Impossible d\'ouvrir le projet : {message}',
+    'error.renameProject': 'Impossible de renommer le projet : {message}',
+    'error.duplicateProject': 'Impossible de dupliquer le projet : {message}',
+    'error.deleteProject': 'Impossible de supprimer le projet : {message}',
+    'error.budget.daily': 'Cette requête dépasserait votre budget quotidien. Relevez la limite dans les paramètres pour continuer.',
+    'error.budget.project': 'Cette requête dépasserait le budget du projet. Relevez la limite dans les paramètres pour continuer.',
+    'error.invalidResponse': '{message}. Veuillez réessayer.',
+    'error.connection': 'Impossible de se connecter à l\'IA : {message}. Veuillez réessayer.',
+    'error.projectNotFound': 'Ce projet est introuvable. Il a peut-être été supprimé.',
+    'error.ideaToAnalyze': 'Saisissez une idée à analyser.',
+    'error.ideaToEnhance': 'Saisissez une idée à améliorer.',
+    'error.printWindow': 'Impossible d\'ouvrir la fenêtre d\'impression. Autorisez les fenêtres pop-up pour cette page et réessayez.',
+    'error.invalidOpenApi': 'Le document OpenAPI n\'est pas valide et ne peut donc pas être téléchargé. Régénérez le modèle de données.',
+    'error.import': 'Échec de l\'import : {message}',
+    'error.templateImport': 'Échec de l\'import des modèles : {message}',
+    'error.promptFirst': 'Améliorez d\'abord un prompt ou saisissez un prompt personnalisé.',
+    'error.previewFirst': 'Générez d\'abord un aperçu de l\'app.',
+    'error.featuresFirst': 'Générez d\'abord un aperçu de l\'app avec des fonctionnalités clés.',
+    'error.techStackFirst': 'Générez d\'abord un aperçu de l\'app avec des fonctionnalités clés et des suggestions de stack technique.',
+    'error.batchImport': 'Échec de l\'import du lot : {message}',
+    'error.batchOpen': 'Impossible d\'enregistrer l\'idée comme projet : {message}',
+    'error.share': 'Impossible de créer le lien de relecture : {message}',
+    'error.shareTooLong': 'La spécification est trop volumineuse pour tenir dans un lien. Créez plutôt un lien enregistré.',
+    'error.pipelineImport': 'Impossible d’importer le pipeline : {message}',
+};
+
+export default fr;
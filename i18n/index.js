@@ -0,0 +1,148 @@
+import { createContext, useContext } from 'react';
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import de from './de.js';
+import ar from './ar.js';
+
+/**
+ * Interface translations and the output language of generated content. UI strings live in
+ * flat resource bundles keyed like "preview.heading"; missing keys fall back to English.
+ * The output language is separate: it is appended to every prompt (see withOutputLanguage).
+ */
+
+// Interface languages, each with a resource bundle and text direction
+export const LOCALES = [
+    { code: 'en', label: 'English', dir: 'ltr', bundle: en },
+    { code: 'es', label: 'Español', dir: 'ltr', bundle: es },
+    { code: 'fr', label: 'Français', dir: 'ltr', bundle: fr },
+    { code: 'de', label: 'Deutsch', dir: 'ltr', bundle: de },
+    { code: 'ar', label: 'العربية', dir: 'rtl', bundle: ar },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages generated content can be written in; `name` is how prompts refer to them
+export const OUTPUT_LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'it', name: 'Italian' },
+    { code: 'pt', name: 'Portuguese' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'pl', name: 'Polish' },
+    { code: 'tr', name: 'Turkish' },
+    { code: 'ar', name: 'Arabic' },
+    { code: 'he', name: 'Hebrew' },
+    { code: 'hi', name: 'Hindi' },
+    { code: 'ja', name: 'Japanese' },
+    { code: 'ko', name: 'Korean' },
+    { code: 'zh', name: 'Chinese (Simplified)' },
+];
+
+/**
+ * Picks the interface language.
+ * @param {string} preferred - Language chosen in the settings; empty to follow the browser.
+ * @param {readonly string[]} [browserLanguages] - The browser's preferred languages, most preferred first.
+ * @returns {string} - A code from LOCALES.
+ */
+export const resolveLocale = (preferred, browserLanguages = typeof navigator !== 'undefined' ? navigator.languages || [] : []) => {
+    const candidates = preferred ? [preferred] : browserLanguages;
+    const match = candidates
+        .map((tag) => tag.toLowerCase().split('-')[0])
+        .find((code) => LOCALES.some((locale) => locale.code === code));
+    return match || DEFAULT_LOCALE;
+};
+
+/**
+ * Looks up a UI string and fills in its `{placeholders}`.
+ * @param {string} locale - A code from LOCALES.
+ * @param {string} key - Bundle key, e.g. "preview.heading".
+ * @param {Object<string, string|number>} [params] - Values for the placeholders.
+ * @returns {string} - The translation, the English text if it is missing, or the key itself.
+ */
+export const translate = (locale, key, params = {}) => {
+    const bundle = LOCALES.find((l) => l.code === locale)?.bundle || en;
+    const text = bundle[key] ?? en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+/**
+ * @typedef {object} I18n
+ * @property {string} locale - A code from LOCALES.
+ * @property {'ltr'|'rtl'} dir - Text direction of the locale.
+ * @property {function(string, Object<string, string|number>=): string} t - Translates a key (see translate).
+ */
+
+/**
+ * Creates the translation helpers for a locale.
+ * @param {string} locale - A code from LOCALES.
+ * @returns {I18n}
+ */
+export const createI18n = (locale) => ({
+    locale,
+    dir: LOCALES.find((l) => l.code === locale)?.dir || 'ltr',
+    t: (key, params) => translate(locale, key, params),
+});
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+/**
+ * The translation helpers of the surrounding I18nContext provider.
+ * @returns {I18n}
+ */
+export const useTranslation = () => useContext(I18nContext);
+
+/**
+ * Names a language or market in the interface language, e.g. "es-MX" as "Mexican Spanish".
+ * @param {string} tag - BCP 47 language tag.
+ * @param {string} locale - Interface language to name it in.
+ * @param {string} [fallback] - Returned if the browser can't name it; defaults to the tag.
+ * @returns {string}
+ */
+export const describeLanguageTag = (tag, locale, fallback = tag) => {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(tag) || fallback;
+    } catch {
+        return fallback; // Invalid tag or no Intl.DisplayNames support
+    }
+};
+
+/**
+ * Whether a string is a well-formed BCP 47 language tag, e.g. "de" or "pt-BR".
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export const isValidLanguageTag = (tag) => {
+    try {
+        return Intl.getCanonicalLocales(tag).length === 1;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Parses a comma-separated list of target markets.
+ * @param {string} text - e.g. "es-MX, de-DE, ja-JP".
+ * @returns {string[]} - Canonical, unique language tags; invalid entries are dropped.
+ */
+export const parseMarkets = (text) => [...new Set(text.split(',')
+    .map((tag) => tag.trim())
+    .filter(isValidLanguageTag)
+    .map((tag) => Intl.getCanonicalLocales(tag)[0]))];
+
+/**
+ * Adds the output-language instruction to a prompt. Structure stays in English so responses
+ * still validate: schema keys and enum values, code and anything quoted from the input.
+ * @param {string} promptText - The prompt.
+ * @param {string} code - A code from OUTPUT_LANGUAGES.
+ * @returns {string} - The prompt, unchanged for English.
+ */
+export const withOutputLanguage = (promptText, code) => {
+    const language = OUTPUT_LANGUAGES.find((l) => l.code === code);
+    if (!language || language.code === 'en') return promptText;
+    return `${promptText}
+
+Write all natural-language text of your response (names, taglines, descriptions, explanations and prose) in ${language.name}. Keep JSON keys, enum values, code, identifiers, file paths and any text quoted from the input above exactly as given.`;
+};
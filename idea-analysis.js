@@ -0,0 +1,107 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Idea quality analysis: scores the simple idea against the "Tips for Better Prompts"
+ * dimensions and collects the model's clarifying questions for the interview.
+ */
+
+// The dimensions the tips cover, in the order the tips list them
+export const IDEA_DIMENSIONS = [
+    { key: 'specificity', label: 'Be Specific', tip: 'Instead of "social media app," try "a social media app for sharing short video clips."' },
+    { key: 'audience', label: 'Define Your Audience', tip: 'Who is this app for? "Students," "small business owners," "fitness enthusiasts"?' },
+    { key: 'features', label: 'List Key Features', tip: 'What are the absolute must-have functionalities? "User authentication," "image upload," "real-time chat."' },
+    { key: 'platform', label: 'Consider Platform', tip: 'Is it mobile-only, web-only, or both? Specify if it should work on iOS/Android.' },
+    { key: 'uiux', label: 'Think UI/UX', tip: 'Mention desired look and feel. "Minimalist design," "intuitive navigation," "dark mode support."' },
+    { key: 'constraints', label: 'Add Constraints/Goals', tip: '"Must be highly secure," "needs to scale to millions of users," "monetized through subscriptions."' },
+];
+
+const DIMENSION_KEYS = IDEA_DIMENSIONS.map(({ key }) => key);
+
+// Highest score per dimension
+export const MAX_DIMENSION_SCORE = 10;
+
+/**
+ * Response schema for the analysis.
+ */
+export const IDEA_ANALYSIS_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        dimensions: {
+            type: 'ARRAY',
+            minItems: IDEA_DIMENSIONS.length,
+            maxItems: IDEA_DIMENSIONS.length,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    dimension: { type: 'STRING', enum: DIMENSION_KEYS },
+                    score: { type: 'INTEGER', minimum: 0, maximum: MAX_DIMENSION_SCORE },
+                    missing: { type: 'BOOLEAN' },
+                    feedback: { type: 'STRING' },
+                },
+                required: ['dimension', 'score', 'missing', 'feedback'],
+            },
+        },
+        questions: {
+            type: 'ARRAY',
+            maxItems: 6,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    dimension: { type: 'STRING', enum: DIMENSION_KEYS },
+                    question: { type: 'STRING' },
+                },
+                required: ['dimension', 'question'],
+            },
+        },
+    },
+    required: ['dimensions', 'questions'],
+};
+
+/**
+ * Checks that every dimension is scored exactly once.
+ * @param {object} response - Schema-valid analysis response.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export const checkIdeaAnalysis = ({ dimensions }) => DIMENSION_KEYS
+    .filter((key) => dimensions.filter((d) => d.dimension === key).length !== 1)
+    .map((key) => ({ path: '$.dimensions', message: `must score "${key}" exactly once` }));
+
+/**
+ * @typedef {object} IdeaAnalysis
+ * @property {string} idea - The idea text that was analyzed.
+ * @property {number} score - Overall score, 0-100.
+ * @property {Array<{dimension: string, score: number, missing: boolean, feedback: string}>} dimensions -
+ *   One entry per IDEA_DIMENSIONS key, in that order.
+ * @property {Array<{id: string, dimension: string, question: string}>} questions - Clarifying questions.
+ */
+
+/**
+ * Turns a validated analysis response into the analysis kept in the session.
+ * @param {string} idea - The analyzed idea.
+ * @param {object} response - Response matching IDEA_ANALYSIS_SCHEMA.
+ * @returns {IdeaAnalysis}
+ */
+export const createIdeaAnalysis = (idea, response) => {
+    const dimensions = DIMENSION_KEYS.map((key) => response.dimensions.find((d) => d.dimension === key));
+    const total = dimensions.reduce((sum, d) => sum + d.score, 0);
+    return {
+        idea,
+        score: Math.round((total / (dimensions.length * MAX_DIMENSION_SCORE)) * 100),
+        dimensions,
+        questions: response.questions.map((q) => ({ id: createId(), ...q })),
+    };
+};
+
+/**
+ * Formats the answered clarifying questions for the enhancement prompt.
+ * @param {IdeaAnalysis|null} analysis - The analysis holding the questions.
+ * @param {Object<string, string>} answers - Answers keyed by question id.
+ * @returns {string} - One Q/A pair per line; empty if nothing was answered.
+ */
+export const formatClarifications = (analysis, answers) => {
+    if (!analysis) return '';
+    return analysis.questions
+        .filter((q) => answers[q.id] && answers[q.id].trim())
+        .map((q) => `- Q: ${q.question}\n  A: ${answers[q.id].trim()}`)
+        .join('\n');
+};
@@ -0,0 +1,126 @@
+import { postJson, postStream, ProviderError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Maps the provider-neutral message list onto Gemini `contents`.
+ * Gemini calls the assistant role "model" and takes system text separately.
+ * @param {Array<{role: string, content: string}>} messages - Conversation so far.
+ * @returns {{contents: object[], systemInstruction: object|undefined}}
+ */
+const toGeminiContents = (messages) => {
+    const systemText = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const contents = messages
+        .filter((m) => m.role !== 'system')
+        .map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+    return {
+        contents,
+        systemInstruction: systemText ? { parts: [{ text: systemText }] } : undefined,
+    };
+};
+
+/**
+ * Builds the `generateContent` request body.
+ * @param {import('./index.js').GenerateRequest} request
+ * @returns {object}
+ */
+const buildPayload = ({ messages, responseSchema = null, generationConfig = {} }) => {
+    const { contents, systemInstruction } = toGeminiContents(messages);
+    const payload = { contents };
+
+    if (systemInstruction) {
+        payload.systemInstruction = systemInstruction;
+    }
+
+    payload.generationConfig = { ...generationConfig };
+    if (responseSchema) {
+        // Gemini takes the handlers' schemas natively, no translation needed
+        payload.generationConfig.responseMimeType = 'application/json';
+        payload.generationConfig.responseSchema = responseSchema;
+    }
+    if (Object.keys(payload.generationConfig).length === 0) {
+        delete payload.generationConfig;
+    }
+
+    return payload;
+};
+
+/**
+ * Reads the token counts from a response (or the last streamed chunk).
+ * @param {object} result - Parsed response body.
+ * @returns {{promptTokens: number, outputTokens: number}}
+ */
+const readUsage = (result) => ({
+    promptTokens: result.usageMetadata?.promptTokenCount || 0,
+    outputTokens: result.usageMetadata?.candidatesTokenCount || 0,
+});
+
+/**
+ * Joins the text parts of the first candidate.
+ * @param {object} result - Parsed response body or stream chunk.
+ * @returns {string|null} - The text, or null when the candidate has no parts.
+ */
+const readText = (result) => {
+    const parts = result.candidates?.[0]?.content?.parts;
+    return parts && parts.length > 0 ? parts.map((part) => part.text || '').join('') : null;
+};
+
+/**
+ * Creates the Google Gemini adapter (`generateContent` and `streamGenerateContent`).
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - API key. Left empty, the Canvas environment injects one.
+ * @param {string} [options.baseUrl] - Override for the API root (e.g. a proxy).
+ * @returns {object} - Provider with `generate` and `stream` methods.
+ */
+export const createGeminiProvider = ({ apiKey = '', baseUrl = DEFAULT_BASE_URL } = {}) => {
+    const modelUrl = (model, method) => `${baseUrl.replace(/\/$/, '')}/models/${model}:${method}`;
+
+    return {
+        id: 'gemini',
+
+        /**
+         * @param {import('./index.js').GenerateRequest} request
+         * @returns {Promise<import('./index.js').GenerateResult>}
+         */
+        generate: async (request) => {
+            const apiUrl = `${modelUrl(request.model, 'generateContent')}?key=${apiKey}`;
+            const result = await postJson(apiUrl, buildPayload(request), { provider: 'gemini', signal: request.signal });
+
+            const text = readText(result);
+            if (text === null) {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'gemini' });
+            }
+
+            return { text, usage: readUsage(result) };
+        },
+
+        /**
+         * Streams the response over server-sent events.
+         * @param {import('./index.js').GenerateRequest} request
+         * @param {function(string): void} onText - Called with each new piece of text.
+         * @returns {Promise<import('./index.js').GenerateResult>} - The full text once the stream ends.
+         */
+        stream: async (request, onText) => {
+            const apiUrl = `${modelUrl(request.model, 'streamGenerateContent')}?alt=sse&key=${apiKey}`;
+            let text = '';
+            let usage = { promptTokens: 0, outputTokens: 0 };
+
+            await postStream(apiUrl, buildPayload(request), (chunk) => {
+                const chunkText = readText(chunk);
+                if (chunkText) {
+                    text += chunkText;
+                    onText(chunkText);
+                }
+                if (chunk.usageMetadata) {
+                    usage = readUsage(chunk);
+                }
+            }, { provider: 'gemini', signal: request.signal });
+
+            if (!text) {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'gemini' });
+            }
+
+            return { text, usage };
+        },
+    };
+};
@@ -0,0 +1,152 @@
+/**
+ * Shared HTTP plumbing for the provider adapters.
+ * Every backend speaks JSON over POST, so the error handling that used to live
+ * inline in callGeminiApi is kept here once.
+ */
+
+/**
+ * Error raised by a provider adapter. Carries the HTTP status (when there is one)
+ * so callers can tell rate limits and auth failures apart from malformed output.
+ */
+export class ProviderError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     * @param {object} [details]
+     * @param {string} [details.provider] - Provider id that raised the error.
+     * @param {number} [details.status] - HTTP status code, if the error came from a response.
+     */
+    constructor(message, { provider = '', status = 0 } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+    }
+}
+
+/**
+ * Extracts a readable message from an error response body.
+ * Gemini, OpenAI-compatible servers and Ollama all use slightly different shapes.
+ * @param {any} body - Parsed error body.
+ * @returns {string} - The message, or an empty string if none was found.
+ */
+const extractErrorMessage = (body) => {
+    if (!body) return '';
+    if (typeof body.error === 'string') return body.error; // Ollama
+    if (body.error && body.error.message) return body.error.message; // Gemini, OpenAI
+    if (body.message) return body.message;
+    return '';
+};
+
+/**
+ * Issues a JSON POST and throws a ProviderError for non-2xx responses.
+ * @param {string} url - Endpoint to call.
+ * @param {object} payload - Request body, serialized as JSON.
+ * @param {object} options - See postJson.
+ * @returns {Promise<Response>} - The successful response, body not yet consumed.
+ */
+const post = async (url, payload, { provider = '', headers = {}, signal } = {}) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal,
+    });
+
+    if (!response.ok) {
+        // Error bodies are not always JSON, so read the raw text first
+        const rawErrorText = await response.text();
+        let errorData = null;
+        try {
+            errorData = JSON.parse(rawErrorText);
+        } catch {
+            // Non-JSON error body, fall back to the status text
+        }
+        throw new ProviderError(
+            `API error: ${response.status} - ${extractErrorMessage(errorData) || response.statusText}`,
+            { provider, status: response.status }
+        );
+    }
+
+    return response;
+};
+
+/**
+ * POSTs a JSON payload and returns the parsed JSON response.
+ * @param {string} url - Endpoint to call.
+ * @param {object} payload - Request body, serialized as JSON.
+ * @param {object} [options]
+ * @param {string} [options.provider] - Provider id, used to label errors.
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request.
+ * @returns {Promise<object>} - The parsed response body.
+ */
+export const postJson = async (url, payload, options = {}) => {
+    const response = await post(url, payload, options);
+
+    // Get the raw text of the response first
+    const rawResponseText = await response.text();
+
+    if (!rawResponseText) {
+        throw new ProviderError('Empty response from AI. Please try again.', { provider: options.provider });
+    }
+
+    try {
+        return JSON.parse(rawResponseText);
+    } catch (jsonParseError) {
+        throw new ProviderError(
+            `AI returned invalid response format: ${rawResponseText.substring(0, 100)}... (Error: ${jsonParseError.message})`,
+            { provider: options.provider }
+        );
+    }
+};
+
+/**
+ * POSTs a JSON payload and reads a streamed response line by line.
+ * Handles both server-sent events (`data: {...}` lines, used by Gemini and OpenAI-compatible
+ * servers) and newline-delimited JSON (used by Ollama); each JSON value is passed to `onEvent`.
+ * @param {string} url - Endpoint to call.
+ * @param {object} payload - Request body, serialized as JSON.
+ * @param {function(object): void} onEvent - Called with each parsed event, in order.
+ * @param {object} [options] - Same as postJson.
+ * @returns {Promise<void>} - Resolves once the stream has ended.
+ */
+export const postStream = async (url, payload, onEvent, options = {}) => {
+    const response = await post(url, payload, options);
+
+    if (!response.body) {
+        throw new ProviderError('Streaming is not supported by this browser.', { provider: options.provider });
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (rawLine) => {
+        let line = rawLine.trim();
+        if (!line || line.startsWith(':') || line.startsWith('event:')) return; // blank, comment or event name
+        if (line.startsWith('data:')) line = line.slice(5).trim();
+        if (line === '[DONE]') return; // OpenAI end-of-stream marker
+
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (jsonParseError) {
+            throw new ProviderError(
+                `AI returned invalid stream data: ${line.substring(0, 100)}... (Error: ${jsonParseError.message})`,
+                { provider: options.provider }
+            );
+        }
+        onEvent(event);
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // keep the incomplete trailing line for the next chunk
+        lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    handleLine(buffer);
+};
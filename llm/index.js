@@ -0,0 +1,88 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+import { createMockProvider } from './mock.js';
+import { MOCK_FIXTURES } from './mock-fixtures.js';
+
+export { ProviderError } from './http.js';
+export { SchemaValidationError } from './validate.js';
+export { generateValidatedJson } from './structured.js';
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {'system'|'user'|'assistant'} role - Who wrote the message.
+ * @property {string} content - Message text.
+ */
+
+/**
+ * @typedef {object} GenerateRequest
+ * @property {ChatMessage[]} messages - Conversation to send, oldest first.
+ * @property {string} model - Model name understood by the backend.
+ * @property {object|null} [responseSchema] - Gemini-style schema; adapters translate it as needed.
+ * @property {{temperature?: number, topP?: number, maxOutputTokens?: number}} [generationConfig]
+ * @property {AbortSignal} [signal] - Signal used to cancel the request.
+ */
+
+/**
+ * @typedef {object} GenerateResult
+ * @property {string} text - Raw model output (JSON text when a schema was given).
+ * @property {{promptTokens: number, outputTokens: number}} usage - Token counts reported by the backend.
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} id - Key of PROVIDERS.
+ * @property {function(GenerateRequest): Promise<GenerateResult>} generate - One-shot generation.
+ * @property {function(GenerateRequest, function(string): void): Promise<GenerateResult>} stream -
+ *   Streamed generation; the callback receives each new piece of text as it arrives.
+ */
+
+/**
+ * Supported backends. `defaults` seeds the connection settings when a provider is picked
+ * and `defaultModel` becomes the default model for that backend. `local` backends run on
+ * the user's machine, so their requests cost nothing.
+ */
+export const PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        create: createGeminiProvider,
+        defaults: { apiKey: '', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+        defaultModel: 'gemini-2.0-flash',
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        create: createOpenAiProvider,
+        defaults: { apiKey: '', baseUrl: 'http://localhost:8000/v1', structuredOutput: 'json_schema' },
+        defaultModel: 'gpt-4o-mini',
+    },
+    ollama: {
+        label: 'Ollama',
+        create: createOllamaProvider,
+        defaults: { baseUrl: 'http://localhost:11434' },
+        defaultModel: 'llama3.1',
+        local: true,
+    },
+    mock: {
+        label: 'Offline mock',
+        create: (options) => createMockProvider({ fixtures: MOCK_FIXTURES, ...options }),
+        defaults: { latencyMs: 400 },
+        defaultModel: 'mock-1',
+        local: true,
+    },
+};
+
+export const DEFAULT_PROVIDER_CONFIG = { type: 'gemini', ...PROVIDERS.gemini.defaults };
+
+/**
+ * Instantiates the adapter described by a provider config.
+ * @param {object} config - `{ type, ...options }`, where `type` is a key of PROVIDERS.
+ * @returns {Provider}
+ */
+export const createProvider = (config = DEFAULT_PROVIDER_CONFIG) => {
+    const entry = PROVIDERS[config.type];
+    if (!entry) {
+        throw new Error(`Unknown AI provider: ${config.type}`);
+    }
+    // Adapters ignore keys they don't know about, including `type` itself
+    return entry.create({ ...entry.defaults, ...config });
+};
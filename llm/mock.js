@@ -0,0 +1,184 @@
+/**
+ * Deterministic offline provider. The same request always produces the same response,
+ * so the whole flow can be exercised without network access or an API key.
+ */
+
+import { sleep } from '../utils/sleep.js';
+
+const WORDS = [
+    'swift', 'bright', 'nova', 'pulse', 'orbit', 'spark', 'haven', 'flow', 'beacon', 'loop',
+    'atlas', 'ember', 'drift', 'craft', 'echo', 'harbor', 'quill', 'summit', 'tide', 'verse',
+];
+
+/**
+ * 32-bit FNV-1a hash of a string, used to seed the generator.
+ * @param {string} text - Input text.
+ * @returns {number} - Unsigned 32-bit hash.
+ */
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1).
+ * @param {number} seed - Initial state.
+ * @returns {function(): number}
+ */
+const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Builds a value that satisfies a Gemini-style schema.
+ * @param {object} schema - Gemini-style schema.
+ * @param {function(): number} random - Seeded generator.
+ * @param {string} label - Property path, used to make strings recognizable.
+ * @returns {any}
+ */
+const buildFromSchema = (schema, random, label) => {
+    const pick = () => WORDS[Math.floor(random() * WORDS.length)];
+    const type = String(schema?.type || 'STRING').toUpperCase();
+
+    if (schema?.enum && schema.enum.length > 0) {
+        return schema.enum[Math.floor(random() * schema.enum.length)];
+    }
+
+    switch (type) {
+        case 'OBJECT': {
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, child]) => {
+                result[key] = buildFromSchema(child, random, key);
+            });
+            return result;
+        }
+        case 'ARRAY': {
+            const count = Math.max(schema.minItems || 0, 3);
+            return Array.from({ length: count }, (_, index) => buildFromSchema(schema.items, random, `${label} ${index + 1}`));
+        }
+        case 'INTEGER':
+            return Math.floor(random() * 10) + 1;
+        case 'NUMBER':
+            return Math.round(random() * 1000) / 100;
+        case 'BOOLEAN':
+            return random() > 0.5;
+        default:
+            return `Mock ${label}: ${capitalize(pick())} ${capitalize(pick())}`;
+    }
+};
+
+/**
+ * Builds the free-text response. Echoes the user's idea when the prompt contains one
+ * so the output still reads sensibly in the UI.
+ * @param {string} promptText - Last user message.
+ * @param {function(): number} random - Seeded generator.
+ * @returns {string}
+ */
+const buildText = (promptText, random) => {
+    const ideaMatch = promptText.match(/simple idea:\s*'([\s\S]*?)'\s*$/i);
+    const subject = ideaMatch ? ideaMatch[1] : promptText.slice(0, 120);
+    const codename = `${capitalize(WORDS[Math.floor(random() * WORDS.length)])}${capitalize(WORDS[Math.floor(random() * WORDS.length)])}`;
+    return [
+        `Build an application (working title "${codename}") based on this idea: ${subject}`,
+        '',
+        'Target audience: describe the primary users and their goals.',
+        'Core features: list the must-have functionality for a first release.',
+        'User roles: outline who uses the app and what each role can do.',
+        'Non-functional requirements: performance, security and scalability expectations.',
+        'UI/UX: a clean, accessible interface that works on mobile and desktop.',
+        'Monetization: suggest a sustainable model if applicable.',
+        '',
+        '(Generated by the offline mock provider.)',
+    ].join('\n');
+};
+
+/**
+ * Creates the deterministic mock provider.
+ * @param {object} [options]
+ * @param {number} [options.latencyMs] - Artificial delay before responding, to exercise loading states.
+ *   When streaming, the same delay is spread across the chunks instead.
+ * @param {Array<{match: string|RegExp, response: string|object|function(string): (string|object)}>} [options.fixtures] -
+ *   Canned responses. The first fixture whose `match` is found in the last user message wins; a function
+ *   response is called with that message, for responses that must echo parts of the request.
+ * @returns {object} - Provider with `generate` and `stream` methods.
+ */
+export const createMockProvider = ({ latencyMs = 0, fixtures = [] } = {}) => {
+    /**
+     * Computes the response for a request; the same request always yields the same result.
+     * @param {import('./index.js').GenerateRequest} request
+     * @returns {import('./index.js').GenerateResult}
+     */
+    const respond = ({ messages, model = '', responseSchema = null }) => {
+        const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+        const promptText = lastUser ? lastUser.content : '';
+
+        const fixture = fixtures.find(({ match }) => (
+            match instanceof RegExp ? match.test(promptText) : promptText.includes(match)
+        ));
+
+        let text;
+        if (fixture) {
+            const response = typeof fixture.response === 'function' ? fixture.response(promptText) : fixture.response;
+            text = typeof response === 'string' ? response : JSON.stringify(response);
+        } else {
+            const random = createRandom(hashString(`${model}\n${promptText}\n${JSON.stringify(responseSchema)}`));
+            text = responseSchema
+                ? JSON.stringify(buildFromSchema(responseSchema, random, 'value'))
+                : buildText(promptText, random);
+        }
+
+        return {
+            text,
+            // Rough 4-characters-per-token estimate, good enough for offline runs
+            usage: {
+                promptTokens: Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4),
+                outputTokens: Math.ceil(text.length / 4),
+            },
+        };
+    };
+
+    return {
+        id: 'mock',
+
+        /**
+         * @param {import('./index.js').GenerateRequest} request
+         * @returns {Promise<import('./index.js').GenerateResult>}
+         */
+        generate: async (request) => {
+            await sleep(latencyMs, request.signal);
+            return respond(request);
+        },
+
+        /**
+         * Emits the response a few words at a time.
+         * @param {import('./index.js').GenerateRequest} request
+         * @param {function(string): void} onText - Called with each new piece of text.
+         * @returns {Promise<import('./index.js').GenerateResult>} - The full text once the stream ends.
+         */
+        stream: async (request, onText) => {
+            const result = respond(request);
+            const chunks = result.text.match(/\S+\s*|\s+/g) || [];
+            const chunkSize = 3;
+            const chunkCount = Math.ceil(chunks.length / chunkSize);
+
+            for (let i = 0; i < chunks.length; i += chunkSize) {
+                await sleep(latencyMs / Math.max(chunkCount, 1), request.signal);
+                onText(chunks.slice(i, i + chunkSize).join(''));
+            }
+
+            return result;
+        },
+    };
+};
@@ -0,0 +1,101 @@
+import { postJson, postStream, ProviderError } from './http.js';
+import { toJsonSchema } from './schema.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Builds the `/api/chat` request body.
+ * Ollama accepts a JSON Schema directly in `format` for structured output.
+ * @param {import('./index.js').GenerateRequest} request
+ * @param {boolean} stream - Whether to ask for a streamed (NDJSON) response.
+ * @returns {object}
+ */
+const buildPayload = ({ messages, model, responseSchema = null, generationConfig = {} }, stream) => {
+    const payload = {
+        model,
+        messages: messages.map((m) => ({ role: m.role, content: m.content })),
+        stream,
+    };
+
+    const options = {};
+    if (generationConfig.temperature !== undefined) options.temperature = generationConfig.temperature;
+    if (generationConfig.topP !== undefined) options.top_p = generationConfig.topP;
+    if (generationConfig.maxOutputTokens !== undefined) options.num_predict = generationConfig.maxOutputTokens;
+    if (Object.keys(options).length > 0) payload.options = options;
+
+    if (responseSchema) {
+        payload.format = toJsonSchema(responseSchema);
+    }
+
+    return payload;
+};
+
+/**
+ * Reads the token counts from a response (or the final `done` chunk).
+ * @param {object} result - Parsed response body.
+ * @returns {{promptTokens: number, outputTokens: number}}
+ */
+const readUsage = (result) => ({
+    promptTokens: result.prompt_eval_count || 0,
+    outputTokens: result.eval_count || 0,
+});
+
+/**
+ * Creates an adapter for a local Ollama server (`/api/chat`).
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Server root, without the `/api` segment.
+ * @returns {object} - Provider with `generate` and `stream` methods.
+ */
+export const createOllamaProvider = ({ baseUrl = DEFAULT_BASE_URL } = {}) => {
+    const apiUrl = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+    return {
+        id: 'ollama',
+
+        /**
+         * @param {import('./index.js').GenerateRequest} request
+         * @returns {Promise<import('./index.js').GenerateResult>}
+         */
+        generate: async (request) => {
+            const result = await postJson(apiUrl, buildPayload(request, false), { provider: 'ollama', signal: request.signal });
+
+            const content = result.message?.content;
+            if (typeof content !== 'string') {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'ollama' });
+            }
+
+            return { text: content, usage: readUsage(result) };
+        },
+
+        /**
+         * Streams the response as newline-delimited JSON.
+         * @param {import('./index.js').GenerateRequest} request
+         * @param {function(string): void} onText - Called with each new piece of text.
+         * @returns {Promise<import('./index.js').GenerateResult>} - The full text once the stream ends.
+         */
+        stream: async (request, onText) => {
+            let text = '';
+            let usage = { promptTokens: 0, outputTokens: 0 };
+
+            await postStream(apiUrl, buildPayload(request, true), (chunk) => {
+                if (chunk.error) {
+                    throw new ProviderError(`API error: ${chunk.error}`, { provider: 'ollama' });
+                }
+                const content = chunk.message?.content;
+                if (content) {
+                    text += content;
+                    onText(content);
+                }
+                if (chunk.done) {
+                    usage = readUsage(chunk);
+                }
+            }, { provider: 'ollama', signal: request.signal });
+
+            if (!text) {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'ollama' });
+            }
+
+            return { text, usage };
+        },
+    };
+};
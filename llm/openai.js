@@ -0,0 +1,116 @@
+import { postJson, postStream, ProviderError } from './http.js';
+import { toJsonSchema, isStrictCompatible, describeSchema } from './schema.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:8000/v1';
+
+/**
+ * Builds the `/chat/completions` request body.
+ * @param {import('./index.js').GenerateRequest} request
+ * @param {'json_schema'|'json_object'} structuredOutput - How to request JSON.
+ * @returns {object}
+ */
+const buildPayload = ({ messages, model, responseSchema = null, generationConfig = {} }, structuredOutput) => {
+    let chatMessages = messages.map((m) => ({ role: m.role, content: m.content }));
+    const payload = { model };
+
+    if (generationConfig.temperature !== undefined) payload.temperature = generationConfig.temperature;
+    if (generationConfig.topP !== undefined) payload.top_p = generationConfig.topP;
+    if (generationConfig.maxOutputTokens !== undefined) payload.max_tokens = generationConfig.maxOutputTokens;
+
+    if (responseSchema) {
+        if (structuredOutput === 'json_object') {
+            payload.response_format = { type: 'json_object' };
+            chatMessages = [
+                ...chatMessages,
+                { role: 'system', content: `Respond only with JSON matching this JSON Schema:\n${describeSchema(responseSchema)}` },
+            ];
+        } else {
+            const schema = toJsonSchema(responseSchema);
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema, strict: isStrictCompatible(schema) },
+            };
+        }
+    }
+    payload.messages = chatMessages;
+
+    return payload;
+};
+
+/**
+ * Reads the token counts from a response (or the final streamed chunk).
+ * @param {object} result - Parsed response body.
+ * @returns {{promptTokens: number, outputTokens: number}}
+ */
+const readUsage = (result) => ({
+    promptTokens: result.usage?.prompt_tokens || 0,
+    outputTokens: result.usage?.completion_tokens || 0,
+});
+
+/**
+ * Creates an adapter for OpenAI-compatible `/chat/completions` servers
+ * (OpenAI itself, vLLM, llama.cpp server, LM Studio, LocalAI...).
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Bearer token. Many local servers accept any value or none.
+ * @param {string} [options.baseUrl] - API root, including the `/v1` segment.
+ * @param {'json_schema'|'json_object'} [options.structuredOutput] - How to request JSON.
+ *   `json_schema` sends the translated schema; `json_object` is for servers that only
+ *   support plain JSON mode, in which case the schema is described in the prompt instead.
+ * @returns {object} - Provider with `generate` and `stream` methods.
+ */
+export const createOpenAiProvider = ({ apiKey = '', baseUrl = DEFAULT_BASE_URL, structuredOutput = 'json_schema' } = {}) => {
+    const apiUrl = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        id: 'openai',
+
+        /**
+         * @param {import('./index.js').GenerateRequest} request
+         * @returns {Promise<import('./index.js').GenerateResult>}
+         */
+        generate: async (request) => {
+            const result = await postJson(apiUrl, buildPayload(request, structuredOutput), { provider: 'openai', headers, signal: request.signal });
+
+            const content = result.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'openai' });
+            }
+
+            return { text: content, usage: readUsage(result) };
+        },
+
+        /**
+         * Streams the response over server-sent events.
+         * @param {import('./index.js').GenerateRequest} request
+         * @param {function(string): void} onText - Called with each new piece of text.
+         * @returns {Promise<import('./index.js').GenerateResult>} - The full text once the stream ends.
+         */
+        stream: async (request, onText) => {
+            const payload = {
+                ...buildPayload(request, structuredOutput),
+                stream: true,
+                stream_options: { include_usage: true },
+            };
+            let text = '';
+            let usage = { promptTokens: 0, outputTokens: 0 };
+
+            await postStream(apiUrl, payload, (chunk) => {
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onText(delta);
+                }
+                if (chunk.usage) {
+                    usage = readUsage(chunk);
+                }
+            }, { provider: 'openai', headers, signal: request.signal });
+
+            if (!text) {
+                throw new ProviderError('Unexpected API response structure or no content generated.', { provider: 'openai' });
+            }
+
+            return { text, usage };
+        },
+    };
+};
@@ -0,0 +1,94 @@
+/**
+ * Translation of the Gemini-style `responseSchema` objects used by the handlers
+ * (uppercase `type` names, `nullable`, `propertyOrdering`) into standard JSON Schema,
+ * which is what OpenAI-compatible servers and Ollama expect for structured output.
+ */
+
+// Gemini type names mapped to their JSON Schema equivalents
+const TYPE_MAP = {
+    STRING: 'string',
+    NUMBER: 'number',
+    INTEGER: 'integer',
+    BOOLEAN: 'boolean',
+    ARRAY: 'array',
+    OBJECT: 'object',
+};
+
+// Keywords that carry over unchanged between the two dialects
+const PASSTHROUGH_KEYS = ['description', 'enum', 'format', 'minItems', 'maxItems', 'minProperties', 'minimum', 'maximum'];
+
+/**
+ * Converts a Gemini-style schema to JSON Schema.
+ * Objects are closed with `additionalProperties: false` so backends that enforce
+ * the schema don't invent extra keys.
+ * @param {object} schema - Gemini-style schema (e.g. `{ type: "OBJECT", properties: {...} }`).
+ * @returns {object} - The equivalent JSON Schema.
+ */
+export const toJsonSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return {};
+
+    const rawType = typeof schema.type === 'string' ? schema.type.toUpperCase() : '';
+    const type = TYPE_MAP[rawType] || (schema.type ? String(schema.type).toLowerCase() : undefined);
+    const result = {};
+
+    if (type) {
+        result.type = schema.nullable ? [type, 'null'] : type;
+    }
+
+    PASSTHROUGH_KEYS.forEach((key) => {
+        if (schema[key] !== undefined) result[key] = schema[key];
+    });
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        // Keep the Gemini propertyOrdering if present, since some backends emit keys in schema order
+        const keys = schema.propertyOrdering || Object.keys(properties);
+        result.properties = {};
+        keys.forEach((key) => {
+            if (properties[key]) result.properties[key] = toJsonSchema(properties[key]);
+        });
+        if (schema.required && schema.required.length > 0) {
+            result.required = [...schema.required];
+        }
+        result.additionalProperties = false;
+    }
+
+    if (type === 'array' && schema.items) {
+        result.items = toJsonSchema(schema.items);
+    }
+
+    return result;
+};
+
+/**
+ * Checks whether a JSON Schema satisfies the OpenAI "strict" structured-output rules:
+ * every object must list all of its properties as required.
+ * Schemas that don't qualify (e.g. the tech stack schema, where every key is optional)
+ * are sent non-strict instead.
+ * @param {object} jsonSchema - Schema produced by toJsonSchema.
+ * @returns {boolean} - True if the schema can be sent with `strict: true`.
+ */
+export const isStrictCompatible = (jsonSchema) => {
+    if (!jsonSchema || typeof jsonSchema !== 'object') return true;
+
+    if (jsonSchema.properties) {
+        const keys = Object.keys(jsonSchema.properties);
+        const required = jsonSchema.required || [];
+        if (keys.some((key) => !required.includes(key))) return false;
+        if (keys.some((key) => !isStrictCompatible(jsonSchema.properties[key]))) return false;
+    }
+
+    if (jsonSchema.items) {
+        return isStrictCompatible(jsonSchema.items);
+    }
+
+    return true;
+};
+
+/**
+ * Renders a schema as a compact, human readable description for backends that have
+ * no native structured output. Appended to the prompt as an instruction.
+ * @param {object} schema - Gemini-style schema.
+ * @returns {string} - The JSON Schema, pretty-printed.
+ */
+export const describeSchema = (schema) => JSON.stringify(toJsonSchema(schema), null, 2);
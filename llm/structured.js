@@ -0,0 +1,79 @@
+import { validateAgainstSchema, formatIssues, SchemaValidationError } from './validate.js';
+import { sleep } from '../utils/sleep.js';
+
+/**
+ * Parses the model's text as JSON, turning syntax errors into a validation issue
+ * so they go through the same repair path as schema mismatches.
+ * @param {string} text - Model output.
+ * @returns {{value: any, issues: import('./validate.js').ValidationIssue[]}}
+ */
+const parseJson = (text) => {
+    try {
+        return { value: JSON.parse(text), issues: [] };
+    } catch (err) {
+        return { value: undefined, issues: [{ path: '$', message: `is not valid JSON (${err.message})` }] };
+    }
+};
+
+/**
+ * Builds the follow-up message asking the model to fix its previous answer.
+ * @param {import('./validate.js').ValidationIssue[]} issues - Problems with the previous answer.
+ * @returns {string}
+ */
+const buildRepairPrompt = (issues) => `Your previous response did not meet the requirements. Fix these problems:
+${issues.map(({ path, message }) => `- ${path} ${message}`).join('\n')}
+
+Respond again with only the corrected JSON object, keeping every valid part of your previous answer.`;
+
+/**
+ * Requests structured output and validates it against the request's schema.
+ * When the output is invalid, the model is shown its previous answer plus the validation
+ * errors and asked to repair it, waiting `backoffMs * 2^n` before the n-th repair.
+ * @param {import('./index.js').Provider} provider - Provider to call.
+ * @param {import('./index.js').GenerateRequest} request - Request; must include `responseSchema`.
+ * @param {object} [options]
+ * @param {number} [options.maxRepairAttempts] - Repair requests allowed after the first response.
+ * @param {number} [options.backoffMs] - Base delay before the first repair request.
+ * @param {function(number, import('./validate.js').ValidationIssue[]): void} [options.onRepair] -
+ *   Called before each repair request with the attempt number (1-based) and the issues being fixed.
+ * @param {function(any): import('./validate.js').ValidationIssue[]} [options.check] - Extra checks run on
+ *   schema-valid output, for rules a schema can't express (e.g. references between items). Issues it
+ *   returns are repaired the same way.
+ * @param {function(object, string): void} [options.onUsage] - Called with the usage and text of each response as it
+ *   arrives, so every attempt is counted even when a later repair request fails or is stopped.
+ * @returns {Promise<{value: any, usage: object, attempts: number}>} - The validated value.
+ * @throws {SchemaValidationError} - If the output is still invalid after the last repair attempt.
+ */
+export const generateValidatedJson = async (provider, request, { maxRepairAttempts = 2, backoffMs = 500, onRepair, check, onUsage } = {}) => {
+    let messages = request.messages;
+    const usage = { promptTokens: 0, outputTokens: 0 };
+
+    for (let attempt = 0; ; attempt++) {
+        const result = await provider.generate({ ...request, messages });
+        usage.promptTokens += result.usage.promptTokens;
+        usage.outputTokens += result.usage.outputTokens;
+        onUsage?.(result.usage, result.text);
+
+        const { value, issues: parseIssues } = parseJson(result.text);
+        let issues = parseIssues.length > 0 ? parseIssues : validateAgainstSchema(value, request.responseSchema);
+        if (issues.length === 0 && check) {
+            issues = check(value);
+        }
+        if (issues.length === 0) {
+            return { value, usage, attempts: attempt + 1 };
+        }
+
+        console.warn(`AI response failed validation (attempt ${attempt + 1}): ${formatIssues(issues)}`);
+        if (attempt >= maxRepairAttempts) {
+            throw new SchemaValidationError(issues, attempt + 1, usage);
+        }
+
+        onRepair?.(attempt + 1, issues);
+        await sleep(backoffMs * 2 ** attempt, request.signal);
+        messages = [
+            ...request.messages,
+            { role: 'assistant', content: result.text },
+            { role: 'user', content: buildRepairPrompt(issues) },
+        ];
+    }
+};
@@ -0,0 +1,129 @@
+/**
+ * Validation of parsed model output against the Gemini-style `responseSchema` objects
+ * the handlers define. Supports the subset of keywords those schemas use: type, nullable,
+ * enum, properties, required, items, minItems/maxItems, minProperties and minimum/maximum.
+ */
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - Location of the problem, e.g. '$.strategies[1].name'.
+ * @property {string} message - What is wrong there.
+ */
+
+/**
+ * Error thrown when the model's output still doesn't match its schema after all repair attempts.
+ */
+export class SchemaValidationError extends Error {
+    /**
+     * @param {ValidationIssue[]} issues - The problems found in the last response.
+     * @param {number} attempts - How many responses were requested in total.
+     * @param {{promptTokens: number, outputTokens: number}|null} [usage] - Tokens spent on all attempts.
+     */
+    constructor(issues, attempts, usage = null) {
+        super(`AI response did not match the expected format after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${formatIssues(issues)}`);
+        this.name = 'SchemaValidationError';
+        this.issues = issues;
+        this.attempts = attempts;
+        this.usage = usage;
+    }
+}
+
+/**
+ * Describes a value's JSON type for error messages.
+ * @param {any} value - Any parsed JSON value.
+ * @returns {string}
+ */
+const describeType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// Checks whether a value matches a Gemini type name
+const TYPE_CHECKS = {
+    STRING: (value) => typeof value === 'string',
+    NUMBER: (value) => typeof value === 'number' && Number.isFinite(value),
+    INTEGER: (value) => Number.isInteger(value),
+    BOOLEAN: (value) => typeof value === 'boolean',
+    ARRAY: (value) => Array.isArray(value),
+    OBJECT: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+/**
+ * Validates a value against a Gemini-style schema.
+ * @param {any} value - Parsed model output.
+ * @param {object} schema - Gemini-style schema.
+ * @param {string} [path] - Path of `value`, used in the messages.
+ * @returns {ValidationIssue[]} - Every problem found; empty when the value is valid.
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (value === null || value === undefined) {
+        return schema.nullable ? [] : [{ path, message: `expected ${String(schema.type || 'a value').toLowerCase()}, got ${value === null ? 'null' : 'nothing'}` }];
+    }
+
+    const type = typeof schema.type === 'string' ? schema.type.toUpperCase() : '';
+    if (type && TYPE_CHECKS[type] && !TYPE_CHECKS[type](value)) {
+        return [{ path, message: `expected ${type.toLowerCase()}, got ${describeType(value)}` }];
+    }
+
+    const issues = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        issues.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        issues.push({ path, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+
+    if (type === 'OBJECT') {
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) {
+                issues.push({ path: `${path}.${key}`, message: 'is required but missing' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+            if (key in value) {
+                issues.push(...validateAgainstSchema(value[key], childSchema, `${path}.${key}`));
+            }
+        });
+        const presentCount = Object.keys(value).filter((key) => value[key] !== null && value[key] !== undefined).length;
+        if (schema.minProperties && presentCount < schema.minProperties) {
+            issues.push({ path, message: `must have at least ${schema.minProperties} non-empty propert${schema.minProperties === 1 ? 'y' : 'ies'}` });
+        }
+    }
+
+    if (type === 'ARRAY') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issues.push({ path, message: `must have at least ${schema.minItems} item(s), got ${value.length}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issues.push({ path, message: `must have at most ${schema.maxItems} item(s), got ${value.length}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                issues.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    return issues;
+};
+
+/**
+ * Formats issues as a single readable line, capped so the error banner stays short.
+ * @param {ValidationIssue[]} issues - Problems to describe.
+ * @param {number} [limit] - Maximum number of issues to list.
+ * @returns {string}
+ */
+export const formatIssues = (issues, limit = 5) => {
+    const listed = issues.slice(0, limit).map(({ path, message }) => `${path} ${message}`);
+    const remaining = issues.length - listed.length;
+    return `${listed.join('; ')}${remaining > 0 ? `; and ${remaining} more` : ''}`;
+};
@@ -0,0 +1,98 @@
+/**
+ * Market analysis: competing product categories, differentiators, a SWOT grid, market-size
+ * reasoning and user personas for the previewed app.
+ */
+
+// SWOT quadrants, in grid order
+export const SWOT_QUADRANTS = [
+    { key: 'strengths', label: 'Strengths' },
+    { key: 'weaknesses', label: 'Weaknesses' },
+    { key: 'opportunities', label: 'Opportunities' },
+    { key: 'threats', label: 'Threats' },
+];
+
+// Market size levels, from the whole market down to what the app can realistically win
+export const MARKET_SIZE_LEVELS = [
+    { key: 'tam', label: 'TAM', description: 'Total addressable market' },
+    { key: 'sam', label: 'SAM', description: 'Serviceable addressable market' },
+    { key: 'som', label: 'SOM', description: 'Serviceable obtainable market' },
+];
+
+const STRING_LIST = { type: 'ARRAY', items: { type: 'STRING' } };
+
+const MARKET_SIZE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        estimate: { type: 'STRING' },
+        reasoning: { type: 'STRING' },
+    },
+    required: ['estimate', 'reasoning'],
+};
+
+/**
+ * Response schema for the analysis.
+ */
+export const MARKET_ANALYSIS_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        categories: {
+            type: 'ARRAY',
+            minItems: 1,
+            maxItems: 5,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    description: { type: 'STRING' },
+                    examples: STRING_LIST,
+                },
+                required: ['name', 'description', 'examples'],
+            },
+        },
+        differentiators: { ...STRING_LIST, minItems: 1 },
+        swot: {
+            type: 'OBJECT',
+            properties: Object.fromEntries(SWOT_QUADRANTS.map(({ key }) => [key, { ...STRING_LIST, minItems: 1 }])),
+            required: SWOT_QUADRANTS.map(({ key }) => key),
+        },
+        marketSize: {
+            type: 'OBJECT',
+            properties: Object.fromEntries(MARKET_SIZE_LEVELS.map(({ key }) => [key, MARKET_SIZE_SCHEMA])),
+            required: MARKET_SIZE_LEVELS.map(({ key }) => key),
+        },
+        personas: {
+            type: 'ARRAY',
+            minItems: 1,
+            maxItems: 4,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    summary: { type: 'STRING' },
+                    goals: STRING_LIST,
+                    painPoints: STRING_LIST,
+                },
+                required: ['name', 'summary', 'goals', 'painPoints'],
+            },
+        },
+    },
+    required: ['categories', 'differentiators', 'swot', 'marketSize', 'personas'],
+};
+
+/**
+ * @typedef {object} MarketAnalysis
+ * @property {Array<{name: string, description: string, examples: string[]}>} categories - Comparable product categories.
+ * @property {string[]} differentiators - How the app stands out.
+ * @property {{strengths: string[], weaknesses: string[], opportunities: string[], threats: string[]}} swot
+ * @property {{tam: {estimate: string, reasoning: string}, sam: object, som: object}} marketSize - Rough TAM/SAM/SOM.
+ * @property {Array<{name: string, summary: string, goals: string[], painPoints: string[]}>} personas
+ */
+
+/**
+ * Prompt for the market analysis.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const buildMarketAnalysisPrompt = (preview) => `Analyze the market for the following app. List 2-4 categories of comparable existing products, with a few well-known examples each, and the app's key differentiators against them. Give a SWOT analysis, a rough top-down TAM/SAM/SOM estimate with the reasoning and assumptions behind each figure, and 2-3 user personas with their goals and pain points. Be concrete, and say when figures are rough guesses.
+        App Description: ${preview.description}
+        Target Audience: ${preview.targetAudience || 'Not specified'}`;
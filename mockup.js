@@ -0,0 +1,127 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Clickable UI mockup: a few main screens of the app as self-contained HTML/CSS/JS,
+ * rendered one at a time in a sandboxed iframe (see components/mockup-viewer.js).
+ */
+
+// Message type the injected navigation script posts to the parent window
+export const NAVIGATE_MESSAGE = 'ai-app-prompt-enhancer/mockup-navigate';
+
+const SCREEN_PROPERTIES = {
+    name: { type: 'STRING' },
+    purpose: { type: 'STRING' },
+    html: { type: 'STRING' },
+    script: { type: 'STRING' },
+};
+
+/**
+ * Response schema for a single (re)generated screen.
+ */
+export const SCREEN_SCHEMA = {
+    type: 'OBJECT',
+    properties: SCREEN_PROPERTIES,
+    required: ['name', 'purpose', 'html', 'script'],
+};
+
+/**
+ * Response schema for the whole mockup.
+ */
+export const MOCKUP_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        styles: { type: 'STRING' },
+        screens: {
+            type: 'ARRAY',
+            minItems: 2,
+            maxItems: 6,
+            items: SCREEN_SCHEMA,
+        },
+    },
+    required: ['styles', 'screens'],
+};
+
+/**
+ * @typedef {object} MockupScreen
+ * @property {string} id - Unique id.
+ * @property {string} name - Tab label; other screens link to it with `data-screen="<name>"`.
+ * @property {string} purpose - What the screen is for.
+ * @property {string} html - Markup placed in the screen's <body>.
+ * @property {string} script - JavaScript run after the markup; may be empty.
+ */
+
+/**
+ * @typedef {object} Mockup
+ * @property {string} styles - CSS shared by all screens.
+ * @property {MockupScreen[]} screens
+ */
+
+/**
+ * Turns a validated mockup response into the mockup kept in the session.
+ * @param {object} response - Response matching MOCKUP_SCHEMA.
+ * @returns {Mockup}
+ */
+export const createMockup = (response) => ({
+    styles: response.styles,
+    screens: response.screens.map((screen) => ({ id: createId(), ...screen })),
+});
+
+// Screens may not load anything: no network, no external scripts, fonts or images except data: URIs
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:; font-src data:";
+
+// Turns clicks on [data-screen] elements into navigation requests to the viewer
+const NAVIGATION_SCRIPT = `document.addEventListener('click', function (event) {
+    var target = event.target.closest('[data-screen]');
+    if (!target) return;
+    event.preventDefault();
+    parent.postMessage({ type: '${NAVIGATE_MESSAGE}', screen: target.getAttribute('data-screen') }, '*');
+});`;
+
+/**
+ * Keeps generated text from closing the element it is embedded in.
+ * @param {string} text - CSS or JavaScript source.
+ * @param {string} tag - 'style' or 'script'.
+ * @returns {string}
+ */
+const escapeClosingTag = (text, tag) => text.replace(new RegExp(`</(${tag})`, 'gi'), '<\\/$1');
+
+/**
+ * Builds the complete HTML document for one screen, for the iframe's `srcdoc`.
+ * @param {Mockup} mockup - The mockup (for the shared styles).
+ * @param {MockupScreen} screen - Screen to render.
+ * @returns {string}
+ */
+export const buildScreenDocument = (mockup, screen) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<style>${escapeClosingTag(mockup.styles, 'style')}</style>
+</head>
+<body>
+${screen.html}
+<script>${NAVIGATION_SCRIPT}</script>
+${screen.script ? `<script>${escapeClosingTag(screen.script, 'script')}</script>` : ''}
+</body>
+</html>
+`;
+
+/**
+ * Describes the app preview for the mockup prompts.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const describePreviewForMockup = (preview) => `App Name: ${preview.appName}
+        Tagline: ${preview.tagline}
+        Description: ${preview.description}
+        Key Features: ${preview.keyFeatures ? preview.keyFeatures.join(', ') : 'Not provided'}
+        Target Audience: ${preview.targetAudience}`;
+
+/**
+ * Prompt for a clickable mockup of the app's main screens.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const buildMockupPrompt = (preview) => `Create a clickable UI mockup of the main screens (3-5) of the following app as self-contained HTML, CSS and JavaScript. Return "styles" with the CSS shared by all screens, and for each screen its "name" (short, used as a tab label), its "purpose" (one sentence), its "html" (only the markup that goes inside <body>, with realistic sample content) and its "script" (plain JavaScript for interactions on that screen, or an empty string). Make elements that lead to another screen navigable by adding data-screen="<exact name of that screen>". Do not load anything external: no CDNs, web fonts or remote images; use inline SVG, emoji or CSS instead. The layout must be responsive and work from phone to desktop widths.
+        ${describePreviewForMockup(preview)}`;
@@ -0,0 +1,59 @@
+/**
+ * App name and tagline suggestions, optionally with localized alternatives for each target
+ * market (set in the language settings). Markets are BCP 47 tags such as "es-MX" or "ja-JP".
+ */
+
+/**
+ * Builds the response schema for names and taglines.
+ * @param {string[]} markets - Target markets; each gets a `localized` entry. Empty for none.
+ * @returns {object} - Gemini-style schema.
+ */
+export const buildNamesSchema = (markets) => {
+    const schema = {
+        type: 'OBJECT',
+        properties: {
+            names: { type: 'ARRAY', items: { type: 'STRING' } },
+            taglines: { type: 'ARRAY', items: { type: 'STRING' } },
+        },
+        required: ['names', 'taglines'],
+    };
+    if (markets.length === 0) return schema;
+    return {
+        ...schema,
+        properties: {
+            ...schema.properties,
+            localized: {
+                type: 'ARRAY',
+                minItems: markets.length,
+                maxItems: markets.length,
+                items: {
+                    type: 'OBJECT',
+                    properties: {
+                        market: { type: 'STRING', enum: markets },
+                        names: { type: 'ARRAY', minItems: 1, items: { type: 'STRING' } },
+                        taglines: { type: 'ARRAY', minItems: 1, items: { type: 'STRING' } },
+                    },
+                    required: ['market', 'names', 'taglines'],
+                },
+            },
+        },
+        required: [...schema.required, 'localized'],
+    };
+};
+
+/**
+ * Checks what the schema can't express: one localized entry per market.
+ * @param {object} response - Response matching buildNamesSchema.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export const checkNames = ({ localized = [] }) => {
+    const seen = new Set();
+    const issues = [];
+    localized.forEach(({ market }, index) => {
+        if (seen.has(market)) {
+            issues.push({ path: `$.localized[${index}].market`, message: `repeats the market "${market}"; give each market exactly one entry` });
+        }
+        seen.add(market);
+    });
+    return issues;
+};
@@ -0,0 +1,812 @@
+import { createId } from './storage/projects.js';
+import { describeLanguageTag } from './i18n/index.js';
+import { buildNamesSchema, checkNames } from './names.js';
+import {
+    DEFAULT_PREVIEW_TEMPLATE, renderTemplate, renderEnhancementPrompt, extractVariables,
+} from './templates.js';
+import { buildBacklogSchema, buildBacklogPrompt, createBacklog } from './backlog.js';
+import { DATA_MODEL_SCHEMA, checkDataModel, buildDataModelPrompt } from './data-model.js';
+import { MOCKUP_SCHEMA, buildMockupPrompt, createMockup } from './mockup.js';
+import { MARKET_ANALYSIS_SCHEMA, buildMarketAnalysisPrompt } from './market-analysis.js';
+import { PROJECT_PLAN_SCHEMA, checkProjectPlan, createProjectPlan, buildProjectPlanPrompt } from './project-plan.js';
+import { buildScaffoldSchema, checkScaffold, createScaffold, buildScaffoldPrompt } from './scaffold.js';
+import { EVALUATION_SCHEMA, checkEvaluation, createEvaluation, buildEvaluationPrompt } from './evaluation.js';
+import { buildComplianceSchema, checkCompliance, createComplianceReview, buildCompliancePrompt } from './compliance.js';
+import { buildOpenApiDocument, validateOpenApiDocument, getApiInfo } from './exporters/openapi.js';
+import { describeTechStack } from './exporters/markdown.js';
+
+/**
+ * Generation pipeline: the steps from idea to add-ons as a list of declarative nodes. Each node
+ * has a prompt template, input bindings and an output shape. Nodes run in list order, and each
+ * input is bound to a pipeline input (the idea, the current prompt) or to the output of an
+ * earlier node. Besides the built-in steps, users can add custom steps with their own template.
+ */
+
+// localStorage key for the user's pipeline
+const STORAGE_KEY = 'aiAppPromptEnhancer.pipeline';
+
+// Identifies pipeline export files
+export const PIPELINE_FORMAT = 'ai-app-prompt-enhancer/pipeline';
+export const PIPELINE_VERSION = 1;
+
+// Most nodes one pipeline accepts
+export const MAX_PIPELINE_NODES = 20;
+
+// Step key (see STEPS) custom nodes are sent under, for the model choice and the usage log
+export const CUSTOM_STEP = 'custom';
+
+/**
+ * Kinds of values passed between nodes. Any value can fill a 'text' input, since it is
+ * written into the prompt; the other kinds of input need a value of that kind, e.g. a
+ * structured app preview.
+ * @typedef {'text'|'json'|'appPreview'|'techStack'|'dataModel'} ValueKind
+ */
+
+/**
+ * Whether an input of the given kind accepts a value of another kind.
+ * @param {ValueKind} inputKind - Kind of the input.
+ * @param {ValueKind} valueKind - Kind of the value.
+ * @returns {boolean}
+ */
+export const acceptsKind = (inputKind, valueKind) => inputKind === 'text' || inputKind === valueKind;
+
+// Values given to the pipeline as a whole; bound as `input:<key>`
+export const PIPELINE_INPUTS = [
+    { key: 'idea', kind: 'text' }, // The simple idea
+    { key: 'prompt', kind: 'text' }, // The prompt in the editor
+];
+
+// Structured app preview generated from the enhanced prompt
+export const APP_PREVIEW_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        appName: { type: "STRING" },
+        tagline: { type: "STRING" },
+        description: { type: "STRING" },
+        keyFeatures: {
+            type: "ARRAY",
+            items: { type: "STRING" }
+        },
+        targetAudience: { type: "STRING" }
+    },
+    required: ["appName", "tagline", "description", "keyFeatures", "targetAudience"] // Corrected typo: targetAudient -> targetAudience
+};
+
+export const MONETIZATION_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        strategies: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    name: { type: "STRING" },
+                    description: { type: "STRING" }
+                },
+                required: ["name", "description"]
+            }
+        }
+    },
+    required: ["strategies"]
+};
+
+export const TECH_STACK_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        frontend: { type: "STRING", nullable: true },
+        backend: { type: "STRING", nullable: true },
+        database: { type: "STRING", nullable: true },
+        mobile: { type: "STRING", nullable: true },
+        // Add more specific categories if desired, e.g., 'cloudPlatform', 'aiIntegration'
+    },
+    minProperties: 1 // Irrelevant categories may be null or omitted, but an empty object is not a suggestion
+};
+
+/**
+ * Prompt for app names and taglines, plus localized ones for each target market.
+ * @param {object} preview - The app preview.
+ * @param {string[]} markets - Target markets from the language settings.
+ * @returns {string}
+ */
+export const buildNamesPrompt = (preview, markets) => {
+    const marketsPrompt = markets.length > 0
+        ? `
+        Also suggest 3 names and 3 taglines for each of the target markets below, under "localized" with the market's tag copied exactly. Write them in the market's language, whatever language the rest of the response is in, and adapt them to its culture: avoid words that are hard to pronounce, have unfortunate meanings or are likely taken there, rather than translating the general suggestions word for word.
+        Target Markets:
+        ${markets.map((market) => `- ${market} (${describeLanguageTag(market, 'en')})`).join('\n        ')}`
+        : '';
+    return `Generate 5 creative and catchy app names and 5 taglines for an app based on the following description. Provide the output as a JSON object with two keys: "names" (array of strings) and "taglines" (array of strings).
+        App Description: ${preview.description}${marketsPrompt}`;
+};
+
+/**
+ * Prompt for monetization strategies.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const buildMonetizationPrompt = (preview) => `Based on the following app description, suggest 3-5 potential monetization strategies. For each strategy, briefly explain how it would work for this app. Provide the output as a JSON object with a single key "strategies" (array of objects, each with "name" and "description" keys).
+        App Description: ${preview.description}`;
+
+/**
+ * Prompt for high-level tech stack suggestions.
+ * @param {object} preview - The app preview.
+ * @returns {string}
+ */
+export const buildTechStackPrompt = (preview) => `Based on the following app description and its key features, suggest a high-level technology stack (e.g., Frontend, Backend, Database, Mobile). Focus on common, modern technologies suitable for the described app. Provide the output as a JSON object with keys like "frontend", "backend", "database", "mobile" (each a string, or null if not applicable). If a category is not directly relevant, you can omit it or set its value to null.
+        App Description: ${preview.description}
+        Key Features: ${preview.keyFeatures ? preview.keyFeatures.join(', ') : 'Not provided'}`;
+
+/**
+ * @typedef {object} NodeInput
+ * @property {string} name - Input name; also the name of the value the step reads.
+ * @property {ValueKind} kind - Kind of value it takes.
+ * @property {string} hint - What it is connected to by default (see bindNode).
+ * @property {boolean} [optional] - Whether the step can run without it; it is then null.
+ */
+
+/**
+ * @typedef {object} NodeRequest
+ * @property {string} promptText - Prompt to send.
+ * @property {object|null} schema - Response schema, or null for text.
+ * @property {object} [options] - Extra callGeminiApi options, e.g. `check`.
+ * @property {function(any): any} [toResult] - Turns the response into the node's output.
+ */
+
+/**
+ * @typedef {object} RequestContext
+ * @property {import('./templates.js').PromptTemplate} template - Selected prompt template.
+ * @property {Object<string, string>} templateValues - Values of its extra fields.
+ * @property {string[]} markets - Target markets from the language settings.
+ * @property {string} [clarifications] - Formatted answers to the clarifying questions.
+ */
+
+// Inputs shared by the steps that build on the app preview
+const PREVIEW_INPUT = { name: 'appPreview', kind: 'appPreview', hint: 'preview' };
+const SPEC_INPUT = { name: 'prompt', kind: 'text', hint: 'enhance' };
+const TECH_STACK_INPUT = { name: 'techStack', kind: 'techStack', hint: 'techStack', optional: true };
+
+// Preconditions of the steps, as error codes (see `requires` in BUILT_IN_NODES)
+const requirePreview = ({ appPreview }) => (appPreview?.description ? null : 'previewFirst');
+const requireFeatures = ({ appPreview }) => (appPreview?.keyFeatures?.length > 0 ? null : 'featuresFirst');
+
+/**
+ * The built-in steps, by node type, in the app's order. The type is also the step key (see
+ * STEPS) and the request key. `inputs` are filled through the node's bindings (see NodeInput).
+ * `output` is the kind of value produced and `fields` are the output properties later nodes can
+ * bind to one by one. `resultKey` is the session key the result is shown under, `requires(values)`
+ * returns the code of a missing precondition (shown as `error.<code>`) or null, and
+ * `buildRequest(values, context)` is the prompt template.
+ * @type {Object<string, {inputs: NodeInput[], output: ValueKind, fields: string[], resultKey: string,
+ *   requires?: function(object): string|null, buildRequest: function(object, RequestContext): NodeRequest}>}
+ */
+export const BUILT_IN_NODES = {
+    enhance: {
+        inputs: [{ name: 'idea', kind: 'text', hint: 'input:idea' }],
+        output: 'text',
+        fields: [],
+        resultKey: 'enhancedPrompt',
+        requires: ({ idea }) => (idea?.trim() ? null : 'ideaToEnhance'),
+        buildRequest: ({ idea }, { template, templateValues, clarifications = '' }) => ({
+            promptText: renderEnhancementPrompt(template, { ...templateValues, idea, clarifications }),
+            schema: null,
+        }),
+    },
+    preview: {
+        inputs: [SPEC_INPUT],
+        output: 'appPreview',
+        fields: Object.keys(APP_PREVIEW_SCHEMA.properties),
+        resultKey: 'appPreview',
+        requires: ({ prompt }) => (prompt?.trim() ? null : 'promptFirst'),
+        buildRequest: ({ prompt }, { template, templateValues }) => ({
+            promptText: renderTemplate(template.preview || DEFAULT_PREVIEW_TEMPLATE, { ...templateValues, prompt: prompt.trim() }),
+            schema: APP_PREVIEW_SCHEMA,
+        }),
+    },
+    names: {
+        inputs: [PREVIEW_INPUT],
+        output: 'json',
+        fields: ['names', 'taglines'],
+        resultKey: 'appNamesSlogans',
+        requires: requirePreview,
+        buildRequest: ({ appPreview }, { markets }) => ({
+            promptText: buildNamesPrompt(appPreview, markets),
+            schema: buildNamesSchema(markets),
+            options: { check: checkNames },
+        }),
+    },
+    monetization: {
+        inputs: [PREVIEW_INPUT],
+        output: 'json',
+        fields: [],
+        resultKey: 'monetizationStrategies',
+        requires: requirePreview,
+        buildRequest: ({ appPreview }) => ({
+            promptText: buildMonetizationPrompt(appPreview),
+            schema: MONETIZATION_SCHEMA,
+            toResult: (response) => response.strategies,
+        }),
+    },
+    techStack: {
+        inputs: [PREVIEW_INPUT],
+        output: 'techStack',
+        fields: Object.keys(TECH_STACK_SCHEMA.properties),
+        resultKey: 'techStackSuggestions',
+        requires: requirePreview,
+        buildRequest: ({ appPreview }) => ({
+            promptText: buildTechStackPrompt(appPreview),
+            schema: TECH_STACK_SCHEMA,
+        }),
+    },
+    backlog: {
+        inputs: [PREVIEW_INPUT],
+        output: 'json',
+        fields: ['epics', 'stories'],
+        resultKey: 'backlog',
+        requires: requireFeatures,
+        buildRequest: ({ appPreview }) => ({
+            promptText: buildBacklogPrompt(appPreview),
+            schema: buildBacklogSchema(appPreview.keyFeatures),
+            toResult: createBacklog,
+        }),
+    },
+    dataModel: {
+        inputs: [PREVIEW_INPUT, SPEC_INPUT],
+        output: 'dataModel',
+        fields: Object.keys(DATA_MODEL_SCHEMA.properties),
+        resultKey: 'dataModel',
+        requires: requirePreview,
+        buildRequest: ({ appPreview, prompt }) => ({
+            promptText: buildDataModelPrompt(appPreview, prompt),
+            schema: DATA_MODEL_SCHEMA,
+            // Cross-references and the resulting OpenAPI document are checked too, so problems are repaired by the model
+            options: {
+                check: (value) => {
+                    const issues = checkDataModel(value);
+                    return issues.length > 0 ? issues : validateOpenApiDocument(buildOpenApiDocument(value, getApiInfo(appPreview)));
+                },
+            },
+        }),
+    },
+    mockup: {
+        inputs: [PREVIEW_INPUT],
+        output: 'json',
+        fields: [],
+        resultKey: 'mockup',
+        requires: requirePreview,
+        buildRequest: ({ appPreview }) => ({
+            promptText: buildMockupPrompt(appPreview),
+            schema: MOCKUP_SCHEMA,
+            toResult: createMockup,
+        }),
+    },
+    market: {
+        inputs: [PREVIEW_INPUT],
+        output: 'json',
+        fields: Object.keys(MARKET_ANALYSIS_SCHEMA.properties),
+        resultKey: 'marketAnalysis',
+        requires: requirePreview,
+        buildRequest: ({ appPreview }) => ({
+            promptText: buildMarketAnalysisPrompt(appPreview),
+            schema: MARKET_ANALYSIS_SCHEMA,
+        }),
+    },
+    plan: {
+        inputs: [PREVIEW_INPUT, TECH_STACK_INPUT],
+        output: 'json',
+        fields: ['milestones', 'tasks'],
+        resultKey: 'projectPlan',
+        requires: requireFeatures,
+        buildRequest: ({ appPreview, techStack }) => ({
+            promptText: buildProjectPlanPrompt(appPreview, describeTechStack(techStack)),
+            schema: PROJECT_PLAN_SCHEMA,
+            options: { check: checkProjectPlan },
+            toResult: createProjectPlan,
+        }),
+    },
+    scaffold: {
+        inputs: [PREVIEW_INPUT, { ...TECH_STACK_INPUT, optional: false }, { name: 'dataModel', kind: 'dataModel', hint: 'dataModel', optional: true }],
+        output: 'json',
+        fields: [],
+        resultKey: 'scaffold',
+        requires: (values) => requireFeatures(values) || (describeTechStack(values.techStack) ? null : 'techStackFirst'),
+        buildRequest: ({ appPreview, techStack, dataModel }) => {
+            const stack = describeTechStack(techStack);
+            return {
+                promptText: buildScaffoldPrompt(appPreview, stack, dataModel),
+                schema: buildScaffoldSchema(appPreview.keyFeatures),
+                options: { check: checkScaffold(appPreview.keyFeatures) },
+                toResult: (response) => createScaffold(response, stack),
+            };
+        },
+    },
+    evaluate: {
+        inputs: [PREVIEW_INPUT, TECH_STACK_INPUT],
+        output: 'json',
+        fields: ['criteria', 'summary'],
+        resultKey: 'evaluation',
+        requires: requirePreview,
+        buildRequest: ({ appPreview, techStack }) => ({
+            promptText: buildEvaluationPrompt(appPreview, describeTechStack(techStack)),
+            schema: EVALUATION_SCHEMA,
+            options: { check: checkEvaluation },
+            toResult: createEvaluation,
+        }),
+    },
+    compliance: {
+        inputs: [PREVIEW_INPUT, TECH_STACK_INPUT, { ...SPEC_INPUT, optional: true }],
+        output: 'json',
+        fields: ['personalData', 'regulations', 'threats', 'controls', 'summary'],
+        resultKey: 'complianceReview',
+        requires: requireFeatures,
+        buildRequest: ({ appPreview, techStack, prompt }) => ({
+            promptText: buildCompliancePrompt(appPreview, describeTechStack(techStack), prompt || ''),
+            schema: buildComplianceSchema(appPreview.keyFeatures),
+            options: { check: checkCompliance(appPreview.keyFeatures) },
+            toResult: (response) => createComplianceReview(response, appPreview.keyFeatures),
+        }),
+    },
+};
+
+// Steps run on the app preview, offered as the add-on buttons below it
+export const ADD_ON_STEPS = Object.keys(BUILT_IN_NODES).filter((type) => type !== 'enhance' && type !== 'preview');
+
+// Steps of the default pipeline; the others are added in the builder as needed
+export const DEFAULT_PIPELINE_STEPS = ['enhance', 'preview', 'names', 'monetization', 'techStack'];
+
+/**
+ * @typedef {object} PipelineNode
+ * @property {string} id - Unique within the pipeline; bindings refer to it.
+ * @property {string} type - A key of BUILT_IN_NODES, or 'custom'.
+ * @property {Object<string, string>} bindings - Source of each input: `input:<key>` for a pipeline
+ *   input, `node:<id>` for a node's output or `node:<id>.<field>` for one of its fields.
+ * @property {string} [name] - Custom nodes: display name.
+ * @property {string} [template] - Custom nodes: prompt template; its {{variables}} are the inputs.
+ * @property {'text'|'json'} [output] - Custom nodes: plain text, or a JSON object with `fields`.
+ * @property {string[]} [fields] - Custom nodes with JSON output: its string properties.
+ */
+
+/**
+ * @typedef {object} Pipeline
+ * @property {string} name - Display name.
+ * @property {PipelineNode[]} nodes - Nodes in run order.
+ */
+
+/**
+ * Creates an unbound node of a built-in step; see bindNode.
+ * @param {string} type - A key of BUILT_IN_NODES.
+ * @param {string} [id] - Node id; a new one by default.
+ * @returns {PipelineNode}
+ */
+export const createBuiltInNode = (type, id = createId()) => ({ id, type, bindings: {} });
+
+/**
+ * Creates an unbound custom node; see bindNode.
+ * @param {object} [definition]
+ * @param {string} [definition.name] - Display name.
+ * @param {string} [definition.template] - Prompt template.
+ * @param {'text'|'json'} [definition.output] - Output kind.
+ * @param {string[]} [definition.fields] - Properties of a JSON output.
+ * @returns {PipelineNode}
+ */
+export const createCustomNode = ({ name = '', template = '', output = 'text', fields = [] } = {}) => ({
+    id: createId(),
+    type: 'custom',
+    name,
+    template,
+    output,
+    fields: [...fields],
+    bindings: {},
+});
+
+// Custom steps offered as starting points in the builder, with binding hints for their inputs (see bindNode)
+export const CUSTOM_NODE_PRESETS = [
+    {
+        key: 'accessibilityAudit',
+        name: 'Accessibility audit',
+        template: `Review the following app specification for accessibility. List the barriers people with visual, motor, hearing or cognitive impairments would likely meet, each with the WCAG 2.2 success criterion it relates to and a concrete fix.
+App Specification:
+{{spec}}
+Key Features:
+{{features}}`,
+        output: 'text',
+        fields: [],
+        hints: { spec: 'enhance', features: 'preview.keyFeatures' },
+    },
+    {
+        key: 'launchTweet',
+        name: 'Launch tweet',
+        template: `Write launch posts for the app below: one tweet of at most 280 characters, and a longer post for LinkedIn. Be concrete about what the app does and who it is for; no more than two hashtags.
+App Name: {{name}}
+Tagline: {{tagline}}
+Description: {{description}}`,
+        output: 'json',
+        fields: ['tweet', 'linkedInPost'],
+        hints: { name: 'preview.appName', tagline: 'preview.tagline', description: 'preview.description' },
+    },
+];
+
+/**
+ * The pipeline matching the app's standard flow: enhance → preview → names, monetization, tech stack.
+ * @returns {Pipeline}
+ */
+export const createDefaultPipeline = () => DEFAULT_PIPELINE_STEPS.reduce(
+    (pipeline, type) => {
+        const nodes = [...pipeline.nodes, createBuiltInNode(type, type)];
+        return { ...pipeline, nodes: [...pipeline.nodes, bindNode({ ...pipeline, nodes }, nodes.length - 1)] };
+    },
+    { name: 'Default pipeline', nodes: [] }
+);
+
+/**
+ * Lists a node's inputs: fixed for built-in steps, the template's variables for custom ones.
+ * @param {PipelineNode} node
+ * @returns {Array<{name: string, kind: ValueKind, optional?: boolean}>}
+ */
+export const getNodeInputs = (node) => (node.type === 'custom'
+    ? extractVariables(node.template || '').map((name) => ({ name, kind: 'text' }))
+    : BUILT_IN_NODES[node.type]?.inputs || []);
+
+/**
+ * Kind of value a node produces, and the fields later nodes can bind to.
+ * @param {PipelineNode} node
+ * @returns {{kind: ValueKind, fields: string[]}}
+ */
+export const getNodeOutput = (node) => (node.type === 'custom'
+    ? { kind: node.output === 'json' ? 'json' : 'text', fields: node.output === 'json' ? node.fields : [] }
+    : { kind: BUILT_IN_NODES[node.type]?.output || 'json', fields: BUILT_IN_NODES[node.type]?.fields || [] });
+
+/**
+ * Reads a binding.
+ * @param {string} source - Binding value (see PipelineNode).
+ * @returns {{input: string}|{nodeId: string, field: string|null}|null} - Null if malformed.
+ */
+export const parseBinding = (source) => {
+    const match = /^(input|node):([^.]+)(?:\.(\w+))?$/.exec(source || '');
+    if (!match) return null;
+    if (match[1] === 'input') return match[3] ? null : { input: match[2] };
+    return { nodeId: match[2], field: match[3] || null };
+};
+
+/**
+ * Lists what the inputs of the node at `index` can be bound to: the pipeline inputs, then the
+ * outputs and output fields of the nodes before it.
+ * @param {Pipeline} pipeline
+ * @param {number} index - Position of the node being bound.
+ * @returns {Array<{value: string, kind: ValueKind, input?: string, node?: PipelineNode, field?: string}>}
+ */
+export const listBindingSources = (pipeline, index) => [
+    ...PIPELINE_INPUTS.map(({ key, kind }) => ({ value: `input:${key}`, kind, input: key })),
+    ...pipeline.nodes.slice(0, index).flatMap((node) => {
+        const { kind, fields } = getNodeOutput(node);
+        return [
+            { value: `node:${node.id}`, kind, node },
+            ...fields.map((field) => ({ value: `node:${node.id}.${field}`, kind: 'text', node, field })),
+        ];
+    }),
+];
+
+/**
+ * Connects the node at `index` to sensible sources, keeping the bindings that are still valid.
+ * A hint is `input:<key>`, a node type (the nearest earlier node of that type) or `<type>.<field>`.
+ * Inputs without a usable hint take a pipeline input or output field of the same name, else
+ * the nearest earlier output of a suitable kind.
+ * @param {Pipeline} pipeline
+ * @param {number} index - Position of the node.
+ * @param {Object<string, string>} [hints] - Binding hints by input name, for custom nodes.
+ * @returns {PipelineNode} - The node with its new bindings.
+ */
+export const bindNode = (pipeline, index, hints = {}) => {
+    const node = pipeline.nodes[index];
+    const sources = listBindingSources(pipeline, index);
+    const bindings = {};
+    getNodeInputs(node).forEach(({ name, kind, hint = hints[name] }) => {
+        const compatible = sources.filter((source) => acceptsKind(kind, source.kind));
+        const last = (matches) => matches[matches.length - 1];
+        const [hintType, hintField = null] = (hint || '').split('.');
+        const match = compatible.find(({ value }) => value === node.bindings[name])
+            || (hint?.startsWith('input:') && compatible.find(({ value }) => value === hint))
+            || last(compatible.filter((source) => source.node?.type === hintType && (source.field || null) === hintField))
+            || last(compatible.filter((source) => (source.field || source.input) === name))
+            || last(compatible.filter((source) => source.node && !source.field && (kind !== 'text' || source.kind === 'text')));
+        bindings[name] = match ? match.value : '';
+    });
+    return { ...node, bindings };
+};
+
+/**
+ * A problem found by validatePipeline. `code` names the problem (shown as `pipeline.problem.<code>`)
+ * and `params` fills in its message.
+ * @typedef {object} PipelineProblem
+ * @property {'nameRequired'|'templateRequired'|'fieldsRequired'|'invalidField'|'duplicateField'|'unknownType'
+ *   |'notConnected'|'laterStep'|'missingSource'|'wrongKind'} code
+ * @property {Object<string, string>} params - e.g. `{ input }` for problems with an input.
+ */
+
+/**
+ * Checks a pipeline for problems that would stop it from running.
+ * @param {Pipeline} pipeline
+ * @returns {Object<string, PipelineProblem[]>} - Problems by node id; only nodes with problems are listed.
+ */
+export const validatePipeline = (pipeline) => {
+    const problems = {};
+    pipeline.nodes.forEach((node, index) => {
+        const nodeProblems = [];
+        const add = (code, params = {}) => nodeProblems.push({ code, params });
+        if (node.type === 'custom') {
+            if (!node.name || !node.name.trim()) add('nameRequired');
+            if (!node.template || !node.template.trim()) add('templateRequired');
+            if (node.output === 'json') {
+                if (node.fields.length === 0) add('fieldsRequired');
+                if (node.fields.some((field) => !/^\w+$/.test(field))) add('invalidField');
+                if (new Set(node.fields).size !== node.fields.length) add('duplicateField');
+            }
+        } else if (!BUILT_IN_NODES[node.type]) {
+            problems[node.id] = [{ code: 'unknownType', params: { type: String(node.type) } }];
+            return;
+        }
+
+        const sources = listBindingSources(pipeline, index);
+        getNodeInputs(node).forEach(({ name, kind, optional = false }) => {
+            const source = node.bindings[name];
+            const match = sources.find(({ value }) => value === source);
+            if (!source) {
+                if (!optional) add('notConnected', { input: name });
+            } else if (!match) {
+                const binding = parseBinding(source);
+                add(binding?.nodeId && pipeline.nodes.some(({ id }) => id === binding.nodeId) ? 'laterStep' : 'missingSource', { input: name });
+            } else if (!acceptsKind(kind, match.kind)) {
+                add('wrongKind', { input: name, kind });
+            }
+        });
+        if (nodeProblems.length > 0) problems[node.id] = nodeProblems;
+    });
+    return problems;
+};
+
+/**
+ * Writes a value into a prompt: text as is, lists as bullet points, objects as JSON.
+ * @param {any} value
+ * @returns {string}
+ */
+export const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value) && value.every((item) => typeof item === 'string')) {
+        return value.map((item) => `- ${item}`).join('\n');
+    }
+    return JSON.stringify(value, null, 2);
+};
+
+/**
+ * Builds the request of a custom node. JSON outputs ask for an object of string properties.
+ * @param {PipelineNode} node
+ * @param {Object<string, any>} values - Input values by variable name.
+ * @returns {NodeRequest}
+ */
+const buildCustomRequest = (node, values) => {
+    const promptText = renderTemplate(node.template, Object.fromEntries(
+        Object.entries(values).map(([name, value]) => [name, formatValue(value)])
+    )).trim();
+    if (node.output !== 'json') return { promptText, schema: null };
+    return {
+        promptText: `${promptText}
+Provide the output as a JSON object with the following keys (each a string): ${node.fields.map((field) => `"${field}"`).join(', ')}.`,
+        schema: {
+            type: 'OBJECT',
+            properties: Object.fromEntries(node.fields.map((field) => [field, { type: 'STRING' }])),
+            required: node.fields,
+        },
+    };
+};
+
+/**
+ * Builds the request a node sends.
+ * @param {PipelineNode} node
+ * @param {Object<string, any>} values - Input values by name.
+ * @param {RequestContext} context
+ * @returns {NodeRequest}
+ */
+export const buildNodeRequest = (node, values, context) => (node.type === 'custom'
+    ? buildCustomRequest(node, values)
+    : BUILT_IN_NODES[node.type].buildRequest(values, context));
+
+/**
+ * Resolves a node's input values from the pipeline inputs and the outputs so far. Optional inputs
+ * that are not connected, or whose node has no output, are null.
+ * @param {PipelineNode} node
+ * @param {Object<string, any>} inputs - Pipeline input values by key.
+ * @param {Object<string, any>} outputs - Outputs of the nodes run so far, by node id.
+ * @returns {Object<string, any>|null} - Values by input name, or null if a required input's node has no output.
+ */
+const resolveInputs = (node, inputs, outputs) => {
+    const values = {};
+    for (const { name, optional = false } of getNodeInputs(node)) {
+        const binding = parseBinding(node.bindings[name]);
+        if (!binding) {
+            values[name] = null;
+            continue;
+        }
+        if (binding.input) {
+            values[name] = inputs[binding.input] ?? '';
+            continue;
+        }
+        if (!(binding.nodeId in outputs)) {
+            if (!optional) return null;
+            values[name] = null;
+            continue;
+        }
+        const output = outputs[binding.nodeId];
+        values[name] = binding.field ? output?.[binding.field] : output;
+    }
+    return values;
+};
+
+/**
+ * @typedef {object} NodeStatus
+ * @property {'queued'|'running'|'done'|'failed'|'skipped'|'stopped'} status - 'skipped' when a
+ *   node it depends on failed.
+ * @property {string} error - Failure message.
+ */
+
+/**
+ * Runs a valid pipeline, node by node in order. A failed node does not stop the run: only the
+ * nodes bound to its output are skipped. Stopping marks the rest of the nodes stopped.
+ * @param {Pipeline} pipeline - Pipeline to run (see validatePipeline).
+ * @param {object} options
+ * @param {Object<string, any>} options.inputs - Pipeline input values by key (see PIPELINE_INPUTS).
+ * @param {function(PipelineNode, Object<string, any>): Promise<any>} options.runNode - Runs a node with
+ *   its input values; resolves with its output, or null if it was stopped. Throws on failure.
+ * @param {function(string, NodeStatus): void} options.onStatus - Called with each node's status changes.
+ * @param {AbortSignal} [options.signal] - Stops the run.
+ * @returns {Promise<Object<string, any>>} - Outputs by node id.
+ */
+export const runPipeline = async (pipeline, { inputs, runNode, onStatus, signal }) => {
+    const outputs = {};
+    let stopped = false;
+    for (const node of pipeline.nodes) {
+        if (stopped || signal?.aborted) {
+            stopped = true;
+            onStatus(node.id, { status: 'stopped', error: '' });
+            continue;
+        }
+        const values = resolveInputs(node, inputs, outputs);
+        if (!values) {
+            onStatus(node.id, { status: 'skipped', error: '' });
+            continue;
+        }
+        onStatus(node.id, { status: 'running', error: '' });
+        try {
+            const output = await runNode(node, values);
+            if (output === null) {
+                stopped = true;
+                onStatus(node.id, { status: 'stopped', error: '' });
+                continue;
+            }
+            outputs[node.id] = output;
+            onStatus(node.id, { status: 'done', error: '' });
+        } catch (err) {
+            const aborted = err.name === 'AbortError';
+            stopped = stopped || aborted;
+            onStatus(node.id, { status: aborted ? 'stopped' : 'failed', error: aborted ? '' : err.message });
+        }
+    }
+    return outputs;
+};
+
+/**
+ * Error thrown for a pipeline file or definition that can't be read. `code` names the problem
+ * (shown as `pipeline.importError.<code>`) and `params` fills in its message.
+ */
+export class PipelineFileError extends Error {
+    /**
+     * @param {'invalidJson'|'notPipeline'|'newerVersion'|'noNodes'|'tooManyNodes'|'invalidId'|'unknownType'} code
+     * @param {string} message - English description, for the console.
+     * @param {Object<string, string|number>} [params] - Values for the message.
+     */
+    constructor(code, message, params = {}) {
+        super(message);
+        this.name = 'PipelineFileError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Reads a pipeline from untrusted data, keeping only known properties.
+ * @param {object} data - Parsed pipeline.
+ * @returns {Pipeline}
+ * @throws {PipelineFileError} - If it is not a valid pipeline.
+ */
+const readPipeline = (data) => {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+        throw new PipelineFileError('noNodes', 'Expected a pipeline with a "nodes" array.');
+    }
+    if (data.nodes.length > MAX_PIPELINE_NODES) {
+        throw new PipelineFileError('tooManyNodes', `A pipeline can have at most ${MAX_PIPELINE_NODES} steps.`, { max: MAX_PIPELINE_NODES });
+    }
+    const ids = new Set();
+    const nodes = data.nodes.map((node, index) => {
+        const step = index + 1;
+        if (!node || typeof node.id !== 'string' || !/^[^.:\s]+$/.test(node.id) || ids.has(node.id)) {
+            throw new PipelineFileError('invalidId', `Step ${step} needs a unique id without dots, colons or spaces.`, { step });
+        }
+        ids.add(node.id);
+        if (node.type !== 'custom' && !BUILT_IN_NODES[node.type]) {
+            throw new PipelineFileError('unknownType', `Step ${step} has an unknown type "${node.type}".`, { step, type: String(node.type) });
+        }
+        const bindings = node.bindings && typeof node.bindings === 'object'
+            ? Object.fromEntries(Object.entries(node.bindings).filter(([, source]) => typeof source === 'string'))
+            : {};
+        if (node.type !== 'custom') return { id: node.id, type: node.type, bindings };
+        return {
+            id: node.id,
+            type: 'custom',
+            name: typeof node.name === 'string' ? node.name : '',
+            template: typeof node.template === 'string' ? node.template : '',
+            output: node.output === 'json' ? 'json' : 'text',
+            fields: Array.isArray(node.fields) ? node.fields.filter((field) => typeof field === 'string') : [],
+            bindings,
+        };
+    });
+    return { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported pipeline', nodes };
+};
+
+/**
+ * Reads the user's pipeline from localStorage, or the default one.
+ * @returns {Pipeline}
+ */
+export const loadPipeline = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        return raw ? readPipeline(JSON.parse(raw)) : createDefaultPipeline();
+    } catch (err) {
+        console.error('Failed to load the pipeline:', err);
+        return createDefaultPipeline();
+    }
+};
+
+/**
+ * Writes the user's pipeline to localStorage.
+ * @param {Pipeline} pipeline - Pipeline to persist.
+ */
+export const savePipeline = (pipeline) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(pipeline));
+    } catch (err) {
+        console.error('Failed to save the pipeline:', err);
+    }
+};
+
+/**
+ * Serializes a pipeline for download.
+ * @param {Pipeline} pipeline - Pipeline to export.
+ * @returns {string}
+ */
+export const exportPipeline = (pipeline) => JSON.stringify({
+    format: PIPELINE_FORMAT,
+    version: PIPELINE_VERSION,
+    pipeline,
+}, null, 2);
+
+/**
+ * Parses a pipeline export file. Problems with bindings are left to validatePipeline, so an
+ * imported pipeline can be fixed in the builder.
+ * @param {string} text - File contents.
+ * @returns {Pipeline}
+ * @throws {PipelineFileError} - If the file is not a pipeline export.
+ */
+export const parsePipelineFile = (text) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new PipelineFileError('invalidJson', `The file is not valid JSON (${err.message}).`, { message: err.message });
+    }
+    if (!doc || doc.format !== PIPELINE_FORMAT) {
+        throw new PipelineFileError('notPipeline', 'The file is not a pipeline export.');
+    }
+    if (typeof doc.version !== 'number' || doc.version > PIPELINE_VERSION) {
+        throw new PipelineFileError('newerVersion', `The pipeline was exported by a newer version of the app (format version ${doc.version}).`, { version: String(doc.version) });
+    }
+    return readPipeline(doc.pipeline);
+};
@@ -0,0 +1,315 @@
+/**
+ * Project plan: milestones and tasks with dependencies, a role per task and three-point
+ * estimates in working days. The schedule, critical path and calendar dates are computed
+ * here from the plan rather than asked of the model.
+ */
+
+import { createId } from './storage/projects.js';
+
+export const ROLES = [
+    { key: 'frontend', label: 'Frontend' },
+    { key: 'backend', label: 'Backend' },
+    { key: 'design', label: 'Design' },
+    { key: 'qa', label: 'QA' },
+];
+
+// Which estimate a schedule uses; 'expected' is the PERT mean (o + 4m + p) / 6
+export const SCENARIOS = [
+    { key: 'optimistic', label: 'Optimistic' },
+    { key: 'likely', label: 'Most likely' },
+    { key: 'pessimistic', label: 'Pessimistic' },
+    { key: 'expected', label: 'Expected (PERT)' },
+];
+
+/**
+ * @typedef {object} PlanTask
+ * @property {string} id - Unique id.
+ * @property {string} milestoneId - Id of the milestone the task belongs to.
+ * @property {string} name - Short task name.
+ * @property {string} description - What the task covers.
+ * @property {string} role - A key of ROLES.
+ * @property {string[]} dependsOn - Ids of the tasks that must finish first.
+ * @property {number} optimistic - Working days if all goes well.
+ * @property {number} likely - Most likely working days.
+ * @property {number} pessimistic - Working days if things go wrong.
+ */
+
+/**
+ * @typedef {object} ProjectPlan
+ * @property {Array<{id: string, name: string, description: string}>} milestones - In delivery order.
+ * @property {PlanTask[]} tasks
+ * @property {string} startDate - First day of work, YYYY-MM-DD.
+ * @property {string} scenario - A key of SCENARIOS.
+ */
+
+/**
+ * Response schema for the planning step. Tasks refer to the tasks they depend on by name.
+ */
+export const PROJECT_PLAN_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        milestones: {
+            type: 'ARRAY',
+            minItems: 1,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    description: { type: 'STRING' },
+                    tasks: {
+                        type: 'ARRAY',
+                        minItems: 1,
+                        items: {
+                            type: 'OBJECT',
+                            properties: {
+                                name: { type: 'STRING' },
+                                description: { type: 'STRING' },
+                                role: { type: 'STRING', enum: ROLES.map((role) => role.key) },
+                                dependsOn: { type: 'ARRAY', items: { type: 'STRING' } },
+                                optimisticDays: { type: 'INTEGER', minimum: 1 },
+                                likelyDays: { type: 'INTEGER', minimum: 1 },
+                                pessimisticDays: { type: 'INTEGER', minimum: 1 },
+                            },
+                            required: ['name', 'description', 'role', 'dependsOn', 'optimisticDays', 'likelyDays', 'pessimisticDays'],
+                        },
+                    },
+                },
+                required: ['name', 'description', 'tasks'],
+            },
+        },
+    },
+    required: ['milestones'],
+};
+
+/**
+ * Orders tasks so that every task comes after the tasks it depends on (Kahn's algorithm).
+ * @param {Array<{id: string, dependsOn: string[]}>} tasks - Tasks; unknown dependency ids are ignored.
+ * @returns {{order: string[], cyclic: string[]}} - Ids in dependency order, and the ids of tasks
+ *   caught in a dependency cycle (left out of `order`).
+ */
+const sortByDependencies = (tasks) => {
+    const ids = new Set(tasks.map((task) => task.id));
+    const remaining = new Map(tasks.map((task) => [task.id, new Set(task.dependsOn.filter((id) => ids.has(id) && id !== task.id))]));
+    const order = [];
+    let ready = tasks.filter((task) => remaining.get(task.id).size === 0).map((task) => task.id);
+    while (ready.length > 0) {
+        order.push(...ready);
+        ready.forEach((id) => remaining.delete(id));
+        const done = new Set(ready);
+        ready = [];
+        remaining.forEach((deps, id) => {
+            done.forEach((doneId) => deps.delete(doneId));
+            if (deps.size === 0) ready.push(id);
+        });
+    }
+    return { order, cyclic: [...remaining.keys()] };
+};
+
+/**
+ * Checks what the schema can't express: task names are unique, dependencies name other
+ * existing tasks without forming a cycle, and the estimates are in increasing order.
+ * @param {object} response - Schema-valid response.
+ * @returns {Array<{path: string, message: string}>} - Problems found; empty when consistent.
+ */
+export const checkProjectPlan = ({ milestones }) => {
+    const issues = [];
+    const tasks = milestones.flatMap((milestone, m) => milestone.tasks.map((task, t) => ({ ...task, path: `$.milestones[${m}].tasks[${t}]` })));
+    const names = new Set();
+    tasks.forEach((task) => {
+        if (names.has(task.name)) {
+            issues.push({ path: `${task.path}.name`, message: `duplicates the task "${task.name}"` });
+        }
+        names.add(task.name);
+        task.dependsOn.forEach((name, index) => {
+            if (name === task.name) {
+                issues.push({ path: `${task.path}.dependsOn[${index}]`, message: 'a task cannot depend on itself' });
+            } else if (!tasks.some((other) => other.name === name)) {
+                issues.push({ path: `${task.path}.dependsOn[${index}]`, message: `refers to an unknown task "${name}"` });
+            }
+        });
+        if (task.optimisticDays > task.likelyDays || task.likelyDays > task.pessimisticDays) {
+            issues.push({ path: task.path, message: 'estimates must satisfy optimisticDays <= likelyDays <= pessimisticDays' });
+        }
+    });
+    const { cyclic } = sortByDependencies(tasks.map((task) => ({ id: task.name, dependsOn: task.dependsOn })));
+    if (cyclic.length > 0) {
+        issues.push({ path: '$.milestones', message: `dependencies form a cycle, so ${cyclic.map((name) => `"${name}"`).join(', ')} can never start` });
+    }
+    return issues;
+};
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Parses a YYYY-MM-DD date as local midnight.
+ * @param {string} text
+ * @returns {Date}
+ */
+const parseDate = (text) => {
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * @param {Date} date
+ * @returns {boolean} - Whether the date is a Saturday or Sunday.
+ */
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+/**
+ * Finds the date of a working day, counting Monday to Friday only.
+ * @param {string} startDate - YYYY-MM-DD; a weekend start counts from the following Monday.
+ * @param {number} offset - Working days after the first one; 0 is the first working day.
+ * @returns {string} - YYYY-MM-DD.
+ */
+export const addWorkingDays = (startDate, offset) => {
+    const date = parseDate(startDate);
+    while (isWeekend(date)) date.setDate(date.getDate() + 1);
+    let remaining = offset;
+    while (remaining > 0) {
+        date.setDate(date.getDate() + 1);
+        if (!isWeekend(date)) remaining -= 1;
+    }
+    return formatDate(date);
+};
+
+/**
+ * Creates the plan kept in the session from a validated response, turning dependency
+ * names into task ids. Work starts on the next working day.
+ * @param {object} response - Response matching PROJECT_PLAN_SCHEMA.
+ * @returns {ProjectPlan}
+ */
+export const createProjectPlan = (response) => {
+    const milestones = response.milestones.map((milestone) => ({ id: createId(), ...milestone }));
+    const idsByName = new Map(milestones.flatMap((milestone) => milestone.tasks.map((task) => [task.name, createId()])));
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return {
+        milestones: milestones.map(({ id, name, description }) => ({ id, name, description })),
+        tasks: milestones.flatMap((milestone) => milestone.tasks.map((task) => ({
+            id: idsByName.get(task.name),
+            milestoneId: milestone.id,
+            name: task.name,
+            description: task.description,
+            role: task.role,
+            dependsOn: task.dependsOn.map((name) => idsByName.get(name)).filter(Boolean),
+            optimistic: task.optimisticDays,
+            likely: task.likelyDays,
+            pessimistic: task.pessimisticDays,
+        }))),
+        startDate: addWorkingDays(formatDate(tomorrow), 0),
+        scenario: 'expected',
+    };
+};
+
+/**
+ * Duration of a task under a scenario, in whole working days (PERT means are rounded up).
+ * @param {PlanTask} task
+ * @param {string} scenario - A key of SCENARIOS.
+ * @returns {number}
+ */
+export const getTaskDuration = (task, scenario) => (scenario === 'expected'
+    ? Math.ceil((task.optimistic + 4 * task.likely + task.pessimistic) / 6)
+    : task[scenario]);
+
+/**
+ * @typedef {object} ScheduledTask
+ * @property {number} start - Earliest start, in working days from the project start.
+ * @property {number} finish - Earliest finish (exclusive), in working days.
+ * @property {number} duration - Working days.
+ * @property {number} slack - Working days the task can slip without delaying the project.
+ * @property {boolean} critical - Whether the task is on the critical path.
+ * @property {string} startDate - First working day, YYYY-MM-DD.
+ * @property {string} endDate - Last working day (inclusive), YYYY-MM-DD.
+ */
+
+/**
+ * Schedules the plan with the critical path method: a forward pass for the earliest start
+ * of each task and a backward pass for its slack. Tasks with no slack form the critical path.
+ * @param {ProjectPlan} plan
+ * @returns {{tasks: Object<string, ScheduledTask>, milestones: Object<string, {finish: number, endDate: string}>,
+ *   criticalPath: string[], totalDays: number, endDate: string, stdDevDays: number}} - `criticalPath` lists task
+ *   ids in order; `stdDevDays` is the PERT standard deviation of the project length along the critical path.
+ */
+export const schedulePlan = (plan) => {
+    const { tasks, milestones, startDate, scenario } = plan;
+    const byId = new Map(tasks.map((task) => [task.id, task]));
+    const { order, cyclic } = sortByDependencies(tasks);
+    // Tasks in a cycle can only come from hand-edited data; they are scheduled last, ignoring the cycle
+    const sequence = [...order, ...cyclic];
+
+    const start = {};
+    const finish = {};
+    sequence.forEach((id) => {
+        const task = byId.get(id);
+        start[id] = Math.max(0, ...task.dependsOn.filter((dep) => dep in finish).map((dep) => finish[dep]));
+        finish[id] = start[id] + getTaskDuration(task, scenario);
+    });
+    const totalDays = Math.max(0, ...Object.values(finish));
+
+    const latestFinish = {};
+    [...sequence].reverse().forEach((id) => {
+        const successors = tasks.filter((task) => task.dependsOn.includes(id) && task.id in latestFinish);
+        latestFinish[id] = Math.min(totalDays, ...successors.map((task) => latestFinish[task.id] - getTaskDuration(task, scenario)));
+    });
+
+    const scheduled = Object.fromEntries(sequence.map((id) => {
+        const duration = finish[id] - start[id];
+        const slack = latestFinish[id] - finish[id];
+        return [id, {
+            start: start[id],
+            finish: finish[id],
+            duration,
+            slack,
+            critical: slack === 0,
+            startDate: addWorkingDays(startDate, start[id]),
+            endDate: addWorkingDays(startDate, Math.max(start[id], finish[id] - 1)),
+        }];
+    }));
+
+    // Follow critical predecessors back from the critical task that finishes last
+    const criticalPath = [];
+    let current = sequence.find((id) => scheduled[id].critical && finish[id] === totalDays);
+    while (current) {
+        criticalPath.unshift(current);
+        const currentStart = start[current];
+        current = byId.get(current).dependsOn.find((dep) => scheduled[dep]?.critical && finish[dep] === currentStart);
+    }
+
+    const variance = criticalPath.reduce((sum, id) => {
+        const task = byId.get(id);
+        return sum + ((task.pessimistic - task.optimistic) / 6) ** 2;
+    }, 0);
+
+    return {
+        tasks: scheduled,
+        milestones: Object.fromEntries(milestones.map((milestone) => {
+            const milestoneFinish = Math.max(0, ...tasks.filter((task) => task.milestoneId === milestone.id).map((task) => finish[task.id]));
+            return [milestone.id, { finish: milestoneFinish, endDate: addWorkingDays(startDate, Math.max(0, milestoneFinish - 1)) }];
+        })),
+        criticalPath,
+        totalDays,
+        endDate: addWorkingDays(startDate, Math.max(0, totalDays - 1)),
+        stdDevDays: Math.sqrt(variance),
+    };
+};
+
+/**
+ * Prompt for the project plan.
+ * @param {object} preview - The app preview.
+ * @param {string} stack - The tech stack in one line (see describeTechStack); may be empty.
+ * @returns {string}
+ */
+export const buildProjectPlanPrompt = (preview, stack) => `Break the app into a project plan for a small team building its first release. Group the work into 3-6 milestones in delivery order, each with the tasks needed to reach it, covering design, frontend, backend and QA work for every key feature plus setup and release. For each task give a unique short name, a one-sentence description, the role doing it (frontend, backend, design or qa), the names of the tasks that must finish before it can start (copied exactly, without cycles) and three estimates in whole working days: optimistic, most likely and pessimistic (optimistic <= likely <= pessimistic). Keep tasks between 1 and 10 working days; split larger ones.
+        App Description: ${preview.description}
+        Key Features:
+        ${preview.keyFeatures.map((feature) => `- ${feature}`).join('\n        ')}
+        Tech Stack: ${stack || 'Not decided yet'}`;
@@ -0,0 +1,189 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Conversational refinement: a multi-turn chat in which the model proposes targeted edits to
+ * the customizable prompt and the app preview. Each proposal is shown as a diff and only
+ * applied once the user accepts it.
+ */
+
+// App preview fields the model may change, in display order
+export const PREVIEW_FIELDS = [
+    { key: 'appName', label: 'App name' },
+    { key: 'tagline', label: 'Tagline' },
+    { key: 'description', label: 'Description' },
+    { key: 'keyFeatures', label: 'Key features' },
+    { key: 'targetAudience', label: 'Target audience' },
+];
+
+/**
+ * Response schema for one refinement turn.
+ * A prompt edit replaces the first occurrence of `find`; an empty `find` appends `replace` instead.
+ * Preview fields left null are unchanged.
+ */
+export const REFINEMENT_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        reply: { type: 'STRING' },
+        promptEdits: {
+            type: 'ARRAY',
+            maxItems: 10,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    find: { type: 'STRING' },
+                    replace: { type: 'STRING' },
+                },
+                required: ['find', 'replace'],
+            },
+        },
+        previewChanges: {
+            type: 'OBJECT',
+            nullable: true,
+            properties: {
+                appName: { type: 'STRING', nullable: true },
+                tagline: { type: 'STRING', nullable: true },
+                description: { type: 'STRING', nullable: true },
+                keyFeatures: { type: 'ARRAY', nullable: true, items: { type: 'STRING' } },
+                targetAudience: { type: 'STRING', nullable: true },
+            },
+        },
+    },
+    required: ['reply', 'promptEdits', 'previewChanges'],
+};
+
+// Standing instructions, sent as the system message of every turn
+const SYSTEM_INSTRUCTION = `You help refine an app specification made of a detailed prompt and an app preview.
+For each instruction, reply briefly and propose targeted edits rather than rewriting everything.
+Prompt edits replace an exact, verbatim excerpt of the current prompt ("find") with new text ("replace"); use an empty "find" to append text at the end.
+Preview changes list only the fields that change, with their complete new values; leave the other fields null.
+If the instruction needs no change to the prompt or the preview, return no edits for it.`;
+
+/**
+ * @typedef {object} ProposedChange
+ * @property {string|object} before - Prompt text or preview when the change was proposed.
+ * @property {string|object} after - Prompt text or preview with the change applied.
+ * @property {'pending'|'accepted'|'rejected'} status - The user's decision.
+ */
+
+/**
+ * @typedef {object} RefinementMessage
+ * @property {string} id - Unique id.
+ * @property {'user'|'assistant'} role - Who wrote it.
+ * @property {string} content - Instruction or reply text.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ * @property {{prompt: ProposedChange|null, preview: ProposedChange|null}} [proposal] - Assistant messages only.
+ */
+
+/**
+ * Applies prompt edits in order.
+ * @param {string} text - Prompt text.
+ * @param {Array<{find: string, replace: string}>} edits - Edits from the response.
+ * @returns {string}
+ */
+export const applyPromptEdits = (text, edits) => edits.reduce((result, { find, replace }) => {
+    if (!find) return `${result.trimEnd()}\n\n${replace.trim()}`;
+    const index = result.indexOf(find);
+    return index === -1 ? result : result.slice(0, index) + replace + result.slice(index + find.length);
+}, text);
+
+/**
+ * Builds the semantic check for a refinement response: every excerpt must be found in the
+ * prompt as the preceding edits leave it.
+ * @param {string} prompt - Current prompt text.
+ * @returns {function(object): Array<{path: string, message: string}>}
+ */
+export const checkRefinement = (prompt) => ({ promptEdits }) => {
+    const issues = [];
+    let text = prompt;
+    promptEdits.forEach((edit, index) => {
+        if (edit.find && !text.includes(edit.find)) {
+            issues.push({ path: `$.promptEdits[${index}].find`, message: 'must be an exact excerpt of the current prompt' });
+        }
+        text = applyPromptEdits(text, [edit]);
+    });
+    return issues;
+};
+
+/**
+ * Creates a chat message.
+ * @param {'user'|'assistant'} role - Who wrote it.
+ * @param {string} content - Message text.
+ * @param {RefinementMessage['proposal']} [proposal] - Proposed changes, for assistant messages.
+ * @returns {RefinementMessage}
+ */
+export const createRefinementMessage = (role, content, proposal) => ({
+    id: createId(),
+    role,
+    content,
+    createdAt: Date.now(),
+    ...(proposal ? { proposal } : {}),
+});
+
+/**
+ * Turns a validated response into the assistant's chat message, with the proposed prompt and
+ * preview worked out against their current values. Changes that alter nothing are dropped,
+ * as are preview changes while there is no preview.
+ * @param {object} response - Response matching REFINEMENT_SCHEMA.
+ * @param {string} prompt - Current prompt text.
+ * @param {object|null} preview - Current app preview.
+ * @returns {RefinementMessage}
+ */
+export const createRefinementReply = (response, prompt, preview) => {
+    const revisedPrompt = applyPromptEdits(prompt, response.promptEdits);
+
+    let revisedPreview = null;
+    if (preview && response.previewChanges) {
+        const changes = Object.fromEntries(Object.entries(response.previewChanges)
+            .filter(([key, value]) => value !== null && value !== undefined && PREVIEW_FIELDS.some((f) => f.key === key)));
+        revisedPreview = { ...preview, ...changes };
+    }
+
+    return createRefinementMessage('assistant', response.reply, {
+        prompt: revisedPrompt !== prompt ? { before: prompt, after: revisedPrompt, status: 'pending' } : null,
+        preview: revisedPreview && JSON.stringify(revisedPreview) !== JSON.stringify(preview)
+            ? { before: preview, after: revisedPreview, status: 'pending' }
+            : null,
+    });
+};
+
+/**
+ * Describes what became of an assistant message's proposals, so the model knows which
+ * of its edits are in the current prompt and preview.
+ * @param {RefinementMessage['proposal']} proposal - The proposal.
+ * @returns {string}
+ */
+const describeOutcome = (proposal) => [
+    proposal.prompt && `Prompt edits ${proposal.prompt.status}.`,
+    proposal.preview && `Preview changes ${proposal.preview.status}.`,
+].filter(Boolean).join(' ');
+
+/**
+ * Builds the conversation sent for a new instruction: the standing instructions, the earlier
+ * turns, and the instruction together with the current prompt and preview.
+ * @param {RefinementMessage[]} chat - Earlier messages, oldest first.
+ * @param {string} instruction - The new instruction.
+ * @param {string} prompt - Current prompt text.
+ * @param {object|null} preview - Current app preview.
+ * @returns {{history: Array<{role: string, content: string}>, promptText: string}}
+ */
+export const buildRefinementRequest = (chat, instruction, prompt, preview) => ({
+    history: [
+        { role: 'system', content: SYSTEM_INSTRUCTION },
+        ...chat.map((message) => ({
+            role: message.role,
+            content: message.proposal && describeOutcome(message.proposal)
+                ? `${message.content}\n\n(${describeOutcome(message.proposal)})`
+                : message.content,
+        })),
+    ],
+    promptText: `Refine the app specification as instructed.
+
+Current prompt:
+"""
+${prompt}
+"""
+
+Current app preview: ${preview ? JSON.stringify(preview, null, 2) : 'none yet (propose no preview changes)'}
+
+Instruction: ${instruction}`,
+});
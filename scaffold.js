@@ -0,0 +1,221 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Starter code scaffold: a file tree for the suggested tech stack with package manifests,
+ * a routing stub per key feature, data models, a README and a .env.example. Shown in a
+ * file browser (see components/scaffold-browser.js) and downloaded as a ZIP built in the browser.
+ */
+
+// Files every scaffold must have at its root
+export const REQUIRED_FILES = ['README.md', '.env.example'];
+
+// File names that mark a package manifest, for the common stacks
+export const MANIFEST_FILES = [
+    'package.json', 'requirements.txt', 'pyproject.toml', 'Pipfile', 'go.mod', 'Cargo.toml', 'Gemfile',
+    'composer.json', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'pubspec.yaml', 'Package.swift', 'mix.exs',
+];
+
+/**
+ * Response schema for a single (re)generated file.
+ */
+export const SCAFFOLD_FILE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        purpose: { type: 'STRING' },
+        content: { type: 'STRING' },
+    },
+    required: ['purpose', 'content'],
+};
+
+/**
+ * Builds the response schema for a scaffold covering the given features.
+ * @param {string[]} features - The preview's `keyFeatures`; files list the ones they implement.
+ * @returns {object} - Gemini-style schema.
+ */
+export const buildScaffoldSchema = (features) => ({
+    type: 'OBJECT',
+    properties: {
+        files: {
+            type: 'ARRAY',
+            minItems: 4,
+            maxItems: 40,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    path: { type: 'STRING' },
+                    purpose: { type: 'STRING' },
+                    features: { type: 'ARRAY', items: { type: 'STRING', enum: features } },
+                    content: { type: 'STRING' },
+                },
+                required: ['path', 'purpose', 'features', 'content'],
+            },
+        },
+    },
+    required: ['files'],
+});
+
+/**
+ * @typedef {object} ScaffoldFile
+ * @property {string} id - Unique id.
+ * @property {string} path - Relative path with forward slashes, e.g. "src/routes/tasks.js".
+ * @property {string} purpose - One-line description.
+ * @property {string[]} features - Key features the file implements; empty for general files.
+ * @property {string} content - File contents.
+ */
+
+/**
+ * @typedef {object} Scaffold
+ * @property {string} stack - The tech stack the scaffold was generated for.
+ * @property {ScaffoldFile[]} files - Sorted by path.
+ */
+
+/**
+ * Whether a path is a plain relative file path that can't escape the project folder.
+ * @param {string} path
+ * @returns {boolean}
+ */
+const isSafePath = (path) => (
+    path.length > 0
+    && !path.startsWith('/')
+    && !/^[A-Za-z]:/.test(path)
+    && !path.includes('\\')
+    && !path.endsWith('/')
+    && path.split('/').every((segment) => segment !== '' && segment !== '.' && segment !== '..')
+);
+
+/**
+ * Builds the check for a regenerated file: JSON files must still parse.
+ * @param {string} path - Path of the file.
+ * @returns {function(object): Array<{path: string, message: string}>}
+ */
+export const checkScaffoldFile = (path) => ({ content }) => {
+    if (!path.endsWith('.json')) return [];
+    try {
+        JSON.parse(content);
+        return [];
+    } catch (err) {
+        return [{ path: '$.content', message: `is not valid JSON: ${err.message}` }];
+    }
+};
+
+/**
+ * Checks what the schema can't express: safe, unique paths, the required files and a package
+ * manifest, a routing stub for every key feature and parseable JSON in .json files.
+ * @param {string[]} features - The preview's `keyFeatures`.
+ * @returns {function(object): Array<{path: string, message: string}>}
+ */
+export const checkScaffold = (features) => ({ files }) => {
+    const issues = [];
+    const paths = new Set();
+    files.forEach((file, index) => {
+        if (!isSafePath(file.path)) {
+            issues.push({ path: `$.files[${index}].path`, message: 'must be a relative file path with forward slashes and no "." or ".." segments' });
+        } else if (paths.has(file.path)) {
+            issues.push({ path: `$.files[${index}].path`, message: `duplicates the file "${file.path}"` });
+        }
+        paths.add(file.path);
+        checkScaffoldFile(file.path)(file).forEach(({ message }) => {
+            issues.push({ path: `$.files[${index}].content`, message });
+        });
+    });
+    REQUIRED_FILES.filter((name) => !paths.has(name)).forEach((name) => {
+        issues.push({ path: '$.files', message: `must include "${name}" at the root` });
+    });
+    if (![...paths].some((path) => MANIFEST_FILES.includes(path.split('/').pop()))) {
+        issues.push({ path: '$.files', message: `must include a package manifest (${MANIFEST_FILES.slice(0, 4).join(', ')}...)` });
+    }
+    features.filter((feature) => !files.some((file) => file.features.includes(feature))).forEach((feature) => {
+        issues.push({ path: '$.files', message: `no file implements the key feature "${feature}"` });
+    });
+    return issues;
+};
+
+/**
+ * Compares paths so that a folder's files come after its subfolders, each group alphabetically.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const comparePaths = (a, b) => {
+    const partsA = a.split('/');
+    const partsB = b.split('/');
+    for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+        const isDirA = i < partsA.length - 1;
+        const isDirB = i < partsB.length - 1;
+        if (isDirA !== isDirB) return isDirA ? -1 : 1;
+        const order = partsA[i].localeCompare(partsB[i]);
+        if (order !== 0) return order;
+    }
+    return partsA.length - partsB.length;
+};
+
+/**
+ * Turns a validated scaffold response into the scaffold kept in the session.
+ * @param {object} response - Response matching buildScaffoldSchema.
+ * @param {string} stack - The tech stack it was generated for.
+ * @returns {Scaffold}
+ */
+export const createScaffold = (response, stack) => ({
+    stack,
+    files: response.files
+        .map((file) => ({ id: createId(), ...file }))
+        .sort((a, b) => comparePaths(a.path, b.path)),
+});
+
+/**
+ * @typedef {object} ScaffoldFolder
+ * @property {string} name - Folder name; empty for the root.
+ * @property {string} path - Folder path; empty for the root.
+ * @property {ScaffoldFolder[]} folders - Subfolders.
+ * @property {ScaffoldFile[]} files - Files directly in the folder.
+ */
+
+/**
+ * Groups the files into a folder tree for the file browser.
+ * @param {ScaffoldFile[]} files - Files sorted with comparePaths.
+ * @returns {ScaffoldFolder} - The root folder.
+ */
+export const buildFileTree = (files) => {
+    const root = { name: '', path: '', folders: [], files: [] };
+    files.forEach((file) => {
+        const segments = file.path.split('/');
+        let folder = root;
+        segments.slice(0, -1).forEach((name) => {
+            let child = folder.folders.find((f) => f.name === name);
+            if (!child) {
+                child = { name, path: folder.path ? `${folder.path}/${name}` : name, folders: [], files: [] };
+                folder.folders.push(child);
+            }
+            folder = child;
+        });
+        folder.files.push(file);
+    });
+    return root;
+};
+
+/**
+ * Describes the scaffold's file tree for the regeneration prompt.
+ * @param {Scaffold} scaffold
+ * @returns {string} - One "path: purpose" line per file.
+ */
+export const describeFileTree = (scaffold) => scaffold.files.map((file) => `- ${file.path}: ${file.purpose}`).join('\n');
+
+/**
+ * Prompt for the starter code scaffold.
+ * @param {object} preview - The app preview.
+ * @param {string} stack - The tech stack in one line (see describeTechStack).
+ * @param {import('./data-model.js').DataModel|null} dataModel - The data model, if designed.
+ * @returns {string}
+ */
+export const buildScaffoldPrompt = (preview, stack, dataModel) => {
+    const entities = dataModel
+        ? dataModel.entities.map((entity) => `${entity.name} (${entity.fields.map((field) => `${field.name}: ${field.type}`).join(', ')})`).join('; ')
+        : '';
+    return `Generate a starter code scaffold for the following app using the given tech stack. Return the project's files, each with its path (relative, with forward slashes), a one-line purpose, the key features it implements (copied exactly from the list; empty for general files) and its complete content. Include the package manifest(s) for the stack with realistic dependencies, an entry point, a routing stub (route, handler or screen with TODO comments) for every key feature, the data model definitions, "README.md" at the root with setup and run instructions, and ".env.example" at the root listing every configuration variable with a placeholder value. Keep the files short; stubs may leave business logic as TODOs. Do not include lock files, binaries or build output.
+        App Name: ${preview.appName}
+        App Description: ${preview.description}
+        Key Features:
+        ${preview.keyFeatures.map((feature) => `- ${feature}`).join('\n        ')}
+        Tech Stack: ${stack}
+        Data Model: ${entities || 'Not designed yet; derive the entities from the key features'}`;
+};
@@ -0,0 +1,81 @@
+import { createId } from './storage/projects.js';
+import { DEFAULT_TEMPLATE_ID } from './templates.js';
+
+/**
+ * Shape of an idea session: the App state that is saved in a project.
+ * New pieces of session state should be added here so they are saved, restored
+ * and reset along with the rest.
+ */
+export const EMPTY_SESSION = {
+    simpleIdea: '',
+    enhancedPrompt: '',
+    customPrompt: '',
+    isPromptEnhanced: false,
+    appPreview: null,
+    appNamesSlogans: null,
+    monetizationStrategies: null,
+    techStackSuggestions: null,
+    backlog: null, // Epics and user stories generated from the preview (see backlog.js)
+    dataModel: null, // Entities and REST endpoints, rendered as ERD and OpenAPI (see data-model.js)
+    mockup: null, // Clickable HTML mockup of the main screens (see mockup.js)
+    marketAnalysis: null, // Comparable products, SWOT, market size and personas (see market-analysis.js)
+    projectPlan: null, // Milestones and estimated tasks, scheduled by critical path (see project-plan.js)
+    scaffold: null, // Starter code file tree for the suggested stack (see scaffold.js)
+    evaluation: null, // Scorecard of whether the app is worth building (see evaluation.js)
+    complianceReview: null, // Personal data, applicable regulations, threat model and controls (see compliance.js)
+    customStepResults: null, // Outputs of the custom steps of the last pipeline run (see pipeline.js)
+    promptRevisions: [], // Timeline of customPrompt versions, oldest first (see createRevision)
+    appPreviewRevisionId: null, // Revision the current appPreview was generated from
+    templateId: DEFAULT_TEMPLATE_ID, // Prompt template used for enhancement and preview (see templates.js)
+    templateValues: {}, // Values of the template's extra fields (platform, audience...)
+    ideaAnalysis: null, // Quality scores and clarifying questions for the idea (see idea-analysis.js)
+    clarifyingAnswers: {}, // Answers to the clarifying questions, keyed by question id
+    promptVariants: [], // Alternative enhancements to compare side by side (see variants.js)
+    refinementChat: [], // Refinement conversation with proposed edits (see refinement.js)
+    shares: [], // Review links created for the project, newest first (see share.js)
+};
+
+/**
+ * Session keys holding the results of the optional steps run after the app preview.
+ * They are cleared whenever a new preview is generated and grouped under `addOns` in exports.
+ */
+export const ADD_ON_KEYS = ['appNamesSlogans', 'monetizationStrategies', 'techStackSuggestions', 'backlog', 'dataModel', 'mockup', 'marketAnalysis', 'projectPlan', 'scaffold', 'evaluation', 'complianceReview', 'customStepResults'];
+
+/**
+ * @typedef {object} PromptRevision
+ * @property {string} id - Unique id.
+ * @property {string} text - The prompt text at this revision.
+ * @property {'ai'|'manual'|'restore'|'preview'|'variant'|'merge'|'refine'|'compliance'|'pipeline'} source - What produced it: an enhancement run,
+ *   a manual save, a restore of an older revision, an automatic save when a preview was generated,
+ *   a chosen prompt variant, sections merged from several variants, an accepted chat refinement,
+ *   compliance findings added as requirements, or the enhancement step of a pipeline run.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ * @property {string|null} restoredFrom - For 'restore' revisions, the id of the revision restored.
+ * @property {Array<{createdAt: number, appName: string}>} previews - App previews generated from this revision.
+ */
+
+/**
+ * Fills in any keys missing from a stored session (e.g. one saved by an older version).
+ * Unknown keys are dropped.
+ * @param {object} data - Stored session data.
+ * @returns {object} - Complete session.
+ */
+export const normalizeSession = (data = {}) => Object.fromEntries(
+    Object.entries(EMPTY_SESSION).map(([key, fallback]) => [key, data[key] ?? fallback])
+);
+
+/**
+ * Creates a prompt revision.
+ * @param {string} text - Prompt text.
+ * @param {PromptRevision['source']} source - What produced the revision.
+ * @param {string|null} [restoredFrom] - Id of the restored revision, for 'restore' revisions.
+ * @returns {PromptRevision}
+ */
+export const createRevision = (text, source, restoredFrom = null) => ({
+    id: createId(),
+    text,
+    source,
+    createdAt: Date.now(),
+    restoredFrom,
+    previews: [],
+});
@@ -0,0 +1,142 @@
+import { PROVIDERS, DEFAULT_PROVIDER_CONFIG } from './llm/index.js';
+import { DEFAULT_PRICES } from './usage.js';
+import { DEFAULT_EVALUATION_WEIGHTS } from './evaluation.js';
+
+// localStorage key the settings are persisted under
+const STORAGE_KEY = 'aiAppPromptEnhancer.settings';
+
+/**
+ * Generation steps that can be given their own model.
+ * Each is what the handlers pass to callGeminiApi; its label is `step.<key>` in the i18n bundles.
+ */
+export const STEPS = [
+    'analyze',
+    'enhance',
+    'preview',
+    'refine',
+    'names',
+    'monetization',
+    'techStack',
+    'backlog',
+    'dataModel',
+    'mockup',
+    'market',
+    'plan',
+    'scaffold',
+    'evaluate',
+    'compliance',
+    'custom',
+];
+
+/**
+ * Default settings. Generation parameters left as null are not sent,
+ * so the backend's own defaults apply.
+ */
+export const DEFAULT_SETTINGS = {
+    provider: DEFAULT_PROVIDER_CONFIG,
+    defaultModel: PROVIDERS[DEFAULT_PROVIDER_CONFIG.type].defaultModel,
+    generation: {
+        temperature: null,
+        topP: null,
+        maxOutputTokens: null,
+    },
+    stepModels: Object.fromEntries(STEPS.map((key) => [key, ''])),
+    streamEnhancement: true, // Render the enhanced prompt token by token as it arrives
+    validation: {
+        maxRepairAttempts: 2, // Repair requests sent when a structured response fails schema validation
+        backoffMs: 500, // Delay before the first repair request; doubles for each further one
+    },
+    cache: {
+        enabled: true, // Reuse stored responses to identical requests instead of calling the AI again
+        ttlHours: 24, // How long a cached response stays valid
+        maxSizeMb: 10, // Least recently used responses are evicted beyond this size
+    },
+    prices: DEFAULT_PRICES, // USD per million input/output tokens, per model (see usage.js)
+    budget: {
+        dailyLimitUsd: null, // Spending limit per calendar day; null for none
+        projectLimitUsd: null, // Spending limit per project; null for none
+        action: 'warn', // 'warn' shows a banner once a limit is reached, 'block' also refuses further requests
+    },
+    sync: {
+        enabled: false, // Mirror projects to Firestore
+        emulatorHost: '', // Firestore emulator host:port; empty uses the real backend
+        emulatorAuthUrl: '', // Optional Auth emulator URL
+        emulatorProjectId: 'demo-prompt-enhancer', // Project id used with the emulator when no Firebase config is present
+    },
+    evaluationWeights: DEFAULT_EVALUATION_WEIGHTS, // Weight of each criterion in the overall evaluation score (see evaluation.js)
+    review: {
+        name: '', // Name comments on shared specs are posted under
+    },
+    language: {
+        ui: '', // Interface language (a code from LOCALES in i18n/index.js); empty follows the browser
+        output: 'en', // Language every generation is written in (a code from OUTPUT_LANGUAGES)
+        markets: [], // BCP 47 tags of target markets that get their own localized names and taglines
+    },
+};
+
+/**
+ * Merges stored settings over the defaults, so settings saved by an older version
+ * of the app still load with any newly added keys filled in.
+ * @param {object} stored - Settings as read from storage.
+ * @returns {object} - Complete settings object.
+ */
+const mergeWithDefaults = (stored) => ({
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    provider: PROVIDERS[stored.provider?.type]
+        ? { ...PROVIDERS[stored.provider.type].defaults, ...stored.provider }
+        : DEFAULT_SETTINGS.provider,
+    generation: { ...DEFAULT_SETTINGS.generation, ...stored.generation },
+    stepModels: { ...DEFAULT_SETTINGS.stepModels, ...stored.stepModels },
+    validation: { ...DEFAULT_SETTINGS.validation, ...stored.validation },
+    cache: { ...DEFAULT_SETTINGS.cache, ...stored.cache },
+    prices: Array.isArray(stored.prices) ? stored.prices : DEFAULT_SETTINGS.prices,
+    budget: { ...DEFAULT_SETTINGS.budget, ...stored.budget },
+    sync: { ...DEFAULT_SETTINGS.sync, ...stored.sync },
+    evaluationWeights: { ...DEFAULT_SETTINGS.evaluationWeights, ...stored.evaluationWeights },
+    review: { ...DEFAULT_SETTINGS.review, ...stored.review },
+    language: { ...DEFAULT_SETTINGS.language, ...stored.language },
+});
+
+/**
+ * Reads the settings from localStorage.
+ * @returns {object} - Saved settings, or the defaults if nothing (valid) is stored.
+ */
+export const loadSettings = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        return raw ? mergeWithDefaults(JSON.parse(raw)) : DEFAULT_SETTINGS;
+    } catch (err) {
+        console.error('Failed to load settings, using defaults:', err);
+        return DEFAULT_SETTINGS;
+    }
+};
+
+/**
+ * Writes the settings to localStorage.
+ * @param {object} settings - Settings to persist.
+ */
+export const saveSettings = (settings) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        console.error('Failed to save settings:', err);
+    }
+};
+
+/**
+ * Resolves the model to use for a generation step.
+ * @param {object} settings - Current settings.
+ * @param {string} step - Key from STEPS.
+ * @returns {string} - The step's override, or the default model.
+ */
+export const resolveModel = (settings, step) => settings.stepModels[step] || settings.defaultModel;
+
+/**
+ * Builds the provider-neutral generation config, leaving out unset parameters.
+ * @param {object} settings - Current settings.
+ * @returns {{temperature?: number, topP?: number, maxOutputTokens?: number}}
+ */
+export const buildGenerationConfig = (settings) => Object.fromEntries(
+    Object.entries(settings.generation).filter(([, value]) => value !== null && value !== '')
+);
@@ -0,0 +1,200 @@
+import { createId } from './storage/projects.js';
+import { buildSpecDocument, parseSpecDocument } from './exporters/spec-json.js';
+import { splitSections } from './variants.js';
+import { compressToBase64Url, decompressFromBase64Url } from './utils/compress.js';
+
+/**
+ * Sharing a spec for review. A share is a snapshot of the project that opens in a read-only
+ * review view. It either travels in the link itself, compressed into the URL fragment (which
+ * browsers never send to a server), or is saved to a share store and the link carries its id.
+ * Either way, reviewers' comment threads are kept in the share store under the share id, and
+ * the author is identified by the store's user id (see storage/share-store.js).
+ */
+
+// URL fragment parameters: the share compressed into the link, or the id of a stored share
+export const INLINE_SHARE_PARAM = 'share';
+export const STORED_SHARE_PARAM = 'shared';
+
+// Longest link offered with the spec embedded; longer ones get cut off by mail and chat clients
+export const MAX_INLINE_URL_LENGTH = 32000;
+
+/**
+ * @typedef {object} Share
+ * @property {string} id - Unique id; comment threads are stored under it.
+ * @property {string} ownerId - User id of the author in the share store, who can resolve threads.
+ * @property {string} name - Project name.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ * @property {object} document - Spec document of the project (see buildSpecDocument), without
+ *   the prompt history.
+ */
+
+/**
+ * @typedef {object} ShareLink
+ * @property {'inline'|'stored'} mode - Whether the spec is in the link or in the share store.
+ * @property {string} value - The compressed share, or the stored share's id.
+ */
+
+/**
+ * Creates a share of a session.
+ * @param {object} session - Session data (see EMPTY_SESSION).
+ * @param {string} name - Project name.
+ * @param {string} ownerId - User id of the author in the share store.
+ * @returns {Share}
+ */
+export const createShare = (session, name, ownerId) => ({
+    id: createId(),
+    ownerId,
+    name,
+    createdAt: Date.now(),
+    // Revisions can make up most of a session and reviewers only see the current prompt
+    document: { ...buildSpecDocument(session, name), promptRevisions: [], appPreviewRevisionId: null },
+});
+
+/**
+ * Builds the link to a share.
+ * @param {string} baseUrl - Page URL; any fragment is replaced.
+ * @param {Share} share - The share.
+ * @param {'inline'|'stored'} mode - 'inline' embeds the share; 'stored' refers to it by id, so it
+ *   must have been saved to the share store.
+ * @returns {Promise<string>}
+ */
+export const buildShareUrl = async (baseUrl, share, mode) => {
+    const base = baseUrl.split('#')[0];
+    if (mode === 'stored') {
+        return `${base}#${STORED_SHARE_PARAM}=${encodeURIComponent(share.id)}`;
+    }
+    return `${base}#${INLINE_SHARE_PARAM}=${await compressToBase64Url(JSON.stringify(share))}`;
+};
+
+/**
+ * Reads a share link from a URL fragment.
+ * @param {string} hash - `location.hash`, with or without the leading '#'.
+ * @returns {ShareLink|null} - Null if the fragment is not a share link.
+ */
+export const parseShareHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (params.get(INLINE_SHARE_PARAM)) return { mode: 'inline', value: params.get(INLINE_SHARE_PARAM) };
+    if (params.get(STORED_SHARE_PARAM)) return { mode: 'stored', value: params.get(STORED_SHARE_PARAM) };
+    return null;
+};
+
+/**
+ * Loads the share a link refers to and reads its spec.
+ * @param {ShareLink} link - Parsed link (see parseShareHash).
+ * @param {object} store - Share store, for stored shares.
+ * @returns {Promise<{share: Share, session: object}>} - The share and its complete session data.
+ * @throws {Error} - If the share can't be found or read.
+ */
+export const loadShare = async (link, store) => {
+    let share;
+    if (link.mode === 'stored') {
+        share = await store.get(link.value);
+        if (!share) throw new Error('This shared spec no longer exists.');
+    } else {
+        try {
+            share = JSON.parse(await decompressFromBase64Url(link.value));
+        } catch {
+            throw new Error('The link is damaged or incomplete. Ask for the link to be sent again.');
+        }
+    }
+    if (!share || typeof share.id !== 'string' || typeof share.ownerId !== 'string' || !share.document) {
+        throw new Error('The link does not contain a shared spec.');
+    }
+    return { share, session: parseSpecDocument(JSON.stringify(share.document)).session };
+};
+
+/**
+ * @typedef {object} ShareAnchor
+ * @property {'feature'|'section'} type - A key feature of the preview, or a section of the prompt.
+ * @property {number} index - Position among the features or sections.
+ * @property {string} label - The feature, or the section title.
+ */
+
+/**
+ * Lists what comments can be anchored to: the key features, then the prompt sections.
+ * The indexes stay valid because a share never changes.
+ * @param {object} session - Session data of the share.
+ * @returns {Array<ShareAnchor & {text: string}>} - Anchors with the text they refer to.
+ */
+export const listShareAnchors = (session) => [
+    ...(session.appPreview?.keyFeatures || []).map((feature, index) => ({ type: 'feature', index, label: feature, text: feature })),
+    ...splitSections(session.customPrompt || '').map(({ title, text }, index) => ({ type: 'section', index, label: title, text })),
+];
+
+/**
+ * Key identifying an anchor within a share.
+ * @param {ShareAnchor} anchor
+ * @returns {string}
+ */
+export const anchorKey = ({ type, index }) => `${type}:${index}`;
+
+/**
+ * @typedef {object} ShareComment
+ * @property {string} id - Unique id.
+ * @property {string} authorId - User id of the commenter in the share store.
+ * @property {string} author - Display name; empty if the commenter gave none.
+ * @property {string} text - The comment.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ */
+
+/**
+ * @typedef {object} CommentThread
+ * @property {string} id - Unique id.
+ * @property {ShareAnchor} anchor - What the thread is about.
+ * @property {ShareComment[]} comments - The opening comment and the replies, oldest first.
+ * @property {boolean} resolved - Set by the author once addressed.
+ * @property {number|null} resolvedAt - When it was resolved.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ */
+
+/**
+ * Creates a comment.
+ * @param {{id: string, name: string}} reviewer - User id and display name of the commenter.
+ * @param {string} text - The comment.
+ * @returns {ShareComment}
+ */
+const createComment = (reviewer, text) => ({
+    id: createId(),
+    authorId: reviewer.id,
+    author: reviewer.name.trim(),
+    text: text.trim(),
+    createdAt: Date.now(),
+});
+
+/**
+ * Starts a comment thread on an anchor.
+ * @param {ShareAnchor} anchor - What the comment is about.
+ * @param {{id: string, name: string}} reviewer - The commenter.
+ * @param {string} text - The opening comment.
+ * @returns {CommentThread}
+ */
+export const createThread = ({ type, index, label }, reviewer, text) => ({
+    id: createId(),
+    anchor: { type, index, label },
+    comments: [createComment(reviewer, text)],
+    resolved: false,
+    resolvedAt: null,
+    createdAt: Date.now(),
+});
+
+/**
+ * Adds a reply to a thread. Replying to a resolved thread reopens it.
+ * @param {CommentThread} thread
+ * @param {{id: string, name: string}} reviewer - The commenter.
+ * @param {string} text - The reply.
+ * @returns {CommentThread}
+ */
+export const addReply = (thread, reviewer, text) => ({
+    ...thread,
+    comments: [...thread.comments, createComment(reviewer, text)],
+    resolved: false,
+    resolvedAt: null,
+});
+
+/**
+ * Resolves or reopens a thread.
+ * @param {CommentThread} thread
+ * @param {boolean} resolved
+ * @returns {CommentThread}
+ */
+export const setThreadResolved = (thread, resolved) => ({ ...thread, resolved, resolvedAt: resolved ? Date.now() : null });
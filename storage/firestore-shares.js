@@ -0,0 +1,61 @@
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { createFirestoreConnection } from './firestore-sync.js';
+
+/**
+ * Creates a Firestore-backed share store, so links work for anyone who opens them.
+ * Shares live under `artifacts/{appId}/public/data/shares/{shareId}` (the Canvas convention for
+ * data every user can read) with their comment threads in a `threads` subcollection. Links that
+ * carry the spec in the URL get a share document too, without the spec, so the owner is known.
+ * Shares are made under the signed-in user's id. Threads are stored as plain fields rather than a
+ * JSON string, so firestore.rules can keep their comments append-only, check each new comment's
+ * author and let only the share's owner resolve them.
+ * @param {object} options - Connection options (see createFirestoreConnection).
+ * @returns {object} - Share store with `isRemote`, `getUserId`, `create`, `get`, `listThreads` and `saveThread`.
+ */
+export const createFirestoreShareStore = (options) => {
+    const connect = createFirestoreConnection(options);
+    const basePath = `artifacts/${options.appId}/public/data/shares`;
+
+    return {
+        isRemote: true,
+
+        getUserId: async () => (await connect()).uid,
+
+        /**
+         * Stores a share.
+         * @param {import('../share.js').Share} share - Share to store; its owner must be the signed-in user.
+         * @param {object} [options]
+         * @param {boolean} [options.includeDocument] - Store the spec too; false for links that carry it.
+         * @returns {Promise<void>}
+         */
+        create: async (share, { includeDocument = true } = {}) => {
+            const { db } = await connect();
+            const { document, ...meta } = share;
+            await setDoc(doc(db, basePath, share.id), includeDocument ? { ...meta, documentJson: JSON.stringify(document) } : meta);
+        },
+
+        get: async (id) => {
+            const { db } = await connect();
+            const snapshot = await getDoc(doc(db, basePath, id));
+            if (!snapshot.exists() || !snapshot.data().documentJson) return null;
+            const { documentJson, ...meta } = snapshot.data();
+            return { ...meta, document: JSON.parse(documentJson) };
+        },
+
+        listThreads: async (shareId) => {
+            const { db } = await connect();
+            const snapshot = await getDocs(collection(db, basePath, shareId, 'threads'));
+            return snapshot.docs
+                .map((threadDoc) => {
+                    const { id, anchor, comments, resolved, resolvedAt, createdAt } = threadDoc.data();
+                    return { id, anchor, comments, resolved, resolvedAt, createdAt };
+                })
+                .sort((a, b) => a.createdAt - b.createdAt);
+        },
+
+        saveThread: async (shareId, thread) => {
+            const { db } = await connect();
+            await setDoc(doc(db, basePath, shareId, 'threads', thread.id), { ...thread, updatedAt: Date.now() });
+        },
+    };
+};
@@ -0,0 +1,114 @@
+import { initializeApp, getApps } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, collection, doc, getDoc, getDocs, setDoc, deleteDoc } from 'firebase/firestore';
+
+// User id used against the Firestore emulator when no auth emulator is configured
+const EMULATOR_USER_ID = 'emulator-user';
+
+/**
+ * Connects to Firestore and signs in, once, on first use.
+ * Shared by every Firestore-backed store, so they use the same named Firebase app and user.
+ * @param {object} options
+ * @param {object} options.firebaseConfig - Firebase web config (the `__firebase_config` global).
+ * @param {string} options.appId - App id (the `__app_id` global), used to namespace the data.
+ * @param {string} [options.initialAuthToken] - Custom auth token (the `__initial_auth_token` global);
+ *   without one the connection signs in anonymously.
+ * @param {object} [options.emulator] - Local emulator to use instead of the real backend.
+ * @param {string} options.emulator.firestoreHost - Firestore emulator `host:port`, e.g. 'localhost:8080'.
+ * @param {string} [options.emulator.authUrl] - Auth emulator URL, e.g. 'http://localhost:9099'.
+ *   Without it, requests are made unauthenticated as a fixed emulator user.
+ * @returns {function(): Promise<{db: object, uid: string}>} - Resolves with the database and user id.
+ */
+export const createFirestoreConnection = ({ firebaseConfig, appId, initialAuthToken = '', emulator = null }) => {
+    let readyPromise = null;
+
+    return () => {
+        if (!readyPromise) {
+            readyPromise = (async () => {
+                // A dedicated named app keeps this from clashing with any default app on the page
+                const appName = `project-sync-${appId}${emulator ? '-emulator' : ''}`;
+                const existing = getApps().find((a) => a.name === appName);
+                const app = existing || initializeApp(firebaseConfig, appName);
+                const db = getFirestore(app);
+                let uid = EMULATOR_USER_ID;
+
+                // The emulator can only be connected before the first use of a new app
+                if (emulator && !existing) {
+                    const [host, port] = emulator.firestoreHost.split(':');
+                    connectFirestoreEmulator(db, host, Number(port) || 8080);
+                }
+
+                if (!emulator || emulator.authUrl) {
+                    const auth = getAuth(app);
+                    if (emulator && !existing) {
+                        connectAuthEmulator(auth, emulator.authUrl, { disableWarnings: true });
+                    }
+                    const credential = auth.currentUser
+                        ? { user: auth.currentUser }
+                        : initialAuthToken
+                            ? await signInWithCustomToken(auth, initialAuthToken)
+                            : await signInAnonymously(auth);
+                    uid = credential.user.uid;
+                }
+
+                return { db, uid };
+            })();
+            // Let a failed initialization be retried on the next call
+            readyPromise.catch(() => {
+                readyPromise = null;
+            });
+        }
+        return readyPromise;
+    };
+};
+
+/**
+ * Creates a Firestore-backed project store with the same interface as the local store.
+ * Projects live under `artifacts/{appId}/users/{uid}/projects/{projectId}`, following the
+ * Canvas convention for per-user data. The session snapshot is stored as a JSON string so
+ * Firestore's restrictions on nested arrays and undefined values never get in the way.
+ * @param {object} options - Connection options (see createFirestoreConnection).
+ * @returns {object} - Project store with `list`, `get`, `save` and `remove`.
+ */
+export const createFirestoreProjectStore = (options) => {
+    const connect = createFirestoreConnection(options);
+
+    /**
+     * Resolves with the database and the user's projects collection path.
+     * @returns {Promise<{db: object, basePath: string}>}
+     */
+    const ready = async () => {
+        const { db, uid } = await connect();
+        return { db, basePath: `artifacts/${options.appId}/users/${uid}/projects` };
+    };
+
+    const fromDocument = (snapshot) => {
+        const { dataJson, ...meta } = snapshot.data();
+        return { ...meta, data: JSON.parse(dataJson || '{}') };
+    };
+
+    return {
+        list: async () => {
+            const { db, basePath } = await ready();
+            const snapshot = await getDocs(collection(db, basePath));
+            return snapshot.docs.map(fromDocument).sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        get: async (id) => {
+            const { db, basePath } = await ready();
+            const snapshot = await getDoc(doc(db, basePath, id));
+            return snapshot.exists() ? fromDocument(snapshot) : null;
+        },
+
+        save: async (project) => {
+            const { db, basePath } = await ready();
+            const { data, ...meta } = project;
+            await setDoc(doc(db, basePath, project.id), { ...meta, dataJson: JSON.stringify(data) });
+        },
+
+        remove: async (id) => {
+            const { db, basePath } = await ready();
+            await deleteDoc(doc(db, basePath, id));
+        },
+    };
+};
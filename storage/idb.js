@@ -0,0 +1,52 @@
+/**
+ * Minimal promise wrapper around IndexedDB, shared by the stores that persist data locally.
+ */
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - Pending request.
+ * @returns {Promise<any>} - Resolves with the request result.
+ */
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and creates or upgrades) a database.
+ * @param {string} name - Database name.
+ * @param {number} version - Schema version.
+ * @param {function(IDBDatabase, number): void} upgrade - Creates object stores; receives the old version.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+    }
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" is open in another tab with an older version.`));
+});
+
+/**
+ * Runs `work` inside a transaction and resolves once the transaction completes.
+ * @param {IDBDatabase} db - Open database.
+ * @param {string|string[]} storeNames - Stores the transaction covers.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBTransaction): any} work - Issues requests; its (awaited) return value is passed through.
+ * @returns {Promise<any>}
+ */
+export const withTransaction = async (db, storeNames, mode, work) => {
+    const transaction = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+    const result = await work(transaction);
+    await done;
+    return result;
+};
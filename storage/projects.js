@@ -0,0 +1,115 @@
+import { openDatabase, promisifyRequest, withTransaction } from './idb.js';
+
+const DB_NAME = 'aiAppPromptEnhancer';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+
+/**
+ * @typedef {object} Project
+ * @property {string} id - Unique id.
+ * @property {string} name - User-facing name.
+ * @property {number} createdAt - Creation time (ms since epoch).
+ * @property {number} updatedAt - Last modification time (ms since epoch), used to resolve sync conflicts.
+ * @property {object} data - Snapshot of the App session state (simpleIdea, customPrompt, appPreview...).
+ */
+
+/**
+ * Generates a project id. Uses crypto.randomUUID where available.
+ * @returns {string}
+ */
+export const createId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+/**
+ * Creates a new, unsaved project.
+ * @param {string} name - Project name.
+ * @param {object} data - Session state snapshot.
+ * @returns {Project}
+ */
+export const createProject = (name, data) => {
+    const now = Date.now();
+    return { id: createId(), name, createdAt: now, updatedAt: now, data };
+};
+
+/**
+ * Derives a default project name from the user's idea.
+ * @param {string} simpleIdea - The idea text.
+ * @param {string} untitledName - Name for an empty idea, in the interface language.
+ * @returns {string}
+ */
+export const suggestProjectName = (simpleIdea, untitledName) => {
+    const firstLine = simpleIdea.trim().split('\n')[0];
+    if (!firstLine) return untitledName;
+    return firstLine.length > 40 ? `${firstLine.slice(0, 40).trim()}…` : firstLine;
+};
+
+/**
+ * Creates the IndexedDB-backed project store.
+ * All backends (this one and the optional remote sync) expose the same
+ * `list`/`get`/`save`/`remove` methods so the workspace can treat them alike.
+ * @returns {object} - Project store.
+ */
+export const createLocalProjectStore = () => {
+    let dbPromise = null;
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                    db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+                }
+            });
+        }
+        return dbPromise;
+    };
+
+    return {
+        /**
+         * @returns {Promise<Project[]>} - All projects, most recently updated first.
+         */
+        list: async () => {
+            const db = await getDb();
+            const projects = await withTransaction(db, PROJECTS_STORE, 'readonly', (tx) => (
+                promisifyRequest(tx.objectStore(PROJECTS_STORE).getAll())
+            ));
+            return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        /**
+         * @param {string} id - Project id.
+         * @returns {Promise<Project|null>}
+         */
+        get: async (id) => {
+            const db = await getDb();
+            const project = await withTransaction(db, PROJECTS_STORE, 'readonly', (tx) => (
+                promisifyRequest(tx.objectStore(PROJECTS_STORE).get(id))
+            ));
+            return project || null;
+        },
+
+        /**
+         * Inserts or replaces a project.
+         * @param {Project} project - Project to store.
+         * @returns {Promise<void>}
+         */
+        save: async (project) => {
+            const db = await getDb();
+            await withTransaction(db, PROJECTS_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(PROJECTS_STORE).put(project))
+            ));
+        },
+
+        /**
+         * @param {string} id - Project id.
+         * @returns {Promise<void>}
+         */
+        remove: async (id) => {
+            const db = await getDb();
+            await withTransaction(db, PROJECTS_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(PROJECTS_STORE).delete(id))
+            ));
+        },
+    };
+};
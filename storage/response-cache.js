@@ -0,0 +1,159 @@
+import { openDatabase, promisifyRequest, withTransaction } from './idb.js';
+import { hashText } from '../utils/hash.js';
+
+/**
+ * Persistent cache of AI responses in IndexedDB, so repeating a request with unchanged
+ * input doesn't make another paid call. Entries expire after a TTL, and the least recently
+ * used ones are evicted once the cache outgrows its size limit.
+ * Kept in its own database so it can be cleared without touching the projects.
+ */
+
+const DB_NAME = 'aiAppPromptEnhancer.cache';
+const DB_VERSION = 1;
+const RESPONSES_STORE = 'responses';
+
+/**
+ * @typedef {object} CachedResponse
+ * @property {string} key - Hash of the request (see buildCacheKey).
+ * @property {string} step - Generation step the response was made for.
+ * @property {string} model - Model that produced it.
+ * @property {string} prompt - Start of the prompt, for display.
+ * @property {string} response - Raw text, or JSON text for structured responses.
+ * @property {number} createdAt - When it was stored (ms since epoch).
+ * @property {number} lastUsedAt - When it was last stored or read.
+ * @property {number} size - Approximate size in bytes.
+ */
+
+/**
+ * Computes the cache key of a request: the same backend, model, conversation, parameters
+ * and schema give the same key.
+ * @param {object} request
+ * @param {string} request.provider - Provider type.
+ * @param {string} [request.baseUrl] - Endpoint of self-hosted or compatible backends.
+ * @param {string} request.model - Model name.
+ * @param {Array<{role: string, content: string}>} request.messages - Conversation.
+ * @param {object} request.generationConfig - Sampling parameters.
+ * @param {object|null} request.responseSchema - Schema of structured responses.
+ * @returns {Promise<string>}
+ */
+export const buildCacheKey = ({ provider, baseUrl, model, messages, generationConfig, responseSchema }) => hashText(JSON.stringify({
+    provider,
+    baseUrl: baseUrl || '',
+    model,
+    messages,
+    generationConfig,
+    responseSchema,
+}));
+
+/**
+ * Creates the response cache.
+ * @param {object} limits
+ * @param {number} limits.ttlMs - How long entries stay valid.
+ * @param {number} limits.maxBytes - Approximate total size to keep.
+ * @returns {object} - Cache with `get`, `set`, `list`, `remove` and `clear` methods.
+ */
+export const createResponseCache = ({ ttlMs, maxBytes }) => {
+    let dbPromise = null;
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+                    db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' });
+                }
+            });
+        }
+        return dbPromise;
+    };
+
+    const isExpired = (entry, now) => now - entry.createdAt > ttlMs;
+
+    /**
+     * Deletes expired entries, then the least recently used ones until the cache fits its size limit.
+     * @returns {Promise<CachedResponse[]>} - The remaining entries, most recently used first.
+     */
+    const prune = async () => {
+        const db = await getDb();
+        return withTransaction(db, RESPONSES_STORE, 'readwrite', async (tx) => {
+            const store = tx.objectStore(RESPONSES_STORE);
+            const now = Date.now();
+            const entries = (await promisifyRequest(store.getAll())).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+            const kept = [];
+            let total = 0;
+            entries.forEach((entry) => {
+                if (isExpired(entry, now) || total + entry.size > maxBytes) {
+                    store.delete(entry.key);
+                } else {
+                    total += entry.size;
+                    kept.push(entry);
+                }
+            });
+            return kept;
+        });
+    };
+
+    return {
+        /**
+         * Looks up a response and marks it as recently used.
+         * @param {string} key - Request hash.
+         * @returns {Promise<CachedResponse|null>} - The entry, or null if missing or expired.
+         */
+        get: async (key) => {
+            const db = await getDb();
+            return withTransaction(db, RESPONSES_STORE, 'readwrite', async (tx) => {
+                const store = tx.objectStore(RESPONSES_STORE);
+                const entry = await promisifyRequest(store.get(key));
+                if (!entry) return null;
+                if (isExpired(entry, Date.now())) {
+                    store.delete(key);
+                    return null;
+                }
+                const touched = { ...entry, lastUsedAt: Date.now() };
+                store.put(touched);
+                return touched;
+            });
+        },
+
+        /**
+         * Stores a response, evicting old entries as needed.
+         * @param {Omit<CachedResponse, 'createdAt'|'lastUsedAt'|'size'>} entry - Entry to store.
+         * @returns {Promise<void>}
+         */
+        set: async (entry) => {
+            const now = Date.now();
+            const stored = { ...entry, createdAt: now, lastUsedAt: now, size: (entry.response.length + entry.prompt.length) * 2 };
+            if (stored.size > maxBytes) return; // Would evict everything else and still not fit
+            const db = await getDb();
+            await withTransaction(db, RESPONSES_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(RESPONSES_STORE).put(stored))
+            ));
+            await prune();
+        },
+
+        /**
+         * @returns {Promise<CachedResponse[]>} - Valid entries, most recently used first.
+         */
+        list: prune,
+
+        /**
+         * @param {string} key - Request hash.
+         * @returns {Promise<void>}
+         */
+        remove: async (key) => {
+            const db = await getDb();
+            await withTransaction(db, RESPONSES_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(RESPONSES_STORE).delete(key))
+            ));
+        },
+
+        /**
+         * Deletes every entry.
+         * @returns {Promise<void>}
+         */
+        clear: async () => {
+            const db = await getDb();
+            await withTransaction(db, RESPONSES_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(RESPONSES_STORE).clear())
+            ));
+        },
+    };
+};
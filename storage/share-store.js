@@ -0,0 +1,145 @@
+import { openDatabase, promisifyRequest, withTransaction } from './idb.js';
+import { createId } from './projects.js';
+
+/**
+ * Stores for shared specs and their comment threads (see share.js).
+ * Every backend exposes the same `isRemote` flag and `getUserId`/`create`/`get`/`listThreads`/`saveThread`
+ * methods, so the app can keep shares in Firestore (see firestore-shares.js), in this browser, or in
+ * memory for tests.
+ */
+
+const DB_NAME = 'aiAppPromptEnhancer.shares';
+const DB_VERSION = 1;
+const SHARES_STORE = 'shares';
+const THREADS_STORE = 'threads';
+// localStorage key of the id this browser's shares and comments are made under
+const USER_ID_KEY = 'aiAppPromptEnhancer.shares.userId';
+
+const byCreation = (a, b) => a.createdAt - b.createdAt;
+
+/**
+ * Creates an in-memory share store. Values are copied in and out, so callers never share
+ * objects with the store, as with a real backend.
+ * @param {object} [seed] - Initial contents.
+ * @param {string} [seed.userId] - Id of the current user.
+ * @param {Array<import('../share.js').Share>} [seed.shares] - Stored shares.
+ * @param {Object<string, Array<import('../share.js').CommentThread>>} [seed.threads] - Threads by share id.
+ * @returns {object} - Share store.
+ */
+export const createMemoryShareStore = ({ userId = createId(), shares = [], threads = {} } = {}) => {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const sharesById = new Map(shares.map((share) => [share.id, copy(share)]));
+    const threadsByShare = new Map(Object.entries(threads).map(([shareId, list]) => [
+        shareId, new Map(list.map((thread) => [thread.id, copy(thread)])),
+    ]));
+
+    return {
+        isRemote: false,
+
+        getUserId: async () => userId,
+
+        create: async (share) => {
+            sharesById.set(share.id, copy(share));
+        },
+
+        get: async (id) => (sharesById.has(id) ? copy(sharesById.get(id)) : null),
+
+        listThreads: async (shareId) => [...(threadsByShare.get(shareId)?.values() || [])].map(copy).sort(byCreation),
+
+        saveThread: async (shareId, thread) => {
+            if (!threadsByShare.has(shareId)) threadsByShare.set(shareId, new Map());
+            threadsByShare.get(shareId).set(thread.id, copy(thread));
+        },
+    };
+};
+
+/**
+ * Creates the IndexedDB-backed share store, used when no Firestore backend is configured.
+ * Links then only open in this browser, which is enough to try sharing out or to review alone.
+ * Links with the spec embedded open anywhere, but their comments could only be saved in the
+ * reviewer's browser, so they offer no comments with this store.
+ * @returns {object} - Share store.
+ */
+export const createLocalShareStore = () => {
+    let dbPromise = null;
+    const getDb = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(SHARES_STORE)) {
+                    db.createObjectStore(SHARES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(THREADS_STORE)) {
+                    // Records are { shareId, thread }, so threads come back exactly as saved
+                    db.createObjectStore(THREADS_STORE, { keyPath: ['shareId', 'thread.id'] }).createIndex('shareId', 'shareId');
+                }
+            });
+        }
+        return dbPromise;
+    };
+
+    return {
+        isRemote: false,
+
+        /**
+         * Returns the id this browser's shares and comments are made under, creating it the first time.
+         * @returns {Promise<string>}
+         */
+        getUserId: async () => {
+            let userId = window.localStorage.getItem(USER_ID_KEY);
+            if (!userId) {
+                userId = createId();
+                window.localStorage.setItem(USER_ID_KEY, userId);
+            }
+            return userId;
+        },
+
+        /**
+         * Stores a share. Only shares for stored links are kept here.
+         * @param {import('../share.js').Share} share - Share to store.
+         * @returns {Promise<void>}
+         */
+        create: async (share) => {
+            const db = await getDb();
+            await withTransaction(db, SHARES_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(SHARES_STORE).put(share))
+            ));
+        },
+
+        /**
+         * @param {string} id - Share id.
+         * @returns {Promise<import('../share.js').Share|null>}
+         */
+        get: async (id) => {
+            const db = await getDb();
+            const share = await withTransaction(db, SHARES_STORE, 'readonly', (tx) => (
+                promisifyRequest(tx.objectStore(SHARES_STORE).get(id))
+            ));
+            return share || null;
+        },
+
+        /**
+         * @param {string} shareId - Share id.
+         * @returns {Promise<Array<import('../share.js').CommentThread>>} - Oldest first.
+         */
+        listThreads: async (shareId) => {
+            const db = await getDb();
+            const records = await withTransaction(db, THREADS_STORE, 'readonly', (tx) => (
+                promisifyRequest(tx.objectStore(THREADS_STORE).index('shareId').getAll(shareId))
+            ));
+            return records.map(({ thread }) => thread).sort(byCreation);
+        },
+
+        /**
+         * Inserts or replaces a thread.
+         * @param {string} shareId - Share id.
+         * @param {import('../share.js').CommentThread} thread - Thread to store.
+         * @returns {Promise<void>}
+         */
+        saveThread: async (shareId, thread) => {
+            const db = await getDb();
+            await withTransaction(db, THREADS_STORE, 'readwrite', (tx) => (
+                promisifyRequest(tx.objectStore(THREADS_STORE).put({ shareId, thread }))
+            ));
+        },
+    };
+};
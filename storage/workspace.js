@@ -0,0 +1,60 @@
+/**
+ * Combines the local project store with an optional remote store.
+ * The local store is always the source the UI reads from; the remote store receives
+ * every write and is merged back in by `sync()`, newest `updatedAt` winning.
+ * Remote failures never block local saves; they are reported through `onSyncError`.
+ * @param {object} options
+ * @param {object} options.local - Local project store (see createLocalProjectStore).
+ * @param {object|null} [options.remote] - Remote project store with the same interface, or null.
+ * @param {function(Error): void} [options.onSyncError] - Called when a remote operation fails.
+ * @returns {object} - Workspace with `list`, `get`, `save`, `remove` and `sync`.
+ */
+export const createWorkspace = ({ local, remote = null, onSyncError = () => {} }) => {
+    const pushRemote = (operation) => {
+        if (!remote) return;
+        operation(remote).catch(onSyncError);
+    };
+
+    return {
+        hasRemote: Boolean(remote),
+
+        list: () => local.list(),
+
+        get: (id) => local.get(id),
+
+        save: async (project) => {
+            await local.save(project);
+            pushRemote((store) => store.save(project));
+        },
+
+        remove: async (id) => {
+            await local.remove(id);
+            pushRemote((store) => store.remove(id));
+        },
+
+        /**
+         * Two-way merge between the local and remote stores.
+         * Deletions made while sync was disabled are not propagated.
+         * @returns {Promise<void>}
+         */
+        sync: async () => {
+            if (!remote) return;
+            try {
+                const [localProjects, remoteProjects] = await Promise.all([local.list(), remote.list()]);
+                const localById = new Map(localProjects.map((p) => [p.id, p]));
+                const remoteById = new Map(remoteProjects.map((p) => [p.id, p]));
+
+                const pulls = remoteProjects
+                    .filter((p) => !localById.has(p.id) || localById.get(p.id).updatedAt < p.updatedAt)
+                    .map((p) => local.save(p));
+                const pushes = localProjects
+                    .filter((p) => !remoteById.has(p.id) || remoteById.get(p.id).updatedAt < p.updatedAt)
+                    .map((p) => remote.save(p));
+
+                await Promise.all([...pulls, ...pushes]);
+            } catch (err) {
+                onSyncError(err);
+            }
+        },
+    };
+};
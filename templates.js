@@ -0,0 +1,287 @@
+import { createId } from './storage/projects.js';
+
+// localStorage key for user-defined templates
+const STORAGE_KEY = 'aiAppPromptEnhancer.templates';
+
+// Identifies template export files
+export const TEMPLATES_FORMAT = 'ai-app-prompt-enhancer/templates';
+export const TEMPLATES_VERSION = 1;
+
+// Variables filled in by the app rather than by the user
+export const RESERVED_VARIABLES = ['idea', 'prompt', 'clarifications'];
+
+/**
+ * @typedef {object} PromptTemplate
+ * @property {string} id - Unique id; built-in ids are stable strings.
+ * @property {string} name - Display name.
+ * @property {string} description - One-line summary shown in the picker.
+ * @property {string} enhancement - Meta-prompt for the enhancement step; must use {{idea}} and may use {{clarifications}}.
+ * @property {string} preview - Prompt for the app preview step; uses {{prompt}}. Empty falls back to the default.
+ * @property {Object<string, {label?: string, placeholder?: string}>} [fields] - Optional metadata for the extra variables.
+ * @property {boolean} [builtIn] - True for the presets shipped with the app.
+ */
+
+// Extra-field sections shared by the presets; each line is dropped when its field is left empty
+const CONTEXT_SECTIONS = `{{#platform}}Target platform(s): {{platform}}
+{{/platform}}{{#audience}}Intended audience: {{audience}}
+{{/audience}}{{#constraints}}Constraints and goals: {{constraints}}
+{{/constraints}}`;
+
+// The user's answers to the clarifying questions, when they ran the interview before enhancing
+export const CLARIFICATIONS_SECTION = `{{#clarifications}}Clarifications from the user:
+{{clarifications}}
+{{/clarifications}}`;
+
+export const DEFAULT_PREVIEW_TEMPLATE = `Based on the following detailed app prompt, describe a conceptual overview and key features of the application. Provide the output as a JSON object with the following keys:
+- "appName": (string) A suggested short, descriptive name for the app.
+- "tagline": (string) A short, catchy phrase summarizing the app.
+- "description": (string) A detailed overview of what the app does, who it's for, and its primary functionalities.
+- "keyFeatures": (array of strings) A list of the most important features.
+- "targetAudience": (string) The primary users the app is designed for.
+
+Ensure the output is valid JSON.
+Detailed App Prompt: '{{prompt}}'`;
+
+const COMMON_FIELDS = {
+    platform: { label: 'Platform', placeholder: 'e.g. iOS and Android, web' },
+    audience: { label: 'Audience', placeholder: 'e.g. university students' },
+    constraints: { label: 'Constraints', placeholder: 'e.g. must work offline, GDPR compliant' },
+};
+
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'general',
+        name: 'General app',
+        description: 'The standard framing for any kind of app.',
+        enhancement: `You are an expert AI app developer. A user has a simple idea for an app. Your task is to expand this simple idea into a comprehensive, detailed, and inclusive prompt that can be used to generate a full app specification. Consider aspects like target audience, core features, key functionalities, potential user roles, non-functional requirements (performance, security, scalability), UI/UX considerations, and monetization strategies if applicable.
+The output should be a well-structured prompt, ready to be fed into another AI model for app generation.
+${CONTEXT_SECTIONS}${CLARIFICATIONS_SECTION}User's simple idea: '{{idea}}'`,
+        preview: DEFAULT_PREVIEW_TEMPLATE,
+        fields: COMMON_FIELDS,
+        builtIn: true,
+    },
+    {
+        id: 'mobile-game',
+        name: 'Mobile game',
+        description: 'Gameplay loop, progression, retention and store monetization.',
+        enhancement: `You are an expert mobile game designer and developer. A user has a simple idea for a mobile game. Expand it into a comprehensive, detailed prompt that can be used to generate a full game design document. Cover the core gameplay loop, controls for touch screens, progression and difficulty curve, session length, art and audio direction, social and competitive features, retention mechanics, monetization (in-app purchases, ads, battle pass) and its fairness, device performance targets and app store requirements.
+The output should be a well-structured prompt, ready to be fed into another AI model for game generation.
+{{#genre}}Genre: {{genre}}
+{{/genre}}${CONTEXT_SECTIONS}${CLARIFICATIONS_SECTION}User's simple idea: '{{idea}}'`,
+        preview: DEFAULT_PREVIEW_TEMPLATE,
+        fields: {
+            genre: { label: 'Genre', placeholder: 'e.g. puzzle, idle, roguelike' },
+            ...COMMON_FIELDS,
+        },
+        builtIn: true,
+    },
+    {
+        id: 'internal-b2b',
+        name: 'Internal B2B tool',
+        description: 'Roles, permissions, integrations, auditability and compliance.',
+        enhancement: `You are an expert enterprise software architect. A user has a simple idea for an internal business tool. Expand it into a comprehensive, detailed prompt that can be used to generate a full specification. Cover the business process being supported, user roles and permissions, single sign-on, integrations with existing systems, data model and data retention, audit logging, reporting, approval workflows, security and compliance requirements, deployment and support expectations.
+The output should be a well-structured prompt, ready to be fed into another AI model for app generation.
+{{#department}}Department / team: {{department}}
+{{/department}}{{#integrations}}Systems to integrate with: {{integrations}}
+{{/integrations}}${CONTEXT_SECTIONS}${CLARIFICATIONS_SECTION}User's simple idea: '{{idea}}'`,
+        preview: DEFAULT_PREVIEW_TEMPLATE,
+        fields: {
+            department: { label: 'Department', placeholder: 'e.g. finance, HR' },
+            integrations: { label: 'Integrations', placeholder: 'e.g. Salesforce, Slack, SAP' },
+            ...COMMON_FIELDS,
+        },
+        builtIn: true,
+    },
+    {
+        id: 'browser-extension',
+        name: 'Browser extension',
+        description: 'Manifest V3, permissions, content scripts and store review.',
+        enhancement: `You are an expert browser extension developer. A user has a simple idea for a browser extension. Expand it into a comprehensive, detailed prompt that can be used to generate a full specification. Cover the Manifest V3 architecture (service worker, content scripts, popup, options page), the minimal set of permissions and host permissions with justification, which pages it runs on, storage and sync, privacy and data handling, cross-browser support, performance impact on browsing, and store review requirements.
+The output should be a well-structured prompt, ready to be fed into another AI model for extension generation.
+{{#browsers}}Target browsers: {{browsers}}
+{{/browsers}}{{#audience}}Intended audience: {{audience}}
+{{/audience}}{{#constraints}}Constraints and goals: {{constraints}}
+{{/constraints}}${CLARIFICATIONS_SECTION}User's simple idea: '{{idea}}'`,
+        preview: DEFAULT_PREVIEW_TEMPLATE,
+        fields: {
+            browsers: { label: 'Browsers', placeholder: 'e.g. Chrome, Firefox, Edge' },
+            audience: COMMON_FIELDS.audience,
+            constraints: COMMON_FIELDS.constraints,
+        },
+        builtIn: true,
+    },
+];
+
+export const DEFAULT_TEMPLATE_ID = BUILTIN_TEMPLATES[0].id;
+
+/**
+ * Fills `{{name}}` variables and `{{#name}}...{{/name}}` sections.
+ * A section is kept only when its variable has a non-empty value.
+ * Values are inserted verbatim and never re-scanned for variables.
+ * @param {string} text - Template text.
+ * @param {Object<string, string>} values - Variable values.
+ * @returns {string}
+ */
+export const renderTemplate = (text, values) => {
+    const hasValue = (key) => values[key] !== undefined && values[key] !== null && String(values[key]).trim() !== '';
+    return text
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => (hasValue(key) ? inner : ''))
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (hasValue(key) ? String(values[key]) : ''));
+};
+
+/**
+ * Renders a template's enhancement prompt. Templates that don't place {{clarifications}}
+ * themselves get the clarifications section appended, so interview answers are never lost.
+ * @param {PromptTemplate} template - Template to render.
+ * @param {Object<string, string>} values - Variable values, including `idea` and `clarifications`.
+ * @returns {string}
+ */
+export const renderEnhancementPrompt = (template, values) => {
+    const text = extractVariables(template.enhancement).includes('clarifications')
+        ? template.enhancement
+        : `${template.enhancement}\n${CLARIFICATIONS_SECTION}`;
+    return renderTemplate(text, values).trimEnd();
+};
+
+/**
+ * Lists the variables a template text uses, in order of first appearance.
+ * @param {string} text - Template text.
+ * @returns {string[]}
+ */
+export const extractVariables = (text) => {
+    const names = [];
+    (text.match(/\{\{\s*[#/]?\w+\s*\}\}/g) || []).forEach((token) => {
+        const name = token.replace(/[{}#/\s]/g, '');
+        if (!names.includes(name)) names.push(name);
+    });
+    return names;
+};
+
+/**
+ * Turns a variable name into a label, e.g. 'targetMarket' → 'Target market'.
+ * @param {string} name - Variable name.
+ * @returns {string}
+ */
+const humanize = (name) => {
+    const spaced = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+    return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+};
+
+/**
+ * Lists the user-editable fields of a template: every variable it uses except the reserved ones.
+ * @param {PromptTemplate} template - The template.
+ * @returns {Array<{key: string, label: string, placeholder: string}>}
+ */
+export const getTemplateFields = (template) => extractVariables(`${template.enhancement}\n${template.preview || ''}`)
+    .filter((key) => !RESERVED_VARIABLES.includes(key))
+    .map((key) => ({
+        key,
+        label: template.fields?.[key]?.label || humanize(key),
+        placeholder: template.fields?.[key]?.placeholder || '',
+    }));
+
+// English text of the problems found by validateTemplate, for import errors
+const PROBLEM_MESSAGES = {
+    notObject: 'Template must be an object.',
+    nameRequired: 'Name is required.',
+    ideaMissing: 'Enhancement template must include {{idea}}.',
+    promptMissing: 'Preview template must include {{prompt}}.',
+};
+
+/**
+ * Checks a template for problems that would make it unusable.
+ * @param {object} template - Template to check.
+ * @returns {Array<'notObject'|'nameRequired'|'ideaMissing'|'promptMissing'>} - Problem codes (shown as
+ *   `templates.problem.<code>`); empty when valid.
+ */
+export const validateTemplate = (template) => {
+    const problems = [];
+    if (!template || typeof template !== 'object') return ['notObject'];
+    if (typeof template.name !== 'string' || !template.name.trim()) problems.push('nameRequired');
+    if (typeof template.enhancement !== 'string' || !template.enhancement.includes('{{idea}}')) {
+        problems.push('ideaMissing');
+    }
+    if (template.preview && (typeof template.preview !== 'string' || !template.preview.includes('{{prompt}}'))) {
+        problems.push('promptMissing');
+    }
+    return problems;
+};
+
+/**
+ * Reads the user-defined templates from localStorage.
+ * @returns {PromptTemplate[]}
+ */
+export const loadUserTemplates = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        const templates = raw ? JSON.parse(raw) : [];
+        return Array.isArray(templates) ? templates.filter((t) => validateTemplate(t).length === 0) : [];
+    } catch (err) {
+        console.error('Failed to load templates:', err);
+        return [];
+    }
+};
+
+/**
+ * Writes the user-defined templates to localStorage.
+ * @param {PromptTemplate[]} templates - Templates to persist.
+ */
+export const saveUserTemplates = (templates) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    } catch (err) {
+        console.error('Failed to save templates:', err);
+    }
+};
+
+/**
+ * Serializes templates for download.
+ * @param {PromptTemplate[]} templates - Templates to export.
+ * @returns {string}
+ */
+export const exportTemplates = (templates) => JSON.stringify({
+    format: TEMPLATES_FORMAT,
+    version: TEMPLATES_VERSION,
+    templates: templates.map((template) => {
+        const copy = { ...template };
+        delete copy.builtIn;
+        return copy;
+    }),
+}, null, 2);
+
+/**
+ * Parses a template export file. Imported templates always get fresh ids so they
+ * never overwrite existing ones.
+ * @param {string} text - File contents.
+ * @returns {PromptTemplate[]}
+ * @throws {Error} - If the file is not a valid template export.
+ */
+export const parseTemplatesFile = (text) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`The file is not valid JSON (${err.message}).`);
+    }
+
+    // Accept a bare array as well as the wrapped export format
+    const templates = Array.isArray(doc) ? doc : doc && doc.format === TEMPLATES_FORMAT ? doc.templates : null;
+    if (!Array.isArray(templates)) {
+        throw new Error('The file is not a template export.');
+    }
+
+    return templates.map((template, index) => {
+        const problems = validateTemplate(template);
+        if (problems.length > 0) {
+            throw new Error(`Template ${index + 1} (${template?.name || 'unnamed'}): ${problems.map((code) => PROBLEM_MESSAGES[code]).join(' ')}`);
+        }
+        return {
+            id: createId(),
+            name: template.name.trim(),
+            description: typeof template.description === 'string' ? template.description : '',
+            enhancement: template.enhancement,
+            preview: template.preview || '',
+            fields: template.fields && typeof template.fields === 'object' ? template.fields : {},
+        };
+    });
+};
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBatchFile, summarizeBatch, createBackoff, runQueue, MAX_BATCH_IDEAS } from '../batch.js';
+import { ProviderError } from '../llm/index.js';
+
+const rateLimited = () => new ProviderError('Too many requests', { provider: 'mock', status: 429 });
+
+test('parseBatchFile reads the idea and label columns of a CSV file', () => {
+    assert.deepEqual(parseBatchFile('Team;Idea\nRed;A todo app\n;A water tracker\nBlue;\n', 'ideas.csv'), [
+        { idea: 'A todo app', label: 'Red' },
+        { idea: 'A water tracker', label: '#2' },
+    ]);
+});
+
+test('parseBatchFile treats a CSV file without known headers as ideas only', () => {
+    assert.deepEqual(parseBatchFile('A todo app,extra\nA water tracker', 'ideas.txt'), [
+        { idea: 'A todo app', label: '#1' },
+        { idea: 'A water tracker', label: '#2' },
+    ]);
+});
+
+test('parseBatchFile reads JSON strings and objects', () => {
+    assert.deepEqual(parseBatchFile('["A todo app", "  "]', 'ideas.json'), [{ idea: 'A todo app', label: '#1' }]);
+    assert.deepEqual(parseBatchFile(JSON.stringify({ ideas: [{ simpleIdea: 'A game', title: 'Fun' }, { idea: 'A map' }] }), 'upload'), [
+        { idea: 'A game', label: 'Fun' },
+        { idea: 'A map', label: '#2' },
+    ]);
+});
+
+test('parseBatchFile rejects empty, oversized and malformed files with a code', () => {
+    assert.throws(() => parseBatchFile('idea\n\n', 'ideas.csv'), { name: 'BatchFileError', code: 'noIdeas' });
+    assert.throws(() => parseBatchFile('[oops', 'ideas.json'), { name: 'BatchFileError', code: 'invalidJson' });
+    assert.throws(() => parseBatchFile(JSON.stringify({ list: [] }), 'ideas.json'), { name: 'BatchFileError', code: 'notIdeaList' });
+    const many = JSON.stringify(Array.from({ length: MAX_BATCH_IDEAS + 1 }, (_, i) => `Idea ${i}`));
+    assert.throws(() => parseBatchFile(many, 'ideas.json'), {
+        name: 'BatchFileError',
+        code: 'tooManyIdeas',
+        params: { count: MAX_BATCH_IDEAS + 1, max: MAX_BATCH_IDEAS },
+    });
+});
+
+test('summarizeBatch counts the rows per status', () => {
+    const rows = ['done', 'done', 'failed', 'stopped', 'running', 'waiting', 'queued'].map((status) => ({ status }));
+    assert.deepEqual(summarizeBatch(rows), { total: 7, done: 2, failed: 1, stopped: 1, pending: 3 });
+});
+
+test('createBackoff returns the result of a successful request', async () => {
+    const backoff = createBackoff();
+    assert.equal(await backoff.run(async () => 'ok'), 'ok');
+});
+
+test('createBackoff retries rate-limited requests after waiting', async () => {
+    const backoff = createBackoff({ maxRetries: 2, baseDelayMs: 5 });
+    const waits = [];
+    let calls = 0;
+    const result = await backoff.run(async () => {
+        calls += 1;
+        if (calls < 3) throw rateLimited();
+        return calls;
+    }, { onWait: (resumeAt) => waits.push(resumeAt) });
+    assert.equal(result, 3);
+    assert.equal(waits.length, 2);
+});
+
+test('createBackoff gives up after maxRetries', async () => {
+    const backoff = createBackoff({ maxRetries: 1, baseDelayMs: 1 });
+    let calls = 0;
+    await assert.rejects(backoff.run(async () => {
+        calls += 1;
+        throw rateLimited();
+    }), { name: 'ProviderError', status: 429 });
+    assert.equal(calls, 2);
+});
+
+test('createBackoff does not retry other errors', async () => {
+    const backoff = createBackoff({ maxRetries: 3, baseDelayMs: 1 });
+    let calls = 0;
+    await assert.rejects(backoff.run(async () => {
+        calls += 1;
+        throw new ProviderError('Server error', { status: 500 });
+    }), { status: 500 });
+    assert.equal(calls, 1);
+});
+
+test('createBackoff makes the other requests wait once one is rate limited', async () => {
+    const backoff = createBackoff({ maxRetries: 1, baseDelayMs: 20 });
+    let failed = false;
+    const first = backoff.run(async () => {
+        if (!failed) {
+            failed = true;
+            throw rateLimited();
+        }
+        return 'first';
+    });
+    await new Promise((resolve) => setTimeout(resolve, 0)); // Let the first request fail
+    const waits = [];
+    const second = backoff.run(async () => 'second', { onWait: (resumeAt) => waits.push(resumeAt) });
+    assert.deepEqual(await Promise.all([first, second]), ['first', 'second']);
+    assert.equal(waits.length, 1);
+});
+
+test('createBackoff stops waiting when the signal is aborted', async () => {
+    const backoff = createBackoff({ maxRetries: 1, baseDelayMs: 60000 });
+    const controller = new AbortController();
+    const run = backoff.run(async () => {
+        throw rateLimited();
+    }, { signal: controller.signal, onWait: () => controller.abort() });
+    await assert.rejects(run, { name: 'AbortError' });
+});
+
+test('runQueue processes every item with at most `concurrency` at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    await runQueue([1, 2, 3, 4, 5, 6, 7], async (item) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 2));
+        done.push(item);
+        active -= 1;
+    }, { concurrency: 3 });
+    assert.deepEqual([...done].sort(), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(peak, 3);
+});
+
+test('runQueue starts items in order', async () => {
+    const started = [];
+    await runQueue(['a', 'b', 'c', 'd'], async (item) => {
+        started.push(item);
+    }, { concurrency: 2 });
+    assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+});
+
+test('runQueue starts no new items once the signal is aborted', async () => {
+    const controller = new AbortController();
+    const started = [];
+    await runQueue([1, 2, 3, 4, 5], async (item) => {
+        started.push(item);
+        if (item === 2) controller.abort();
+    }, { concurrency: 1, signal: controller.signal });
+    assert.deepEqual(started, [1, 2]);
+});
+
+test('runQueue handles an empty list and a concurrency below one', async () => {
+    await runQueue([], async () => assert.fail('should not run'), { concurrency: 4 });
+    const seen = [];
+    await runQueue([1, 2], async (item) => {
+        seen.push(item);
+    }, { concurrency: 0 });
+    assert.deepEqual(seen, [1, 2]);
+});
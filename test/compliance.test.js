@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    checkCompliance, createComplianceReview, listComplianceFindings, appendComplianceRequirements, markFindingsInPrompt,
+    REGULATIONS, COMPLIANCE_REQUIREMENTS_HEADING,
+} from '../compliance.js';
+
+const FEATURES = ['Sign-up', 'Payments'];
+
+const threat = (feature, category, severity = 'medium') => ({
+    feature, category, threat: `${category} on ${feature}`, severity, mitigation: `Guard ${feature}`,
+});
+
+const RESPONSE = {
+    personalData: [{ category: 'Contact details', examples: ['email'], sensitive: false, features: ['Sign-up'] }],
+    regulations: [...REGULATIONS].reverse().map(({ key }) => ({ regulation: key, applies: key === 'gdpr', reason: '' })),
+    threats: [
+        threat('Payments', 'tampering', 'critical'),
+        threat('Sign-up', 'informationDisclosure', 'high'),
+        threat('Sign-up', 'spoofing', 'high'),
+    ],
+    controls: [
+        { control: 'Audit log', description: 'Log admin actions', regulations: [], severity: 'low' },
+        { control: 'Encrypt data', description: 'Encrypt at rest', regulations: ['gdpr', 'hipaa'], severity: 'high' },
+    ],
+    summary: 'Mostly fine',
+};
+
+test('checkCompliance requires every regulation, a threat per feature and no repeated threats', () => {
+    assert.deepEqual(checkCompliance(FEATURES)(RESPONSE), []);
+    assert.deepEqual(checkCompliance([...FEATURES, 'Chat'])({
+        regulations: RESPONSE.regulations.slice(1),
+        threats: [...RESPONSE.threats, threat('Payments', 'tampering')],
+    }), [
+        { path: '$.regulations', message: 'must rule on "pciDss" exactly once' },
+        { path: '$.threats', message: 'no threat covers the key feature "Chat"' },
+        { path: '$.threats[3]', message: 'repeats the "tampering" threat for "Payments"; merge them' },
+    ]);
+});
+
+test('createComplianceReview orders regulations, threats and controls', () => {
+    const review = createComplianceReview(RESPONSE, FEATURES);
+    assert.deepEqual(review.regulations.map(({ regulation }) => regulation), REGULATIONS.map(({ key }) => key));
+    assert.deepEqual(review.threats.map(({ feature, category }) => `${feature}/${category}`), [
+        'Sign-up/spoofing',
+        'Sign-up/informationDisclosure',
+        'Payments/tampering',
+    ]);
+    assert.deepEqual(review.controls.map(({ control }) => control), ['Encrypt data', 'Audit log']);
+    assert.ok([...review.threats, ...review.controls].every(({ id, inPrompt }) => id && inPrompt === false));
+});
+
+test('listComplianceFindings puts the most severe first, controls before threats', () => {
+    const findings = listComplianceFindings(createComplianceReview(RESPONSE, FEATURES));
+    assert.deepEqual(findings.map(({ kind, severity, requirement }) => [kind, severity, requirement]), [
+        ['threat', 'critical', 'Payments (Tampering): Guard Payments'],
+        ['control', 'high', 'Encrypt data: Encrypt at rest (GDPR, HIPAA)'],
+        ['threat', 'high', 'Sign-up (Spoofing): Guard Sign-up'],
+        ['threat', 'high', 'Sign-up (Information Disclosure): Guard Sign-up'],
+        ['control', 'low', 'Audit log: Log admin actions'],
+    ]);
+});
+
+test('appendComplianceRequirements adds a section once and extends it later', () => {
+    const [first, second, third] = listComplianceFindings(createComplianceReview(RESPONSE, FEATURES));
+    const once = appendComplianceRequirements('Build an app.\n\n', [first, second]);
+    assert.equal(once, [
+        'Build an app.',
+        '',
+        COMPLIANCE_REQUIREMENTS_HEADING,
+        '- [CRITICAL] Payments (Tampering): Guard Payments',
+        '- [HIGH] Encrypt data: Encrypt at rest (GDPR, HIPAA)',
+    ].join('\n'));
+
+    const edited = `${once}\n\nMore notes.`;
+    assert.equal(appendComplianceRequirements(edited, [second, third]), [
+        'Build an app.',
+        '',
+        COMPLIANCE_REQUIREMENTS_HEADING,
+        '- [CRITICAL] Payments (Tampering): Guard Payments',
+        '- [HIGH] Encrypt data: Encrypt at rest (GDPR, HIPAA)',
+        '- [HIGH] Sign-up (Spoofing): Guard Sign-up',
+        '',
+        'More notes.',
+    ].join('\n'));
+    assert.equal(appendComplianceRequirements(edited, [first]), edited);
+    assert.equal(appendComplianceRequirements('', [first]), `${COMPLIANCE_REQUIREMENTS_HEADING}\n- [CRITICAL] Payments (Tampering): Guard Payments`);
+});
+
+test('markFindingsInPrompt marks only the given threats and controls', () => {
+    const review = createComplianceReview(RESPONSE, FEATURES);
+    const marked = markFindingsInPrompt(review, [review.threats[0].id, review.controls[1].id]);
+    assert.deepEqual(marked.threats.map(({ inPrompt }) => inPrompt), [true, false, false]);
+    assert.deepEqual(marked.controls.map(({ inPrompt }) => inPrompt), [false, true]);
+});
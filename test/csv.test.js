@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, detectDelimiter } from '../utils/csv.js';
+
+test('parseCsv splits rows and fields', () => {
+    assert.deepEqual(parseCsv('idea,label\nA todo app,todo\nA water tracker,water'), [
+        ['idea', 'label'],
+        ['A todo app', 'todo'],
+        ['A water tracker', 'water'],
+    ]);
+});
+
+test('parseCsv reads quoted fields with delimiters, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('"a, b","say ""hi""","line 1\nline 2"\n'), [
+        ['a, b', 'say "hi"', 'line 1\nline 2'],
+    ]);
+});
+
+test('parseCsv handles CRLF line endings, a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('﻿idea\r\n\r\nfirst\r\n\r\nsecond\r\n'), [['idea'], ['first'], ['second']]);
+});
+
+test('parseCsv keeps empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c\n,b,'), [['a', '', 'c'], ['', 'b', '']]);
+});
+
+test('parseCsv uses the given delimiter', () => {
+    assert.deepEqual(parseCsv('a;b,c\nd;e', ';'), [['a', 'b,c'], ['d', 'e']]);
+});
+
+test('parseCsv rejects a quoted field that is never closed', () => {
+    assert.throws(() => parseCsv('"open,field\nmore'), /never closed/);
+});
+
+test('detectDelimiter picks the separator used most on the first line', () => {
+    assert.equal(detectDelimiter('idea;label\na,b;c'), ';');
+    assert.equal(detectDelimiter('idea\tlabel\tnotes'), '\t');
+    assert.equal(detectDelimiter('idea,label'), ',');
+    assert.equal(detectDelimiter('idea'), ',');
+});
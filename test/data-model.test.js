@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDataModel, buildMermaidErd } from '../data-model.js';
+
+const entity = (name, relations = []) => ({
+    name,
+    description: '',
+    fields: [{ name: 'id', type: 'uuid', key: 'PK', required: true, description: 'Unique "id"' }],
+    relations,
+});
+
+test('checkDataModel accepts consistent references', () => {
+    const model = {
+        entities: [entity('User', [{ target: 'Item', type: 'one-to-many', label: 'owns' }]), entity('Item')],
+        endpoints: [{ method: 'GET', path: '/items', summary: '', entity: 'Item', operation: 'list' }],
+    };
+    assert.deepEqual(checkDataModel(model), []);
+});
+
+test('checkDataModel reports bad names, unknown entities and repeated endpoints', () => {
+    const model = {
+        entities: [entity('User', [{ target: 'Team', type: 'one-to-one', label: '' }]), entity('User'), entity('2fa')],
+        endpoints: [
+            { method: 'GET', path: '/items', summary: '', entity: 'Item', operation: 'list' },
+            { method: 'GET', path: '/users', summary: '', entity: 'User', operation: 'list' },
+            { method: 'GET', path: '/users', summary: '', entity: 'User', operation: 'list' },
+        ],
+    };
+    assert.deepEqual(checkDataModel(model), [
+        { path: '$.entities[1].name', message: 'duplicates the entity "User"' },
+        { path: '$.entities[2].name', message: 'must be an identifier (letters, digits and underscores, starting with a letter)' },
+        { path: '$.entities[0].relations[0].target', message: 'refers to an unknown entity "Team"' },
+        { path: '$.endpoints[0].entity', message: 'refers to an unknown entity "Item"' },
+        { path: '$.endpoints[2]', message: 'duplicates the endpoint GET /users' },
+    ]);
+});
+
+test('buildMermaidErd writes entities, keys and relations', () => {
+    const erd = buildMermaidErd([entity('User', [{ target: 'Item', type: 'one-to-many', label: 'says "hi"' }]), entity('Line Item')]);
+    assert.equal(erd, [
+        'erDiagram',
+        '    User {',
+        '        uuid id PK "Unique \'id\'"',
+        '    }',
+        '    Line_Item {',
+        '        uuid id PK "Unique \'id\'"',
+        '    }',
+        '    User ||--o{ Item : "says \'hi\'"',
+        '',
+    ].join('\n'));
+});
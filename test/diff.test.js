@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, diffWords, summarizeDiff } from '../utils/diff.js';
+
+/**
+ * Rebuilds one side of a diff.
+ * @param {Array<{type: string, text: string}>} segments - Output of diffWords.
+ * @param {'delete'|'insert'} side - The operation type that belongs to that side.
+ * @returns {string}
+ */
+const rebuild = (segments, side) => segments
+    .filter(({ type }) => type === 'equal' || type === side)
+    .map(({ text }) => text)
+    .join('');
+
+test('tokenize keeps words and whitespace as separate tokens', () => {
+    assert.deepEqual(tokenize('Build  an\napp'), ['Build', '  ', 'an', '\n', 'app']);
+    assert.deepEqual(tokenize(''), []);
+});
+
+test('diffWords marks the changed words and merges neighbouring operations', () => {
+    assert.deepEqual(diffWords('Build a simple todo app', 'Build a collaborative todo app'), [
+        { type: 'equal', text: 'Build a ' },
+        { type: 'delete', text: 'simple' },
+        { type: 'insert', text: 'collaborative' },
+        { type: 'equal', text: ' todo app' },
+    ]);
+});
+
+test('diffWords handles empty and identical texts', () => {
+    assert.deepEqual(diffWords('', ''), []);
+    assert.deepEqual(diffWords('', 'new text'), [{ type: 'insert', text: 'new text' }]);
+    assert.deepEqual(diffWords('old text', ''), [{ type: 'delete', text: 'old text' }]);
+    assert.deepEqual(diffWords('same words', 'same words'), [{ type: 'equal', text: 'same words' }]);
+});
+
+test('diffWords rebuilds both texts from its segments', () => {
+    const pairs = [
+        ['the quick brown fox jumps over the lazy dog', 'a quick red fox leaps over the dog today'],
+        ['one two three', 'three two one'],
+        ['a b a b a b', 'b a b a'],
+        ['Line one\nLine two\n', 'Line one\n\nLine 2\nLine three'],
+    ];
+    pairs.forEach(([oldText, newText]) => {
+        const segments = diffWords(oldText, newText);
+        assert.equal(rebuild(segments, 'delete'), oldText);
+        assert.equal(rebuild(segments, 'insert'), newText);
+    });
+});
+
+test('diffWords finds a shortest edit script', () => {
+    // Only "b" has to be inserted; a longer script would delete and re-insert shared words
+    const segments = diffWords('a c d', 'a b c d');
+    assert.deepEqual(segments.filter(({ type }) => type !== 'equal'), [{ type: 'insert', text: 'b ' }]);
+});
+
+test('summarizeDiff counts the words added and removed', () => {
+    assert.deepEqual(summarizeDiff(diffWords('Build a simple todo app', 'Build a shared, collaborative todo app for teams')), {
+        added: 4,
+        removed: 1,
+    });
+});
+
+test('diffWords handles long, mostly rewritten texts', () => {
+    const oldText = Array.from({ length: 3000 }, (_, i) => `old${i % 50}`).join(' ');
+    const newText = Array.from({ length: 3000 }, (_, i) => (i % 10 === 0 ? `old${i % 50}` : `new${i}`)).join(' ');
+    const segments = diffWords(oldText, newText);
+    assert.equal(rebuild(segments, 'delete'), oldText);
+    assert.equal(rebuild(segments, 'insert'), newText);
+    assert.deepEqual(summarizeDiff(segments), { added: 2700, removed: 2700 });
+});
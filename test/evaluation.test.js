@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    checkEvaluation, createEvaluation, computeEvaluationScore, rankEvaluations, EVALUATION_CRITERIA, DEFAULT_EVALUATION_WEIGHTS,
+} from '../evaluation.js';
+
+/**
+ * Evaluation with the given score per criterion; the rest score `fallback`.
+ * @param {Object<string, number>} scores
+ * @param {number} [fallback]
+ * @returns {object}
+ */
+const evaluation = (scores = {}, fallback = 5) => ({
+    criteria: EVALUATION_CRITERIA.map(({ key }) => ({ criterion: key, score: scores[key] ?? fallback, rationale: '' })),
+    summary: '',
+    evaluatedAt: 0,
+});
+
+test('checkEvaluation requires every criterion exactly once', () => {
+    assert.deepEqual(checkEvaluation(evaluation()), []);
+    const criteria = evaluation().criteria;
+    assert.deepEqual(checkEvaluation({ criteria: [...criteria.slice(1), criteria[1]] }), [
+        { path: '$.criteria', message: 'must score "feasibility" exactly once' },
+        { path: '$.criteria', message: 'must score "marketDemand" exactly once' },
+    ]);
+});
+
+test('createEvaluation puts the criteria in scorecard order', () => {
+    const { criteria } = evaluation();
+    const created = createEvaluation({ criteria: [...criteria].reverse(), summary: 'Worth it' });
+    assert.deepEqual(created.criteria.map(({ criterion }) => criterion), EVALUATION_CRITERIA.map(({ key }) => key));
+    assert.equal(created.summary, 'Worth it');
+});
+
+test('computeEvaluationScore maps the weighted scores to 0-100', () => {
+    assert.equal(computeEvaluationScore(evaluation({}, 1), DEFAULT_EVALUATION_WEIGHTS), 0);
+    assert.equal(computeEvaluationScore(evaluation({}, 10), DEFAULT_EVALUATION_WEIGHTS), 100);
+    assert.equal(computeEvaluationScore(evaluation({ feasibility: 10 }, 1), DEFAULT_EVALUATION_WEIGHTS), 17); // 1 of 6 criteria
+});
+
+test('computeEvaluationScore applies the weights', () => {
+    const weights = { ...DEFAULT_EVALUATION_WEIGHTS, feasibility: 5, risk: 0 };
+    // Feasibility counts for 5 of the 9 weight units left; risk is ignored
+    assert.equal(computeEvaluationScore(evaluation({ feasibility: 10, risk: 10 }, 1), weights), 56);
+    const none = Object.fromEntries(Object.keys(DEFAULT_EVALUATION_WEIGHTS).map((key) => [key, 0]));
+    assert.equal(computeEvaluationScore(evaluation(), none), null);
+});
+
+test('rankEvaluations sorts by score and shares ranks between ties', () => {
+    const ideas = [
+        { id: '1', name: 'Bravo', evaluation: evaluation({}, 4) },
+        { id: '2', name: 'Alpha', evaluation: evaluation({}, 4) },
+        { id: '3', name: 'Charlie', evaluation: evaluation({}, 9) },
+        { id: '4', name: 'Delta', evaluation: evaluation({}, 2) },
+    ];
+    const ranked = rankEvaluations(ideas, DEFAULT_EVALUATION_WEIGHTS);
+    assert.deepEqual(ranked.map(({ name, score, rank }) => [name, score, rank]), [
+        ['Charlie', 89, 1],
+        ['Alpha', 33, 2],
+        ['Bravo', 33, 2],
+        ['Delta', 11, 4],
+    ]);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider } from '../llm/mock.js';
+import { MOCK_FIXTURES } from '../llm/mock-fixtures.js';
+
+const request = (content, extra = {}) => ({ messages: [{ role: 'user', content }], model: 'mock-1', ...extra });
+
+test('the mock provider answers the same request the same way', async () => {
+    const provider = createMockProvider();
+    const first = await provider.generate(request("User's simple idea: 'A plant watering reminder'"));
+    const second = await provider.generate(request("User's simple idea: 'A plant watering reminder'"));
+    const other = await provider.generate(request("User's simple idea: 'A recipe box'"));
+    assert.equal(first.text, second.text);
+    assert.notEqual(first.text, other.text);
+    assert.match(first.text, /A plant watering reminder/);
+});
+
+test('the mock provider builds output that matches the response schema', async () => {
+    const provider = createMockProvider();
+    const responseSchema = {
+        type: 'OBJECT',
+        properties: {
+            names: { type: 'ARRAY', minItems: 4, items: { type: 'STRING' } },
+            tier: { type: 'STRING', enum: ['free', 'pro'] },
+            score: { type: 'INTEGER' },
+        },
+    };
+    const value = JSON.parse((await provider.generate(request('Name the app', { responseSchema }))).text);
+    assert.equal(value.names.length, 4);
+    value.names.forEach((name) => assert.match(name, /^Mock names \d: /));
+    assert.ok(['free', 'pro'].includes(value.tier));
+    assert.ok(Number.isInteger(value.score));
+});
+
+test('the mock provider estimates token usage', async () => {
+    const provider = createMockProvider();
+    const { text, usage } = await provider.generate(request('12345678'));
+    assert.deepEqual(usage, { promptTokens: 2, outputTokens: Math.ceil(text.length / 4) });
+});
+
+test('the mock provider prefers the first matching fixture', async () => {
+    const provider = createMockProvider({
+        fixtures: [
+            { match: /^Name the app/, response: { names: ['Fixture'] } },
+            { match: 'app', response: 'fallback' },
+            { match: 'echo', response: (promptText) => promptText.toUpperCase() },
+        ],
+    });
+    assert.equal((await provider.generate(request('Name the app'))).text, '{"names":["Fixture"]}');
+    assert.equal((await provider.generate(request('Describe the app'))).text, 'fallback');
+    assert.equal((await provider.generate(request('echo this'))).text, 'ECHO THIS');
+});
+
+test('the mock provider answers the last user message', async () => {
+    const provider = createMockProvider({ fixtures: [{ match: 'second', response: 'matched' }] });
+    const { text } = await provider.generate({
+        messages: [
+            { role: 'user', content: 'first' },
+            { role: 'model', content: 'reply' },
+            { role: 'user', content: 'second' },
+        ],
+    });
+    assert.equal(text, 'matched');
+});
+
+test('the mock provider can be stopped while it waits', async () => {
+    const provider = createMockProvider({ latencyMs: 60000 });
+    const controller = new AbortController();
+    const pending = provider.generate(request('slow', { signal: controller.signal }));
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('the mock provider streams the same text it returns', async () => {
+    const provider = createMockProvider();
+    const chunks = [];
+    const result = await provider.stream(request("User's simple idea: 'A habit tracker'"), (chunk) => chunks.push(chunk));
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), result.text);
+    assert.equal(result.text, (await provider.generate(request("User's simple idea: 'A habit tracker'"))).text);
+});
+
+test('the mock provider does not start a request whose signal is already aborted', async () => {
+    const provider = createMockProvider();
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(provider.stream(request('late', { signal: controller.signal }), () => {}), { name: 'AbortError' });
+});
+
+test('the bundled fixtures are well formed', () => {
+    assert.ok(MOCK_FIXTURES.length > 0);
+    MOCK_FIXTURES.forEach(({ match, response }) => {
+        assert.ok(match instanceof RegExp || typeof match === 'string');
+        assert.ok(['string', 'object', 'function'].includes(typeof response));
+    });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOpenApiDocument, validateOpenApiDocument, OPENAPI_VERSION } from '../exporters/openapi.js';
+
+const MODEL = {
+    entities: [
+        {
+            name: 'Task',
+            description: 'A to-do item.',
+            fields: [
+                { name: 'id', type: 'uuid', key: 'PK', required: true, description: 'Unique id' },
+                { name: 'title', type: 'string', key: 'none', required: true, description: '' },
+                { name: 'due', type: 'date', key: 'none', required: false, description: 'Due date' },
+            ],
+            relations: [],
+        },
+    ],
+    endpoints: [
+        { method: 'GET', path: '/tasks', summary: 'List tasks', entity: 'Task', operation: 'list' },
+        { method: 'POST', path: '/tasks', summary: 'Create a task', entity: 'Task', operation: 'create' },
+        { method: 'GET', path: '/tasks/{taskId}', summary: 'Get a task', entity: 'Task', operation: 'get' },
+        { method: 'GET', path: '/tasks/{taskId}/copy', summary: 'Get another view', entity: 'Task', operation: 'get' },
+    ],
+};
+
+test('buildOpenApiDocument describes the entities and endpoints', () => {
+    const doc = buildOpenApiDocument(MODEL, { title: 'Todo' });
+    assert.equal(doc.openapi, OPENAPI_VERSION);
+    assert.deepEqual(doc.info, { title: 'Todo', version: '0.1.0' });
+    assert.deepEqual(doc.components.schemas.Task, {
+        type: 'object',
+        description: 'A to-do item.',
+        properties: {
+            id: { type: 'string', format: 'uuid', description: 'Unique id' },
+            title: { type: 'string' },
+            due: { type: 'string', format: 'date', description: 'Due date' },
+        },
+        required: ['id', 'title'],
+    });
+    assert.deepEqual(Object.keys(doc.paths['/tasks']), ['get', 'post']);
+    assert.equal(doc.paths['/tasks'].post.operationId, 'createTask');
+    assert.deepEqual(Object.keys(doc.paths['/tasks'].post.responses), ['201', '400']);
+    assert.deepEqual(doc.paths['/tasks/{taskId}'].get.parameters, [
+        { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } },
+    ]);
+    // Two endpoints with the same purpose get numbered operation ids
+    assert.equal(doc.paths['/tasks/{taskId}/copy'].get.operationId, 'getTask2');
+});
+
+test('validateOpenApiDocument accepts the documents buildOpenApiDocument makes', () => {
+    assert.deepEqual(validateOpenApiDocument(buildOpenApiDocument(MODEL, { title: 'Todo', description: 'Tasks' })), []);
+});
+
+test('validateOpenApiDocument reports broken paths, parameters and references', () => {
+    const doc = {
+        openapi: '3.0.3',
+        info: { title: 'Broken' },
+        paths: {
+            'tasks/:id': { get: { responses: {} } },
+            '/tasks/{id}': {
+                get: {
+                    operationId: 'getTask',
+                    parameters: [{ name: 'other', in: 'path', schema: { type: 'string' } }],
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Missing' } } } } },
+                },
+                post: { operationId: 'getTask', responses: { 600: {} } },
+                fetch: {},
+            },
+            '/tasks/{taskId}': { delete: { parameters: [{ name: 'taskId', in: 'path', required: true, schema: {} }], responses: { 204: { description: 'Deleted' } } } },
+        },
+    };
+    assert.deepEqual(validateOpenApiDocument(doc), [
+        { path: '$.openapi', message: 'must be a 3.1.x version, got "3.0.3"' },
+        { path: '$.info.version', message: 'is required' },
+        { path: "$.paths['tasks/:id']", message: 'must start with "/"' },
+        { path: "$.paths['tasks/:id']", message: 'uses ":param" segments; path parameters are written as {param}' },
+        { path: "$.paths['tasks/:id'].get.responses", message: 'must contain at least one response' },
+        { path: "$.paths['/tasks/{id}'].fetch", message: 'is not an HTTP method or path item field' },
+        { path: "$.paths['/tasks/{id}'].get.parameters[0].required", message: 'must be true for path parameters' },
+        { path: "$.paths['/tasks/{id}'].get.parameters[0]", message: '"other" does not appear in the path' },
+        { path: "$.paths['/tasks/{id}'].get", message: 'is missing the path parameter "id"' },
+        { path: "$.paths['/tasks/{id}'].post.operationId", message: 'duplicates "getTask"' },
+        { path: "$.paths['/tasks/{id}'].post", message: 'is missing the path parameter "id"' },
+        { path: "$.paths['/tasks/{id}'].post.responses.600", message: 'is not a valid status code' },
+        { path: "$.paths['/tasks/{id}'].post.responses.600.description", message: 'is required' },
+        { path: "$.paths['/tasks/{taskId}']", message: "is the same template as '/tasks/{id}'" },
+        { path: '$.paths./tasks/{id}.get.responses.200.content.application/json.schema', message: '$ref "#/components/schemas/Missing" does not resolve' },
+    ]);
+});
+
+test('validateOpenApiDocument stops at a missing paths object', () => {
+    assert.deepEqual(validateOpenApiDocument({ openapi: '3.1.0', info: { title: 'x', version: '1' } }), [
+        { path: '$.paths', message: 'is required' },
+    ]);
+});
@@ -0,0 +1,210 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createDefaultPipeline, createBuiltInNode, createCustomNode, parseBinding, listBindingSources, bindNode,
+    validatePipeline, formatValue, buildNodeRequest, runPipeline, exportPipeline, parsePipelineFile,
+    DEFAULT_PIPELINE_STEPS, MAX_PIPELINE_NODES, PIPELINE_FORMAT, PIPELINE_VERSION,
+} from '../pipeline.js';
+
+/**
+ * Runs a pipeline and records every status change.
+ * @param {object} pipeline
+ * @param {function(object, object): Promise<any>} runNode
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{outputs: object, statuses: Object<string, string[]>}>}
+ */
+const run = async (pipeline, runNode, signal) => {
+    const statuses = {};
+    const outputs = await runPipeline(pipeline, {
+        inputs: { idea: 'A habit tracker', prompt: '' },
+        runNode,
+        signal,
+        onStatus: (id, { status }) => {
+            statuses[id] = [...(statuses[id] || []), status];
+        },
+    });
+    return { outputs, statuses };
+};
+
+test('the default pipeline chains the standard steps', () => {
+    const pipeline = createDefaultPipeline();
+    assert.deepEqual(pipeline.nodes.map(({ id }) => id), DEFAULT_PIPELINE_STEPS);
+    assert.equal(pipeline.nodes[0].bindings.idea, 'input:idea');
+    assert.equal(pipeline.nodes[1].bindings.prompt, 'node:enhance');
+    assert.equal(pipeline.nodes[2].bindings.appPreview, 'node:preview');
+    assert.deepEqual(validatePipeline(pipeline), {});
+});
+
+test('parseBinding reads pipeline inputs, node outputs and output fields', () => {
+    assert.deepEqual(parseBinding('input:idea'), { input: 'idea' });
+    assert.deepEqual(parseBinding('node:preview'), { nodeId: 'preview', field: null });
+    assert.deepEqual(parseBinding('node:preview.appName'), { nodeId: 'preview', field: 'appName' });
+    assert.equal(parseBinding('input:idea.text'), null);
+    assert.equal(parseBinding('step:preview'), null);
+    assert.equal(parseBinding(''), null);
+    assert.equal(parseBinding(undefined), null);
+});
+
+test('listBindingSources offers only the inputs and earlier nodes', () => {
+    const pipeline = createDefaultPipeline();
+    const values = listBindingSources(pipeline, 1).map(({ value }) => value);
+    assert.deepEqual(values, ['input:idea', 'input:prompt', 'node:enhance']);
+    assert.ok(listBindingSources(pipeline, 2).some(({ value }) => value === 'node:preview.appName'));
+});
+
+test('bindNode connects a custom node by variable name and by hint', () => {
+    const pipeline = createDefaultPipeline();
+    const custom = { ...createCustomNode({ name: 'Pitch', template: 'Pitch {{appName}} for {{idea}} using {{stack}}' }), id: 'pitch' };
+    const nodes = [...pipeline.nodes, custom];
+    const bound = bindNode({ ...pipeline, nodes }, nodes.length - 1, { stack: 'techStack' });
+    assert.deepEqual(bound.bindings, { appName: 'node:preview.appName', idea: 'input:idea', stack: 'node:techStack' });
+});
+
+test('validatePipeline reports problems by node id', () => {
+    const pipeline = {
+        name: 'Broken',
+        nodes: [
+            { ...createCustomNode({ output: 'json', fields: ['a b', 'x', 'x'] }), id: 'custom' },
+            { ...createBuiltInNode('preview', 'preview'), bindings: { prompt: 'node:names' } },
+            { ...createBuiltInNode('names', 'names'), bindings: { appPreview: 'input:idea' } },
+            { ...createBuiltInNode('techStack', 'stack'), bindings: { appPreview: 'node:gone' } },
+            { id: 'odd', type: 'mystery', bindings: {} },
+        ],
+    };
+    assert.deepEqual(validatePipeline(pipeline), {
+        custom: [
+            { code: 'nameRequired', params: {} },
+            { code: 'templateRequired', params: {} },
+            { code: 'invalidField', params: {} },
+            { code: 'duplicateField', params: {} },
+        ],
+        preview: [{ code: 'laterStep', params: { input: 'prompt' } }],
+        names: [{ code: 'wrongKind', params: { input: 'appPreview', kind: 'appPreview' } }],
+        stack: [{ code: 'missingSource', params: { input: 'appPreview' } }],
+        odd: [{ code: 'unknownType', params: { type: 'mystery' } }],
+    });
+});
+
+test('validatePipeline requires fields for a JSON custom node and connected inputs', () => {
+    const node = { ...createCustomNode({ name: 'Summary', template: 'Sum up {{text}}', output: 'json' }), id: 'summary' };
+    assert.deepEqual(validatePipeline({ name: 'x', nodes: [node] }), {
+        summary: [{ code: 'fieldsRequired', params: {} }, { code: 'notConnected', params: { input: 'text' } }],
+    });
+});
+
+test('formatValue writes text, lists and objects into prompts', () => {
+    assert.equal(formatValue('plain'), 'plain');
+    assert.equal(formatValue(['a', 'b']), '- a\n- b');
+    assert.equal(formatValue(null), '');
+    assert.equal(formatValue(undefined), '');
+    assert.equal(formatValue({ a: 1 }), '{\n  "a": 1\n}');
+    assert.equal(formatValue([{ a: 1 }]), '[\n  {\n    "a": 1\n  }\n]');
+});
+
+test('buildNodeRequest fills a custom template and asks for its JSON fields', () => {
+    const text = createCustomNode({ name: 'Echo', template: 'Features:\n{{features}}' });
+    assert.deepEqual(buildNodeRequest(text, { features: ['a', 'b'] }, {}), { promptText: 'Features:\n- a\n- b', schema: null });
+
+    const json = createCustomNode({ name: 'Pitch', template: 'Pitch {{idea}}', output: 'json', fields: ['title', 'body'] });
+    const request = buildNodeRequest(json, { idea: 'A habit tracker' }, {});
+    assert.match(request.promptText, /^Pitch A habit tracker\n/);
+    assert.match(request.promptText, /"title", "body"\.$/);
+    assert.deepEqual(request.schema, {
+        type: 'OBJECT',
+        properties: { title: { type: 'STRING' }, body: { type: 'STRING' } },
+        required: ['title', 'body'],
+    });
+});
+
+test('runPipeline passes outputs along the bindings', async () => {
+    const pipeline = {
+        name: 'Chain',
+        nodes: [
+            { ...createCustomNode({ name: 'One', template: '{{idea}}', output: 'json', fields: ['title'] }), id: 'one', bindings: { idea: 'input:idea' } },
+            { ...createCustomNode({ name: 'Two', template: '{{title}}' }), id: 'two', bindings: { title: 'node:one.title' } },
+        ],
+    };
+    const received = [];
+    const { outputs, statuses } = await run(pipeline, async (node, values) => {
+        received.push(values);
+        return node.id === 'one' ? { title: `Title for ${values.idea}` } : values.title.toUpperCase();
+    });
+    assert.deepEqual(received, [{ idea: 'A habit tracker' }, { title: 'Title for A habit tracker' }]);
+    assert.deepEqual(outputs, { one: { title: 'Title for A habit tracker' }, two: 'TITLE FOR A HABIT TRACKER' });
+    assert.deepEqual(statuses, { one: ['running', 'done'], two: ['running', 'done'] });
+});
+
+test('runPipeline skips only the nodes that depend on a failed one', async () => {
+    const pipeline = createDefaultPipeline();
+    const { outputs, statuses } = await run(pipeline, async (node) => {
+        if (node.id === 'preview') throw new Error('Bad response');
+        return 'enhanced';
+    });
+    assert.deepEqual(outputs, { enhance: 'enhanced' });
+    assert.deepEqual(statuses, {
+        enhance: ['running', 'done'],
+        preview: ['running', 'failed'],
+        names: ['skipped'],
+        monetization: ['skipped'],
+        techStack: ['skipped'],
+    });
+});
+
+test('runPipeline marks the rest of the nodes stopped when a node is stopped', async () => {
+    const pipeline = createDefaultPipeline();
+    const nullResult = await run(pipeline, async (node) => (node.id === 'enhance' ? null : 'unused'));
+    assert.deepEqual(nullResult.outputs, {});
+    assert.deepEqual(Object.values(nullResult.statuses).map((list) => list[list.length - 1]), Array(5).fill('stopped'));
+
+    const abortResult = await run(pipeline, async () => {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+    });
+    assert.deepEqual(abortResult.statuses.enhance, ['running', 'stopped']);
+    assert.deepEqual(abortResult.statuses.preview, ['stopped']);
+});
+
+test('runPipeline runs nothing once the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const { statuses } = await run(createDefaultPipeline(), async () => assert.fail('should not run'), controller.signal);
+    assert.deepEqual(Object.values(statuses), Array(5).fill(['stopped']));
+});
+
+test('parsePipelineFile reads back an exported pipeline', () => {
+    const pipeline = createDefaultPipeline();
+    pipeline.nodes.push({ ...createCustomNode({ name: 'Pitch', template: 'Pitch {{idea}}' }), id: 'pitch', bindings: { idea: 'input:idea' } });
+    const text = exportPipeline(pipeline);
+    assert.equal(JSON.parse(text).format, PIPELINE_FORMAT);
+    assert.equal(JSON.parse(text).version, PIPELINE_VERSION);
+    assert.deepEqual(parsePipelineFile(text), pipeline);
+});
+
+test('parsePipelineFile keeps only known properties', () => {
+    const text = JSON.stringify({
+        format: PIPELINE_FORMAT,
+        version: 1,
+        pipeline: { name: '  ', nodes: [{ id: 'a', type: 'enhance', extra: true, bindings: { idea: 'input:idea', bad: 3 } }] },
+    });
+    assert.deepEqual(parsePipelineFile(text), {
+        name: 'Imported pipeline',
+        nodes: [{ id: 'a', type: 'enhance', bindings: { idea: 'input:idea' } }],
+    });
+});
+
+test('parsePipelineFile rejects files it cannot read with a code', () => {
+    const file = (pipeline, extra = {}) => JSON.stringify({ format: PIPELINE_FORMAT, version: 1, pipeline, ...extra });
+    const node = (id, type = 'enhance') => ({ id, type, bindings: {} });
+    const cases = [
+        ['{not json', 'invalidJson'],
+        [JSON.stringify({ format: 'something-else', version: 1 }), 'notPipeline'],
+        [file({ nodes: [] }, { version: PIPELINE_VERSION + 1 }), 'newerVersion'],
+        [file({ name: 'x' }), 'noNodes'],
+        [file({ nodes: Array.from({ length: MAX_PIPELINE_NODES + 1 }, (_, i) => node(`n${i}`)) }), 'tooManyNodes'],
+        [file({ nodes: [node('a'), node('a')] }), 'invalidId'],
+        [file({ nodes: [node('a.b')] }), 'invalidId'],
+        [file({ nodes: [node('a', 'mystery')] }), 'unknownType'],
+    ];
+    cases.forEach(([text, code]) => {
+        assert.throws(() => parsePipelineFile(text), { name: 'PipelineFileError', code });
+    });
+});
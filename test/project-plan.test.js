@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addWorkingDays, getTaskDuration, checkProjectPlan, createProjectPlan, schedulePlan } from '../project-plan.js';
+import { buildPlanCsv, buildPlanICalendar } from '../exporters/project-plan.js';
+
+const task = (id, milestoneId, dependsOn, [optimistic, likely, pessimistic], fields = {}) => ({
+    id, milestoneId, name: id.toUpperCase(), description: '', role: 'backend', dependsOn, optimistic, likely, pessimistic, ...fields,
+});
+
+// Starts on Friday 5 January 2024, so schedules cross a weekend
+const PLAN = {
+    milestones: [{ id: 'm1', name: 'MVP', description: 'First release' }, { id: 'm2', name: 'Launch', description: '' }],
+    tasks: [
+        task('a', 'm1', [], [1, 2, 3], { role: 'design', description: 'Wireframes, flows; review' }),
+        task('b', 'm1', ['a'], [2, 3, 10]),
+        task('c', 'm2', ['a'], [1, 1, 1]),
+        task('d', 'm2', ['b', 'c'], [1, 1, 1]),
+    ],
+    startDate: '2024-01-05',
+    scenario: 'expected',
+};
+
+test('addWorkingDays skips weekends', () => {
+    assert.equal(addWorkingDays('2024-01-05', 0), '2024-01-05');
+    assert.equal(addWorkingDays('2024-01-05', 1), '2024-01-08');
+    assert.equal(addWorkingDays('2024-01-06', 0), '2024-01-08'); // A Saturday start counts from Monday
+    assert.equal(addWorkingDays('2024-01-05', 10), '2024-01-19');
+});
+
+test('getTaskDuration uses the scenario, rounding the PERT mean up', () => {
+    const estimate = task('x', 'm1', [], [2, 3, 10]);
+    assert.equal(getTaskDuration(estimate, 'optimistic'), 2);
+    assert.equal(getTaskDuration(estimate, 'likely'), 3);
+    assert.equal(getTaskDuration(estimate, 'pessimistic'), 10);
+    assert.equal(getTaskDuration(estimate, 'expected'), 4); // (2 + 12 + 10) / 6
+});
+
+test('schedulePlan finds earliest starts, slack and the critical path', () => {
+    const schedule = schedulePlan(PLAN);
+    const summary = Object.fromEntries(Object.entries(schedule.tasks).map(([id, { start, finish, slack, critical, startDate, endDate }]) => (
+        [id, [start, finish, slack, critical, startDate, endDate]]
+    )));
+    assert.deepEqual(summary, {
+        a: [0, 2, 0, true, '2024-01-05', '2024-01-08'],
+        b: [2, 6, 0, true, '2024-01-09', '2024-01-12'],
+        c: [2, 3, 3, false, '2024-01-09', '2024-01-09'],
+        d: [6, 7, 0, true, '2024-01-15', '2024-01-15'],
+    });
+    assert.deepEqual(schedule.criticalPath, ['a', 'b', 'd']);
+    assert.equal(schedule.totalDays, 7);
+    assert.equal(schedule.endDate, '2024-01-15');
+    assert.deepEqual(schedule.milestones, { m1: { finish: 6, endDate: '2024-01-12' }, m2: { finish: 7, endDate: '2024-01-15' } });
+    assert.equal(schedule.stdDevDays, Math.sqrt((2 / 6) ** 2 + (8 / 6) ** 2));
+});
+
+test('schedulePlan follows the chosen scenario', () => {
+    const schedule = schedulePlan({ ...PLAN, scenario: 'pessimistic' });
+    assert.equal(schedule.totalDays, 3 + 10 + 1);
+    assert.deepEqual(schedule.criticalPath, ['a', 'b', 'd']);
+});
+
+test('schedulePlan still schedules tasks caught in a dependency cycle', () => {
+    const schedule = schedulePlan({
+        ...PLAN,
+        tasks: [task('a', 'm1', ['b'], [1, 1, 1]), task('b', 'm1', ['a'], [1, 1, 1])],
+    });
+    assert.deepEqual(Object.keys(schedule.tasks).sort(), ['a', 'b']);
+    assert.equal(schedule.totalDays, 2);
+});
+
+test('checkProjectPlan reports names, dependencies, estimates and cycles', () => {
+    const response = (name, dependsOn, days = [1, 2, 3]) => ({
+        name, description: '', role: 'qa', dependsOn, optimisticDays: days[0], likelyDays: days[1], pessimisticDays: days[2],
+    });
+    assert.deepEqual(checkProjectPlan({
+        milestones: [{ name: 'M', description: '', tasks: [response('A', []), response('B', ['A'])] }],
+    }), []);
+    assert.deepEqual(checkProjectPlan({
+        milestones: [
+            { name: 'M1', description: '', tasks: [response('A', []), response('B', ['A', 'B'])] },
+            { name: 'M2', description: '', tasks: [response('A', ['Z'], [3, 2, 1])] },
+        ],
+    }), [
+        { path: '$.milestones[0].tasks[1].dependsOn[1]', message: 'a task cannot depend on itself' },
+        { path: '$.milestones[1].tasks[0].name', message: 'duplicates the task "A"' },
+        { path: '$.milestones[1].tasks[0].dependsOn[0]', message: 'refers to an unknown task "Z"' },
+        { path: '$.milestones[1].tasks[0]', message: 'estimates must satisfy optimisticDays <= likelyDays <= pessimisticDays' },
+    ]);
+    assert.deepEqual(checkProjectPlan({
+        milestones: [{ name: 'M', description: '', tasks: [response('A', ['C']), response('B', ['A']), response('C', ['B']), response('D', [])] }],
+    }), [
+        { path: '$.milestones', message: 'dependencies form a cycle, so "A", "B", "C" can never start' },
+    ]);
+});
+
+test('createProjectPlan turns dependency names into task ids', () => {
+    const plan = createProjectPlan({
+        milestones: [{
+            name: 'M',
+            description: 'd',
+            tasks: [
+                { name: 'A', description: '', role: 'qa', dependsOn: [], optimisticDays: 1, likelyDays: 2, pessimisticDays: 3 },
+                { name: 'B', description: '', role: 'qa', dependsOn: ['A'], optimisticDays: 1, likelyDays: 1, pessimisticDays: 1 },
+            ],
+        }],
+    });
+    const [first, second] = plan.tasks;
+    assert.deepEqual(second.dependsOn, [first.id]);
+    assert.equal(first.milestoneId, plan.milestones[0].id);
+    assert.equal(plan.scenario, 'expected');
+    assert.equal(addWorkingDays(plan.startDate, 0), plan.startDate); // Always a working day
+});
+
+test('buildPlanCsv lists the tasks in schedule order', () => {
+    const rows = buildPlanCsv(PLAN, schedulePlan(PLAN)).split('\r\n');
+    assert.equal(rows[0], 'Milestone,Task,Description,Role,Depends On,Optimistic (days),Likely (days),Pessimistic (days),Expected (days),Start,End,Slack (days),Critical');
+    assert.equal(rows[1], 'MVP,A,"Wireframes, flows; review",Design,,1,2,3,2,2024-01-05,2024-01-08,0,yes');
+    assert.equal(rows[4], 'Launch,D,,Backend,B; C,1,1,1,1,2024-01-15,2024-01-15,0,yes');
+    assert.equal(rows[5], '');
+});
+
+test('buildPlanICalendar writes an all-day event per task and milestone', () => {
+    const ics = buildPlanICalendar(PLAN, schedulePlan(PLAN), 'Todo');
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    const lines = ics.split('\r\n');
+    assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 6);
+
+    const event = (uid) => {
+        const start = lines.indexOf(`UID:${uid}@ai-app-prompt-enhancer`);
+        return lines.slice(start, lines.indexOf('END:VEVENT', start));
+    };
+    const first = event('a');
+    assert.ok(first.includes('DTSTART;VALUE=DATE:20240105'));
+    assert.ok(first.includes('DTEND;VALUE=DATE:20240109')); // DTEND is the day after the last one
+    assert.ok(first.includes('SUMMARY:★ A'));
+    assert.ok(first.includes('CATEGORIES:Todo,Design'));
+    assert.ok(first.some((line) => line.startsWith('DESCRIPTION:Wireframes\\, flows\\; review\\n\\nRole: Design\\n')));
+    assert.ok(event('c').includes('SUMMARY:C'));
+
+    const milestone = event('m1');
+    assert.ok(milestone.includes('DTSTART;VALUE=DATE:20240112'));
+    assert.ok(milestone.includes('DTEND;VALUE=DATE:20240113'));
+    assert.ok(milestone.includes('SUMMARY:Milestone: MVP'));
+});
+
+test('buildPlanICalendar folds long lines so that unfolding gives them back', () => {
+    const description = `${'Long description '.repeat(12)}end`;
+    const plan = { ...PLAN, tasks: PLAN.tasks.map((t) => (t.id === 'c' ? { ...t, description } : t)) };
+    const ics = buildPlanICalendar(plan, schedulePlan(plan), 'Todo');
+    const folded = ics.split('\r\n');
+    assert.ok(folded.every((line) => line.length <= 75));
+    assert.ok(folded.some((line) => line.startsWith(' ')));
+    const unfolded = ics.replace(/\r\n /g, '').split('\r\n');
+    assert.ok(unfolded.includes(`DESCRIPTION:${description}\\n\\nRole: Backend\\nDuration: 1 working days\\nSlack: 3 days`));
+});
@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResponseCache, buildCacheKey } from '../storage/response-cache.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const REQUEST = {
+    provider: 'gemini',
+    baseUrl: '',
+    model: 'gemini-2.0-flash',
+    messages: [{ role: 'user', content: 'Name the app' }],
+    generationConfig: { temperature: 0.7 },
+    responseSchema: null,
+};
+
+let now;
+let cache;
+
+beforeEach(async () => {
+    now = Date.UTC(2024, 0, 1);
+    mock.method(Date, 'now', () => now);
+    cache = createResponseCache({ ttlMs: HOUR, maxBytes: 1000 });
+    await cache.clear();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const entry = (key, response = 'x') => ({ key, step: 'enhance', model: 'm', prompt: '', response });
+
+test('buildCacheKey gives the same key for the same request only', async () => {
+    const key = await buildCacheKey(REQUEST);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(await buildCacheKey({ ...REQUEST, messages: [{ role: 'user', content: 'Name the app' }] }), key);
+    assert.equal(await buildCacheKey({ ...REQUEST, baseUrl: undefined }), key);
+
+    const changes = [
+        { provider: 'openai' },
+        { baseUrl: 'http://localhost:11434' },
+        { model: 'gemini-2.5-pro' },
+        { messages: [{ role: 'user', content: 'Name the game' }] },
+        { generationConfig: { temperature: 0.2 } },
+        { responseSchema: { type: 'OBJECT' } },
+    ];
+    for (const change of changes) {
+        assert.notEqual(await buildCacheKey({ ...REQUEST, ...change }), key, JSON.stringify(change));
+    }
+});
+
+test('the cache returns stored responses until they expire', async () => {
+    await cache.set(entry('a', 'first'));
+    now += HOUR;
+    assert.equal((await cache.get('a')).response, 'first');
+    now += 1;
+    assert.equal(await cache.get('a'), null);
+    assert.deepEqual(await cache.list(), []);
+});
+
+test('reading an entry does not extend its lifetime', async () => {
+    await cache.set(entry('a'));
+    now += HOUR - 1;
+    assert.equal((await cache.get('a')).lastUsedAt, now);
+    now += 2;
+    assert.equal(await cache.get('a'), null);
+});
+
+test('the cache evicts the least recently used entries beyond its size limit', async () => {
+    // Each entry is (1 + 199) * 2 = 400 bytes, so two fit in 1000
+    const big = (key) => entry(key, 'y'.repeat(199));
+    await cache.set(big('a'));
+    now += 1;
+    await cache.set(big('b'));
+    now += 1;
+    await cache.get('a'); // "a" is now more recent than "b"
+    now += 1;
+    await cache.set(big('c'));
+    assert.deepEqual((await cache.list()).map(({ key }) => key), ['c', 'a']);
+});
+
+test('the cache skips entries larger than its size limit', async () => {
+    await cache.set(entry('a'));
+    await cache.set(entry('huge', 'z'.repeat(600)));
+    assert.equal(await cache.get('huge'), null);
+    assert.ok(await cache.get('a'));
+});
+
+test('remove and clear delete entries', async () => {
+    await cache.set(entry('a'));
+    await cache.set(entry('b'));
+    await cache.remove('a');
+    assert.deepEqual((await cache.list()).map(({ key }) => key), ['b']);
+    await cache.clear();
+    assert.deepEqual(await cache.list(), []);
+});
@@ -0,0 +1,96 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createShare, buildShareUrl, parseShareHash, loadShare, listShareAnchors, anchorKey, createThread, addReply,
+    setThreadResolved,
+} from '../share.js';
+import { EMPTY_SESSION } from '../session.js';
+import { createMemoryShareStore } from '../storage/share-store.js';
+
+const SESSION = {
+    ...EMPTY_SESSION,
+    simpleIdea: 'A habit tracker',
+    customPrompt: 'Build a habit tracker.\n\n## Features\nStreaks and reminders.',
+    appPreview: { appName: 'Streaky', description: 'Tracks habits', keyFeatures: ['Streaks', 'Reminders'], targetAudience: 'Everyone' },
+};
+
+const OWNER = { id: 'owner', name: 'Olivia' };
+const REVIEWER = { id: 'reviewer', name: '  ' };
+
+test('a stored share loads by the id in its link', async () => {
+    const store = createMemoryShareStore({ userId: OWNER.id });
+    const share = createShare(SESSION, 'Streaky', await store.getUserId());
+    await store.create(share);
+
+    const url = await buildShareUrl('https://example.com/app#old', share, 'stored');
+    assert.equal(url, `https://example.com/app#shared=${share.id}`);
+    const link = parseShareHash(new URL(url).hash);
+    assert.deepEqual(link, { mode: 'stored', value: share.id });
+
+    const loaded = await loadShare(link, store);
+    assert.deepEqual(loaded.share, share);
+    assert.equal(loaded.session.customPrompt, SESSION.customPrompt);
+    assert.deepEqual(loaded.session.appPreview, SESSION.appPreview);
+    await assert.rejects(loadShare({ mode: 'stored', value: 'gone' }, store), /no longer exists/);
+});
+
+test('an inline share travels in the link itself', async () => {
+    const share = createShare(SESSION, 'Streaky', OWNER.id);
+    const url = await buildShareUrl('https://example.com/app', share, 'inline');
+    const link = parseShareHash(new URL(url).hash);
+    assert.equal(link.mode, 'inline');
+
+    const loaded = await loadShare(link, createMemoryShareStore());
+    assert.deepEqual(loaded.share, share);
+    assert.equal(loaded.session.simpleIdea, SESSION.simpleIdea);
+    await assert.rejects(loadShare({ mode: 'inline', value: link.value.slice(0, 20) }, null), /damaged or incomplete/);
+    assert.equal(parseShareHash('#other=1'), null);
+});
+
+test('comments anchor to the key features and the prompt sections', () => {
+    const anchors = listShareAnchors(SESSION);
+    assert.deepEqual(anchors.map(({ type, index, label }) => [type, index, label]), [
+        ['feature', 0, 'Streaks'],
+        ['feature', 1, 'Reminders'],
+        ['section', 0, 'Introduction'],
+        ['section', 1, 'Features'],
+    ]);
+    assert.equal(anchorKey(anchors[3]), 'section:1');
+});
+
+test('threads are created, replied to and resolved through the store', async (t) => {
+    let now = 1000;
+    mock.method(Date, 'now', () => now);
+    t.after(() => mock.restoreAll());
+
+    const store = createMemoryShareStore({ userId: OWNER.id });
+    const share = createShare(SESSION, 'Streaky', OWNER.id);
+    const [feature] = listShareAnchors(SESSION);
+
+    const thread = createThread(feature, REVIEWER, '  Streaks need a grace day. ');
+    assert.deepEqual(thread.anchor, { type: 'feature', index: 0, label: 'Streaks' });
+    assert.deepEqual(thread.comments.map(({ authorId, author, text }) => [authorId, author, text]), [
+        ['reviewer', '', 'Streaks need a grace day.'],
+    ]);
+    await store.saveThread(share.id, thread);
+
+    now = 2000;
+    const resolved = setThreadResolved(addReply(thread, OWNER, 'Added one.'), true);
+    assert.deepEqual(resolved.comments.map(({ author }) => author), ['', 'Olivia']);
+    assert.equal(resolved.resolvedAt, 2000);
+    await store.saveThread(share.id, resolved);
+
+    now = 3000;
+    const other = createThread(listShareAnchors(SESSION)[3], REVIEWER, 'Which platforms?');
+    await store.saveThread(share.id, other);
+
+    const threads = await store.listThreads(share.id);
+    assert.deepEqual(threads, [resolved, other]);
+    assert.deepEqual(await store.listThreads('another'), []);
+
+    // Replying reopens a resolved thread
+    const reopened = addReply(threads[0], REVIEWER, 'Thanks');
+    assert.equal(reopened.resolved, false);
+    assert.equal(reopened.resolvedAt, null);
+    assert.equal(setThreadResolved(resolved, false).resolvedAt, null);
+});
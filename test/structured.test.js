@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateValidatedJson } from '../llm/structured.js';
+
+const SCHEMA = {
+    type: 'OBJECT',
+    properties: { names: { type: 'ARRAY', minItems: 2, items: { type: 'STRING' } } },
+    required: ['names'],
+};
+
+/**
+ * Provider that answers with the given texts in turn and records the requests it gets.
+ * @param {string[]} texts - Responses, in order.
+ * @returns {{generate: function(object): Promise<object>, requests: object[]}}
+ */
+const createScriptedProvider = (texts) => {
+    const requests = [];
+    return {
+        requests,
+        generate: async (request) => {
+            requests.push(request);
+            return { text: texts[requests.length - 1], usage: { promptTokens: 10, outputTokens: 2 } };
+        },
+    };
+};
+
+const request = { messages: [{ role: 'user', content: 'Name the app' }], responseSchema: SCHEMA };
+
+test('generateValidatedJson returns a valid first response', async () => {
+    const provider = createScriptedProvider(['{"names": ["Nova", "Pulse"]}']);
+    assert.deepEqual(await generateValidatedJson(provider, request, { backoffMs: 0 }), {
+        value: { names: ['Nova', 'Pulse'] },
+        usage: { promptTokens: 10, outputTokens: 2 },
+        attempts: 1,
+    });
+});
+
+test('generateValidatedJson asks the model to repair an invalid response', async () => {
+    const provider = createScriptedProvider(['{"names": ["Nova"]}', 'not json', '{"names": ["Nova", "Pulse"]}']);
+    const repairs = [];
+    const result = await generateValidatedJson(provider, request, {
+        backoffMs: 0,
+        onRepair: (attempt, issues) => repairs.push([attempt, issues.map(({ message }) => message)]),
+    });
+    assert.deepEqual(result.value, { names: ['Nova', 'Pulse'] });
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(result.usage, { promptTokens: 30, outputTokens: 6 });
+    assert.deepEqual(repairs[0], [1, ['must have at least 2 item(s), got 1']]);
+    assert.match(repairs[1][1][0], /^is not valid JSON/);
+
+    // A repair request shows the model its answer and the problems, after the original messages
+    const [, repair] = provider.requests;
+    assert.deepEqual(repair.messages.slice(0, 2), [...request.messages, { role: 'assistant', content: '{"names": ["Nova"]}' }]);
+    assert.match(repair.messages[2].content, /- \$\.names must have at least 2 item\(s\), got 1/);
+});
+
+test('generateValidatedJson repairs the problems found by the extra check', async () => {
+    const provider = createScriptedProvider(['{"names": ["Nova", "Nova"]}', '{"names": ["Nova", "Pulse"]}']);
+    const check = ({ names }) => (new Set(names).size === names.length ? [] : [{ path: '$.names', message: 'repeats a name' }]);
+    const result = await generateValidatedJson(provider, request, { backoffMs: 0, check });
+    assert.deepEqual(result.value, { names: ['Nova', 'Pulse'] });
+    assert.match(provider.requests[1].messages[2].content, /- \$\.names repeats a name/);
+});
+
+test('generateValidatedJson gives up after the last repair attempt', async () => {
+    const provider = createScriptedProvider(['{}', '{}']);
+    await assert.rejects(generateValidatedJson(provider, request, { maxRepairAttempts: 1, backoffMs: 0 }), {
+        name: 'SchemaValidationError',
+        attempts: 2,
+        issues: [{ path: '$.names', message: 'is required but missing' }],
+        usage: { promptTokens: 20, outputTokens: 4 }, // Failed attempts were still paid for
+    });
+    assert.equal(provider.requests.length, 2);
+});
+
+test('generateValidatedJson stops waiting for a repair when the request is aborted', async () => {
+    const controller = new AbortController();
+    const provider = createScriptedProvider(['{}']);
+    const pending = generateValidatedJson(provider, { ...request, signal: controller.signal }, {
+        backoffMs: 60000,
+        onRepair: () => controller.abort(),
+    });
+    await assert.rejects(pending, { name: 'AbortError' });
+});
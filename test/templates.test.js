@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    renderTemplate, extractVariables, getTemplateFields, validateTemplate, exportTemplates, parseTemplatesFile,
+    BUILTIN_TEMPLATES, TEMPLATES_FORMAT,
+} from '../templates.js';
+
+const TEMPLATE = {
+    id: 'custom-1',
+    name: 'Game',
+    description: 'Games',
+    enhancement: "Design a game.\n{{#genre}}Genre: {{genre}}\n{{/genre}}Idea: '{{idea}}' for {{targetMarket}}",
+    preview: 'Preview {{prompt}}',
+    fields: { genre: { label: 'Game genre', placeholder: 'e.g. puzzle' } },
+};
+
+test('renderTemplate fills variables and keeps sections only when their variable has a value', () => {
+    assert.equal(renderTemplate(TEMPLATE.enhancement, { idea: 'Tetris', genre: 'puzzle', targetMarket: 'kids' }),
+        "Design a game.\nGenre: puzzle\nIdea: 'Tetris' for kids");
+    assert.equal(renderTemplate(TEMPLATE.enhancement, { idea: 'Tetris', genre: '  ' }), "Design a game.\nIdea: 'Tetris' for ");
+});
+
+test('renderTemplate does not expand variables inside values', () => {
+    assert.equal(renderTemplate('{{idea}} / {{genre}}', { idea: 'uses {{genre}}', genre: 'puzzle' }), 'uses {{genre}} / puzzle');
+});
+
+test('extractVariables lists each variable once, in order', () => {
+    assert.deepEqual(extractVariables(TEMPLATE.enhancement), ['genre', 'idea', 'targetMarket']);
+    assert.deepEqual(extractVariables('no variables'), []);
+});
+
+test('getTemplateFields skips reserved variables and labels the rest', () => {
+    assert.deepEqual(getTemplateFields(TEMPLATE), [
+        { key: 'genre', label: 'Game genre', placeholder: 'e.g. puzzle' },
+        { key: 'targetMarket', label: 'Target market', placeholder: '' },
+    ]);
+});
+
+test('the built-in templates are valid', () => {
+    BUILTIN_TEMPLATES.forEach((template) => assert.deepEqual(validateTemplate(template), [], template.id));
+});
+
+test('validateTemplate reports missing names and variables as codes', () => {
+    assert.deepEqual(validateTemplate(null), ['notObject']);
+    assert.deepEqual(validateTemplate({ name: ' ', enhancement: 'No idea here', preview: 'No prompt' }), [
+        'nameRequired',
+        'ideaMissing',
+        'promptMissing',
+    ]);
+    assert.deepEqual(validateTemplate({ name: 'Ok', enhancement: '{{idea}}', preview: '' }), []);
+});
+
+test('parseTemplatesFile reads back exported templates with new ids', () => {
+    const imported = parseTemplatesFile(exportTemplates([{ ...TEMPLATE, builtIn: true }]));
+    assert.equal(imported.length, 1);
+    assert.notEqual(imported[0].id, TEMPLATE.id);
+    assert.deepEqual({ ...imported[0], id: TEMPLATE.id }, TEMPLATE);
+});
+
+test('parseTemplatesFile accepts a bare array', () => {
+    const [template] = parseTemplatesFile(JSON.stringify([{ name: ' Plain ', enhancement: '{{idea}}' }]));
+    assert.equal(template.name, 'Plain');
+    assert.equal(template.preview, '');
+    assert.deepEqual(template.fields, {});
+});
+
+test('parseTemplatesFile rejects files that are not template exports', () => {
+    assert.throws(() => parseTemplatesFile('{oops'), /not valid JSON/);
+    assert.throws(() => parseTemplatesFile(JSON.stringify({ format: 'other', templates: [] })), /not a template export/);
+    assert.throws(
+        () => parseTemplatesFile(JSON.stringify({ format: TEMPLATES_FORMAT, templates: [{ name: 'Broken', enhancement: 'x' }] })),
+        /Template 1 \(Broken\): Enhancement template must include \{\{idea\}\}\./
+    );
+});
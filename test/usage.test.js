@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    estimateTokens, findPrice, computeCost, toLocalDay, createUsageRecord, summarizeUsage, getBudgetStatus,
+    formatCost, appendUsageRecord, DEFAULT_PRICES,
+} from '../usage.js';
+
+/**
+ * Usage record with the fields the totals read.
+ * @param {object} fields - Overrides.
+ * @returns {object}
+ */
+const record = (fields) => ({
+    day: toLocalDay(Date.now()),
+    projectId: 'p1',
+    promptTokens: 100,
+    outputTokens: 50,
+    cost: 0.01,
+    ...fields,
+});
+
+test('estimateTokens counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('findPrice prefers an exact entry, then the longest matching prefix', () => {
+    assert.equal(findPrice(DEFAULT_PRICES, 'gemini-2.0-flash-lite').model, 'gemini-2.0-flash-lite');
+    assert.equal(findPrice(DEFAULT_PRICES, 'gemini-2.0-flash-001').model, 'gemini-2.0-flash');
+    assert.equal(findPrice(DEFAULT_PRICES, 'gpt-4o-mini-2024-07-18').model, 'gpt-4o-mini');
+    assert.equal(findPrice(DEFAULT_PRICES, 'llama3'), null);
+    assert.equal(findPrice([{ model: '', input: 1, output: 1 }], 'anything'), null);
+});
+
+test('computeCost prices tokens per million', () => {
+    assert.equal(computeCost({ input: 2, output: 10 }, { promptTokens: 500000, outputTokens: 100000 }), 2);
+    assert.equal(computeCost(null, { promptTokens: 10, outputTokens: 10 }), null);
+});
+
+test('toLocalDay uses the local calendar day', () => {
+    assert.equal(toLocalDay(new Date(2024, 0, 5, 23, 59).getTime()), '2024-01-05');
+    assert.equal(toLocalDay(new Date(2024, 11, 31, 0, 0).getTime()), '2024-12-31');
+});
+
+test('createUsageRecord stamps the record with today', () => {
+    const created = createUsageRecord({
+        projectId: null, step: 'enhance', model: 'mock', usage: { promptTokens: 3, outputTokens: 4 }, cost: null, estimated: true,
+    });
+    assert.equal(created.day, toLocalDay(created.createdAt));
+    assert.equal(typeof created.id, 'string');
+    assert.deepEqual({ ...created, id: '', createdAt: 0, day: '' }, {
+        id: '', createdAt: 0, day: '', projectId: null, batchId: null, step: 'enhance', model: 'mock', promptTokens: 3, outputTokens: 4, cost: null, estimated: true,
+    });
+});
+
+test('summarizeUsage totals each group and counts unpriced requests', () => {
+    const records = [
+        record({ model: 'a', cost: 0.5 }),
+        record({ model: 'b', cost: null }),
+        record({ model: 'a', cost: 0.25, promptTokens: 10, outputTokens: 5 }),
+    ];
+    assert.deepEqual(summarizeUsage(records, ({ model }) => model), [
+        { key: 'a', requests: 2, promptTokens: 110, outputTokens: 55, cost: 0.75, unpriced: 0 },
+        { key: 'b', requests: 1, promptTokens: 100, outputTokens: 50, cost: 0, unpriced: 1 },
+    ]);
+});
+
+test('getBudgetStatus compares today and the project with the limits', () => {
+    const records = [
+        record({ cost: 0.5 }),
+        record({ cost: 0.25, projectId: 'p2' }),
+        record({ cost: 1, day: '2000-01-01' }),
+        record({ cost: null }),
+    ];
+    assert.deepEqual(getBudgetStatus(records, { dailyLimitUsd: 1, projectLimitUsd: 2 }, 'p1'), {
+        daySpent: 0.75,
+        projectSpent: 1.5,
+        dayExceeded: false,
+        projectExceeded: false,
+    });
+    // The request about to be sent counts as spent
+    const pending = getBudgetStatus(records, { dailyLimitUsd: 1, projectLimitUsd: 2 }, 'p1', 0.5);
+    assert.equal(pending.dayExceeded, true);
+    assert.equal(pending.projectExceeded, true);
+});
+
+test('getBudgetStatus ignores missing limits and unsaved sessions', () => {
+    const records = [record({ cost: 100 })];
+    assert.deepEqual(getBudgetStatus(records, { dailyLimitUsd: null, projectLimitUsd: 1 }, null), {
+        daySpent: 100,
+        projectSpent: 0,
+        dayExceeded: false,
+        projectExceeded: false,
+    });
+});
+
+test('formatCost shows fractions of a cent', () => {
+    assert.equal(formatCost(0), '$0.00');
+    assert.equal(formatCost(0.00123), '$0.0012');
+    assert.equal(formatCost(12.345), '$12.35');
+});
+
+test('appendUsageRecord drops the oldest records beyond the limit', () => {
+    const log = Array.from({ length: 5000 }, (_, index) => ({ id: String(index) }));
+    const appended = appendUsageRecord(log, { id: 'new' });
+    assert.equal(appended.length, 5000);
+    assert.equal(appended[0].id, '1');
+    assert.equal(appended[appended.length - 1].id, 'new');
+    assert.deepEqual(appendUsageRecord([], { id: 'first' }), [{ id: 'first' }]);
+});
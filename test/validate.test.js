@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAgainstSchema, formatIssues, SchemaValidationError } from '../llm/validate.js';
+
+const STRATEGIES_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        strategies: {
+            type: 'ARRAY',
+            minItems: 1,
+            maxItems: 3,
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    name: { type: 'STRING' },
+                    score: { type: 'INTEGER', minimum: 1, maximum: 5 },
+                    kind: { type: 'STRING', enum: ['ads', 'subscription'] },
+                    note: { type: 'STRING', nullable: true },
+                },
+                required: ['name', 'score'],
+            },
+        },
+    },
+    required: ['strategies'],
+};
+
+test('validateAgainstSchema accepts a matching value', () => {
+    const value = { strategies: [{ name: 'Pro plan', score: 4, kind: 'subscription', note: null }] };
+    assert.deepEqual(validateAgainstSchema(value, STRATEGIES_SCHEMA), []);
+});
+
+test('validateAgainstSchema reports every problem with its path', () => {
+    const value = { strategies: [{ name: 7, score: 9, kind: 'barter' }, { score: 2.5 }] };
+    assert.deepEqual(validateAgainstSchema(value, STRATEGIES_SCHEMA), [
+        { path: '$.strategies[0].name', message: 'expected string, got integer' },
+        { path: '$.strategies[0].score', message: 'must be at most 5, got 9' },
+        { path: '$.strategies[0].kind', message: 'must be one of "ads", "subscription"' },
+        { path: '$.strategies[1].name', message: 'is required but missing' },
+        { path: '$.strategies[1].score', message: 'expected integer, got number' },
+    ]);
+});
+
+test('validateAgainstSchema checks array lengths', () => {
+    assert.deepEqual(validateAgainstSchema({ strategies: [] }, STRATEGIES_SCHEMA), [
+        { path: '$.strategies', message: 'must have at least 1 item(s), got 0' },
+    ]);
+    const tooMany = { strategies: Array.from({ length: 4 }, () => ({ name: 'x', score: 1 })) };
+    assert.deepEqual(validateAgainstSchema(tooMany, STRATEGIES_SCHEMA), [
+        { path: '$.strategies', message: 'must have at most 3 item(s), got 4' },
+    ]);
+});
+
+test('validateAgainstSchema rejects null unless the schema is nullable', () => {
+    assert.deepEqual(validateAgainstSchema(null, { type: 'STRING' }), [{ path: '$', message: 'expected string, got null' }]);
+    assert.deepEqual(validateAgainstSchema(undefined, { type: 'ARRAY' }), [{ path: '$', message: 'expected array, got nothing' }]);
+    assert.deepEqual(validateAgainstSchema(null, { type: 'STRING', nullable: true }), []);
+});
+
+test('validateAgainstSchema counts only non-empty properties for minProperties', () => {
+    const schema = { type: 'OBJECT', properties: { a: { type: 'STRING', nullable: true }, b: { type: 'STRING', nullable: true } }, minProperties: 1 };
+    assert.deepEqual(validateAgainstSchema({ a: 'x', b: null }, schema), []);
+    assert.deepEqual(validateAgainstSchema({ a: null, b: null }, schema), [
+        { path: '$', message: 'must have at least 1 non-empty property' },
+    ]);
+});
+
+test('validateAgainstSchema accepts the lowercase type names some providers use', () => {
+    assert.deepEqual(validateAgainstSchema(true, { type: 'boolean' }), []);
+    assert.deepEqual(validateAgainstSchema('yes', { type: 'boolean' }), [{ path: '$', message: 'expected boolean, got string' }]);
+});
+
+test('formatIssues lists the first issues and counts the rest', () => {
+    const issues = Array.from({ length: 7 }, (_, index) => ({ path: `$.items[${index}]`, message: 'is wrong' }));
+    assert.equal(formatIssues(issues.slice(0, 2)), '$.items[0] is wrong; $.items[1] is wrong');
+    assert.equal(formatIssues(issues, 2), '$.items[0] is wrong; $.items[1] is wrong; and 5 more');
+});
+
+test('SchemaValidationError keeps the issues, attempts and usage', () => {
+    const issues = [{ path: '$.name', message: 'is required but missing' }];
+    const err = new SchemaValidationError(issues, 3, { promptTokens: 10, outputTokens: 5 });
+    assert.equal(err.name, 'SchemaValidationError');
+    assert.match(err.message, /after 3 attempts: \$\.name is required but missing/);
+    assert.deepEqual(err.issues, issues);
+    assert.equal(err.attempts, 3);
+    assert.deepEqual(err.usage, { promptTokens: 10, outputTokens: 5 });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../utils/zip.js';
+
+/**
+ * Reads the entries of a stored (uncompressed) archive through its central directory.
+ * @param {Uint8Array} archive
+ * @returns {Array<{name: string, content: string, crc: number, time: number, date: number, flags: number}>}
+ */
+const readZip = (archive) => {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = archive.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054B50);
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const size = view.getUint32(position + 24, true);
+        assert.equal(view.getUint32(localOffset, true), 0x04034B50);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        entries.push({
+            name: decoder.decode(archive.subarray(position + 46, position + 46 + nameLength)),
+            content: decoder.decode(archive.subarray(dataStart, dataStart + size)),
+            crc: view.getUint32(position + 16, true),
+            time: view.getUint16(position + 12, true),
+            date: view.getUint16(position + 14, true),
+            flags: view.getUint16(position + 8, true),
+        });
+        position += 46 + nameLength;
+    }
+    return entries;
+};
+
+test('createZip stores every file with its path and contents', () => {
+    const archive = createZip([
+        { path: 'README.md', content: '# Hello\n' },
+        { path: 'src/app/main.js', content: 'console.log(1);\n' },
+        { path: 'bytes.bin', content: new Uint8Array([104, 105]) },
+    ]);
+    const entries = readZip(archive);
+    assert.deepEqual(entries.map(({ name, content }) => [name, content]), [
+        ['README.md', '# Hello\n'],
+        ['src/app/main.js', 'console.log(1);\n'],
+        ['bytes.bin', 'hi'],
+    ]);
+});
+
+test('createZip records the CRC-32 of each file', () => {
+    const [entry] = readZip(createZip([{ path: 'check.txt', content: '123456789' }]));
+    assert.equal(entry.crc, 0xCBF43926); // The standard CRC-32 check value
+});
+
+test('createZip flags names as UTF-8', () => {
+    const [entry] = readZip(createZip([{ path: 'docs/résumé 📄.md', content: 'ü' }]));
+    assert.equal(entry.name, 'docs/résumé 📄.md');
+    assert.equal(entry.content, 'ü');
+    assert.equal(entry.flags & 0x0800, 0x0800);
+});
+
+test('createZip encodes the modification time as MS-DOS date and time', () => {
+    const [entry] = readZip(createZip([{ path: 'a.txt', content: '' }], new Date(2024, 2, 15, 13, 45, 31)));
+    assert.equal(entry.date, ((2024 - 1980) << 9) | (3 << 5) | 15);
+    assert.equal(entry.time, (13 << 11) | (45 << 5) | 15);
+});
+
+test('createZip writes a valid empty archive', () => {
+    const archive = createZip([]);
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZip(archive), []);
+});
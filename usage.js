@@ -0,0 +1,204 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Token usage and cost tracking. Every AI response is logged with the tokens the backend
+ * reported, priced with the model's entry in the price table, and kept in localStorage so
+ * totals can be shown per project and per day and checked against the budget.
+ */
+
+// localStorage key for the usage log
+const STORAGE_KEY = 'aiAppPromptEnhancer.usage';
+
+// Oldest records are dropped beyond this many
+const MAX_RECORDS = 5000;
+
+/**
+ * Default price table, in USD per million tokens. A model without an exact entry uses the
+ * longest entry its name starts with, so e.g. "gemini-2.0-flash-001" is priced as "gemini-2.0-flash".
+ */
+export const DEFAULT_PRICES = [
+    { model: 'gemini-2.5-pro', input: 1.25, output: 10 },
+    { model: 'gemini-2.5-flash', input: 0.3, output: 2.5 },
+    { model: 'gemini-2.5-flash-lite', input: 0.1, output: 0.4 },
+    { model: 'gemini-2.0-flash', input: 0.1, output: 0.4 },
+    { model: 'gemini-2.0-flash-lite', input: 0.075, output: 0.3 },
+    { model: 'gpt-4o', input: 2.5, output: 10 },
+    { model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+];
+
+/**
+ * @typedef {object} UsageRecord
+ * @property {string} id - Unique id.
+ * @property {number} createdAt - When the response arrived (ms since epoch).
+ * @property {string} day - Local calendar day, YYYY-MM-DD.
+ * @property {string|null} projectId - Project the request was made in; null for an unsaved session or a batch.
+ * @property {string|null} batchId - Batch run the request was made for (see runBatch in app.js); null outside batch mode.
+ * @property {string} step - Generation step (a key of STEPS).
+ * @property {string} model - Model that answered.
+ * @property {number} promptTokens - Input tokens, including repair requests.
+ * @property {number} outputTokens - Output tokens, including repair requests.
+ * @property {number|null} cost - Cost in USD; null when the model has no price.
+ * @property {boolean} estimated - Whether the token counts are estimates because the backend reported none.
+ */
+
+/**
+ * Rough token count of some text, for budgeting before a request is sent and for backends
+ * that don't report usage. About four characters per token for English text.
+ * @param {string} text - Text to count.
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Finds a model's price: an exact entry, or else the longest entry the name starts with.
+ * @param {Array<{model: string, input: number, output: number}>} prices - Price table.
+ * @param {string} model - Model name.
+ * @returns {{model: string, input: number, output: number}|null}
+ */
+export const findPrice = (prices, model) => prices
+    .filter((price) => price.model && model.startsWith(price.model))
+    .sort((a, b) => b.model.length - a.model.length)[0] || null;
+
+/**
+ * Prices a number of tokens.
+ * @param {{input: number, output: number}|null} price - Price per million tokens.
+ * @param {{promptTokens: number, outputTokens: number}} usage - Token counts.
+ * @returns {number|null} - Cost in USD, or null without a price.
+ */
+export const computeCost = (price, { promptTokens, outputTokens }) => (
+    price ? (promptTokens * price.input + outputTokens * price.output) / 1e6 : null
+);
+
+/**
+ * Local calendar day of a time, as used to group records.
+ * @param {number} time - Ms since epoch.
+ * @returns {string} - YYYY-MM-DD.
+ */
+export const toLocalDay = (time) => {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Creates a usage record for a response.
+ * @param {object} details
+ * @param {string|null} details.projectId - Current project.
+ * @param {string|null} [details.batchId] - Batch run, for requests made in batch mode.
+ * @param {string} details.step - Generation step.
+ * @param {string} details.model - Model used.
+ * @param {{promptTokens: number, outputTokens: number}} details.usage - Token counts.
+ * @param {number|null} details.cost - Cost in USD.
+ * @param {boolean} details.estimated - Whether the counts are estimates.
+ * @returns {UsageRecord}
+ */
+export const createUsageRecord = ({ projectId, batchId = null, step, model, usage, cost, estimated }) => {
+    const createdAt = Date.now();
+    return {
+        id: createId(),
+        createdAt,
+        day: toLocalDay(createdAt),
+        projectId,
+        batchId,
+        step,
+        model,
+        promptTokens: usage.promptTokens,
+        outputTokens: usage.outputTokens,
+        cost,
+        estimated,
+    };
+};
+
+/**
+ * Totals records per group.
+ * @param {UsageRecord[]} records - Records to total.
+ * @param {function(UsageRecord): string} keyOf - Group key of a record.
+ * @returns {Array<{key: string, requests: number, promptTokens: number, outputTokens: number, cost: number, unpriced: number}>} -
+ *   One entry per group, in order of first appearance. `unpriced` counts records without a cost.
+ */
+export const summarizeUsage = (records, keyOf) => {
+    const groups = new Map();
+    records.forEach((record) => {
+        const key = keyOf(record);
+        const totals = groups.get(key) || { key, requests: 0, promptTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+        totals.requests += 1;
+        totals.promptTokens += record.promptTokens;
+        totals.outputTokens += record.outputTokens;
+        if (record.cost === null) {
+            totals.unpriced += 1;
+        } else {
+            totals.cost += record.cost;
+        }
+        groups.set(key, totals);
+    });
+    return [...groups.values()];
+};
+
+/**
+ * Sums the cost of records.
+ * @param {UsageRecord[]} records - Records to sum.
+ * @returns {number} - USD; unpriced records count as free.
+ */
+const sumCost = (records) => records.reduce((sum, record) => sum + (record.cost || 0), 0);
+
+/**
+ * Compares today's and the current project's spending with the budget.
+ * @param {UsageRecord[]} records - The usage log.
+ * @param {{dailyLimitUsd: number|null, projectLimitUsd: number|null}} budget - Limits; null means none.
+ * @param {string|null} projectId - Current project.
+ * @param {number} [pendingCost] - Estimated cost of a request about to be sent, counted as already spent.
+ * @returns {{daySpent: number, projectSpent: number, dayExceeded: boolean, projectExceeded: boolean}}
+ */
+export const getBudgetStatus = (records, budget, projectId, pendingCost = 0) => {
+    const today = toLocalDay(Date.now());
+    const daySpent = sumCost(records.filter((record) => record.day === today));
+    const projectSpent = projectId ? sumCost(records.filter((record) => record.projectId === projectId)) : 0;
+    return {
+        daySpent,
+        projectSpent,
+        dayExceeded: budget.dailyLimitUsd !== null && daySpent + pendingCost >= budget.dailyLimitUsd,
+        projectExceeded: Boolean(projectId) && budget.projectLimitUsd !== null && projectSpent + pendingCost >= budget.projectLimitUsd,
+    };
+};
+
+/**
+ * Formats an amount in USD, with more precision for the fractions of a cent single requests cost.
+ * @param {number} amount - USD.
+ * @returns {string}
+ */
+export const formatCost = (amount) => `$${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)}`;
+
+/**
+ * Appends a record to the usage log, dropping the oldest beyond the size limit.
+ * @param {UsageRecord[]} records - The usage log, oldest first.
+ * @param {UsageRecord} record - Record to add.
+ * @returns {UsageRecord[]}
+ */
+export const appendUsageRecord = (records, record) => [...records, record].slice(-MAX_RECORDS);
+
+/**
+ * Reads the usage log from localStorage.
+ * @returns {UsageRecord[]}
+ */
+export const loadUsageLog = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        console.error('Failed to load the usage log:', err);
+        return [];
+    }
+};
+
+/**
+ * Writes the usage log to localStorage.
+ * @param {UsageRecord[]} records - The usage log, oldest first.
+ */
+export const saveUsageLog = (records) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } catch (err) {
+        console.error('Failed to save the usage log:', err);
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Compresses text into a URL-safe string and back, with the browser's built-in deflate
+ * (CompressionStream) and base64url, so no compression library is needed.
+ */
+
+// Bytes converted per String.fromCharCode call, below the engines' argument limits
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Encodes bytes as base64url without padding.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes base64url, with or without padding.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} - If the text is not base64url.
+ */
+const fromBase64Url = (text) => {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('The data is not base64url-encoded.');
+    }
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Pipes bytes through a transform stream.
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} transform - A CompressionStream or DecompressionStream.
+ * @returns {Promise<Uint8Array>}
+ */
+const pipeBytes = async (bytes, transform) => new Uint8Array(
+    await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+);
+
+/**
+ * Deflates text and encodes it as base64url.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export const compressToBase64Url = async (text) => toBase64Url(
+    await pipeBytes(new TextEncoder().encode(text), new CompressionStream('deflate-raw'))
+);
+
+/**
+ * Reverses compressToBase64Url.
+ * @param {string} encoded - Output of compressToBase64Url.
+ * @returns {Promise<string>}
+ * @throws {Error} - If the data is not valid compressed text.
+ */
+export const decompressFromBase64Url = async (encoded) => new TextDecoder().decode(
+    await pipeBytes(fromBase64Url(encoded), new DecompressionStream('deflate-raw'))
+);
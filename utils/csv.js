@@ -0,0 +1,63 @@
+/**
+ * Parses CSV text (RFC 4180): fields separated by commas, optionally quoted with double quotes,
+ * with "" for a quote inside a quoted field. Quoted fields may span lines. A leading byte order
+ * mark is ignored and blank lines are skipped.
+ * @param {string} text - CSV text, as exported by spreadsheets.
+ * @param {string} [delimiter] - Field separator; some locales export ";".
+ * @returns {string[][]} - Rows of fields.
+ * @throws {Error} - If a quoted field is never closed.
+ */
+export const parseCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('The CSV file has a quoted field that is never closed');
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+/**
+ * Guesses the field separator from the first line: the one of ",", ";" and tab it contains most.
+ * @param {string} text - CSV text.
+ * @returns {string}
+ */
+export const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+    return counts.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).delimiter;
+};
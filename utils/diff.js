@@ -0,0 +1,177 @@
+/**
+ * Word-level text diff (Myers' O((N+M)D) algorithm in linear space), used to compare prompt revisions.
+ */
+
+/**
+ * Splits text into word and whitespace tokens, so whitespace changes are kept
+ * but never matched against words.
+ * @param {string} text - Text to split.
+ * @returns {string[]}
+ */
+export const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Finds the middle snake of a shortest edit script between a[aLo..aHi) and b[bLo..bHi) by running
+ * Myers' search from both ends until the paths meet, keeping only the current diagonals.
+ * @param {string[]} a - Old tokens.
+ * @param {number} aLo - Start of the old range.
+ * @param {number} aHi - End of the old range (exclusive).
+ * @param {string[]} b - New tokens.
+ * @param {number} bLo - Start of the new range.
+ * @param {number} bHi - End of the new range (exclusive).
+ * @returns {{x: number, y: number}|null} - A point on the path to split the ranges at, or null if none was found.
+ */
+const findMiddle = (a, aLo, aHi, b, bLo, bHi) => {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD + 1;
+    const forward = new Array(2 * offset + 1).fill(-1);
+    const backward = new Array(2 * offset + 1).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    const delta = n - m;
+    // With an odd delta the paths can only meet on a forward step, with an even one on a backward step
+    const checkForward = delta % 2 !== 0;
+    // Diagonals whose paths have run off the grid are skipped from then on
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let backwardStart = 0;
+    let backwardEnd = 0;
+
+    for (let d = 0; d <= maxD; d++) {
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            if (x > n) {
+                forwardEnd += 2;
+                continue;
+            }
+            if (y > m) {
+                forwardStart += 2;
+                continue;
+            }
+            const reverseK = delta - k;
+            if (checkForward && Math.abs(reverseK) <= d - 1 && backward[offset + reverseK] !== -1
+                && x >= n - backward[offset + reverseK]) {
+                return { x: aLo + x, y: bLo + y };
+            }
+        }
+        for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            if (x > n) {
+                backwardEnd += 2;
+                continue;
+            }
+            if (y > m) {
+                backwardStart += 2;
+                continue;
+            }
+            const forwardK = delta - k;
+            if (!checkForward && Math.abs(forwardK) <= d && forward[offset + forwardK] !== -1
+                && forward[offset + forwardK] >= n - x) {
+                const splitX = forward[offset + forwardK];
+                return { x: aLo + splitX, y: bLo + splitX - forwardK };
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Appends the shortest edit script between a[aLo..aHi) and b[bLo..bHi) to ops. Shared ends are
+ * matched directly; the rest is split at its middle snake and each half diffed in turn, so memory
+ * stays linear in the number of tokens.
+ * @param {string[]} a - Old tokens.
+ * @param {number} aLo - Start of the old range.
+ * @param {number} aHi - End of the old range (exclusive).
+ * @param {string[]} b - New tokens.
+ * @param {number} bLo - Start of the new range.
+ * @param {number} bHi - End of the new range (exclusive).
+ * @param {Array<{type: 'equal'|'insert'|'delete', token: string}>} ops - Operations so far.
+ */
+const diffRange = (a, aLo, aHi, b, bLo, bHi, ops) => {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+        ops.push({ type: 'equal', token: a[aLo] });
+        aLo++;
+        bLo++;
+    }
+    let suffix = 0;
+    while (aLo < aHi - suffix && bLo < bHi - suffix && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+        suffix++;
+    }
+    aHi -= suffix;
+    bHi -= suffix;
+
+    const middle = aLo < aHi && bLo < bHi ? findMiddle(a, aLo, aHi, b, bLo, bHi) : null;
+    if (middle) {
+        diffRange(a, aLo, middle.x, b, bLo, middle.y, ops);
+        diffRange(a, middle.x, aHi, b, middle.y, bHi, ops);
+    } else {
+        for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', token: a[i] });
+        for (let i = bLo; i < bHi; i++) ops.push({ type: 'insert', token: b[i] });
+    }
+
+    for (let i = aHi; i < aHi + suffix; i++) {
+        ops.push({ type: 'equal', token: a[i] });
+    }
+};
+
+/**
+ * Computes the shortest edit script between two token arrays.
+ * @param {string[]} a - Old tokens.
+ * @param {string[]} b - New tokens.
+ * @returns {Array<{type: 'equal'|'insert'|'delete', token: string}>} - Per-token operations, in order.
+ */
+const diffTokens = (a, b) => {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+    return ops;
+};
+
+/**
+ * Diffs two texts word by word.
+ * Adjacent operations of the same type are merged into a single segment.
+ * @param {string} oldText - Original text.
+ * @param {string} newText - Changed text.
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} - Segments, in order.
+ */
+export const diffWords = (oldText, newText) => {
+    const segments = [];
+    diffTokens(tokenize(oldText), tokenize(newText)).forEach(({ type, token }) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += token;
+        } else {
+            segments.push({ type, text: token });
+        }
+    });
+    return segments;
+};
+
+/**
+ * Counts the words added and removed in a diff, for summaries.
+ * @param {Array<{type: string, text: string}>} segments - Output of diffWords.
+ * @returns {{added: number, removed: number}}
+ */
+export const summarizeDiff = (segments) => segments.reduce((totals, { type, text }) => {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    if (type === 'insert') totals.added += words;
+    if (type === 'delete') totals.removed += words;
+    return totals;
+}, { added: 0, removed: 0 });
@@ -0,0 +1,43 @@
+/**
+ * Helpers for handing generated files to the user.
+ */
+
+/**
+ * Turns a name into a safe file name stem.
+ * @param {string} name - Arbitrary text, e.g. a project name.
+ * @returns {string} - Lowercase, dash-separated; 'untitled' if nothing is left.
+ */
+export const slugify = (name) => (
+    name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'untitled'
+);
+
+/**
+ * Triggers a browser download of in-memory content.
+ * @param {string} filename - Suggested file name.
+ * @param {string|Blob} content - File contents.
+ * @param {string} [mimeType] - MIME type, used when `content` is a string.
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the object URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Reads a user-selected file as text.
+ * @param {File} file - File from an <input type="file">.
+ * @returns {Promise<string>}
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+});
@@ -0,0 +1,34 @@
+/**
+ * Hashing for cache keys.
+ */
+
+/**
+ * 53-bit string hash (cyrb53), used where Web Crypto is unavailable (e.g. insecure contexts).
+ * @param {string} text - Input text.
+ * @returns {string} - Hex digest.
+ */
+const fallbackHash = (text) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+/**
+ * Hashes text with SHA-256, falling back to a fast non-cryptographic hash without Web Crypto.
+ * @param {string} text - Input text.
+ * @returns {Promise<string>} - Hex digest.
+ */
+export const hashText = async (text) => {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        return fallbackHash(text);
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,112 @@
+/**
+ * Lightweight syntax highlighting for file previews: a few regex rules per language split
+ * the text into typed tokens. Not a parser — good enough to make generated code easier to read.
+ */
+
+const JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|false|finally|for|from|function|if|import|in|instanceof|interface|let|new|null|of|return|static|super|switch|this|throw|true|try|type|typeof|undefined|var|void|while|yield';
+const PYTHON_KEYWORDS = 'and|as|assert|async|await|break|class|continue|def|del|elif|else|except|False|finally|for|from|global|if|import|in|is|lambda|None|nonlocal|not|or|pass|raise|return|True|try|while|with|yield';
+
+// Rules per language, tried in order at each position: [token type, pattern]
+const RULES = {
+    js: [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+        ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/],
+        ['keyword', new RegExp(`\\b(?:${JS_KEYWORDS})\\b`)],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+    ],
+    python: [
+        ['comment', /#[^\n]*/],
+        ['string', /"""[\s\S]*?"""|'''[\s\S]*?'''|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/],
+        ['keyword', new RegExp(`\\b(?:${PYTHON_KEYWORDS})\\b`)],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+    ],
+    json: [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\\n])*"/],
+        ['keyword', /\b(?:true|false|null)\b/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+    ],
+    // .env, shell scripts, YAML, TOML and similar "key = value" formats
+    config: [
+        ['comment', /(?:^|(?<=\s))#[^\n]*/],
+        ['property', /^[ \t-]*[A-Za-z_][\w.-]*(?=[ \t]*[=:])/m],
+        ['string', /'[^'\n]*'|"(?:\\.|[^"\\\n])*"/],
+        ['number', /\b\d+(?:\.\d+)?\b/],
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//],
+        ['string', /'[^'\n]*'|"[^"\n]*"/],
+        ['property', /[\w-]+(?=\s*:[^;{}]*[;}])/],
+        ['number', /-?\b\d+(?:\.\d+)?(?:px|rem|em|%|vh|vw|s|ms)?\b/],
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?-->/],
+        ['keyword', /<\/?[\w-]+|\/?>/],
+        ['string', /"[^"]*"|'[^']*'/],
+        ['property', /\b[\w:-]+(?==)/],
+    ],
+    markdown: [
+        ['keyword', /^#{1,6} [^\n]*/m],
+        ['string', /```[\s\S]*?```|`[^`\n]+`/],
+        ['property', /\*\*[^*\n]+\*\*/],
+    ],
+};
+
+// Language of a file by extension, or by name for files without one
+const LANGUAGES_BY_EXTENSION = {
+    js: 'js', jsx: 'js', mjs: 'js', cjs: 'js', ts: 'js', tsx: 'js', java: 'js', kt: 'js', go: 'js', rs: 'js',
+    swift: 'js', dart: 'js', cs: 'js', php: 'js', c: 'js', cpp: 'js', h: 'js', scala: 'js',
+    py: 'python', rb: 'python',
+    json: 'json',
+    env: 'config', example: 'config', sh: 'config', yml: 'config', yaml: 'config', toml: 'config', ini: 'config',
+    txt: 'config', cfg: 'config', gitignore: 'config', dockerignore: 'config',
+    css: 'css', scss: 'css',
+    html: 'markup', xml: 'markup', vue: 'markup', svelte: 'markup', svg: 'markup',
+    md: 'markdown',
+};
+const LANGUAGES_BY_NAME = { Dockerfile: 'config', Makefile: 'config', Procfile: 'config', Gemfile: 'python' };
+
+/**
+ * Picks the highlighting rules for a file.
+ * @param {string} path - File path.
+ * @returns {string|null} - A key of RULES, or null to show the file as plain text.
+ */
+export const detectLanguage = (path) => {
+    const name = path.split('/').pop();
+    if (LANGUAGES_BY_NAME[name]) return LANGUAGES_BY_NAME[name];
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return LANGUAGES_BY_EXTENSION[extension] || null;
+};
+
+// One combined, global pattern per language; group n + 1 matches rule n
+const COMBINED = Object.fromEntries(Object.entries(RULES).map(([language, rules]) => [
+    language,
+    new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join('|'), 'gm'),
+]));
+
+/**
+ * Splits code into tokens for highlighting.
+ * @param {string} code - Source text.
+ * @param {string|null} language - A key of RULES; null returns the text as one plain token.
+ * @returns {Array<{type: 'plain'|'comment'|'string'|'keyword'|'number'|'property', text: string}>}
+ */
+export const highlightCode = (code, language) => {
+    const pattern = COMBINED[language];
+    if (!pattern) return [{ type: 'plain', text: code }];
+    const rules = RULES[language];
+    const tokens = [];
+    let position = 0;
+    pattern.lastIndex = 0;
+    for (let match = pattern.exec(code); match; match = pattern.exec(code)) {
+        if (match[0] === '') {
+            pattern.lastIndex += 1;
+            continue;
+        }
+        if (match.index > position) tokens.push({ type: 'plain', text: code.slice(position, match.index) });
+        const ruleIndex = match.slice(1).findIndex((group) => group !== undefined);
+        tokens.push({ type: rules[ruleIndex][0], text: match[0] });
+        position = match.index + match[0].length;
+    }
+    if (position < code.length) tokens.push({ type: 'plain', text: code.slice(position) });
+    return tokens;
+};
@@ -0,0 +1,18 @@
+/**
+ * Resolves after `ms` milliseconds, or rejects with an AbortError if the signal fires first.
+ * @param {number} ms - Delay.
+ * @param {AbortSignal} [signal] - Signal used to cancel the wait.
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
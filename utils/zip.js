@@ -0,0 +1,110 @@
+/**
+ * Minimal ZIP writer (PKWARE APPNOTE 6.3): files are stored uncompressed, which every unzip
+ * tool reads, so no compression library is needed. Names are UTF-8 (general purpose flag bit 11).
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Encodes a date as MS-DOS time and date fields (local time, two-second resolution).
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Builds a ZIP archive.
+ * @param {Array<{path: string, content: string|Uint8Array}>} files - Entries; paths use forward slashes.
+ *   Parent folders are implied by the paths.
+ * @param {Date} [modified] - Modification time recorded for every entry.
+ * @returns {Uint8Array} - The archive bytes.
+ */
+export const createZip = (files, modified = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+        const name = encoder.encode(path);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract (2.0)
+        local.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+        local.setUint16(8, 0, true); // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // Extra field length
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra field, comment, disk number, internal and external attributes stay 0
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach((part) => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
+};
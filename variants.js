@@ -0,0 +1,127 @@
+import { createId } from './storage/projects.js';
+
+/**
+ * Prompt variants: several enhancements of the same idea under different framings or
+ * temperatures, compared side by side and picked from or merged section by section.
+ */
+
+// Framings a variant can be generated under; 'balanced' adds no extra instruction
+export const VARIANT_FRAMINGS = [
+    { id: 'balanced', label: 'Balanced', instruction: '' },
+    {
+        id: 'mvp',
+        label: 'MVP-focused',
+        instruction: 'Frame this version as a lean MVP: the smallest feature set that proves the core value, a fast path to launch, simple architecture and explicit items deferred to later releases.',
+    },
+    {
+        id: 'enterprise',
+        label: 'Enterprise-scale',
+        instruction: 'Frame this version for enterprise scale: multi-tenant organizations, roles and permissions, SSO, audit logging, compliance, integrations, SLAs and horizontal scalability.',
+    },
+    {
+        id: 'consumer-viral',
+        label: 'Consumer / viral',
+        instruction: 'Frame this version as a consumer product built to spread: effortless onboarding, delightful UX, social sharing and invite loops, habit-forming engagement and growth metrics.',
+    },
+];
+
+export const MAX_VARIANTS = 4;
+
+// Setup offered the first time: one variant per non-balanced framing, at the configured temperature
+export const DEFAULT_VARIANT_SETUP = [
+    { framingId: 'mvp', temperature: null },
+    { framingId: 'enterprise', temperature: null },
+    { framingId: 'consumer-viral', temperature: null },
+];
+
+/**
+ * @typedef {object} PromptVariant
+ * @property {string} id - Unique id.
+ * @property {string} framingId - One of VARIANT_FRAMINGS.
+ * @property {number|null} temperature - Temperature it was generated with; null uses the settings.
+ * @property {string} text - The generated prompt.
+ */
+
+/**
+ * Looks up a framing, falling back to 'balanced'.
+ * @param {string} id - Framing id.
+ * @returns {{id: string, label: string, instruction: string}}
+ */
+export const getFraming = (id) => VARIANT_FRAMINGS.find((f) => f.id === id) || VARIANT_FRAMINGS[0];
+
+/**
+ * Creates an empty variant for a setup row.
+ * @param {{framingId: string, temperature: number|null}} setup - Framing and temperature.
+ * @returns {PromptVariant}
+ */
+export const createVariant = ({ framingId, temperature }) => ({ id: createId(), framingId, temperature, text: '' });
+
+/**
+ * Puts a framing's instruction in front of the enhancement prompt. It goes first so the
+ * prompt still ends with the user's idea.
+ * @param {string} prompt - Rendered enhancement prompt.
+ * @param {string} framingId - Framing to apply.
+ * @returns {string}
+ */
+export const applyFraming = (prompt, framingId) => {
+    const { instruction } = getFraming(framingId);
+    return instruction ? `${instruction}\n\n${prompt}` : prompt;
+};
+
+/**
+ * Whether a line starts a section: a Markdown heading, a line that is entirely bold,
+ * or a short line ending in a colon (e.g. "Core Features:").
+ * @param {string} line - One line of text.
+ * @returns {boolean}
+ */
+const isHeading = (line) => {
+    const trimmed = line.trim();
+    return /^#{1,6}\s+\S/.test(trimmed)
+        || /^\*\*[^*]+\*\*:?$/.test(trimmed)
+        || (/^[A-Z0-9][^.!?]{0,60}:$/.test(trimmed) && !/^[-*+]\s/.test(trimmed));
+};
+
+/**
+ * Strips heading markup for display.
+ * @param {string} line - Heading line.
+ * @returns {string}
+ */
+const headingTitle = (line) => line.trim().replace(/^#{1,6}\s+/, '').replace(/\*\*/g, '').replace(/:$/, '');
+
+/**
+ * Splits a prompt into sections at its headings, so parts of several variants can be combined.
+ * Text before the first heading becomes an "Introduction" section. Prompts without headings are
+ * split into paragraphs instead.
+ * @param {string} text - Prompt text.
+ * @returns {Array<{title: string, text: string}>}
+ */
+export const splitSections = (text) => {
+    const lines = text.split('\n');
+    if (!lines.some(isHeading)) {
+        return text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean)
+            .map((paragraph, index) => ({ title: `Paragraph ${index + 1}`, text: paragraph }));
+    }
+
+    const sections = [];
+    let current = { title: 'Introduction', lines: [] };
+    lines.forEach((line) => {
+        if (isHeading(line)) {
+            sections.push(current);
+            current = { title: headingTitle(line), lines: [line] };
+        } else {
+            current.lines.push(line);
+        }
+    });
+    sections.push(current);
+
+    return sections
+        .map(({ title, lines: sectionLines }) => ({ title, text: sectionLines.join('\n').trim() }))
+        .filter((section) => section.text);
+};
+
+/**
+ * Joins sections back into a single prompt.
+ * @param {Array<{text: string}>} sections - Sections in the order they should appear.
+ * @returns {string}
+ */
+export const mergeSections = (sections) => sections.map((section) => section.text).join('\n\n');